@@ -10,9 +10,15 @@ import RequestHandler from './handlers/request-handler.js';
 import ResourceHandler from './handlers/resource-handler.js';
 import DownloadHandler from './handlers/download-handler.js';
 import ContextMenuHandler from './handlers/context-menu-handler.js';
+import RulePackHandler from './handlers/rule-pack-handler.js';
 import ResourceService from '../services/resource-service.js';
 import StorageService from '../services/storage-service.js';
-import { MESSAGE_ACTIONS } from '../config/constants.js';
+import { MSECaptureService } from '../services/mse-capture-service.js';
+import RulePackService from '../services/rule-pack-service.js';
+import ruleEngineService from '../services/rule-engine.js';
+import { getRuleEngine } from '../services/rule-engine-service.js';
+import alertRuleService from '../services/alert-rule-service.js';
+import { MESSAGE_ACTIONS, STORAGE_KEYS } from '../config/constants.js';
 
 /**
  * 后台脚本主类
@@ -25,11 +31,15 @@ class BackgroundMain {
   constructor() {
     this.storageService = new StorageService();
     this.resourceService = new ResourceService(this.storageService);
+    this.resourceService.setRuleEngine(getRuleEngine());
+    this.mseCaptureService = new MSECaptureService();
+    this.rulePackService = new RulePackService(this.storageService);
     
     this.requestHandler = new RequestHandler(this.resourceService);
-    this.resourceHandler = new ResourceHandler(this.resourceService);
+    this.resourceHandler = new ResourceHandler(this.resourceService, this.mseCaptureService);
     this.downloadHandler = new DownloadHandler(this.storageService);
     this.contextMenuHandler = new ContextMenuHandler(this.resourceService, this.downloadHandler);
+    this.rulePackHandler = new RulePackHandler(this.rulePackService);
     
     this.messageHandlers = {};
     
@@ -49,6 +59,8 @@ class BackgroundMain {
       
       this.contextMenuHandler.initialize();
       
+      await this._loadRulePacks();
+      
       this._setupMessageHandlers();
       
       chrome.runtime.onMessage.addListener(this._handleMessage.bind(this));
@@ -57,6 +69,8 @@ class BackgroundMain {
       
       chrome.tabs.onUpdated.addListener(this._handleTabUpdated.bind(this));
       
+      chrome.storage.onChanged.addListener(this._handleStorageChanged.bind(this));
+      
       console.log('Resource Sniffer 后台脚本已初始化');
     } catch (e) {
       console.error('初始化后台脚本错误:', e);
@@ -79,6 +93,11 @@ class BackgroundMain {
     this.messageHandlers[MESSAGE_ACTIONS.GET_RESOURCE_STATS] = this.resourceHandler.handleGetResourceStats.bind(this.resourceHandler);
     this.messageHandlers[MESSAGE_ACTIONS.CONTENT_SCRIPT_INITIALIZED] = this.resourceHandler.handleContentScriptInitialized.bind(this.resourceHandler);
     this.messageHandlers[MESSAGE_ACTIONS.STREAMING_RESOURCE] = this.resourceHandler.handleStreamingResource.bind(this.resourceHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.AUTO_COLLECT_PROGRESS] = this.resourceHandler.handleAutoCollectProgress.bind(this.resourceHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.PAGE_CRAWL_PROGRESS] = this.resourceHandler.handlePageCrawlProgress.bind(this.resourceHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.SET_MSE_CAPTURE] = this.resourceHandler.handleSetMSECapture.bind(this.resourceHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.GET_MSE_CAPTURE_STATUS] = this.resourceHandler.handleGetMSECaptureStatus.bind(this.resourceHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.REQUEST_MSE_CAPTURE_QUOTA] = this.resourceHandler.handleRequestMSECaptureQuota.bind(this.resourceHandler);
     
     this.messageHandlers[MESSAGE_ACTIONS.DOWNLOAD_RESOURCE] = this.downloadHandler.handleDownloadResource.bind(this.downloadHandler);
     this.messageHandlers[MESSAGE_ACTIONS.BATCH_DOWNLOAD_RESOURCES] = this.downloadHandler.handleBatchDownloadResources.bind(this.downloadHandler);
@@ -89,6 +108,20 @@ class BackgroundMain {
     this.messageHandlers[MESSAGE_ACTIONS.PAUSE_DOWNLOAD] = this.downloadHandler.handlePauseDownload.bind(this.downloadHandler);
     this.messageHandlers[MESSAGE_ACTIONS.RESUME_DOWNLOAD] = this.downloadHandler.handleResumeDownload.bind(this.downloadHandler);
     this.messageHandlers[MESSAGE_ACTIONS.UPDATE_DOWNLOAD_SETTINGS] = this.downloadHandler.handleUpdateDownloadSettings.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.THROTTLED_DOWNLOAD_PROGRESS] = this.downloadHandler.handleThrottledDownloadProgress.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.CHUNKED_DOWNLOAD_PROGRESS] = this.downloadHandler.handleChunkedDownloadProgress.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.STREAM_DOWNLOAD_PROGRESS] = this.downloadHandler.handleStreamDownloadProgress.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.EXPORT_RESOURCES_ZIP] = this.downloadHandler.handleExportResourcesZip.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.ZIP_EXPORT_PROGRESS] = this.downloadHandler.handleZipExportProgress.bind(this.downloadHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.DETECT_PAGE_RESOURCES] = this.downloadHandler.handleDetectPageResources.bind(this.downloadHandler);
+    
+    this.messageHandlers[MESSAGE_ACTIONS.EVALUATE_LOG_ALERTS] = this._handleEvaluateLogAlerts.bind(this);
+    
+    this.messageHandlers[MESSAGE_ACTIONS.LIST_RULE_PACKS] = this.rulePackHandler.handleListRulePacks.bind(this.rulePackHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.IMPORT_RULE_PACK] = this.rulePackHandler.handleImportRulePack.bind(this.rulePackHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.EXPORT_RULE_PACK] = this.rulePackHandler.handleExportRulePack.bind(this.rulePackHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.SET_RULE_PACK_ENABLED] = this.rulePackHandler.handleSetRulePackEnabled.bind(this.rulePackHandler);
+    this.messageHandlers[MESSAGE_ACTIONS.REMOVE_RULE_PACK] = this.rulePackHandler.handleRemoveRulePack.bind(this.rulePackHandler);
     
     this.messageHandlers['testMLModel'] = this._handleTestMLModel.bind(this);
     this.messageHandlers['testFingerprinting'] = this._handleTestFingerprinting.bind(this);
@@ -142,6 +175,37 @@ class BackgroundMain {
     }
   }
   
+  /**
+   * 把已启用规则包中的规则加载到两个规则引擎
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadRulePacks() {
+    try {
+      const [count] = await Promise.all([
+        getRuleEngine().loadRulePacks(this.rulePackService),
+        ruleEngineService.loadRulePacks(this.rulePackService)
+      ]);
+      
+      console.log(`已从规则包加载 ${count} 条规则`);
+    } catch (e) {
+      console.error('加载规则包错误:', e);
+    }
+  }
+  
+  /**
+   * 处理存储变化：规则包在任何页面中导入、启用或删除后重新加载规则
+   * @param {Object} changes - 变化的存储项
+   * @param {string} areaName - 存储区名称
+   * @private
+   */
+  _handleStorageChanged(changes, areaName) {
+    if (areaName !== 'local' || !changes[STORAGE_KEYS.RULE_PACKS]) return;
+    
+    this.storageService.updateCache(STORAGE_KEYS.RULE_PACKS, changes[STORAGE_KEYS.RULE_PACKS].newValue);
+    this._loadRulePacks();
+  }
+  
   /**
    * 处理标签页关闭
    * @param {number} tabId - 标签页ID
@@ -151,6 +215,9 @@ class BackgroundMain {
   _handleTabRemoved(tabId, removeInfo) {
     try {
       this.resourceService.clearResources(tabId.toString());
+      this.resourceService.setPageUrl(tabId.toString(), null);
+      
+      this.mseCaptureService.removeTab(tabId);
       
       console.log(`标签页 ${tabId} 已关闭，资源已清除`);
     } catch (e) {
@@ -167,6 +234,15 @@ class BackgroundMain {
    */
   _handleTabUpdated(tabId, changeInfo, tab) {
     try {
+      // 页面重新加载或导航后旧页面缓存的MSE数据已经丢弃
+      if (changeInfo.status === 'loading') {
+        this.mseCaptureService.resetUsage(tabId);
+      }
+      
+      if (changeInfo.url) {
+        this.resourceService.setPageUrl(tabId.toString(), changeInfo.url);
+      }
+      
       if (changeInfo.status === 'complete') {
         chrome.tabs.sendMessage(tabId, {
           action: MESSAGE_ACTIONS.PAGE_LOADED,
@@ -461,6 +537,25 @@ class BackgroundMain {
     }
   }
   
+  /**
+   * 处理其他页面转发来的日志，告警规则只在后台计算，告警历史和冷却只有一份
+   * @param {Object} message - 消息对象 { logs }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   * @private
+   */
+  _handleEvaluateLogAlerts(message, sender, sendResponse) {
+    try {
+      (message.logs || []).forEach(log => alertRuleService.addLog(log));
+      sendResponse({ success: true });
+    } catch (e) {
+      console.error('计算日志告警规则错误:', e);
+      sendResponse({ success: false, error: e.message });
+    }
+    return false;
+  }
+  
   /**
    * 处理规则引擎测试
    * @param {Object} message - 消息对象
@@ -7,6 +7,8 @@
  */
 
 import { RESOURCE_TYPES } from '../../config/constants.js';
+import highResService from '../../services/high-res-service.js';
+import libraryService from '../../services/library-service.js';
 
 /**
  * 右键菜单处理程序类
@@ -21,6 +23,8 @@ class ContextMenuHandler {
   constructor(resourceService, downloadHandler) {
     this.resourceService = resourceService;
     this.downloadHandler = downloadHandler;
+    this.highResService = highResService;
+    this.libraryService = libraryService;
     this.menuItems = [];
   }
   
@@ -71,6 +75,15 @@ class ContextMenuHandler {
       
       this.menuItems.push(downloadAllId);
       
+      const downloadZipId = chrome.contextMenus.create({
+        id: 'download-zip',
+        parentId: parentId,
+        title: '将所有资源打包为ZIP下载',
+        contexts: ['all']
+      });
+      
+      this.menuItems.push(downloadZipId);
+      
       const separator1Id = chrome.contextMenus.create({
         id: 'separator-1',
         parentId: parentId,
@@ -134,6 +147,15 @@ class ContextMenuHandler {
       
       this.menuItems.push(downloadHighQualityId);
       
+      const saveToLibraryId = chrome.contextMenus.create({
+        id: 'save-to-library',
+        parentId: parentId,
+        title: '保存到资源库',
+        contexts: ['image', 'video', 'audio']
+      });
+      
+      this.menuItems.push(saveToLibraryId);
+      
       const separator3Id = chrome.contextMenus.create({
         id: 'separator-3',
         parentId: parentId,
@@ -193,6 +215,10 @@ class ContextMenuHandler {
           this._downloadAllResources(tabId);
           break;
           
+        case 'download-zip':
+          this._downloadResourcesAsZip(tab);
+          break;
+          
         case 'download-images':
           this._downloadResourcesByType(tabId, RESOURCE_TYPES.IMAGE);
           break;
@@ -213,6 +239,10 @@ class ContextMenuHandler {
           this._downloadHighQualityVersion(info, tab);
           break;
           
+        case 'save-to-library':
+          this._saveToLibrary(info, tab);
+          break;
+          
         case 'open-manager':
           this._openResourceManager(tabId);
           break;
@@ -274,6 +304,40 @@ class ContextMenuHandler {
     }
   }
   
+  /**
+   * 将所有资源打包为ZIP下载
+   * @param {Object} tab - 标签页信息
+   * @private
+   */
+  async _downloadResourcesAsZip(tab) {
+    try {
+      if (!this.resourceService || !this.downloadHandler) {
+        this._showNotification('下载失败', '资源服务或下载处理程序未初始化');
+        return;
+      }
+      
+      const resources = this.resourceService.getResources(tab.id.toString());
+      
+      if (!resources || resources.length === 0) {
+        this._showNotification('没有可下载的资源', '请先检测资源');
+        return;
+      }
+      
+      this._showNotification('正在打包', `正在下载并打包 ${resources.length} 个资源`);
+      
+      const result = await this.downloadHandler.exportResourcesAsZip(resources, {
+        pageUrl: tab.url,
+        pageTitle: tab.title
+      });
+      
+      const failedText = result.failedCount > 0 ? `，${result.failedCount} 个资源下载失败` : '';
+      this._showNotification('打包完成', `已将 ${result.entryCount} 个资源打包为 ${result.filename}${failedText}`);
+    } catch (e) {
+      console.error('打包下载资源错误:', e);
+      this._showNotification('打包失败', e.message);
+    }
+  }
+  
   /**
    * 按类型下载资源
    * @param {string} tabId - 标签页ID
@@ -347,11 +411,12 @@ class ContextMenuHandler {
   
   /**
    * 下载高质量版本
+   * 图片先按CDN改写规则查找并验证高清地址，找不到时再从已检测到的相似资源中选择质量最高的
    * @param {Object} info - 点击信息
    * @param {Object} tab - 标签页信息
    * @private
    */
-  _downloadHighQualityVersion(info, tab) {
+  async _downloadHighQualityVersion(info, tab) {
     try {
       if (!this.resourceService || !this.downloadHandler) {
         this._showNotification('下载失败', '资源服务或下载处理程序未初始化');
@@ -366,6 +431,24 @@ class ContextMenuHandler {
         return;
       }
       
+      const highResVersion = info.mediaType === 'image' ? await this.highResService.findBestVersion(srcUrl) : null;
+      
+      if (highResVersion) {
+        this.downloadHandler.addToDownloadQueue({
+          url: highResVersion.url,
+          type: RESOURCE_TYPES.IMAGE,
+          contentType: highResVersion.contentType,
+          size: highResVersion.size || 0,
+          quality: 'high',
+          originalUrl: srcUrl,
+          source: 'context-menu',
+          timestamp: Date.now()
+        }, tabId);
+        
+        this._showNotification('已添加高清版本到下载队列', highResVersion.url);
+        return;
+      }
+      
       const similarResources = this.resourceService.getSimilarResources(tabId, srcUrl);
       
       if (!similarResources || similarResources.length === 0) {
@@ -390,6 +473,40 @@ class ContextMenuHandler {
     }
   }
   
+  /**
+   * 保存当前元素到资源库，已检测到该资源时一并保存尺寸等信息
+   * @param {Object} info - 点击信息
+   * @param {Object} tab - 标签页信息
+   * @private
+   */
+  async _saveToLibrary(info, tab) {
+    try {
+      const srcUrl = info.srcUrl;
+      
+      if (!srcUrl) {
+        this._showNotification('保存失败', '无法获取元素URL');
+        return;
+      }
+      
+      const detected = this.resourceService ?
+        this.resourceService.getResources(tab.id.toString()).find(resource => resource.url === srcUrl) : null;
+      
+      const { created } = await this.libraryService.saveResource({
+        ...detected,
+        url: srcUrl,
+        type: detected ? detected.type : this._getTypeFromContext(info.mediaType)
+      }, {
+        pageUrl: info.pageUrl || tab.url,
+        pageTitle: tab.title
+      });
+      
+      this._showNotification(created ? '已保存到资源库' : '资源库中已有该资源', srcUrl);
+    } catch (e) {
+      console.error('保存到资源库错误:', e);
+      this._showNotification('保存失败', e.message);
+    }
+  }
+  
   /**
    * 打开资源管理器
    * @param {string} tabId - 标签页ID
@@ -426,7 +543,8 @@ class ContextMenuHandler {
           console.warn('发送批量下载请求错误:', chrome.runtime.lastError);
           this._showNotification('下载失败', chrome.runtime.lastError.message);
         } else if (response && response.success) {
-          this._showNotification('已添加到下载队列', `已添加 ${response.addedCount || 0} 个资源到下载队列`);
+          const skipped = response.skippedCount ? `，跳过 ${response.skippedCount} 个此前已下载的资源` : '';
+          this._showNotification('已添加到下载队列', `已添加 ${response.addedCount || 0} 个资源到下载队列${skipped}`);
         } else if (response && response.error) {
           this._showNotification('下载失败', response.error);
         }
@@ -6,9 +6,14 @@
  * @copyright © 2025 Resource Sniffer
  */
 
-import { RESOURCE_TYPES } from '../../config/constants.js';
-import FileUtils from '../../utils/file-utils.js';
-import URLUtils from '../../utils/url-utils.js';
+import { DEFAULT_OPTIONS, MESSAGE_ACTIONS, RESOURCE_TYPES } from '../../config/constants.js';
+import FilenameTemplate, { PRESET_TEMPLATES } from '../../utils/filename-template.js';
+import { FILENAME_FORMATS, DEFAULT_DOWNLOAD_SETTINGS } from '../../config/settings.js';
+import ChunkedDownloadService, { TASK_STATUS } from '../../services/chunked-download-service.js';
+import contentHashService, { ContentHashService } from '../../services/content-hash-service.js';
+import { STRIP_MODES } from '../../utils/metadata-stripper.js';
+import mimeSniffService from '../../services/mime-sniff-service.js';
+import { getRuleEngine } from '../../services/rule-engine-service.js';
 
 /**
  * 下载处理程序类
@@ -24,10 +29,22 @@ class DownloadHandler {
     this.downloadQueue = [];
     this.activeDownloads = 0;
     this.maxConcurrentDownloads = 2;
-    this.downloadSpeedLimit = 0; // KB/s，0表示不限制
+    this.downloadSpeedLimit = 0; // KB/s，0表示不限制，所有下载共享
+    this.perDownloadSpeedLimit = 0; // KB/s，0表示不限制
+    this.offscreenDocumentPromise = null;
     this.downloadHistory = [];
     this.isProcessingQueue = false;
     this.downloadSettings = null;
+    this.defaultFilenameFormat = DEFAULT_OPTIONS.defaultFilenameFormat;
+    this.filenameIndex = 0;
+    this.reservedFilenames = new Set();
+    this.chunkedDownloadService = new ChunkedDownloadService();
+    this.chunkedRuns = new Map();
+    this.zipExports = new Map();
+    this.zipDownloads = new Map();
+    this.contentHashService = contentHashService;
+    this.mimeSniffService = mimeSniffService;
+    this.ruleEngine = getRuleEngine();
     
     this._setupDownloadListeners();
   }
@@ -39,18 +56,27 @@ class DownloadHandler {
     try {
       if (this.storageService) {
         const settings = await this.storageService.getSettings();
+        if (settings && settings.defaultFilenameFormat) {
+          this.defaultFilenameFormat = settings.defaultFilenameFormat;
+        }
+        
         if (settings && settings.download) {
           this.downloadSettings = settings.download;
           this.maxConcurrentDownloads = settings.download.maxConcurrentDownloads || 2;
           this.downloadSpeedLimit = settings.download.downloadSpeedLimit || 0;
+          this.perDownloadSpeedLimit = settings.download.perDownloadSpeedLimit || 0;
         }
         
+        this._configureChunkedDownloads();
+        
         const history = await this.storageService.getDownloadHistory();
         if (history && Array.isArray(history)) {
           this.downloadHistory = history;
         }
       }
       
+      await this._restoreChunkedDownloads();
+      
       console.log('下载处理程序已初始化');
     } catch (e) {
       console.error('初始化下载设置错误:', e);
@@ -82,9 +108,20 @@ class DownloadHandler {
     try {
       const downloadId = downloadDelta.id;
       
-      const queueItem = this.downloadQueue.find(item => item.downloadId === downloadId);
+      if (this.zipDownloads.has(downloadId)) {
+        this._handleZipDownloadChanged(downloadDelta);
+        return;
+      }
+      
+      const queueItem = this.downloadQueue.find(item => item.downloadId === downloadId) ||
+        this.downloadQueue.find(item => (item.trackDownloads || []).some(track => track.downloadId === downloadId));
       if (!queueItem) return;
       
+      if (queueItem.trackDownloads) {
+        this._handleTrackDownloadChanged(queueItem, downloadDelta);
+        return;
+      }
+      
       if (downloadDelta.state) {
         queueItem.state = downloadDelta.state.current;
         
@@ -104,6 +141,28 @@ class DownloadHandler {
     }
   }
   
+  /**
+   * 处理流媒体轨道文件的状态变化，分轨保存的流媒体等所有文件都完成后才算完成
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} downloadDelta - 下载状态变化对象
+   * @private
+   */
+  _handleTrackDownloadChanged(queueItem, downloadDelta) {
+    if (!downloadDelta.state) return;
+    
+    const track = queueItem.trackDownloads.find(item => item.downloadId === downloadDelta.id);
+    
+    if (downloadDelta.state.current === 'complete') {
+      track.complete = true;
+      
+      if (queueItem.trackDownloads.every(item => item.complete)) {
+        this._handleDownloadComplete(queueItem);
+      }
+    } else if (downloadDelta.state.current === 'interrupted') {
+      this._handleDownloadInterrupted(queueItem, downloadDelta.error);
+    }
+  }
+  
   /**
    * 处理下载创建
    * @param {Object} downloadItem - 下载项对象
@@ -131,6 +190,7 @@ class DownloadHandler {
    * 处理确定文件名
    * @param {Object} downloadItem - 下载项对象
    * @param {Object} suggest - 建议函数
+   * @returns {boolean|undefined} - 需要异步获取页面信息时返回true
    * @private
    */
   _handleDeterminingFilename(downloadItem, suggest) {
@@ -141,12 +201,47 @@ class DownloadHandler {
         return;
       }
       
+      const template = this._getResourceTemplate(queueItem.resource) || this._getFilenameTemplate();
+      const needsPageInfo = !queueItem.fixedFilename &&
+        /\{(page_title|site|domain)\b/.test(template) && !queueItem.pageUrl;
+      
+      if (!needsPageInfo || !queueItem.tabId) {
+        this._suggestFilename(queueItem, downloadItem, template, suggest);
+        return;
+      }
+      
+      chrome.tabs.get(parseInt(queueItem.tabId, 10), tab => {
+        if (!chrome.runtime.lastError && tab) {
+          queueItem.pageUrl = tab.url;
+          queueItem.pageTitle = tab.title;
+        }
+        
+        this._suggestFilename(queueItem, downloadItem, template, suggest);
+      });
+      
+      return true;
+    } catch (e) {
+      console.warn('处理确定文件名错误:', e);
+      suggest();
+    }
+  }
+  
+  /**
+   * 根据文件名模板生成最终路径并回复建议
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} downloadItem - 下载项对象
+   * @param {string} template - 文件名模板
+   * @param {Function} suggest - 建议函数
+   * @private
+   */
+  _suggestFilename(queueItem, downloadItem, template, suggest) {
+    try {
       const settings = this.downloadSettings || {};
       
       let downloadPath = '';
       
       if (settings.categorizeByWebsite && queueItem.hostname) {
-        downloadPath += queueItem.hostname + '/';
+        downloadPath += FilenameTemplate.sanitizeSegment(queueItem.hostname) + '/';
       }
       
       if (settings.categorizeByType && queueItem.resource && queueItem.resource.type) {
@@ -154,15 +249,73 @@ class DownloadHandler {
         downloadPath += typeFolder + '/';
       }
       
-      let filename = queueItem.suggestedFilename || downloadItem.filename || '';
+      if (queueItem.resource && queueItem.resource.targetFolder) {
+        const folder = queueItem.resource.targetFolder
+          .split(/[/\\]/)
+          .map(segment => FilenameTemplate.sanitizeSegment(segment))
+          .filter(segment => segment && segment !== '..')
+          .join('/');
+        
+        if (folder) downloadPath += folder + '/';
+      }
+      
+      const context = FilenameTemplate.createContext(queueItem.resource || { url: queueItem.url }, {
+        pageUrl: queueItem.pageUrl,
+        pageTitle: queueItem.pageTitle,
+        index: queueItem.filenameIndex,
+        date: queueItem.addedTime,
+        filename: downloadItem.filename,
+        mimeType: downloadItem.mime
+      });
+      
+      // 重试或重新保存时先释放上一次预留的文件名，避免与自身冲突
+      if (queueItem.filenameReserved) {
+        this.reservedFilenames.delete(queueItem.suggestedFilename);
+      }
+      
+      const filename = FilenameTemplate.resolveCollision(
+        queueItem.fixedFilename || downloadPath + FilenameTemplate.render(template, context),
+        this.reservedFilenames
+      );
+      
+      queueItem.suggestedFilename = filename;
+      queueItem.filenameReserved = true;
+      this.reservedFilenames.add(filename);
       
-      suggest({ filename: downloadPath + filename });
+      suggest({ filename: filename, conflictAction: 'uniquify' });
     } catch (e) {
-      console.warn('处理确定文件名错误:', e);
+      console.warn('生成文件名错误:', e);
       suggest();
     }
   }
   
+  /**
+   * 获取规则为资源指定的文件名模板
+   * @param {Object} resource - 资源对象
+   * @returns {string|null} - 有效的模板，没有时返回null
+   * @private
+   */
+  _getResourceTemplate(resource) {
+    if (!resource || !resource.filenameTemplate) return null;
+    
+    return FilenameTemplate.validate(resource.filenameTemplate).valid ? resource.filenameTemplate : null;
+  }
+  
+  /**
+   * 获取当前生效的文件名模板
+   * @returns {string} - 文件名模板
+   * @private
+   */
+  _getFilenameTemplate() {
+    const settings = this.downloadSettings || {};
+    
+    if (settings.filenameFormat) {
+      return FilenameTemplate.getTemplate(settings.filenameFormat, settings.customFormat);
+    }
+    
+    return FilenameTemplate.getTemplate(this.defaultFilenameFormat);
+  }
+  
   /**
    * 处理下载完成
    * @param {Object} queueItem - 下载队列项
@@ -174,7 +327,8 @@ class DownloadHandler {
       queueItem.endTime = new Date();
       queueItem.success = true;
       
-      this._addToDownloadHistory(queueItem);
+      const historyItem = this._addToDownloadHistory(queueItem);
+      this._recordContentHash(queueItem, historyItem);
       
       this._removeFromQueue(queueItem);
       
@@ -195,6 +349,22 @@ class DownloadHandler {
    */
   _handleDownloadInterrupted(queueItem, error) {
     try {
+      const reason = error ? error.current : '';
+      
+      // 分块数据仍保存在IndexedDB中，保存文件中断时保留任务，恢复后重新合并保存
+      if (queueItem.taskId && reason !== 'USER_CANCELED') {
+        this._releaseDownloadBlob(queueItem);
+        queueItem.downloadId = null;
+        this._pauseChunkedDownload(queueItem, reason);
+        return;
+      }
+      
+      // 网络错误时，若服务器支持Range请求则改用分块下载重试一次
+      if (!queueItem.taskId && !queueItem.speedLimited && !queueItem.stream && !queueItem.chunkRetried && /^NETWORK_/.test(reason)) {
+        this._retryAsChunkedDownload(queueItem, error);
+        return;
+      }
+      
       queueItem.state = 'interrupted';
       queueItem.endTime = new Date();
       queueItem.success = false;
@@ -216,12 +386,14 @@ class DownloadHandler {
   /**
    * 添加到下载历史
    * @param {Object} queueItem - 下载队列项
+   * @returns {Object|null} - 历史项
    * @private
    */
   _addToDownloadHistory(queueItem) {
     try {
       const historyItem = {
         url: queueItem.url,
+        pageUrl: queueItem.pageUrl,
         filename: queueItem.filename,
         fileSize: queueItem.fileSize,
         startTime: queueItem.startTime,
@@ -241,11 +413,78 @@ class DownloadHandler {
       if (this.storageService) {
         this.storageService.saveDownloadHistory(this.downloadHistory);
       }
+      
+      return historyItem;
     } catch (e) {
       console.warn('添加到下载历史错误:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * 计算已完成下载的内容哈希并写入跨会话的重复下载索引
+   * 限速和分块下载的哈希由离屏文档在生成文件时计算；直接下载的文件只有大小已知且较小时才重新获取（通常命中浏览器缓存）后计算
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} [historyItem] - 对应的下载历史项，内容此前已下载过时记录在duplicateOf上
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _recordContentHash(queueItem, historyItem) {
+    try {
+      let hash = queueItem.contentHash;
+      let size = queueItem.totalBytes || null;
+      
+      if (!hash) {
+        if (!ContentHashService.canRefetch(size)) return;
+        
+        const result = await this.contentHashService.hashUrl(queueItem.url);
+        if (!result) return;
+        
+        hash = result.hash;
+        size = result.size;
+      }
+      
+      const { previous } = await this.contentHashService.recordDownload({
+        hash: hash,
+        url: queueItem.url,
+        pageUrl: queueItem.pageUrl,
+        filename: queueItem.filename || queueItem.suggestedFilename,
+        size: size,
+        mimeType: queueItem.resource ? queueItem.resource.contentType : null
+      });
+      
+      if (!historyItem) return;
+      
+      historyItem.contentHash = hash;
+      if (previous) {
+        historyItem.duplicateOf = {
+          filename: previous.filename,
+          downloadedAt: previous.downloadedAt,
+          url: previous.url
+        };
+      }
+      
+      if (this.storageService) {
+        this.storageService.saveDownloadHistory(this.downloadHistory);
+      }
+    } catch (e) {
+      console.warn('记录下载内容哈希错误:', e);
     }
   }
   
+  /**
+   * 查找资源此前的下载记录
+   * @param {Object} resource - 资源对象
+   * @param {boolean} [allowDuplicate] - 是否允许重复下载，为true时不查找
+   * @returns {Promise<Object|null>} - 内容哈希记录
+   * @private
+   */
+  async _findPreviousDownload(resource, allowDuplicate) {
+    if (allowDuplicate) return null;
+    
+    return this.contentHashService.findDuplicate(resource);
+  }
+  
   /**
    * 从队列中移除下载项
    * @param {Object} queueItem - 下载队列项
@@ -257,6 +496,10 @@ class DownloadHandler {
       if (index !== -1) {
         this.downloadQueue.splice(index, 1);
       }
+      
+      this.reservedFilenames.delete(queueItem.suggestedFilename);
+      this._releaseDownloadBlob(queueItem);
+      this._discardChunkedTask(queueItem);
     } catch (e) {
       console.warn('从队列中移除下载项错误:', e);
     }
@@ -338,29 +581,47 @@ class DownloadHandler {
    * @returns {boolean} - 是否需要异步响应
    */
   handleDownloadResource(message, sender, sendResponse) {
-    try {
-      const resource = message.resource;
-      const tabId = message.tabId || (sender.tab ? sender.tab.id.toString() : null);
-      
-      if (!resource || !resource.url) {
-        sendResponse({ success: false, error: '无效的资源' });
-        return false;
-      }
-      
-      const queueItem = this.addToDownloadQueue(resource, tabId);
-      
-      sendResponse({ 
-        success: true, 
-        queueItem: queueItem,
-        queuePosition: this.downloadQueue.indexOf(queueItem) + 1,
-        queueLength: this.downloadQueue.length
-      });
-      return false;
-    } catch (e) {
-      console.error('处理下载资源请求错误:', e);
-      sendResponse({ success: false, error: e.message });
+    const resource = message.resource;
+    const tabId = message.tabId || (sender.tab ? sender.tab.id.toString() : null);
+    
+    if (!resource || !resource.url) {
+      sendResponse({ success: false, error: '无效的资源' });
       return false;
     }
+    
+    // 此前下载过相同内容时先提示，调用方确认后带allowDuplicate重新请求
+    this._findPreviousDownload(resource, message.allowDuplicate)
+      .then(duplicate => {
+        if (duplicate) {
+          sendResponse({ success: false, error: ContentHashService.describe(duplicate), duplicate: duplicate });
+          return;
+        }
+        
+        const queueItem = this.addToDownloadQueue(resource, tabId, {
+          filename: message.filename,
+          pageUrl: message.pageUrl || (sender.tab ? sender.tab.url : undefined),
+          pageTitle: message.pageTitle || (sender.tab ? sender.tab.title : undefined)
+        }, {
+          chunked: message.chunked,
+          probe: message.probe,
+          stripMetadata: message.stripMetadata,
+          speedLimit: message.speedLimit,
+          stream: message.stream
+        });
+        
+        sendResponse({ 
+          success: true, 
+          queueItem: queueItem,
+          queuePosition: this.downloadQueue.indexOf(queueItem) + 1,
+          queueLength: this.downloadQueue.length
+        });
+      })
+      .catch(e => {
+        console.error('处理下载资源请求错误:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+    
+    return true;
   }
   
   /**
@@ -371,234 +632,1434 @@ class DownloadHandler {
    * @returns {boolean} - 是否需要异步响应
    */
   handleBatchDownloadResources(message, sender, sendResponse) {
-    try {
-      const resources = message.resources;
-      const tabId = message.tabId || (sender.tab ? sender.tab.id.toString() : null);
-      
-      if (!resources || !Array.isArray(resources) || resources.length === 0) {
-        sendResponse({ success: false, error: '无效的资源数组' });
-        return false;
-      }
-      
-      const queueItems = [];
-      
-      resources.forEach(resource => {
-        if (resource && resource.url) {
-          const queueItem = this.addToDownloadQueue(resource, tabId);
-          queueItems.push(queueItem);
-        }
-      });
-      
-      sendResponse({ 
-        success: true, 
-        queueItems: queueItems,
-        queueLength: this.downloadQueue.length,
-        addedCount: queueItems.length
-      });
-      return false;
-    } catch (e) {
-      console.error('处理批量下载资源请求错误:', e);
-      sendResponse({ success: false, error: e.message });
+    const resources = message.resources;
+    const tabId = message.tabId || (sender.tab ? sender.tab.id.toString() : null);
+    
+    if (!resources || !Array.isArray(resources) || resources.length === 0) {
+      sendResponse({ success: false, error: '无效的资源数组' });
       return false;
     }
+    
+    const pageUrl = message.pageUrl || (sender.tab ? sender.tab.url : undefined);
+    const validResources = resources.filter(resource => resource && resource.url);
+    
+    // 规则排除或低于质量阈值的资源不加入队列，并在响应中计数
+    const includedResources = validResources.filter(resource => this._getResourceStrategy(resource, pageUrl).shouldProcess);
+    const findDuplicates = message.allowDuplicate ?
+      Promise.resolve(new Map()) : this.contentHashService.findDuplicates(includedResources);
+    
+    // 此前下载过相同内容的资源被跳过，并在响应中列出
+    findDuplicates
+      .then(duplicates => {
+        const queueItems = [];
+        
+        includedResources.forEach(resource => {
+          if (duplicates.has(resource.url)) return;
+          
+          const queueItem = this.addToDownloadQueue(resource, tabId, {
+            index: queueItems.length + 1,
+            pageUrl: pageUrl,
+            pageTitle: message.pageTitle || (sender.tab ? sender.tab.title : undefined)
+          });
+          queueItems.push(queueItem);
+        });
+        
+        sendResponse({ 
+          success: true, 
+          queueItems: queueItems,
+          queueLength: this.downloadQueue.length,
+          addedCount: queueItems.length,
+          skippedCount: duplicates.size,
+          excludedCount: validResources.length - includedResources.length,
+          duplicates: Array.from(duplicates, ([url, record]) => ({ url, record }))
+        });
+      })
+      .catch(e => {
+        console.error('处理批量下载资源请求错误:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+    
+    return true;
   }
   
   /**
-   * 添加到下载队列
-   * @param {Object} resource - 资源对象
-   * @param {string} tabId - 标签页ID
-   * @returns {Object} - 下载队列项
+   * 处理将资源打包为ZIP下载的请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
    */
-  addToDownloadQueue(resource, tabId) {
-    try {
-      const queueItem = {
-        id: this._generateId(),
-        url: resource.url,
-        resource: resource,
-        tabId: tabId,
-        state: 'queued',
-        addedTime: new Date(),
-        startTime: null,
-        endTime: null,
-        bytesReceived: 0,
-        totalBytes: 0,
-        progress: 0,
-        downloadId: null,
-        filename: null,
-        fileSize: null,
-        suggestedFilename: this._getSuggestedFilename(resource),
-        hostname: this._getHostnameFromUrl(resource.url)
-      };
-      
-      this.downloadQueue.push(queueItem);
-      
-      this._processQueue();
-      
-      return queueItem;
-    } catch (e) {
-      console.error('添加到下载队列错误:', e);
-      throw e;
+  handleExportResourcesZip(message, sender, sendResponse) {
+    const resources = Array.isArray(message.resources) ?
+      message.resources.filter(resource => resource && resource.url) : [];
+    
+    if (resources.length === 0) {
+      sendResponse({ success: false, error: '无效的资源数组' });
+      return false;
     }
+    
+    this.exportResourcesAsZip(resources, {
+      exportId: message.exportId,
+      pageUrl: message.pageUrl || (sender.tab ? sender.tab.url : undefined),
+      pageTitle: message.pageTitle || (sender.tab ? sender.tab.title : undefined)
+    })
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    
+    return true;
   }
   
   /**
-   * 处理下载队列
-   * @private
+   * 在离屏文档中下载资源并打包为ZIP，再交给chrome.downloads保存为单个文件
+   * @param {Array} resources - 资源数组
+   * @param {Object} [options] - 打包选项
+   * @param {string} [options.exportId] - 打包任务ID，用于关联进度消息
+   * @param {string} [options.pageUrl] - 来源页面URL
+   * @param {string} [options.pageTitle] - 来源页面标题
+   * @returns {Promise<Object>} - { exportId, downloadId, filename, entryCount, failedCount }
    */
-  _processQueue() {
+  async exportResourcesAsZip(resources, options = {}) {
+    const settings = this.downloadSettings || {};
+    const exportId = options.exportId || this._generateId();
+    
+    this.zipExports.set(exportId, { completed: 0, failed: 0, total: resources.length, bytes: 0 });
+    
     try {
-      if (this.isProcessingQueue) return;
-      
-      this.isProcessingQueue = true;
+      await this._ensureOffscreenDocument();
       
-      const waitingItems = this.downloadQueue.filter(item => item.state === 'queued');
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.BUILD_ZIP_ARCHIVE,
+        exportId: exportId,
+        resources: resources,
+        pageUrl: options.pageUrl,
+        pageTitle: options.pageTitle,
+        template: this._getFilenameTemplate(),
+        compression: settings.zipCompression || DEFAULT_DOWNLOAD_SETTINGS.zipCompression,
+        stripMetadata: settings.stripImageMetadata || STRIP_MODES.NONE,
+        globalLimit: this.downloadSpeedLimit
+      });
       
-      while (waitingItems.length > 0 && this.activeDownloads < this.maxConcurrentDownloads) {
-        const nextItem = waitingItems.shift();
-        this._startDownload(nextItem);
-        this.activeDownloads++;
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'ZIP打包失败');
       }
       
-      this.isProcessingQueue = false;
-    } catch (e) {
-      console.warn('处理下载队列错误:', e);
-      this.isProcessingQueue = false;
+      const downloadId = await new Promise((resolve, reject) => {
+        chrome.downloads.download({
+          url: response.objectUrl,
+          filename: response.filename,
+          saveAs: false
+        }, id => {
+          if (chrome.runtime.lastError) {
+            reject(new Error(chrome.runtime.lastError.message));
+          } else {
+            resolve(id);
+          }
+        });
+      }).catch(error => {
+        this._releaseObjectUrl(response.objectUrl);
+        throw error;
+      });
+      
+      this.zipDownloads.set(downloadId, response.objectUrl);
+      
+      return {
+        exportId: exportId,
+        downloadId: downloadId,
+        filename: response.filename,
+        entryCount: response.entryCount,
+        failedCount: response.failedCount
+      };
+    } finally {
+      this.zipExports.delete(exportId);
     }
   }
   
   /**
-   * 开始下载
-   * @param {Object} queueItem - 下载队列项
-   * @private
+   * 处理ZIP打包进度消息
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
    */
-  _startDownload(queueItem) {
-    try {
-      queueItem.state = 'starting';
-      
-      const downloadOptions = {
-        url: queueItem.url,
-        filename: queueItem.suggestedFilename,
-        saveAs: false
-      };
-      
-      chrome.downloads.download(downloadOptions, downloadId => {
-        if (chrome.runtime.lastError) {
-          console.warn('开始下载错误:', chrome.runtime.lastError);
-          this._handleDownloadError(queueItem, chrome.runtime.lastError);
-        } else {
-          queueItem.downloadId = downloadId;
-          queueItem.state = 'in_progress';
-          this._notifyDownloadStarted(queueItem);
-        }
+  handleZipExportProgress(message, sender, sendResponse) {
+    if (this.zipExports.has(message.exportId)) {
+      this.zipExports.set(message.exportId, {
+        completed: message.completed,
+        failed: message.failed,
+        total: message.total,
+        bytes: message.bytes
       });
-    } catch (e) {
-      console.warn('开始下载错误:', e);
-      this._handleDownloadError(queueItem, e);
     }
+    
+    sendResponse({ success: true });
+    return false;
   }
   
   /**
-   * 通知下载开始
-   * @param {Object} queueItem - 下载队列项
-   * @private
+   * 处理多页抓取的页面资源检测请求（来自内容脚本），转发到离屏文档中的资源检测Worker
+   * @param {Object} message - 消息对象 { html, pageUrl }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
    */
-  _notifyDownloadStarted(queueItem) {
-    try {
-      chrome.runtime.sendMessage({
-        action: 'downloadStarted',
-        queueItem: queueItem
-      });
-    } catch (e) {
-      console.warn('通知下载开始错误:', e);
+  handleDetectPageResources(message, sender, sendResponse) {
+    if (!message.html || !message.pageUrl) {
+      sendResponse({ success: false, error: '无效的页面HTML或URL' });
+      return false;
     }
+    
+    this._ensureOffscreenDocument()
+      .then(() => chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.DETECT_PAGE_RESOURCES,
+        html: message.html,
+        pageUrl: message.pageUrl
+      }))
+      .then(response => sendResponse(response || { success: false, error: '离屏文档没有响应' }))
+      .catch(error => {
+        console.error('检测页面资源错误:', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
   }
   
   /**
-   * 处理下载错误
+   * ZIP文件保存结束后释放离屏文档中的对象URL
+   * @param {Object} downloadDelta - 下载状态变化对象
+   * @private
+   */
+  _handleZipDownloadChanged(downloadDelta) {
+    const state = downloadDelta.state ? downloadDelta.state.current : null;
+    
+    if (state !== 'complete' && state !== 'interrupted') return;
+    
+    this._releaseObjectUrl(this.zipDownloads.get(downloadDelta.id));
+    this.zipDownloads.delete(downloadDelta.id);
+  }
+  
+  /**
+   * 处理更新下载设置请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleUpdateDownloadSettings(message, sender, sendResponse) {
+    try {
+      const settings = message.settings;
+      
+      if (!settings || typeof settings !== 'object') {
+        sendResponse({ success: false, error: '无效的下载设置' });
+        return false;
+      }
+      
+      if (settings.customFormat) {
+        const validation = FilenameTemplate.validate(settings.customFormat);
+        if (!validation.valid) {
+          sendResponse({ success: false, error: validation.errors.join('; ') });
+          return false;
+        }
+      }
+      
+      this.downloadSettings = { ...(this.downloadSettings || {}), ...settings };
+      this.maxConcurrentDownloads = this.downloadSettings.maxConcurrentDownloads || 2;
+      this.downloadSpeedLimit = this.downloadSettings.downloadSpeedLimit || 0;
+      this.perDownloadSpeedLimit = this.downloadSettings.perDownloadSpeedLimit || 0;
+      this._configureChunkedDownloads();
+      this._processQueue();
+      
+      sendResponse({ success: true, settings: this.downloadSettings });
+      return false;
+    } catch (e) {
+      console.error('处理更新下载设置请求错误:', e);
+      sendResponse({ success: false, error: e.message });
+      return false;
+    }
+  }
+  
+  /**
+   * 处理获取下载队列请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleGetDownloadQueue(message, sender, sendResponse) {
+    sendResponse({
+      success: true,
+      queue: this.downloadQueue,
+      activeDownloads: this.activeDownloads
+    });
+    return false;
+  }
+  
+  /**
+   * 处理获取下载历史请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleGetDownloadHistory(message, sender, sendResponse) {
+    sendResponse({ success: true, history: this.downloadHistory });
+    return false;
+  }
+  
+  /**
+   * 处理清除下载历史请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleClearDownloadHistory(message, sender, sendResponse) {
+    try {
+      this.downloadHistory = [];
+      
+      if (this.storageService) {
+        this.storageService.saveDownloadHistory(this.downloadHistory);
+      }
+      
+      sendResponse({ success: true });
+    } catch (e) {
+      console.error('处理清除下载历史请求错误:', e);
+      sendResponse({ success: false, error: e.message });
+    }
+    return false;
+  }
+  
+  /**
+   * 处理取消下载请求，分块下载会同时删除已保存的分块，离屏文档中的限速和流媒体下载停止读取数据
+   * @param {Object} message - 消息对象 { id }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleCancelDownload(message, sender, sendResponse) {
+    try {
+      const queueItem = this.downloadQueue.find(item => item.id === message.id);
+      
+      if (!queueItem) {
+        sendResponse({ success: false, error: '下载项不存在' });
+        return false;
+      }
+      
+      const wasActive = this._isActiveDownload(queueItem);
+      
+      queueItem.state = 'cancelled';
+      queueItem.endTime = new Date();
+      queueItem.success = false;
+      queueItem.error = '下载已取消';
+      
+      this._removeFromQueue(queueItem);
+      
+      if (queueItem.downloadId) {
+        chrome.downloads.cancel(queueItem.downloadId, () => void chrome.runtime.lastError);
+      } else if (queueItem.trackDownloads) {
+        queueItem.trackDownloads.filter(track => track.downloadId).forEach(track => {
+          chrome.downloads.cancel(track.downloadId, () => void chrome.runtime.lastError);
+        });
+      } else if (queueItem.speedLimited || queueItem.stream) {
+        this._cancelOffscreenDownload(queueItem);
+      }
+      
+      chrome.runtime.sendMessage({
+        action: 'downloadCancelled',
+        queueItem: queueItem
+      }).catch(() => {});
+      
+      if (wasActive) {
+        this.activeDownloads--;
+        this._processQueue();
+      }
+      
+      sendResponse({ success: true });
+    } catch (e) {
+      console.error('处理取消下载请求错误:', e);
+      sendResponse({ success: false, error: e.message });
+    }
+    return false;
+  }
+  
+  /**
+   * 处理暂停下载请求：分块下载中止正在进行的分块请求并保留已完成的分块，普通下载交给chrome.downloads暂停
+   * @param {Object} message - 消息对象 { id }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handlePauseDownload(message, sender, sendResponse) {
+    try {
+      const queueItem = this.downloadQueue.find(item => item.id === message.id);
+      
+      if (!queueItem) {
+        sendResponse({ success: false, error: '下载项不存在' });
+        return false;
+      }
+      
+      if (queueItem.state === 'paused') {
+        sendResponse({ success: true, queueItem: queueItem });
+        return false;
+      }
+      
+      if (queueItem.state === 'queued') {
+        queueItem.state = 'paused';
+        this._notifyDownloadProgress(queueItem);
+        sendResponse({ success: true, queueItem: queueItem });
+        return false;
+      }
+      
+      if (queueItem.taskId && !queueItem.downloadId) {
+        const run = this.chunkedRuns.get(queueItem.id);
+        if (run) {
+          this.chunkedRuns.delete(queueItem.id);
+          run.controller.abort();
+        }
+        
+        this._pauseChunkedDownload(queueItem);
+        sendResponse({ success: true, queueItem: queueItem });
+        return false;
+      }
+      
+      if (!queueItem.downloadId) {
+        sendResponse({ success: false, error: '当前下载无法暂停' });
+        return false;
+      }
+      
+      chrome.downloads.pause(queueItem.downloadId, () => {
+        if (chrome.runtime.lastError) {
+          sendResponse({ success: false, error: chrome.runtime.lastError.message });
+          return;
+        }
+        
+        queueItem.state = 'paused';
+        this._notifyDownloadProgress(queueItem);
+        sendResponse({ success: true, queueItem: queueItem });
+      });
+      return true;
+    } catch (e) {
+      console.error('处理暂停下载请求错误:', e);
+      sendResponse({ success: false, error: e.message });
+      return false;
+    }
+  }
+  
+  /**
+   * 处理恢复下载请求：分块下载重新排队并从已完成的分块之后继续
+   * @param {Object} message - 消息对象 { id }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleResumeDownload(message, sender, sendResponse) {
+    try {
+      const queueItem = this.downloadQueue.find(item => item.id === message.id);
+      
+      if (!queueItem) {
+        sendResponse({ success: false, error: '下载项不存在' });
+        return false;
+      }
+      
+      if (queueItem.state !== 'paused') {
+        sendResponse({ success: true, queueItem: queueItem });
+        return false;
+      }
+      
+      if (!queueItem.downloadId) {
+        queueItem.state = 'queued';
+        queueItem.error = null;
+        this._notifyDownloadProgress(queueItem);
+        this._processQueue();
+        sendResponse({ success: true, queueItem: queueItem });
+        return false;
+      }
+      
+      chrome.downloads.resume(queueItem.downloadId, () => {
+        if (chrome.runtime.lastError) {
+          sendResponse({ success: false, error: chrome.runtime.lastError.message });
+          return;
+        }
+        
+        queueItem.state = 'in_progress';
+        this._notifyDownloadProgress(queueItem);
+        sendResponse({ success: true, queueItem: queueItem });
+      });
+      return true;
+    } catch (e) {
+      console.error('处理恢复下载请求错误:', e);
+      sendResponse({ success: false, error: e.message });
+      return false;
+    }
+  }
+  
+  /**
+   * 下载项是否占用并发下载名额
+   * @param {Object} queueItem - 下载队列项
+   * @returns {boolean} - 是否占用
+   * @private
+   */
+  _isActiveDownload(queueItem) {
+    return ['starting', 'in_progress', 'retrying'].includes(queueItem.state) ||
+      (queueItem.state === 'paused' && !!queueItem.downloadId);
+  }
+  
+  /**
+   * 添加到下载队列
+   * @param {Object} resource - 资源对象
+   * @param {string} tabId - 标签页ID
+   * @param {Object} [filenameInfo] - 文件名模板所需的附加信息
+   * @param {number} [filenameInfo.index] - 批量下载中的序号（从1开始）
+   * @param {string} [filenameInfo.pageUrl] - 来源页面URL
+   * @param {string} [filenameInfo.pageTitle] - 来源页面标题
+   * @param {string} [filenameInfo.filename] - 指定的文件名，不再套用文件名模板
+   * @param {Object} [options] - 下载选项
+   * @param {boolean} [options.chunked] - 是否要求使用分块下载
+   * @param {Object} [options.probe] - 已获取的Range支持探测结果
+   * @param {string} [options.stripMetadata] - 图片保存前移除的元数据（STRIP_MODES），不指定时使用设置
+   * @param {number} [options.speedLimit] - 覆盖单个下载速度限制（KB/s）
+   * @param {Object} [options.stream] - HLS/DASH流的下载选择 { type, variant, audio }
+   * @returns {Object} - 下载队列项
+   */
+  addToDownloadQueue(resource, tabId, filenameInfo = {}, options = {}) {
+    try {
+      resource = this._applyDownloadRules(resource, filenameInfo.pageUrl);
+      
+      const queueItem = {
+        id: this._generateId(),
+        url: resource.url,
+        resource: resource,
+        tabId: tabId,
+        state: 'queued',
+        addedTime: new Date(),
+        startTime: null,
+        endTime: null,
+        bytesReceived: 0,
+        totalBytes: 0,
+        progress: 0,
+        downloadId: null,
+        filename: null,
+        fileSize: null,
+        suggestedFilename: this._getSuggestedFilename(resource),
+        hostname: this._getHostnameFromUrl(resource.url),
+        filenameIndex: filenameInfo.index || ++this.filenameIndex,
+        pageUrl: filenameInfo.pageUrl || null,
+        pageTitle: filenameInfo.pageTitle || null,
+        fixedFilename: filenameInfo.filename || null,
+        chunked: !!options.chunked,
+        rangeProbe: options.probe || null,
+        stripMetadata: options.stripMetadata || null,
+        speedLimit: options.speedLimit > 0 ? options.speedLimit : 0,
+        stream: options.stream || null,
+        trackDownloads: null,
+        taskId: null,
+        chunks: null
+      };
+      
+      this.downloadQueue.push(queueItem);
+      
+      this._processQueue();
+      
+      return queueItem;
+    } catch (e) {
+      console.error('添加到下载队列错误:', e);
+      throw e;
+    }
+  }
+  
+  /**
+   * 用规则引擎计算资源的处理策略
+   * @param {Object} resource - 资源对象
+   * @param {string} [pageUrl] - 资源所在页面URL
+   * @returns {Object} - 处理策略 { shouldProcess, filenameTemplate, targetFolder, ... }
+   * @private
+   */
+  _getResourceStrategy(resource, pageUrl) {
+    const url = pageUrl || resource.pageUrl;
+    if (!url) return { shouldProcess: true };
+    
+    try {
+      return this.ruleEngine.getResourceStrategy(resource, this.ruleEngine.getPageContext({ url }));
+    } catch (e) {
+      console.warn('评估下载规则错误:', e);
+      return { shouldProcess: true };
+    }
+  }
+  
+  /**
+   * 按当前规则为要下载的资源设置文件名模板和下载子目录，规则没有指定时沿用资源加入时的设置
+   * @param {Object} resource - 资源对象
+   * @param {string} [pageUrl] - 资源所在页面URL
+   * @returns {Object} - 加入队列的资源对象
+   * @private
+   */
+  _applyDownloadRules(resource, pageUrl) {
+    const strategy = this._getResourceStrategy(resource, pageUrl);
+    
+    if (!strategy.filenameTemplate && !strategy.targetFolder) return resource;
+    
+    return {
+      ...resource,
+      filenameTemplate: strategy.filenameTemplate || resource.filenameTemplate,
+      targetFolder: strategy.targetFolder || resource.targetFolder
+    };
+  }
+  
+  /**
+   * 处理下载队列
+   * @private
+   */
+  _processQueue() {
+    try {
+      if (this.isProcessingQueue) return;
+      
+      this.isProcessingQueue = true;
+      
+      const waitingItems = this.downloadQueue.filter(item => item.state === 'queued');
+      
+      while (waitingItems.length > 0 && this.activeDownloads < this.maxConcurrentDownloads) {
+        const nextItem = waitingItems.shift();
+        this._startDownload(nextItem);
+        this.activeDownloads++;
+      }
+      
+      this.isProcessingQueue = false;
+    } catch (e) {
+      console.warn('处理下载队列错误:', e);
+      this.isProcessingQueue = false;
+    }
+  }
+  
+  /**
+   * 开始下载
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _startDownload(queueItem) {
+    try {
+      queueItem.state = 'starting';
+      
+      if (queueItem.taskId) {
+        this._startChunkedDownload(queueItem);
+        return;
+      }
+      
+      if (queueItem.stream) {
+        this._startStreamDownload(queueItem);
+        return;
+      }
+      
+      if (this._shouldSniffType(queueItem)) {
+        this._sniffAndStartDownload(queueItem);
+        return;
+      }
+      
+      if (this._shouldProbeRanges(queueItem)) {
+        this._probeAndStartDownload(queueItem);
+        return;
+      }
+      
+      this._startDirectDownload(queueItem);
+    } catch (e) {
+      console.warn('开始下载错误:', e);
+      this._handleDownloadError(queueItem, e);
+    }
+  }
+  
+  /**
+   * 不分块下载：设置了速度限制时走限速下载，否则直接交给chrome.downloads
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _startDirectDownload(queueItem) {
+    try {
+      if (this.downloadSpeedLimit > 0 || this.perDownloadSpeedLimit > 0 || queueItem.speedLimit > 0 ||
+          this._getMetadataStripMode(queueItem) !== STRIP_MODES.NONE) {
+        this._startThrottledDownload(queueItem);
+        return;
+      }
+      
+      const downloadOptions = {
+        url: queueItem.url,
+        filename: queueItem.fixedFilename || queueItem.suggestedFilename,
+        saveAs: false
+      };
+      
+      chrome.downloads.download(downloadOptions, downloadId => {
+        if (chrome.runtime.lastError) {
+          console.warn('开始下载错误:', chrome.runtime.lastError);
+          this._handleDownloadError(queueItem, chrome.runtime.lastError);
+        } else {
+          queueItem.downloadId = downloadId;
+          queueItem.state = 'in_progress';
+          this._notifyDownloadStarted(queueItem);
+        }
+      });
+    } catch (e) {
+      console.warn('开始下载错误:', e);
+      this._handleDownloadError(queueItem, e);
+    }
+  }
+  
+  /**
+   * 获取图片保存前需要移除的元数据
+   * @param {Object} queueItem - 下载队列项
+   * @returns {string} - 移除方式（STRIP_MODES）
+   * @private
+   */
+  _getMetadataStripMode(queueItem) {
+    const resource = queueItem.resource || {};
+    const mode = queueItem.stripMetadata || (this.downloadSettings || {}).stripImageMetadata;
+    
+    if (resource.type !== RESOURCE_TYPES.IMAGE || !/^(https?|blob|data):/i.test(queueItem.url)) {
+      return STRIP_MODES.NONE;
+    }
+    
+    return mode === STRIP_MODES.GPS || mode === STRIP_MODES.ALL ? mode : STRIP_MODES.NONE;
+  }
+  
+  /**
+   * 是否需要在下载前嗅探文件类型
+   * @param {Object} queueItem - 下载队列项
+   * @returns {boolean} - 是否嗅探
+   * @private
+   */
+  _shouldSniffType(queueItem) {
+    const settings = { ...DEFAULT_DOWNLOAD_SETTINGS, ...(this.downloadSettings || {}) };
+    
+    return settings.verifyFileType !== false && !queueItem.typeSniffed &&
+      this.mimeSniffService.needsSniffing(queueItem.resource);
+  }
+  
+  /**
+   * 读取文件开头识别真实类型，纠正资源类型和建议的文件名后继续下载
+   * 嗅探失败（服务器拒绝、网络错误）时按原有信息下载
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  async _sniffAndStartDownload(queueItem) {
+    queueItem.typeSniffed = true;
+    
+    try {
+      const sniffed = await this.mimeSniffService.sniff(queueItem.url);
+      
+      if (sniffed && queueItem.state === 'starting') {
+        queueItem.resource = this.mimeSniffService.applyToResource(queueItem.resource, sniffed);
+        queueItem.suggestedFilename = this._getSuggestedFilename(queueItem.resource);
+      }
+    } catch (e) {
+      console.warn('嗅探文件类型错误:', e);
+    }
+    
+    if (queueItem.state === 'starting') {
+      this._startDownload(queueItem);
+    }
+  }
+  
+  /**
+   * 是否需要先探测Range支持以决定使用分块下载
+   * @param {Object} queueItem - 下载队列项
+   * @returns {boolean} - 是否探测
+   * @private
+   */
+  _shouldProbeRanges(queueItem) {
+    const settings = { ...DEFAULT_DOWNLOAD_SETTINGS, ...(this.downloadSettings || {}) };
+    const resource = queueItem.resource || {};
+    
+    if (!settings.enableChunkedDownload || !/^https?:/i.test(queueItem.url)) return false;
+    if (queueItem.chunked || queueItem.rangeProbe) return true;
+    if (resource.type === RESOURCE_TYPES.IMAGE) return false;
+    
+    return !resource.size || resource.size >= this.chunkedDownloadService.minSize;
+  }
+  
+  /**
+   * 探测Range支持，满足条件时创建分块下载任务，否则直接下载
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  async _probeAndStartDownload(queueItem) {
+    try {
+      const probeResult = queueItem.rangeProbe || await this.chunkedDownloadService.probe(queueItem.url);
+      queueItem.rangeProbe = null;
+      
+      if (queueItem.state !== 'starting') return;
+      
+      if (this.chunkedDownloadService.shouldUseChunks(probeResult) ||
+          (queueItem.chunked && probeResult.supportsRanges)) {
+        await this._createChunkedTask(queueItem, probeResult);
+        this._startChunkedDownload(queueItem);
+        return;
+      }
+    } catch (e) {
+      console.warn('探测Range支持错误:', e);
+    }
+    
+    if (queueItem.state === 'starting') {
+      this._startDirectDownload(queueItem);
+    }
+  }
+  
+  /**
+   * 为下载项创建持久化的分块下载任务
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} probeResult - Range支持探测结果
+   * @returns {Promise<Object>} - 分块下载任务
+   * @private
+   */
+  async _createChunkedTask(queueItem, probeResult) {
+    const task = await this.chunkedDownloadService.createTask(queueItem.id, queueItem.url, probeResult, {
+      item: {
+        resource: queueItem.resource,
+        tabId: queueItem.tabId,
+        addedTime: queueItem.addedTime,
+        filenameIndex: queueItem.filenameIndex,
+        pageUrl: queueItem.pageUrl,
+        pageTitle: queueItem.pageTitle,
+        hostname: queueItem.hostname,
+        suggestedFilename: queueItem.suggestedFilename,
+        fixedFilename: queueItem.fixedFilename
+      }
+    });
+    
+    queueItem.taskId = task.id;
+    queueItem.chunked = true;
+    queueItem.fileSize = this._formatSize(task.totalBytes);
+    this._updateChunkProgress(queueItem, task);
+    
+    return task;
+  }
+  
+  /**
+   * 分块下载：并行下载未完成的分块并保存到IndexedDB，全部完成后由离屏文档合并成文件交给chrome.downloads保存
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  async _startChunkedDownload(queueItem) {
+    const controller = new AbortController();
+    let run = null;
+    
+    try {
+      let task = await this.chunkedDownloadService.getTask(queueItem.taskId);
+      if (!task) {
+        throw new Error('分块下载任务不存在');
+      }
+      
+      if (queueItem.state !== 'starting') return;
+      
+      queueItem.state = 'in_progress';
+      queueItem.error = null;
+      queueItem.startTime = queueItem.startTime || new Date();
+      this._updateChunkProgress(queueItem, task);
+      this._notifyDownloadStarted(queueItem);
+      
+      run = {
+        controller: controller,
+        promise: this._downloadChunksOffscreen(queueItem, task, controller.signal)
+      };
+      this.chunkedRuns.set(queueItem.id, run);
+      
+      await run.promise;
+      this.chunkedRuns.delete(queueItem.id);
+      
+      // 分块由离屏文档下载，重新读取任务获取最新的分块状态
+      task = await this.chunkedDownloadService.getTask(task.id) || task;
+      this._updateChunkProgress(queueItem, task);
+      this._notifyDownloadProgress(queueItem);
+      
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.ASSEMBLE_CHUNKED_DOWNLOAD,
+        taskId: task.id
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '合并分块失败');
+      }
+      
+      if (queueItem.state !== 'in_progress') {
+        this._releaseObjectUrl(response.objectUrl);
+        return;
+      }
+      
+      queueItem.objectUrl = response.objectUrl;
+      queueItem.contentHash = response.contentHash || null;
+      
+      chrome.downloads.download({
+        url: response.objectUrl,
+        filename: queueItem.fixedFilename || queueItem.suggestedFilename,
+        saveAs: false
+      }, downloadId => {
+        if (chrome.runtime.lastError) {
+          console.warn('保存分块下载文件错误:', chrome.runtime.lastError);
+          this._releaseDownloadBlob(queueItem);
+          this._pauseChunkedDownload(queueItem, chrome.runtime.lastError.message);
+          return;
+        }
+        
+        queueItem.downloadId = downloadId;
+        task.downloadId = downloadId;
+        this.chunkedDownloadService.saveTask(task).catch(() => {});
+      });
+    } catch (e) {
+      if (run && this.chunkedRuns.get(queueItem.id) === run) {
+        this.chunkedRuns.delete(queueItem.id);
+      }
+      
+      // 暂停和取消已由对应的处理函数更新了状态
+      if (controller.signal.aborted || !['starting', 'in_progress'].includes(queueItem.state)) return;
+      
+      console.warn('分块下载错误:', e);
+      
+      if (e.fatal || !run) {
+        this._handleDownloadError(queueItem, e);
+      } else {
+        this._pauseChunkedDownload(queueItem, e.message);
+      }
+    }
+  }
+  
+  /**
+   * 在离屏文档中下载任务的未完成分块，与限速下载和ZIP打包共享全局限速；signal中止时通知离屏文档停止
    * @param {Object} queueItem - 下载队列项
-   * @param {Error} error - 错误对象
+   * @param {Object} task - 分块下载任务
+   * @param {AbortSignal} signal - 暂停/取消信号
+   * @returns {Promise<void>}
    * @private
    */
-  _handleDownloadError(queueItem, error) {
+  async _downloadChunksOffscreen(queueItem, task, signal) {
+    const settings = { ...DEFAULT_DOWNLOAD_SETTINGS, ...(this.downloadSettings || {}) };
+    const onAbort = () => this._cancelOffscreenDownload(queueItem);
+    
+    await this._ensureOffscreenDocument();
+    if (signal.aborted) throw new Error('下载已暂停');
+    
+    signal.addEventListener('abort', onAbort);
+    
     try {
-      queueItem.state = 'error';
-      queueItem.error = error.message || '未知错误';
-      queueItem.endTime = new Date();
-      queueItem.success = false;
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.CHUNKED_DOWNLOAD,
+        id: queueItem.id,
+        taskId: task.id,
+        globalLimit: this.downloadSpeedLimit,
+        perDownloadLimit: this.perDownloadSpeedLimit,
+        concurrency: settings.chunkConcurrency
+      });
       
-      this._addToDownloadHistory(queueItem);
+      if (!response || !response.success) {
+        const error = new Error(response && response.error ? response.error : '分块下载失败');
+        error.fatal = !!(response && response.fatal);
+        throw error;
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  /**
+   * 处理离屏文档发来的分块下载进度
+   * @param {Object} message - 消息对象 { id, totalBytes, chunks }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleChunkedDownloadProgress(message, sender, sendResponse) {
+    const queueItem = this.downloadQueue.find(item => item.id === message.id);
+    
+    if (queueItem && queueItem.state === 'in_progress' && !queueItem.downloadId && Array.isArray(message.chunks)) {
+      this._updateChunkProgress(queueItem, { totalBytes: message.totalBytes, chunks: message.chunks });
+      this._notifyDownloadProgress(queueItem);
+    }
+    
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  /**
+   * 网络中断后探测Range支持，支持时改为分块下载重新排队，否则按失败处理
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} error - 下载中断错误
+   * @private
+   */
+  async _retryAsChunkedDownload(queueItem, error) {
+    queueItem.chunkRetried = true;
+    queueItem.state = 'retrying';
+    queueItem.downloadId = null;
+    
+    try {
+      const probeResult = await this.chunkedDownloadService.probe(queueItem.url);
       
-      this._removeFromQueue(queueItem);
+      if (probeResult.supportsRanges) {
+        await this._createChunkedTask(queueItem, probeResult);
+        
+        queueItem.state = 'queued';
+        this.activeDownloads--;
+        this._notifyDownloadProgress(queueItem);
+        this._processQueue();
+        return;
+      }
+    } catch (e) {
+      console.warn('改用分块下载重试错误:', e);
+    }
+    
+    this._handleDownloadInterrupted(queueItem, error);
+  }
+  
+  /**
+   * 把分块下载标记为暂停，保留已完成的分块以便继续
+   * @param {Object} queueItem - 下载队列项
+   * @param {string} [error] - 导致暂停的错误信息
+   * @private
+   */
+  _pauseChunkedDownload(queueItem, error) {
+    queueItem.state = 'paused';
+    queueItem.error = error || null;
+    
+    this.activeDownloads--;
+    this._notifyDownloadProgress(queueItem);
+    this._processQueue();
+  }
+  
+  /**
+   * 删除下载项的分块下载任务；任务仍在下载时先取消，等待其结束后再删除，避免已删除的任务被重新写入
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _discardChunkedTask(queueItem) {
+    if (!queueItem.taskId) return;
+    
+    const taskId = queueItem.taskId;
+    const run = this.chunkedRuns.get(queueItem.id);
+    const remove = () => this.chunkedDownloadService.remove(taskId)
+      .catch(e => console.warn('删除分块下载任务错误:', e));
+    
+    queueItem.taskId = null;
+    
+    if (run) {
+      this.chunkedRuns.delete(queueItem.id);
+      run.controller.abort();
+      run.promise.then(remove, remove);
+    } else {
+      remove();
+    }
+  }
+  
+  /**
+   * 用任务状态更新下载项的进度和分块信息
+   * @param {Object} queueItem - 下载队列项
+   * @param {Object} task - 分块下载任务
+   * @private
+   */
+  _updateChunkProgress(queueItem, task) {
+    queueItem.totalBytes = task.totalBytes;
+    queueItem.bytesReceived = this.chunkedDownloadService.getBytesReceived(task);
+    queueItem.chunks = task.chunks.map(chunk => ({
+      index: chunk.index,
+      status: chunk.status,
+      bytesReceived: chunk.bytesReceived,
+      size: chunk.end - chunk.start + 1
+    }));
+  }
+  
+  /**
+   * 根据当前设置更新分块下载参数
+   * @private
+   */
+  _configureChunkedDownloads() {
+    const settings = { ...DEFAULT_DOWNLOAD_SETTINGS, ...(this.downloadSettings || {}) };
+    
+    this.chunkedDownloadService.configure({
+      minSize: settings.chunkedDownloadThreshold * 1024 * 1024,
+      chunkSize: settings.downloadChunkSize * 1024 * 1024,
+      concurrency: settings.chunkConcurrency
+    });
+  }
+  
+  /**
+   * 从IndexedDB恢复Service Worker或浏览器重启前未完成的分块下载
+   * @private
+   */
+  async _restoreChunkedDownloads() {
+    try {
+      const tasks = await this.chunkedDownloadService.getTasks();
       
-      this._notifyDownloadFailed(queueItem, error);
+      for (const task of tasks) {
+        if (this.downloadQueue.some(item => item.taskId === task.id)) continue;
+        
+        const queueItem = {
+          ...(task.item || {}),
+          id: task.id,
+          url: task.url,
+          taskId: task.id,
+          chunked: true,
+          state: task.status === TASK_STATUS.PAUSED || task.status === TASK_STATUS.ERROR ? 'paused' : 'queued',
+          addedTime: task.item && task.item.addedTime ? new Date(task.item.addedTime) : new Date(task.createdAt),
+          startTime: null,
+          endTime: null,
+          progress: 0,
+          downloadId: null,
+          filename: null,
+          fileSize: this._formatSize(task.totalBytes),
+          error: task.error || null
+        };
+        
+        // 合并后的文件已交给浏览器保存，保存完成则清理任务，仍在保存则继续跟踪
+        if (task.status === TASK_STATUS.COMPLETE && task.downloadId) {
+          const [downloadItem] = await chrome.downloads.search({ id: task.downloadId });
+          
+          if (downloadItem && downloadItem.state === 'complete') {
+            await this.chunkedDownloadService.remove(task.id);
+            continue;
+          }
+          
+          if (downloadItem && downloadItem.state === 'in_progress') {
+            queueItem.state = 'in_progress';
+            queueItem.downloadId = task.downloadId;
+            this.activeDownloads++;
+          }
+        }
+        
+        this._updateChunkProgress(queueItem, task);
+        this.downloadQueue.push(queueItem);
+      }
       
-      this.activeDownloads--;
       this._processQueue();
     } catch (e) {
-      console.warn('处理下载错误错误:', e);
+      console.warn('恢复分块下载任务错误:', e);
     }
   }
   
   /**
-   * 获取建议的文件名
-   * @param {Object} resource - 资源对象
-   * @returns {string} - 建议的文件名
+   * 限速下载：chrome.downloads无法限速，由离屏文档按令牌桶读取数据，再把生成的对象URL交给chrome.downloads保存
+   * 需要移除图片元数据时也走这里，由离屏文档在生成对象URL前重写文件
+   * @param {Object} queueItem - 下载队列项
    * @private
    */
-  _getSuggestedFilename(resource) {
+  async _startThrottledDownload(queueItem) {
     try {
-      let filename = FileUtils.getValidFilename(resource.url);
+      await this._ensureOffscreenDocument();
+      
+      if (!this.downloadQueue.includes(queueItem)) return;
+      
+      const stripMode = this._getMetadataStripMode(queueItem);
+      
+      queueItem.state = 'in_progress';
+      queueItem.speedLimited = true;
+      this._notifyDownloadStarted(queueItem);
+      
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.THROTTLED_DOWNLOAD,
+        id: queueItem.id,
+        url: queueItem.url,
+        globalLimit: this.downloadSpeedLimit,
+        perDownloadLimit: queueItem.speedLimit || this.perDownloadSpeedLimit,
+        stripMetadata: stripMode
+      });
       
-      if (resource.filename) {
-        filename = FileUtils.getValidFilename(resource.filename);
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '限速下载失败');
       }
       
-      if (!filename || filename === '') {
-        const timestamp = Date.now();
-        const type = resource.type || RESOURCE_TYPES.OTHER;
-        const extension = this._getExtensionFromUrl(resource.url) || this._getExtensionFromType(type);
-        
-        filename = `${type.toLowerCase()}_${timestamp}${extension ? '.' + extension : ''}`;
+      // 下载期间已被取消
+      if (!this.downloadQueue.includes(queueItem)) {
+        this._releaseObjectUrl(response.objectUrl);
+        return;
       }
       
-      return filename;
+      queueItem.objectUrl = response.objectUrl;
+      queueItem.totalBytes = response.totalBytes;
+      queueItem.contentHash = response.contentHash || null;
+      queueItem.metadataStripped = response.metadataStripped ? stripMode : null;
+      
+      chrome.downloads.download({
+        url: response.objectUrl,
+        filename: queueItem.fixedFilename || queueItem.suggestedFilename,
+        saveAs: false
+      }, downloadId => {
+        if (chrome.runtime.lastError) {
+          console.warn('保存限速下载文件错误:', chrome.runtime.lastError);
+          this._handleDownloadError(queueItem, chrome.runtime.lastError);
+        } else {
+          queueItem.downloadId = downloadId;
+        }
+      });
     } catch (e) {
-      console.warn('获取建议的文件名错误:', e);
-      return `resource_${Date.now()}`;
+      // 取消时已由handleCancelDownload移出队列
+      if (!this.downloadQueue.includes(queueItem)) return;
+      
+      console.warn('限速下载错误:', e);
+      this._handleDownloadError(queueItem, e);
     }
   }
   
   /**
-   * 从URL中获取扩展名
-   * @param {string} url - URL
-   * @returns {string|null} - 扩展名或null
+   * 通知离屏文档中止下载项正在进行的限速下载
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _cancelOffscreenDownload(queueItem) {
+    chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: MESSAGE_ACTIONS.CANCEL_OFFSCREEN_DOWNLOAD,
+      id: queueItem.id
+    }).catch(() => {});
+  }
+  
+  /**
+   * 流媒体下载：HLS/DASH流的分片由离屏文档下载合并，与其他限速传输共享全局限速，再把每个轨道的对象URL交给chrome.downloads保存
+   * 下载不依赖弹出窗口，关闭弹出窗口后仍会继续。HLS流保存为单个文件，DASH流的视频和音频分别保存为独立文件
+   * @param {Object} queueItem - 下载队列项
    * @private
    */
-  _getExtensionFromUrl(url) {
+  async _startStreamDownload(queueItem) {
+    const settings = { ...DEFAULT_DOWNLOAD_SETTINGS, ...(this.downloadSettings || {}) };
+    
     try {
-      return URLUtils.getExtension(url);
+      await this._ensureOffscreenDocument();
+      
+      if (!this.downloadQueue.includes(queueItem)) return;
+      
+      queueItem.state = 'in_progress';
+      queueItem.startTime = queueItem.startTime || new Date();
+      this._notifyDownloadStarted(queueItem);
+      
+      const response = await chrome.runtime.sendMessage({
+        target: 'offscreen',
+        action: MESSAGE_ACTIONS.STREAM_DOWNLOAD,
+        id: queueItem.id,
+        url: queueItem.url,
+        streamType: queueItem.stream.type,
+        variant: queueItem.stream.variant,
+        audio: queueItem.stream.audio,
+        globalLimit: this.downloadSpeedLimit,
+        concurrency: settings.streamSegmentConcurrency,
+        maxRetries: settings.streamSegmentRetries
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '流媒体下载失败');
+      }
+      
+      // 下载期间已被取消
+      if (!this.downloadQueue.includes(queueItem)) {
+        response.tracks.forEach(track => this._releaseObjectUrl(track.objectUrl));
+        return;
+      }
+      
+      const baseFilename = queueItem.fixedFilename || queueItem.suggestedFilename;
+      const totalBytes = response.tracks.reduce((sum, track) => sum + track.totalBytes, 0);
+      
+      queueItem.trackDownloads = response.tracks.map(track => ({
+        kind: track.kind,
+        objectUrl: track.objectUrl,
+        filename: this._replaceExtension(baseFilename, track.extension, response.tracks.length > 1 ? `_${track.kind}` : ''),
+        downloadId: null,
+        complete: false
+      }));
+      queueItem.filename = queueItem.trackDownloads[0].filename;
+      queueItem.files = queueItem.trackDownloads.map(track => track.filename);
+      queueItem.segmentCount = response.segmentCount;
+      queueItem.variantLabel = response.tracks.map(track => track.label).filter(Boolean).join(' + ') || null;
+      queueItem.contentHash = response.tracks[0].contentHash || null;
+      queueItem.totalBytes = totalBytes;
+      queueItem.bytesReceived = totalBytes;
+      queueItem.fileSize = this._formatSize(totalBytes);
+      
+      for (const track of queueItem.trackDownloads) {
+        track.downloadId = await new Promise((resolve, reject) => {
+          chrome.downloads.download({
+            url: track.objectUrl,
+            filename: track.filename,
+            saveAs: false
+          }, downloadId => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve(downloadId);
+            }
+          });
+        });
+      }
     } catch (e) {
-      console.warn('从URL中获取扩展名错误:', e);
-      return null;
+      // 取消时已由handleCancelDownload移出队列
+      if (!this.downloadQueue.includes(queueItem)) return;
+      
+      console.warn('流媒体下载错误:', e);
+      this._handleDownloadError(queueItem, e);
+    }
+  }
+  
+  /**
+   * 处理离屏文档发来的流媒体下载进度，总大小在所有分片下载完成前未知，进度按分片数计算
+   * @param {Object} message - 消息对象 { id, progress, bytesReceived, completedSegments, totalSegments }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleStreamDownloadProgress(message, sender, sendResponse) {
+    const queueItem = this.downloadQueue.find(item => item.id === message.id);
+    
+    if (queueItem && !queueItem.trackDownloads) {
+      queueItem.progress = message.progress;
+      queueItem.bytesReceived = message.bytesReceived;
+      queueItem.completedSegments = message.completedSegments;
+      queueItem.totalSegments = message.totalSegments;
+      this._notifyDownloadProgress(queueItem);
+    }
+    
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  /**
+   * 确保离屏文档已创建
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _ensureOffscreenDocument() {
+    if (await chrome.offscreen.hasDocument()) return;
+    
+    if (!this.offscreenDocumentPromise) {
+      this.offscreenDocumentPromise = chrome.offscreen.createDocument({
+        url: 'offscreen.html',
+        reasons: [chrome.offscreen.Reason.BLOBS, chrome.offscreen.Reason.WORKERS],
+        justification: '限速下载、分块下载、流媒体下载和ZIP打包需要在文档环境中生成Blob对象URL，多页抓取需要在扩展页面中创建资源检测Worker'
+      }).finally(() => {
+        this.offscreenDocumentPromise = null;
+      });
+    }
+    
+    await this.offscreenDocumentPromise;
+  }
+  
+  /**
+   * 处理限速下载进度消息
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleThrottledDownloadProgress(message, sender, sendResponse) {
+    const queueItem = this.downloadQueue.find(item => item.id === message.id);
+    
+    if (queueItem && !queueItem.downloadId) {
+      queueItem.bytesReceived = message.bytesReceived;
+      queueItem.totalBytes = message.totalBytes;
+      this._notifyDownloadProgress(queueItem);
+    }
+    
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  /**
+   * 释放限速下载在离屏文档中生成的对象URL
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _releaseDownloadBlob(queueItem) {
+    (queueItem.trackDownloads || []).forEach(track => {
+      this._releaseObjectUrl(track.objectUrl);
+      track.objectUrl = null;
+    });
+    
+    if (!queueItem.objectUrl) return;
+    
+    this._releaseObjectUrl(queueItem.objectUrl);
+    queueItem.objectUrl = null;
+  }
+  
+  /**
+   * 通知离屏文档释放对象URL
+   * @param {string} objectUrl - 对象URL
+   * @private
+   */
+  _releaseObjectUrl(objectUrl) {
+    if (!objectUrl) return;
+    
+    chrome.runtime.sendMessage({
+      target: 'offscreen',
+      action: MESSAGE_ACTIONS.RELEASE_DOWNLOAD_BLOB,
+      objectUrl: objectUrl
+    }).catch(() => {});
+  }
+  
+  /**
+   * 通知下载开始
+   * @param {Object} queueItem - 下载队列项
+   * @private
+   */
+  _notifyDownloadStarted(queueItem) {
+    try {
+      chrome.runtime.sendMessage({
+        action: 'downloadStarted',
+        queueItem: queueItem
+      });
+    } catch (e) {
+      console.warn('通知下载开始错误:', e);
+    }
+  }
+  
+  /**
+   * 处理下载错误
+   * @param {Object} queueItem - 下载队列项
+   * @param {Error} error - 错误对象
+   * @private
+   */
+  _handleDownloadError(queueItem, error) {
+    try {
+      queueItem.state = 'error';
+      queueItem.error = error.message || '未知错误';
+      queueItem.endTime = new Date();
+      queueItem.success = false;
+      
+      this._addToDownloadHistory(queueItem);
+      
+      this._removeFromQueue(queueItem);
+      
+      this._notifyDownloadFailed(queueItem, error);
+      
+      this.activeDownloads--;
+      this._processQueue();
+    } catch (e) {
+      console.warn('处理下载错误错误:', e);
     }
   }
   
   /**
-   * 从资源类型获取扩展名
-   * @param {string} type - 资源类型
-   * @returns {string} - 扩展名
+   * 替换文件扩展名
+   * @param {string} filename - 文件名
+   * @param {string} extension - 新扩展名
+   * @param {string} [suffix=''] - 插入到扩展名前的后缀
+   * @returns {string} - 替换后的文件名
+   * @private
+   */
+  _replaceExtension(filename, extension, suffix = '') {
+    const lastSlash = filename.lastIndexOf('/');
+    const lastDot = filename.lastIndexOf('.');
+    const base = lastDot > lastSlash ? filename.substring(0, lastDot) : filename;
+    
+    return `${base}${suffix}.${extension}`;
+  }
+  
+  /**
+   * 获取建议的文件名
+   * @param {Object} resource - 资源对象
+   * @returns {string} - 建议的文件名
    * @private
    */
-  _getExtensionFromType(type) {
-    switch (type) {
-      case RESOURCE_TYPES.IMAGE:
-        return 'jpg';
-      case RESOURCE_TYPES.VIDEO:
-        return 'mp4';
-      case RESOURCE_TYPES.AUDIO:
-        return 'mp3';
-      default:
-        return 'bin';
+  _getSuggestedFilename(resource) {
+    try {
+      return FilenameTemplate.render(
+        PRESET_TEMPLATES[FILENAME_FORMATS.ORIGINAL],
+        FilenameTemplate.createContext(resource)
+      );
+    } catch (e) {
+      console.warn('获取建议的文件名错误:', e);
+      return `resource_${Date.now()}`;
     }
   }
   
@@ -6,8 +6,18 @@
  * @copyright © 2025 Resource Sniffer
  */
 
-import { RESOURCE_TYPES, SOURCE_TYPES } from '../../config/constants.js';
+import { RESOURCE_TYPES, SOURCE_TYPES, EXTENSION_TO_TYPE } from '../../config/constants.js';
 import URLUtils from '../../utils/url-utils.js';
+import MimeSniffer from '../../utils/mime-sniffer.js';
+import extractorRegistry from '../../extractors/index.js';
+import mimeSniffService from '../../services/mime-sniff-service.js';
+
+/**
+ * 可能是媒体文件的webRequest请求类型
+ * @type {Array<string>}
+ * @private
+ */
+const MEDIA_REQUEST_TYPES = ['image', 'media'];
 
 /**
  * 网络请求处理程序类
@@ -20,18 +30,21 @@ class RequestHandler {
    */
   constructor(resourceService) {
     this.resourceService = resourceService;
+    this.mimeSniffService = mimeSniffService;
     this.mediaTypes = {
       image: [
         'image/jpeg', 'image/png', 'image/gif', 'image/webp', 
-        'image/svg+xml', 'image/bmp', 'image/tiff', 'image/x-icon'
+        'image/svg+xml', 'image/bmp', 'image/tiff', 'image/x-icon',
+        'image/avif', 'image/heic', 'image/heif', 'image/jxl'
       ],
       video: [
         'video/mp4', 'video/webm', 'video/ogg', 'video/quicktime', 
-        'video/x-msvideo', 'video/x-matroska', 'video/x-flv', 'video/3gpp'
+        'video/x-msvideo', 'video/x-matroska', 'video/x-flv', 'video/3gpp',
+        'video/x-m4v'
       ],
       audio: [
         'audio/mpeg', 'audio/ogg', 'audio/wav', 'audio/webm', 
-        'audio/aac', 'audio/flac', 'audio/x-m4a'
+        'audio/aac', 'audio/flac', 'audio/x-m4a', 'audio/mp4'
       ],
       streaming: [
         'application/x-mpegURL', 'application/vnd.apple.mpegurl', 
@@ -78,6 +91,14 @@ class RequestHandler {
       }
       
       const contentType = this._getContentTypeFromHeaders(details.responseHeaders);
+      
+      this._extractSiteResources(details, contentType);
+      
+      if (MimeSniffer.isGenericType(contentType) && this._isPossibleMediaRequest(details)) {
+        this._sniffRequestResource(details);
+        return;
+      }
+      
       if (!contentType || !this._isMediaContentType(contentType)) {
         return;
       }
@@ -120,6 +141,68 @@ class RequestHandler {
     }
   }
   
+  /**
+   * 没有具体内容类型的响应是否可能是媒体文件：由img/video/audio发起，或URL带有媒体扩展名
+   * @param {Object} details - 请求详情
+   * @returns {boolean} - 是否可能
+   * @private
+   */
+  _isPossibleMediaRequest(details) {
+    if (details.tabId < 0 || !/^https?:/i.test(details.url)) return false;
+    if (MEDIA_REQUEST_TYPES.includes(details.type)) return true;
+    
+    const type = EXTENSION_TO_TYPE[URLUtils.getFileExtension(details.url)];
+    return type === RESOURCE_TYPES.IMAGE || type === RESOURCE_TYPES.VIDEO || type === RESOURCE_TYPES.AUDIO;
+  }
+  
+  /**
+   * 读取文件开头识别真实类型，是图片或音视频时按识别结果添加资源
+   * @param {Object} details - 请求详情
+   * @private
+   */
+  async _sniffRequestResource(details) {
+    try {
+      const sniffed = await this.mimeSniffService.sniff(details.url);
+      if (!sniffed || !this._isMediaContentType(sniffed.mime)) return;
+      
+      const resource = this._createResourceFromRequest(details, sniffed.mime);
+      
+      if (resource) {
+        this.resourceService.addResource(details.tabId.toString(),
+          this.mimeSniffService.applyToResource(resource, sniffed));
+      }
+    } catch (e) {
+      console.warn('嗅探请求资源类型错误:', e);
+    }
+  }
+  
+  /**
+   * 交给匹配发起页面的站点提取器识别资源
+   * @param {Object} details - 请求详情
+   * @param {string|null} contentType - 内容类型
+   * @private
+   */
+  _extractSiteResources(details, contentType) {
+    if (details.tabId < 0 || !details.initiator) return;
+    
+    const resources = extractorRegistry.extractFromResponse({
+      url: details.url,
+      type: details.type,
+      contentType: contentType,
+      responseHeaders: details.responseHeaders,
+      tabId: details.tabId
+    }, details.initiator);
+    
+    resources.forEach(resource => {
+      this.resourceService.addResource(details.tabId.toString(), {
+        filename: URLUtils.getFileName(resource.url) || 'network-resource',
+        quality: 'unknown',
+        requestId: details.requestId,
+        ...resource
+      });
+    });
+  }
+  
   /**
    * 从请求创建资源对象
    * @param {Object} details - 请求详情
@@ -6,7 +6,7 @@
  * @copyright © 2025 Resource Sniffer
  */
 
-import { SOURCE_TYPES } from '../../config/constants.js';
+import { SOURCE_TYPES, MESSAGE_ACTIONS } from '../../config/constants.js';
 import ResourceUtils from '../../utils/resource-utils.js';
 
 /**
@@ -17,9 +17,11 @@ class ResourceHandler {
   /**
    * 创建资源处理程序实例
    * @param {Object} resourceService - 资源服务实例
+   * @param {Object} mseCaptureService - MSE流捕获管理服务实例
    */
-  constructor(resourceService) {
+  constructor(resourceService, mseCaptureService) {
     this.resourceService = resourceService;
+    this.mseCaptureService = mseCaptureService;
   }
   
   /**
@@ -359,6 +361,7 @@ class ResourceHandler {
       
       console.log(`内容脚本已初始化: 标签页 ${tabId}, URL: ${url}`);
       
+      this.resourceService.setPageUrl(tabId, url);
       
       sendResponse({ success: true });
       return false;
@@ -430,6 +433,121 @@ class ResourceHandler {
       return false;
     }
   }
+  
+  /**
+   * 处理自动滚动收集进度
+   * 收集到的资源已通过ADD_DOM_RESOURCES添加，进度由弹出窗口直接接收显示，这里只记录结束状态
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleAutoCollectProgress(message, sender, sendResponse) {
+    const progress = message.progress || {};
+    
+    if (progress.state && progress.state !== 'running') {
+      console.log(`标签页 ${sender.tab ? sender.tab.id : '未知'} 自动收集结束: ${progress.reason || progress.state}，新增 ${progress.newResources || 0} 个资源`);
+    }
+    
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  /**
+   * 处理多页抓取进度
+   * 抓取到的资源已通过ADD_DOM_RESOURCES添加到发起抓取的标签页，这里只记录结束状态
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handlePageCrawlProgress(message, sender, sendResponse) {
+    const progress = message.progress || {};
+    
+    if (progress.state && progress.state !== 'running') {
+      console.log(`标签页 ${sender.tab ? sender.tab.id : '未知'} 多页抓取结束: ${progress.reason || progress.state}，抓取 ${progress.pagesVisited || 0} 个页面，新增 ${progress.resourceCount || 0} 个资源`);
+    }
+    
+    sendResponse({ success: true });
+    return false;
+  }
+  
+  /**
+   * 处理开启或关闭标签页的MSE流捕获（来自弹出窗口），并通知标签页中的内容脚本
+   * @param {Object} message - 消息对象 { tabId, enabled }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleSetMSECapture(message, sender, sendResponse) {
+    const tabId = message.tabId;
+    
+    if (!tabId) {
+      sendResponse({ success: false, error: '无效的标签页ID' });
+      return false;
+    }
+    
+    this.mseCaptureService.setEnabled(tabId, !!message.enabled)
+      .then(status => {
+        chrome.tabs.sendMessage(tabId, {
+          action: MESSAGE_ACTIONS.SET_MSE_CAPTURE,
+          enabled: status.enabled
+        }, () => {
+          // 页面上没有内容脚本时忽略，页面加载后会按开启状态自动开始捕获
+          if (chrome.runtime.lastError) return;
+        });
+        
+        sendResponse({ success: true, ...status });
+      })
+      .catch(e => {
+        console.error('设置MSE流捕获错误:', e);
+        sendResponse({ success: false, error: e.message });
+      });
+    
+    return true;
+  }
+  
+  /**
+   * 处理获取MSE流捕获状态，弹出窗口通过message.tabId查询，内容脚本查询自己所在的标签页
+   * @param {Object} message - 消息对象 { tabId }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleGetMSECaptureStatus(message, sender, sendResponse) {
+    const tabId = message.tabId || (sender.tab ? sender.tab.id : null);
+    
+    if (!tabId) {
+      sendResponse({ success: false, error: '无效的标签页ID' });
+      return false;
+    }
+    
+    this.mseCaptureService.getStatus(tabId)
+      .then(status => sendResponse({ success: true, ...status }))
+      .catch(e => sendResponse({ success: false, error: e.message }));
+    
+    return true;
+  }
+  
+  /**
+   * 处理内容脚本申请或归还MSE流捕获的缓存额度，同一标签页的所有框架共享额度
+   * @param {Object} message - 消息对象 { bytes, released }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleRequestMSECaptureQuota(message, sender, sendResponse) {
+    if (!sender.tab) {
+      sendResponse({ success: false, error: '无效的标签页ID' });
+      return false;
+    }
+    
+    this.mseCaptureService.requestQuota(sender.tab.id, message.bytes, message.released)
+      .then(granted => sendResponse({ success: true, granted: granted }))
+      .catch(e => sendResponse({ success: false, error: e.message }));
+    
+    return true;
+  }
 }
 
 export default ResourceHandler;
@@ -0,0 +1,113 @@
+/**
+ * @file rule-pack-handler.js
+ * @description 规则包处理程序，处理设置面板发来的规则包导入、导出、启用和删除请求
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 规则包处理程序类
+ * 规则包保存后由后台监听存储变化重新加载到规则引擎，这里只负责读写规则包
+ * @class RulePackHandler
+ */
+class RulePackHandler {
+  /**
+   * 创建规则包处理程序实例
+   * @param {Object} rulePackService - 规则包服务实例
+   */
+  constructor(rulePackService) {
+    this.rulePackService = rulePackService;
+  }
+  
+  /**
+   * 处理获取规则包列表请求
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleListRulePacks(message, sender, sendResponse) {
+    return this._respond(sendResponse, async () => ({
+      packs: await this.rulePackService.listPacks()
+    }), '获取规则包列表错误:');
+  }
+  
+  /**
+   * 处理导入规则包请求
+   * @param {Object} message - 消息对象 { source: 规则包JSON文本 }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleImportRulePack(message, sender, sendResponse) {
+    return this._respond(sendResponse, async () => {
+      const pack = await this.rulePackService.importPack(message.source);
+      
+      return {
+        pack: { name: pack.name, ruleCount: pack.rules.length, enabled: pack.enabled !== false }
+      };
+    }, '导入规则包错误:');
+  }
+  
+  /**
+   * 处理导出规则包请求
+   * @param {Object} message - 消息对象 { name }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleExportRulePack(message, sender, sendResponse) {
+    return this._respond(sendResponse, async () => ({
+      text: await this.rulePackService.exportPack(message.name)
+    }), '导出规则包错误:');
+  }
+  
+  /**
+   * 处理启用或停用规则包请求
+   * @param {Object} message - 消息对象 { name, enabled }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleSetRulePackEnabled(message, sender, sendResponse) {
+    return this._respond(sendResponse, async () => {
+      await this.rulePackService.setPackEnabled(message.name, message.enabled);
+      return {};
+    }, '设置规则包状态错误:');
+  }
+  
+  /**
+   * 处理删除规则包请求
+   * @param {Object} message - 消息对象 { name }
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   */
+  handleRemoveRulePack(message, sender, sendResponse) {
+    return this._respond(sendResponse, async () => ({
+      removed: await this.rulePackService.removePack(message.name)
+    }), '删除规则包错误:');
+  }
+  
+  /**
+   * 执行异步操作并回复结果
+   * @param {Function} sendResponse - 回复函数
+   * @param {Function} run - 返回回复内容的异步函数
+   * @param {string} errorLabel - 错误日志前缀
+   * @returns {boolean} - 需要异步响应
+   * @private
+   */
+  _respond(sendResponse, run, errorLabel) {
+    run()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => {
+        console.error(errorLabel, error);
+        sendResponse({ success: false, error: error.message });
+      });
+    
+    return true;
+  }
+}
+
+export default RulePackHandler;
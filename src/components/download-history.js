@@ -7,6 +7,7 @@
  */
 
 import { RESOURCE_TYPES } from '../config/constants.js';
+import { ContentHashService } from '../services/content-hash-service.js';
 
 /**
  * 下载历史组件类
@@ -244,6 +245,7 @@ class DownloadHistory {
           <span class="history-time">${timestamp}</span>
           <span class="history-status ${statusClass}">${statusText}</span>
         </div>
+        <div class="history-duplicate"></div>
       </div>
       <div class="history-actions">
         <button class="redownload-btn" data-id="${item.id}" title="重新下载">
@@ -255,6 +257,14 @@ class DownloadHistory {
       </div>
     `;
     
+    const duplicateNote = historyItem.querySelector('.history-duplicate');
+    if (item.duplicateOf) {
+      duplicateNote.textContent = `相同内容${ContentHashService.describe(item.duplicateOf)}`;
+      duplicateNote.title = item.duplicateOf.url || '';
+    } else {
+      duplicateNote.remove();
+    }
+    
     this._setupHistoryItemEvents(historyItem, item);
     
     return historyItem;
@@ -297,7 +307,7 @@ class DownloadHistory {
   _redownloadItem(item) {
     if (!this.downloadService) return;
     
-    this.downloadService.download(item.resource)
+    this.downloadService.download(item.resource, { allowDuplicate: true })
       .then(result => {
         console.log('重新下载结果:', result);
         this._showToast(`已添加到下载队列: ${item.resource.filename || '资源'}`);
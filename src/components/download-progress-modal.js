@@ -0,0 +1,315 @@
+/**
+ * @file download-progress-modal.js
+ * @description 下载进度模态框组件，显示进行中和排队的下载，分块下载显示每个分块的进度
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 下载状态显示文本
+ * @type {Object}
+ * @private
+ */
+const STATUS_LABELS = {
+  queued: '排队中',
+  downloading: '下载中',
+  paused: '已暂停'
+};
+
+/**
+ * 分块状态显示文本
+ * @type {Object}
+ * @private
+ */
+const CHUNK_STATUS_LABELS = {
+  pending: '等待',
+  downloading: '下载中',
+  complete: '已完成'
+};
+
+/**
+ * 下载进度模态框组件类
+ * @class DownloadProgressModal
+ */
+class DownloadProgressModal {
+  /**
+   * 创建下载进度模态框组件
+   * @param {string} modalId - 模态框元素ID
+   * @param {Object} downloadService - 下载服务实例
+   */
+  constructor(modalId, downloadService) {
+    this.modal = document.getElementById(modalId);
+    this.downloadService = downloadService;
+    this.container = null;
+    this.queueCount = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (!this.modal) {
+      console.error('下载进度模态框未找到');
+      return;
+    }
+
+    this.container = this.modal.querySelector('#active-downloads-container');
+    this.queueCount = this.modal.querySelector('#queue-count');
+
+    this._setupEventListeners();
+    this._setupServiceListeners();
+    this.render();
+
+    console.log('下载进度模态框组件已初始化');
+  }
+
+  /**
+   * 打开模态框
+   */
+  open() {
+    this.isOpen = true;
+    this.modal.classList.add('open');
+    this.render();
+  }
+
+  /**
+   * 关闭模态框
+   */
+  close() {
+    this.isOpen = false;
+    this.modal.classList.remove('open');
+  }
+
+  /**
+   * 切换模态框显示
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * 渲染所有进行中和排队的下载
+   */
+  render() {
+    if (!this.container) return;
+
+    const items = this._getVisibleDownloads();
+    const queued = items.filter(item => item.status === 'queued').length;
+
+    if (this.queueCount) {
+      this.queueCount.textContent = queued;
+    }
+
+    if (items.length === 0) {
+      this.container.innerHTML = '<div class="empty-downloads">没有进行中的下载</div>';
+      return;
+    }
+
+    this.container.innerHTML = items.map(item => this._renderItem(item)).join('');
+  }
+
+  /**
+   * 设置模态框事件监听器
+   * @private
+   */
+  _setupEventListeners() {
+    this.modal.querySelectorAll('.close-modal, #close-progress-modal').forEach(button => {
+      button.addEventListener('click', () => this.close());
+    });
+
+    this.modal.addEventListener('click', (e) => {
+      if (e.target === this.modal) {
+        this.close();
+        return;
+      }
+
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const id = button.closest('.download-item').dataset.id;
+
+      switch (button.dataset.action) {
+        case 'pause':
+          this.downloadService.pauseDownload(id);
+          break;
+        case 'resume':
+          this.downloadService.resumeDownload(id);
+          break;
+        case 'cancel':
+          this.downloadService.cancelDownload(id);
+          break;
+      }
+    });
+  }
+
+  /**
+   * 订阅下载服务事件
+   * @private
+   */
+  _setupServiceListeners() {
+    this.downloadService.addEventListener('onQueueChange', () => this.render());
+    this.downloadService.addEventListener('onComplete', () => this.render());
+    this.downloadService.addEventListener('onError', () => this.render());
+    this.downloadService.addEventListener('onProgress', (data) => this._updateItem(data.id));
+  }
+
+  /**
+   * 只更新单个下载项，避免频繁的进度事件重绘整个列表
+   * @param {string} id - 下载ID
+   * @private
+   */
+  _updateItem(id) {
+    if (!this.container) return;
+
+    const element = this.container.querySelector(`.download-item[data-id="${id}"]`);
+    const item = this._getVisibleDownloads().find(download => download.id === id);
+
+    if (!element || !item) {
+      this.render();
+      return;
+    }
+
+    element.outerHTML = this._renderItem(item);
+  }
+
+  /**
+   * 获取需要显示的下载项
+   * @returns {Array} - 下载项数组
+   * @private
+   */
+  _getVisibleDownloads() {
+    const activeDownloads = this.downloadService.getActiveDownloads();
+
+    return this.downloadService.getDownloadQueue()
+      .filter(item => STATUS_LABELS[item.status])
+      .map(item => {
+        const activeDownload = activeDownloads[item.id] || {};
+
+        return {
+          id: item.id,
+          status: item.status,
+          filename: activeDownload.filename || this._getNameFromUrl(item.resource.url),
+          progress: activeDownload.progress || 0,
+          bytesReceived: activeDownload.bytesReceived || 0,
+          totalBytes: activeDownload.totalBytes || 0,
+          chunks: activeDownload.chunks || [],
+          error: activeDownload.error || null,
+          canPause: !!activeDownload.isChunked || !!activeDownload.chromeDownloadId
+        };
+      });
+  }
+
+  /**
+   * 渲染单个下载项
+   * @param {Object} item - 下载项
+   * @returns {string} - HTML字符串
+   * @private
+   */
+  _renderItem(item) {
+    const completedChunks = item.chunks.filter(chunk => chunk.status === 'complete').length;
+    const progressText = item.chunks.length > 0 ?
+      `${item.progress}% · ${completedChunks}/${item.chunks.length} 分块` :
+      `${item.progress}%`;
+    const sizeText = item.totalBytes > 0 ?
+      `${this._formatSize(item.bytesReceived)} / ${this._formatSize(item.totalBytes)}` : '';
+
+    let actions = '';
+    if (item.status === 'paused') {
+      actions += '<button data-action="resume" title="继续">▶</button>';
+    } else if (item.status === 'downloading' && item.canPause) {
+      actions += '<button data-action="pause" title="暂停">⏸</button>';
+    }
+    actions += '<button data-action="cancel" title="取消">✕</button>';
+
+    return `
+      <div class="download-item ${item.status}" data-id="${item.id}">
+        <div class="download-item-header">
+          <span class="download-filename" title="${this._escapeHtml(item.filename)}">${this._escapeHtml(item.filename)}</span>
+          <span class="download-status">${STATUS_LABELS[item.status]}</span>
+          <span class="download-actions">${actions}</span>
+        </div>
+        <div class="download-progress-bar">
+          <div class="download-progress-fill" style="width: ${item.progress}%"></div>
+        </div>
+        ${this._renderChunks(item.chunks)}
+        <div class="download-details">
+          <span class="download-progress-text">${progressText}</span>
+          <span class="download-size">${sizeText}</span>
+        </div>
+        ${item.error ? `<div class="download-error">${this._escapeHtml(item.error)}</div>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * 渲染分块进度条，每个分块按其大小占据相应宽度
+   * @param {Array} chunks - 分块信息数组
+   * @returns {string} - HTML字符串
+   * @private
+   */
+  _renderChunks(chunks) {
+    if (!chunks || chunks.length === 0) return '';
+
+    const segments = chunks.map(chunk => {
+      const percent = chunk.size > 0 ? Math.round((chunk.bytesReceived / chunk.size) * 100) : 0;
+      const title = `分块 ${chunk.index + 1}: ${CHUNK_STATUS_LABELS[chunk.status] || chunk.status} ${percent}%`;
+
+      return `<span class="download-chunk ${chunk.status}" style="flex-grow: ${chunk.size}" title="${title}">` +
+        `<span class="download-chunk-fill" style="width: ${percent}%"></span></span>`;
+    });
+
+    return `<div class="download-chunks">${segments.join('')}</div>`;
+  }
+
+  /**
+   * 从URL中获取文件名
+   * @param {string} url - URL
+   * @returns {string} - 文件名
+   * @private
+   */
+  _getNameFromUrl(url) {
+    try {
+      const pathname = new URL(url).pathname;
+      return decodeURIComponent(pathname.split('/').pop()) || url;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 转义HTML特殊字符
+   * @param {string} text - 文本
+   * @returns {string} - 转义后的文本
+   * @private
+   */
+  _escapeHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * 格式化文件大小
+   * @param {number} bytes - 字节数
+   * @returns {string} - 格式化后的大小
+   * @private
+   */
+  _formatSize(bytes) {
+    if (!bytes) return '0 B';
+
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(1024));
+
+    return parseFloat((bytes / Math.pow(1024, i)).toFixed(2)) + ' ' + units[i];
+  }
+}
+
+export default DownloadProgressModal;
@@ -8,6 +8,10 @@
 
 import loggingService, { LogLevel, LogCategory } from '../services/logging-service.js';
 import LogViewer from './log-viewer.js';
+import remoteLogQueue from '../services/remote-log-queue.js';
+import FileUtils from '../utils/file-utils.js';
+import LogQuery from '../utils/log-query.js';
+import alertRuleService, { DEFAULT_ALERT_RULE, ALERT_GROUP_BY } from '../services/alert-rule-service.js';
 import Chart from '../libs/chart.min.js';
 
 /**
@@ -31,8 +35,14 @@ export class LogTab {
     this.statsVisible = false;
     this.statsChart = null;
     
+    this.alertsVisible = false;
+    
     this.searchHistory = [];
     this.maxSearchHistory = 10;
+    this.savedQueries = []; // { name, query }
+    this.maxSavedQueries = 20;
+    this.searchInHistory = false; // 是否同时查询IndexedDB中的历史日志
+    this.showingHistory = false;
     this._loadSearchHistory();
   }
   
@@ -75,6 +85,10 @@ export class LogTab {
               <span class="icon">📊</span>
               <span class="label">统计</span>
             </button>
+            <button id="toggle-alerts" class="control-button" title="告警规则和告警历史">
+              <span class="icon">🔔</span>
+              <span class="label">告警</span>
+            </button>
           </div>
           
           <div class="log-control-group">
@@ -106,12 +120,21 @@ export class LogTab {
           <div class="log-control-group">
             <div class="log-search">
               <div class="search-input-container">
-                <input type="text" id="log-search" placeholder="搜索日志...">
+                <input type="text" id="log-search" placeholder="搜索日志... 例如 level>=warn category:download since:2h"
+                  title="字段: level、category、message、id、since、until、data.路径；运算符: : = != > >= < <=；组合: AND、OR、NOT（或前缀-）和括号">
                 <div id="search-history-dropdown" class="search-history-dropdown"></div>
+                <div id="log-search-error" class="log-search-error" hidden></div>
               </div>
               <button id="search-logs" class="control-button">
                 <span class="icon">🔍</span>
               </button>
+              <button id="save-log-query" class="control-button" title="保存当前查询">
+                <span class="icon">☆</span>
+              </button>
+              <label class="search-in-history" title="同时查询IndexedDB中压缩保存的历史日志">
+                <input type="checkbox" id="search-in-history">
+                含历史
+              </label>
             </div>
             
             <div class="auto-refresh-container">
@@ -152,11 +175,44 @@ export class LogTab {
           </div>
         </div>
         
+        <div id="log-alerts-container" class="log-alerts-container" hidden>
+          <div class="alerts-section">
+            <div class="stats-header">
+              <h3>告警规则</h3>
+            </div>
+            <ul id="alert-rule-list" class="alert-rule-list"></ul>
+            <form id="alert-rule-form" class="alert-rule-form">
+              <input type="text" name="name" placeholder="规则名称">
+              <input type="text" name="query" placeholder="查询，例如 category:download level:error">
+              <label>达到 <input type="number" name="threshold" min="1" step="1" value="${DEFAULT_ALERT_RULE.threshold}"> 条</label>
+              <label>窗口 <input type="number" name="windowMinutes" min="1" value="${DEFAULT_ALERT_RULE.windowMinutes}"> 分钟</label>
+              <select name="groupBy">
+                <option value="${ALERT_GROUP_BY.NONE}">不分组</option>
+                <option value="${ALERT_GROUP_BY.DOMAIN}">按域名</option>
+                <option value="${ALERT_GROUP_BY.CATEGORY}">按类别</option>
+              </select>
+              <label>冷却 <input type="number" name="cooldownMinutes" min="0" value="${DEFAULT_ALERT_RULE.cooldownMinutes}"> 分钟</label>
+              <button type="submit" class="control-button">添加规则</button>
+              <div id="alert-rule-error" class="log-search-error" hidden></div>
+            </form>
+          </div>
+          <div class="alerts-section">
+            <div class="stats-header">
+              <h3>告警历史</h3>
+              <button id="clear-alert-history" class="stats-button" title="清除告警历史">
+                <span class="icon">🗑️</span>
+              </button>
+            </div>
+            <ul id="alert-history-list" class="alert-history-list"></ul>
+          </div>
+        </div>
+        
         <div id="log-viewer-container" class="log-viewer-container"></div>
         
         <div class="log-status-bar">
           <span id="log-count">0 条日志</span>
           <span id="log-filter-status"></span>
+          <span id="remote-log-queue" class="remote-log-queue-status" hidden></span>
           <span id="log-last-updated"></span>
         </div>
       </div>
@@ -218,6 +274,36 @@ export class LogTab {
       });
     }
     
+    const toggleAlertsBtn = document.getElementById('toggle-alerts');
+    if (toggleAlertsBtn) {
+      toggleAlertsBtn.addEventListener('click', () => {
+        this._toggleAlerts();
+      });
+    }
+    
+    const alertRuleForm = document.getElementById('alert-rule-form');
+    if (alertRuleForm) {
+      alertRuleForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this._addAlertRule(alertRuleForm);
+      });
+      
+      alertRuleForm.elements.query.addEventListener('input', () => {
+        const query = alertRuleForm.elements.query.value.trim();
+        const validation = LogQuery.validate(query);
+        alertRuleForm.elements.query.classList.toggle('invalid', !!query && !validation.valid);
+        this._showAlertRuleError(query && !validation.valid ? validation.error : null);
+      });
+    }
+    
+    const clearAlertHistoryBtn = document.getElementById('clear-alert-history');
+    if (clearAlertHistoryBtn) {
+      clearAlertHistoryBtn.addEventListener('click', async () => {
+        await alertRuleService.clearHistory();
+        this._renderAlertHistory();
+      });
+    }
+    
     const refreshStatsBtn = document.getElementById('refresh-stats');
     if (refreshStatsBtn) {
       refreshStatsBtn.addEventListener('click', () => {
@@ -260,6 +346,10 @@ export class LogTab {
         }
       });
       
+      searchInput.addEventListener('input', () => {
+        this._showSearchError(null);
+      });
+      
       searchInput.addEventListener('focus', () => {
         this._showSearchHistory();
       });
@@ -274,6 +364,21 @@ export class LogTab {
       });
     }
     
+    const saveQueryBtn = document.getElementById('save-log-query');
+    if (saveQueryBtn && searchInput) {
+      saveQueryBtn.addEventListener('click', () => {
+        this._saveQuery(searchInput.value);
+      });
+    }
+    
+    const searchInHistoryToggle = document.getElementById('search-in-history');
+    if (searchInHistoryToggle && searchInput) {
+      searchInHistoryToggle.addEventListener('change', (e) => {
+        this.searchInHistory = e.target.checked;
+        this._searchLogs(searchInput.value);
+      });
+    }
+    
     const autoRefreshToggle = document.getElementById('auto-refresh-logs');
     if (autoRefreshToggle) {
       autoRefreshToggle.addEventListener('change', (e) => {
@@ -301,8 +406,19 @@ export class LogTab {
   _refreshLogs() {
     if (!this.logViewer) return;
     
-    this.logViewer.refresh();
-    this._updateLogCount();
+    if (this.showingHistory) {
+      this._showHistoryResults();
+    } else {
+      this.logViewer.refresh();
+      this._updateLogCount();
+    }
+    
+    this._updateRemoteQueueStatus();
+    
+    if (this.alertsVisible) {
+      this._renderAlertHistory();
+    }
+    
     this._updateLastUpdated();
   }
   
@@ -381,33 +497,135 @@ export class LogTab {
     
     this.logViewer.filters.level = level;
     this.logViewer.filters.category = category;
-    this.logViewer.refresh();
+    this._refreshLogs();
     
-    this._updateLogCount();
     this._updateFilterStatus(level, category);
   }
   
   /**
-   * 搜索日志
+   * 搜索日志，查询语法见utils/log-query.js，语法错误显示在搜索框下方
    * @private
    * @param {string} query - 搜索查询
    */
   _searchLogs(query) {
     if (!this.logViewer) return;
     
+    query = query.trim();
+    
+    let logQuery;
+    try {
+      logQuery = LogQuery.parse(query);
+    } catch (error) {
+      this._showSearchError(error);
+      return;
+    }
+    
+    this._showSearchError(null);
+    this.logViewer.filters.search = '';
+    this.logViewer.filters.query = logQuery.isEmpty() ? null : logQuery;
+    this.showingHistory = this.searchInHistory && !logQuery.isEmpty();
+    
+    this._refreshLogs();
+    
+    if (query) {
+      this._addToSearchHistory(query);
+    }
+  }
+  
+  /**
+   * 在内存和IndexedDB历史日志中查询并显示结果
+   * @private
+   */
+  async _showHistoryResults() {
+    const filters = this.logViewer.filters;
+    
+    try {
+      const logs = await loggingService.getHistoryLogs({
+        level: filters.level,
+        category: filters.category,
+        query: filters.query,
+        limit: this.logViewer.options.maxDisplayLogs
+      });
+      
+      // 查询期间可能已切回只看内存日志
+      if (!this.showingHistory) return;
+      
+      this.logViewer.showLogs(logs.reverse());
+      
+      const logCountElement = document.getElementById('log-count');
+      if (logCountElement) {
+        logCountElement.textContent = `历史中找到 ${logs.length} 条日志`;
+      }
+    } catch (error) {
+      console.error('查询历史日志失败:', error);
+      this._showToast('查询历史日志失败', 'error');
+    }
+  }
+  
+  /**
+   * 显示或清除查询语法错误
+   * @private
+   * @param {Error|null} error - 语法错误，error.position为出错位置；null表示清除
+   */
+  _showSearchError(error) {
+    const errorElement = document.getElementById('log-search-error');
+    const searchInput = document.getElementById('log-search');
+    
+    if (searchInput) {
+      searchInput.classList.toggle('invalid', !!error);
+    }
+    
+    if (!errorElement) return;
+    
+    errorElement.textContent = error ? error.message : '';
+    errorElement.hidden = !error;
+    
+    if (error && searchInput && error.position !== undefined) {
+      searchInput.focus();
+      searchInput.setSelectionRange(error.position, error.position);
+    }
+  }
+  
+  /**
+   * 保存当前查询，名称相同时覆盖
+   * @private
+   * @param {string} query - 查询文字
+   */
+  _saveQuery(query) {
     query = query.trim();
     if (!query) {
-      this.logViewer.filters.search = '';
-      this.logViewer.refresh();
-      this._updateLogCount();
+      this._showToast('请先输入查询', 'warning');
       return;
     }
     
-    this.logViewer.filters.search = query;
-    this.logViewer.refresh();
-    this._updateLogCount();
+    const validation = LogQuery.validate(query);
+    if (!validation.valid) {
+      this._showSearchError({ message: validation.error, position: validation.position });
+      return;
+    }
+    
+    const name = (prompt('查询名称:', query) || '').trim();
+    if (!name) return;
+    
+    this.savedQueries = this.savedQueries.filter(saved => saved.name !== name);
+    this.savedQueries.unshift({ name, query });
     
-    this._addToSearchHistory(query);
+    if (this.savedQueries.length > this.maxSavedQueries) {
+      this.savedQueries.pop();
+    }
+    
+    this._saveSearchHistory();
+    this._showToast(`已保存查询: ${name}`);
+  }
+  
+  /**
+   * 删除已保存的查询
+   * @private
+   * @param {string} name - 查询名称
+   */
+  _removeSavedQuery(name) {
+    this.savedQueries = this.savedQueries.filter(saved => saved.name !== name);
+    this._saveSearchHistory();
   }
   
   /**
@@ -436,7 +654,10 @@ export class LogTab {
    */
   _saveSearchHistory() {
     try {
-      chrome.storage.local.set({ 'log_search_history': JSON.stringify(this.searchHistory) });
+      chrome.storage.local.set({
+        'log_search_history': JSON.stringify(this.searchHistory),
+        'log_saved_queries': JSON.stringify(this.savedQueries)
+      });
     } catch (error) {
       console.error('保存搜索历史失败:', error);
     }
@@ -448,7 +669,7 @@ export class LogTab {
    */
   _loadSearchHistory() {
     try {
-      chrome.storage.local.get(['log_search_history'], (result) => {
+      chrome.storage.local.get(['log_search_history', 'log_saved_queries'], (result) => {
         if (chrome.runtime.lastError) {
           console.error('加载搜索历史失败:', chrome.runtime.lastError);
           return;
@@ -462,6 +683,15 @@ export class LogTab {
             this.searchHistory = [];
           }
         }
+        
+        if (result.log_saved_queries) {
+          try {
+            this.savedQueries = JSON.parse(result.log_saved_queries);
+          } catch (e) {
+            console.error('解析已保存的查询失败:', e);
+            this.savedQueries = [];
+          }
+        }
       });
     } catch (error) {
       console.error('加载搜索历史失败:', error);
@@ -474,10 +704,57 @@ export class LogTab {
    */
   _showSearchHistory() {
     const dropdown = document.getElementById('search-history-dropdown');
-    if (!dropdown || this.searchHistory.length === 0) return;
+    if (!dropdown || (this.searchHistory.length === 0 && this.savedQueries.length === 0)) return;
     
     dropdown.innerHTML = '';
     
+    if (this.savedQueries.length > 0) {
+      const title = document.createElement('div');
+      title.className = 'history-section-title';
+      title.textContent = '已保存的查询';
+      dropdown.appendChild(title);
+      
+      this.savedQueries.forEach(saved => {
+        const item = document.createElement('div');
+        item.className = 'history-item saved-query';
+        item.title = saved.query;
+        
+        const nameSpan = document.createElement('span');
+        nameSpan.className = 'history-term';
+        nameSpan.textContent = `☆ ${saved.name}`;
+        item.appendChild(nameSpan);
+        
+        const deleteBtn = document.createElement('span');
+        deleteBtn.className = 'history-delete';
+        deleteBtn.innerHTML = '&times;';
+        deleteBtn.title = '删除此查询';
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          this._removeSavedQuery(saved.name);
+          item.remove();
+        });
+        item.appendChild(deleteBtn);
+        
+        item.addEventListener('click', () => {
+          const searchInput = document.getElementById('log-search');
+          if (searchInput) {
+            searchInput.value = saved.query;
+            this._searchLogs(saved.query);
+          }
+          dropdown.style.display = 'none';
+        });
+        
+        dropdown.appendChild(item);
+      });
+      
+      if (this.searchHistory.length > 0) {
+        const historyTitle = document.createElement('div');
+        historyTitle.className = 'history-section-title';
+        historyTitle.textContent = '搜索历史';
+        dropdown.appendChild(historyTitle);
+      }
+    }
+    
     this.searchHistory.forEach(term => {
       const item = document.createElement('div');
       item.className = 'history-item';
@@ -496,7 +773,7 @@ export class LogTab {
         this._removeFromSearchHistory(term);
         item.remove();
         
-        if (this.searchHistory.length === 0) {
+        if (this.searchHistory.length === 0 && this.savedQueries.length === 0) {
           dropdown.style.display = 'none';
         }
       });
@@ -595,6 +872,172 @@ export class LogTab {
     }
   }
   
+  /**
+   * 切换告警面板
+   * @private
+   */
+  _toggleAlerts() {
+    const alertsContainer = document.getElementById('log-alerts-container');
+    if (!alertsContainer) return;
+    
+    this.alertsVisible = !this.alertsVisible;
+    alertsContainer.hidden = !this.alertsVisible;
+    
+    if (this.alertsVisible) {
+      this._renderAlertRules();
+      this._renderAlertHistory();
+    }
+  }
+  
+  /**
+   * 渲染告警规则列表，每条规则可以启用/停用和删除
+   * @private
+   */
+  async _renderAlertRules() {
+    const list = document.getElementById('alert-rule-list');
+    if (!list) return;
+    
+    const rules = await alertRuleService.getRules();
+    const groupNames = {
+      [ALERT_GROUP_BY.DOMAIN]: '每个域名',
+      [ALERT_GROUP_BY.CATEGORY]: '每个类别'
+    };
+    
+    list.innerHTML = '';
+    
+    if (rules.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'alert-empty';
+      empty.textContent = '暂无告警规则';
+      list.appendChild(empty);
+      return;
+    }
+    
+    rules.forEach(rule => {
+      const item = document.createElement('li');
+      item.className = `alert-rule-item${rule.enabled ? '' : ' disabled'}`;
+      
+      const toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = rule.enabled;
+      toggle.title = rule.enabled ? '停用此规则' : '启用此规则';
+      toggle.addEventListener('change', async () => {
+        await alertRuleService.setRuleEnabled(rule.id, toggle.checked);
+        this._renderAlertRules();
+      });
+      item.appendChild(toggle);
+      
+      const description = document.createElement('span');
+      description.className = 'alert-rule-description';
+      const group = groupNames[rule.groupBy] || (rule.groupBy ? `每个${rule.groupBy}` : '');
+      description.textContent = `${rule.name}: ${group}${rule.windowMinutes}分钟内达到${rule.threshold}条`;
+      description.title = `${rule.query}\n冷却 ${rule.cooldownMinutes} 分钟`;
+      item.appendChild(description);
+      
+      const deleteBtn = document.createElement('span');
+      deleteBtn.className = 'history-delete';
+      deleteBtn.innerHTML = '&times;';
+      deleteBtn.title = '删除此规则';
+      deleteBtn.addEventListener('click', async () => {
+        await alertRuleService.deleteRule(rule.id);
+        this._renderAlertRules();
+      });
+      item.appendChild(deleteBtn);
+      
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * 渲染告警历史
+   * @private
+   */
+  async _renderAlertHistory() {
+    const list = document.getElementById('alert-history-list');
+    if (!list) return;
+    
+    const history = await alertRuleService.getHistory();
+    
+    list.innerHTML = '';
+    
+    if (history.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'alert-empty';
+      empty.textContent = '暂无告警';
+      list.appendChild(empty);
+      return;
+    }
+    
+    history.forEach(alert => {
+      const item = document.createElement('li');
+      item.className = 'alert-history-item';
+      
+      const time = document.createElement('span');
+      time.className = 'alert-time';
+      time.textContent = new Date(alert.firedAt).toLocaleString();
+      item.appendChild(time);
+      
+      const summary = document.createElement('span');
+      summary.className = 'alert-summary';
+      summary.textContent = `${alert.ruleName}${alert.group ? ` [${alert.group}]` : ''}: ${alert.windowMinutes}分钟内${alert.count}条`
+        + (alert.suppressed > 0 ? `，冷却期间又触发${alert.suppressed}次` : '');
+      summary.title = `最近一条: ${alert.message}\n查询: ${alert.query}`;
+      item.appendChild(summary);
+      
+      item.addEventListener('click', () => {
+        const searchInput = document.getElementById('log-search');
+        if (searchInput) {
+          searchInput.value = alert.query;
+          this._searchLogs(alert.query);
+        }
+      });
+      
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * 从表单添加告警规则
+   * @private
+   * @param {HTMLFormElement} form - 规则表单
+   */
+  async _addAlertRule(form) {
+    const { elements } = form;
+    
+    try {
+      await alertRuleService.saveRule({
+        name: elements.name.value,
+        query: elements.query.value,
+        threshold: parseInt(elements.threshold.value, 10),
+        windowMinutes: parseFloat(elements.windowMinutes.value),
+        groupBy: elements.groupBy.value,
+        cooldownMinutes: parseFloat(elements.cooldownMinutes.value)
+      });
+    } catch (error) {
+      this._showAlertRuleError(error.message);
+      return;
+    }
+    
+    elements.name.value = '';
+    elements.query.value = '';
+    this._showAlertRuleError(null);
+    this._renderAlertRules();
+    this._showToast('已添加告警规则');
+  }
+  
+  /**
+   * 显示或隐藏告警规则表单的错误
+   * @private
+   * @param {string|null} message - 错误信息
+   */
+  _showAlertRuleError(message) {
+    const errorElement = document.getElementById('alert-rule-error');
+    if (!errorElement) return;
+    
+    errorElement.textContent = message || '';
+    errorElement.hidden = !message;
+  }
+  
   /**
    * 更新类别统计
    * @private
@@ -981,6 +1424,10 @@ export class LogTab {
         }
       }
       
+      if (this.logViewer.filters.query && !this.logViewer.filters.query.matches(log)) {
+        return false;
+      }
+      
       return true;
     }).length;
     
@@ -991,6 +1438,49 @@ export class LogTab {
     }
   }
   
+  /**
+   * 更新远程日志发送队列状态：待发送条数、大小和最近一次发送错误，队列为空且没有错误时隐藏
+   * @private
+   */
+  async _updateRemoteQueueStatus() {
+    const queueElement = document.getElementById('remote-log-queue');
+    if (!queueElement) return;
+    
+    let stats;
+    try {
+      stats = await remoteLogQueue.getStats();
+    } catch (error) {
+      console.error('获取远程日志队列状态失败:', error);
+      return;
+    }
+    
+    if (stats.count === 0 && !stats.lastError) {
+      queueElement.hidden = true;
+      return;
+    }
+    
+    let text = `远程队列: ${stats.count} 条 (${FileUtils.formatFileSize(stats.bytes, 1)})`;
+    const details = [`上限 ${FileUtils.formatFileSize(stats.maxBytes, 1)}`];
+    
+    if (stats.lastError) {
+      text += ` | 最近错误: ${stats.lastError}`;
+      details.push(`错误时间 ${new Date(stats.lastErrorAt).toLocaleString()}`);
+    }
+    
+    if (stats.nextAttemptAt > Date.now()) {
+      details.push(`第${stats.attempts}次失败，${new Date(stats.nextAttemptAt).toLocaleTimeString()} 重试`);
+    }
+    
+    if (stats.dropped > 0) {
+      details.push(`已丢弃 ${stats.dropped} 条`);
+    }
+    
+    queueElement.textContent = text;
+    queueElement.title = details.join('\n');
+    queueElement.classList.toggle('has-error', stats.attempts > 0);
+    queueElement.hidden = false;
+  }
+  
   /**
    * 更新过滤器状态
    * @private
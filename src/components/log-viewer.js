@@ -50,6 +50,7 @@ class LogViewer {
       level: this.options.defaultLevel,
       category: this.options.defaultCategory,
       search: '',
+      query: null, // LogQuery，由日志标签页的查询框设置
       startTime: null,
       endTime: null
     };
@@ -597,6 +598,10 @@ class LogViewer {
       return false;
     }
     
+    if (this.filters.query && !this.filters.query.matches(logEntry)) {
+      return false;
+    }
+    
     return true;
   }
   
@@ -780,6 +785,21 @@ class LogViewer {
     this._updateStatusBar();
   }
   
+  /**
+   * 显示指定的日志（例如历史日志的查询结果），下次refresh时恢复显示内存中的日志
+   * @param {Array} logs - 日志列表，按时间顺序
+   */
+  showLogs(logs) {
+    this.logList.innerHTML = '';
+    
+    logs.slice(-this.options.maxDisplayLogs).forEach(logEntry => {
+      this._appendLogEntry(logEntry);
+    });
+    
+    this.logListContainer.scrollTop = this.logListContainer.scrollHeight;
+    this._updateStatusBar();
+  }
+  
   /**
    * 清除所有日志
    */
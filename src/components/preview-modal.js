@@ -7,6 +7,33 @@
  */
 
 import { RESOURCE_TYPES } from '../config/constants.js';
+import contentHashService, { ContentHashService } from '../services/content-hash-service.js';
+import metadataService from '../services/metadata-service.js';
+import { STRIP_MODES } from '../utils/metadata-stripper.js';
+
+/**
+ * 预览时计算内容哈希的最大文件大小（字节），预览的图片通常已在缓存中
+ * @type {number}
+ */
+const PREVIEW_HASH_MAX_SIZE = 20 * 1024 * 1024;
+
+/**
+ * 嵌入元数据的显示字段
+ * @type {Array<Array<string>>}
+ * @private
+ */
+const EMBEDDED_METADATA_FIELDS = [
+  ['camera', '相机'],
+  ['lens', '镜头'],
+  ['captureDate', '拍摄时间'],
+  ['exposure', '拍摄参数'],
+  ['author', '作者'],
+  ['copyright', '版权'],
+  ['title', '标题'],
+  ['description', '说明'],
+  ['keywords', '关键词'],
+  ['software', '软件']
+];
 
 /**
  * 预览模态框组件类
@@ -23,6 +50,10 @@ class PreviewModal {
     this.downloadService = downloadService;
     this.currentResource = null;
     this.isOpen = false;
+    this.streamVariants = [];
+    this.streamAudioTracks = [];
+    this.contentHashService = contentHashService;
+    this.metadataService = metadataService;
   }
   
   /**
@@ -79,11 +110,32 @@ class PreviewModal {
                 <span class="detail-label">来源:</span>
                 <span id="preview-source" class="detail-value"></span>
               </div>
+              <div id="preview-variant-item" class="preview-detail-item" style="display: none;">
+                <span class="detail-label">清晰度:</span>
+                <select id="preview-variant-select" class="detail-value"></select>
+              </div>
+              <div id="preview-audio-item" class="preview-detail-item" style="display: none;">
+                <span class="detail-label">音轨:</span>
+                <select id="preview-audio-select" class="detail-value"></select>
+              </div>
+              <div id="preview-downloaded-item" class="preview-detail-item" style="display: none;">
+                <span class="detail-label">下载记录:</span>
+                <span id="preview-downloaded" class="detail-value downloaded-value"></span>
+              </div>
+              <div id="preview-strip-item" class="preview-detail-item" style="display: none;">
+                <span class="detail-label">元数据:</span>
+                <select id="preview-strip-select" class="detail-value">
+                  <option value="${STRIP_MODES.NONE}">下载时保留</option>
+                  <option value="${STRIP_MODES.GPS}">下载时移除GPS位置</option>
+                  <option value="${STRIP_MODES.ALL}">下载时移除全部元数据</option>
+                </select>
+              </div>
               <div class="preview-detail-item">
                 <span class="detail-label">URL:</span>
                 <div id="preview-url" class="detail-value url-value"></div>
               </div>
             </div>
+            <div id="preview-embedded-metadata" class="preview-embedded-metadata" style="display: none;"></div>
             <div class="preview-actions">
               <button id="preview-download-btn" class="primary">下载资源</button>
               <button id="preview-copy-url-btn">复制URL</button>
@@ -354,6 +406,11 @@ class PreviewModal {
       previewUrl.title = resource.url || '';
     }
     
+    this._loadStreamVariants(resource);
+    this._loadDownloadedRecord(resource);
+    this._updateStripOption(resource);
+    this._loadEmbeddedMetadata(resource);
+    
     const previewCounter = document.getElementById('preview-counter');
     if (previewCounter && this.resources) {
       previewCounter.textContent = `${this.currentIndex + 1}/${this.resources.length}`;
@@ -362,6 +419,198 @@ class PreviewModal {
     }
   }
   
+  /**
+   * 查找当前资源是否已下载过：图片和较小的文件先获取内容计算哈希，可识别不同URL下的相同文件
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  async _loadDownloadedRecord(resource) {
+    const downloadedItem = document.getElementById('preview-downloaded-item');
+    const downloaded = document.getElementById('preview-downloaded');
+    
+    if (!downloadedItem || !downloaded) return;
+    
+    downloadedItem.style.display = 'none';
+    downloaded.textContent = '';
+    
+    const canHash = !resource.contentHash && !resource.isStream && !resource.mse &&
+      (resource.type === RESOURCE_TYPES.IMAGE || (resource.size > 0 && resource.size <= PREVIEW_HASH_MAX_SIZE));
+    
+    try {
+      if (canHash) {
+        const result = await this.contentHashService.hashUrl(resource.url, { maxSize: PREVIEW_HASH_MAX_SIZE });
+        if (result) resource.contentHash = result.hash;
+      }
+    } catch (e) {
+      console.warn('计算预览内容哈希错误:', e);
+    }
+    
+    const record = await this.contentHashService.findDuplicate(resource);
+    
+    if (!record || this.currentResource !== resource) return;
+    
+    downloaded.textContent = ContentHashService.describe(record);
+    downloaded.title = record.url || '';
+    downloadedItem.style.display = '';
+  }
+  
+  /**
+   * 图片显示下载时移除元数据的选项，默认值来自下载设置
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  _updateStripOption(resource) {
+    const stripItem = document.getElementById('preview-strip-item');
+    const stripSelect = document.getElementById('preview-strip-select');
+    
+    if (!stripItem || !stripSelect) return;
+    
+    const isImage = resource.type === RESOURCE_TYPES.IMAGE;
+    const settings = this.downloadService && this.downloadService.settings || {};
+    
+    stripItem.style.display = isImage ? '' : 'none';
+    stripSelect.value = settings.stripImageMetadata || STRIP_MODES.NONE;
+  }
+  
+  /**
+   * 读取图片文件头中的EXIF、IPTC、XMP元数据并显示
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  async _loadEmbeddedMetadata(resource) {
+    const container = document.getElementById('preview-embedded-metadata');
+    if (!container) return;
+    
+    container.style.display = 'none';
+    container.innerHTML = '';
+    
+    if (resource.type !== RESOURCE_TYPES.IMAGE || !this.metadataService) return;
+    
+    const metadata = await this.metadataService.analyzeImageMetadata(resource);
+    
+    if (this.currentResource !== resource || !metadata || !metadata.embedded) return;
+    
+    this._renderEmbeddedMetadata(container, metadata.embedded);
+    container.style.display = '';
+  }
+  
+  /**
+   * 渲染嵌入元数据，内容来自文件，全部按文本插入
+   * @param {HTMLElement} container - 容器
+   * @param {Object} embedded - MetadataService.summarizeEmbeddedMetadata的结果
+   * @private
+   */
+  _renderEmbeddedMetadata(container, embedded) {
+    const title = document.createElement('div');
+    title.className = 'embedded-metadata-title';
+    title.textContent = embedded.sources.length > 0 ? `嵌入的元数据 (${embedded.sources.join(' · ')})` : '嵌入的元数据';
+    container.appendChild(title);
+    
+    const addRow = (label, value, className = '') => {
+      const row = document.createElement('div');
+      row.className = `preview-detail-item ${className}`.trim();
+      
+      const labelElement = document.createElement('span');
+      labelElement.className = 'detail-label';
+      labelElement.textContent = `${label}:`;
+      
+      const valueElement = document.createElement('span');
+      valueElement.className = 'detail-value';
+      valueElement.textContent = value;
+      valueElement.title = value;
+      
+      row.appendChild(labelElement);
+      row.appendChild(valueElement);
+      container.appendChild(row);
+    };
+    
+    EMBEDDED_METADATA_FIELDS.forEach(([field, label]) => {
+      const value = embedded[field];
+      if (value === null || value === undefined) return;
+      
+      addRow(label, Array.isArray(value) ? value.join(', ') : String(value));
+    });
+    
+    if (embedded.gps) {
+      const { latitude, longitude, altitude } = embedded.gps;
+      const location = `${latitude.toFixed(6)}, ${longitude.toFixed(6)}` +
+        (typeof altitude === 'number' ? ` (海拔 ${Math.round(altitude)}m)` : '');
+      
+      addRow('GPS位置', location, 'embedded-gps');
+      
+      const warning = document.createElement('div');
+      warning.className = 'embedded-gps-warning';
+      warning.textContent = '此图片包含拍摄位置，可在上方选择下载时移除GPS位置';
+      container.appendChild(warning);
+    }
+  }
+  
+  /**
+   * 加载流媒体的视频和音频表示并填充清晰度、音轨选择框
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  _loadStreamVariants(resource) {
+    const variantItem = document.getElementById('preview-variant-item');
+    const variantSelect = document.getElementById('preview-variant-select');
+    const audioItem = document.getElementById('preview-audio-item');
+    const audioSelect = document.getElementById('preview-audio-select');
+    
+    this.streamVariants = [];
+    this.streamAudioTracks = [];
+    
+    if (!variantItem || !variantSelect || !audioItem || !audioSelect) return;
+    
+    variantItem.style.display = 'none';
+    variantSelect.innerHTML = '';
+    audioItem.style.display = 'none';
+    audioSelect.innerHTML = '';
+    
+    if (!this.downloadService || !this.downloadService.getStreamRepresentations) return;
+    
+    this.downloadService.getStreamRepresentations(resource)
+      .then(({ video, audio }) => {
+        if (this.currentResource !== resource) return;
+        
+        if (video.length > 1) {
+          this.streamVariants = video;
+          this._fillRepresentationSelect(variantSelect, video);
+          variantItem.style.display = '';
+        }
+        
+        if (audio.length > 0) {
+          this.streamAudioTracks = audio;
+          this._fillRepresentationSelect(audioSelect, audio);
+          
+          const noneOption = document.createElement('option');
+          noneOption.value = 'none';
+          noneOption.textContent = '不下载音频';
+          audioSelect.appendChild(noneOption);
+          
+          audioItem.style.display = '';
+        }
+      })
+      .catch(error => {
+        console.warn('获取流媒体变体错误:', error);
+      });
+  }
+  
+  /**
+   * 填充表示选择框
+   * @param {HTMLSelectElement} select - 选择框
+   * @param {Array} representations - 变体或表示数组
+   * @private
+   */
+  _fillRepresentationSelect(select, representations) {
+    representations.forEach((representation, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = representation.bandwidth ? 
+        `${representation.label} (${Math.round(representation.bandwidth / 1000)} kbps)` : representation.label;
+      select.appendChild(option);
+    });
+  }
+  
   /**
    * 更新导航按钮状态
    * @private
@@ -421,15 +670,42 @@ class PreviewModal {
     if (!this.currentResource) return;
     
     if (this.downloadService) {
-      this.downloadService.download(this.currentResource)
+      const options = {};
+      const variantSelect = document.getElementById('preview-variant-select');
+      if (variantSelect && this.streamVariants.length > 0) {
+        options.variant = this.streamVariants[parseInt(variantSelect.value, 10) || 0];
+      }
+      
+      const audioSelect = document.getElementById('preview-audio-select');
+      if (audioSelect && this.streamAudioTracks.length > 0) {
+        options.audio = audioSelect.value === 'none' ? 
+          false : this.streamAudioTracks[parseInt(audioSelect.value, 10) || 0];
+      }
+      
+      const stripSelect = document.getElementById('preview-strip-select');
+      if (stripSelect && this.currentResource.type === RESOURCE_TYPES.IMAGE) {
+        options.stripMetadata = stripSelect.value;
+      }
+      
+      const resource = this.currentResource;
+      const download = (downloadOptions) => this.downloadService.download(resource, downloadOptions)
         .then(result => {
           console.log('下载结果:', result);
-          this._showToast(`已添加到下载队列: ${this.currentResource.filename || '资源'}`);
+          this._showToast(`已添加到下载队列: ${resource.filename || '资源'}`);
         })
         .catch(error => {
+          if (error.duplicate) {
+            if (window.confirm(`${error.message}，仍要下载吗？`)) {
+              download({ ...downloadOptions, allowDuplicate: true });
+            }
+            return;
+          }
+          
           console.error('下载错误:', error);
           this._showToast(`下载失败: ${error.message || '未知错误'}`, 'error');
         });
+      
+      download(options);
     } else {
       try {
         const a = document.createElement('a');
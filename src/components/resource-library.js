@@ -0,0 +1,458 @@
+/**
+ * @file resource-library.js
+ * @description 资源库组件，显示保存到资源库的资源，支持搜索、按标签筛选、编辑标签和备注
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES } from '../config/constants.js';
+import FileUtils from '../utils/file-utils.js';
+import libraryService, { LibraryService } from '../services/library-service.js';
+
+/**
+ * 搜索输入停止后执行搜索的延迟（毫秒）
+ * @type {number}
+ * @private
+ */
+const SEARCH_DELAY = 250;
+
+/**
+ * 资源库组件类
+ * @class ResourceLibrary
+ */
+class ResourceLibrary {
+  /**
+   * 创建资源库组件
+   * @param {string} containerId - 容器元素ID
+   * @param {Object} downloadService - 下载服务实例
+   * @param {Object} [service] - 资源库服务实例，默认使用共享的libraryService
+   */
+  constructor(containerId, downloadService, service) {
+    this.container = document.getElementById(containerId);
+    this.downloadService = downloadService;
+    this.libraryService = service || libraryService;
+    this.items = [];
+    this.tags = [];
+    this.query = '';
+    this.editingId = null;
+    this.searchTimer = null;
+  }
+
+  /**
+   * 初始化组件
+   */
+  initialize() {
+    if (!this.container) {
+      console.error('资源库容器未找到');
+      return;
+    }
+
+    this._renderLibraryContainer();
+    this._setupEventListeners();
+    console.log('资源库组件已初始化');
+  }
+
+  /**
+   * 渲染资源库容器
+   * @private
+   */
+  _renderLibraryContainer() {
+    this.container.innerHTML = `
+      <div class="library-header">
+        <h2>资源库 <span id="library-count" class="library-count">0</span></h2>
+        <div class="library-actions">
+          <button id="refresh-library" title="刷新资源库">🔄</button>
+        </div>
+      </div>
+      <div class="library-search">
+        <input type="search" id="library-search-input" placeholder="搜索：关键词 tag:参考 domain:example.com type:image width>=1920 after:2025-01-01">
+      </div>
+      <div id="library-tags" class="library-tags"></div>
+      <div class="library-content">
+        <div id="library-list" class="library-list"></div>
+        <div id="library-empty" class="library-empty">资源库为空，在资源列表中点击“收藏”或在页面上右键保存资源</div>
+      </div>
+    `;
+  }
+
+  /**
+   * 设置事件监听器
+   * @private
+   */
+  _setupEventListeners() {
+    const refreshBtn = document.getElementById('refresh-library');
+    if (refreshBtn) {
+      refreshBtn.addEventListener('click', () => {
+        this.loadLibrary();
+      });
+    }
+
+    const searchInput = document.getElementById('library-search-input');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+          this.query = searchInput.value;
+          this.loadLibrary();
+        }, SEARCH_DELAY);
+      });
+    }
+
+    document.addEventListener('library-updated', () => {
+      this.loadLibrary();
+    });
+  }
+
+  /**
+   * 按当前查询加载资源库条目和标签
+   * @returns {Promise<void>}
+   */
+  async loadLibrary() {
+    try {
+      const [items, tags] = await Promise.all([
+        this.libraryService.search(this.query),
+        this.libraryService.getTags()
+      ]);
+
+      this.items = items;
+      this.tags = tags;
+
+      this._renderTags();
+      this._renderItems();
+    } catch (e) {
+      console.error('加载资源库错误:', e);
+      this._showError('加载资源库失败');
+    }
+  }
+
+  /**
+   * 渲染标签列表，点击标签把它加入或移出查询
+   * @private
+   */
+  _renderTags() {
+    const tagsContainer = document.getElementById('library-tags');
+    if (!tagsContainer) return;
+
+    tagsContainer.innerHTML = '';
+
+    const activeTags = this._getQueryTags();
+
+    this.tags.forEach(({ tag, count }) => {
+      const chip = document.createElement('button');
+      chip.className = `library-tag${activeTags.includes(tag) ? ' active' : ''}`;
+      chip.textContent = `#${tag} ${count}`;
+      chip.addEventListener('click', () => {
+        this._toggleQueryTag(tag);
+      });
+      tagsContainer.appendChild(chip);
+    });
+  }
+
+  /**
+   * 渲染资源库条目
+   * @private
+   */
+  _renderItems() {
+    const list = document.getElementById('library-list');
+    const empty = document.getElementById('library-empty');
+    const count = document.getElementById('library-count');
+
+    if (!list || !empty) return;
+
+    if (count) {
+      count.textContent = this.items.length;
+    }
+
+    list.innerHTML = '';
+
+    if (this.items.length === 0) {
+      list.style.display = 'none';
+      empty.style.display = 'block';
+      empty.textContent = this.query.trim() ? '没有符合条件的资源' : '资源库为空，在资源列表中点击“收藏”或在页面上右键保存资源';
+      return;
+    }
+
+    list.style.display = 'block';
+    empty.style.display = 'none';
+
+    this.items.forEach(item => {
+      list.appendChild(this._createLibraryItem(item));
+    });
+  }
+
+  /**
+   * 创建资源库条目元素
+   * @param {Object} item - 资源库条目
+   * @returns {HTMLElement} - 条目元素
+   * @private
+   */
+  _createLibraryItem(item) {
+    const element = document.createElement('div');
+    element.className = 'library-item';
+    element.dataset.id = item.id;
+
+    const thumbnail = document.createElement('div');
+    thumbnail.className = 'library-thumbnail';
+
+    if (item.type === RESOURCE_TYPES.IMAGE || item.thumbnailUrl) {
+      const img = document.createElement('img');
+      img.className = 'thumbnail';
+      img.loading = 'lazy';
+      img.alt = 'Thumbnail';
+      img.src = item.type === RESOURCE_TYPES.IMAGE ? item.url : item.thumbnailUrl;
+      thumbnail.appendChild(img);
+    } else {
+      thumbnail.innerHTML = `<div class="file-icon">${item.type === RESOURCE_TYPES.VIDEO ? '▶' : (item.type === RESOURCE_TYPES.AUDIO ? '🔊' : '📄')}</div>`;
+    }
+
+    thumbnail.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('preview-resource', { detail: { resource: item } }));
+    });
+
+    const info = document.createElement('div');
+    info.className = 'library-info';
+    info.innerHTML = `
+      <div class="library-name"></div>
+      <div class="library-details">
+        <span class="library-domain"></span>
+        <span class="library-dimensions">${item.width && item.height ? `${item.width}x${item.height}` : ''}</span>
+        <span class="library-size">${item.size ? FileUtils.formatFileSize(item.size) : ''}</span>
+        <span class="library-time">${new Date(item.savedAt).toLocaleString()}</span>
+      </div>
+      <div class="library-item-tags"></div>
+      <div class="library-notes"></div>
+    `;
+
+    info.querySelector('.library-name').textContent = item.filename || item.url;
+    info.querySelector('.library-name').title = item.url;
+    info.querySelector('.library-domain').textContent = item.pageDomain || item.domain || '';
+    info.querySelector('.library-domain').title = item.pageTitle || item.pageUrl || '';
+    info.querySelector('.library-notes').textContent = item.notes || '';
+
+    const itemTags = info.querySelector('.library-item-tags');
+    (item.tags || []).forEach(tag => {
+      const chip = document.createElement('span');
+      chip.className = 'library-tag';
+      chip.textContent = `#${tag}`;
+      chip.addEventListener('click', () => {
+        this._toggleQueryTag(tag);
+      });
+      itemTags.appendChild(chip);
+    });
+
+    if (this.editingId === item.id) {
+      info.appendChild(this._createEditor(item));
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'library-item-actions';
+    actions.innerHTML = `
+      <button class="edit-library-btn" title="编辑标签和备注">✏️</button>
+      <button class="open-page-btn" title="打开来源页面" ${item.pageUrl ? '' : 'disabled'}>🔗</button>
+      <button class="download-library-btn" title="下载">⬇️</button>
+      <button class="delete-library-btn" title="从资源库删除">🗑️</button>
+    `;
+
+    actions.querySelector('.edit-library-btn').addEventListener('click', () => {
+      this.editingId = this.editingId === item.id ? null : item.id;
+      this._renderItems();
+    });
+
+    actions.querySelector('.open-page-btn').addEventListener('click', () => {
+      if (item.pageUrl) {
+        chrome.tabs.create({ url: item.pageUrl });
+      }
+    });
+
+    actions.querySelector('.download-library-btn').addEventListener('click', () => {
+      this._downloadItem(item);
+    });
+
+    actions.querySelector('.delete-library-btn').addEventListener('click', () => {
+      this._deleteItem(item);
+    });
+
+    element.appendChild(thumbnail);
+    element.appendChild(info);
+    element.appendChild(actions);
+
+    return element;
+  }
+
+  /**
+   * 创建标签和备注编辑表单
+   * @param {Object} item - 资源库条目
+   * @returns {HTMLElement} - 表单元素
+   * @private
+   */
+  _createEditor(item) {
+    const editor = document.createElement('div');
+    editor.className = 'library-editor';
+    editor.innerHTML = `
+      <input type="text" class="library-tags-input" placeholder="标签，用逗号或空格分隔">
+      <textarea class="library-notes-input" rows="3" placeholder="备注"></textarea>
+      <div class="library-editor-actions">
+        <button class="save-library-edit-btn">保存</button>
+        <button class="cancel-library-edit-btn">取消</button>
+      </div>
+    `;
+
+    const tagsInput = editor.querySelector('.library-tags-input');
+    const notesInput = editor.querySelector('.library-notes-input');
+    tagsInput.value = (item.tags || []).join(', ');
+    notesInput.value = item.notes || '';
+
+    editor.querySelector('.save-library-edit-btn').addEventListener('click', () => {
+      this._saveEdit(item, tagsInput.value, notesInput.value);
+    });
+
+    editor.querySelector('.cancel-library-edit-btn').addEventListener('click', () => {
+      this.editingId = null;
+      this._renderItems();
+    });
+
+    return editor;
+  }
+
+  /**
+   * 保存条目的标签和备注
+   * @param {Object} item - 资源库条目
+   * @param {string} tags - 标签文字
+   * @param {string} notes - 备注
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveEdit(item, tags, notes) {
+    try {
+      await this.libraryService.updateItem(item.id, { tags, notes });
+      this.editingId = null;
+      await this.loadLibrary();
+      this._showToast('已保存');
+    } catch (e) {
+      console.error('保存资源库条目错误:', e);
+      this._showToast(`保存失败: ${e.message}`, 'error');
+    }
+  }
+
+  /**
+   * 下载资源库条目，此前已下载过相同内容时确认后重新下载
+   * @param {Object} item - 资源库条目
+   * @param {Object} [options] - 下载选项
+   * @private
+   */
+  _downloadItem(item, options = {}) {
+    if (!this.downloadService) return;
+
+    this.downloadService.download(item, options)
+      .then(() => {
+        this._showToast(`已添加到下载队列: ${item.filename || '资源'}`);
+      })
+      .catch(error => {
+        if (error.duplicate) {
+          if (window.confirm(`${error.message}，仍要下载吗？`)) {
+            this._downloadItem(item, { ...options, allowDuplicate: true });
+          }
+          return;
+        }
+
+        console.error('下载资源库条目错误:', error);
+        this._showToast(`下载失败: ${error.message || '未知错误'}`, 'error');
+      });
+  }
+
+  /**
+   * 从资源库删除条目
+   * @param {Object} item - 资源库条目
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _deleteItem(item) {
+    if (!window.confirm(`确定要从资源库删除 ${item.filename || item.url} 吗？`)) return;
+
+    try {
+      await this.libraryService.removeItem(item.id);
+      await this.loadLibrary();
+      this._showToast('已从资源库删除');
+    } catch (e) {
+      console.error('删除资源库条目错误:', e);
+      this._showToast(`删除失败: ${e.message}`, 'error');
+    }
+  }
+
+  /**
+   * 获取查询中的标签
+   * @returns {Array<string>} - 标签数组
+   * @private
+   */
+  _getQueryTags() {
+    return LibraryService.parseQuery(this.query).tags;
+  }
+
+  /**
+   * 把标签加入查询，已在查询中时移出
+   * @param {string} tag - 标签
+   * @private
+   */
+  _toggleQueryTag(tag) {
+    const tokens = this.query.split(/\s+/).filter(Boolean);
+    const isTagToken = token => token.toLowerCase() === `tag:${tag}` || token.toLowerCase() === `#${tag}`;
+
+    this.query = tokens.some(isTagToken)
+      ? tokens.filter(token => !isTagToken(token)).join(' ')
+      : tokens.concat(`tag:${tag}`).join(' ');
+
+    const searchInput = document.getElementById('library-search-input');
+    if (searchInput) {
+      searchInput.value = this.query;
+    }
+
+    this.loadLibrary();
+  }
+
+  /**
+   * 显示错误消息
+   * @param {string} message - 错误消息
+   * @private
+   */
+  _showError(message) {
+    const list = document.getElementById('library-list');
+    const empty = document.getElementById('library-empty');
+
+    if (!list || !empty) return;
+
+    list.style.display = 'none';
+    empty.style.display = 'block';
+    empty.innerHTML = `<div class="error-message">${message}</div>`;
+  }
+
+  /**
+   * 显示提示消息
+   * @param {string} message - 消息内容
+   * @param {string} type - 消息类型
+   * @private
+   */
+  _showToast(message, type = 'success') {
+    const toastContainer = document.getElementById('toast-container');
+    if (!toastContainer) return;
+
+    const toast = document.createElement('div');
+    toast.className = `toast ${type}`;
+    toast.textContent = message;
+
+    toastContainer.appendChild(toast);
+
+    setTimeout(() => {
+      toast.classList.add('show');
+    }, 10);
+
+    setTimeout(() => {
+      toast.classList.remove('show');
+      setTimeout(() => {
+        toastContainer.removeChild(toast);
+      }, 300);
+    }, 3000);
+  }
+}
+
+export default ResourceLibrary;
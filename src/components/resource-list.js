@@ -10,6 +10,10 @@ import { RESOURCE_TYPES, SOURCE_TYPES, QUALITY_LEVELS } from '../config/constant
 import URLUtils from '../utils/url-utils.js';
 import FileUtils from '../utils/file-utils.js';
 import ResourceUtils from '../utils/resource-utils.js';
+import PerceptualHash, { IDENTICAL_DISTANCE } from '../utils/perceptual-hash.js';
+import imageHashService from '../services/image-hash-service.js';
+import contentHashService, { ContentHashService } from '../services/content-hash-service.js';
+import libraryService from '../services/library-service.js';
 
 /**
  * 资源列表组件类
@@ -30,10 +34,18 @@ class ResourceList {
     this.allResources = [];
     this.filteredResources = [];
     this.resourceGroups = {};
+    this.visualGroups = {};
+    this.imageHashService = imageHashService;
+    this.contentHashService = contentHashService;
+    this.downloadedRecords = new Map();
+    this.libraryService = libraryService;
+    this.savedUrls = new Set();
     this.currentFilters = {};
     this.currentSortBy = 'time-desc';
     this.previewCallback = null;
     this.showSimilarCallback = null;
+    this.streamVariantCache = new Map();
+    this.isExportingZip = false;
   }
   
   /**
@@ -68,6 +80,13 @@ class ResourceList {
       });
     }
     
+    const zipDownloadBtn = document.getElementById('zip-download-btn');
+    if (zipDownloadBtn) {
+      zipDownloadBtn.addEventListener('click', () => {
+        this._handleZipDownload();
+      });
+    }
+    
     const clearSelectionBtn = document.getElementById('clear-selection-btn');
     if (clearSelectionBtn) {
       clearSelectionBtn.addEventListener('click', () => {
@@ -101,6 +120,73 @@ class ResourceList {
     this._groupSimilarResources();
     this._calculateResourceScores();
     this.updateResourcesList(this.currentFilters, this.currentSortBy);
+    this._hashImageResources();
+    this._loadDownloadedRecords();
+    this._loadSavedUrls();
+  }
+  
+  /**
+   * 查找已保存到资源库的资源，找到后刷新列表显示收藏状态
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadSavedUrls() {
+    try {
+      const urls = this.allResources.flatMap(resource => [resource.url, ...(resource.variants || []).map(variant => variant.url)]);
+      this.savedUrls = await this.libraryService.findSavedUrls(urls);
+      
+      if (this.savedUrls.size > 0) {
+        this._renderResourcesList();
+      }
+    } catch (e) {
+      console.warn('查找资源库收藏状态错误:', e);
+    }
+  }
+  
+  /**
+   * 查找此前已下载过的资源（按内容哈希或URL），找到后刷新列表显示下载记录
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _loadDownloadedRecords() {
+    try {
+      this.downloadedRecords = await this.contentHashService.findDuplicates(this.allResources);
+      
+      if (this.downloadedRecords.size > 0) {
+        this._renderResourcesList();
+      }
+    } catch (e) {
+      console.warn('查找已下载记录错误:', e);
+    }
+  }
+  
+  /**
+   * 在后台计算图片的感知哈希，得到新的哈希后重新分组并刷新列表
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _hashImageResources() {
+    const images = this.allResources.filter(r => r.type === RESOURCE_TYPES.IMAGE && !r.perceptualHash);
+    if (images.length === 0) return;
+    
+    try {
+      const hashed = await this.imageHashService.hashResources(images);
+      
+      if (hashed > 0) {
+        this._groupSimilarResources();
+        this.updateResourcesList(this.currentFilters, this.currentSortBy);
+      }
+    } catch (e) {
+      console.warn('计算图片感知哈希错误:', e);
+    }
+  }
+  
+  /**
+   * 更新资源（重新加载资源并刷新列表）
+   * @param {Array} resources - 资源数组
+   */
+  updateResources(resources) {
+    this.loadResources(resources);
   }
   
   /**
@@ -249,6 +335,492 @@ class ResourceList {
     return sortedResources;
   }
   
+  /**
+   * 渲染资源列表
+   * @private
+   */
+  _renderResourcesList() {
+    if (!this.container) return;
+    
+    const noResources = document.getElementById('no-resources');
+    
+    this.container.innerHTML = '';
+    
+    if (this.filteredResources.length === 0) {
+      if (noResources) noResources.style.display = 'block';
+      this._updateSelectionButtons();
+      return;
+    }
+    
+    if (noResources) noResources.style.display = 'none';
+    
+    this.filteredResources.forEach(resource => {
+      this.container.appendChild(this._createResourceItem(resource));
+      
+      if (resource.isStream && !resource.variants) {
+        this._loadStreamVariants(resource);
+      }
+    });
+    
+    this._updateSelectionButtons();
+  }
+  
+  /**
+   * 创建资源列表项
+   * @param {Object} resource - 资源对象
+   * @returns {HTMLElement} - 列表项元素
+   * @private
+   */
+  _createResourceItem(resource) {
+    const item = document.createElement('div');
+    item.className = 'resource-item';
+    item.dataset.url = resource.url;
+    
+    const variant = this._getSelectedVariant(resource);
+    const displayUrl = variant && !resource.isStream ? variant.url : resource.url;
+    const width = variant ? variant.width : resource.width;
+    const height = variant ? variant.height : resource.height;
+    
+    let thumbnailHtml = '';
+    if (resource.type === RESOURCE_TYPES.IMAGE) {
+      thumbnailHtml = `<img src="${displayUrl}" class="thumbnail" alt="Thumbnail">`;
+    } else {
+      thumbnailHtml = `<div class="video-thumbnail"><div class="play-icon">▶</div></div>`;
+    }
+    
+    let badges = `<span class="source-badge ${resource.source}">${this._getSourceLabel(resource.source)}</span>`;
+    
+    if (resource.quality && resource.quality !== QUALITY_LEVELS.UNKNOWN) {
+      badges += `<span class="quality-badge ${resource.quality}">${this._getQualityLabel(resource.quality)}</span>`;
+    }
+    
+    if (resource.similarCount > 0) {
+      badges += `<span class="similar-badge">${resource.similarCount}个相似资源</span>`;
+    }
+    
+    if (resource.visuallyIdenticalCount > 0) {
+      badges += `<span class="visual-badge" title="内容相同的图片（可能来自不同CDN或尺寸不同）">${resource.visuallyIdenticalCount}个视觉相同</span>`;
+    }
+
+    if (resource.mse) {
+      if (resource.mse.missedStart) {
+        badges += '<span class="mse-badge">开启捕获前已开始播放，刷新页面后重新播放可保存</span>';
+      } else if (resource.mse.truncated) {
+        badges += '<span class="mse-badge">超出MSE捕获额度，无法保存</span>';
+      } else if (resource.mse.freed) {
+        badges += '<span class="mse-badge">缓存已释放，重新播放后可保存</span>';
+      } else {
+        const status = resource.mse.ended ? '播放完成，可保存' : '缓存中，播放结束后可保存';
+        badges += `<span class="mse-badge ${resource.mse.ended ? 'ended' : ''}">${status} ${this._formatSize(resource.mse.bufferedBytes)}</span>`;
+      }
+    }
+
+    item.innerHTML = `
+      <div class="resource-checkbox">
+        <input type="checkbox" ${this.selectedResources.has(resource.url) ? 'checked' : ''}>
+      </div>
+      ${thumbnailHtml}
+      <div class="resource-info">
+        <div class="resource-name"></div>
+        <div class="resource-details">
+          <span class="resource-type">${resource.contentType || resource.type || ''}</span>
+          <span class="resource-size">${resource.size ? this._formatSize(resource.size) : ''}</span>
+          <span class="resource-dimensions">${width && height ? `${width}x${height}` : ''}</span>
+        </div>
+        <div class="resource-badges">${badges}</div>
+      </div>
+      <div class="resource-actions">
+        <div class="resource-preview">
+          <button class="preview-btn">预览</button>
+        </div>
+        <div class="resource-download">
+          <button class="download-btn">下载</button>
+        </div>
+        <div class="resource-library">
+          <button class="save-library-btn" title="保存到资源库，关闭页面后仍可查找">${this._isSavedToLibrary(resource) ? '已收藏' : '收藏'}</button>
+        </div>
+      </div>
+    `;
+    
+    item.querySelector('.resource-name').textContent = resource.filename || URLUtils.getFileName(resource.url) || resource.url;
+    
+    const downloadedRecord = this.downloadedRecords.get(resource.url);
+    if (downloadedRecord) {
+      const downloadedBadge = document.createElement('span');
+      downloadedBadge.className = 'downloaded-badge';
+      downloadedBadge.textContent = ContentHashService.describe(downloadedRecord);
+      downloadedBadge.title = downloadedRecord.url;
+      item.querySelector('.resource-badges').appendChild(downloadedBadge);
+    }
+    
+    if (resource.variants && resource.variants.length > 1) {
+      item.querySelector('.resource-info').appendChild(this._createVariantPicker(resource, item));
+    }
+    
+    item.querySelector('.resource-checkbox input').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        this.selectedResources.add(resource.url);
+      } else {
+        this.selectedResources.delete(resource.url);
+        
+        const selectAllCheckbox = document.getElementById('select-all-resources');
+        if (selectAllCheckbox) selectAllCheckbox.checked = false;
+      }
+      
+      this._updateSelectionButtons();
+    });
+    
+    item.querySelector('.download-btn').addEventListener('click', () => {
+      this._downloadResource(resource);
+    });
+    
+    item.querySelector('.save-library-btn').addEventListener('click', (e) => {
+      this._saveToLibrary(resource, e.target);
+    });
+    
+    const openPreview = () => {
+      if (this.previewCallback) {
+        this.previewCallback(this._getDownloadTarget(resource), this.filteredResources);
+      }
+    };
+    
+    item.querySelector('.preview-btn').addEventListener('click', openPreview);
+    item.querySelector('.thumbnail, .video-thumbnail').addEventListener('click', openPreview);
+    
+    const similarBadge = item.querySelector('.similar-badge');
+    if (similarBadge && this.showSimilarCallback) {
+      similarBadge.addEventListener('click', () => {
+        this.showSimilarCallback(resource, this.resourceGroups[resource.url] || []);
+      });
+    }
+    
+    const visualBadge = item.querySelector('.visual-badge');
+    if (visualBadge && this.showSimilarCallback) {
+      visualBadge.addEventListener('click', () => {
+        this.showSimilarCallback(resource, this.visualGroups[resource.url] || []);
+      });
+    }
+    
+    return item;
+  }
+  
+  /**
+   * 创建清晰度选择框，默认选中最佳变体
+   * @param {Object} resource - 资源对象
+   * @param {HTMLElement} item - 列表项元素
+   * @returns {HTMLElement} - 选择框容器
+   * @private
+   */
+  _createVariantPicker(resource, item) {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'resource-variants';
+    
+    const label = document.createElement('span');
+    label.className = 'variant-label';
+    label.textContent = `${resource.variants.length}个版本:`;
+    
+    const select = document.createElement('select');
+    select.className = 'variant-select';
+    
+    const selected = this._getSelectedVariant(resource);
+    
+    resource.variants.forEach((variant, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      option.textContent = variant.bandwidth && !variant.label.includes('kbps') ?
+        `${variant.label} (${Math.round(variant.bandwidth / 1000)} kbps)` : variant.label;
+      option.selected = variant === selected;
+      select.appendChild(option);
+    });
+    
+    select.addEventListener('change', () => {
+      resource.selectedVariant = resource.variants[parseInt(select.value, 10)] || null;
+      
+      const variant = this._getSelectedVariant(resource);
+      const dimensions = item.querySelector('.resource-dimensions');
+      if (dimensions) {
+        dimensions.textContent = variant.width && variant.height ? `${variant.width}x${variant.height}` : '';
+      }
+      
+      const thumbnail = item.querySelector('img.thumbnail');
+      if (thumbnail && !resource.isStream) {
+        thumbnail.src = variant.url;
+      }
+    });
+    
+    wrapper.appendChild(label);
+    wrapper.appendChild(select);
+    
+    return wrapper;
+  }
+  
+  /**
+   * 获取资源当前选中的变体（默认为最佳变体）
+   * @param {Object} resource - 资源对象
+   * @returns {Object|null} - 变体对象
+   * @private
+   */
+  _getSelectedVariant(resource) {
+    if (!resource.variants || resource.variants.length === 0) return null;
+    
+    if (resource.selectedVariant) {
+      const selected = resource.variants.find(v => v.url === resource.selectedVariant.url);
+      if (selected) return selected;
+    }
+    
+    return ResourceUtils.getBestVariant(resource.variants);
+  }
+  
+  /**
+   * 获取实际要下载的资源：图片等普通资源替换为选中变体的URL，流媒体在下载时按selectedVariant选择变体
+   * @param {Object} resource - 资源对象
+   * @returns {Object} - 下载用资源对象
+   * @private
+   */
+  _getDownloadTarget(resource) {
+    const variant = this._getSelectedVariant(resource);
+    if (!variant) return resource;
+    
+    if (resource.isStream) {
+      return { ...resource, selectedVariant: variant };
+    }
+    
+    return {
+      ...resource,
+      url: variant.url,
+      width: variant.width || resource.width,
+      height: variant.height || resource.height,
+      contentType: variant.contentType || resource.contentType,
+      filename: URLUtils.getFileName(variant.url) || resource.filename
+    };
+  }
+  
+  /**
+   * 下载单个资源
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  _downloadResource(resource, options = {}) {
+    if (!this.downloadService) return;
+    
+    const target = this._getDownloadTarget(resource);
+    
+    this.downloadService.download(target, options)
+      .then(() => {
+        this._showToast(`已添加到下载队列: ${target.filename || '资源'}`);
+      })
+      .catch(error => {
+        if (error.duplicate) {
+          this.downloadedRecords.set(resource.url, error.duplicate);
+          
+          if (window.confirm(`${error.message}，仍要下载吗？`)) {
+            this._downloadResource(resource, { ...options, allowDuplicate: true });
+          }
+          return;
+        }
+        
+        this._showToast(`下载失败: ${error.message || '未知错误'}`, 'error');
+      });
+  }
+  
+  /**
+   * 异步加载流媒体的变体（HLS变体或DASH视频表示），并合并列表中已单独检测到的变体播放列表
+   * @param {Object} resource - 流媒体资源
+   * @private
+   */
+  _loadStreamVariants(resource) {
+    if (!this.downloadService || !this.downloadService.getStreamRepresentations) return;
+    
+    if (!this.streamVariantCache.has(resource.url)) {
+      const request = this.downloadService.getStreamRepresentations(resource)
+        .then(({ video }) => video.map(representation => ResourceUtils.createVariant({
+          ...representation,
+          url: representation.url || `${resource.url}#representation=${representation.id}`
+        })))
+        .catch(error => {
+          console.warn('获取流媒体变体错误:', error);
+          return [];
+        });
+      
+      this.streamVariantCache.set(resource.url, request);
+    }
+    
+    this.streamVariantCache.get(resource.url).then(variants => {
+      if (variants.length === 0 || resource.variants) return;
+      
+      resource.variants = ResourceUtils.mergeVariants([], variants);
+      
+      const variantUrls = new Set(variants.map(v => v.url));
+      this.allResources = this.allResources.filter(r => r === resource || !variantUrls.has(r.url));
+      
+      this.updateResourcesList(this.currentFilters, this.currentSortBy);
+    });
+  }
+  
+  /**
+   * 处理全选变化
+   * @param {boolean} checked - 是否全选
+   * @private
+   */
+  _handleSelectAllChange(checked) {
+    if (checked) {
+      this.filteredResources.forEach(resource => this.selectedResources.add(resource.url));
+    } else {
+      this.selectedResources.clear();
+    }
+    
+    this._renderResourcesList();
+  }
+  
+  /**
+   * 处理批量下载
+   * @private
+   */
+  async _handleBatchDownload() {
+    if (!this.downloadService || this.selectedResources.size === 0) return;
+    
+    const targets = this.allResources
+      .filter(resource => this.selectedResources.has(resource.url))
+      .map(resource => this._getDownloadTarget(resource));
+    
+    const duplicates = await this.contentHashService.findDuplicates(targets);
+    let skipped = 0;
+    
+    if (duplicates.size > 0 && !window.confirm(`其中 ${duplicates.size} 个资源此前已下载过，是否仍然下载？选择“取消”将跳过这些资源。`)) {
+      skipped = duplicates.size;
+    }
+    
+    const downloadIds = this.downloadService.addBatchToQueue(
+      skipped > 0 ? targets.filter(target => !duplicates.has(target.url)) : targets
+    );
+    
+    this._showToast(skipped > 0
+      ? `已添加 ${downloadIds.length} 个资源到下载队列，跳过 ${skipped} 个已下载的资源`
+      : `已添加 ${downloadIds.length} 个资源到下载队列`);
+  }
+  
+  /**
+   * 资源或它的任一清晰度版本是否已保存到资源库
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否已保存
+   * @private
+   */
+  _isSavedToLibrary(resource) {
+    return this.savedUrls.has(resource.url) ||
+      (resource.variants || []).some(variant => this.savedUrls.has(variant.url));
+  }
+  
+  /**
+   * 保存资源到资源库，记录当前页面作为来源
+   * @param {Object} resource - 资源对象
+   * @param {HTMLElement} button - 收藏按钮
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveToLibrary(resource, button) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      
+      const target = this._getDownloadTarget(resource);
+      const { created } = await this.libraryService.saveResource(target, {
+        pageUrl: tab ? tab.url : undefined,
+        pageTitle: tab ? tab.title : undefined
+      });
+      
+      this.savedUrls.add(target.url);
+      if (button) button.textContent = '已收藏';
+      
+      document.dispatchEvent(new CustomEvent('library-updated'));
+      this._showToast(created ? '已保存到资源库' : '资源库中已有该资源，已更新');
+    } catch (e) {
+      console.error('保存到资源库错误:', e);
+      this._showToast(`保存到资源库失败: ${e.message}`, 'error');
+    }
+  }
+  
+  /**
+   * 处理打包下载，选中的资源在后台打包为一个ZIP文件
+   * @private
+   */
+  async _handleZipDownload() {
+    if (!this.downloadService || this.selectedResources.size === 0 || this.isExportingZip) return;
+    
+    const resources = this.allResources.filter(resource => this.selectedResources.has(resource.url));
+    const zipDownloadBtn = document.getElementById('zip-download-btn');
+    const buttonText = zipDownloadBtn ? zipDownloadBtn.textContent : '';
+    
+    this.isExportingZip = true;
+    this._updateSelectionButtons();
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      
+      const result = await this.downloadService.downloadAsZip(resources, {
+        pageUrl: tab ? tab.url : undefined,
+        pageTitle: tab ? tab.title : undefined,
+        onProgress: (progress) => {
+          if (zipDownloadBtn) {
+            zipDownloadBtn.textContent = `打包中 ${progress.completed + progress.failed}/${progress.total}`;
+          }
+        }
+      });
+      
+      if (result.failedCount > 0) {
+        this._showToast(`已打包 ${result.entryCount} 个资源，${result.failedCount} 个下载失败`, 'warning');
+      } else {
+        this._showToast(`已打包 ${result.entryCount} 个资源: ${result.filename}`);
+      }
+    } catch (e) {
+      console.error('打包下载失败:', e);
+      this._showToast(`打包下载失败: ${e.message}`, 'error');
+    } finally {
+      this.isExportingZip = false;
+      if (zipDownloadBtn) zipDownloadBtn.textContent = buttonText;
+      this._updateSelectionButtons();
+    }
+  }
+  
+  /**
+   * 处理清除选择
+   * @private
+   */
+  _handleClearSelection() {
+    this.selectedResources.clear();
+    
+    const selectAllCheckbox = document.getElementById('select-all-resources');
+    if (selectAllCheckbox) selectAllCheckbox.checked = false;
+    
+    this._renderResourcesList();
+  }
+  
+  /**
+   * 更新批量操作按钮状态
+   * @private
+   */
+  _updateSelectionButtons() {
+    const hasSelection = this.selectedResources.size > 0;
+    
+    const batchDownloadBtn = document.getElementById('batch-download-btn');
+    if (batchDownloadBtn) batchDownloadBtn.disabled = !hasSelection;
+    
+    const zipDownloadBtn = document.getElementById('zip-download-btn');
+    if (zipDownloadBtn) zipDownloadBtn.disabled = !hasSelection || this.isExportingZip;
+    
+    const clearSelectionBtn = document.getElementById('clear-selection-btn');
+    if (clearSelectionBtn) clearSelectionBtn.disabled = !hasSelection;
+  }
+  
+  /**
+   * 更新资源统计显示
+   * @private
+   */
+  _updateStats() {
+    const resourceCount = document.getElementById('resource-count');
+    if (resourceCount) {
+      resourceCount.textContent = this.filteredResources.length;
+    }
+  }
+  
   /**
    * 获取来源标签
    * @param {string} source - 来源类型
@@ -338,6 +910,7 @@ class ResourceList {
     if (!this.allResources || this.allResources.length === 0) return;
     
     this.resourceGroups = {};
+    this.visualGroups = {};
     
     const imageResources = this.allResources.filter(r => r.type === RESOURCE_TYPES.IMAGE);
     const videoResources = this.allResources.filter(r => r.type === RESOURCE_TYPES.VIDEO);
@@ -380,6 +953,32 @@ class ResourceList {
         this.resourceGroups[url] = similarResources.map(r => r.url);
       }
     });
+    
+    this._groupVisuallyIdenticalImages(resources);
+  }
+  
+  /**
+   * 按感知哈希分组视觉上相同的图片，同时并入相似资源分组
+   * @param {Array} resources - 图片资源数组
+   * @private
+   */
+  _groupVisuallyIdenticalImages(resources) {
+    const groups = PerceptualHash.groupByDistance(
+      resources,
+      r => (r.perceptualHash ? r.perceptualHash.phash : null),
+      IDENTICAL_DISTANCE
+    );
+    
+    groups.forEach(group => {
+      const urls = group.map(r => r.url);
+      
+      group.forEach(resource => {
+        const others = urls.filter(url => url !== resource.url);
+        
+        this.visualGroups[resource.url] = others;
+        this.resourceGroups[resource.url] = [...new Set([...(this.resourceGroups[resource.url] || []), ...others])];
+      });
+    });
   }
   
   /**
@@ -454,6 +1053,8 @@ class ResourceList {
       } else {
         resource.similarCount = 0;
       }
+      
+      resource.visuallyIdenticalCount = this.visualGroups[url] ? this.visualGroups[url].length : 0;
     });
   }
   
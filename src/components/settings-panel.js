@@ -7,6 +7,8 @@
  */
 
 import { DEFAULT_DOWNLOAD_SETTINGS, FILENAME_FORMATS, SORT_METHODS, STORAGE_KEYS } from '../config/settings.js';
+import { MESSAGE_ACTIONS } from '../config/constants.js';
+import FilenameTemplate, { TEMPLATE_TOKENS } from '../utils/filename-template.js';
 import loggingService, { LogLevel, LogCategory } from '../services/logging-service.js';
 
 /**
@@ -38,6 +40,7 @@ class SettingsPanel {
     await this._loadSettings();
     this._renderSettingsPanel();
     this._setupEventListeners();
+    this._refreshRulePacks();
     console.log('设置面板组件已初始化');
   }
   
@@ -78,9 +81,13 @@ class SettingsPanel {
             <input type="number" id="max-concurrent-downloads" min="1" max="10" value="${this.settings.maxConcurrentDownloads || 2}">
           </div>
           <div class="settings-item">
-            <label for="download-speed-limit">下载速度限制 (KB/s, 0表示不限制):</label>
+            <label for="download-speed-limit">总下载速度限制 (KB/s, 0表示不限制):</label>
             <input type="number" id="download-speed-limit" min="0" max="10240" value="${this.settings.downloadSpeedLimit || 0}">
           </div>
+          <div class="settings-item">
+            <label for="per-download-speed-limit">单个下载速度限制 (KB/s, 0表示不限制):</label>
+            <input type="number" id="per-download-speed-limit" min="0" max="10240" value="${this.settings.perDownloadSpeedLimit || 0}">
+          </div>
           <div class="settings-item">
             <label for="default-path">默认下载路径:</label>
             <input type="text" id="default-path" value="${this.settings.defaultPath || 'downloads/resource-sniffer'}">
@@ -93,6 +100,30 @@ class SettingsPanel {
             <input type="checkbox" id="categorize-by-type" ${this.settings.categorizeByType ? 'checked' : ''}>
             <label for="categorize-by-type">按资源类型分类存储</label>
           </div>
+          <div class="settings-item checkbox">
+            <input type="checkbox" id="enable-chunked-download" ${this.settings.enableChunkedDownload !== false ? 'checked' : ''}>
+            <label for="enable-chunked-download">大文件分块下载（支持断点续传）</label>
+          </div>
+          <div class="settings-item checkbox">
+            <input type="checkbox" id="verify-file-type" ${this.settings.verifyFileType !== false ? 'checked' : ''}>
+            <label for="verify-file-type">下载前按文件内容识别真实类型（纠正扩展名）</label>
+          </div>
+          <div class="settings-item">
+            <label for="zip-compression">打包下载压缩方式:</label>
+            <select id="zip-compression">
+              <option value="auto" ${!this.settings.zipCompression || this.settings.zipCompression === 'auto' ? 'selected' : ''}>自动（不压缩图片和音视频）</option>
+              <option value="deflate" ${this.settings.zipCompression === 'deflate' ? 'selected' : ''}>全部压缩</option>
+              <option value="store" ${this.settings.zipCompression === 'store' ? 'selected' : ''}>仅存储（最快）</option>
+            </select>
+          </div>
+          <div class="settings-item">
+            <label for="strip-image-metadata">保存图片时移除元数据:</label>
+            <select id="strip-image-metadata">
+              <option value="none" ${!this.settings.stripImageMetadata || this.settings.stripImageMetadata === 'none' ? 'selected' : ''}>保留</option>
+              <option value="gps" ${this.settings.stripImageMetadata === 'gps' ? 'selected' : ''}>移除GPS位置</option>
+              <option value="all" ${this.settings.stripImageMetadata === 'all' ? 'selected' : ''}>移除全部（EXIF/IPTC/XMP）</option>
+            </select>
+          </div>
         </div>
         
         <div class="settings-section">
@@ -114,8 +145,14 @@ class SettingsPanel {
             <label for="format-custom">自定义格式:</label>
             <input type="text" id="custom-format" value="${this.settings.customFormat || '{site}-{type}-{index}'}" ${this.settings.filenameFormat !== FILENAME_FORMATS.CUSTOM ? 'disabled' : ''}>
           </div>
+          <div class="settings-item filename-preview">
+            <span>预览:</span>
+            <code id="filename-preview"></code>
+            <div id="filename-preview-error" class="setting-description error"></div>
+          </div>
           <div class="settings-info">
-            <p>可用的占位符: {site}, {type}, {index}, {timestamp}, {width}, {height}, {quality}</p>
+            <p>可用的占位符: ${Object.keys(TEMPLATE_TOKENS).map(token => `{${token}}`).join(', ')}</p>
+            <p>使用"/"可以创建子目录，例如 {domain}/{date:YYYY-MM}/{original}</p>
           </div>
         </div>
         
@@ -167,6 +204,55 @@ class SettingsPanel {
           </div>
         </div>
         
+        <div class="settings-section">
+          <h3>自动收集</h3>
+          <div class="settings-item">
+            <label for="auto-collect-step">每步滚动距离 (像素，0为一屏):</label>
+            <input type="number" id="auto-collect-step" min="0" max="10000" step="100" value="${this.settings.autoCollectStep || 0}">
+          </div>
+          <div class="settings-item">
+            <label for="auto-collect-delay">每步等待时间 (毫秒):</label>
+            <input type="number" id="auto-collect-delay" min="100" max="10000" step="100" value="${this.settings.autoCollectDelay || 800}">
+          </div>
+          <div class="settings-item">
+            <label for="auto-collect-max-duration">最长运行时间 (秒):</label>
+            <input type="number" id="auto-collect-max-duration" min="5" max="3600" value="${this.settings.autoCollectMaxDuration || 120}">
+          </div>
+          <div class="settings-item">
+            <label for="auto-collect-idle-steps">到达底部后连续几步没有新资源时停止:</label>
+            <input type="number" id="auto-collect-idle-steps" min="1" max="50" value="${this.settings.autoCollectIdleSteps || 5}">
+          </div>
+          <div class="settings-item">
+            <label for="auto-collect-load-more-selector">“加载更多”按钮选择器:</label>
+            <input type="text" id="auto-collect-load-more-selector" placeholder="例如 .load-more, button[data-action=more]">
+          </div>
+        </div>
+        
+        <div class="settings-section">
+          <h3>多页抓取</h3>
+          <div class="settings-item">
+            <label for="crawl-max-pages">最多抓取页面数:</label>
+            <input type="number" id="crawl-max-pages" min="1" max="200" value="${this.settings.crawlMaxPages || 10}">
+          </div>
+          <div class="settings-item">
+            <label for="crawl-max-depth">最大链接深度:</label>
+            <input type="number" id="crawl-max-depth" min="1" max="10" value="${this.settings.crawlMaxDepth || 2}">
+          </div>
+          <div class="settings-item">
+            <label for="crawl-delay">请求间隔 (毫秒):</label>
+            <input type="number" id="crawl-delay" min="200" max="60000" step="100" value="${this.settings.crawlDelay || 1000}">
+          </div>
+          <div class="settings-item">
+            <label for="crawl-next-selector">分页链接选择器 (rel="next"链接总是跟随):</label>
+            <input type="text" id="crawl-next-selector" placeholder="例如 .pagination a.next">
+          </div>
+          <div class="settings-item">
+            <label for="crawl-url-pattern">跟随URL匹配的链接 (正则表达式):</label>
+            <input type="text" id="crawl-url-pattern" placeholder="例如 /gallery/\\d+">
+          </div>
+          <div class="setting-description">只抓取与当前页面同源的页面</div>
+        </div>
+        
         <div class="settings-section">
           <h3>日志设置</h3>
           <div class="settings-item checkbox">
@@ -225,6 +311,16 @@ class SettingsPanel {
           </div>
         </div>
         
+        <div class="settings-section">
+          <h3>规则包</h3>
+          <div id="rule-pack-list" class="rule-pack-list"></div>
+          <div class="settings-item">
+            <input type="file" id="rule-pack-file" accept=".json,application/json" style="display: none;">
+            <button id="import-rule-pack">导入规则包</button>
+          </div>
+          <div class="setting-description">规则包是JSON格式的声明式规则文件，导入、启用或删除后由后台重新加载到规则引擎</div>
+        </div>
+        
         <div class="settings-section">
           <h3>高级设置</h3>
           <div class="settings-item checkbox">
@@ -287,9 +383,34 @@ class SettingsPanel {
         if (customFormat) {
           customFormat.disabled = e.target.value !== FILENAME_FORMATS.CUSTOM;
         }
+        this._updateFilenamePreview();
       });
     });
     
+    if (customFormat) {
+      customFormat.addEventListener('input', () => {
+        this._updateFilenamePreview();
+      });
+    }
+    
+    this._updateFilenamePreview();
+    
+    // 选择器中可能含有引号，不放在模板的value属性里
+    const loadMoreSelector = document.getElementById('auto-collect-load-more-selector');
+    if (loadMoreSelector) {
+      loadMoreSelector.value = this.settings.autoCollectLoadMoreSelector || '';
+    }
+    
+    const crawlNextSelector = document.getElementById('crawl-next-selector');
+    if (crawlNextSelector) {
+      crawlNextSelector.value = this.settings.crawlNextSelector || '';
+    }
+    
+    const crawlUrlPattern = document.getElementById('crawl-url-pattern');
+    if (crawlUrlPattern) {
+      crawlUrlPattern.value = this.settings.crawlUrlPattern || '';
+    }
+    
     const enableLogging = document.getElementById('enable-logging');
     if (enableLogging) {
       enableLogging.addEventListener('change', (e) => {
@@ -334,23 +455,46 @@ class SettingsPanel {
           return;
         }
         
-        const blob = new Blob([exportData], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `resource-sniffer-logs-${new Date().toISOString().replace(/:/g, '-')}.${format}`;
-        a.style.display = 'none';
+        this._downloadFile(exportData, `resource-sniffer-logs-${new Date().toISOString().replace(/:/g, '-')}.${format}`);
         
-        document.body.appendChild(a);
-        a.click();
+        this._showToast('日志导出成功');
+      });
+    }
+    
+    const importRulePackBtn = document.getElementById('import-rule-pack');
+    const rulePackFile = document.getElementById('rule-pack-file');
+    if (importRulePackBtn && rulePackFile) {
+      importRulePackBtn.addEventListener('click', () => {
+        rulePackFile.click();
+      });
+      
+      rulePackFile.addEventListener('change', () => {
+        const file = rulePackFile.files[0];
+        rulePackFile.value = '';
         
-        setTimeout(() => {
-          document.body.removeChild(a);
-          URL.revokeObjectURL(url);
-        }, 100);
+        if (file) {
+          this._importRulePack(file);
+        }
+      });
+    }
+    
+    const rulePackList = document.getElementById('rule-pack-list');
+    if (rulePackList) {
+      rulePackList.addEventListener('change', (e) => {
+        if (e.target.matches('input[data-pack]')) {
+          this._setRulePackEnabled(e.target.dataset.pack, e.target.checked);
+        }
+      });
+      
+      rulePackList.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-pack]');
+        if (!button) return;
         
-        this._showToast('日志导出成功');
+        if (button.dataset.action === 'export') {
+          this._exportRulePack(button.dataset.pack);
+        } else if (button.dataset.action === 'remove') {
+          this._removeRulePack(button.dataset.pack);
+        }
       });
     }
     
@@ -403,9 +547,53 @@ class SettingsPanel {
   _saveSettings() {
     const maxConcurrentDownloads = parseInt(document.getElementById('max-concurrent-downloads').value) || 2;
     const downloadSpeedLimit = parseInt(document.getElementById('download-speed-limit').value) || 0;
+    const perDownloadSpeedLimit = parseInt(document.getElementById('per-download-speed-limit').value) || 0;
     const defaultPath = document.getElementById('default-path').value || 'downloads/resource-sniffer';
     const categorizeByWebsite = document.getElementById('categorize-by-website').checked;
     const categorizeByType = document.getElementById('categorize-by-type').checked;
+    const enableChunkedDownload = document.getElementById('enable-chunked-download').checked;
+    const verifyFileType = document.getElementById('verify-file-type').checked;
+    const zipCompression = document.getElementById('zip-compression').value || 'auto';
+    const stripImageMetadata = document.getElementById('strip-image-metadata').value || 'none';
+    
+    const autoCollectStep = Math.max(0, parseInt(document.getElementById('auto-collect-step').value) || 0);
+    const autoCollectDelay = Math.max(100, parseInt(document.getElementById('auto-collect-delay').value) || 800);
+    const autoCollectMaxDuration = Math.max(5, parseInt(document.getElementById('auto-collect-max-duration').value) || 120);
+    const autoCollectIdleSteps = Math.max(1, parseInt(document.getElementById('auto-collect-idle-steps').value) || 5);
+    const autoCollectLoadMoreSelector = document.getElementById('auto-collect-load-more-selector').value.trim();
+    
+    if (autoCollectLoadMoreSelector) {
+      try {
+        document.createDocumentFragment().querySelector(autoCollectLoadMoreSelector);
+      } catch (e) {
+        this._showToast('无效的“加载更多”按钮选择器', 'error');
+        return;
+      }
+    }
+    
+    const crawlMaxPages = Math.max(1, parseInt(document.getElementById('crawl-max-pages').value) || 10);
+    const crawlMaxDepth = Math.max(1, parseInt(document.getElementById('crawl-max-depth').value) || 2);
+    const crawlDelay = Math.max(200, parseInt(document.getElementById('crawl-delay').value) || 1000);
+    const crawlNextSelector = document.getElementById('crawl-next-selector').value.trim();
+    const crawlUrlPattern = document.getElementById('crawl-url-pattern').value.trim();
+    
+    if (crawlNextSelector) {
+      try {
+        document.createDocumentFragment().querySelector(crawlNextSelector);
+      } catch (e) {
+        this._showToast('无效的分页链接选择器', 'error');
+        return;
+      }
+    }
+    
+    if (crawlUrlPattern) {
+      try {
+        new RegExp(crawlUrlPattern);
+      } catch (e) {
+        this._showToast('无效的链接URL模式', 'error');
+        return;
+      }
+    }
     
     const filenameFormatRadios = document.querySelectorAll('input[name="filename-format"]');
     let filenameFormat = FILENAME_FORMATS.ORIGINAL;
@@ -418,6 +606,14 @@ class SettingsPanel {
     
     const customFormat = document.getElementById('custom-format').value || '{site}-{type}-{index}';
     
+    if (filenameFormat === FILENAME_FORMATS.CUSTOM) {
+      const validation = FilenameTemplate.validate(customFormat);
+      if (!validation.valid) {
+        this._showToast(validation.errors[0], 'error');
+        return;
+      }
+    }
+    
     const defaultSortRadios = document.querySelectorAll('input[name="default-sort"]');
     let defaultSort = SORT_METHODS.TIME_DESC;
     
@@ -457,9 +653,24 @@ class SettingsPanel {
     this.settings = {
       maxConcurrentDownloads,
       downloadSpeedLimit,
+      perDownloadSpeedLimit,
       defaultPath,
       categorizeByWebsite,
       categorizeByType,
+      enableChunkedDownload,
+      verifyFileType,
+      zipCompression,
+      stripImageMetadata,
+      autoCollectStep,
+      autoCollectDelay,
+      autoCollectMaxDuration,
+      autoCollectIdleSteps,
+      autoCollectLoadMoreSelector,
+      crawlMaxPages,
+      crawlMaxDepth,
+      crawlDelay,
+      crawlNextSelector,
+      crawlUrlPattern,
       filenameFormat,
       customFormat,
       defaultSort,
@@ -514,12 +725,237 @@ class SettingsPanel {
       });
       
       document.dispatchEvent(event);
+      
+      this._syncDownloadSettings();
     } catch (error) {
       console.error('保存设置错误:', error);
       this._showToast('保存设置失败', 'error');
     }
   }
   
+  /**
+   * 将下载相关设置同步到后台下载处理程序
+   * @private
+   */
+  _syncDownloadSettings() {
+    try {
+      chrome.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.UPDATE_DOWNLOAD_SETTINGS,
+        settings: {
+          maxConcurrentDownloads: this.settings.maxConcurrentDownloads,
+          downloadSpeedLimit: this.settings.downloadSpeedLimit,
+          perDownloadSpeedLimit: this.settings.perDownloadSpeedLimit,
+          categorizeByWebsite: this.settings.categorizeByWebsite,
+          categorizeByType: this.settings.categorizeByType,
+          enableChunkedDownload: this.settings.enableChunkedDownload,
+          verifyFileType: this.settings.verifyFileType,
+          zipCompression: this.settings.zipCompression,
+          stripImageMetadata: this.settings.stripImageMetadata,
+          filenameFormat: this.settings.filenameFormat,
+          customFormat: this.settings.customFormat
+        }
+      });
+    } catch (error) {
+      console.warn('同步下载设置错误:', error);
+    }
+  }
+  
+  /**
+   * 向后台发送规则包消息
+   * @param {Object} message - 消息对象
+   * @returns {Promise<Object>} - 回复内容
+   * @throws {Error} - 后台处理失败时抛出
+   * @private
+   */
+  async _sendRulePackMessage(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    
+    if (!response || !response.success) {
+      throw new Error(response && response.error ? response.error : '后台没有响应');
+    }
+    
+    return response;
+  }
+  
+  /**
+   * 从后台读取规则包列表并重新渲染
+   * @private
+   */
+  async _refreshRulePacks() {
+    const list = document.getElementById('rule-pack-list');
+    if (!list) return;
+    
+    try {
+      const { packs } = await this._sendRulePackMessage({ action: MESSAGE_ACTIONS.LIST_RULE_PACKS });
+      this._renderRulePackList(list, packs);
+    } catch (error) {
+      console.error('获取规则包列表错误:', error);
+      list.textContent = '无法获取规则包列表';
+    }
+  }
+  
+  /**
+   * 渲染规则包列表，名称来自导入的文件，用textContent写入
+   * @param {HTMLElement} list - 列表容器
+   * @param {Array<Object>} packs - 规则包列表 [{ name, description, ruleCount, enabled }]
+   * @private
+   */
+  _renderRulePackList(list, packs) {
+    list.innerHTML = '';
+    
+    if (packs.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'setting-description';
+      empty.textContent = '尚未导入规则包';
+      list.appendChild(empty);
+      return;
+    }
+    
+    packs.forEach(pack => {
+      const item = document.createElement('div');
+      item.className = 'settings-item checkbox rule-pack-item';
+      item.title = pack.description;
+      
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = pack.enabled;
+      checkbox.dataset.pack = pack.name;
+      
+      const label = document.createElement('label');
+      label.textContent = `${pack.name}（${pack.ruleCount} 条规则）`;
+      
+      const exportBtn = document.createElement('button');
+      exportBtn.textContent = '导出';
+      exportBtn.dataset.pack = pack.name;
+      exportBtn.dataset.action = 'export';
+      
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'warning-button';
+      removeBtn.textContent = '删除';
+      removeBtn.dataset.pack = pack.name;
+      removeBtn.dataset.action = 'remove';
+      
+      item.append(checkbox, label, exportBtn, removeBtn);
+      list.appendChild(item);
+    });
+  }
+  
+  /**
+   * 导入规则包文件
+   * @param {File} file - 规则包文件
+   * @private
+   */
+  async _importRulePack(file) {
+    try {
+      const { pack } = await this._sendRulePackMessage({
+        action: MESSAGE_ACTIONS.IMPORT_RULE_PACK,
+        source: await file.text()
+      });
+      
+      this._showToast(`已导入规则包 ${pack.name}（${pack.ruleCount} 条规则）`);
+    } catch (error) {
+      this._showToast(`导入规则包失败: ${error.message}`, 'error');
+    }
+    
+    this._refreshRulePacks();
+  }
+  
+  /**
+   * 导出规则包为JSON文件
+   * @param {string} name - 规则包名称
+   * @private
+   */
+  async _exportRulePack(name) {
+    try {
+      const { text } = await this._sendRulePackMessage({ action: MESSAGE_ACTIONS.EXPORT_RULE_PACK, name: name });
+      this._downloadFile(text, `${name.replace(/[\\/:*?"<>|]/g, '_')}.rules.json`);
+    } catch (error) {
+      this._showToast(`导出规则包失败: ${error.message}`, 'error');
+    }
+  }
+  
+  /**
+   * 启用或停用规则包
+   * @param {string} name - 规则包名称
+   * @param {boolean} enabled - 是否启用
+   * @private
+   */
+  async _setRulePackEnabled(name, enabled) {
+    try {
+      await this._sendRulePackMessage({ action: MESSAGE_ACTIONS.SET_RULE_PACK_ENABLED, name: name, enabled: enabled });
+    } catch (error) {
+      this._showToast(`设置规则包失败: ${error.message}`, 'error');
+      this._refreshRulePacks();
+    }
+  }
+  
+  /**
+   * 删除规则包
+   * @param {string} name - 规则包名称
+   * @private
+   */
+  async _removeRulePack(name) {
+    if (!window.confirm(`确定要删除规则包 ${name} 吗？`)) return;
+    
+    try {
+      await this._sendRulePackMessage({ action: MESSAGE_ACTIONS.REMOVE_RULE_PACK, name: name });
+      this._showToast(`已删除规则包 ${name}`);
+    } catch (error) {
+      this._showToast(`删除规则包失败: ${error.message}`, 'error');
+    }
+    
+    this._refreshRulePacks();
+  }
+  
+  /**
+   * 通过临时链接下载文本文件
+   * @param {string} content - 文件内容
+   * @param {string} filename - 文件名
+   * @private
+   */
+  _downloadFile(content, filename) {
+    const blob = new Blob([content], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.style.display = 'none';
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+  
+  /**
+   * 根据当前选择的文件名格式更新预览
+   * @private
+   */
+  _updateFilenamePreview() {
+    const previewElement = document.getElementById('filename-preview');
+    const errorElement = document.getElementById('filename-preview-error');
+    if (!previewElement) return;
+    
+    const checkedRadio = document.querySelector('input[name="filename-format"]:checked');
+    const customFormat = document.getElementById('custom-format');
+    const format = checkedRadio ? checkedRadio.value : FILENAME_FORMATS.ORIGINAL;
+    const template = format === FILENAME_FORMATS.CUSTOM && customFormat ?
+      customFormat.value :
+      FilenameTemplate.getTemplate(format);
+    
+    const preview = FilenameTemplate.preview(template);
+    
+    previewElement.textContent = preview.filename;
+    
+    if (errorElement) {
+      errorElement.textContent = preview.errors.join('; ');
+    }
+  }
+  
   /**
    * 打开设置面板
    */
@@ -130,7 +130,69 @@ export const MESSAGE_ACTIONS = {
   /** 测试元数据分析 */
   TEST_METADATA_ANALYSIS: 'testMetadataAnalysis',
   /** 检测资源 */
-  DETECT_RESOURCES: 'detectResources'
+  DETECT_RESOURCES: 'detectResources',
+  /** 保存MSE媒体流 */
+  SAVE_MSE_STREAM: 'saveMSEStream',
+  /** 开启或关闭标签页的MSE流捕获 */
+  SET_MSE_CAPTURE: 'setMSECapture',
+  /** 获取标签页的MSE流捕获状态 */
+  GET_MSE_CAPTURE_STATUS: 'getMSECaptureStatus',
+  /** 申请或归还MSE流捕获的缓存额度 */
+  REQUEST_MSE_CAPTURE_QUOTA: 'requestMSECaptureQuota',
+  /** 获取规则包列表 */
+  LIST_RULE_PACKS: 'listRulePacks',
+  /** 导入规则包 */
+  IMPORT_RULE_PACK: 'importRulePack',
+  /** 导出规则包 */
+  EXPORT_RULE_PACK: 'exportRulePack',
+  /** 启用或停用规则包 */
+  SET_RULE_PACK_ENABLED: 'setRulePackEnabled',
+  /** 删除规则包 */
+  REMOVE_RULE_PACK: 'removeRulePack',
+  /** 离屏文档执行限速下载 */
+  THROTTLED_DOWNLOAD: 'throttledDownload',
+  /** 限速下载进度 */
+  THROTTLED_DOWNLOAD_PROGRESS: 'throttledDownloadProgress',
+  /** 取消离屏文档中进行的下载 */
+  CANCEL_OFFSCREEN_DOWNLOAD: 'cancelOffscreenDownload',
+  /** 释放限速下载生成的对象URL */
+  RELEASE_DOWNLOAD_BLOB: 'releaseDownloadBlob',
+  /** 离屏文档下载分块 */
+  CHUNKED_DOWNLOAD: 'chunkedDownload',
+  /** 分块下载进度 */
+  CHUNKED_DOWNLOAD_PROGRESS: 'chunkedDownloadProgress',
+  /** 离屏文档下载并合并HLS/DASH流 */
+  STREAM_DOWNLOAD: 'streamDownload',
+  /** 流媒体下载进度 */
+  STREAM_DOWNLOAD_PROGRESS: 'streamDownloadProgress',
+  /** 离屏文档合并分块下载的数据 */
+  ASSEMBLE_CHUNKED_DOWNLOAD: 'assembleChunkedDownload',
+  /** 将资源打包为ZIP下载 */
+  EXPORT_RESOURCES_ZIP: 'exportResourcesZip',
+  /** 离屏文档生成ZIP归档 */
+  BUILD_ZIP_ARCHIVE: 'buildZipArchive',
+  /** ZIP打包进度 */
+  ZIP_EXPORT_PROGRESS: 'zipExportProgress',
+  /** 开始自动滚动收集 */
+  START_AUTO_COLLECT: 'startAutoCollect',
+  /** 停止自动滚动收集 */
+  STOP_AUTO_COLLECT: 'stopAutoCollect',
+  /** 获取自动滚动收集状态 */
+  GET_AUTO_COLLECT_STATUS: 'getAutoCollectStatus',
+  /** 自动滚动收集进度 */
+  AUTO_COLLECT_PROGRESS: 'autoCollectProgress',
+  /** 开始多页抓取 */
+  START_PAGE_CRAWL: 'startPageCrawl',
+  /** 停止多页抓取 */
+  STOP_PAGE_CRAWL: 'stopPageCrawl',
+  /** 获取多页抓取状态 */
+  GET_PAGE_CRAWL_STATUS: 'getPageCrawlStatus',
+  /** 多页抓取进度 */
+  PAGE_CRAWL_PROGRESS: 'pageCrawlProgress',
+  /** 检测多页抓取到的页面中的资源（内容脚本经后台转发到离屏文档） */
+  DETECT_PAGE_RESOURCES: 'detectPageResources',
+  /** 用其他页面写入的日志计算告警规则（只在后台计算） */
+  EVALUATE_LOG_ALERTS: 'evaluateLogAlerts'
 };
 
 /**
@@ -146,6 +208,12 @@ export const EXTENSION_TO_TYPE = {
   'svg': RESOURCE_TYPES.IMAGE,
   'ico': RESOURCE_TYPES.IMAGE,
   'bmp': RESOURCE_TYPES.IMAGE,
+  'avif': RESOURCE_TYPES.IMAGE,
+  'heic': RESOURCE_TYPES.IMAGE,
+  'heif': RESOURCE_TYPES.IMAGE,
+  'jxl': RESOURCE_TYPES.IMAGE,
+  'tif': RESOURCE_TYPES.IMAGE,
+  'tiff': RESOURCE_TYPES.IMAGE,
   
   'mp4': RESOURCE_TYPES.VIDEO,
   'webm': RESOURCE_TYPES.VIDEO,
@@ -154,12 +222,16 @@ export const EXTENSION_TO_TYPE = {
   'avi': RESOURCE_TYPES.VIDEO,
   'mkv': RESOURCE_TYPES.VIDEO,
   'flv': RESOURCE_TYPES.VIDEO,
+  'm4v': RESOURCE_TYPES.VIDEO,
+  'ogv': RESOURCE_TYPES.VIDEO,
   
   'mp3': RESOURCE_TYPES.AUDIO,
   'wav': RESOURCE_TYPES.AUDIO,
   'aac': RESOURCE_TYPES.AUDIO,
   'flac': RESOURCE_TYPES.AUDIO,
   'm4a': RESOURCE_TYPES.AUDIO,
+  'opus': RESOURCE_TYPES.AUDIO,
+  'oga': RESOURCE_TYPES.AUDIO,
   
   'pdf': RESOURCE_TYPES.DOCUMENT,
   'doc': RESOURCE_TYPES.DOCUMENT,
@@ -207,7 +279,11 @@ export const STORAGE_KEYS = {
   /** 下载历史存储键 */
   DOWNLOAD_HISTORY: 'resource_sniffer_download_history',
   /** 网站配置存储键 */
-  SITE_CONFIGS: 'resource_sniffer_site_configs'
+  SITE_CONFIGS: 'resource_sniffer_site_configs',
+  /** 规则包存储键 */
+  RULE_PACKS: 'resource_sniffer_rule_packs',
+  /** 开启MSE流捕获的标签页存储键 */
+  MSE_CAPTURE_TABS: 'resource_sniffer_mse_capture_tabs'
 };
 
 export default {
@@ -0,0 +1,52 @@
+/**
+ * @file image-classifier-weights.js
+ * @description 内置图像分类模型（softmax回归）的权重，由test/unit/tools/train-image-classifier.js生成，请勿手动修改
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 图像分类模型权重
+ * mean/std用于特征标准化，weights[类别][特征]、bias[类别]为softmax回归参数
+ * @type {Object}
+ */
+const IMAGE_CLASSIFIER_WEIGHTS = {
+  name: 'ResourceSniffer-ImageClassifier',
+  version: '1.0.0',
+  categories: [
+    'photo',
+    'artwork',
+    'screenshot',
+    'meme',
+    'diagram',
+    'chart'
+  ],
+  features: [
+    'colorEntropy',
+    'significantColors',
+    'dominantColorRatio',
+    'meanSaturation',
+    'whiteRatio',
+    'lumaContrast',
+    'edgeDensity',
+    'flatRatio',
+    'softGradientRatio',
+    'textRegionRatio',
+    'aspectRatio',
+    'alphaUsage'
+  ],
+  mean: [0.2706, 0.2489, 0.5353, 0.3887, 0.3985, 0.3919, 0.1524, 0.6147, 0.2329, 0.3109, 0.0777, 0.0495],
+  std: [0.2079, 0.2542, 0.3334, 0.3243, 0.4127, 0.1199, 0.0994, 0.2556, 0.2905, 0.2374, 0.2118, 0.18],
+  weights: [
+    [0.3285, 0.7664, -0.5108, -0.0774, -0.1133, -0.6777, -2.3256, -0.9621, 1.6419, -1.1345, -0.1053, -0.0092],
+    [0.2242, -0.0246, -0.2288, 1.074, -1.1512, -0.4431, -0.4461, 1.4226, -1.0991, -0.4328, -0.8919, 0.9345],
+    [-0.8139, -1.2528, 0.6361, -0.3065, -1.0776, 0.6809, 1.2146, 2.449, -2.5702, 2.2544, -0.369, -0.0353],
+    [1.2412, 0.5361, -1.1438, 1.0557, -0.7925, 0.3514, 2.0286, -1.6414, 0.7503, -0.0631, 0.0689, -0.5562],
+    [-0.1255, -0.4639, -0.6721, -1.4726, 2.0332, 1.1783, -2.4479, 1.8077, -0.7532, -0.657, -0.838, -0.2203],
+    [-0.8545, 0.4388, 1.9194, -0.2731, 1.1014, -1.0898, 1.9763, -3.0758, 2.0303, 0.0331, 2.1353, -0.1134]
+  ],
+  bias: [-0.4511, 1.2669, -3.176, 1.0431, 0.4378, 0.8793]
+};
+
+export default IMAGE_CLASSIFIER_WEIGHTS;
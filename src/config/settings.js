@@ -15,14 +15,54 @@ import { STORAGE_KEYS } from './constants.js';
 export const DEFAULT_DOWNLOAD_SETTINGS = {
   /** 最大并发下载数 */
   maxConcurrentDownloads: 2,
-  /** 下载速度限制 (KB/s) */
+  /** 下载速度限制 (KB/s)，所有下载共享 */
   downloadSpeedLimit: 0,
+  /** 单个下载速度限制 (KB/s) */
+  perDownloadSpeedLimit: 0,
   /** 是否按网站分类存储 */
   categorizeByWebsite: true,
   /** 是否按资源类型分类存储 */
   categorizeByType: true,
   /** 默认下载路径 */
-  defaultPath: 'downloads/resource-sniffer'
+  defaultPath: 'downloads/resource-sniffer',
+  /** 流媒体分片并发下载数 */
+  streamSegmentConcurrency: 4,
+  /** 流媒体分片最大重试次数 */
+  streamSegmentRetries: 3,
+  /** 是否对支持Range请求的大文件启用分块断点续传 */
+  enableChunkedDownload: true,
+  /** 启用分块下载的最小文件大小 (MB) */
+  chunkedDownloadThreshold: 16,
+  /** 分块大小 (MB) */
+  downloadChunkSize: 4,
+  /** 分块并发下载数 */
+  chunkConcurrency: 4,
+  /** ZIP打包压缩方式：auto（仅压缩非媒体文件）、store、deflate */
+  zipCompression: 'auto',
+  /** 下载前读取文件开头的几KB识别真实类型，纠正没有扩展名或类型为application/octet-stream的资源 */
+  verifyFileType: true,
+  /** 保存图片前移除的元数据：none（保留）、gps（GPS位置）、all（全部EXIF/IPTC/XMP） */
+  stripImageMetadata: 'none',
+  /** 自动收集每步滚动的距离 (像素)，0表示约一屏 */
+  autoCollectStep: 0,
+  /** 自动收集每步滚动后的等待时间 (毫秒) */
+  autoCollectDelay: 800,
+  /** 自动收集最长运行时间 (秒) */
+  autoCollectMaxDuration: 120,
+  /** 到达底部后连续多少步没有新资源时停止自动收集 */
+  autoCollectIdleSteps: 5,
+  /** “加载更多”按钮的CSS选择器，为空时按按钮文字识别 */
+  autoCollectLoadMoreSelector: '',
+  /** 多页抓取最多抓取的页面数 */
+  crawlMaxPages: 10,
+  /** 多页抓取的最大链接深度 */
+  crawlMaxDepth: 2,
+  /** 多页抓取两次请求之间的间隔 (毫秒) */
+  crawlDelay: 1000,
+  /** 分页链接的CSS选择器，rel="next"链接总是会跟随 */
+  crawlNextSelector: '',
+  /** 需要跟随的链接URL的正则表达式 */
+  crawlUrlPattern: ''
 };
 
 /**
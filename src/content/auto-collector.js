@@ -0,0 +1,334 @@
+/**
+ * @file auto-collector.js
+ * @description 自动收集：程序化滚动页面、触发懒加载并点击“加载更多”按钮，收集无限滚动页面中后加载的资源
+ * 到达页面底部后连续若干步既没有新资源、页面高度也没有增加时停止，也可以达到最长时间或最大步数后停止，或随时取消
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 默认自动收集选项
+ * @type {Object}
+ */
+export const DEFAULT_AUTO_COLLECT_OPTIONS = {
+  /** 每步滚动的距离（像素），0表示视口高度的85% */
+  step: 0,
+  /** 每步滚动后等待新内容加载的时间（毫秒） */
+  delay: 800,
+  /** 最长运行时间（毫秒） */
+  maxDuration: 120000,
+  /** 最大滚动步数 */
+  maxSteps: 500,
+  /** 到达底部后连续多少步没有新资源时停止 */
+  idleSteps: 5,
+  /** “加载更多”按钮的CSS选择器，为空时只按按钮文字识别 */
+  loadMoreSelector: '',
+  /** 是否点击“加载更多”按钮 */
+  clickLoadMore: true,
+  /** 结束后是否滚动回开始时的位置 */
+  restoreScroll: false
+};
+
+/**
+ * 识别“加载更多”按钮的文字
+ * @type {RegExp}
+ */
+export const LOAD_MORE_TEXT_PATTERN = /^(加载更多|查看更多|显示更多|更多内容|点击加载更多|load more|show more|see more|view more|more results)/i;
+
+/**
+ * 同一个“加载更多”按钮最多点击的次数，避免点击无效的按钮直到超时
+ * @type {number}
+ * @private
+ */
+const MAX_CLICKS_PER_BUTTON = 50;
+
+/**
+ * 自动收集停止原因
+ * @type {Object.<string, string>}
+ */
+export const AUTO_COLLECT_STOP_REASONS = {
+  /** 到达底部后没有新资源 */
+  IDLE: 'idle',
+  /** 达到最长运行时间 */
+  TIMEOUT: 'timeout',
+  /** 达到最大步数 */
+  MAX_STEPS: 'max-steps',
+  /** 用户取消 */
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * 自动收集类
+ * @class AutoCollector
+ */
+class AutoCollector {
+  /**
+   * 创建自动收集实例
+   * @param {Function} collect - 检测资源并返回当前资源总数的函数
+   * @param {Object} [options] - 选项，见DEFAULT_AUTO_COLLECT_OPTIONS
+   * @param {Element} [options.scrollElement] - 滚动的元素，默认为页面的滚动元素
+   */
+  constructor(collect, options = {}) {
+    this.collect = collect;
+    this.options = { ...DEFAULT_AUTO_COLLECT_OPTIONS };
+
+    Object.keys(options).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        this.options[key] = options[key];
+      }
+    });
+
+    this.scrollElement = options.scrollElement || document.scrollingElement || document.documentElement;
+    this.running = false;
+    this.cancelled = false;
+    this.progress = null;
+    this.buttonClicks = new WeakMap();
+    this._wakeUp = null;
+  }
+
+  /**
+   * 开始自动收集
+   * @param {Function} [onProgress] - 每步结束后的进度回调
+   * @returns {Promise<Object>} - 最终进度（state为completed或cancelled）
+   */
+  async run(onProgress) {
+    if (this.running) {
+      throw new Error('自动收集正在进行');
+    }
+
+    this.running = true;
+    this.cancelled = false;
+
+    const startTime = Date.now();
+    const startTop = this.scrollElement.scrollTop;
+    const initialCount = this.collect();
+    let lastCount = initialCount;
+    let lastHeight = this.scrollElement.scrollHeight;
+    let idleSteps = 0;
+    let reason = null;
+
+    this.progress = {
+      state: 'running',
+      reason: null,
+      steps: 0,
+      elapsed: 0,
+      resourceCount: initialCount,
+      newResources: 0,
+      loadMoreClicks: 0,
+      idleSteps: 0
+    };
+
+    try {
+      while (!reason) {
+        if (this.cancelled) {
+          reason = AUTO_COLLECT_STOP_REASONS.CANCELLED;
+        } else if (Date.now() - startTime >= this.options.maxDuration) {
+          reason = AUTO_COLLECT_STOP_REASONS.TIMEOUT;
+        } else if (this.progress.steps >= this.options.maxSteps) {
+          reason = AUTO_COLLECT_STOP_REASONS.MAX_STEPS;
+        }
+        if (reason) break;
+
+        const previousTop = this.scrollElement.scrollTop;
+        this._scrollStep();
+        this._triggerLazyLoaders();
+
+        if (this.options.clickLoadMore && this._clickLoadMore()) {
+          this.progress.loadMoreClicks++;
+        }
+
+        await this._wait(this.options.delay);
+        if (this.cancelled) continue;
+
+        const count = this.collect();
+        const height = this.scrollElement.scrollHeight;
+        const atBottom = this.scrollElement.scrollTop <= previousTop || this._isAtBottom();
+
+        // 还在向下滚动时不计入空闲，懒加载内容通常在接近底部时才出现
+        if (count > lastCount || height > lastHeight) {
+          idleSteps = 0;
+        } else if (atBottom) {
+          idleSteps++;
+        }
+
+        lastCount = count;
+        lastHeight = height;
+
+        this.progress = {
+          ...this.progress,
+          steps: this.progress.steps + 1,
+          elapsed: Date.now() - startTime,
+          resourceCount: count,
+          newResources: count - initialCount,
+          idleSteps: idleSteps
+        };
+
+        if (idleSteps >= this.options.idleSteps) {
+          reason = AUTO_COLLECT_STOP_REASONS.IDLE;
+        } else if (onProgress) {
+          onProgress({ ...this.progress });
+        }
+      }
+    } finally {
+      this.running = false;
+
+      if (this.options.restoreScroll) {
+        this.scrollElement.scrollTop = startTop;
+      }
+    }
+
+    this.progress = {
+      ...this.progress,
+      state: reason === AUTO_COLLECT_STOP_REASONS.CANCELLED ? 'cancelled' : 'completed',
+      reason: reason,
+      elapsed: Date.now() - startTime
+    };
+
+    return { ...this.progress };
+  }
+
+  /**
+   * 取消自动收集，当前步骤的等待会立即结束
+   */
+  cancel() {
+    this.cancelled = true;
+
+    if (this._wakeUp) {
+      this._wakeUp();
+    }
+  }
+
+  /**
+   * 获取当前进度
+   * @returns {Object|null} - 进度，尚未开始时返回null
+   */
+  getProgress() {
+    return this.progress ? { ...this.progress } : null;
+  }
+
+  /**
+   * 向下滚动一步
+   * @private
+   */
+  _scrollStep() {
+    const viewportHeight = this.scrollElement.clientHeight || window.innerHeight || 800;
+    const step = this.options.step > 0 ? this.options.step : Math.round(viewportHeight * 0.85);
+
+    this.scrollElement.scrollTop = this.scrollElement.scrollTop + step;
+  }
+
+  /**
+   * 是否已滚动到底部
+   * @returns {boolean} - 是否在底部
+   * @private
+   */
+  _isAtBottom() {
+    const element = this.scrollElement;
+    return element.scrollTop + element.clientHeight >= element.scrollHeight - 2;
+  }
+
+  /**
+   * 触发懒加载：让接近视口的懒加载图片立即加载，并为监听滚动事件的旧式懒加载库派发事件
+   * @private
+   */
+  _triggerLazyLoaders() {
+    const limit = (window.innerHeight || 800) * 2;
+
+    document.querySelectorAll('img[loading="lazy"], iframe[loading="lazy"]').forEach(element => {
+      if (element.getBoundingClientRect().top < limit) {
+        element.setAttribute('loading', 'eager');
+      }
+    });
+
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('resize'));
+  }
+
+  /**
+   * 点击第一个可见的“加载更多”按钮
+   * 会跳转到其他页面的链接不点击，以免离开当前页面
+   * @returns {boolean} - 是否点击了按钮
+   * @private
+   */
+  _clickLoadMore() {
+    const button = this._findLoadMoreButtons().find(element => {
+      const clicks = this.buttonClicks.get(element) || 0;
+      return clicks < MAX_CLICKS_PER_BUTTON && this._isClickable(element);
+    });
+
+    if (!button) return false;
+
+    this.buttonClicks.set(button, (this.buttonClicks.get(button) || 0) + 1);
+    button.click();
+
+    return true;
+  }
+
+  /**
+   * 查找“加载更多”按钮：先按配置的选择器，再按按钮文字
+   * @returns {Array<Element>} - 候选按钮
+   * @private
+   */
+  _findLoadMoreButtons() {
+    const buttons = [];
+
+    if (this.options.loadMoreSelector) {
+      try {
+        buttons.push(...document.querySelectorAll(this.options.loadMoreSelector));
+      } catch (e) {
+        console.warn('无效的“加载更多”选择器:', this.options.loadMoreSelector);
+      }
+    }
+
+    document.querySelectorAll('button, a, [role="button"]').forEach(element => {
+      const text = (element.textContent || '').trim();
+      if (text.length <= 30 && LOAD_MORE_TEXT_PATTERN.test(text) && !buttons.includes(element)) {
+        buttons.push(element);
+      }
+    });
+
+    return buttons;
+  }
+
+  /**
+   * 按钮是否可以点击：可见、未禁用，链接不会离开当前页面
+   * @param {Element} element - 按钮元素
+   * @returns {boolean} - 是否可以点击
+   * @private
+   */
+  _isClickable(element) {
+    if (element.disabled || element.getAttribute('aria-disabled') === 'true') return false;
+    if (element.hidden || element.getClientRects().length === 0) return false;
+
+    if (element.tagName === 'A') {
+      const href = (element.getAttribute('href') || '').trim();
+      if (href && !href.startsWith('#') && !/^javascript:/i.test(href)) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 等待指定时间，取消时提前结束
+   * @param {number} ms - 毫秒
+   * @returns {Promise<void>}
+   * @private
+   */
+  _wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._wakeUp = null;
+        resolve();
+      }, ms);
+
+      this._wakeUp = () => {
+        clearTimeout(timer);
+        this._wakeUp = null;
+        resolve();
+      };
+    });
+  }
+}
+
+export default AutoCollector;
@@ -12,7 +12,11 @@ import ShadowDetector from './detectors/shadow-detector.js';
 import AttributeDetector from './detectors/attribute-detector.js';
 import StreamingDetector from './detectors/streaming-detector.js';
 import MessageHandler from './message-handler.js';
-import { RESOURCE_TYPES, SOURCE_TYPES } from '../config/constants.js';
+import MSECapture from './mse-capture.js';
+import AutoCollector from './auto-collector.js';
+import PageCrawler from './page-crawler.js';
+import extractorRegistry from '../extractors/index.js';
+import { RESOURCE_TYPES, SOURCE_TYPES, MESSAGE_ACTIONS } from '../config/constants.js';
 
 /**
  * 内容脚本主控制器
@@ -27,6 +31,16 @@ class ContentMain {
     this.messageHandler = new MessageHandler();
     this.predictionWorker = null;
     this.streamingMonitorStop = null;
+    this.mseCapture = new MSECapture({
+      requestQuota: (bytes, released) => this.messageHandler.sendMessage({
+        action: MESSAGE_ACTIONS.REQUEST_MSE_CAPTURE_QUOTA,
+        bytes: bytes,
+        released: released
+      }).then(response => (response && response.success ? response.granted : 0))
+    });
+    this.mseCaptureStop = null;
+    this.autoCollector = null;
+    this.pageCrawler = null;
     this.initialized = false;
     this.pageUrl = window.location.href;
     this.hostname = window.location.hostname;
@@ -47,6 +61,8 @@ class ContentMain {
       
       this._monitorStreamingResources();
       
+      this._monitorMSEStreams();
+      
       this._observeDOMChanges();
       
       this.initialized = true;
@@ -71,8 +87,10 @@ class ContentMain {
       const shadowResources = ShadowDetector.detectAllShadowResources(document);
       const attributeResources = AttributeDetector.detectAllAttributeResources(document);
       const streamingResources = StreamingDetector.detectAllStreamingResources(document);
+      const siteResources = extractorRegistry.extractFromDocument(document, this.pageUrl);
       
       const newResources = [
+        ...siteResources,
         ...domResources,
         ...cssResources,
         ...shadowResources,
@@ -110,7 +128,7 @@ class ContentMain {
     if (this.resources.length === 0) return;
     
     this.messageHandler.sendMessage({
-      action: 'addResources',
+      action: MESSAGE_ACTIONS.ADD_DOM_RESOURCES,
       resources: this.resources,
       url: this.pageUrl,
       hostname: this.hostname
@@ -123,6 +141,105 @@ class ContentMain {
     });
   }
   
+  /**
+   * 开始自动滚动收集，进度和结果通过AUTO_COLLECT_PROGRESS消息发送
+   * @param {Object} [options] - 自动收集选项，见DEFAULT_AUTO_COLLECT_OPTIONS
+   * @returns {Object} - { success, progress }
+   */
+  startAutoCollect(options = {}) {
+    if (this.autoCollector && this.autoCollector.running) {
+      return { success: false, error: '自动收集正在进行', progress: this.autoCollector.getProgress() };
+    }
+    
+    this.autoCollector = new AutoCollector(() => {
+      this.detectResources();
+      return this.resources.length;
+    }, options);
+    
+    this.autoCollector.run(progress => this._reportAutoCollectProgress(progress))
+      .then(progress => {
+        console.log(`自动收集结束 (${progress.reason})，新增 ${progress.newResources} 个资源`);
+        this._reportAutoCollectProgress(progress);
+      })
+      .catch(error => {
+        console.error('自动收集错误:', error);
+        this._reportAutoCollectProgress({ ...this.autoCollector.getProgress(), state: 'error', error: error.message });
+      });
+    
+    return { success: true, progress: this.autoCollector.getProgress() };
+  }
+  
+  /**
+   * 发送自动收集进度
+   * @param {Object} progress - 进度
+   * @private
+   */
+  _reportAutoCollectProgress(progress) {
+    this.messageHandler.sendMessage({
+      action: MESSAGE_ACTIONS.AUTO_COLLECT_PROGRESS,
+      progress: progress,
+      url: this.pageUrl
+    }).catch(error => {
+      console.warn('发送自动收集进度错误:', error);
+    });
+  }
+  
+  /**
+   * 开始多页抓取，沿分页链接抓取同源页面并把检测到的资源加入当前页面的资源列表
+   * 进度和结果通过PAGE_CRAWL_PROGRESS消息发送
+   * @param {Object} [options] - 抓取选项，见DEFAULT_PAGE_CRAWL_OPTIONS
+   * @returns {Object} - { success, progress }
+   */
+  startPageCrawl(options = {}) {
+    if (this.pageCrawler && this.pageCrawler.running) {
+      return { success: false, error: '多页抓取正在进行', progress: this.pageCrawler.getProgress() };
+    }
+    
+    this.pageCrawler = new PageCrawler((resources, pageUrl) => {
+      const count = this.resources.length;
+      
+      this._addResources(resources.map(resource => ({
+        ...resource,
+        pageUrl: pageUrl,
+        crawled: true
+      })));
+      
+      const added = this.resources.length - count;
+      if (added > 0) {
+        this._sendResourcesToBackground();
+      }
+      
+      return added;
+    }, options);
+    
+    this.pageCrawler.run(progress => this._reportPageCrawlProgress(progress))
+      .then(progress => {
+        console.log(`多页抓取结束 (${progress.reason})，抓取 ${progress.pagesVisited} 个页面，新增 ${progress.resourceCount} 个资源`);
+        this._reportPageCrawlProgress(progress);
+      })
+      .catch(error => {
+        console.error('多页抓取错误:', error);
+        this._reportPageCrawlProgress({ ...this.pageCrawler.getProgress(), state: 'error', error: error.message });
+      });
+    
+    return { success: true, progress: this.pageCrawler.getProgress() };
+  }
+  
+  /**
+   * 发送多页抓取进度
+   * @param {Object} progress - 进度
+   * @private
+   */
+  _reportPageCrawlProgress(progress) {
+    this.messageHandler.sendMessage({
+      action: MESSAGE_ACTIONS.PAGE_CRAWL_PROGRESS,
+      progress: progress,
+      url: this.pageUrl
+    }).catch(error => {
+      console.warn('发送多页抓取进度错误:', error);
+    });
+  }
+  
   /**
    * 初始化资源预测Worker
    * @private
@@ -185,6 +302,42 @@ class ContentMain {
     }
   }
   
+  /**
+   * 监听通过MediaSource播放的blob:媒体流
+   * @private
+   */
+  _monitorMSEStreams() {
+    try {
+      this.mseCaptureStop = this.mseCapture.start(resource => {
+        const existingIndex = this.resources.findIndex(r => r.url === resource.url);
+        
+        if (existingIndex !== -1) {
+          this.resources[existingIndex] = resource;
+        } else {
+          this.resources.push(resource);
+        }
+        
+        this.messageHandler.sendMessage({
+          action: MESSAGE_ACTIONS.STREAMING_RESOURCE,
+          resource: resource,
+          url: this.pageUrl,
+          hostname: this.hostname
+        });
+      });
+    } catch (e) {
+      console.warn('MSE流监听错误:', e);
+    }
+    
+    // 捕获需要在弹出窗口中为标签页开启，新加载的页面和框架按标签页的状态自动开启
+    this.messageHandler.sendMessage({
+      action: MESSAGE_ACTIONS.GET_MSE_CAPTURE_STATUS
+    }).then(response => {
+      if (response && response.success && response.enabled) {
+        this.mseCapture.enable();
+      }
+    }).catch(() => {});
+  }
+  
   /**
    * 观察DOM变化
    * @private
@@ -235,6 +388,59 @@ class ContentMain {
         };
       },
       
+      [MESSAGE_ACTIONS.SAVE_MSE_STREAM]: (message) => {
+        return this.mseCapture.save(message.id, message.filename)
+          .then(files => ({ success: true, files: files }))
+          .catch(error => ({ success: false, error: error.message }));
+      },
+      
+      [MESSAGE_ACTIONS.SET_MSE_CAPTURE]: (message) => {
+        if (message.enabled) {
+          this.mseCapture.enable();
+        } else {
+          this.mseCapture.disable();
+        }
+        return { success: true, enabled: this.mseCapture.isEnabled() };
+      },
+      
+      [MESSAGE_ACTIONS.START_AUTO_COLLECT]: (message) => {
+        return this.startAutoCollect(message.options);
+      },
+      
+      [MESSAGE_ACTIONS.STOP_AUTO_COLLECT]: () => {
+        if (this.autoCollector) {
+          this.autoCollector.cancel();
+        }
+        return { success: true };
+      },
+      
+      [MESSAGE_ACTIONS.GET_AUTO_COLLECT_STATUS]: () => {
+        return {
+          success: true,
+          running: !!(this.autoCollector && this.autoCollector.running),
+          progress: this.autoCollector ? this.autoCollector.getProgress() : null
+        };
+      },
+      
+      [MESSAGE_ACTIONS.START_PAGE_CRAWL]: (message) => {
+        return this.startPageCrawl(message.options);
+      },
+      
+      [MESSAGE_ACTIONS.STOP_PAGE_CRAWL]: () => {
+        if (this.pageCrawler) {
+          this.pageCrawler.cancel();
+        }
+        return { success: true };
+      },
+      
+      [MESSAGE_ACTIONS.GET_PAGE_CRAWL_STATUS]: () => {
+        return {
+          success: true,
+          running: !!(this.pageCrawler && this.pageCrawler.running),
+          progress: this.pageCrawler ? this.pageCrawler.getProgress() : null
+        };
+      },
+      
       'clearResources': () => {
         this.resources = [];
         return { success: true };
@@ -261,6 +467,18 @@ class ContentMain {
         this.streamingMonitorStop();
       }
       
+      if (this.mseCaptureStop) {
+        this.mseCaptureStop();
+      }
+      
+      if (this.autoCollector) {
+        this.autoCollector.cancel();
+      }
+      
+      if (this.pageCrawler) {
+        this.pageCrawler.cancel();
+      }
+      
       if (this.predictionWorker) {
         this.predictionWorker.terminate();
       }
@@ -8,6 +8,7 @@
 
 import { RESOURCE_TYPES, SOURCE_TYPES } from '../../config/constants.js';
 import URLUtils from '../../utils/url-utils.js';
+import ResourceUtils from '../../utils/resource-utils.js';
 
 /**
  * 自定义属性资源检测器
@@ -228,24 +229,35 @@ class AttributeDetector {
       if (element.hasAttribute('srcset')) {
         const srcset = element.getAttribute('srcset');
         if (srcset) {
-          const srcsetUrls = this._parseSrcset(srcset);
+          const variants = [];
           
-          srcsetUrls.forEach(item => {
+          this._parseSrcset(srcset).forEach(item => {
             try {
-              const absoluteUrl = new URL(item.url, window.location.href).href;
-              
-              resources.push({
-                url: absoluteUrl,
-                type: RESOURCE_TYPES.IMAGE,
-                width: item.width || 0,
-                source: SOURCE_TYPES.ATTRIBUTE,
-                timestamp: Date.now(),
-                filename: URLUtils.getFileName(absoluteUrl) || 'srcset-image',
-                quality: item.width > 1000 ? 'HD' : (item.width > 500 ? 'SD' : 'LD')
-              });
+              variants.push(ResourceUtils.createVariant({
+                url: new URL(item.url, window.location.href).href,
+                width: item.width,
+                density: item.density
+              }));
             } catch (e) {
             }
           });
+          
+          if (variants.length > 0) {
+            const sortedVariants = ResourceUtils.mergeVariants([], variants);
+            const best = sortedVariants[0];
+            const effectiveWidth = best.width || best.density * 1000;
+            
+            resources.push({
+              url: best.url,
+              type: RESOURCE_TYPES.IMAGE,
+              width: best.width,
+              source: SOURCE_TYPES.ATTRIBUTE,
+              timestamp: Date.now(),
+              filename: URLUtils.getFileName(best.url) || 'srcset-image',
+              quality: effectiveWidth > 1000 ? 'HD' : (effectiveWidth > 500 ? 'SD' : 'LD'),
+              variants: sortedVariants
+            });
+          }
         }
       }
       
@@ -322,19 +334,20 @@ class AttributeDetector {
         
         if (url && !url.startsWith('data:') && !url.startsWith('blob:')) {
           let width = 0;
+          let density = 0;
           
           if (descriptor) {
             if (descriptor.endsWith('w')) {
               width = parseInt(descriptor.slice(0, -1));
             } else if (descriptor.endsWith('x')) {
-              const density = parseFloat(descriptor.slice(0, -1));
-              width = Math.round(1000 * density);
+              density = parseFloat(descriptor.slice(0, -1));
             }
           }
           
           result.push({
             url: url,
-            width: width
+            width: width,
+            density: density
           });
         }
       });
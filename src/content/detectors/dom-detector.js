@@ -8,6 +8,7 @@
 
 import { RESOURCE_TYPES, SOURCE_TYPES } from '../../config/constants.js';
 import URLUtils from '../../utils/url-utils.js';
+import ResourceUtils from '../../utils/resource-utils.js';
 
 /**
  * DOM资源检测器
@@ -47,6 +48,8 @@ class DOMDetector {
   static _extractImageResources(document, resources) {
     try {
       document.querySelectorAll('img[src]').forEach(img => {
+        if (img.srcset || this._getPictureSources(img).length > 0) return;
+        
         if (img.src && !img.src.startsWith('data:') && !img.src.startsWith('blob:')) {
           resources.push({
             url: img.src,
@@ -62,50 +65,27 @@ class DOMDetector {
       });
       
       document.querySelectorAll('img[srcset]').forEach(img => {
-        if (img.srcset) {
-          const srcsetUrls = this._parseSrcset(img.srcset);
-          
-          if (srcsetUrls.length > 0) {
-            srcsetUrls.sort((a, b) => b.width - a.width);
-            const highestQuality = srcsetUrls[0];
-            
-            const absoluteUrl = new URL(highestQuality.url, window.location.href).href;
-            
-            resources.push({
-              url: absoluteUrl,
-              type: RESOURCE_TYPES.IMAGE,
-              width: highestQuality.width,
-              height: img.naturalHeight || img.height,
-              source: SOURCE_TYPES.DOM,
-              timestamp: Date.now(),
-              quality: 'HD', // 假设最高分辨率为HD
-              filename: URLUtils.getFileName(absoluteUrl) || 'image-hd'
-            });
-          }
+        if (!img.srcset || this._getPictureSources(img).length > 0) return;
+        
+        const variants = this._collectImageVariants(img, []);
+        const resource = this._createVariantResource(img, variants, 'image-hd');
+        
+        if (resource) {
+          resources.push(resource);
         }
       });
       
-      document.querySelectorAll('picture > source[srcset]').forEach(source => {
-        if (source.srcset) {
-          const srcsetUrls = this._parseSrcset(source.srcset);
-          
-          if (srcsetUrls.length > 0) {
-            srcsetUrls.sort((a, b) => b.width - a.width);
-            const highestQuality = srcsetUrls[0];
-            
-            const absoluteUrl = new URL(highestQuality.url, window.location.href).href;
-            
-            resources.push({
-              url: absoluteUrl,
-              type: RESOURCE_TYPES.IMAGE,
-              width: highestQuality.width,
-              contentType: source.type || '',
-              source: SOURCE_TYPES.DOM,
-              timestamp: Date.now(),
-              quality: 'HD', // 假设最高分辨率为HD
-              filename: URLUtils.getFileName(absoluteUrl) || 'picture-image'
-            });
-          }
+      document.querySelectorAll('picture').forEach(picture => {
+        const img = picture.querySelector('img');
+        const sources = Array.from(picture.querySelectorAll('source[srcset]'));
+        
+        if (sources.length === 0) return;
+        
+        const variants = this._collectImageVariants(img, sources);
+        const resource = this._createVariantResource(img, variants, 'picture-image');
+        
+        if (resource) {
+          resources.push(resource);
         }
       });
     } catch (e) {
@@ -278,6 +258,90 @@ class DOMDetector {
     }
   }
   
+  /**
+   * 获取图片所在<picture>元素中带srcset的<source>
+   * @param {HTMLImageElement} img - 图片元素
+   * @returns {Array<Element>} - source元素数组
+   * @private
+   */
+  static _getPictureSources(img) {
+    const picture = img.parentElement;
+    if (!picture || picture.tagName !== 'PICTURE') return [];
+    
+    return Array.from(picture.querySelectorAll('source[srcset]'));
+  }
+  
+  /**
+   * 收集同一图片的所有变体（<picture>的source、img的srcset和src）
+   * @param {HTMLImageElement|null} img - 图片元素
+   * @param {Array<Element>} sources - <picture>中的source元素
+   * @returns {Array} - 变体数组
+   * @private
+   */
+  static _collectImageVariants(img, sources) {
+    const variants = [];
+    
+    const addCandidates = (srcset, contentType) => {
+      this._parseSrcset(srcset).forEach(candidate => {
+        try {
+          variants.push(ResourceUtils.createVariant({
+            url: new URL(candidate.url, window.location.href).href,
+            width: candidate.width,
+            density: candidate.density,
+            contentType: contentType
+          }));
+        } catch (e) {
+          console.warn('无效URL:', candidate.url, e);
+        }
+      });
+    };
+    
+    sources.forEach(source => addCandidates(source.srcset, source.type || ''));
+    
+    if (img) {
+      if (img.srcset) {
+        addCandidates(img.srcset, '');
+      }
+      
+      if (img.src && !img.src.startsWith('data:') && !img.src.startsWith('blob:')) {
+        variants.push(ResourceUtils.createVariant({
+          url: img.src,
+          width: img.naturalWidth,
+          height: img.naturalHeight
+        }));
+      }
+    }
+    
+    return ResourceUtils.mergeVariants([], variants);
+  }
+  
+  /**
+   * 创建带变体列表的图片资源，URL指向最佳变体
+   * @param {HTMLImageElement|null} img - 图片元素
+   * @param {Array} variants - 按清晰度降序排列的变体数组
+   * @param {string} fallbackName - 默认文件名
+   * @returns {Object|null} - 资源对象
+   * @private
+   */
+  static _createVariantResource(img, variants, fallbackName) {
+    if (variants.length === 0) return null;
+    
+    const best = variants[0];
+    
+    return {
+      url: best.url,
+      type: RESOURCE_TYPES.IMAGE,
+      width: best.width || (img ? img.naturalWidth || img.width : 0),
+      height: best.height || (img ? img.naturalHeight || img.height : 0),
+      contentType: best.contentType,
+      source: SOURCE_TYPES.DOM,
+      timestamp: Date.now(),
+      quality: 'HD', // 假设最高分辨率为HD
+      filename: URLUtils.getFileName(best.url) || fallbackName,
+      variants: variants
+    };
+  }
+  
   /**
    * 解析srcset属性
    * @param {string} srcset - srcset属性值
@@ -295,19 +359,20 @@ class DOMDetector {
         
         if (url && !url.startsWith('data:') && !url.startsWith('blob:')) {
           let width = 0;
+          let density = 0;
           
           if (descriptor) {
             if (descriptor.endsWith('w')) {
               width = parseInt(descriptor.slice(0, -1));
             } else if (descriptor.endsWith('x')) {
-              const density = parseFloat(descriptor.slice(0, -1));
-              width = Math.round(1000 * density);
+              density = parseFloat(descriptor.slice(0, -1));
             }
           }
           
           result.push({
             url: url,
-            width: width
+            width: width,
+            density: density
           });
         }
       });
@@ -0,0 +1,348 @@
+/**
+ * @file mse-capture.js
+ * @description MSE流捕获桥接，接收页面主环境注入脚本(mse-hook.js)记录的MediaSource数据并保存为文件，
+ * 并在注入脚本和后台之间转发开启状态和缓存额度
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, SOURCE_TYPES } from '../config/constants.js';
+
+/**
+ * 消息来源标识，需与mse-hook.js中的MESSAGE_SOURCE保持一致
+ * @type {string}
+ */
+export const MSE_MESSAGE_SOURCE = 'resource-sniffer-mse';
+
+/**
+ * 保存请求超时时间（毫秒）
+ * @type {number}
+ * @private
+ */
+const SAVE_TIMEOUT = 30000;
+
+/**
+ * MIME类型对应的文件扩展名
+ * @type {Object}
+ * @private
+ */
+const MIME_EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'audio/mp4': 'm4a',
+  'video/webm': 'webm',
+  'audio/webm': 'webm',
+  'audio/mpeg': 'mp3',
+  'audio/aac': 'aac',
+  'video/mp2t': 'ts'
+};
+
+/**
+ * MSE流捕获类
+ * @class MSECapture
+ */
+class MSECapture {
+  /**
+   * 创建MSE流捕获实例
+   * @param {Object} [options] - 选项
+   * @param {Function} [options.requestQuota] - 向后台申请和归还缓存额度的函数 (bytes, released) => Promise<number>
+   */
+  constructor(options = {}) {
+    this.requestQuota = options.requestQuota || null;
+    this.enabled = false;
+    this.streams = new Map();
+    this.pendingSaves = new Map();
+    this.watchedVideos = new WeakSet();
+    this.messageListener = null;
+    this.onResource = null;
+    this.requestCounter = 0;
+  }
+
+  /**
+   * 开始监听页面中的MSE流
+   * @param {Function} onResource - 发现或更新MSE流资源时的回调
+   * @returns {Function} - 停止监听的函数
+   */
+  start(onResource) {
+    this.onResource = onResource;
+
+    if (!this.messageListener) {
+      this.messageListener = (event) => this._handleMessage(event);
+      window.addEventListener('message', this.messageListener);
+    }
+
+    this._post({ type: 'list' });
+
+    return () => this.stop();
+  }
+
+  /**
+   * 停止监听
+   */
+  stop() {
+    if (this.messageListener) {
+      window.removeEventListener('message', this.messageListener);
+      this.messageListener = null;
+    }
+
+    this.pendingSaves.forEach(pending => {
+      clearTimeout(pending.timer);
+      pending.reject(new Error('MSE捕获已停止'));
+    });
+    this.pendingSaves.clear();
+  }
+
+  /**
+   * 开启捕获，注入脚本从此开始缓存追加的数据
+   */
+  enable() {
+    this.enabled = true;
+    this._post({ type: 'enable' });
+  }
+
+  /**
+   * 关闭捕获，注入脚本丢弃所有已缓存的数据
+   */
+  disable() {
+    this.enabled = false;
+    this._post({ type: 'disable' });
+  }
+
+  /**
+   * 是否已开启捕获
+   * @returns {boolean} - 是否已开启
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  /**
+   * 将已缓存的MSE流保存为文件（视频和音频轨道分别保存）
+   * @param {string} id - MSE流ID
+   * @param {string} [filename] - 基础文件名（不含扩展名）
+   * @returns {Promise<Array<Object>>} - 已保存的文件列表 [{ filename, mimeType, bytes }]
+   */
+  save(id, filename) {
+    const stream = this.streams.get(id);
+
+    if (!stream) {
+      return Promise.reject(new Error('未找到对应的媒体流'));
+    }
+
+    if (stream.freed) {
+      return Promise.reject(new Error('媒体流的缓存已释放，请重新播放后保存'));
+    }
+
+    if (stream.missedStart) {
+      return Promise.reject(new Error('开启捕获前媒体流已经开始播放，缺少开头的数据，请刷新页面后重新播放'));
+    }
+
+    if (!stream.ended) {
+      return Promise.reject(new Error('媒体尚未播放完成，请在播放结束后保存'));
+    }
+
+    const requestId = `save_${Date.now()}_${++this.requestCounter}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingSaves.delete(requestId);
+        reject(new Error('保存MSE流超时'));
+      }, SAVE_TIMEOUT);
+
+      this.pendingSaves.set(requestId, { resolve, reject, timer, filename: filename || `mse-stream-${id}` });
+      this._post({ type: 'save', id: id, requestId: requestId });
+    });
+  }
+
+  /**
+   * 处理来自页面主环境的消息
+   * @param {MessageEvent} event - 消息事件
+   * @private
+   */
+  _handleMessage(event) {
+    const data = event.data;
+
+    if (event.source !== window || !data || data.source !== MSE_MESSAGE_SOURCE || data.direction !== 'page') {
+      return;
+    }
+
+    if (data.type === 'update') {
+      this._handleUpdate(data.payload);
+    } else if (data.type === 'saveResult') {
+      this._handleSaveResult(data.payload);
+    } else if (data.type === 'quota') {
+      this._forwardQuota(data.payload.bytes, 0);
+    } else if (data.type === 'release') {
+      this._forwardQuota(0, data.payload.bytes);
+    }
+  }
+
+  /**
+   * 向后台申请或归还缓存额度，申请的结果发回注入脚本，失败时按没有额度处理
+   * @param {number} bytes - 申请的字节数
+   * @param {number} released - 归还的字节数
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _forwardQuota(bytes, released) {
+    let granted = 0;
+
+    try {
+      if (typeof this.requestQuota === 'function') {
+        granted = await this.requestQuota(bytes, released) || 0;
+      }
+    } catch (e) {
+      console.warn('申请MSE捕获额度失败:', e);
+    }
+
+    if (bytes > 0) {
+      this._post({ type: 'grant', bytes: granted });
+    }
+  }
+
+  /**
+   * 处理MSE流状态更新
+   * @param {Object} summary - 流摘要
+   * @private
+   */
+  _handleUpdate(summary) {
+    if (!summary || !summary.id) return;
+
+    this.streams.set(summary.id, summary);
+
+    if (summary.tracks.length === 0) return;
+
+    const video = this._findMediaElement(summary.url);
+    if (video && !this.watchedVideos.has(video)) {
+      this.watchedVideos.add(video);
+      video.addEventListener('ended', () => {
+        this._post({ type: 'ended', id: summary.id });
+      });
+    }
+
+    if (typeof this.onResource === 'function') {
+      this.onResource(this._createResource(summary, video));
+    }
+  }
+
+  /**
+   * 处理保存结果：为每个轨道生成文件并触发下载
+   * @param {Object} result - 保存结果
+   * @private
+   */
+  _handleSaveResult(result) {
+    const pending = this.pendingSaves.get(result.requestId);
+    if (!pending) return;
+
+    this.pendingSaves.delete(result.requestId);
+    clearTimeout(pending.timer);
+
+    if (result.error) {
+      pending.reject(new Error(result.error));
+      return;
+    }
+
+    if (!result.tracks || result.tracks.length === 0) {
+      pending.reject(new Error('媒体流中没有已缓存的数据'));
+      return;
+    }
+
+    const files = result.tracks.map(track => {
+      const suffix = result.tracks.length > 1 ? `_${track.kind}` : '';
+      const extension = MIME_EXTENSIONS[track.mimeType] || (track.kind === 'audio' ? 'm4a' : 'mp4');
+      const filename = `${pending.filename}${suffix}.${extension}`;
+
+      this._downloadBlob(track.blob, filename);
+
+      return { filename: filename, mimeType: track.mimeType, bytes: track.bytes };
+    });
+
+    pending.resolve(files);
+  }
+
+  /**
+   * 根据流摘要创建资源对象
+   * @param {Object} summary - 流摘要
+   * @param {HTMLMediaElement|null} mediaElement - 关联的媒体元素
+   * @returns {Object} - 资源对象
+   * @private
+   */
+  _createResource(summary, mediaElement) {
+    const hasVideo = summary.tracks.some(track => track.kind === 'video');
+    const primaryTrack = summary.tracks.find(track => track.kind === 'video') || summary.tracks[0];
+
+    return {
+      url: summary.url || `mse://${window.location.host}/${summary.id}`,
+      type: hasVideo ? RESOURCE_TYPES.VIDEO : RESOURCE_TYPES.AUDIO,
+      contentType: primaryTrack.mimeType,
+      width: mediaElement ? mediaElement.videoWidth || 0 : 0,
+      height: mediaElement ? mediaElement.videoHeight || 0 : 0,
+      size: summary.totalBytes,
+      source: SOURCE_TYPES.STREAMING,
+      timestamp: summary.createdAt,
+      filename: `mse-stream-${summary.id}`,
+      quality: 'unknown',
+      isStream: true,
+      streamType: 'mse',
+      mse: {
+        id: summary.id,
+        ended: summary.ended,
+        truncated: summary.truncated,
+        missedStart: !!summary.missedStart,
+        freed: summary.freed,
+        bufferedBytes: summary.totalBytes,
+        tracks: summary.tracks.map(track => ({
+          kind: track.kind,
+          mimeType: track.mimeType,
+          codecs: track.codecs,
+          bytes: track.bytes,
+          appendCount: track.appendCount
+        }))
+      }
+    };
+  }
+
+  /**
+   * 查找使用指定blob URL的媒体元素
+   * @param {string|null} url - MediaSource的blob URL
+   * @returns {HTMLMediaElement|null} - 媒体元素
+   * @private
+   */
+  _findMediaElement(url) {
+    if (!url) return null;
+
+    return Array.from(document.querySelectorAll('video, audio')).find(element => element.src === url) || null;
+  }
+
+  /**
+   * 通过临时链接下载Blob
+   * @param {Blob} blob - 文件数据
+   * @param {string} filename - 文件名
+   * @private
+   */
+  _downloadBlob(blob, filename) {
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+
+    link.href = objectUrl;
+    link.download = filename.split('/').pop();
+    link.style.display = 'none';
+
+    document.documentElement.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 60000);
+  }
+
+  /**
+   * 向页面主环境发送消息
+   * @param {Object} message - 消息内容
+   * @private
+   */
+  _post(message) {
+    window.postMessage({ source: MSE_MESSAGE_SOURCE, direction: 'content', ...message }, '*');
+  }
+}
+
+export default MSECapture;
@@ -0,0 +1,529 @@
+/**
+ * @file mse-hook.js
+ * @description 页面主环境注入脚本，拦截MediaSource/SourceBuffer以捕获blob:视频流的分片数据
+ * 该脚本运行在页面的MAIN world中（不能使用模块导入和扩展API），通过window.postMessage与内容脚本通信
+ * 只有在弹出窗口中为标签页开启捕获后才复制追加的数据，缓存额度由后台按整个页面（所有框架）统一分配
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+(function () {
+  'use strict';
+
+  /** 消息来源标识，需与内容脚本中的MSE_MESSAGE_SOURCE保持一致 */
+  const MESSAGE_SOURCE = 'resource-sniffer-mse';
+
+  /** 每次向后台申请的缓存额度，剩余额度不足一半时提前申请下一份 */
+  const QUOTA_STEP = 8 * 1024 * 1024;
+
+  /** 播放结束后保留缓存等待保存的时间（毫秒），超时或保存后释放 */
+  const ENDED_RETENTION = 5 * 60 * 1000;
+
+  /** 向内容脚本发送状态更新的最小间隔（毫秒） */
+  const UPDATE_INTERVAL = 1000;
+
+  if (typeof window.MediaSource === 'undefined' || window.__resourceSnifferMSEHooked) {
+    return;
+  }
+
+  Object.defineProperty(window, '__resourceSnifferMSEHooked', { value: true });
+
+  const records = new Map();
+  const mediaSourceIds = new WeakMap();
+  const sourceBufferTracks = new WeakMap();
+  let nextId = 1;
+  let enabled = false;
+  let quota = 0;
+  let quotaPending = false;
+  let quotaExhausted = false;
+  // 等待额度分配时追加的数据，按追加顺序在额度到达后记录
+  let waitingAppends = [];
+  let waitingBytes = 0;
+
+  /**
+   * 获取或创建MediaSource的记录
+   * @param {MediaSource} mediaSource - MediaSource实例
+   * @returns {Object} 记录对象
+   */
+  function getRecord(mediaSource) {
+    let id = mediaSourceIds.get(mediaSource);
+
+    if (!id) {
+      id = `mse-${Date.now()}-${nextId++}`;
+      mediaSourceIds.set(mediaSource, id);
+
+      const record = {
+        id: id,
+        url: null,
+        tracks: [],
+        ended: false,
+        truncated: false,
+        missedStart: false,
+        freed: false,
+        createdAt: Date.now(),
+        updateTimer: null,
+        freeTimer: null
+      };
+      records.set(id, record);
+      watchMediaSource(mediaSource, record);
+    }
+
+    return records.get(id);
+  }
+
+  /**
+   * 监听MediaSource的状态：结束后保留一段时间等待保存，关闭（页面不再使用）后立即释放缓存
+   * @param {MediaSource} mediaSource - MediaSource实例
+   * @param {Object} record - 记录对象
+   */
+  function watchMediaSource(mediaSource, record) {
+    if (typeof mediaSource.addEventListener !== 'function') return;
+
+    mediaSource.addEventListener('sourceended', () => markEnded(record));
+
+    // 结束后页面再次追加数据（例如拖动进度条）时恢复为未结束
+    mediaSource.addEventListener('sourceopen', () => {
+      if (!record.ended || record.freed) return;
+
+      record.ended = false;
+      clearTimeout(record.freeTimer);
+      record.freeTimer = null;
+      scheduleUpdate(record, true);
+    });
+
+    mediaSource.addEventListener('sourceclose', () => freeRecord(record));
+  }
+
+  /**
+   * 标记媒体流已播放完成，保留缓存等待保存，超时后释放
+   * @param {Object} record - 记录对象
+   */
+  function markEnded(record) {
+    if (record.ended || record.freed) return;
+
+    record.ended = true;
+    record.freeTimer = setTimeout(() => freeRecord(record), ENDED_RETENTION);
+    scheduleUpdate(record, true);
+  }
+
+  /**
+   * 释放轨道缓存的数据
+   * @param {Object} track - 轨道对象
+   * @returns {number} 释放的字节数
+   */
+  function freeTrack(track) {
+    const bytes = track.bytes;
+
+    track.chunks = [];
+    track.ranges = [];
+    track.bytes = 0;
+
+    return bytes;
+  }
+
+  /**
+   * 释放记录缓存的所有数据并把额度归还给后台，之后不再记录该媒体流
+   * @param {Object} record - 记录对象
+   */
+  function freeRecord(record) {
+    if (record.freed) return;
+
+    clearTimeout(record.freeTimer);
+    record.freeTimer = null;
+    record.freed = true;
+
+    releaseQuota(record.tracks.reduce((sum, track) => sum + freeTrack(track), 0));
+    scheduleUpdate(record, true);
+  }
+
+  /**
+   * 向后台申请缓存额度，同一时间只有一个申请；额度已用完时等到有缓存释放后再申请
+   * @param {number} [minBytes=0] - 至少需要的字节数，单次追加的数据可能大于QUOTA_STEP
+   * @returns {boolean} 是否有申请正在等待分配
+   */
+  function requestQuota(minBytes = 0) {
+    if (!enabled || quotaExhausted) return false;
+
+    if (!quotaPending) {
+      quotaPending = true;
+      post('quota', { bytes: Math.max(QUOTA_STEP, minBytes) });
+    }
+
+    return true;
+  }
+
+  /**
+   * 把释放的额度归还给后台
+   * @param {number} bytes - 释放的字节数
+   */
+  function releaseQuota(bytes) {
+    if (!enabled || bytes <= 0) return;
+
+    quotaExhausted = false;
+    post('release', { bytes: bytes });
+  }
+
+  /**
+   * 记录追加的数据
+   * @param {Object} entry - { record, track }
+   * @param {ArrayBuffer} copy - 数据副本
+   * @param {number} timestampOffset - 追加时SourceBuffer的timestampOffset
+   */
+  function storeAppend(entry, copy, timestampOffset) {
+    entry.track.ranges.push({
+      offset: entry.track.bytes,
+      length: copy.byteLength,
+      timestampOffset: timestampOffset
+    });
+    entry.track.chunks.push(copy);
+    entry.track.bytes += copy.byteLength;
+    quota -= copy.byteLength;
+    scheduleUpdate(entry.record);
+  }
+
+  /**
+   * 额度不足以记录追加的数据：缺少一段数据后保存的文件无法播放，释放已缓存的部分并把额度留给页面中的其他媒体流
+   * @param {Object} record - 记录对象
+   */
+  function truncateRecord(record) {
+    record.truncated = true;
+    releaseQuota(record.tracks.reduce((sum, track) => sum + freeTrack(track), 0));
+    scheduleUpdate(record, true);
+  }
+
+  /**
+   * 额度分配后按追加顺序记录等待中的数据，额度仍然不足的媒体流标记为超出额度
+   */
+  function flushWaitingAppends() {
+    const waiting = waitingAppends;
+    waitingAppends = [];
+    waitingBytes = 0;
+
+    waiting.forEach(({ entry, copy, timestampOffset }) => {
+      if (entry.record.truncated || entry.record.freed || entry.track.removed) return;
+
+      if (copy.byteLength > quota) {
+        truncateRecord(entry.record);
+      } else {
+        storeAppend(entry, copy, timestampOffset);
+      }
+    });
+  }
+
+  /**
+   * 关闭捕获：丢弃所有缓存的数据，已分配的额度由后台在关闭时一并清零
+   */
+  function disableCapture() {
+    enabled = false;
+    quota = 0;
+    quotaPending = false;
+    quotaExhausted = false;
+    waitingAppends = [];
+    waitingBytes = 0;
+
+    records.forEach(record => {
+      record.tracks.forEach(freeTrack);
+      clearTimeout(record.freeTimer);
+      record.freeTimer = null;
+      record.freed = true;
+      scheduleUpdate(record, true);
+    });
+  }
+
+  /**
+   * 获取追加数据的字节数
+   * @param {ArrayBuffer|ArrayBufferView} data - 追加的数据
+   * @returns {number} 字节数
+   */
+  function getByteLength(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data) ? data.byteLength : 0;
+  }
+
+  /**
+   * 解析MIME类型和编码
+   * @param {string} type - 如 video/mp4; codecs="avc1.64001f"
+   * @returns {Object} { mimeType, codecs }
+   */
+  function parseType(type) {
+    const [mimeType, ...params] = String(type || '').split(';');
+    const codecParam = params.find(p => p.trim().startsWith('codecs='));
+
+    return {
+      mimeType: mimeType.trim().toLowerCase(),
+      codecs: codecParam ? codecParam.trim().slice(7).replace(/^"|"$/g, '') : ''
+    };
+  }
+
+  /**
+   * 复制追加的数据，避免页面复用缓冲区后内容被改写
+   * @param {ArrayBuffer|ArrayBufferView} data - 追加的数据
+   * @returns {ArrayBuffer|null} 数据副本
+   */
+  function copyData(data) {
+    if (data instanceof ArrayBuffer) {
+      return data.slice(0);
+    }
+
+    if (ArrayBuffer.isView(data)) {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength).slice().buffer;
+    }
+
+    return null;
+  }
+
+  /**
+   * 生成用于发送给内容脚本的记录摘要（不含数据）
+   * @param {Object} record - 记录对象
+   * @returns {Object} 摘要
+   */
+  function summarize(record) {
+    return {
+      id: record.id,
+      url: record.url,
+      ended: record.ended,
+      truncated: record.truncated,
+      missedStart: record.missedStart,
+      freed: record.freed,
+      createdAt: record.createdAt,
+      totalBytes: record.tracks.reduce((sum, track) => sum + track.bytes, 0),
+      tracks: record.tracks.map(track => ({
+        index: track.index,
+        kind: track.kind,
+        mimeType: track.mimeType,
+        codecs: track.codecs,
+        bytes: track.bytes,
+        removed: track.removed,
+        appendCount: track.ranges.length,
+        ranges: track.ranges.slice(-20)
+      }))
+    };
+  }
+
+  /**
+   * 向内容脚本发送消息
+   * @param {string} type - 消息类型
+   * @param {Object} payload - 消息内容
+   */
+  function post(type, payload) {
+    window.postMessage({ source: MESSAGE_SOURCE, direction: 'page', type: type, payload: payload }, '*');
+  }
+
+  /**
+   * 节流发送记录更新
+   * @param {Object} record - 记录对象
+   * @param {boolean} [immediate=false] - 是否立即发送
+   */
+  function scheduleUpdate(record, immediate = false) {
+    if (immediate) {
+      clearTimeout(record.updateTimer);
+      record.updateTimer = null;
+      post('update', summarize(record));
+      return;
+    }
+
+    if (record.updateTimer) return;
+
+    record.updateTimer = setTimeout(() => {
+      record.updateTimer = null;
+      post('update', summarize(record));
+    }, UPDATE_INTERVAL);
+  }
+
+  const originalCreateObjectURL = URL.createObjectURL;
+  URL.createObjectURL = function (object) {
+    const url = originalCreateObjectURL.apply(this, arguments);
+
+    try {
+      if (object instanceof MediaSource) {
+        const record = getRecord(object);
+        record.url = url;
+        scheduleUpdate(record, true);
+      }
+    } catch (e) {
+      // 拦截逻辑不能影响页面自身的播放
+    }
+
+    return url;
+  };
+
+  const originalAddSourceBuffer = MediaSource.prototype.addSourceBuffer;
+  MediaSource.prototype.addSourceBuffer = function (type) {
+    const sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+
+    try {
+      const record = getRecord(this);
+      const { mimeType, codecs } = parseType(type);
+      const track = {
+        index: record.tracks.length,
+        kind: mimeType.startsWith('audio/') ? 'audio' : 'video',
+        mimeType: mimeType,
+        codecs: codecs,
+        chunks: [],
+        ranges: [],
+        bytes: 0,
+        removed: false
+      };
+
+      record.tracks.push(track);
+      sourceBufferTracks.set(sourceBuffer, { record, track });
+      scheduleUpdate(record, true);
+    } catch (e) {
+      // 忽略
+    }
+
+    return sourceBuffer;
+  };
+
+  const originalAppendBuffer = SourceBuffer.prototype.appendBuffer;
+  SourceBuffer.prototype.appendBuffer = function (data) {
+    try {
+      const entry = sourceBufferTracks.get(this);
+
+      if (entry && !enabled) {
+        // 开启捕获前已经追加过数据（包括初始化分片）的媒体流只能从中间开始记录，保存后无法播放
+        if (!entry.record.missedStart && !entry.record.freed) {
+          entry.record.missedStart = true;
+          scheduleUpdate(entry.record);
+        }
+      } else if (entry && !entry.record.truncated && !entry.record.missedStart && !entry.record.freed && !entry.track.removed) {
+        const length = getByteLength(data);
+
+        if (length > 0 && length <= quota && waitingAppends.length === 0) {
+          storeAppend(entry, copyData(data), this.timestampOffset);
+        } else if (length > 0 && (waitingBytes === 0 || waitingBytes + length <= QUOTA_STEP) && requestQuota(waitingBytes + length)) {
+          // 额度还没有分配（例如刚开启捕获），先保留数据等待分配结果，等待的数据最多一份额度
+          waitingAppends.push({ entry, copy: copyData(data), timestampOffset: this.timestampOffset });
+          waitingBytes += length;
+        } else if (length > 0) {
+          truncateRecord(entry.record);
+        }
+
+        if (quota < QUOTA_STEP / 2) {
+          requestQuota();
+        }
+      }
+    } catch (e) {
+      // 忽略
+    }
+
+    return originalAppendBuffer.apply(this, arguments);
+  };
+
+  const originalRemoveSourceBuffer = MediaSource.prototype.removeSourceBuffer;
+  MediaSource.prototype.removeSourceBuffer = function (sourceBuffer) {
+    try {
+      const entry = sourceBufferTracks.get(sourceBuffer);
+
+      if (entry) {
+        entry.track.removed = true;
+        releaseQuota(freeTrack(entry.track));
+        sourceBufferTracks.delete(sourceBuffer);
+        scheduleUpdate(entry.record, true);
+      }
+    } catch (e) {
+      // 忽略
+    }
+
+    return originalRemoveSourceBuffer.apply(this, arguments);
+  };
+
+  if (typeof SourceBuffer.prototype.changeType === 'function') {
+    const originalChangeType = SourceBuffer.prototype.changeType;
+    SourceBuffer.prototype.changeType = function (type) {
+      try {
+        const entry = sourceBufferTracks.get(this);
+        if (entry) {
+          Object.assign(entry.track, parseType(type));
+          scheduleUpdate(entry.record);
+        }
+      } catch (e) {
+        // 忽略
+      }
+
+      return originalChangeType.apply(this, arguments);
+    };
+  }
+
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+
+    if (event.source !== window || !data || data.source !== MESSAGE_SOURCE || data.direction !== 'content') {
+      return;
+    }
+
+    if (data.type === 'enable') {
+      enabled = true;
+      requestQuota();
+      return;
+    }
+
+    if (data.type === 'disable') {
+      disableCapture();
+      return;
+    }
+
+    if (data.type === 'grant') {
+      if (!enabled) return;
+
+      quotaPending = false;
+      quota += data.bytes || 0;
+      quotaExhausted = !data.bytes;
+      flushWaitingAppends();
+
+      if (quota < QUOTA_STEP / 2) {
+        requestQuota();
+      }
+      return;
+    }
+
+    if (data.type === 'list') {
+      records.forEach(record => post('update', summarize(record)));
+      return;
+    }
+
+    if (data.type === 'ended') {
+      const record = records.get(data.id);
+      if (record) {
+        markEnded(record);
+      }
+      return;
+    }
+
+    if (data.type === 'save') {
+      const record = records.get(data.id);
+
+      if (!record) {
+        post('saveResult', { requestId: data.requestId, error: '未找到对应的媒体流' });
+        return;
+      }
+
+      if (record.freed) {
+        post('saveResult', { requestId: data.requestId, error: '媒体流的缓存已释放，请重新播放后保存' });
+        return;
+      }
+
+      if (record.missedStart) {
+        post('saveResult', { requestId: data.requestId, error: '开启捕获前媒体流已经开始播放，缺少开头的数据，请刷新页面后重新播放' });
+        return;
+      }
+
+      post('saveResult', {
+        requestId: data.requestId,
+        truncated: record.truncated,
+        tracks: record.tracks
+          .filter(track => track.bytes > 0)
+          .map(track => ({
+            kind: track.kind,
+            mimeType: track.mimeType,
+            codecs: track.codecs,
+            bytes: track.bytes,
+            blob: new Blob(track.chunks, { type: track.mimeType })
+          }))
+      });
+
+      // 数据已经交给内容脚本生成文件，不再保留
+      freeRecord(record);
+    }
+  });
+})();
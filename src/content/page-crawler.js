@@ -0,0 +1,467 @@
+/**
+ * @file page-crawler.js
+ * @description 多页抓取：从当前页面出发，沿分页链接（rel=next、配置的选择器或URL模式）抓取同源页面的HTML，
+ * 交给离屏文档中的资源检测Worker检测资源并汇总到当前标签页的资源列表
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { MESSAGE_ACTIONS } from '../config/constants.js';
+
+/**
+ * 默认多页抓取选项
+ * @type {Object}
+ */
+export const DEFAULT_PAGE_CRAWL_OPTIONS = {
+  /** 最多抓取的页面数（不含当前页面） */
+  maxPages: 10,
+  /** 最大链接深度，当前页面为0 */
+  maxDepth: 2,
+  /** 两次请求之间的间隔（毫秒） */
+  delay: 1000,
+  /** 单个页面的请求超时（毫秒） */
+  timeout: 15000,
+  /** 是否跟随rel="next"链接 */
+  followRelNext: true,
+  /** 分页链接的CSS选择器 */
+  nextSelector: '',
+  /** 需要跟随的链接URL的正则表达式 */
+  urlPattern: ''
+};
+
+/**
+ * 多页抓取停止原因
+ * @type {Object.<string, string>}
+ */
+export const PAGE_CRAWL_STOP_REASONS = {
+  /** 没有更多可以跟随的链接 */
+  DONE: 'done',
+  /** 达到最大页面数 */
+  MAX_PAGES: 'max-pages',
+  /** 用户取消 */
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * 单个页面HTML的最大大小，超过时不检测
+ * @type {number}
+ * @private
+ */
+const MAX_HTML_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 多页抓取类
+ * @class PageCrawler
+ */
+class PageCrawler {
+  /**
+   * 创建多页抓取实例
+   * @param {Function} addResources - 添加资源的函数 (resources, pageUrl) => 新增的资源数
+   * @param {Object} [options] - 选项，见DEFAULT_PAGE_CRAWL_OPTIONS
+   * @param {string} [options.startUrl] - 起始页面URL，默认为当前页面
+   * @param {Document} [options.startDocument] - 起始页面文档，默认为当前文档
+   * @param {Function} [options.fetchPage] - 请求页面的函数 (url, signal) => Promise<Response>
+   * @param {Function} [options.detectResources] - 检测页面资源的函数 (html, pageUrl) => Promise<Array>，默认交给后台在离屏文档中检测
+   */
+  constructor(addResources, options = {}) {
+    this.addResources = addResources;
+    this.options = { ...DEFAULT_PAGE_CRAWL_OPTIONS };
+
+    Object.keys(DEFAULT_PAGE_CRAWL_OPTIONS).forEach(key => {
+      if (options[key] !== undefined && options[key] !== null) {
+        this.options[key] = options[key];
+      }
+    });
+
+    this.startUrl = options.startUrl || window.location.href;
+    this.startDocument = options.startDocument || document;
+    this.origin = new URL(this.startUrl).origin;
+    this.fetchPage = options.fetchPage || ((url, signal) => fetch(url, { credentials: 'same-origin', signal }));
+    this.detectResources = options.detectResources || ((html, pageUrl) => this._detectInExtension(html, pageUrl));
+    this.urlPattern = this._compilePattern(this.options.urlPattern);
+
+    this.running = false;
+    this.cancelled = false;
+    this.progress = null;
+    this._wakeUp = null;
+    this._abortController = null;
+    this._pendingDetections = new Set();
+  }
+
+  /**
+   * 开始抓取
+   * @param {Function} [onProgress] - 每个页面处理后的进度回调
+   * @returns {Promise<Object>} - 最终进度（state为completed或cancelled）
+   */
+  async run(onProgress) {
+    if (this.running) {
+      throw new Error('多页抓取正在进行');
+    }
+
+    this.running = true;
+    this.cancelled = false;
+
+    const startTime = Date.now();
+    const visited = new Set([this._normalizeUrl(this.startUrl)]);
+    const queue = [];
+    const detections = [];
+    let attempts = 0;
+    let reason = null;
+
+    const enqueue = (urls, depth) => {
+      urls.forEach(url => {
+        if (!visited.has(url)) {
+          visited.add(url);
+          queue.push({ url, depth });
+        }
+      });
+    };
+
+    this.progress = {
+      state: 'running',
+      reason: null,
+      pagesVisited: 0,
+      pagesQueued: 0,
+      resourceCount: 0,
+      errors: 0,
+      lastError: null,
+      currentUrl: null,
+      elapsed: 0
+    };
+
+    if (this.options.maxDepth > 0) {
+      enqueue(this._findLinks(this.startDocument, this.startUrl), 1);
+    }
+
+    try {
+      while (!reason) {
+        if (this.cancelled) {
+          reason = PAGE_CRAWL_STOP_REASONS.CANCELLED;
+        } else if (queue.length === 0) {
+          reason = PAGE_CRAWL_STOP_REASONS.DONE;
+        } else if (attempts >= this.options.maxPages) {
+          reason = PAGE_CRAWL_STOP_REASONS.MAX_PAGES;
+        }
+        if (reason) break;
+
+        const { url, depth } = queue.shift();
+        this.progress.currentUrl = url;
+        this.progress.pagesQueued = queue.length;
+
+        // 礼貌延迟：每次请求前等待，避免短时间内大量请求同一站点
+        await this._wait(this.options.delay);
+        if (this.cancelled) continue;
+
+        attempts++;
+
+        try {
+          const { html, finalUrl } = await this._fetchHtml(url);
+
+          this.progress.pagesVisited++;
+
+          if (depth < this.options.maxDepth) {
+            const doc = new DOMParser().parseFromString(html, 'text/html');
+            enqueue(this._findLinks(doc, finalUrl), depth + 1);
+          }
+
+          detections.push(this._detect(html, finalUrl)
+            .then(resources => {
+              this.progress.resourceCount += this.addResources(resources, finalUrl) || 0;
+            })
+            .catch(error => {
+              if (!this.cancelled) {
+                this._recordError(finalUrl, error);
+              }
+            }));
+        } catch (error) {
+          if (this.cancelled) continue;
+          this._recordError(url, error);
+        }
+
+        this.progress = {
+          ...this.progress,
+          pagesQueued: queue.length,
+          elapsed: Date.now() - startTime
+        };
+
+        if (onProgress) {
+          onProgress({ ...this.progress });
+        }
+      }
+
+      await Promise.all(detections);
+
+      // 等待检测结果时取消的抓取，未返回的结果已被丢弃
+      if (this.cancelled) {
+        reason = PAGE_CRAWL_STOP_REASONS.CANCELLED;
+      }
+    } finally {
+      this.running = false;
+      this._abortController = null;
+    }
+
+    this.progress = {
+      ...this.progress,
+      state: reason === PAGE_CRAWL_STOP_REASONS.CANCELLED ? 'cancelled' : 'completed',
+      reason: reason,
+      currentUrl: null,
+      pagesQueued: queue.length,
+      elapsed: Date.now() - startTime
+    };
+
+    return { ...this.progress };
+  }
+
+  /**
+   * 取消抓取，正在进行的请求会被中止，尚未返回的检测结果会被丢弃
+   */
+  cancel() {
+    this.cancelled = true;
+
+    if (this._wakeUp) {
+      this._wakeUp();
+    }
+
+    if (this._abortController) {
+      this._abortController.abort();
+    }
+
+    this._pendingDetections.forEach(reject => reject(new Error('已取消')));
+    this._pendingDetections.clear();
+  }
+
+  /**
+   * 获取当前进度
+   * @returns {Object|null} - 进度，尚未开始时返回null
+   */
+  getProgress() {
+    return this.progress ? { ...this.progress } : null;
+  }
+
+  /**
+   * 查找需要跟随的链接：rel="next"、匹配选择器的元素和URL匹配模式的链接，只保留同源的http(s)地址
+   * @param {Document} doc - 页面文档
+   * @param {string} baseUrl - 页面URL，用于解析相对地址
+   * @returns {Array<string>} - 去重后的绝对URL
+   * @private
+   */
+  _findLinks(doc, baseUrl) {
+    const hrefs = [];
+
+    if (this.options.followRelNext) {
+      doc.querySelectorAll('link[rel~="next"][href], a[rel~="next"][href]').forEach(element => {
+        hrefs.push(element.getAttribute('href'));
+      });
+    }
+
+    if (this.options.nextSelector) {
+      try {
+        doc.querySelectorAll(this.options.nextSelector).forEach(element => {
+          const link = element.hasAttribute('href') ? element : element.querySelector('a[href]');
+          if (link) {
+            hrefs.push(link.getAttribute('href'));
+          }
+        });
+      } catch (e) {
+        console.warn('无效的分页链接选择器:', this.options.nextSelector);
+      }
+    }
+
+    const links = hrefs.map(href => this._resolveUrl(href, baseUrl));
+
+    if (this.urlPattern) {
+      doc.querySelectorAll('a[href]').forEach(element => {
+        const url = this._resolveUrl(element.getAttribute('href'), baseUrl);
+        if (url && this.urlPattern.test(url)) {
+          links.push(url);
+        }
+      });
+    }
+
+    return Array.from(new Set(links.filter(Boolean)));
+  }
+
+  /**
+   * 解析链接地址，只接受同源的http(s)地址
+   * @param {string} href - 链接地址
+   * @param {string} baseUrl - 基础URL
+   * @returns {string|null} - 去掉锚点的绝对URL，不可跟随时返回null
+   * @private
+   */
+  _resolveUrl(href, baseUrl) {
+    if (!href) return null;
+
+    try {
+      const url = new URL(href.trim(), baseUrl);
+      if (!/^https?:$/.test(url.protocol) || url.origin !== this.origin) return null;
+
+      url.hash = '';
+      return url.href;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 规范化URL（去掉锚点），用于判断页面是否已访问
+   * @param {string} url - URL
+   * @returns {string} - 规范化后的URL
+   * @private
+   */
+  _normalizeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return parsed.href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 编译链接URL模式
+   * @param {string|RegExp} pattern - 正则表达式
+   * @returns {RegExp|null} - 正则表达式，为空或无效时返回null
+   * @private
+   */
+  _compilePattern(pattern) {
+    if (!pattern) return null;
+    if (pattern instanceof RegExp) return pattern;
+
+    try {
+      return new RegExp(pattern, 'i');
+    } catch (e) {
+      console.warn('无效的链接URL模式:', pattern);
+      return null;
+    }
+  }
+
+  /**
+   * 请求页面HTML
+   * @param {string} url - 页面URL
+   * @returns {Promise<Object>} - { html, finalUrl }
+   * @private
+   */
+  async _fetchHtml(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+    this._abortController = controller;
+
+    try {
+      const response = await this.fetchPage(url, controller.signal);
+
+      if (!response.ok) {
+        throw new Error(`HTTP错误 ${response.status}`);
+      }
+
+      // 重定向到其他站点的页面不处理
+      const finalUrl = response.url || url;
+      if (new URL(finalUrl).origin !== this.origin) {
+        throw new Error('页面被重定向到其他站点');
+      }
+
+      const contentType = (response.headers && response.headers.get('content-type')) || '';
+      if (contentType && !/html|xml/i.test(contentType)) {
+        throw new Error(`不是HTML页面: ${contentType}`);
+      }
+
+      const html = await response.text();
+      if (html.length > MAX_HTML_SIZE) {
+        throw new Error('页面过大');
+      }
+
+      return { html, finalUrl };
+    } catch (e) {
+      if (e.name === 'AbortError') {
+        throw new Error(this.cancelled ? '已取消' : '请求超时');
+      }
+      throw e;
+    } finally {
+      clearTimeout(timer);
+      if (this._abortController === controller) {
+        this._abortController = null;
+      }
+    }
+  }
+
+  /**
+   * 检测页面资源，取消抓取时立即以错误结束，不等待检测返回
+   * @param {string} html - 页面HTML
+   * @param {string} pageUrl - 页面URL
+   * @returns {Promise<Array>} - 资源数组
+   * @private
+   */
+  _detect(html, pageUrl) {
+    return new Promise((resolve, reject) => {
+      const settle = (callback) => (value) => {
+        if (this._pendingDetections.delete(reject)) {
+          callback(value);
+        }
+      };
+
+      this._pendingDetections.add(reject);
+
+      Promise.resolve()
+        .then(() => this.detectResources(html, pageUrl))
+        .then(settle(resolve), settle(reject));
+    });
+  }
+
+  /**
+   * 请求后台在离屏文档中检测页面资源，网页中不能从扩展地址创建Worker
+   * @param {string} html - 页面HTML
+   * @param {string} pageUrl - 页面URL
+   * @returns {Promise<Array>} - 资源数组
+   * @private
+   */
+  async _detectInExtension(html, pageUrl) {
+    const response = await chrome.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.DETECT_PAGE_RESOURCES,
+      html: html,
+      pageUrl: pageUrl
+    });
+
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || '资源检测失败');
+    }
+
+    return response.resources || [];
+  }
+
+  /**
+   * 记录页面错误
+   * @param {string} url - 页面URL
+   * @param {Error} error - 错误
+   * @private
+   */
+  _recordError(url, error) {
+    console.warn(`抓取页面失败 ${url}:`, error.message);
+
+    this.progress.errors++;
+    this.progress.lastError = `${url}: ${error.message}`;
+  }
+
+  /**
+   * 等待指定时间，取消时提前结束
+   * @param {number} ms - 毫秒
+   * @returns {Promise<void>}
+   * @private
+   */
+  _wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._wakeUp = null;
+        resolve();
+      }, ms);
+
+      this._wakeUp = () => {
+        clearTimeout(timer);
+        this._wakeUp = null;
+        resolve();
+      };
+    });
+  }
+}
+
+export default PageCrawler;
@@ -0,0 +1,410 @@
+/**
+ * @file extractor-registry.js
+ * @description 站点提取器注册表，按页面域名分发DOM提取、网络响应提取和高清URL改写，核心检测代码不再包含站点特定逻辑
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { SOURCE_TYPES } from '../config/constants.js';
+
+/**
+ * 提取器接口版本，接口出现不兼容的变更时递增
+ * @type {number}
+ */
+export const EXTRACTOR_API_VERSION = 1;
+
+/**
+ * 站点提取器
+ * @typedef {Object} SiteExtractor
+ * @property {string} id - 唯一标识，只能包含小写字母、数字和连字符
+ * @property {string} name - 显示名称
+ * @property {string} version - 提取器自身的版本号（x.y.z），同一ID以较新的版本为准
+ * @property {number} apiVersion - 实现的提取器接口版本，必须等于EXTRACTOR_API_VERSION
+ * @property {Array<string|RegExp>} matches - 页面域名匹配规则，字符串匹配该域名及其子域名，"*."前缀只匹配子域名，正则匹配完整域名
+ * @property {Array<string|RegExp>} [mediaHosts] - 该站点图片、视频等资源所在的域名（CDN）匹配规则，规则同matches
+ * @property {Function} extractFromDocument - (document, context) => Array 从页面DOM中提取资源
+ * @property {Function} [extractFromResponse] - (details, context) => Array 根据网络响应（URL、响应头）提取资源
+ * @property {Function} [rewriteUrl] - (url) => string|null 把资源URL改写为高清版本，不适用时返回null
+ * @property {Function} [relatedPatterns] - (url) => Array<string> 该站点资源的相关资源URL正则（如视频页面和其他尺寸的封面），供资源分析使用
+ * @property {Array<RegExp>} [resourcePatterns] - 在页面HTML中匹配该站点资源URL的正则，供资源预测使用
+ */
+
+/**
+ * 提取器ID格式
+ * @type {RegExp}
+ * @private
+ */
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * 版本号格式
+ * @type {RegExp}
+ * @private
+ */
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+
+/**
+ * 站点提取器注册表类
+ * @class ExtractorRegistry
+ */
+class ExtractorRegistry {
+  /**
+   * 创建提取器注册表实例
+   * @param {Array<SiteExtractor>} [extractors] - 初始注册的提取器
+   */
+  constructor(extractors = []) {
+    this.extractors = new Map();
+
+    extractors.forEach(extractor => this.register(extractor));
+  }
+
+  /**
+   * 校验提取器是否实现了稳定接口
+   * @param {SiteExtractor} extractor - 提取器
+   * @returns {Object} - 校验结果 { valid, errors }
+   */
+  static validate(extractor) {
+    const errors = [];
+
+    if (!extractor || typeof extractor !== 'object') {
+      return { valid: false, errors: ['提取器必须是对象'] };
+    }
+
+    if (typeof extractor.id !== 'string' || !ID_PATTERN.test(extractor.id)) {
+      errors.push('id只能包含小写字母、数字和连字符');
+    }
+
+    if (!extractor.name) {
+      errors.push('缺少name');
+    }
+
+    if (typeof extractor.version !== 'string' || !VERSION_PATTERN.test(extractor.version)) {
+      errors.push('version必须是x.y.z格式');
+    }
+
+    if (extractor.apiVersion !== EXTRACTOR_API_VERSION) {
+      errors.push(`apiVersion为 ${extractor.apiVersion}，当前接口版本为 ${EXTRACTOR_API_VERSION}`);
+    }
+
+    if (!Array.isArray(extractor.matches) || extractor.matches.length === 0 ||
+        !extractor.matches.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp)) {
+      errors.push('matches必须是非空的字符串或正则数组');
+    }
+
+    if (extractor.mediaHosts !== undefined &&
+        (!Array.isArray(extractor.mediaHosts) ||
+         !extractor.mediaHosts.every(pattern => typeof pattern === 'string' || pattern instanceof RegExp))) {
+      errors.push('mediaHosts必须是字符串或正则数组');
+    }
+
+    if (typeof extractor.extractFromDocument !== 'function') {
+      errors.push('缺少extractFromDocument方法');
+    }
+
+    ['extractFromResponse', 'rewriteUrl', 'relatedPatterns'].forEach(method => {
+      if (extractor[method] !== undefined && typeof extractor[method] !== 'function') {
+        errors.push(`${method}必须是函数`);
+      }
+    });
+
+    if (extractor.resourcePatterns !== undefined &&
+        (!Array.isArray(extractor.resourcePatterns) || !extractor.resourcePatterns.every(pattern => pattern instanceof RegExp))) {
+      errors.push('resourcePatterns必须是正则数组');
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 比较两个版本号
+   * @param {string} a - 版本号
+   * @param {string} b - 版本号
+   * @returns {number} - a较新时为正数，较旧时为负数，相同时为0
+   */
+  static compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+      if (left[i] !== right[i]) return left[i] - right[i];
+    }
+
+    return 0;
+  }
+
+  /**
+   * 注册提取器，同一ID已存在相同或更新的版本时忽略
+   * @param {SiteExtractor} extractor - 提取器
+   * @returns {boolean} - 是否注册（或替换）成功
+   */
+  register(extractor) {
+    const validation = ExtractorRegistry.validate(extractor);
+
+    if (!validation.valid) {
+      throw new Error(`提取器 ${extractor && extractor.id ? extractor.id : ''} 无效: ${validation.errors.join('; ')}`);
+    }
+
+    const existing = this.extractors.get(extractor.id);
+    if (existing && ExtractorRegistry.compareVersions(extractor.version, existing.version) <= 0) {
+      return false;
+    }
+
+    this.extractors.set(extractor.id, extractor);
+    return true;
+  }
+
+  /**
+   * 注销提取器
+   * @param {string} id - 提取器ID
+   * @returns {boolean} - 是否存在并已注销
+   */
+  unregister(id) {
+    return this.extractors.delete(id);
+  }
+
+  /**
+   * 获取提取器
+   * @param {string} id - 提取器ID
+   * @returns {SiteExtractor|null} - 提取器
+   */
+  get(id) {
+    return this.extractors.get(id) || null;
+  }
+
+  /**
+   * 获取所有提取器的摘要信息
+   * @returns {Array} - [{ id, name, version, matches }]
+   */
+  list() {
+    return Array.from(this.extractors.values()).map(extractor => ({
+      id: extractor.id,
+      name: extractor.name,
+      version: extractor.version,
+      matches: extractor.matches.map(pattern => pattern.toString())
+    }));
+  }
+
+  /**
+   * 查找与页面匹配的提取器
+   * @param {string} urlOrHostname - 页面URL或域名
+   * @returns {Array<SiteExtractor>} - 匹配的提取器
+   */
+  findExtractors(urlOrHostname) {
+    const hostname = this._getHostname(urlOrHostname);
+    if (!hostname) return [];
+
+    return Array.from(this.extractors.values())
+      .filter(extractor => extractor.matches.some(pattern => this._matchHostname(pattern, hostname)));
+  }
+
+  /**
+   * 查找资源URL所属站点的提取器，按页面域名和资源域名（mediaHosts）匹配
+   * @param {string} url - 资源URL
+   * @returns {SiteExtractor|null} - 提取器，资源不属于任何已注册站点时返回null
+   */
+  findExtractorForResource(url) {
+    const hostname = this._getHostname(url);
+    if (!hostname) return null;
+
+    for (const extractor of this.extractors.values()) {
+      const patterns = extractor.matches.concat(extractor.mediaHosts || []);
+      if (patterns.some(pattern => this._matchHostname(pattern, hostname))) {
+        return extractor;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取资源URL所属的站点
+   * @param {string} url - 资源URL
+   * @returns {string|null} - 提取器ID，资源不属于任何已注册站点时返回null
+   */
+  getPlatform(url) {
+    const extractor = this.findExtractorForResource(url);
+    return extractor ? extractor.id : null;
+  }
+
+  /**
+   * 使用匹配页面的提取器从DOM中提取资源
+   * @param {Document} document - 文档对象
+   * @param {string} pageUrl - 页面URL
+   * @returns {Array} - 资源数组，每个资源带有extractor字段
+   */
+  extractFromDocument(document, pageUrl) {
+    const resources = [];
+
+    this.findExtractors(pageUrl).forEach(extractor => {
+      try {
+        const extracted = extractor.extractFromDocument(document, { pageUrl: pageUrl });
+        resources.push(...this._normalize(extracted, extractor, pageUrl, SOURCE_TYPES.DOM));
+      } catch (e) {
+        console.warn(`提取器 ${extractor.id} 提取DOM资源错误:`, e);
+      }
+    });
+
+    return resources;
+  }
+
+  /**
+   * 使用匹配页面的提取器处理网络响应
+   * @param {Object} details - 响应详情 { url, type, contentType, responseHeaders, tabId }
+   * @param {string} pageUrl - 发起请求的页面URL
+   * @returns {Array} - 资源数组，每个资源带有extractor字段
+   */
+  extractFromResponse(details, pageUrl) {
+    const resources = [];
+
+    this.findExtractors(pageUrl).forEach(extractor => {
+      if (!extractor.extractFromResponse) return;
+
+      try {
+        const extracted = extractor.extractFromResponse(details, { pageUrl: pageUrl });
+        resources.push(...this._normalize(extracted, extractor, pageUrl, SOURCE_TYPES.NETWORK));
+      } catch (e) {
+        console.warn(`提取器 ${extractor.id} 处理网络响应错误:`, e);
+      }
+    });
+
+    return resources;
+  }
+
+  /**
+   * 把资源URL改写为高清版本
+   * 资源常位于与页面不同的CDN域名，因此依次询问所有提供rewriteUrl的提取器
+   * @param {string} url - 资源URL
+   * @returns {Object|null} - { url, extractor }，没有提取器适用时返回null
+   */
+  rewriteUrl(url) {
+    if (!url) return null;
+
+    for (const extractor of this.extractors.values()) {
+      if (!extractor.rewriteUrl) continue;
+
+      try {
+        const rewritten = extractor.rewriteUrl(url);
+        if (rewritten && rewritten !== url) {
+          return { url: rewritten, extractor: extractor.id };
+        }
+      } catch (e) {
+        console.warn(`提取器 ${extractor.id} 改写URL错误:`, e);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取资源所属站点的提取器提供的相关资源URL正则
+   * @param {string} url - 资源URL
+   * @returns {Array<string>} - 正则字符串数组
+   */
+  getRelatedPatterns(url) {
+    const extractor = this.findExtractorForResource(url);
+    if (!extractor || !extractor.relatedPatterns) return [];
+
+    try {
+      return extractor.relatedPatterns(url) || [];
+    } catch (e) {
+      console.warn(`提取器 ${extractor.id} 查找相关资源错误:`, e);
+      return [];
+    }
+  }
+
+  /**
+   * 获取匹配页面的提取器提供的资源URL正则
+   * @param {string} urlOrHostname - 页面URL或域名
+   * @returns {Array<RegExp>} - 正则数组（每次返回新的实例，避免共享lastIndex）
+   */
+  getResourcePatterns(urlOrHostname) {
+    return this.findExtractors(urlOrHostname)
+      .flatMap(extractor => extractor.resourcePatterns || [])
+      .map(pattern => new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : pattern.flags + 'g'));
+  }
+
+  /**
+   * 规范化提取器返回的资源
+   * @param {Array} extracted - 提取器返回的资源
+   * @param {SiteExtractor} extractor - 提取器
+   * @param {string} pageUrl - 页面URL
+   * @param {string} defaultSource - 默认来源类型
+   * @returns {Array} - 资源数组
+   * @private
+   */
+  _normalize(extracted, extractor, pageUrl, defaultSource) {
+    if (!Array.isArray(extracted)) return [];
+
+    const seen = new Set();
+
+    return extracted
+      .filter(resource => resource && resource.url)
+      .map(resource => ({
+        ...resource,
+        url: this._resolveUrl(resource.url, pageUrl),
+        source: resource.source || defaultSource,
+        extractor: extractor.id,
+        timestamp: resource.timestamp || Date.now()
+      }))
+      .filter(resource => {
+        if (!resource.url || /^(data|blob):/i.test(resource.url) || seen.has(resource.url)) return false;
+        seen.add(resource.url);
+        return true;
+      });
+  }
+
+  /**
+   * 匹配域名
+   * @param {string|RegExp} pattern - 匹配规则
+   * @param {string} hostname - 域名
+   * @returns {boolean} - 是否匹配
+   * @private
+   */
+  _matchHostname(pattern, hostname) {
+    if (pattern instanceof RegExp) {
+      return pattern.test(hostname);
+    }
+
+    const rule = pattern.toLowerCase();
+
+    if (rule.startsWith('*.')) {
+      return hostname.endsWith(rule.slice(1));
+    }
+
+    return hostname === rule || hostname.endsWith('.' + rule);
+  }
+
+  /**
+   * 获取域名
+   * @param {string} urlOrHostname - URL或域名
+   * @returns {string} - 小写域名
+   * @private
+   */
+  _getHostname(urlOrHostname) {
+    if (!urlOrHostname) return '';
+
+    try {
+      return new URL(urlOrHostname).hostname.toLowerCase();
+    } catch (e) {
+      return String(urlOrHostname).toLowerCase();
+    }
+  }
+
+  /**
+   * 把相对URL解析为绝对URL
+   * @param {string} url - URL
+   * @param {string} pageUrl - 页面URL
+   * @returns {string|null} - 绝对URL
+   * @private
+   */
+  _resolveUrl(url, pageUrl) {
+    try {
+      return new URL(url, pageUrl || undefined).href;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+export default ExtractorRegistry;
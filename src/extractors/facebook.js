@@ -0,0 +1,64 @@
+/**
+ * @file facebook.js
+ * @description Facebook站点提取器：提取fbcdn.net上的帖子图片和视频
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * 头像、表情等小图标的最大尺寸（像素），小于该尺寸的图片不提取
+ * @type {number}
+ * @private
+ */
+const MIN_IMAGE_SIZE = 100;
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document) {
+  const resources = [];
+
+  document.querySelectorAll('img[src*="fbcdn.net"]').forEach(img => {
+    const width = parseInt(img.getAttribute('width'), 10) || img.naturalWidth || 0;
+    const height = parseInt(img.getAttribute('height'), 10) || img.naturalHeight || 0;
+
+    if ((width && width < MIN_IMAGE_SIZE) || (height && height < MIN_IMAGE_SIZE)) return;
+
+    resources.push({
+      url: img.getAttribute('src'),
+      type: RESOURCE_TYPES.IMAGE,
+      quality: QUALITY_LEVELS.UNKNOWN,
+      width: width,
+      height: height,
+      alt: img.getAttribute('alt') || ''
+    });
+  });
+
+  document.querySelectorAll('video[src*="fbcdn.net"]').forEach(video => {
+    resources.push({
+      url: video.getAttribute('src'),
+      type: RESOURCE_TYPES.VIDEO,
+      quality: QUALITY_LEVELS.UNKNOWN
+    });
+  });
+
+  return resources;
+}
+
+export default {
+  id: 'facebook',
+  name: 'Facebook',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['facebook.com'],
+  mediaHosts: ['fbcdn.net'],
+  resourcePatterns: [
+    /https?:\/\/scontent.*?\.fbcdn\.net\/.*?\.(jpe?g|png|gif)/gi
+  ],
+  extractFromDocument
+};
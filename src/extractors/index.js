@@ -0,0 +1,34 @@
+/**
+ * @file index.js
+ * @description 站点提取器入口：注册内置提取器并导出共享的注册表实例
+ * 新增站点时在本目录添加实现SiteExtractor接口的模块（见extractor-registry.js），并加入下方列表，无需修改核心检测代码
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ExtractorRegistry from './extractor-registry.js';
+import youtube from './youtube.js';
+import vimeo from './vimeo.js';
+import instagram from './instagram.js';
+import twitter from './twitter.js';
+import facebook from './facebook.js';
+import tiktok from './tiktok.js';
+
+/**
+ * 内置站点提取器
+ * @type {Array<Object>}
+ */
+export const BUILTIN_EXTRACTORS = [
+  youtube,
+  vimeo,
+  instagram,
+  twitter,
+  facebook,
+  tiktok
+];
+
+const extractorRegistry = new ExtractorRegistry(BUILTIN_EXTRACTORS);
+
+export { ExtractorRegistry };
+export default extractorRegistry;
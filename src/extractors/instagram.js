@@ -0,0 +1,82 @@
+/**
+ * @file instagram.js
+ * @description Instagram站点提取器：从srcset中选取最大尺寸的图片，并提取帖子视频
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * 选出srcset中宽度最大的候选
+ * @param {string} srcset - srcset属性值
+ * @returns {Object|null} - { url, width }
+ * @private
+ */
+function pickLargest(srcset) {
+  let largest = null;
+
+  srcset.split(',').forEach(part => {
+    const [url, descriptor] = part.trim().split(/\s+/);
+    const width = parseInt(descriptor, 10) || 0;
+
+    if (url && (!largest || width > largest.width)) {
+      largest = { url, width };
+    }
+  });
+
+  return largest;
+}
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document) {
+  const resources = [];
+
+  document.querySelectorAll('img[srcset]').forEach(img => {
+    const largest = pickLargest(img.getAttribute('srcset'));
+    if (!largest) return;
+
+    const displayWidth = parseInt(img.getAttribute('width'), 10) || img.width;
+    const displayHeight = parseInt(img.getAttribute('height'), 10) || img.height;
+
+    resources.push({
+      url: largest.url,
+      type: RESOURCE_TYPES.IMAGE,
+      quality: QUALITY_LEVELS.HD,
+      width: largest.width,
+      height: displayWidth && displayHeight ? Math.round(largest.width * (displayHeight / displayWidth)) : 0,
+      alt: img.getAttribute('alt') || ''
+    });
+  });
+
+  document.querySelectorAll('video[src]').forEach(video => {
+    resources.push({
+      url: video.getAttribute('src'),
+      type: RESOURCE_TYPES.VIDEO,
+      quality: QUALITY_LEVELS.HD,
+      width: video.videoWidth || 0,
+      height: video.videoHeight || 0,
+      thumbnailUrl: video.getAttribute('poster') || undefined
+    });
+  });
+
+  return resources;
+}
+
+export default {
+  id: 'instagram',
+  name: 'Instagram',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['instagram.com'],
+  mediaHosts: ['cdninstagram.com'],
+  resourcePatterns: [
+    /https?:\/\/scontent.*?\.cdninstagram\.com\/.*?\.(jpe?g|png|mp4)/gi
+  ],
+  extractFromDocument
+};
@@ -0,0 +1,57 @@
+/**
+ * @file tiktok.js
+ * @description TikTok站点提取器：提取播放器视频和封面
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document) {
+  const resources = [];
+
+  document.querySelectorAll('video').forEach(video => {
+    const source = video.querySelector('source[src]');
+    const src = video.getAttribute('src') || (source ? source.getAttribute('src') : null);
+    if (!src) return;
+
+    resources.push({
+      url: src,
+      type: RESOURCE_TYPES.VIDEO,
+      quality: QUALITY_LEVELS.UNKNOWN,
+      width: video.videoWidth || 0,
+      height: video.videoHeight || 0,
+      thumbnailUrl: video.getAttribute('poster') || undefined
+    });
+  });
+
+  document.querySelectorAll('img[src*="tiktokcdn"]').forEach(img => {
+    resources.push({
+      url: img.getAttribute('src'),
+      type: RESOURCE_TYPES.IMAGE,
+      quality: QUALITY_LEVELS.UNKNOWN,
+      alt: img.getAttribute('alt') || ''
+    });
+  });
+
+  return resources;
+}
+
+export default {
+  id: 'tiktok',
+  name: 'TikTok',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['tiktok.com'],
+  mediaHosts: ['tiktokcdn.com', 'tiktokcdn-us.com'],
+  resourcePatterns: [
+    /https?:\/\/.*?\.tiktokcdn\.com\/.*?\.(jpe?g|png|mp4)/gi
+  ],
+  extractFromDocument
+};
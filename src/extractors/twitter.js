@@ -0,0 +1,115 @@
+/**
+ * @file twitter.js
+ * @description Twitter/X站点提取器：把pbs.twimg.com图片改写为原图，并识别video.twimg.com的视频和播放列表
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * 推文图片URL，尺寸由name参数或旧式的":size"后缀指定
+ * @type {RegExp}
+ * @private
+ */
+const MEDIA_PATTERN = /^https?:\/\/pbs\.twimg\.com\/media\/([\w-]+)(?:\.(\w+))?(?::\w+)?(\?.*)?$/i;
+
+/**
+ * 把推文图片改写为原图
+ * @param {string} url - 资源URL
+ * @returns {string|null} - 改写后的URL
+ */
+function rewriteUrl(url) {
+  const match = MEDIA_PATTERN.exec(url);
+  if (!match) return null;
+
+  const params = new URLSearchParams(match[3] ? match[3].slice(1) : '');
+  const format = params.get('format') || match[2] || 'jpg';
+  const rewritten = `https://pbs.twimg.com/media/${match[1]}?format=${format}&name=orig`;
+
+  return rewritten === url ? null : rewritten;
+}
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document) {
+  const resources = [];
+
+  document.querySelectorAll('img[src*="pbs.twimg.com/media/"]').forEach(img => {
+    const src = img.getAttribute('src');
+
+    resources.push({
+      url: rewriteUrl(src) || src,
+      type: RESOURCE_TYPES.IMAGE,
+      quality: QUALITY_LEVELS.HD,
+      alt: img.getAttribute('alt') || ''
+    });
+  });
+
+  document.querySelectorAll('video').forEach(video => {
+    const src = video.getAttribute('src');
+
+    if (src) {
+      resources.push({
+        url: src,
+        type: RESOURCE_TYPES.VIDEO,
+        quality: QUALITY_LEVELS.UNKNOWN,
+        thumbnailUrl: video.getAttribute('poster') || undefined
+      });
+    }
+  });
+
+  return resources;
+}
+
+/**
+ * 从网络响应中识别视频文件和HLS播放列表
+ * @param {Object} details - 响应详情 { url, contentType }
+ * @returns {Array} - 资源数组
+ */
+function extractFromResponse(details) {
+  if (!/^https?:\/\/video\.twimg\.com\//i.test(details.url)) return [];
+
+  const path = details.url.split('?')[0];
+
+  if (/\.m3u8$/i.test(path)) {
+    // 只保留主播放列表，各清晰度的子播放列表由HLS解析得到
+    if (!/\/pl\/[^/]+\.m3u8$/i.test(path) && !/variant_version=/i.test(details.url)) return [];
+
+    return [{ url: details.url, type: RESOURCE_TYPES.VIDEO, isStream: true, streamType: 'hls', contentType: details.contentType }];
+  }
+
+  if (/\.mp4$/i.test(path)) {
+    const size = /\/(\d+)x(\d+)\//.exec(path);
+
+    return [{
+      url: details.url,
+      type: RESOURCE_TYPES.VIDEO,
+      contentType: details.contentType,
+      width: size ? parseInt(size[1], 10) : 0,
+      height: size ? parseInt(size[2], 10) : 0,
+      quality: size && parseInt(size[2], 10) >= 720 ? QUALITY_LEVELS.HD : QUALITY_LEVELS.SD
+    }];
+  }
+
+  return [];
+}
+
+export default {
+  id: 'twitter',
+  name: 'Twitter / X',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['twitter.com', 'x.com'],
+  mediaHosts: ['twimg.com'],
+  resourcePatterns: [
+    /https?:\/\/pbs\.twimg\.com\/media\/.*?\.(jpe?g|png|gif)/gi
+  ],
+  extractFromDocument,
+  extractFromResponse,
+  rewriteUrl
+};
@@ -0,0 +1,119 @@
+/**
+ * @file vimeo.js
+ * @description Vimeo站点提取器：提取播放器视频、封面和HLS/DASH播放列表
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * vimeocdn封面URL中的尺寸后缀，例如 -d_640x360
+ * @type {RegExp}
+ * @private
+ */
+const THUMBNAIL_SIZE_PATTERN = /^(https?:\/\/i\.vimeocdn\.com\/video\/[^?#]+?)_\d+(?:x\d+)?(\.\w+)?((?:\?|#).*)?$/i;
+
+/**
+ * 播放列表URL
+ * @type {RegExp}
+ * @private
+ */
+const PLAYLIST_PATTERN = /vimeocdn\.com\/.*\/(?:playlist|master)\.(m3u8|json|mpd)(\?|$)/i;
+
+/**
+ * 把封面URL改写为1920x1080
+ * @param {string} url - 资源URL
+ * @returns {string|null} - 改写后的URL
+ */
+function rewriteUrl(url) {
+  const match = THUMBNAIL_SIZE_PATTERN.exec(url);
+  if (!match || /_1920x1080(\.\w+)?$/.test(url.split(/[?#]/)[0])) return null;
+
+  return `${match[1]}_1920x1080${match[2] || ''}`;
+}
+
+/**
+ * 获取与封面相关的资源URL正则：视频页面和同一视频的其他封面
+ * @param {string} url - 资源URL
+ * @returns {Array<string>} - 正则字符串数组
+ */
+function relatedPatterns(url) {
+  const match = /\/video\/(\d+)/.exec(new URL(url).pathname);
+  if (!match) return [];
+
+  return [
+    `https://vimeo.com/${match[1]}`,
+    `https://i.vimeocdn.com/video/${match[1]}.*\\.jpg`
+  ];
+}
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document) {
+  const resources = [];
+
+  document.querySelectorAll('video[src]').forEach(video => {
+    resources.push({
+      url: video.getAttribute('src'),
+      type: RESOURCE_TYPES.VIDEO,
+      quality: QUALITY_LEVELS.HD,
+      width: video.videoWidth || 0,
+      height: video.videoHeight || 0
+    });
+  });
+
+  const images = Array.from(document.querySelectorAll('img[src*="i.vimeocdn.com/video/"]')).map(img => img.getAttribute('src'));
+  const ogImage = document.querySelector('meta[property="og:image"]');
+  if (ogImage && ogImage.content) images.unshift(ogImage.content);
+
+  images.forEach(url => {
+    const rewritten = rewriteUrl(url);
+
+    resources.push({
+      url: rewritten || url,
+      type: RESOURCE_TYPES.IMAGE,
+      quality: rewritten || /_1920x1080/.test(url) ? QUALITY_LEVELS.HD : QUALITY_LEVELS.UNKNOWN
+    });
+  });
+
+  return resources;
+}
+
+/**
+ * 从网络响应中识别播放列表
+ * @param {Object} details - 响应详情 { url, contentType }
+ * @returns {Array} - 资源数组
+ */
+function extractFromResponse(details) {
+  const match = PLAYLIST_PATTERN.exec(details.url);
+  if (!match) return [];
+
+  return [{
+    url: details.url,
+    type: RESOURCE_TYPES.VIDEO,
+    isStream: true,
+    streamType: match[1].toLowerCase() === 'm3u8' ? 'hls' : 'dash',
+    contentType: details.contentType
+  }];
+}
+
+export default {
+  id: 'vimeo',
+  name: 'Vimeo',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['vimeo.com'],
+  mediaHosts: ['vimeocdn.com'],
+  resourcePatterns: [
+    /https?:\/\/i\.vimeocdn\.com\/video\/.*?\.(jpe?g|png)/gi
+  ],
+  extractFromDocument,
+  extractFromResponse,
+  rewriteUrl,
+  relatedPatterns
+};
@@ -0,0 +1,127 @@
+/**
+ * @file youtube.js
+ * @description YouTube站点提取器：提取播放器视频和视频封面，封面统一改写为maxresdefault
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+
+/**
+ * ytimg封面URL格式：/vi/<视频ID>/<尺寸名>.jpg，webp封面位于/vi_webp/
+ * @type {RegExp}
+ * @private
+ */
+const THUMBNAIL_PATTERN = /^https?:\/\/i\d?\.ytimg\.com\/(vi|vi_webp)\/([\w-]{11})\/([a-z0-9_]*default|hq720)\.(jpg|webp)(\?.*)?$/i;
+
+/**
+ * 获取页面对应的视频ID
+ * @param {string} pageUrl - 页面URL
+ * @returns {string|null} - 视频ID
+ * @private
+ */
+function getVideoId(pageUrl) {
+  try {
+    const url = new URL(pageUrl);
+
+    if (url.hostname.endsWith('youtu.be')) {
+      return url.pathname.slice(1, 12) || null;
+    }
+
+    const match = /^\/(?:shorts|embed|live)\/([\w-]{11})/.exec(url.pathname);
+    return match ? match[1] : url.searchParams.get('v');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 把封面URL改写为最高分辨率
+ * @param {string} url - 资源URL
+ * @returns {string|null} - 改写后的URL
+ */
+function rewriteUrl(url) {
+  const match = THUMBNAIL_PATTERN.exec(url);
+  if (!match || match[3] === 'maxresdefault') return null;
+
+  return `https://i.ytimg.com/${match[1]}/${match[2]}/maxresdefault.${match[4]}`;
+}
+
+/**
+ * 获取与封面相关的资源URL正则：视频页面和同一视频的其他封面
+ * @param {string} url - 资源URL
+ * @returns {Array<string>} - 正则字符串数组
+ */
+function relatedPatterns(url) {
+  const match = /\/vi\/([^\/]+)\//.exec(new URL(url).pathname);
+  if (!match) return [];
+
+  return [
+    `https://www.youtube.com/watch\\?v=${match[1]}`,
+    `https://i.ytimg.com/vi/${match[1]}/.*\\.jpg`
+  ];
+}
+
+/**
+ * 从页面DOM中提取资源
+ * @param {Document} document - 文档对象
+ * @param {Object} context - 提取上下文 { pageUrl }
+ * @returns {Array} - 资源数组
+ */
+function extractFromDocument(document, context) {
+  const resources = [];
+  const thumbnails = new Set();
+
+  document.querySelectorAll('video[src]').forEach(video => {
+    resources.push({
+      url: video.getAttribute('src'),
+      type: RESOURCE_TYPES.VIDEO,
+      quality: QUALITY_LEVELS.HD,
+      width: video.videoWidth || 0,
+      height: video.videoHeight || 0
+    });
+  });
+
+  const videoId = getVideoId(context.pageUrl);
+  if (videoId) {
+    thumbnails.add(`https://i.ytimg.com/vi/${videoId}/maxresdefault.jpg`);
+  }
+
+  const ogImage = document.querySelector('meta[property="og:image"]');
+  if (ogImage && ogImage.content) {
+    thumbnails.add(rewriteUrl(ogImage.content) || ogImage.content);
+  }
+
+  document.querySelectorAll('img[src*="ytimg.com"]').forEach(img => {
+    const src = img.getAttribute('src');
+    thumbnails.add(rewriteUrl(src) || src);
+  });
+
+  thumbnails.forEach(url => {
+    resources.push({
+      url: url,
+      type: RESOURCE_TYPES.IMAGE,
+      quality: /maxresdefault/.test(url) ? QUALITY_LEVELS.HD : QUALITY_LEVELS.SD,
+      width: /maxresdefault/.test(url) ? 1280 : 0,
+      height: /maxresdefault/.test(url) ? 720 : 0
+    });
+  });
+
+  return resources;
+}
+
+export default {
+  id: 'youtube',
+  name: 'YouTube',
+  version: '1.0.0',
+  apiVersion: 1,
+  matches: ['youtube.com', 'youtube-nocookie.com', 'youtu.be'],
+  mediaHosts: ['ytimg.com', 'googlevideo.com'],
+  resourcePatterns: [
+    /https?:\/\/i\.ytimg\.com\/vi\/.*?\/(hqdefault|mqdefault|sddefault|maxresdefault)\.jpg/gi
+  ],
+  extractFromDocument,
+  rewriteUrl,
+  relatedPatterns
+};
@@ -0,0 +1,396 @@
+/**
+ * @file offscreen-main.js
+ * @description 离屏文档入口：后台Service Worker无法创建对象URL，限速下载、图片元数据移除、分块下载的合并、HLS/DASH流的下载合并和ZIP打包在此执行并返回Blob的对象URL。
+ * 所有经过限速的传输（限速下载、分块下载、流媒体分片、ZIP打包）都在此执行，共享同一个全局令牌桶。
+ * 多页抓取的页面资源检测也在此执行，网页中的内容脚本不能创建扩展的Worker
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ThrottledDownloadService from '../services/throttled-download-service.js';
+import ChunkedDownloadService from '../services/chunked-download-service.js';
+import ZipExportService from '../services/zip-export-service.js';
+import HLSService from '../services/hls-service.js';
+import DASHService from '../services/dash-service.js';
+import { ContentHashService } from '../services/content-hash-service.js';
+import { PageDetectionService } from '../services/page-detection-service.js';
+import MetadataStripper from '../utils/metadata-stripper.js';
+import { MESSAGE_ACTIONS } from '../config/constants.js';
+
+/**
+ * 进度消息的最小发送间隔（毫秒）
+ * @type {number}
+ * @private
+ */
+const PROGRESS_INTERVAL = 500;
+
+/**
+ * 离屏文档主类
+ * @class OffscreenMain
+ */
+class OffscreenMain {
+  /**
+   * 创建离屏文档实例
+   */
+  constructor() {
+    this.throttledDownloadService = new ThrottledDownloadService();
+    this.chunkedDownloadService = new ChunkedDownloadService({ limiter: this.throttledDownloadService });
+    this.zipExportService = new ZipExportService({ limiter: this.throttledDownloadService });
+    this.hlsService = new HLSService({ limiter: this.throttledDownloadService });
+    this.dashService = new DASHService({ limiter: this.throttledDownloadService });
+    this.pageDetectionService = new PageDetectionService();
+    this.objectUrls = new Set();
+    this.downloadControllers = new Map();
+
+    chrome.runtime.onMessage.addListener(this._handleMessage.bind(this));
+  }
+
+  /**
+   * 处理发给离屏文档的消息
+   * @param {Object} message - 消息对象
+   * @param {Object} sender - 发送者信息
+   * @param {Function} sendResponse - 回复函数
+   * @returns {boolean} - 是否需要异步响应
+   * @private
+   */
+  _handleMessage(message, sender, sendResponse) {
+    if (!message || message.target !== 'offscreen') return false;
+
+    switch (message.action) {
+      case MESSAGE_ACTIONS.THROTTLED_DOWNLOAD:
+        this._download(message)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_ACTIONS.CANCEL_OFFSCREEN_DOWNLOAD: {
+        const controller = this.downloadControllers.get(message.id);
+        if (controller) {
+          controller.abort();
+        }
+        sendResponse({ success: true, cancelled: !!controller });
+        return false;
+      }
+
+      case MESSAGE_ACTIONS.CHUNKED_DOWNLOAD:
+        this._downloadChunks(message)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message, fatal: !!error.fatal }));
+        return true;
+
+      case MESSAGE_ACTIONS.STREAM_DOWNLOAD:
+        this._downloadStream(message)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_ACTIONS.ASSEMBLE_CHUNKED_DOWNLOAD:
+        this._assemble(message.taskId)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_ACTIONS.BUILD_ZIP_ARCHIVE:
+        this._buildZip(message)
+          .then(result => sendResponse({ success: true, ...result }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_ACTIONS.DETECT_PAGE_RESOURCES:
+        this.pageDetectionService.detect(message.html, message.pageUrl)
+          .then(resources => sendResponse({ success: true, resources: resources }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case MESSAGE_ACTIONS.RELEASE_DOWNLOAD_BLOB:
+        if (this.objectUrls.delete(message.objectUrl)) {
+          URL.revokeObjectURL(message.objectUrl);
+        }
+        sendResponse({ success: true });
+        return false;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 执行限速下载，指定了stripMetadata时保存前移除图片元数据；下载期间可按id取消
+   * @param {Object} message - 下载消息 { id, url, globalLimit, perDownloadLimit, stripMetadata }
+   * @returns {Promise<Object>} - { objectUrl, totalBytes, mimeType, filename, contentHash, metadataStripped }
+   * @private
+   */
+  async _download(message) {
+    this.throttledDownloadService.configure({ globalLimit: message.globalLimit });
+
+    return this._runCancellable(message.id, signal => this._readDownload(message, signal));
+  }
+
+  /**
+   * 执行可按下载项id取消的传输
+   * @param {string} id - 下载项ID
+   * @param {Function} run - 传输函数 (signal) => Promise
+   * @returns {Promise<*>} - 传输结果
+   * @private
+   */
+  async _runCancellable(id, run) {
+    const controller = new AbortController();
+    this.downloadControllers.set(id, controller);
+
+    try {
+      return await run(controller.signal);
+    } finally {
+      if (this.downloadControllers.get(id) === controller) {
+        this.downloadControllers.delete(id);
+      }
+    }
+  }
+
+  /**
+   * 读取限速下载的数据并生成对象URL
+   * @param {Object} message - 下载消息
+   * @param {AbortSignal} signal - 取消信号
+   * @returns {Promise<Object>} - 下载结果
+   * @private
+   */
+  async _readDownload(message, signal) {
+    let lastProgressTime = 0;
+
+    const result = await this.throttledDownloadService.download(message.url, {
+      signal: signal,
+      limit: message.perDownloadLimit,
+      onProgress: (progress) => {
+        const now = Date.now();
+        if (now - lastProgressTime < PROGRESS_INTERVAL) return;
+        lastProgressTime = now;
+
+        chrome.runtime.sendMessage({
+          action: MESSAGE_ACTIONS.THROTTLED_DOWNLOAD_PROGRESS,
+          id: message.id,
+          bytesReceived: progress.bytesReceived,
+          totalBytes: progress.totalBytes
+        }).catch(() => {});
+      }
+    });
+
+    const stripped = await MetadataStripper.stripBlob(result.blob, message.stripMetadata);
+    const objectUrl = URL.createObjectURL(stripped.blob);
+    this.objectUrls.add(objectUrl);
+
+    return {
+      objectUrl: objectUrl,
+      totalBytes: result.totalBytes,
+      mimeType: result.mimeType,
+      filename: result.filename,
+      contentHash: await this._hashBlob(result.blob),
+      metadataStripped: stripped.stripped
+    };
+  }
+
+  /**
+   * 下载分块任务中未完成的分块，分块保存在IndexedDB中，暂停或取消时按下载项id中止
+   * @param {Object} message - 下载消息 { id, taskId, globalLimit, perDownloadLimit, concurrency }
+   * @returns {Promise<Object>} - { bytesReceived, totalBytes }
+   * @private
+   */
+  _downloadChunks(message) {
+    return this._runCancellable(message.id, async (signal) => {
+      const task = await this.chunkedDownloadService.getTask(message.taskId);
+
+      if (!task) {
+        throw new Error('分块下载任务不存在');
+      }
+
+      this.throttledDownloadService.configure({ globalLimit: message.globalLimit });
+      this.chunkedDownloadService.configure({ concurrency: message.concurrency });
+
+      let lastProgressTime = 0;
+
+      await this.chunkedDownloadService.download(task, {
+        signal: signal,
+        limit: message.perDownloadLimit,
+        onProgress: () => {
+          const now = Date.now();
+          if (now - lastProgressTime < PROGRESS_INTERVAL) return;
+          lastProgressTime = now;
+
+          chrome.runtime.sendMessage({
+            action: MESSAGE_ACTIONS.CHUNKED_DOWNLOAD_PROGRESS,
+            id: message.id,
+            totalBytes: task.totalBytes,
+            chunks: task.chunks
+          }).catch(() => {});
+        }
+      });
+
+      return {
+        bytesReceived: this.chunkedDownloadService.getBytesReceived(task),
+        totalBytes: task.totalBytes
+      };
+    });
+  }
+
+  /**
+   * 下载HLS/DASH流的所有分片并合并，每个轨道生成一个对象URL；HLS流只有一个轨道，DASH流的视频和音频各为一个轨道
+   * @param {Object} message - 下载消息 { id, url, streamType, variant, audio, globalLimit, concurrency, maxRetries }
+   * @returns {Promise<Object>} - { tracks: [{ kind, objectUrl, extension, totalBytes, label, contentHash }], segmentCount }
+   * @private
+   */
+  _downloadStream(message) {
+    return this._runCancellable(message.id, async (signal) => {
+      const streamOptions = { concurrency: message.concurrency, maxRetries: message.maxRetries };
+      let lastProgressTime = 0;
+      let tracks;
+      let segmentCount;
+
+      this.throttledDownloadService.configure({ globalLimit: message.globalLimit });
+      this.hlsService.configure(streamOptions);
+      this.dashService.configure(streamOptions);
+
+      const onProgress = (progress) => {
+        const now = Date.now();
+        if (now - lastProgressTime < PROGRESS_INTERVAL) return;
+        lastProgressTime = now;
+
+        chrome.runtime.sendMessage({
+          action: MESSAGE_ACTIONS.STREAM_DOWNLOAD_PROGRESS,
+          id: message.id,
+          progress: progress.progress,
+          bytesReceived: progress.bytesReceived,
+          completedSegments: progress.completedSegments,
+          totalSegments: progress.totalSegments
+        }).catch(() => {});
+      };
+
+      if (message.streamType === 'dash') {
+        const result = await this.dashService.downloadStream(message.url, {
+          video: message.variant,
+          audio: message.audio,
+          signal: signal,
+          onProgress: onProgress
+        });
+        tracks = result.tracks;
+        segmentCount = result.segmentCount;
+      } else {
+        const result = await this.hlsService.downloadStream(message.url, {
+          variant: message.variant,
+          signal: signal,
+          onProgress: onProgress
+        });
+        tracks = [{
+          kind: 'video',
+          blob: result.blob,
+          extension: result.extension,
+          totalBytes: result.totalBytes,
+          label: result.variant ? result.variant.label : null
+        }];
+        segmentCount = result.segmentCount;
+      }
+
+      const savedTracks = [];
+
+      for (const track of tracks) {
+        const objectUrl = URL.createObjectURL(track.blob);
+        this.objectUrls.add(objectUrl);
+
+        savedTracks.push({
+          kind: track.kind,
+          objectUrl: objectUrl,
+          extension: track.extension,
+          totalBytes: track.totalBytes,
+          label: track.label || null,
+          contentHash: await this._hashBlob(track.blob)
+        });
+      }
+
+      return { tracks: savedTracks, segmentCount: segmentCount };
+    });
+  }
+
+  /**
+   * 从IndexedDB读取分块下载的所有分块并合并为Blob
+   * @param {string} taskId - 分块下载任务ID
+   * @returns {Promise<Object>} - { objectUrl, totalBytes, mimeType, contentHash }
+   * @private
+   */
+  async _assemble(taskId) {
+    const task = await this.chunkedDownloadService.getTask(taskId);
+
+    if (!task) {
+      throw new Error('分块下载任务不存在');
+    }
+
+    const blob = await this.chunkedDownloadService.assemble(task);
+    const objectUrl = URL.createObjectURL(blob);
+    this.objectUrls.add(objectUrl);
+
+    return {
+      objectUrl: objectUrl,
+      totalBytes: blob.size,
+      mimeType: blob.type,
+      contentHash: await this._hashBlob(blob)
+    };
+  }
+
+  /**
+   * 计算下载内容的SHA-256，失败时不影响保存文件
+   * @param {Blob} blob - 文件数据
+   * @returns {Promise<string|null>} - 内容哈希
+   * @private
+   */
+  async _hashBlob(blob) {
+    try {
+      return await ContentHashService.sha256(blob);
+    } catch (e) {
+      console.warn('计算下载内容哈希错误:', e);
+      return null;
+    }
+  }
+
+  /**
+   * 下载资源并打包为ZIP
+   * @param {Object} message - 打包消息 { exportId, resources, pageUrl, pageTitle, template, compression, stripMetadata, globalLimit }
+   * @returns {Promise<Object>} - { objectUrl, filename, entryCount, failedCount }
+   * @private
+   */
+  async _buildZip(message) {
+    this.throttledDownloadService.configure({ globalLimit: message.globalLimit });
+
+    let lastProgressTime = 0;
+
+    const result = await this.zipExportService.exportResources(message.resources, {
+      pageUrl: message.pageUrl,
+      pageTitle: message.pageTitle,
+      template: message.template,
+      compression: message.compression,
+      stripMetadata: message.stripMetadata,
+      onProgress: (progress) => {
+        const now = Date.now();
+        const finished = progress.completed + progress.failed === progress.total;
+        if (!finished && now - lastProgressTime < PROGRESS_INTERVAL) return;
+        lastProgressTime = now;
+
+        chrome.runtime.sendMessage({
+          action: MESSAGE_ACTIONS.ZIP_EXPORT_PROGRESS,
+          exportId: message.exportId,
+          ...progress
+        }).catch(() => {});
+      }
+    });
+
+    const objectUrl = URL.createObjectURL(result.blob);
+    this.objectUrls.add(objectUrl);
+
+    return {
+      objectUrl: objectUrl,
+      filename: result.filename,
+      entryCount: result.manifest.entries.length,
+      failedCount: result.manifest.failed.length
+    };
+  }
+}
+
+const offscreenMain = new OffscreenMain();
+
+export default offscreenMain;
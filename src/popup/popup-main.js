@@ -9,8 +9,10 @@
 import ResourceList from '../components/resource-list.js';
 import FilterBar from '../components/filter-bar.js';
 import DownloadHistory from '../components/download-history.js';
+import ResourceLibrary from '../components/resource-library.js';
 import SettingsPanel from '../components/settings-panel.js';
 import PreviewModal from '../components/preview-modal.js';
+import DownloadProgressModal from '../components/download-progress-modal.js';
 import { LogTab } from '../components/log-tab.js';
 import ResourceService from '../services/resource-service.js';
 import DownloadService from '../services/download-service.js';
@@ -18,7 +20,16 @@ import StorageService from '../services/storage-service.js';
 import loggingService from '../services/logging-service.js';
 import appStateLogger from '../services/app-state-logger.js';
 import downloadLogger from '../services/download-logger.js';
+import sessionRecorder, { SESSION_EVENT_TYPES } from '../services/session-recorder.js';
 import { MESSAGE_ACTIONS } from '../config/constants.js';
+import FileUtils from '../utils/file-utils.js';
+
+/**
+ * 会话快照中最多记录的可见资源数
+ * @type {number}
+ * @private
+ */
+const MAX_SNAPSHOT_RESOURCES = 50;
 
 /**
  * 弹出窗口主类
@@ -30,11 +41,14 @@ class PopupMain {
    */
   constructor() {
     this.currentTab = null;
+    this.mseCaptureEnabled = false;
     this.storageService = new StorageService();
     this.resourceService = new ResourceService(this.storageService);
     this.downloadService = new DownloadService(this.storageService);
     
     this.components = {};
+    this.activeTab = 'resources-tab';
+    this.pendingDetection = null; // { detectionId, startTime }
     
     this.initialize();
   }
@@ -52,6 +66,8 @@ class PopupMain {
       
       this._setupEventListeners();
       
+      await this._initializeSessionRecording();
+      
       this._loadResources();
       
       console.log('Resource Sniffer 弹出窗口已初始化');
@@ -89,7 +105,7 @@ class PopupMain {
     try {
       this.components.filterBar = new FilterBar(
         'filter-bar-container',
-        this.storageService
+        (filters, sortBy) => this._applyResourceFilters(filters, sortBy)
       );
       this.components.filterBar.initialize();
       
@@ -108,11 +124,19 @@ class PopupMain {
       );
       this.components.downloadHistory.initialize();
       
+      this.components.resourceLibrary = new ResourceLibrary(
+        'resource-library-container',
+        this.downloadService
+      );
+      this.components.resourceLibrary.initialize();
+      
       this.components.settingsPanel = new SettingsPanel(
         'settings-panel-container',
         this.storageService
       );
-      this.components.settingsPanel.initialize();
+      this.components.settingsPanel.initialize().then(() => {
+        this.downloadService.updateSettings(this.components.settingsPanel.getSettings());
+      });
       
       this.components.previewModal = new PreviewModal(
         'preview-modal-container',
@@ -120,6 +144,13 @@ class PopupMain {
       );
       this.components.previewModal.initialize();
       
+      this.components.downloadProgressModal = new DownloadProgressModal(
+        'download-progress-modal',
+        this.downloadService
+      );
+      this.components.downloadProgressModal.initialize();
+      this.downloadService.syncBackgroundDownloads();
+      
       this.components.logTab = new LogTab(
         document.getElementById('log-tab-container')
       );
@@ -150,10 +181,32 @@ class PopupMain {
       const refreshBtn = document.getElementById('refresh-btn');
       if (refreshBtn) {
         refreshBtn.addEventListener('click', () => {
+          appStateLogger.logUserInteraction('refresh_resources', { tabId: this.currentTab?.id });
           this._loadResources(true);
         });
       }
       
+      const recordSessionBtn = document.getElementById('record-session-btn');
+      if (recordSessionBtn) {
+        recordSessionBtn.addEventListener('click', () => {
+          this._toggleSessionRecording();
+        });
+      }
+      
+      const replaySessionBtn = document.getElementById('replay-session-btn');
+      if (replaySessionBtn) {
+        replaySessionBtn.addEventListener('click', () => {
+          chrome.tabs.create({ url: chrome.runtime.getURL('session-replay.html') });
+        });
+      }
+      
+      const downloadsBtn = document.getElementById('downloads-btn');
+      if (downloadsBtn) {
+        downloadsBtn.addEventListener('click', () => {
+          this.components.downloadProgressModal.toggle();
+        });
+      }
+      
       const settingsBtn = document.getElementById('settings-btn');
       if (settingsBtn) {
         settingsBtn.addEventListener('click', () => {
@@ -161,6 +214,10 @@ class PopupMain {
         });
       }
       
+      document.addEventListener('settings-updated', (e) => {
+        this.downloadService.updateSettings(e.detail.settings);
+      });
+      
       const detectResourcesBtn = document.getElementById('detect-resources-btn');
       if (detectResourcesBtn) {
         detectResourcesBtn.addEventListener('click', () => {
@@ -175,6 +232,61 @@ class PopupMain {
         });
       }
       
+      const autoCollectBtn = document.getElementById('auto-collect-btn');
+      if (autoCollectBtn) {
+        autoCollectBtn.addEventListener('click', () => {
+          this._startAutoCollect();
+        });
+      }
+      
+      const autoCollectStopBtn = document.getElementById('auto-collect-stop-btn');
+      if (autoCollectStopBtn) {
+        autoCollectStopBtn.addEventListener('click', () => {
+          this._stopAutoCollect();
+        });
+      }
+      
+      const pageCrawlBtn = document.getElementById('page-crawl-btn');
+      if (pageCrawlBtn) {
+        pageCrawlBtn.addEventListener('click', () => {
+          this._startPageCrawl();
+        });
+      }
+      
+      const pageCrawlStopBtn = document.getElementById('page-crawl-stop-btn');
+      if (pageCrawlStopBtn) {
+        pageCrawlStopBtn.addEventListener('click', () => {
+          this._stopPageCrawl();
+        });
+      }
+      
+      const mseCaptureBtn = document.getElementById('mse-capture-btn');
+      if (mseCaptureBtn) {
+        mseCaptureBtn.addEventListener('click', () => {
+          this._toggleMSECapture();
+        });
+      }
+      
+      chrome.runtime.onMessage.addListener((message, sender) => {
+        if (message.action !== MESSAGE_ACTIONS.AUTO_COLLECT_PROGRESS &&
+            message.action !== MESSAGE_ACTIONS.PAGE_CRAWL_PROGRESS) return;
+        if (!sender.tab || !this.currentTab || sender.tab.id !== this.currentTab.id) return;
+        
+        if (message.action === MESSAGE_ACTIONS.AUTO_COLLECT_PROGRESS) {
+          this._updateAutoCollectStatus(message.progress);
+        } else {
+          this._updatePageCrawlStatus(message.progress);
+        }
+        
+        if (message.progress && message.progress.state !== 'running') {
+          this._loadResources(true);
+        }
+      });
+      
+      this._restoreAutoCollectStatus();
+      this._restorePageCrawlStatus();
+      this._loadMSECaptureStatus();
+      
       console.log('事件监听器已设置');
     } catch (e) {
       console.error('设置事件监听器错误:', e);
@@ -189,6 +301,9 @@ class PopupMain {
    */
   _switchTab(tabId) {
     try {
+      this.activeTab = tabId;
+      appStateLogger.logUserInteraction('switch_tab', { tab: tabId });
+      
       const tabContents = document.querySelectorAll('.tab-content');
       tabContents.forEach(content => {
         content.classList.remove('active');
@@ -211,6 +326,8 @@ class PopupMain {
       
       if (tabId === 'history-tab') {
         this.components.downloadHistory.loadHistory();
+      } else if (tabId === 'library-tab') {
+        this.components.resourceLibrary.loadLibrary();
       } else if (tabId === 'stats-tab') {
         this._loadResourceStats();
       } else if (tabId === 'logs-tab') {
@@ -272,6 +389,13 @@ class PopupMain {
         
         const resources = response.resources || [];
         
+        if (this.pendingDetection) {
+          appStateLogger.logDetectionCompleted(this.pendingDetection.detectionId, resources.length, {
+            startTime: this.pendingDetection.startTime
+          });
+          this.pendingDetection = null;
+        }
+        
         const resourceCount = document.getElementById('resource-count');
         if (resourceCount) {
           resourceCount.textContent = resources.length;
@@ -313,6 +437,11 @@ class PopupMain {
         noResources.style.display = 'none';
       }
       
+      this.pendingDetection = {
+        detectionId: appStateLogger.logDetectionStarted(this.currentTab.id),
+        startTime: Date.now()
+      };
+      
       chrome.tabs.sendMessage(this.currentTab.id, {
         action: MESSAGE_ACTIONS.DETECT_RESOURCES
       }, response => {
@@ -338,6 +467,299 @@ class PopupMain {
     }
   }
   
+  /**
+   * 开始自动收集：让内容脚本滚动页面并点击“加载更多”，进度通过AUTO_COLLECT_PROGRESS消息返回
+   * @private
+   */
+  _startAutoCollect() {
+    if (!this.currentTab || !this.currentTab.id) {
+      this._showError('无效的标签页');
+      return;
+    }
+    
+    const settings = this.components.settingsPanel ? this.components.settingsPanel.getSettings() : {};
+    const options = {
+      step: settings.autoCollectStep,
+      delay: settings.autoCollectDelay,
+      maxDuration: settings.autoCollectMaxDuration ? settings.autoCollectMaxDuration * 1000 : undefined,
+      idleSteps: settings.autoCollectIdleSteps,
+      loadMoreSelector: settings.autoCollectLoadMoreSelector
+    };
+    
+    this._updateAutoCollectStatus({ state: 'running', steps: 0, newResources: 0, loadMoreClicks: 0 });
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.START_AUTO_COLLECT,
+      options: options
+    }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response ? response.error : '未知错误');
+        console.error('自动收集失败:', error);
+        this._updateAutoCollectStatus(null);
+        this._showError('自动收集失败: ' + error);
+        return;
+      }
+      
+      this._updateAutoCollectStatus(response.progress);
+      this._loadResources(true);
+    });
+  }
+  
+  /**
+   * 停止自动收集
+   * @private
+   */
+  _stopAutoCollect() {
+    if (!this.currentTab || !this.currentTab.id) return;
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.STOP_AUTO_COLLECT
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('停止自动收集错误:', chrome.runtime.lastError);
+      }
+    });
+  }
+  
+  /**
+   * 重新打开弹出窗口时恢复自动收集的状态
+   * @private
+   */
+  _restoreAutoCollectStatus() {
+    if (!this.currentTab || !this.currentTab.id) return;
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.GET_AUTO_COLLECT_STATUS
+    }, response => {
+      // 页面上没有内容脚本时忽略
+      if (chrome.runtime.lastError || !response || !response.success) return;
+      
+      if (response.running) {
+        this._updateAutoCollectStatus(response.progress);
+      }
+    });
+  }
+  
+  /**
+   * 更新自动收集状态栏
+   * @param {Object|null} progress - 自动收集进度，null表示清除状态
+   * @private
+   */
+  _updateAutoCollectStatus(progress) {
+    const bar = document.getElementById('auto-collect-bar');
+    const startBtn = document.getElementById('auto-collect-btn');
+    const stopBtn = document.getElementById('auto-collect-stop-btn');
+    const status = document.getElementById('auto-collect-status');
+    if (!bar || !startBtn || !stopBtn || !status) return;
+    
+    const running = !!progress && progress.state === 'running';
+    
+    bar.classList.toggle('running', running);
+    startBtn.disabled = running;
+    stopBtn.style.display = running ? '' : 'none';
+    
+    if (!progress) {
+      status.textContent = '';
+      return;
+    }
+    
+    const summary = `已滚动 ${progress.steps || 0} 步，新增 ${progress.newResources || 0} 个资源` +
+      (progress.loadMoreClicks ? `，点击“加载更多” ${progress.loadMoreClicks} 次` : '');
+    
+    if (running) {
+      status.textContent = `正在自动收集：${summary}`;
+      return;
+    }
+    
+    const reasons = {
+      idle: '没有更多资源',
+      timeout: '达到最长时间',
+      'max-steps': '达到最大步数',
+      cancelled: '已停止'
+    };
+    
+    status.textContent = `自动收集结束（${reasons[progress.reason] || '已完成'}）：${summary}`;
+  }
+  
+  /**
+   * 开始多页抓取：让内容脚本沿分页链接抓取同源页面，进度通过PAGE_CRAWL_PROGRESS消息返回
+   * @private
+   */
+  _startPageCrawl() {
+    if (!this.currentTab || !this.currentTab.id) {
+      this._showError('无效的标签页');
+      return;
+    }
+    
+    const settings = this.components.settingsPanel ? this.components.settingsPanel.getSettings() : {};
+    const options = {
+      maxPages: settings.crawlMaxPages,
+      maxDepth: settings.crawlMaxDepth,
+      delay: settings.crawlDelay,
+      nextSelector: settings.crawlNextSelector,
+      urlPattern: settings.crawlUrlPattern
+    };
+    
+    this._updatePageCrawlStatus({ state: 'running', pagesVisited: 0, resourceCount: 0, errors: 0 });
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.START_PAGE_CRAWL,
+      options: options
+    }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response ? response.error : '未知错误');
+        console.error('多页抓取失败:', error);
+        this._updatePageCrawlStatus(null);
+        this._showError('多页抓取失败: ' + error);
+        return;
+      }
+      
+      this._updatePageCrawlStatus(response.progress);
+    });
+  }
+  
+  /**
+   * 停止多页抓取
+   * @private
+   */
+  _stopPageCrawl() {
+    if (!this.currentTab || !this.currentTab.id) return;
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.STOP_PAGE_CRAWL
+    }, () => {
+      if (chrome.runtime.lastError) {
+        console.error('停止多页抓取错误:', chrome.runtime.lastError);
+      }
+    });
+  }
+  
+  /**
+   * 重新打开弹出窗口时恢复多页抓取的状态
+   * @private
+   */
+  _restorePageCrawlStatus() {
+    if (!this.currentTab || !this.currentTab.id) return;
+    
+    chrome.tabs.sendMessage(this.currentTab.id, {
+      action: MESSAGE_ACTIONS.GET_PAGE_CRAWL_STATUS
+    }, response => {
+      // 页面上没有内容脚本时忽略
+      if (chrome.runtime.lastError || !response || !response.success) return;
+      
+      if (response.running) {
+        this._updatePageCrawlStatus(response.progress);
+      }
+    });
+  }
+  
+  /**
+   * 更新多页抓取状态栏
+   * @param {Object|null} progress - 多页抓取进度，null表示清除状态
+   * @private
+   */
+  _updatePageCrawlStatus(progress) {
+    const bar = document.getElementById('page-crawl-bar');
+    const startBtn = document.getElementById('page-crawl-btn');
+    const stopBtn = document.getElementById('page-crawl-stop-btn');
+    const status = document.getElementById('page-crawl-status');
+    if (!bar || !startBtn || !stopBtn || !status) return;
+    
+    const running = !!progress && progress.state === 'running';
+    
+    bar.classList.toggle('running', running);
+    startBtn.disabled = running;
+    stopBtn.style.display = running ? '' : 'none';
+    
+    if (!progress) {
+      status.textContent = '';
+      status.title = '';
+      return;
+    }
+    
+    const summary = `已抓取 ${progress.pagesVisited || 0} 个页面，新增 ${progress.resourceCount || 0} 个资源` +
+      (progress.errors ? `，${progress.errors} 个页面失败` : '');
+    
+    status.title = progress.lastError || '';
+    
+    if (running) {
+      status.textContent = `正在抓取：${summary}`;
+      return;
+    }
+    
+    const reasons = {
+      done: '没有更多页面',
+      'max-pages': '达到最大页面数',
+      cancelled: '已停止'
+    };
+    
+    status.textContent = `多页抓取结束（${reasons[progress.reason] || progress.error || '已完成'}）：${summary}`;
+  }
+  
+  /**
+   * 开启或关闭当前标签页的MSE流捕获，状态由后台保存，页面重新加载后继续有效
+   * @private
+   */
+  _toggleMSECapture() {
+    if (!this.currentTab || !this.currentTab.id) {
+      this._showError('无效的标签页');
+      return;
+    }
+    
+    const enabled = !this.mseCaptureEnabled;
+    
+    chrome.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.SET_MSE_CAPTURE,
+      tabId: this.currentTab.id,
+      enabled: enabled
+    }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) {
+        const error = chrome.runtime.lastError ? chrome.runtime.lastError.message : (response ? response.error : '未知错误');
+        console.error('设置MSE捕获失败:', error);
+        this._showError('设置MSE捕获失败: ' + error);
+        return;
+      }
+      
+      this._updateMSECaptureStatus(response);
+    });
+  }
+  
+  /**
+   * 打开弹出窗口时读取当前标签页的MSE流捕获状态
+   * @private
+   */
+  _loadMSECaptureStatus() {
+    if (!this.currentTab || !this.currentTab.id) return;
+    
+    chrome.runtime.sendMessage({
+      action: MESSAGE_ACTIONS.GET_MSE_CAPTURE_STATUS,
+      tabId: this.currentTab.id
+    }, response => {
+      if (chrome.runtime.lastError || !response || !response.success) return;
+      
+      this._updateMSECaptureStatus(response);
+    });
+  }
+  
+  /**
+   * 更新MSE流捕获状态栏
+   * @param {Object} status - 捕获状态 { enabled, usedBytes, maxBytes }
+   * @private
+   */
+  _updateMSECaptureStatus(status) {
+    const bar = document.getElementById('mse-capture-bar');
+    const button = document.getElementById('mse-capture-btn');
+    const text = document.getElementById('mse-capture-status');
+    if (!bar || !button || !text) return;
+    
+    this.mseCaptureEnabled = !!status.enabled;
+    
+    bar.classList.toggle('running', this.mseCaptureEnabled);
+    button.textContent = this.mseCaptureEnabled ? '关闭MSE捕获' : '开启MSE捕获';
+    text.textContent = this.mseCaptureEnabled ?
+      `正在捕获MSE流：已占用 ${FileUtils.formatFileSize(status.usedBytes)} / ${FileUtils.formatFileSize(status.maxBytes)}` : '';
+  }
+  
   /**
    * 加载资源统计
    * @private
@@ -426,12 +848,144 @@ class PopupMain {
     }
   }
   
+  /**
+   * 应用过滤栏的过滤条件和排序
+   * @param {Object} filters - 过滤条件
+   * @param {string} sortBy - 排序方式
+   * @private
+   */
+  _applyResourceFilters(filters, sortBy) {
+    const resourceList = this.components.resourceList;
+    if (!resourceList) return;
+    
+    resourceList.updateResourcesList(filters, sortBy);
+    
+    appStateLogger.logResourceFiltered(
+      { ...filters, sortBy },
+      resourceList.allResources.length,
+      resourceList.filteredResources.length
+    );
+  }
+  
+  /**
+   * 设置会话快照并继续弹出窗口关闭前没有停止的录制
+   * @private
+   */
+  async _initializeSessionRecording() {
+    sessionRecorder.setSnapshotProvider(() => this._getSessionSnapshot());
+    
+    try {
+      await appStateLogger.resumeSessionRecording();
+      
+      if (this.currentTab && this.currentTab.url) {
+        appStateLogger.logTabChange(this.currentTab.id, this.currentTab.url);
+      }
+    } catch (e) {
+      console.error('恢复会话录制错误:', e);
+    }
+    
+    this._updateSessionRecordingButton();
+  }
+  
+  /**
+   * 获取弹出窗口当前状态，作为会话快照
+   * @returns {Object} - 当前标签、页面、过滤条件和可见资源
+   * @private
+   */
+  _getSessionSnapshot() {
+    const resourceList = this.components.resourceList;
+    const visible = resourceList ? resourceList.filteredResources : [];
+    
+    return {
+      tab: this.activeTab,
+      pageUrl: this.currentTab ? this.currentTab.url : null,
+      filters: resourceList ? resourceList.currentFilters : {},
+      sortBy: resourceList ? resourceList.currentSortBy : null,
+      totalResources: resourceList ? resourceList.allResources.length : 0,
+      visibleCount: visible.length,
+      selectedCount: resourceList ? resourceList.selectedResources.size : 0,
+      visibleResources: visible.slice(0, MAX_SNAPSHOT_RESOURCES).map(resource => ({
+        url: resource.url,
+        type: resource.type,
+        contentType: resource.contentType,
+        size: resource.size,
+        width: resource.width,
+        height: resource.height,
+        source: resource.source,
+        quality: resource.quality
+      }))
+    };
+  }
+  
+  /**
+   * 开始或停止会话录制，停止时导出会话包
+   * @private
+   */
+  async _toggleSessionRecording() {
+    try {
+      if (!sessionRecorder.isRecording()) {
+        await appStateLogger.startSessionRecording();
+        this._updateSessionRecordingButton();
+        return;
+      }
+      
+      const bundle = await appStateLogger.stopSessionRecording();
+      this._updateSessionRecordingButton();
+      
+      if (bundle) {
+        this._downloadSessionBundle(bundle);
+      }
+    } catch (e) {
+      console.error('会话录制错误:', e);
+      this._showError('会话录制失败: ' + e.message);
+    }
+  }
+  
+  /**
+   * 把会话包保存为JSON文件
+   * @param {Object} bundle - 会话包
+   * @private
+   */
+  _downloadSessionBundle(bundle) {
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `resource-sniffer-session-${new Date(bundle.startedAt).toISOString().replace(/:/g, '-')}.json`;
+    a.style.display = 'none';
+    
+    document.body.appendChild(a);
+    a.click();
+    
+    setTimeout(() => {
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    }, 100);
+  }
+  
+  /**
+   * 更新录制按钮状态
+   * @private
+   */
+  _updateSessionRecordingButton() {
+    const recordSessionBtn = document.getElementById('record-session-btn');
+    if (!recordSessionBtn) return;
+    
+    const recording = sessionRecorder.isRecording();
+    recordSessionBtn.classList.toggle('recording', recording);
+    recordSessionBtn.textContent = recording ? '⏹️' : '⏺️';
+    recordSessionBtn.title = recording ? '停止录制并导出会话' : '录制会话（用于问题报告）';
+  }
+  
   /**
    * 显示错误消息
    * @param {string} message - 错误消息
    * @private
    */
   _showError(message) {
+    sessionRecorder.record(SESSION_EVENT_TYPES.ERROR, { category: 'popup', message });
+    
     const toastContainer = document.getElementById('toast-container');
     if (!toastContainer) return;
     
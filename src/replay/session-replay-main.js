@@ -0,0 +1,472 @@
+/**
+ * @file session-replay-main.js
+ * @description 会话回放页面入口：打开录制的会话包，按时间线逐步查看每个事件发生时的过滤条件、可见资源和已出现的错误
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import sessionRecorder, { SessionRecorder, SESSION_EVENT_TYPES } from '../services/session-recorder.js';
+import FileUtils from '../utils/file-utils.js';
+
+/**
+ * 自动播放时两步之间的最短和最长等待时间（毫秒），按录制时的实际间隔在此范围内播放
+ * @type {Object}
+ * @private
+ */
+const PLAY_DELAY = {
+  min: 300,
+  max: 2000
+};
+
+/**
+ * 弹出窗口标签的名称
+ * @type {Object}
+ * @private
+ */
+const TAB_NAMES = {
+  'resources-tab': '资源',
+  'history-tab': '历史',
+  'library-tab': '资源库',
+  'stats-tab': '统计',
+  'logs-tab': '日志'
+};
+
+/**
+ * 会话回放页面类
+ * @class SessionReplay
+ */
+class SessionReplay {
+  /**
+   * 创建会话回放页面实例
+   */
+  constructor() {
+    this.bundle = null;
+    this.timeline = [];
+    this.currentIndex = 0;
+    this.playTimer = null;
+  }
+
+  /**
+   * 初始化页面并打开最近录制的会话
+   */
+  async initialize() {
+    this._setupEventListeners();
+
+    try {
+      const bundle = await sessionRecorder.getLastBundle();
+      if (bundle) {
+        this.loadBundle(bundle);
+      }
+    } catch (error) {
+      console.error('读取最近的会话失败:', error);
+    }
+  }
+
+  /**
+   * 打开会话包
+   * @param {Object} bundle - 会话包
+   */
+  loadBundle(bundle) {
+    const validation = SessionRecorder.validateBundle(bundle);
+    if (!validation.valid) {
+      this._showError(validation.error);
+      return;
+    }
+
+    this._pause();
+    this.bundle = bundle;
+    this.timeline = SessionRecorder.buildTimeline(bundle);
+
+    this._showError(null);
+    document.getElementById('replay-empty').hidden = true;
+    document.getElementById('replay-main').hidden = false;
+
+    const slider = document.getElementById('timeline-slider');
+    slider.max = Math.max(0, this.timeline.length - 1);
+
+    this._renderMeta();
+    this._renderEventList();
+    this._goTo(0);
+  }
+
+  /**
+   * 设置事件监听器
+   * @private
+   */
+  _setupEventListeners() {
+    document.getElementById('bundle-file').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        this._loadFile(file);
+      }
+    });
+
+    document.getElementById('prev-step').addEventListener('click', () => {
+      this._pause();
+      this._goTo(this.currentIndex - 1);
+    });
+
+    document.getElementById('next-step').addEventListener('click', () => {
+      this._pause();
+      this._goTo(this.currentIndex + 1);
+    });
+
+    document.getElementById('play-pause').addEventListener('click', () => {
+      this._togglePlay();
+    });
+
+    document.getElementById('timeline-slider').addEventListener('input', (e) => {
+      this._pause();
+      this._goTo(parseInt(e.target.value, 10));
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.bundle || e.target.tagName === 'INPUT') return;
+
+      if (e.key === 'ArrowLeft') {
+        this._pause();
+        this._goTo(this.currentIndex - 1);
+      } else if (e.key === 'ArrowRight') {
+        this._pause();
+        this._goTo(this.currentIndex + 1);
+      } else if (e.key === ' ') {
+        e.preventDefault();
+        this._togglePlay();
+      }
+    });
+  }
+
+  /**
+   * 读取会话包文件
+   * @param {File} file - 文件
+   * @private
+   */
+  async _loadFile(file) {
+    try {
+      this.loadBundle(SessionRecorder.parseBundle(await file.text()));
+    } catch (error) {
+      this._showError(`无法打开 ${file.name}: ${error.message}`);
+    }
+  }
+
+  /**
+   * 跳到指定步骤
+   * @param {number} index - 步骤序号
+   * @private
+   */
+  _goTo(index) {
+    if (this.timeline.length === 0) {
+      this._renderStep(null);
+      return;
+    }
+
+    this.currentIndex = Math.max(0, Math.min(index, this.timeline.length - 1));
+
+    document.getElementById('timeline-slider').value = this.currentIndex;
+    document.getElementById('step-position').textContent =
+      `${this.currentIndex + 1} / ${this.timeline.length}`;
+
+    document.querySelectorAll('#event-list li').forEach((item, i) => {
+      item.classList.toggle('active', i === this.currentIndex);
+      if (i === this.currentIndex) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+
+    this._renderStep(this.timeline[this.currentIndex]);
+  }
+
+  /**
+   * 开始或暂停自动播放
+   * @private
+   */
+  _togglePlay() {
+    if (this.playTimer) {
+      this._pause();
+      return;
+    }
+
+    if (this.currentIndex >= this.timeline.length - 1) {
+      this._goTo(0);
+    }
+
+    document.getElementById('play-pause').textContent = '⏸️';
+    this._scheduleNextStep();
+  }
+
+  /**
+   * 按录制时的间隔安排下一步
+   * @private
+   */
+  _scheduleNextStep() {
+    const current = this.timeline[this.currentIndex];
+    const next = this.timeline[this.currentIndex + 1];
+
+    if (!next) {
+      this._pause();
+      return;
+    }
+
+    const delay = Math.max(PLAY_DELAY.min, Math.min(PLAY_DELAY.max, next.offset - current.offset));
+
+    this.playTimer = setTimeout(() => {
+      this._goTo(this.currentIndex + 1);
+      this._scheduleNextStep();
+    }, delay);
+  }
+
+  /**
+   * 暂停自动播放
+   * @private
+   */
+  _pause() {
+    if (this.playTimer) {
+      clearTimeout(this.playTimer);
+      this.playTimer = null;
+    }
+
+    document.getElementById('play-pause').textContent = '▶️';
+  }
+
+  /**
+   * 渲染会话信息
+   * @private
+   */
+  _renderMeta() {
+    const { bundle } = this;
+    const metadata = bundle.metadata || {};
+    const container = document.getElementById('replay-meta');
+
+    const rows = [
+      ['会话', bundle.id],
+      ['开始', new Date(bundle.startedAt).toLocaleString()],
+      ['时长', this._formatOffset(bundle.endedAt - bundle.startedAt)],
+      ['扩展版本', metadata.version || '未知'],
+      ['浏览器', metadata.userAgent || '未知'],
+      ['事件', `${bundle.events.length} 条${bundle.truncated ? '（超出上限，之后的事件未记录）' : ''}`]
+    ];
+
+    container.innerHTML = '';
+    rows.forEach(([label, value]) => container.appendChild(this._createField(label, value)));
+  }
+
+  /**
+   * 渲染事件列表
+   * @private
+   */
+  _renderEventList() {
+    const list = document.getElementById('event-list');
+    list.innerHTML = '';
+
+    this.timeline.forEach((step, index) => {
+      const item = document.createElement('li');
+      item.className = `event-item ${step.event.type}`;
+
+      const offset = document.createElement('span');
+      offset.className = 'event-offset';
+      offset.textContent = `+${this._formatOffset(step.offset)}`;
+      item.appendChild(offset);
+
+      const summary = document.createElement('span');
+      summary.className = 'event-summary';
+      summary.textContent = this._describeEvent(step.event);
+      item.appendChild(summary);
+
+      item.addEventListener('click', () => {
+        this._pause();
+        this._goTo(index);
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * 渲染一步的事件、状态、可见资源和错误
+   * @param {Object|null} step - 时间线步骤
+   * @private
+   */
+  _renderStep(step) {
+    const eventDetails = document.getElementById('event-details');
+    const stateDetails = document.getElementById('state-details');
+    const resourceBody = document.getElementById('visible-resources');
+    const errorList = document.getElementById('error-list');
+
+    eventDetails.innerHTML = '';
+    stateDetails.innerHTML = '';
+    resourceBody.innerHTML = '';
+    errorList.innerHTML = '';
+
+    if (!step) {
+      eventDetails.textContent = '会话中没有事件';
+      return;
+    }
+
+    eventDetails.appendChild(this._createField('时间', new Date(step.event.timestamp).toLocaleTimeString()));
+    eventDetails.appendChild(this._createField('类型', step.event.type));
+    eventDetails.appendChild(this._createField('描述', this._describeEvent(step.event)));
+
+    const data = document.createElement('pre');
+    data.textContent = JSON.stringify(step.event.data, null, 2);
+    eventDetails.appendChild(data);
+
+    this._renderState(step.state, stateDetails, resourceBody);
+
+    if (step.errors.length === 0) {
+      errorList.appendChild(this._createListItem('没有错误'));
+    }
+
+    step.errors.forEach(error => {
+      const item = this._createListItem(
+        `+${this._formatOffset(error.timestamp - this.bundle.startedAt)} ${error.data.category ? `[${error.data.category}] ` : ''}${error.data.message}`
+      );
+      item.classList.toggle('current', error === step.event);
+      errorList.appendChild(item);
+    });
+  }
+
+  /**
+   * 渲染弹出窗口状态和可见资源
+   * @param {Object|null} state - 状态快照
+   * @param {HTMLElement} stateDetails - 状态容器
+   * @param {HTMLElement} resourceBody - 资源表格
+   * @private
+   */
+  _renderState(state, stateDetails, resourceBody) {
+    if (!state) {
+      stateDetails.textContent = '此时还没有状态快照';
+      return;
+    }
+
+    const filters = Object.entries(state.filters || {})
+      .filter(([, value]) => value !== '' && value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0))
+      .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`);
+
+    stateDetails.appendChild(this._createField('标签', TAB_NAMES[state.tab] || state.tab || '未知'));
+    stateDetails.appendChild(this._createField('页面', state.pageUrl || '未知'));
+    stateDetails.appendChild(this._createField('过滤条件', filters.length > 0 ? filters.join('; ') : '无'));
+    stateDetails.appendChild(this._createField('排序', state.sortBy || '默认'));
+    stateDetails.appendChild(this._createField('资源', `显示 ${state.visibleCount} / 共 ${state.totalResources}，已选择 ${state.selectedCount}`));
+
+    (state.visibleResources || []).forEach(resource => {
+      const row = document.createElement('tr');
+      [
+        resource.contentType || resource.type || '',
+        resource.size ? FileUtils.formatFileSize(resource.size, 1) : '',
+        resource.width && resource.height ? `${resource.width}×${resource.height}` : '',
+        resource.source || '',
+        resource.url
+      ].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      resourceBody.appendChild(row);
+    });
+
+    if (state.visibleCount > (state.visibleResources || []).length) {
+      const row = document.createElement('tr');
+      const cell = document.createElement('td');
+      cell.colSpan = 5;
+      cell.className = 'more-resources';
+      cell.textContent = `另有 ${state.visibleCount - state.visibleResources.length} 个资源未记录`;
+      row.appendChild(cell);
+      resourceBody.appendChild(row);
+    }
+  }
+
+  /**
+   * 生成事件的一句话描述
+   * @param {Object} event - 会话事件
+   * @returns {string} - 描述
+   * @private
+   */
+  _describeEvent(event) {
+    const data = event.data || {};
+
+    switch (event.type) {
+      case SESSION_EVENT_TYPES.INTERACTION:
+        return `用户操作: ${data.action}${data.details && data.details.tab ? ` (${TAB_NAMES[data.details.tab] || data.details.tab})` : ''}`;
+      case SESSION_EVENT_TYPES.DETECTION_STARTED:
+        return '开始检测资源';
+      case SESSION_EVENT_TYPES.DETECTION_COMPLETED:
+        return `检测完成: ${data.resourceCount} 个资源${data.duration !== null ? `，用时 ${data.duration}ms` : ''}`;
+      case SESSION_EVENT_TYPES.RESOURCE_FILTERED:
+        return `过滤资源: ${data.beforeCount} → ${data.afterCount}`;
+      case SESSION_EVENT_TYPES.TAB_CHANGE:
+        return `标签页: ${data.url}`;
+      case SESSION_EVENT_TYPES.ERROR:
+        return `错误: ${data.message}`;
+      default:
+        return event.type;
+    }
+  }
+
+  /**
+   * 创建“名称: 值”字段
+   * @param {string} label - 名称
+   * @param {string} value - 值
+   * @returns {HTMLElement} - 字段元素
+   * @private
+   */
+  _createField(label, value) {
+    const field = document.createElement('div');
+    field.className = 'replay-field';
+
+    const labelElement = document.createElement('span');
+    labelElement.className = 'replay-label';
+    labelElement.textContent = label;
+    field.appendChild(labelElement);
+
+    const valueElement = document.createElement('span');
+    valueElement.textContent = value;
+    field.appendChild(valueElement);
+
+    return field;
+  }
+
+  /**
+   * 创建列表项
+   * @param {string} text - 文字
+   * @returns {HTMLElement} - 列表项
+   * @private
+   */
+  _createListItem(text) {
+    const item = document.createElement('li');
+    item.textContent = text;
+    return item;
+  }
+
+  /**
+   * 格式化相对时间
+   * @param {number} ms - 毫秒数
+   * @returns {string} - 例如 1:05.3
+   * @private
+   */
+  _formatOffset(ms) {
+    const totalSeconds = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+    return `${minutes}:${seconds}`;
+  }
+
+  /**
+   * 显示或隐藏错误
+   * @param {string|null} message - 错误信息
+   * @private
+   */
+  _showError(message) {
+    const errorElement = document.getElementById('replay-error');
+    errorElement.textContent = message || '';
+    errorElement.hidden = !message;
+  }
+}
+
+const sessionReplay = new SessionReplay();
+
+document.addEventListener('DOMContentLoaded', () => {
+  sessionReplay.initialize();
+});
+
+export default sessionReplay;
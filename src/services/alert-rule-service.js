@@ -0,0 +1,556 @@
+/**
+ * @file alert-rule-service.js
+ * @description 日志告警规则服务：用户定义“查询 + 阈值 + 时间窗口”的规则（例如5分钟内同一域名的下载错误达到10条），
+ * 每条日志写入时增量计算滑动窗口，达到阈值时发出浏览器通知；同一规则同一分组共用一个通知并有冷却时间，冷却期间再次达到阈值只计数不通知
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import LogQuery from '../utils/log-query.js';
+
+/**
+ * 规则和告警历史在chrome.storage中的键
+ * @type {Object}
+ */
+export const ALERT_STORAGE_KEYS = {
+  RULES: 'log_alert_rules',
+  HISTORY: 'log_alert_history'
+};
+
+/**
+ * 规则分组方式：不分组、按类别、按域名（取自data.domain、data.url或data.pageUrl），或填写 data.路径
+ * @type {Object}
+ */
+export const ALERT_GROUP_BY = {
+  NONE: '',
+  CATEGORY: 'category',
+  DOMAIN: 'domain'
+};
+
+/**
+ * 新规则的默认值
+ * @type {Object}
+ */
+export const DEFAULT_ALERT_RULE = {
+  name: '',
+  query: '',
+  threshold: 10,
+  windowMinutes: 5,
+  groupBy: ALERT_GROUP_BY.NONE,
+  cooldownMinutes: 30,
+  enabled: true
+};
+
+/**
+ * 告警历史最多保留的条数
+ * @type {number}
+ * @private
+ */
+const MAX_HISTORY = 100;
+
+/**
+ * 每条规则最多同时跟踪的分组数，超出时丢弃最久没有匹配的分组
+ * @type {number}
+ * @private
+ */
+const MAX_GROUPS_PER_RULE = 200;
+
+/**
+ * 规则加载完成前最多缓存的日志条数
+ * @type {number}
+ * @private
+ */
+const MAX_PENDING_LOGS = 500;
+
+/**
+ * 时间窗口的最长分钟数
+ * @type {number}
+ * @private
+ */
+const MAX_WINDOW_MINUTES = 24 * 60;
+
+/**
+ * 日志告警规则服务类
+ * @class AlertRuleService
+ */
+class AlertRuleService {
+  /**
+   * 创建告警规则服务实例
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.storage] - 保存规则和历史的存储区，默认chrome.storage.local
+   * @param {Function} [options.notify] - 发出通知的函数 (notificationId, options)，默认chrome.notifications.create
+   * @param {Function} [options.now] - 返回当前时间的函数
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.notify = options.notify || null;
+    this.now = options.now || Date.now;
+    this.rules = [];
+    this.history = [];
+    this.windows = new Map(); // 规则ID -> Map(分组 -> 匹配日志时间数组)
+    this.cooldowns = new Map(); // 规则ID + 分组 -> 冷却结束时间
+    this.isLoaded = false;
+    this.pendingLogs = [];
+    this.listeners = [];
+    this.ready = null;
+  }
+
+  /**
+   * 校验规则
+   * @param {Object} rule - 规则
+   * @returns {Object} - { valid, errors }
+   */
+  static validateRule(rule) {
+    const errors = [];
+
+    if (!rule || typeof rule !== 'object') {
+      return { valid: false, errors: ['规则必须是对象'] };
+    }
+
+    if (!String(rule.name || '').trim()) {
+      errors.push('规则名称不能为空');
+    }
+
+    if (!String(rule.query || '').trim()) {
+      errors.push('查询不能为空');
+    } else {
+      const validation = LogQuery.validate(rule.query);
+      if (!validation.valid) {
+        errors.push(`查询无效: ${validation.error}`);
+      }
+    }
+
+    if (!Number.isInteger(rule.threshold) || rule.threshold < 1) {
+      errors.push('阈值必须是正整数');
+    }
+
+    if (!Number.isFinite(rule.windowMinutes) || rule.windowMinutes <= 0 || rule.windowMinutes > MAX_WINDOW_MINUTES) {
+      errors.push(`时间窗口必须在0到${MAX_WINDOW_MINUTES}分钟之间`);
+    }
+
+    if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+      errors.push('冷却时间不能为负数');
+    }
+
+    const groupBy = rule.groupBy || '';
+    if (!Object.values(ALERT_GROUP_BY).includes(groupBy) && !/^data\.[\w-]+(\.[\w-]+)*$/.test(groupBy)) {
+      errors.push(`无效的分组方式: ${groupBy}，可用 category、domain 或 data.路径`);
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 取出日志的分组值
+   * @param {Object} log - 日志条目
+   * @param {string} groupBy - 分组方式
+   * @returns {string|null} - 分组值，不分组时为空字符串，日志没有分组字段时为null
+   */
+  static getGroupKey(log, groupBy) {
+    if (!groupBy) return '';
+
+    if (groupBy === ALERT_GROUP_BY.CATEGORY) {
+      return log.category || null;
+    }
+
+    const data = log.data || {};
+
+    if (groupBy === ALERT_GROUP_BY.DOMAIN) {
+      if (data.domain) return String(data.domain).toLowerCase();
+
+      const url = data.url || data.pageUrl;
+      try {
+        return url ? new URL(url).hostname : null;
+      } catch (e) {
+        return null;
+      }
+    }
+
+    const value = groupBy.slice(5).split('.').reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), data);
+    return value === undefined || value === null || typeof value === 'object' ? null : String(value);
+  }
+
+  /**
+   * 加载规则和告警历史，并在其他页面修改规则时重新加载
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.ready) {
+      this.ready = this._load();
+    }
+    return this.ready;
+  }
+
+  /**
+   * 获取规则列表
+   * @returns {Promise<Array>} - 规则数组
+   */
+  async getRules() {
+    await this.load();
+    return this.rules.map(rule => ({ ...rule }));
+  }
+
+  /**
+   * 添加或更新规则
+   * @param {Object} rule - 规则，没有id时新建
+   * @returns {Promise<Object>} - 保存后的规则
+   * @throws {Error} - 规则无效
+   */
+  async saveRule(rule) {
+    await this.load();
+
+    const normalized = {
+      ...DEFAULT_ALERT_RULE,
+      ...rule,
+      name: String(rule.name || '').trim(),
+      query: String(rule.query || '').trim(),
+      groupBy: String(rule.groupBy || '').trim()
+    };
+
+    const validation = AlertRuleService.validateRule(normalized);
+    if (!validation.valid) {
+      throw new Error(`告警规则无效: ${validation.errors.join('; ')}`);
+    }
+
+    if (!normalized.id) {
+      normalized.id = `alert_rule_${this.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      normalized.createdAt = this.now();
+    }
+
+    const index = this.rules.findIndex(existing => existing.id === normalized.id);
+    if (index === -1) {
+      this.rules.push(normalized);
+    } else {
+      this.rules[index] = normalized;
+    }
+
+    // 条件改变后重新计数
+    this.windows.delete(normalized.id);
+    this._compileRules();
+    await this._set(ALERT_STORAGE_KEYS.RULES, this.rules);
+
+    return { ...normalized };
+  }
+
+  /**
+   * 启用或停用规则
+   * @param {string} ruleId - 规则ID
+   * @param {boolean} enabled - 是否启用
+   * @returns {Promise<void>}
+   */
+  async setRuleEnabled(ruleId, enabled) {
+    const rule = (await this.getRules()).find(existing => existing.id === ruleId);
+    if (!rule) {
+      throw new Error(`告警规则不存在: ${ruleId}`);
+    }
+
+    await this.saveRule({ ...rule, enabled: !!enabled });
+  }
+
+  /**
+   * 删除规则
+   * @param {string} ruleId - 规则ID
+   * @returns {Promise<void>}
+   */
+  async deleteRule(ruleId) {
+    await this.load();
+
+    this.rules = this.rules.filter(rule => rule.id !== ruleId);
+    this.windows.delete(ruleId);
+    this._compileRules();
+    await this._set(ALERT_STORAGE_KEYS.RULES, this.rules);
+  }
+
+  /**
+   * 获取告警历史
+   * @returns {Promise<Array>} - 按时间倒序的告警数组
+   */
+  async getHistory() {
+    await this.load();
+    return this.history.map(alert => ({ ...alert }));
+  }
+
+  /**
+   * 清除告警历史和冷却状态
+   * @returns {Promise<void>}
+   */
+  async clearHistory() {
+    await this.load();
+
+    this.history = [];
+    this._restoreCooldowns();
+    await this._set(ALERT_STORAGE_KEYS.HISTORY, this.history);
+  }
+
+  /**
+   * 添加告警监听器
+   * @param {Function} listener - 监听函数 (alert)
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * 用新写入的日志计算所有启用的规则，规则加载完成前的日志会先缓存
+   * @param {Object} log - 日志条目
+   * @returns {Array<Object>} - 本条日志触发的告警
+   */
+  addLog(log) {
+    if (!this.isLoaded) {
+      if (this.pendingLogs.length < MAX_PENDING_LOGS) {
+        this.pendingLogs.push(log);
+      }
+      this.load();
+      return [];
+    }
+
+    const fired = [];
+
+    this.rules.forEach(rule => {
+      if (!rule.enabled || !rule.compiled || !rule.compiled.matches(log)) return;
+
+      const group = AlertRuleService.getGroupKey(log, rule.groupBy);
+      if (group === null) return;
+
+      const alert = this._recordMatch(rule, group, log);
+      if (alert) fired.push(alert);
+    });
+
+    return fired;
+  }
+
+  /**
+   * 记录一次匹配，达到阈值时触发或在冷却期间计为被抑制的告警
+   * @param {Object} rule - 规则
+   * @param {string} group - 分组值
+   * @param {Object} log - 日志条目
+   * @returns {Object|null} - 触发的告警
+   * @private
+   */
+  _recordMatch(rule, group, log) {
+    // 用日志时间计算窗口和冷却，加载前缓存的日志和其他页面转发来的日志按产生时间计数
+    const time = typeof log.timestamp === 'number' ? log.timestamp : this.now();
+    const windowStart = time - rule.windowMinutes * 60 * 1000;
+
+    if (!this.windows.has(rule.id)) {
+      this.windows.set(rule.id, new Map());
+    }
+    const groups = this.windows.get(rule.id);
+
+    const times = (groups.get(group) || []).filter(matchedAt => matchedAt > windowStart);
+    times.push(time);
+
+    // Map按插入顺序排列，重新插入后最久没有匹配的分组在最前面
+    groups.delete(group);
+    groups.set(group, times);
+    if (groups.size > MAX_GROUPS_PER_RULE) {
+      groups.delete(groups.keys().next().value);
+    }
+
+    if (times.length < rule.threshold) {
+      return null;
+    }
+
+    // 达到阈值后重新计数，下一次告警需要再次达到阈值
+    groups.set(group, []);
+
+    const cooldownKey = `${rule.id}\n${group}`;
+    if (time < (this.cooldowns.get(cooldownKey) || 0)) {
+      const last = this.history.find(alert => alert.ruleId === rule.id && alert.group === group);
+      if (last) {
+        last.suppressed++;
+        this._set(ALERT_STORAGE_KEYS.HISTORY, this.history);
+      }
+      return null;
+    }
+
+    this.cooldowns.set(cooldownKey, time + rule.cooldownMinutes * 60 * 1000);
+
+    const alert = {
+      id: `alert_${time}_${Math.random().toString(36).substr(2, 9)}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      query: rule.query,
+      group,
+      count: times.length,
+      windowMinutes: rule.windowMinutes,
+      firedAt: time,
+      cooldownUntil: time + rule.cooldownMinutes * 60 * 1000,
+      message: log.message,
+      logId: log.id,
+      suppressed: 0
+    };
+
+    this.history.unshift(alert);
+    this.history = this.history.slice(0, MAX_HISTORY);
+    this._set(ALERT_STORAGE_KEYS.HISTORY, this.history);
+
+    this._sendNotification(alert);
+    this._notifyListeners(alert);
+
+    return alert;
+  }
+
+  /**
+   * 发出浏览器通知，同一规则同一分组使用同一个通知ID，新的通知会替换旧的
+   * @param {Object} alert - 告警
+   * @private
+   */
+  _sendNotification(alert) {
+    const notificationId = `log-alert-${alert.ruleId}-${alert.group}`;
+
+    try {
+      const options = {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('images/icon128.png'),
+        title: `日志告警: ${alert.ruleName}`,
+        message: `${alert.windowMinutes}分钟内${alert.count}条日志符合条件${alert.group ? `（${alert.group}）` : ''}\n最近一条: ${alert.message}`,
+        priority: 1
+      };
+
+      if (this.notify) {
+        this.notify(notificationId, options);
+      } else if (typeof chrome !== 'undefined' && chrome.notifications) {
+        chrome.notifications.create(notificationId, options);
+      }
+    } catch (error) {
+      console.warn('发送日志告警通知失败:', error);
+    }
+  }
+
+  /**
+   * 通知告警监听器
+   * @param {Object} alert - 告警
+   * @private
+   */
+  _notifyListeners(alert) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(alert);
+      } catch (error) {
+        console.error('日志告警监听器执行失败:', error);
+      }
+    });
+  }
+
+  /**
+   * 加载规则和历史，恢复冷却状态，再计算加载期间缓存的日志
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _load() {
+    try {
+      const result = await this._get([ALERT_STORAGE_KEYS.RULES, ALERT_STORAGE_KEYS.HISTORY]);
+      this.rules = Array.isArray(result[ALERT_STORAGE_KEYS.RULES]) ? result[ALERT_STORAGE_KEYS.RULES] : [];
+      this.history = Array.isArray(result[ALERT_STORAGE_KEYS.HISTORY]) ? result[ALERT_STORAGE_KEYS.HISTORY] : [];
+    } catch (error) {
+      console.error('加载日志告警规则失败:', error);
+    }
+
+    this._restoreCooldowns();
+    this._compileRules();
+    this._watchStorage();
+    this.isLoaded = true;
+
+    const pending = this.pendingLogs;
+    this.pendingLogs = [];
+    pending.forEach(log => this.addLog(log));
+  }
+
+  /**
+   * 解析规则中的查询，无法解析的规则不参与计算
+   * @private
+   */
+  _compileRules() {
+    this.rules.forEach(rule => {
+      try {
+        Object.defineProperty(rule, 'compiled', { value: LogQuery.parse(rule.query), configurable: true, enumerable: false });
+      } catch (error) {
+        console.warn(`告警规则“${rule.name}”的查询无效:`, error.message);
+        Object.defineProperty(rule, 'compiled', { value: null, configurable: true, enumerable: false });
+      }
+    });
+  }
+
+  /**
+   * 其他页面（例如弹出窗口）修改规则或清除历史时同步到本实例
+   * @private
+   */
+  _watchStorage() {
+    if (this.storage || typeof chrome === 'undefined' || !chrome.storage || !chrome.storage.onChanged) return;
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local') return;
+
+      const rulesChange = changes[ALERT_STORAGE_KEYS.RULES];
+      if (rulesChange) {
+        this.rules = Array.isArray(rulesChange.newValue) ? rulesChange.newValue : [];
+        this._compileRules();
+      }
+
+      const historyChange = changes[ALERT_STORAGE_KEYS.HISTORY];
+      if (historyChange) {
+        this.history = Array.isArray(historyChange.newValue) ? historyChange.newValue : [];
+        this._restoreCooldowns();
+      }
+    });
+  }
+
+  /**
+   * 从告警历史恢复冷却状态，Service Worker重启或其他页面触发告警后不会重复通知
+   * @private
+   */
+  _restoreCooldowns() {
+    this.cooldowns.clear();
+    this.history.slice().reverse().forEach(alert => {
+      this.cooldowns.set(`${alert.ruleId}\n${alert.group}`, alert.cooldownUntil);
+    });
+  }
+
+  /**
+   * 获取存储区
+   * @returns {Object|null} - 存储区
+   * @private
+   */
+  _getStorage() {
+    if (this.storage) return this.storage;
+    return typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null;
+  }
+
+  /**
+   * 读取存储
+   * @param {Array<string>} keys - 键数组
+   * @returns {Promise<Object>} - 读取结果
+   * @private
+   */
+  _get(keys) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve({});
+
+    return new Promise(resolve => {
+      storage.get(keys, (result) => resolve(result || {}));
+    });
+  }
+
+  /**
+   * 写入存储
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @returns {Promise<void>}
+   * @private
+   */
+  _set(key, value) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve();
+
+    return new Promise(resolve => {
+      storage.set({ [key]: value }, () => resolve());
+    });
+  }
+}
+
+const alertRuleService = new AlertRuleService();
+
+export { AlertRuleService };
+export default alertRuleService;
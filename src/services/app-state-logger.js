@@ -7,6 +7,7 @@
  */
 
 import loggingService, { LogLevel, LogCategory } from './logging-service.js';
+import sessionRecorder, { SESSION_EVENT_TYPES } from './session-recorder.js';
 
 /**
  * 应用状态日志记录服务
@@ -52,6 +53,9 @@ class AppStateLogger {
       cpuWarningThreshold: 0.5 // 50%
     };
     
+    this.sessionRecorder = sessionRecorder;
+    this.sessionErrorListener = null;
+    
     this._initializeExtensionInfo();
     this._initializeMonitoring();
   }
@@ -109,6 +113,79 @@ class AppStateLogger {
     }
   }
   
+  /**
+   * 录制会话期间把错误级别的日志记录为会话事件
+   * @private
+   */
+  _watchSessionErrors() {
+    if (this.sessionErrorListener) return;
+    
+    this.sessionErrorListener = logEntry => {
+      if (logEntry.level < LogLevel.ERROR) return;
+      
+      this.sessionRecorder.record(SESSION_EVENT_TYPES.ERROR, {
+        category: logEntry.category,
+        message: logEntry.message,
+        data: logEntry.data
+      });
+    };
+    
+    loggingService.addListener(this.sessionErrorListener);
+  }
+  
+  /**
+   * 开始录制会话
+   * @returns {Promise<void>}
+   */
+  async startSessionRecording() {
+    await this.sessionRecorder.start({
+      ...this.extensionInfo,
+      userAgent: navigator.userAgent,
+      platform: navigator.platform
+    });
+    
+    this._watchSessionErrors();
+    loggingService.info(LogCategory.APP, '会话录制已开始');
+  }
+  
+  /**
+   * 继续弹出窗口关闭前没有停止的会话录制
+   * @returns {Promise<boolean>} - 是否有正在进行的录制
+   */
+  async resumeSessionRecording() {
+    const resumed = await this.sessionRecorder.resume();
+    
+    if (resumed) {
+      this._watchSessionErrors();
+    }
+    
+    return resumed;
+  }
+  
+  /**
+   * 停止录制会话
+   * @returns {Promise<Object|null>} - 会话包
+   */
+  async stopSessionRecording() {
+    const bundle = await this.sessionRecorder.stop();
+    
+    if (this.sessionErrorListener) {
+      loggingService.removeListener(this.sessionErrorListener);
+      this.sessionErrorListener = null;
+    }
+    
+    if (bundle) {
+      loggingService.info(LogCategory.APP, '会话录制已停止', {
+        sessionId: bundle.id,
+        eventCount: bundle.events.length,
+        duration: bundle.endedAt - bundle.startedAt,
+        truncated: bundle.truncated
+      });
+    }
+    
+    return bundle;
+  }
+  
   /**
    * 加载监控设置
    * @private
@@ -226,6 +303,8 @@ class AppStateLogger {
       domain,
       timestamp: Date.now()
     });
+    
+    this.sessionRecorder.record(SESSION_EVENT_TYPES.TAB_CHANGE, { tabId, url });
   }
   
   /**
@@ -243,6 +322,8 @@ class AppStateLogger {
       startTime: Date.now()
     });
     
+    this.sessionRecorder.record(SESSION_EVENT_TYPES.DETECTION_STARTED, { detectionId, tabId, options });
+    
     return detectionId;
   }
   
@@ -263,6 +344,12 @@ class AppStateLogger {
       duration: stats.startTime ? (endTime - stats.startTime) : null
     });
     
+    this.sessionRecorder.record(SESSION_EVENT_TYPES.DETECTION_COMPLETED, {
+      detectionId,
+      resourceCount,
+      duration: stats.startTime ? (endTime - stats.startTime) : null
+    });
+    
     if (stats.startTime) {
       this.performanceMetrics.resourceDetectionTime.push({
         detectionId,
@@ -291,6 +378,8 @@ class AppStateLogger {
       filteredCount: beforeCount - afterCount,
       timestamp: Date.now()
     });
+    
+    this.sessionRecorder.record(SESSION_EVENT_TYPES.RESOURCE_FILTERED, { filterOptions, beforeCount, afterCount });
   }
   
   /**
@@ -343,6 +432,8 @@ class AppStateLogger {
       timestamp
     });
     
+    this.sessionRecorder.record(SESSION_EVENT_TYPES.INTERACTION, { action, details });
+    
     if (this.userBehaviorData.isAnalysisEnabled) {
       const interaction = {
         action,
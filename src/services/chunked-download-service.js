@@ -0,0 +1,477 @@
+/**
+ * @file chunked-download-service.js
+ * @description 分块下载服务：对支持Range请求的大文件并行下载多个分块，
+ * 已完成的分块和任务状态持久化到IndexedDB，Service Worker或浏览器重启后可从最后完成的分块继续
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ThrottledDownloadService from './throttled-download-service.js';
+import TokenBucket from '../utils/token-bucket.js';
+
+/**
+ * 分块状态
+ * @enum {string}
+ */
+export const CHUNK_STATUS = {
+  PENDING: 'pending',
+  DOWNLOADING: 'downloading',
+  COMPLETE: 'complete'
+};
+
+/**
+ * 分块下载任务状态
+ * @enum {string}
+ */
+export const TASK_STATUS = {
+  DOWNLOADING: 'downloading',
+  PAUSED: 'paused',
+  COMPLETE: 'complete',
+  ERROR: 'error'
+};
+
+/**
+ * 分块下载服务类
+ * @class ChunkedDownloadService
+ */
+class ChunkedDownloadService {
+  /**
+   * 创建分块下载服务实例
+   * @param {Object} options - 配置选项
+   * @param {Object} [options.store] - 任务和分块存储，默认在首次使用时加载IndexedDBService
+   * @param {number} [options.chunkSize=4194304] - 分块大小（字节）
+   * @param {number} [options.concurrency=4] - 分块并发数
+   * @param {number} [options.maxRetries=3] - 单个分块最大重试次数
+   * @param {number} [options.retryDelay=1000] - 首次重试延迟（毫秒），之后指数递增
+   * @param {number} [options.minSize=16777216] - 启用分块下载的最小文件大小（字节）
+   * @param {ThrottledDownloadService} [options.limiter] - 限速下载服务，全局限速对所有分块生效
+   */
+  constructor(options = {}) {
+    this.store = options.store || null;
+    this.chunkSize = 4 * 1024 * 1024;
+    this.concurrency = 4;
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+    this.minSize = 16 * 1024 * 1024;
+    this.bodyReader = new ThrottledDownloadService();
+
+    this.configure(options);
+  }
+
+  /**
+   * 更新配置
+   * @param {Object} options - 配置选项，同构造函数
+   */
+  configure(options = {}) {
+    ['chunkSize', 'concurrency', 'minSize'].forEach(key => {
+      if (options[key] > 0) {
+        this[key] = options[key];
+      }
+    });
+
+    if (options.maxRetries !== undefined) {
+      this.maxRetries = options.maxRetries;
+    }
+
+    if (options.retryDelay !== undefined) {
+      this.retryDelay = options.retryDelay;
+    }
+
+    if (options.limiter) {
+      this.bodyReader = options.limiter;
+    }
+  }
+
+  /**
+   * 探测资源是否支持Range请求
+   * @param {string} url - 资源URL
+   * @returns {Promise<Object>} - { supportsRanges, totalBytes, mimeType, validator }
+   */
+  async probe(url) {
+    let response = await fetch(url, { method: 'HEAD', credentials: 'include' }).catch(() => null);
+    let totalBytes = 0;
+    let supportsRanges = false;
+
+    if (response && response.ok) {
+      totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+      supportsRanges = (response.headers.get('Accept-Ranges') || '').toLowerCase() === 'bytes';
+    } else {
+      // 部分服务器不支持HEAD，改用只请求首字节的Range请求探测
+      const controller = new AbortController();
+      response = await fetch(url, {
+        headers: { Range: 'bytes=0-0' },
+        credentials: 'include',
+        signal: controller.signal
+      });
+      controller.abort();
+
+      const contentRange = /\/(\d+)$/.exec(response.headers.get('Content-Range') || '');
+      supportsRanges = response.status === 206 && !!contentRange;
+      totalBytes = contentRange ? parseInt(contentRange[1], 10) : 0;
+    }
+
+    return {
+      supportsRanges: supportsRanges && totalBytes > 0,
+      totalBytes: totalBytes,
+      mimeType: (response.headers.get('Content-Type') || '').split(';')[0].trim(),
+      validator: this._getValidator(response.headers)
+    };
+  }
+
+  /**
+   * 获取用于If-Range的校验值。弱ETag不能用于If-Range，服务器会因此返回完整文件，此时改用Last-Modified
+   * @param {Headers} headers - 响应头
+   * @returns {string|null} - 校验值
+   * @private
+   */
+  _getValidator(headers) {
+    const etag = headers.get('ETag');
+    if (etag && !etag.startsWith('W/')) {
+      return etag;
+    }
+
+    return headers.get('Last-Modified') || null;
+  }
+
+  /**
+   * 根据探测结果判断是否使用分块下载
+   * @param {Object} probeResult - probe()的返回值
+   * @returns {boolean} - 是否使用分块下载
+   */
+  shouldUseChunks(probeResult) {
+    return !!probeResult && probeResult.supportsRanges && probeResult.totalBytes >= this.minSize;
+  }
+
+  /**
+   * 创建并保存分块下载任务
+   * @param {string} id - 任务ID
+   * @param {string} url - 资源URL
+   * @param {Object} probeResult - probe()的返回值
+   * @param {Object} [extra] - 随任务保存的附加信息（资源、文件名等）
+   * @returns {Promise<Object>} - 下载任务
+   */
+  async createTask(id, url, probeResult, extra = {}) {
+    const chunks = [];
+
+    for (let start = 0, index = 0; start < probeResult.totalBytes; start += this.chunkSize, index++) {
+      chunks.push({
+        index: index,
+        start: start,
+        end: Math.min(start + this.chunkSize, probeResult.totalBytes) - 1,
+        bytesReceived: 0,
+        status: CHUNK_STATUS.PENDING
+      });
+    }
+
+    const task = {
+      ...extra,
+      id: id,
+      url: url,
+      totalBytes: probeResult.totalBytes,
+      mimeType: probeResult.mimeType,
+      validator: probeResult.validator,
+      chunkSize: this.chunkSize,
+      chunks: chunks,
+      status: TASK_STATUS.DOWNLOADING,
+      createdAt: Date.now()
+    };
+
+    await (await this._getStore()).saveDownloadTask(task);
+
+    return task;
+  }
+
+  /**
+   * 获取已保存的任务
+   * @param {string} id - 任务ID
+   * @returns {Promise<Object|null>} - 下载任务
+   */
+  async getTask(id) {
+    return (await this._getStore()).getDownloadTask(id);
+  }
+
+  /**
+   * 获取所有已保存的任务，包括已完成下载但尚未保存为文件的任务
+   * @returns {Promise<Array>} - 下载任务数组
+   */
+  async getTasks() {
+    return (await this._getStore()).getDownloadTasks();
+  }
+
+  /**
+   * 更新已保存的任务
+   * @param {Object} task - 下载任务
+   * @returns {Promise<string>} - 任务ID
+   */
+  async saveTask(task) {
+    return (await this._getStore()).saveDownloadTask(task);
+  }
+
+  /**
+   * 下载任务中所有未完成的分块
+   * @param {Object} task - 下载任务
+   * @param {Object} [options] - 下载选项
+   * @param {AbortSignal} [options.signal] - 取消/暂停信号
+   * @param {Function} [options.onProgress] - 进度回调 (task, chunk)
+   * @param {number} [options.limit=0] - 单个下载速度限制（KB/s），由该任务的所有分块共享
+   * @returns {Promise<Object>} - 完成的下载任务
+   */
+  async download(task, options = {}) {
+    const { signal, onProgress } = options;
+    const bucket = new TokenBucket((options.limit || 0) * 1024);
+    const notify = chunk => {
+      if (typeof onProgress === 'function') onProgress(task, chunk);
+    };
+
+    task.status = TASK_STATUS.DOWNLOADING;
+    task.error = null;
+
+    this._resetIncompleteChunks(task);
+    await (await this._getStore()).saveDownloadTask(task);
+
+    const pending = task.chunks.filter(chunk => chunk.status !== CHUNK_STATUS.COMPLETE);
+    let nextIndex = 0;
+    let failure = null;
+
+    // 任一分块失败或调用方暂停时中止所有分块，等全部分块结束后再保存最终状态，避免残留的请求与继续下载冲突
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    if (signal) {
+      if (signal.aborted) abort();
+      else signal.addEventListener('abort', abort);
+    }
+
+    const context = { signal: controller.signal, bucket, notify };
+    const runners = Array.from({ length: Math.min(this.concurrency, pending.length) }, async () => {
+      while (!failure && nextIndex < pending.length) {
+        const chunk = pending[nextIndex++];
+
+        try {
+          await this._downloadChunkWithRetry(task, chunk, context);
+        } catch (e) {
+          if (!failure) {
+            failure = e;
+            abort();
+          }
+        }
+      }
+    });
+
+    await Promise.all(runners);
+
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+
+    if (failure) {
+      const paused = !!(signal && signal.aborted);
+
+      this._resetIncompleteChunks(task);
+      task.status = paused ? TASK_STATUS.PAUSED : TASK_STATUS.ERROR;
+      task.error = paused ? null : failure.message;
+      await (await this._getStore()).saveDownloadTask(task);
+      throw paused ? new Error('下载已暂停') : failure;
+    }
+
+    task.status = TASK_STATUS.COMPLETE;
+    await (await this._getStore()).saveDownloadTask(task);
+
+    return task;
+  }
+
+  /**
+   * 按顺序合并分块数据
+   * @param {Object} task - 下载任务
+   * @returns {Promise<Blob>} - 完整文件
+   */
+  async assemble(task) {
+    const chunks = await (await this._getStore()).getDownloadChunks(task.id);
+
+    if (chunks.length !== task.chunks.length) {
+      throw new Error('分块数据不完整，无法合并文件');
+    }
+
+    return new Blob(chunks, { type: task.mimeType || 'application/octet-stream' });
+  }
+
+  /**
+   * 删除任务及其分块数据
+   * @param {string} id - 任务ID
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    return (await this._getStore()).deleteDownloadTask(id);
+  }
+
+  /**
+   * 计算任务已接收的字节数
+   * @param {Object} task - 下载任务
+   * @returns {number} - 已接收字节数
+   */
+  getBytesReceived(task) {
+    return task.chunks.reduce((sum, chunk) => sum + chunk.bytesReceived, 0);
+  }
+
+  /**
+   * 带重试下载单个分块
+   * @param {Object} task - 下载任务
+   * @param {Object} chunk - 分块
+   * @param {Object} context - { signal, bucket, notify }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _downloadChunkWithRetry(task, chunk, context) {
+    const { signal, notify } = context;
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (signal && signal.aborted) {
+        throw new Error('下载已暂停');
+      }
+
+      try {
+        await this._downloadChunk(task, chunk, context);
+        return;
+      } catch (e) {
+        if ((signal && signal.aborted) || e.fatal) throw e;
+
+        lastError = e;
+        chunk.status = CHUNK_STATUS.PENDING;
+        chunk.bytesReceived = 0;
+        notify(chunk);
+
+        if (attempt < this.maxRetries) {
+          await this._delay(this.retryDelay * Math.pow(2, attempt), signal);
+        }
+      }
+    }
+
+    throw new Error(`分块 ${chunk.index + 1}/${task.chunks.length} 下载失败: ${lastError ? lastError.message : '未知错误'}`);
+  }
+
+  /**
+   * 下载单个分块并保存
+   * @param {Object} task - 下载任务
+   * @param {Object} chunk - 分块
+   * @param {Object} context - { signal, bucket, notify }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _downloadChunk(task, chunk, context) {
+    const { signal, bucket, notify } = context;
+    const headers = { Range: `bytes=${chunk.start}-${chunk.end}` };
+    if (task.validator) {
+      headers['If-Range'] = task.validator;
+    }
+
+    chunk.status = CHUNK_STATUS.DOWNLOADING;
+    chunk.bytesReceived = 0;
+    notify(chunk);
+
+    const response = await fetch(task.url, { headers, signal, credentials: 'include' });
+
+    if (response.status !== 206) {
+      const error = new Error(response.ok ?
+        '服务器上的文件已变化或不再支持分块下载，请重新下载' :
+        `HTTP error ${response.status}: ${response.statusText}`);
+      // 文件已变化时重试没有意义
+      error.fatal = response.ok;
+      throw error;
+    }
+
+    const parts = await this.bodyReader.readBody(response, {
+      signal: signal,
+      bucket: bucket,
+      onChunk: (length) => {
+        chunk.bytesReceived += length;
+        notify(chunk);
+      }
+    });
+
+    const expectedLength = chunk.end - chunk.start + 1;
+    const data = this._concat(parts);
+
+    if (data.byteLength !== expectedLength) {
+      throw new Error(`分块长度不符: 期望 ${expectedLength} 字节，实际 ${data.byteLength} 字节`);
+    }
+
+    await (await this._getStore()).saveDownloadChunk(task.id, chunk.index, data);
+
+    chunk.bytesReceived = expectedLength;
+    chunk.status = CHUNK_STATUS.COMPLETE;
+    await (await this._getStore()).saveDownloadTask(task);
+    notify(chunk);
+  }
+
+  /**
+   * 等待重试间隔，中止时提前结束
+   * @param {number} ms - 毫秒
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   * @private
+   */
+  _delay(ms, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+
+      if (signal) signal.addEventListener('abort', done);
+    });
+  }
+
+  /**
+   * 获取任务和分块存储，未指定时按需加载IndexedDBService，避免只探测Range支持的页面也打开数据库
+   * @returns {Promise<Object>} - 存储服务
+   * @private
+   */
+  async _getStore() {
+    if (!this.store) {
+      this.store = (await import('./indexeddb-service.js')).default;
+    }
+
+    return this.store;
+  }
+
+  /**
+   * 未完成的分块数据没有保存，继续下载时需要从头下载
+   * @param {Object} task - 下载任务
+   * @private
+   */
+  _resetIncompleteChunks(task) {
+    task.chunks.forEach(chunk => {
+      if (chunk.status !== CHUNK_STATUS.COMPLETE) {
+        chunk.status = CHUNK_STATUS.PENDING;
+        chunk.bytesReceived = 0;
+      }
+    });
+  }
+
+  /**
+   * 合并数据块为ArrayBuffer
+   * @param {Array<Uint8Array>} parts - 数据块
+   * @returns {ArrayBuffer} - 合并后的数据
+   * @private
+   */
+  _concat(parts) {
+    if (parts.length === 1 && parts[0].byteOffset === 0 && parts[0].byteLength === parts[0].buffer.byteLength) {
+      return parts[0].buffer;
+    }
+
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+    let offset = 0;
+
+    parts.forEach(part => {
+      result.set(part, offset);
+      offset += part.byteLength;
+    });
+
+    return result.buffer;
+  }
+}
+
+export default ChunkedDownloadService;
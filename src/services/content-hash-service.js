@@ -0,0 +1,204 @@
+/**
+ * @file content-hash-service.js
+ * @description 下载内容哈希服务：计算已下载文件的SHA-256并持久化到IndexedDB，跨会话识别重复下载（即使URL或日期不同）
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 对扩展已持有的文件数据（限速、分块、流媒体下载）计算哈希时允许的最大大小（字节）
+ * @type {number}
+ */
+export const MAX_HASH_SIZE = 256 * 1024 * 1024;
+
+/**
+ * 为计算哈希重新获取文件时允许的最大大小（字节）。直接交给chrome.downloads的文件扩展没有持有数据，
+ * 只有大小已知且不超过此值时才重新获取，避免为了哈希再下载一遍大文件
+ * @type {number}
+ */
+export const MAX_REFETCH_HASH_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 下载内容哈希服务类
+ * @class ContentHashService
+ */
+class ContentHashService {
+  /**
+   * 创建下载内容哈希服务实例
+   * @param {Function} [getDatabase] - 返回IndexedDB服务的异步函数，默认按需加载indexeddb-service
+   */
+  constructor(getDatabase) {
+    this.getDatabase = getDatabase || (async () => (await import('./indexeddb-service.js')).default);
+  }
+
+  /**
+   * 计算SHA-256
+   * @param {Blob|ArrayBuffer|Uint8Array} data - 文件数据
+   * @returns {Promise<string>} - 64位十六进制哈希
+   */
+  static async sha256(data) {
+    const buffer = data instanceof Blob ? await data.arrayBuffer() : data;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+
+    return Array.from(new Uint8Array(digest))
+      .map(byte => byte.toString(16).padStart(2, '0'))
+      .join('');
+  }
+
+  /**
+   * 生成“已于某日下载为某文件”的提示文字
+   * @param {Object} record - 内容哈希记录
+   * @returns {string} - 提示文字
+   */
+  static describe(record) {
+    if (!record) return '';
+
+    const date = new Date(record.downloadedAt);
+    const pad = value => String(value).padStart(2, '0');
+    const dateText = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+    return `已于 ${dateText} 下载为 ${record.filename || '未命名文件'}`;
+  }
+
+  /**
+   * 已完成的下载是否值得重新获取来计算哈希：大小未知或超过MAX_REFETCH_HASH_SIZE时跳过
+   * @param {number} size - 文件大小（字节）
+   * @returns {boolean} - 是否重新获取
+   */
+  static canRefetch(size) {
+    return size > 0 && size <= MAX_REFETCH_HASH_SIZE;
+  }
+
+  /**
+   * 获取URL的内容并计算哈希（优先使用浏览器缓存）
+   * @param {string} url - 资源URL
+   * @param {Object} [options] - 选项
+   * @param {number} [options.maxSize=MAX_REFETCH_HASH_SIZE] - 最大文件大小，超过时返回null
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object|null>} - { hash, size, mimeType }
+   */
+  async hashUrl(url, options = {}) {
+    const maxSize = options.maxSize || MAX_REFETCH_HASH_SIZE;
+
+    if (!url || !/^(https?|blob|data):/i.test(url)) return null;
+
+    const response = await fetch(url, { credentials: 'include', cache: 'force-cache', signal: options.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP错误: ${response.status}`);
+    }
+
+    const contentLength = parseInt(response.headers.get('content-length'), 10);
+    if (contentLength > maxSize) {
+      if (response.body) response.body.cancel().catch(() => {});
+      return null;
+    }
+
+    const buffer = await response.arrayBuffer();
+    if (buffer.byteLength > maxSize) return null;
+
+    return {
+      hash: await ContentHashService.sha256(buffer),
+      size: buffer.byteLength,
+      mimeType: (response.headers.get('content-type') || '').split(';')[0].trim() || null
+    };
+  }
+
+  /**
+   * 记录一次已完成的下载
+   * 同一内容再次下载时保留首次下载的日期和文件名，并追加新的URL
+   * @param {Object} entry - 下载信息
+   * @param {string} entry.hash - 内容SHA-256
+   * @param {string} entry.url - 资源URL
+   * @param {string} [entry.pageUrl] - 来源页面URL
+   * @param {string} [entry.filename] - 保存的文件名
+   * @param {number} [entry.size] - 文件大小
+   * @param {string} [entry.mimeType] - MIME类型
+   * @returns {Promise<Object>} - { record, previous }，previous为本次下载前已存在的记录
+   */
+  async recordDownload(entry) {
+    if (!entry || !entry.hash) {
+      throw new Error('缺少内容哈希');
+    }
+
+    const db = await this.getDatabase();
+    const previous = await db.getContentHash(entry.hash);
+    const now = Date.now();
+
+    const record = previous ? {
+      ...previous,
+      urls: previous.urls.includes(entry.url) ? previous.urls : [...previous.urls, entry.url],
+      lastDownloadedAt: now,
+      lastFilename: entry.filename || previous.lastFilename,
+      downloadCount: (previous.downloadCount || 1) + 1
+    } : {
+      hash: entry.hash,
+      url: entry.url,
+      urls: [entry.url],
+      pageUrl: entry.pageUrl || null,
+      filename: entry.filename || null,
+      lastFilename: entry.filename || null,
+      size: entry.size || null,
+      mimeType: entry.mimeType || null,
+      downloadedAt: now,
+      lastDownloadedAt: now,
+      downloadCount: 1
+    };
+
+    await db.saveContentHash(record);
+
+    return { record, previous: previous || null };
+  }
+
+  /**
+   * 查找资源对应的已下载记录：有contentHash时按内容查找，否则按URL查找
+   * @param {Object} resource - 资源对象
+   * @returns {Promise<Object|null>} - 内容哈希记录
+   */
+  async findDuplicate(resource) {
+    if (!resource) return null;
+
+    try {
+      const db = await this.getDatabase();
+
+      if (resource.contentHash) {
+        const record = await db.getContentHash(resource.contentHash);
+        if (record) return record;
+      }
+
+      if (resource.url) {
+        const records = await db.getContentHashesByUrl(resource.url);
+        return records.sort((a, b) => a.downloadedAt - b.downloadedAt)[0] || null;
+      }
+    } catch (e) {
+      console.warn('查找重复下载错误:', e);
+    }
+
+    return null;
+  }
+
+  /**
+   * 批量查找已下载记录
+   * @param {Array<Object>} resources - 资源数组
+   * @returns {Promise<Map<string, Object>>} - 资源URL到内容哈希记录的映射，只包含已下载过的资源
+   */
+  async findDuplicates(resources) {
+    const duplicates = new Map();
+
+    for (const resource of resources || []) {
+      if (!resource || !resource.url || duplicates.has(resource.url)) continue;
+
+      const record = await this.findDuplicate(resource);
+      if (record) {
+        duplicates.set(resource.url, record);
+      }
+    }
+
+    return duplicates;
+  }
+}
+
+const contentHashService = new ContentHashService();
+
+export { ContentHashService };
+export default contentHashService;
@@ -0,0 +1,297 @@
+/**
+ * @file dash-service.js
+ * @description MPEG-DASH流媒体下载服务，负责解析MPD清单、选择表示并将视频和音频分别组装为fMP4文件
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import MPDParser from '../utils/mpd-parser.js';
+import SegmentFetcher from '../utils/segment-fetcher.js';
+
+/**
+ * 表示MIME类型对应的文件扩展名
+ * @type {Object}
+ * @private
+ */
+const TRACK_EXTENSIONS = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'webm'
+};
+
+/**
+ * DASH下载服务
+ * @class DASHService
+ */
+class DASHService {
+  /**
+   * 创建DASH下载服务实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.concurrency=4] - 分片并发下载数
+   * @param {number} [options.maxRetries=3] - 单个分片最大重试次数
+   * @param {number} [options.retryDelay=1000] - 首次重试延迟（毫秒），之后指数递增
+   */
+  constructor(options = {}) {
+    this.fetcher = new SegmentFetcher(options);
+  }
+
+  /**
+   * 更新分片下载配置
+   * @param {Object} options - 配置选项，同构造函数
+   */
+  configure(options = {}) {
+    this.fetcher.configure(options);
+  }
+
+  /**
+   * 加载并解析MPD清单
+   * @param {string} url - 清单URL
+   * @returns {Promise<Object>} 清单对象
+   */
+  async loadManifest(url) {
+    const text = await this.fetcher.fetchText(url);
+    return MPDParser.parse(text, url);
+  }
+
+  /**
+   * 获取DASH流的可用视频和音频表示
+   * @param {string} url - 清单URL
+   * @returns {Promise<Object>} { video, audio, isLive, duration }
+   */
+  async getRepresentations(url) {
+    const manifest = await this.loadManifest(url);
+    const { video, audio } = MPDParser.getRepresentations(manifest);
+
+    return { video, audio, isLive: manifest.isLive, duration: manifest.duration };
+  }
+
+  /**
+   * 选择表示
+   * @param {Array} representations - 按码率降序排列的表示数组
+   * @param {Object|string} [preference] - 表示对象、表示ID、'best'或'worst'
+   * @returns {Object|null} 选中的表示
+   */
+  selectRepresentation(representations, preference) {
+    if (!representations || representations.length === 0) return null;
+
+    if (preference && typeof preference === 'object' && preference.id !== undefined) {
+      return representations.find(r => r.id === preference.id) || representations[0];
+    }
+
+    if (preference === 'worst') {
+      return representations[representations.length - 1];
+    }
+
+    if (typeof preference === 'string' && preference !== 'best') {
+      return representations.find(r => r.id === preference) || representations[0];
+    }
+
+    return representations[0];
+  }
+
+  /**
+   * 下载DASH流，视频和音频分别组装为独立的文件
+   * @param {string} url - 清单URL
+   * @param {Object} options - 下载选项
+   * @param {Object|string} [options.video] - 视频表示偏好
+   * @param {Object|string|boolean} [options.audio] - 音频表示偏好，传入false时不下载音频
+   * @param {Function} [options.onProgress] - 进度回调
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object>} { tracks, segmentCount, totalBytes, duration, isLive }
+   */
+  async downloadStream(url, options = {}) {
+    const { onProgress, signal } = options;
+    const manifest = await this.loadManifest(url);
+
+    if (manifest.isLive) {
+      throw new Error('暂不支持下载DASH直播流');
+    }
+
+    const { video, audio } = MPDParser.getRepresentations(manifest);
+    const selected = [];
+
+    const videoRepresentation = this.selectRepresentation(video, options.video);
+    if (videoRepresentation) {
+      selected.push({ kind: 'video', representation: videoRepresentation });
+    }
+
+    const audioRepresentation = options.audio === false ? null : this.selectRepresentation(audio, options.audio);
+    if (audioRepresentation) {
+      selected.push({ kind: 'audio', representation: audioRepresentation });
+    }
+
+    if (selected.length === 0) {
+      throw new Error('MPD清单中没有可下载的视频或音频表示');
+    }
+
+    const plans = selected.map(({ kind, representation }) => ({
+      kind,
+      representation,
+      segments: this._collectSegments(manifest, representation)
+    }));
+
+    const totalSegments = plans.reduce((sum, plan) => sum + plan.segments.length, 0);
+    const progress = { completedSegments: 0, totalSegments: totalSegments, bytesReceived: 0 };
+
+    this._reportProgress(onProgress, progress);
+
+    const tracks = [];
+    for (const plan of plans) {
+      tracks.push(await this._downloadTrack(plan, progress, onProgress, signal));
+    }
+
+    return {
+      tracks: tracks,
+      segmentCount: totalSegments,
+      totalBytes: tracks.reduce((sum, track) => sum + track.totalBytes, 0),
+      duration: manifest.duration,
+      isLive: manifest.isLive
+    };
+  }
+
+  /**
+   * 下载单个表示的所有分片并组装为文件
+   * @param {Object} plan - 下载计划 { kind, representation, segments }
+   * @param {Object} progress - 共享的进度状态
+   * @param {Function} [onProgress] - 进度回调
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Object>} { kind, blob, mimeType, extension, totalBytes, segmentCount, representation, label }
+   * @private
+   */
+  async _downloadTrack(plan, progress, onProgress, signal) {
+    const { kind, representation, segments } = plan;
+    const buffers = new Array(segments.length);
+
+    await this.fetcher.runWithConcurrency(segments, async (segment, index, segmentSignal) => {
+      this.fetcher.checkAborted(segmentSignal);
+
+      const data = await this.fetcher.fetchBuffer(segment.url, segment.byteRange, segmentSignal);
+      buffers[index] = data;
+
+      progress.completedSegments++;
+      progress.bytesReceived += data.byteLength;
+      this._reportProgress(onProgress, progress);
+    }, signal);
+
+    const parts = await this._assembleParts(segments, buffers, signal);
+    const mimeType = this._getTrackMimeType(kind, representation.mimeType);
+
+    return {
+      kind: kind,
+      blob: new Blob(parts, { type: mimeType }),
+      mimeType: mimeType,
+      extension: TRACK_EXTENSIONS[mimeType] || (kind === 'audio' ? 'm4a' : 'mp4'),
+      totalBytes: parts.reduce((sum, part) => sum + part.byteLength, 0),
+      segmentCount: segments.length,
+      representation: representation,
+      label: representation.label
+    };
+  }
+
+  /**
+   * 收集所有周期中同一表示的分片（按表示ID匹配，找不到时使用同类型最高码率的表示）
+   * @param {Object} manifest - 清单对象
+   * @param {Object} representation - 第一个周期中选中的表示
+   * @returns {Array<Object>} 分片数组，每项附带所属的初始化分片
+   * @private
+   */
+  _collectSegments(manifest, representation) {
+    const segments = [];
+
+    manifest.periods.forEach((period, index) => {
+      const candidates = index === representation.periodIndex ?
+        [representation] :
+        MPDParser.getRepresentations({ periods: [period] })[representation.contentType] || [];
+
+      const match = candidates.find(r => r.id === representation.id) || candidates[0];
+      if (!match) return;
+
+      match.segments.forEach(segment => {
+        segments.push({ ...segment, initialization: match.initialization });
+      });
+    });
+
+    if (segments.length === 0) {
+      throw new Error(`表示 ${representation.id} 中没有分片`);
+    }
+
+    return segments;
+  }
+
+  /**
+   * 按顺序组装分片，在初始化分片变化时插入对应的初始化数据
+   * @param {Array} segments - 分片数组
+   * @param {Array<ArrayBuffer>} buffers - 分片数据
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Array<ArrayBuffer>>} 有序的数据块
+   * @private
+   */
+  async _assembleParts(segments, buffers, signal) {
+    const parts = [];
+    const initCache = new Map();
+    let lastInitKey = null;
+
+    for (let i = 0; i < segments.length; i++) {
+      const init = segments[i].initialization;
+
+      if (init && init.url) {
+        const initKey = init.byteRange ? `${init.url}@${init.byteRange.offset}-${init.byteRange.length}` : init.url;
+
+        if (initKey !== lastInitKey) {
+          if (!initCache.has(initKey)) {
+            this.fetcher.checkAborted(signal);
+            initCache.set(initKey, await this.fetcher.fetchBuffer(init.url, init.byteRange, signal));
+          }
+          parts.push(initCache.get(initKey));
+          lastInitKey = initKey;
+        }
+      }
+
+      parts.push(buffers[i]);
+    }
+
+    return parts;
+  }
+
+  /**
+   * 获取轨道的MIME类型
+   * @param {string} kind - 'video'或'audio'
+   * @param {string} mimeType - 表示声明的MIME类型
+   * @returns {string} MIME类型
+   * @private
+   */
+  _getTrackMimeType(kind, mimeType) {
+    if (mimeType && mimeType.startsWith(`${kind}/`)) {
+      return mimeType;
+    }
+
+    return kind === 'audio' ? 'audio/mp4' : 'video/mp4';
+  }
+
+  /**
+   * 报告进度
+   * @param {Function} onProgress - 进度回调
+   * @param {Object} progress - 进度状态
+   * @private
+   */
+  _reportProgress(onProgress, progress) {
+    if (typeof onProgress !== 'function') return;
+
+    const { completedSegments, totalSegments, bytesReceived } = progress;
+
+    try {
+      onProgress({
+        completedSegments: completedSegments,
+        totalSegments: totalSegments,
+        bytesReceived: bytesReceived,
+        progress: totalSegments > 0 ? Math.round((completedSegments / totalSegments) * 100) : 0
+      });
+    } catch (e) {
+      console.warn('DASH进度回调错误:', e);
+    }
+  }
+}
+
+export default DASHService;
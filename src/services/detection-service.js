@@ -7,6 +7,7 @@
  */
 
 import { SOURCE_TYPES } from '../config/constants.js';
+import extractorRegistry from '../extractors/index.js';
 
 /**
  * 资源检测服务
@@ -15,8 +16,10 @@ import { SOURCE_TYPES } from '../config/constants.js';
 class DetectionService {
   /**
    * 创建检测服务实例
+   * @param {Object} [registry] - 站点提取器注册表，默认使用内置提取器
    */
-  constructor() {
+  constructor(registry = extractorRegistry) {
+    this.extractorRegistry = registry;
     this.detectionStrategies = {};
     this.sitePatterns = {};
     this.initDefaultStrategies();
@@ -180,125 +183,6 @@ class DetectionService {
     }
   }
   
-  /**
-   * 获取特定网站的自定义检测器
-   * @param {string} hostname - 网站主机名
-   * @returns {Object|null} - 自定义检测器对象
-   */
-  getCustomDetector(hostname) {
-    const customDetectors = {
-      'youtube.com': {
-        name: 'YouTube检测器',
-        detect: (document) => {
-          const videoElements = document.querySelectorAll('video');
-          const highQualityUrls = [];
-          
-          videoElements.forEach(video => {
-            if (video.src) {
-              highQualityUrls.push({
-                url: video.src,
-                type: 'video',
-                quality: 'HD',
-                width: video.videoWidth,
-                height: video.videoHeight,
-                source: 'dom'
-              });
-            }
-          });
-          
-          const thumbnails = document.querySelectorAll('img[src*="ytimg.com"]');
-          thumbnails.forEach(img => {
-            if (img.src) {
-              highQualityUrls.push({
-                url: img.src,
-                type: 'image',
-                quality: 'SD',
-                width: img.width,
-                height: img.height,
-                source: 'dom'
-              });
-            }
-          });
-          
-          return highQualityUrls;
-        }
-      },
-      'vimeo.com': {
-        name: 'Vimeo检测器',
-        detect: (document) => {
-          const videoElements = document.querySelectorAll('video');
-          const resources = [];
-          
-          videoElements.forEach(video => {
-            if (video.src) {
-              resources.push({
-                url: video.src,
-                type: 'video',
-                quality: 'HD',
-                width: video.videoWidth,
-                height: video.videoHeight,
-                source: 'dom'
-              });
-            }
-          });
-          
-          return resources;
-        }
-      },
-      'instagram.com': {
-        name: 'Instagram检测器',
-        detect: (document) => {
-          const resources = [];
-          
-          document.querySelectorAll('img[srcset]').forEach(img => {
-            if (img.srcset) {
-              const srcsetParts = img.srcset.split(',');
-              let highestQualityUrl = '';
-              let highestWidth = 0;
-              
-              srcsetParts.forEach(part => {
-                const [url, width] = part.trim().split(' ');
-                const numWidth = parseInt(width);
-                if (numWidth > highestWidth) {
-                  highestWidth = numWidth;
-                  highestQualityUrl = url;
-                }
-              });
-              
-              if (highestQualityUrl) {
-                resources.push({
-                  url: highestQualityUrl,
-                  type: 'image',
-                  quality: 'HD',
-                  width: highestWidth,
-                  height: Math.round(highestWidth * (img.height / img.width)),
-                  source: 'dom'
-                });
-              }
-            }
-          });
-          
-          document.querySelectorAll('video').forEach(video => {
-            if (video.src) {
-              resources.push({
-                url: video.src,
-                type: 'video',
-                quality: 'HD',
-                width: video.videoWidth,
-                height: video.videoHeight,
-                source: 'dom'
-              });
-            }
-          });
-          
-          return resources;
-        }
-      }
-    };
-    
-    return customDetectors[hostname] || null;
-  }
-  
   /**
    * 检测页面中的资源
    * @param {Document} document - 网页文档对象
@@ -308,14 +192,7 @@ class DetectionService {
    */
   detectResources(document, url, options = {}) {
     try {
-      const resources = [];
-      const hostname = new URL(url).hostname;
-      
-      const customDetector = this.getCustomDetector(hostname);
-      if (customDetector) {
-        const customResources = customDetector.detect(document);
-        resources.push(...customResources);
-      }
+      const resources = this.extractorRegistry.extractFromDocument(document, url);
       
       const strategy = options.strategy || 
                       this.analyzePageContent(document, url);
@@ -7,8 +7,14 @@
  */
 
 import { DEFAULT_DOWNLOAD_SETTINGS, FILENAME_FORMATS } from '../config/settings.js';
-import FileUtils from '../utils/file-utils.js';
+import { MESSAGE_ACTIONS, RESOURCE_TYPES } from '../config/constants.js';
+import FilenameTemplate from '../utils/filename-template.js';
 import URLUtils from '../utils/url-utils.js';
+import HLSService from './hls-service.js';
+import DASHService from './dash-service.js';
+import ChunkedDownloadService from './chunked-download-service.js';
+import contentHashService, { ContentHashService } from './content-hash-service.js';
+import { STRIP_MODES } from '../utils/metadata-stripper.js';
 
 /**
  * 下载管理服务
@@ -24,6 +30,14 @@ class DownloadService {
     this.downloadHistory = [];
     this.settings = DEFAULT_DOWNLOAD_SETTINGS;
     this.isProcessingQueue = false;
+    // 弹出窗口只读取流媒体清单，分片由后台交给离屏文档下载
+    this.hlsService = new HLSService();
+    this.dashService = new DASHService();
+    this.chunkedDownloadService = new ChunkedDownloadService({
+      minSize: this.settings.chunkedDownloadThreshold * 1024 * 1024
+    });
+    this.zipExportCallbacks = new Map();
+    this.contentHashService = contentHashService;
     this.listeners = {
       onProgress: [],
       onComplete: [],
@@ -32,6 +46,14 @@ class DownloadService {
     };
     
     this._loadDownloadHistory();
+    
+    if (chrome.runtime && chrome.runtime.onMessage) {
+      chrome.runtime.onMessage.addListener(this._handleBackgroundMessage.bind(this));
+    }
+    
+    if (chrome.downloads && chrome.downloads.onChanged) {
+      chrome.downloads.onChanged.addListener(this._handleDownloadChanged.bind(this));
+    }
   }
   
   /**
@@ -62,6 +84,57 @@ class DownloadService {
     return downloadId;
   }
   
+  /**
+   * 下载资源（添加到下载队列）
+   * @param {Object} resource - 资源对象
+   * @param {Object} options - 下载选项
+   * @param {Object|string} [options.variant] - HLS流的变体或DASH流的视频表示选择
+   * @param {Object|string|boolean} [options.audio] - DASH流的音频表示选择，false表示不下载音频
+   * @param {boolean} [options.allowDuplicate] - 内容此前已下载过时仍然下载
+   * @param {string} [options.stripMetadata] - 图片保存前移除的元数据（STRIP_MODES），不指定时使用设置
+   * @returns {Promise<string>} - 下载ID；内容已下载过时拒绝，错误的duplicate属性为已下载记录
+   */
+  async download(resource, options = {}) {
+    if (!resource || !resource.url) {
+      throw new Error('无效的资源');
+    }
+    
+    if (!options.allowDuplicate) {
+      const duplicate = await this.contentHashService.findDuplicate(resource);
+      
+      if (duplicate) {
+        const error = new Error(ContentHashService.describe(duplicate));
+        error.duplicate = duplicate;
+        throw error;
+      }
+    }
+    
+    return this.addToQueue(resource, options);
+  }
+  
+  /**
+   * 获取流媒体资源的可用视频和音频表示，并记录到资源对象的representations上
+   * HLS流的变体作为视频表示返回，其音频已包含在变体中
+   * @param {Object} resource - 资源对象
+   * @returns {Promise<Object>} - { video, audio }，均按码率降序排列
+   */
+  async getStreamRepresentations(resource) {
+    let representations = { video: [], audio: [] };
+    
+    if (this._isDASHResource(resource)) {
+      const { video, audio } = await this.dashService.getRepresentations(resource.url);
+      representations = { video, audio };
+    } else if (this._isHLSResource(resource)) {
+      const { variants } = await this.hlsService.getVariants(resource.url);
+      representations = { video: variants, audio: [] };
+    } else {
+      return representations;
+    }
+    
+    resource.representations = representations;
+    return representations;
+  }
+  
   /**
    * 批量添加资源到下载队列
    * @param {Array} resources - 资源数组
@@ -83,6 +156,50 @@ class DownloadService {
     return downloadIds;
   }
   
+  /**
+   * 将资源打包为ZIP下载，由后台在离屏文档中下载并生成单个归档文件
+   * @param {Array} resources - 资源数组
+   * @param {Object} [options] - 打包选项
+   * @param {string} [options.pageUrl] - 来源页面URL
+   * @param {string} [options.pageTitle] - 来源页面标题
+   * @param {Function} [options.onProgress] - 进度回调 ({ completed, failed, total, bytes })
+   * @returns {Promise<Object>} - { downloadId, filename, entryCount, failedCount }
+   */
+  async downloadAsZip(resources, options = {}) {
+    if (!resources || !Array.isArray(resources) || resources.length === 0) {
+      throw new Error('没有可打包的资源');
+    }
+    
+    const exportId = `zip_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    
+    if (typeof options.onProgress === 'function') {
+      this.zipExportCallbacks.set(exportId, options.onProgress);
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.EXPORT_RESOURCES_ZIP,
+        exportId: exportId,
+        resources: resources,
+        pageUrl: options.pageUrl,
+        pageTitle: options.pageTitle
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : 'ZIP打包失败');
+      }
+      
+      return {
+        downloadId: response.downloadId,
+        filename: response.filename,
+        entryCount: response.entryCount,
+        failedCount: response.failedCount
+      };
+    } finally {
+      this.zipExportCallbacks.delete(exportId);
+    }
+  }
+  
   /**
    * 处理下载队列
    */
@@ -92,7 +209,9 @@ class DownloadService {
     this.isProcessingQueue = true;
     
     const processNext = () => {
-      const activeCount = Object.keys(this.activeDownloads).length;
+      // 已暂停的后台分块下载不占用并发名额
+      const activeCount = Object.values(this.activeDownloads)
+        .filter(activeDownload => activeDownload.item.status !== 'paused').length;
       
       if (activeCount >= this.settings.maxConcurrentDownloads) {
         setTimeout(processNext, 500);
@@ -127,6 +246,39 @@ class DownloadService {
     downloadItem.status = 'downloading';
     downloadItem.startTime = Date.now();
     
+    if (this._isMSEResource(resource)) {
+      this._startMSEDownload(downloadItem);
+      return;
+    }
+    
+    if (this._isStreamResource(resource)) {
+      this._startStreamDownload(downloadItem);
+      return;
+    }
+    
+    if (this._mayUseChunks(resource, options)) {
+      this._startChunkedDownload(downloadItem);
+      return;
+    }
+    
+    this._startDirectDownload(downloadItem);
+  }
+  
+  /**
+   * 不分块下载资源：设置了速度限制或需要移除图片元数据时先读取数据，否则直接交给chrome.downloads
+   * @param {Object} downloadItem - 下载项
+   * @private
+   */
+  _startDirectDownload(downloadItem) {
+    const { resource, options, id } = downloadItem;
+    
+    const speedLimited = this.settings.downloadSpeedLimit > 0 || this.settings.perDownloadSpeedLimit > 0 || options.speedLimit > 0;
+    
+    if (speedLimited || this._getMetadataStripMode(resource, options) !== STRIP_MODES.NONE) {
+      this._startThrottledDownload(downloadItem);
+      return;
+    }
+    
     const filename = this._generateFilename(resource, options);
     
     const downloadOptions = {
@@ -166,6 +318,512 @@ class DownloadService {
     });
   }
   
+  /**
+   * 开始下载流媒体：交给后台由离屏文档下载并合并所有分片后保存，关闭弹出窗口后下载仍会继续
+   * HLS流保存为单个文件，DASH流的视频和音频分别保存为独立文件
+   * @param {Object} downloadItem - 下载项
+   * @private
+   */
+  _startStreamDownload(downloadItem) {
+    const { resource, options } = downloadItem;
+    const isDASH = this._isDASHResource(resource);
+    
+    this._startBackgroundDownload(downloadItem, 'isStream', {
+      stream: {
+        type: isDASH ? 'dash' : 'hls',
+        variant: options.variant || resource.selectedVariant,
+        audio: options.audio !== undefined ? options.audio : resource.selectedAudio
+      }
+    }, {
+      streamType: isDASH ? 'dash' : 'hls'
+    });
+  }
+  
+  /**
+   * 限速下载：chrome.downloads无法限速，交给后台由离屏文档按令牌桶读取数据后再保存，所有限速传输共享同一个全局限速
+   * 需要移除图片元数据时也走这里，由离屏文档在保存前重写文件；关闭弹出窗口后下载仍会继续
+   * @param {Object} downloadItem - 下载项
+   * @private
+   */
+  _startThrottledDownload(downloadItem) {
+    const { resource, options } = downloadItem;
+    
+    this._startBackgroundDownload(downloadItem, 'isThrottled', {
+      stripMetadata: this._getMetadataStripMode(resource, options),
+      speedLimit: options.speedLimit
+    }, {
+      speedLimited: true
+    });
+  }
+  
+  /**
+   * 把下载项交给后台下载队列，之后通过后台消息同步进度和结果
+   * @param {Object} downloadItem - 下载项
+   * @param {string} flag - 活动下载项上标记下载方式的属性（isThrottled、isStream）
+   * @param {Object} request - 附加到下载请求中的选项
+   * @param {Object} historyFields - 附加到下载历史中的信息
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _startBackgroundDownload(downloadItem, flag, request, historyFields) {
+    const { resource, options, id } = downloadItem;
+    const filename = this._generateFilename(resource, options);
+    
+    this.activeDownloads[id] = {
+      chromeDownloadId: null,
+      item: downloadItem,
+      progress: 0,
+      bytesReceived: 0,
+      totalBytes: 0,
+      filename: filename,
+      [flag]: true,
+      backgroundId: null
+    };
+    
+    this._triggerEvent('onQueueChange', this.downloadQueue);
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.DOWNLOAD_RESOURCE,
+        resource: resource,
+        filename: filename,
+        allowDuplicate: true,
+        ...request
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '后台下载失败');
+      }
+      
+      const activeDownload = this.activeDownloads[id];
+      if (!activeDownload) {
+        chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.CANCEL_DOWNLOAD, id: response.queueItem.id });
+        return;
+      }
+      
+      activeDownload.backgroundId = response.queueItem.id;
+      
+      this._addToHistory({
+        id: id,
+        url: resource.url,
+        filename: filename,
+        startTime: downloadItem.startTime,
+        status: 'in_progress',
+        type: resource.type,
+        size: resource.size,
+        ...historyFields
+      });
+      
+      this._triggerEvent('onQueueChange', this.downloadQueue);
+    } catch (e) {
+      console.error('后台下载失败:', e);
+      this._handleDownloadError(id, e.message);
+    }
+  }
+  
+  /**
+   * 获取图片保存前需要移除的元数据，只对能重写的http(s)、blob和data图片生效
+   * @param {Object} resource - 资源对象
+   * @param {Object} options - 下载选项
+   * @returns {string} - 移除方式（STRIP_MODES）
+   * @private
+   */
+  _getMetadataStripMode(resource, options = {}) {
+    if (resource.type !== RESOURCE_TYPES.IMAGE || !/^(https?|blob|data):/i.test(resource.url)) {
+      return STRIP_MODES.NONE;
+    }
+    
+    const mode = options.stripMetadata || this.settings.stripImageMetadata;
+    
+    return mode === STRIP_MODES.GPS || mode === STRIP_MODES.ALL ? mode : STRIP_MODES.NONE;
+  }
+  
+  /**
+   * 是否需要探测Range支持以决定使用分块下载
+   * @param {Object} resource - 资源对象
+   * @param {Object} options - 下载选项
+   * @returns {boolean} - 是否探测
+   * @private
+   */
+  _mayUseChunks(resource, options = {}) {
+    if (!this.settings.enableChunkedDownload || options.saveAs) return false;
+    if (!/^https?:/i.test(resource.url) || resource.type === RESOURCE_TYPES.IMAGE) return false;
+    
+    return !resource.size || resource.size >= this.chunkedDownloadService.minSize;
+  }
+  
+  /**
+   * 分块下载：支持Range请求的大文件交给后台下载，分块保存在IndexedDB中，关闭弹出窗口或重启浏览器后仍可继续
+   * @param {Object} downloadItem - 下载项
+   * @private
+   */
+  async _startChunkedDownload(downloadItem) {
+    const { resource, options, id } = downloadItem;
+    const filename = this._generateFilename(resource, options);
+    
+    this.activeDownloads[id] = {
+      chromeDownloadId: null,
+      item: downloadItem,
+      progress: 0,
+      bytesReceived: 0,
+      totalBytes: 0,
+      filename: filename,
+      isChunked: true,
+      backgroundId: null,
+      chunks: []
+    };
+    
+    try {
+      const probeResult = await this.chunkedDownloadService.probe(resource.url).catch(() => null);
+      
+      if (!this.activeDownloads[id]) return;
+      
+      if (!this.chunkedDownloadService.shouldUseChunks(probeResult)) {
+        delete this.activeDownloads[id];
+        this._startDirectDownload(downloadItem);
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({
+        action: MESSAGE_ACTIONS.DOWNLOAD_RESOURCE,
+        resource: resource,
+        filename: filename,
+        chunked: true,
+        probe: probeResult,
+        allowDuplicate: true
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '后台下载失败');
+      }
+      
+      const activeDownload = this.activeDownloads[id];
+      if (!activeDownload) {
+        chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.CANCEL_DOWNLOAD, id: response.queueItem.id });
+        return;
+      }
+      
+      activeDownload.backgroundId = response.queueItem.id;
+      activeDownload.totalBytes = probeResult.totalBytes;
+      
+      this._addToHistory({
+        id: id,
+        url: resource.url,
+        filename: filename,
+        startTime: downloadItem.startTime,
+        status: 'in_progress',
+        type: resource.type,
+        size: probeResult.totalBytes,
+        chunked: true
+      });
+      
+      this._triggerEvent('onQueueChange', this.downloadQueue);
+    } catch (e) {
+      console.error('分块下载失败:', e);
+      this._handleDownloadError(id, e.message);
+    }
+  }
+  
+  /**
+   * 从后台同步分块、限速和流媒体下载任务，重新打开弹出窗口后继续显示进度
+   * @returns {Promise<void>}
+   */
+  async syncBackgroundDownloads() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.GET_DOWNLOAD_QUEUE });
+      if (!response || !response.success) return;
+      
+      response.queue.filter(queueItem => queueItem.chunked || queueItem.speedLimited || queueItem.stream).forEach(queueItem => {
+        if (this._findBackgroundDownload(queueItem.id)) return;
+        
+        const downloadItem = {
+          id: queueItem.id,
+          resource: queueItem.resource || { url: queueItem.url },
+          options: {},
+          status: 'downloading',
+          timestamp: Date.now(),
+          startTime: Date.now()
+        };
+        
+        this.downloadQueue.push(downloadItem);
+        this.activeDownloads[queueItem.id] = {
+          chromeDownloadId: null,
+          item: downloadItem,
+          progress: 0,
+          bytesReceived: 0,
+          totalBytes: 0,
+          filename: queueItem.fixedFilename || queueItem.suggestedFilename,
+          isChunked: !queueItem.speedLimited && !queueItem.stream,
+          isThrottled: !!queueItem.speedLimited,
+          isStream: !!queueItem.stream,
+          backgroundId: queueItem.id,
+          chunks: []
+        };
+        
+        this._updateBackgroundProgress(queueItem.id, queueItem);
+      });
+      
+      this._triggerEvent('onQueueChange', this.downloadQueue);
+    } catch (e) {
+      console.warn('同步后台下载任务失败:', e);
+    }
+  }
+  
+  /**
+   * 处理后台下载处理程序发来的下载状态消息
+   * @param {Object} message - 消息对象
+   * @private
+   */
+  _handleBackgroundMessage(message) {
+    if (message && message.action === MESSAGE_ACTIONS.ZIP_EXPORT_PROGRESS) {
+      const callback = this.zipExportCallbacks.get(message.exportId);
+      if (callback) {
+        callback({ completed: message.completed, failed: message.failed, total: message.total, bytes: message.bytes });
+      }
+      return;
+    }
+    
+    if (!message || !message.queueItem) return;
+    
+    const id = this._findBackgroundDownload(message.queueItem.id);
+    if (!id) return;
+    
+    switch (message.action) {
+      case 'downloadStarted':
+      case 'downloadProgress':
+        this._updateBackgroundProgress(id, message.queueItem);
+        break;
+        
+      case 'downloadComplete':
+        this._completeBackgroundDownload(id, message.queueItem);
+        break;
+        
+      case 'downloadFailed':
+        this._handleDownloadError(id, message.queueItem.error || '下载失败');
+        break;
+        
+      case 'downloadCancelled': {
+        const downloadItem = this.activeDownloads[id].item;
+        downloadItem.status = 'cancelled';
+        this._updateHistoryItem(id, { status: 'cancelled', endTime: Date.now() });
+        delete this.activeDownloads[id];
+        this._triggerEvent('onQueueChange', this.downloadQueue);
+        break;
+      }
+    }
+  }
+  
+  /**
+   * 是否为交给后台下载队列的下载（分块、限速、流媒体）
+   * @param {Object} [activeDownload] - 活动下载项
+   * @returns {boolean} - 是否由后台下载
+   * @private
+   */
+  _isBackgroundDownload(activeDownload) {
+    return !!(activeDownload && (activeDownload.isChunked || activeDownload.isThrottled || activeDownload.isStream));
+  }
+  
+  /**
+   * 查找后台下载项对应的本地下载ID
+   * @param {string} backgroundId - 后台下载队列项ID
+   * @returns {string|undefined} - 本地下载ID
+   * @private
+   */
+  _findBackgroundDownload(backgroundId) {
+    return Object.keys(this.activeDownloads).find(id => this.activeDownloads[id].backgroundId === backgroundId);
+  }
+  
+  /**
+   * 用后台下载项更新本地进度并触发进度事件
+   * @param {string} id - 本地下载ID
+   * @param {Object} queueItem - 后台下载队列项
+   * @private
+   */
+  _updateBackgroundProgress(id, queueItem) {
+    const activeDownload = this.activeDownloads[id];
+    const previousStatus = activeDownload.item.status;
+    
+    activeDownload.bytesReceived = queueItem.bytesReceived || 0;
+    activeDownload.totalBytes = queueItem.totalBytes || activeDownload.totalBytes;
+    activeDownload.chunks = queueItem.chunks || [];
+    activeDownload.error = queueItem.error || null;
+    activeDownload.progress = activeDownload.totalBytes > 0 ?
+      Math.round((activeDownload.bytesReceived / activeDownload.totalBytes) * 100) : (queueItem.progress || 0);
+    activeDownload.item.status = queueItem.state === 'paused' ? 'paused' :
+      (queueItem.state === 'queued' ? 'queued' : 'downloading');
+    
+    this._triggerEvent('onProgress', {
+      id: id,
+      progress: activeDownload.progress,
+      bytesReceived: activeDownload.bytesReceived,
+      totalBytes: activeDownload.totalBytes,
+      filename: activeDownload.filename,
+      chunks: activeDownload.chunks,
+      completedSegments: queueItem.completedSegments,
+      totalSegments: queueItem.totalSegments,
+      status: activeDownload.item.status,
+      error: activeDownload.error
+    });
+    
+    if (previousStatus !== activeDownload.item.status) {
+      this._triggerEvent('onQueueChange', this.downloadQueue);
+    }
+  }
+  
+  /**
+   * 完成后台分块下载
+   * @param {string} id - 本地下载ID
+   * @param {Object} queueItem - 后台下载队列项
+   * @private
+   */
+  _completeBackgroundDownload(id, queueItem) {
+    const downloadItem = this.activeDownloads[id].item;
+    
+    downloadItem.status = 'complete';
+    downloadItem.endTime = Date.now();
+    
+    this._updateHistoryItem(id, {
+      status: 'complete',
+      endTime: Date.now(),
+      fileSize: queueItem.fileSize,
+      filename: queueItem.filename,
+      metadataStripped: queueItem.metadataStripped || null,
+      ...(queueItem.files ? {
+        files: queueItem.files,
+        segmentCount: queueItem.segmentCount,
+        variant: queueItem.variantLabel
+      } : {})
+    });
+    
+    this._triggerEvent('onComplete', {
+      id: id,
+      item: downloadItem,
+      filename: queueItem.filename,
+      fileSize: queueItem.fileSize
+    });
+    
+    delete this.activeDownloads[id];
+    
+    this._triggerEvent('onQueueChange', this.downloadQueue);
+  }
+  
+  /**
+   * 保存MSE捕获的blob:媒体流：数据只存在于页面中，由当前标签页的内容脚本生成文件
+   * @param {Object} downloadItem - 下载项
+   * @private
+   */
+  async _startMSEDownload(downloadItem) {
+    const { resource, options, id } = downloadItem;
+    
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab) {
+        throw new Error('未找到当前标签页');
+      }
+      
+      const response = await chrome.tabs.sendMessage(tab.id, {
+        action: MESSAGE_ACTIONS.SAVE_MSE_STREAM,
+        id: resource.mse.id,
+        filename: this._removeExtension(this._generateFilename(resource, options))
+      });
+      
+      if (!response || !response.success) {
+        throw new Error(response && response.error ? response.error : '保存MSE流失败');
+      }
+      
+      const totalBytes = response.files.reduce((sum, file) => sum + file.bytes, 0);
+      
+      downloadItem.status = 'complete';
+      downloadItem.endTime = Date.now();
+      
+      this._addToHistory({
+        id: id,
+        url: resource.url,
+        filename: response.files[0].filename,
+        startTime: downloadItem.startTime,
+        endTime: downloadItem.endTime,
+        status: 'complete',
+        type: resource.type,
+        size: totalBytes,
+        streamType: 'mse',
+        files: response.files.map(file => file.filename)
+      });
+      
+      this._triggerEvent('onComplete', {
+        id: id,
+        item: downloadItem,
+        filename: response.files[0].filename,
+        fileSize: totalBytes
+      });
+      
+      this._triggerEvent('onQueueChange', this.downloadQueue);
+    } catch (e) {
+      console.error('MSE流保存失败:', e);
+      this._handleDownloadError(id, e.message);
+    }
+  }
+  
+  /**
+   * 判断资源是否为需要分片下载的流媒体
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否为HLS或DASH流
+   * @private
+   */
+  _isStreamResource(resource) {
+    return this._isHLSResource(resource) || this._isDASHResource(resource);
+  }
+  
+  /**
+   * 判断资源是否为MSE捕获的媒体流
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否为MSE流
+   * @private
+   */
+  _isMSEResource(resource) {
+    return !!(resource && resource.streamType === 'mse' && resource.mse);
+  }
+  
+  /**
+   * 判断资源是否为HLS流
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否为HLS流
+   * @private
+   */
+  _isHLSResource(resource) {
+    if (!resource || !resource.url) return false;
+    
+    if (resource.isStream && resource.streamType === 'hls') return true;
+    
+    return URLUtils.getFileExtension(resource.url) === 'm3u8';
+  }
+  
+  /**
+   * 判断资源是否为DASH流
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否为DASH流
+   * @private
+   */
+  _isDASHResource(resource) {
+    if (!resource || !resource.url) return false;
+    
+    if (resource.isStream && resource.streamType === 'dash') return true;
+    
+    return URLUtils.getFileExtension(resource.url) === 'mpd';
+  }
+  
+  /**
+   * 移除文件扩展名
+   * @param {string} filename - 文件名
+   * @returns {string} - 不含扩展名的文件名
+   * @private
+   */
+  _removeExtension(filename) {
+    const lastSlash = filename.lastIndexOf('/');
+    const lastDot = filename.lastIndexOf('.');
+    
+    return lastDot > lastSlash ? filename.substring(0, lastDot) : filename;
+  }
+  
   /**
    * 处理下载错误
    * @param {string} downloadId - 下载ID
@@ -238,19 +896,45 @@ class DownloadService {
     });
   }
   
+  /**
+   * 处理chrome.downloads状态变化，完成时更新对应的下载项
+   * @param {Object} downloadDelta - 下载变化信息
+   * @private
+   */
+  _handleDownloadChanged(downloadDelta) {
+    if (!downloadDelta.state || downloadDelta.state.current !== 'complete') return;
+    
+    chrome.downloads.search({ id: downloadDelta.id }, (items) => {
+      if (items && items[0]) {
+        this.completeDownload(downloadDelta.id, items[0]);
+      }
+    });
+  }
+  
   /**
    * 完成下载
    * @param {number} chromeDownloadId - Chrome下载ID
    * @param {Object} downloadItem - 下载项信息
    */
   completeDownload(chromeDownloadId, downloadItem) {
-    const downloadId = Object.keys(this.activeDownloads).find(
-      id => this.activeDownloads[id].chromeDownloadId === chromeDownloadId
-    );
+    const downloadId = Object.keys(this.activeDownloads).find(id => {
+      const activeDownload = this.activeDownloads[id];
+      return activeDownload.chromeDownloadId === chromeDownloadId ||
+        (activeDownload.tracks || []).some(track => track.chromeDownloadId === chromeDownloadId);
+    });
     
     if (!downloadId) return;
     
     const activeDownload = this.activeDownloads[downloadId];
+    
+    // 分轨保存的流媒体需等待所有文件完成
+    if (activeDownload.tracks && activeDownload.tracks.length > 1) {
+      const track = activeDownload.tracks.find(t => t.chromeDownloadId === chromeDownloadId);
+      if (track) track.complete = true;
+      
+      if (activeDownload.tracks.some(t => !t.complete)) return;
+    }
+    
     const queueItem = this.downloadQueue.find(item => item.id === downloadId);
     
     if (queueItem) {
@@ -271,12 +955,78 @@ class DownloadService {
         fileSize: downloadItem.fileSize
       });
       
+      (activeDownload.tracks || []).forEach(track => {
+        URL.revokeObjectURL(track.objectUrl);
+      });
+      
+      this._recordContentHash(downloadId, queueItem.resource, activeDownload, downloadItem);
+      
       delete this.activeDownloads[downloadId];
       
       this._triggerEvent('onQueueChange', this.downloadQueue);
     }
   }
   
+  /**
+   * 记录已完成下载的内容哈希，并在历史记录中标记此前是否下载过相同内容
+   * 由chrome.downloads直接下载的文件扩展没有持有数据，只有大小已知且较小时才重新获取（通常命中浏览器缓存）后计算哈希
+   * @param {string} downloadId - 下载ID
+   * @param {Object} resource - 资源对象
+   * @param {Object} activeDownload - 活动下载项
+   * @param {Object} downloadItem - Chrome下载项信息
+   * @private
+   */
+  async _recordContentHash(downloadId, resource, activeDownload, downloadItem) {
+    const tracks = activeDownload.tracks && activeDownload.tracks.length > 0
+      ? activeDownload.tracks
+      : [{ filename: downloadItem.filename || activeDownload.filename, size: downloadItem.fileSize }];
+    let contentHash = null;
+    let duplicateOf = null;
+    
+    try {
+      for (const track of tracks) {
+        let hash = track.contentHash;
+        let size = track.size;
+        
+        if (!hash) {
+          if (!ContentHashService.canRefetch(track.size)) continue;
+          
+          const result = await this.contentHashService.hashUrl(resource.url);
+          if (!result) continue;
+          
+          hash = result.hash;
+          size = result.size;
+        }
+        
+        const { previous } = await this.contentHashService.recordDownload({
+          hash: hash,
+          url: resource.url,
+          pageUrl: resource.pageUrl,
+          filename: track.filename,
+          size: size,
+          mimeType: resource.contentType || resource.mimeType
+        });
+        
+        contentHash = contentHash || hash;
+        
+        if (previous && !duplicateOf) {
+          duplicateOf = {
+            filename: previous.filename,
+            downloadedAt: previous.downloadedAt,
+            url: previous.url
+          };
+        }
+      }
+    } catch (e) {
+      console.warn('记录内容哈希失败:', e);
+    }
+    
+    if (contentHash) {
+      resource.contentHash = contentHash;
+      this._updateHistoryItem(downloadId, { contentHash, duplicateOf });
+    }
+  }
+  
   /**
    * 取消下载
    * @param {string} downloadId - 下载ID
@@ -285,6 +1035,18 @@ class DownloadService {
   cancelDownload(downloadId) {
     const activeDownload = this.activeDownloads[downloadId];
     
+    if (this._isBackgroundDownload(activeDownload)) {
+      if (activeDownload.backgroundId) {
+        chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.CANCEL_DOWNLOAD, id: activeDownload.backgroundId });
+      } else {
+        // 仍在探测或提交，后台任务创建后会被取消
+        activeDownload.item.status = 'cancelled';
+        delete this.activeDownloads[downloadId];
+        this._triggerEvent('onQueueChange', this.downloadQueue);
+      }
+      return true;
+    }
+    
     if (!activeDownload) {
       const queueIndex = this.downloadQueue.findIndex(item => item.id === downloadId && item.status === 'queued');
       
@@ -333,6 +1095,13 @@ class DownloadService {
     
     if (!activeDownload) return false;
     
+    if (this._isBackgroundDownload(activeDownload)) {
+      if (!activeDownload.backgroundId) return false;
+      
+      chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.PAUSE_DOWNLOAD, id: activeDownload.backgroundId });
+      return true;
+    }
+    
     chrome.downloads.pause(activeDownload.chromeDownloadId, () => {
       if (chrome.runtime.lastError) {
         console.error('暂停下载失败:', chrome.runtime.lastError);
@@ -360,6 +1129,13 @@ class DownloadService {
    * @returns {boolean} - 是否成功恢复
    */
   resumeDownload(downloadId) {
+    const activeDownload = this.activeDownloads[downloadId];
+    
+    if (this._isBackgroundDownload(activeDownload) && activeDownload.backgroundId) {
+      chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.RESUME_DOWNLOAD, id: activeDownload.backgroundId });
+      return true;
+    }
+    
     const historyItem = this.downloadHistory.find(item => item.id === downloadId);
     
     if (!historyItem || historyItem.status !== 'interrupted') return false;
@@ -434,6 +1210,10 @@ class DownloadService {
    */
   updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
+    
+    this.chunkedDownloadService.configure({
+      minSize: this.settings.chunkedDownloadThreshold * 1024 * 1024
+    });
   }
   
   /**
@@ -484,16 +1264,23 @@ class DownloadService {
    * @private
    */
   _generateFilename(resource, options = {}) {
-    const filenameFormat = options.filenameFormat || FILENAME_FORMATS.ORIGINAL;
-    const customFormat = options.customFormat || '{site}_{type}_{timestamp}';
-    const siteName = options.siteName || 'site';
+    const filenameFormat = options.filenameFormat || this.settings.filenameFormat || FILENAME_FORMATS.ORIGINAL;
+    const customFormat = options.customFormat || this.settings.customFormat;
     const downloadPath = options.downloadPath || this.settings.defaultPath || '';
     
-    return FileUtils.generateSmartFilename(resource, {
-      format: filenameFormat === FILENAME_FORMATS.CUSTOM ? customFormat : filenameFormat,
-      siteName: siteName,
-      downloadPath: downloadPath
+    const context = FilenameTemplate.createContext(resource, {
+      pageUrl: options.pageUrl,
+      pageTitle: options.pageTitle,
+      index: options.index
     });
+    
+    if (options.siteName) {
+      context.site = options.siteName;
+    }
+    
+    const filename = FilenameTemplate.render(FilenameTemplate.getTemplate(filenameFormat, customFormat), context);
+    
+    return downloadPath ? `${downloadPath}/${filename}` : filename;
   }
   
   /**
@@ -6,6 +6,9 @@
  * @copyright © 2025 Resource Sniffer
  */
 
+import BKTree from '../utils/bk-tree.js';
+import PerceptualHash, { IDENTICAL_DISTANCE, SIMILAR_DISTANCE } from '../utils/perceptual-hash.js';
+
 /**
  * 资源指纹服务
  * @class FingerprintService
@@ -17,6 +20,7 @@ class FingerprintService {
   constructor() {
     this.fingerprints = new Map();
     this.similarityThreshold = 0.85; // 相似度阈值
+    this.perceptualIndex = new BKTree(PerceptualHash.hammingDistance);
   }
   
   /**
@@ -106,10 +110,18 @@ class FingerprintService {
     const fingerprint = this.calculateFingerprint(resource);
     
     if (fingerprint) {
+      const perceptualHash = this._getPerceptualHash(resource);
+      const existing = this.fingerprints.get(fingerprint);
+      
       this.fingerprints.set(fingerprint, {
         resource: resource,
+        perceptualHash: perceptualHash,
         timestamp: Date.now()
       });
+      
+      if (perceptualHash && !(existing && existing.perceptualHash)) {
+        this.perceptualIndex.add(perceptualHash.phash, fingerprint);
+      }
     }
     
     return fingerprint;
@@ -142,6 +154,7 @@ class FingerprintService {
       return {
         isDuplicate: false,
         isSimilar: true,
+        isVisuallyIdentical: similarResource.isVisuallyIdentical || false,
         similarity: similarResource.similarity,
         originalResource: similarResource.resource,
         fingerprint: fingerprint
@@ -153,6 +166,7 @@ class FingerprintService {
   
   /**
    * 查找相似资源
+   * 有感知哈希时先按图片内容查找（不同CDN或不同尺寸的同一张图片），否则比较URL和尺寸
    * @private
    * @param {Object} resource - 资源对象
    * @returns {Object|null} 相似资源信息或null
@@ -163,6 +177,11 @@ class FingerprintService {
         return null;
       }
       
+      const visualMatch = this.findVisuallySimilarResource(resource);
+      if (visualMatch) {
+        return visualMatch;
+      }
+      
       const urlObj = new URL(resource.url);
       const hostname = urlObj.hostname.toLowerCase();
       const path = urlObj.pathname;
@@ -222,6 +241,59 @@ class FingerprintService {
     }
   }
   
+  /**
+   * 按感知哈希查找内容相似的资源
+   * @param {Object} resource - 带perceptualHash的资源对象
+   * @param {number} [maxDistance] - pHash最大汉明距离
+   * @returns {Object|null} 相似资源信息 { resource, similarity, distance, isVisuallyIdentical } 或null
+   */
+  findVisuallySimilarResource(resource, maxDistance = SIMILAR_DISTANCE) {
+    const perceptualHash = this._getPerceptualHash(resource);
+    if (!perceptualHash || this.perceptualIndex.size === 0) {
+      return null;
+    }
+    
+    const match = this.perceptualIndex.search(perceptualHash.phash, maxDistance)
+      .map(result => ({ ...result, entry: this.fingerprints.get(result.value) }))
+      .find(result => result.entry && result.entry.resource.url !== resource.url);
+    
+    if (!match) {
+      return null;
+    }
+    
+    return {
+      resource: match.entry.resource,
+      similarity: PerceptualHash.similarity(match.distance),
+      distance: match.distance,
+      isVisuallyIdentical: match.distance <= IDENTICAL_DISTANCE
+    };
+  }
+  
+  /**
+   * 获取资源上有效的感知哈希
+   * @private
+   * @param {Object} resource - 资源对象
+   * @returns {Object|null} { dhash, phash }
+   */
+  _getPerceptualHash(resource) {
+    const hash = resource && resource.perceptualHash;
+    return hash && typeof hash.phash === 'string' && hash.phash.length === 16 ? hash : null;
+  }
+  
+  /**
+   * 重建感知哈希索引（BK树不支持删除）
+   * @private
+   */
+  _rebuildPerceptualIndex() {
+    this.perceptualIndex.clear();
+    
+    this.fingerprints.forEach((entry, fingerprint) => {
+      if (entry.perceptualHash) {
+        this.perceptualIndex.add(entry.perceptualHash.phash, fingerprint);
+      }
+    });
+  }
+  
   /**
    * 计算字符串相似度 (Levenshtein距离的归一化版本)
    * @private
@@ -267,6 +339,7 @@ class FingerprintService {
   getStats() {
     return {
       totalFingerprints: this.fingerprints.size,
+      perceptualHashes: this.perceptualIndex.size,
       timestamp: Date.now()
     };
   }
@@ -283,6 +356,8 @@ class FingerprintService {
         this.fingerprints.delete(fingerprint);
       }
     });
+    
+    this._rebuildPerceptualIndex();
   }
   
   /**
@@ -290,6 +365,7 @@ class FingerprintService {
    */
   reset() {
     this.fingerprints.clear();
+    this.perceptualIndex.clear();
   }
 }
 
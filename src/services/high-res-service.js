@@ -0,0 +1,136 @@
+/**
+ * @file high-res-service.js
+ * @description 高清版本查找服务，用HighResRewriter生成候选地址，逐个发送HEAD请求确认可访问，选出最大的版本
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import HighResRewriter from '../utils/high-res-rewriter.js';
+import protocolAdapterService from './protocol-adapter.js';
+import cacheService from './cache-service.js';
+
+/**
+ * 最多验证的候选数量
+ * @type {number}
+ */
+export const MAX_VERIFIED_CANDIDATES = 8;
+
+/**
+ * 同时发送的HEAD请求数
+ * @type {number}
+ * @private
+ */
+const VERIFY_CONCURRENCY = 3;
+
+/**
+ * 高清版本查找服务类
+ * @class HighResService
+ */
+class HighResService {
+  /**
+   * 创建高清版本查找服务实例
+   * @param {Object} [options] - 配置选项
+   * @param {Object} [options.protocolAdapter] - 提供getResourceInfo(url)的协议适配器服务
+   * @param {number} [options.maxCandidates=MAX_VERIFIED_CANDIDATES] - 最多验证的候选数量
+   */
+  constructor(options = {}) {
+    this.protocolAdapter = options.protocolAdapter || protocolAdapterService;
+    this.maxCandidates = options.maxCandidates || MAX_VERIFIED_CANDIDATES;
+    this.resultCache = cacheService.getCache('high_res_versions', 200);
+  }
+
+  /**
+   * 查找资源的高清版本
+   * 候选和原图的大小都已知时，只返回比原图大的候选；大小未知时返回第一个可访问的候选
+   * @param {string} url - 资源URL
+   * @returns {Promise<Object|null>} - { url, rule, size, contentType, originalUrl, originalSize, checked }，没有可用的高清版本时返回null
+   */
+  async findBestVersion(url) {
+    const cacheKey = `high_res_${url}`;
+    if (this.resultCache.has(cacheKey)) {
+      return this.resultCache.get(cacheKey);
+    }
+
+    const candidates = HighResRewriter.getCandidates(url, { limit: this.maxCandidates });
+    if (candidates.length === 0) return null;
+
+    const [original, ...infos] = await this._verify([url].concat(candidates.map(candidate => candidate.url)));
+    const originalSize = original.available ? original.size || 0 : 0;
+
+    let best = null;
+
+    candidates.forEach((candidate, index) => {
+      const info = infos[index];
+      if (!this._isUsable(info)) return;
+
+      const size = info.size || 0;
+      if (!best || size > best.size) {
+        best = { ...candidate, size: size, contentType: info.contentType || '' };
+      }
+    });
+
+    const result = best && (!best.size || !originalSize || best.size > originalSize) ? {
+      ...best,
+      originalUrl: url,
+      originalSize: originalSize,
+      checked: candidates.length
+    } : null;
+
+    this.resultCache.put(cacheKey, result);
+
+    return result;
+  }
+
+  /**
+   * 按并发限制获取所有地址的资源信息
+   * @param {Array<string>} urls - 地址列表
+   * @returns {Promise<Array<Object>>} - 与urls顺序一致的资源信息
+   * @private
+   */
+  async _verify(urls) {
+    const results = new Array(urls.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < urls.length) {
+        const index = next++;
+
+        try {
+          results[index] = await this.protocolAdapter.getResourceInfo(urls[index]);
+        } catch (e) {
+          results[index] = { url: urls[index], available: false, error: e.message };
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(VERIFY_CONCURRENCY, urls.length) }, worker));
+
+    return results;
+  }
+
+  /**
+   * 候选是否可用：可访问，且不是缩放服务出错时返回的网页
+   * @param {Object} info - 资源信息
+   * @returns {boolean} - 是否可用
+   * @private
+   */
+  _isUsable(info) {
+    if (!info || !info.available) return false;
+
+    const contentType = (info.contentType || '').toLowerCase();
+    return !contentType || contentType.startsWith('image/') || contentType.startsWith('application/octet-stream');
+  }
+
+  /**
+   * 清除查找结果缓存
+   */
+  clearCache() {
+    this.resultCache.clear();
+  }
+}
+
+const highResService = new HighResService();
+
+export { HighResService };
+export default highResService;
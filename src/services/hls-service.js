@@ -0,0 +1,317 @@
+/**
+ * @file hls-service.js
+ * @description HLS流媒体下载服务，负责解析播放列表、下载分片、解密并合并为单个媒体文件
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import M3U8Parser from '../utils/m3u8-parser.js';
+import SegmentFetcher from '../utils/segment-fetcher.js';
+
+/**
+ * HLS下载服务
+ * @class HLSService
+ */
+class HLSService {
+  /**
+   * 创建HLS下载服务实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.concurrency=4] - 分片并发下载数
+   * @param {number} [options.maxRetries=3] - 单个分片最大重试次数
+   * @param {number} [options.retryDelay=1000] - 首次重试延迟（毫秒），之后指数递增
+   */
+  constructor(options = {}) {
+    this.fetcher = new SegmentFetcher(options);
+    this.keyCache = new Map();
+  }
+
+  /**
+   * 更新分片下载配置
+   * @param {Object} options - 配置选项，同构造函数
+   */
+  configure(options = {}) {
+    this.fetcher.configure(options);
+  }
+
+  /**
+   * 获取HLS流的可用变体
+   * @param {string} url - 播放列表URL
+   * @returns {Promise<Object>} { isMaster, variants, media }
+   */
+  async getVariants(url) {
+    const text = await this._fetchText(url);
+
+    if (!M3U8Parser.isMasterPlaylist(text)) {
+      return {
+        isMaster: false,
+        variants: [{
+          url: url,
+          bandwidth: 0,
+          averageBandwidth: 0,
+          width: 0,
+          height: 0,
+          resolution: '',
+          codecs: [],
+          frameRate: 0,
+          audioGroup: null,
+          label: 'default'
+        }],
+        media: []
+      };
+    }
+
+    const { variants, media } = M3U8Parser.parseMasterPlaylist(text, url);
+
+    return { isMaster: true, variants, media };
+  }
+
+  /**
+   * 选择变体
+   * @param {Array} variants - 按码率降序排列的变体数组
+   * @param {Object|string} [preference] - 变体对象、变体URL、'best'或'worst'
+   * @returns {Object|null} 选中的变体
+   */
+  selectVariant(variants, preference) {
+    if (!variants || variants.length === 0) return null;
+
+    if (preference && typeof preference === 'object' && preference.url) {
+      return variants.find(v => v.url === preference.url) || preference;
+    }
+
+    if (preference === 'worst') {
+      return variants[variants.length - 1];
+    }
+
+    if (typeof preference === 'string' && preference !== 'best') {
+      return variants.find(v => v.url === preference) || variants[0];
+    }
+
+    return variants[0];
+  }
+
+  /**
+   * 加载媒体播放列表（如果是主播放列表则先选择变体）
+   * @param {string} url - 播放列表URL
+   * @param {Object|string} [variant] - 变体偏好
+   * @returns {Promise<Object>} { playlist, variant }
+   */
+  async loadMediaPlaylist(url, variant) {
+    let playlistUrl = url;
+    let text = await this._fetchText(playlistUrl);
+    let selected = null;
+
+    if (M3U8Parser.isMasterPlaylist(text)) {
+      const { variants } = M3U8Parser.parseMasterPlaylist(text, playlistUrl);
+      selected = this.selectVariant(variants, variant);
+
+      if (!selected) {
+        throw new Error('主播放列表中没有可用的变体');
+      }
+
+      playlistUrl = selected.url;
+      text = await this._fetchText(playlistUrl);
+    }
+
+    const playlist = M3U8Parser.parseMediaPlaylist(text, playlistUrl);
+
+    if (playlist.segments.length === 0) {
+      throw new Error('媒体播放列表中没有分片');
+    }
+
+    return { playlist, variant: selected };
+  }
+
+  /**
+   * 下载HLS流并合并为单个文件
+   * @param {string} url - 播放列表URL
+   * @param {Object} options - 下载选项
+   * @param {Object|string} [options.variant] - 变体偏好
+   * @param {Function} [options.onProgress] - 进度回调
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object>} { blob, mimeType, extension, segmentCount, totalBytes, duration, variant, isLive }
+   */
+  async downloadStream(url, options = {}) {
+    const { onProgress, signal } = options;
+    const { playlist, variant } = await this.loadMediaPlaylist(url, options.variant);
+    const segments = playlist.segments;
+    const buffers = new Array(segments.length);
+    let completedSegments = 0;
+    let bytesReceived = 0;
+
+    this._reportProgress(onProgress, completedSegments, segments.length, bytesReceived);
+
+    await this.fetcher.runWithConcurrency(segments, async (segment, index, segmentSignal) => {
+      this.fetcher.checkAborted(segmentSignal);
+
+      const data = await this._fetchSegment(segment, segmentSignal);
+      buffers[index] = data;
+
+      completedSegments++;
+      bytesReceived += data.byteLength;
+      this._reportProgress(onProgress, completedSegments, segments.length, bytesReceived);
+    }, signal);
+
+    const parts = await this._assembleParts(segments, buffers, signal);
+    const isFragmentedMP4 = this._isFragmentedMP4(playlist);
+    const mimeType = isFragmentedMP4 ? 'video/mp4' : 'video/mp2t';
+
+    return {
+      blob: new Blob(parts, { type: mimeType }),
+      mimeType: mimeType,
+      extension: isFragmentedMP4 ? 'mp4' : 'ts',
+      segmentCount: segments.length,
+      totalBytes: parts.reduce((sum, part) => sum + part.byteLength, 0),
+      duration: playlist.totalDuration,
+      variant: variant,
+      isLive: !playlist.endList
+    };
+  }
+
+  /**
+   * 按播放顺序组装分片，在初始化分片变化时插入对应的EXT-X-MAP数据
+   * @param {Array} segments - 分片数组
+   * @param {Array<ArrayBuffer>} buffers - 分片数据
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Array<ArrayBuffer>>} 有序的数据块
+   * @private
+   */
+  async _assembleParts(segments, buffers, signal) {
+    const parts = [];
+    const mapCache = new Map();
+    let lastMapKey = null;
+
+    for (let i = 0; i < segments.length; i++) {
+      const map = segments[i].map;
+
+      if (map) {
+        const mapKey = this._getRangeKey(map.url, map.byteRange);
+
+        if (mapKey !== lastMapKey) {
+          if (!mapCache.has(mapKey)) {
+            this.fetcher.checkAborted(signal);
+            mapCache.set(mapKey, await this.fetcher.fetchBuffer(map.url, map.byteRange, signal));
+          }
+          parts.push(mapCache.get(mapKey));
+          lastMapKey = mapKey;
+        }
+      }
+
+      parts.push(buffers[i]);
+    }
+
+    return parts;
+  }
+
+  /**
+   * 下载单个分片，必要时解密
+   * @param {Object} segment - 分片对象
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<ArrayBuffer>} 分片数据
+   * @private
+   */
+  async _fetchSegment(segment, signal) {
+    const data = await this.fetcher.fetchBuffer(segment.url, segment.byteRange, signal);
+
+    if (!segment.key) {
+      return data;
+    }
+
+    if (segment.key.method !== 'AES-128') {
+      throw new Error(`不支持的加密方式: ${segment.key.method}`);
+    }
+
+    const iv = segment.key.iv || M3U8Parser.createSequenceIV(segment.sequence);
+    const cryptoKey = await this._getDecryptionKey(segment.key.url, signal);
+
+    return crypto.subtle.decrypt({ name: 'AES-CBC', iv: iv }, cryptoKey, data);
+  }
+
+  /**
+   * 获取并缓存AES-128解密密钥
+   * @param {string} keyUrl - 密钥URL
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<CryptoKey>} 解密密钥
+   * @private
+   */
+  async _getDecryptionKey(keyUrl, signal) {
+    if (!keyUrl) {
+      throw new Error('AES-128加密分片缺少密钥URI');
+    }
+
+    if (!this.keyCache.has(keyUrl)) {
+      const keyPromise = this.fetcher.fetchBuffer(keyUrl, null, signal)
+        .then(raw => crypto.subtle.importKey('raw', raw, { name: 'AES-CBC' }, false, ['decrypt']));
+
+      keyPromise.catch(() => this.keyCache.delete(keyUrl));
+      this.keyCache.set(keyUrl, keyPromise);
+    }
+
+    return this.keyCache.get(keyUrl);
+  }
+
+  /**
+   * 获取播放列表文本
+   * @param {string} url - 播放列表URL
+   * @returns {Promise<string>} 播放列表文本
+   * @private
+   */
+  async _fetchText(url) {
+    const text = await this.fetcher.fetchText(url);
+
+    if (!M3U8Parser.isPlaylist(text)) {
+      throw new Error('响应内容不是有效的M3U8播放列表');
+    }
+
+    return text;
+  }
+
+  /**
+   * 判断播放列表是否为fMP4分片
+   * @param {Object} playlist - 媒体播放列表
+   * @returns {boolean} 是否为fMP4
+   * @private
+   */
+  _isFragmentedMP4(playlist) {
+    if (playlist.initSegment) return true;
+
+    const firstUrl = playlist.segments[0].url.split('?')[0].toLowerCase();
+    return firstUrl.endsWith('.m4s') || firstUrl.endsWith('.mp4');
+  }
+
+  /**
+   * 生成URL和字节范围的缓存键
+   * @param {string} url - URL
+   * @param {Object|null} byteRange - 字节范围
+   * @returns {string} 缓存键
+   * @private
+   */
+  _getRangeKey(url, byteRange) {
+    return byteRange ? `${url}@${byteRange.offset}-${byteRange.length}` : url;
+  }
+
+  /**
+   * 报告进度
+   * @param {Function} onProgress - 进度回调
+   * @param {number} completed - 已完成分片数
+   * @param {number} total - 分片总数
+   * @param {number} bytesReceived - 已接收字节数
+   * @private
+   */
+  _reportProgress(onProgress, completed, total, bytesReceived) {
+    if (typeof onProgress !== 'function') return;
+
+    try {
+      onProgress({
+        completedSegments: completed,
+        totalSegments: total,
+        bytesReceived: bytesReceived,
+        progress: total > 0 ? Math.round((completed / total) * 100) : 0
+      });
+    } catch (e) {
+      console.warn('HLS进度回调错误:', e);
+    }
+  }
+}
+
+export default HLSService;
@@ -0,0 +1,196 @@
+/**
+ * @file image-hash-service.js
+ * @description 图片感知哈希服务，管理哈希Worker并缓存每个图片URL的dHash/pHash
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 每批发送给Worker的URL数量，与Worker同时处理的图片数量一致
+ * @type {number}
+ * @private
+ */
+const BATCH_SIZE = 4;
+
+/**
+ * 单张图片的下载超时时间（毫秒），由Worker中止超时的请求
+ * @type {number}
+ * @private
+ */
+const IMAGE_TIMEOUT = 10000;
+
+/**
+ * 单批请求的超时时间（毫秒），Worker没有按时返回时视为整批失败
+ * @type {number}
+ * @private
+ */
+const BATCH_TIMEOUT = IMAGE_TIMEOUT * 2;
+
+/**
+ * 图片感知哈希服务类
+ * @class ImageHashService
+ */
+class ImageHashService {
+  /**
+   * 创建图片感知哈希服务实例
+   * @param {Function} [createWorker] - 创建哈希Worker的工厂函数，默认加载 workers/image-hasher.js
+   */
+  constructor(createWorker) {
+    this.createWorker = createWorker || (() => new Worker(
+      chrome.runtime.getURL('src/workers/image-hasher.js'),
+      { type: 'module' }
+    ));
+    this.worker = null;
+    this.cache = new Map();
+    this.pendingRequests = new Map();
+    this.nextRequestId = 1;
+  }
+
+  /**
+   * 当前环境是否支持在Worker中计算哈希
+   * @returns {boolean} - 是否支持
+   */
+  isSupported() {
+    return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+  }
+
+  /**
+   * 获取已缓存的哈希
+   * @param {string} url - 图片URL
+   * @returns {Object|null} - { dhash, phash }
+   */
+  getCachedHash(url) {
+    return this.cache.get(url) || null;
+  }
+
+  /**
+   * 计算资源的感知哈希，并写入资源的perceptualHash字段
+   * URL按批发送给Worker，每批的结果立即缓存；计算失败或超时的URL会被记住，不会重复请求
+   * @param {Array<Object>} resources - 图片资源数组
+   * @returns {Promise<number>} - 新获得哈希的资源数量
+   */
+  async hashResources(resources) {
+    const pending = (resources || []).filter(resource =>
+      resource && resource.url && !resource.perceptualHash && /^https?:/i.test(resource.url)
+    );
+
+    const urls = [...new Set(pending.map(resource => resource.url))].filter(url => !this.cache.has(url));
+
+    if (urls.length > 0 && this.isSupported()) {
+      for (let i = 0; i < urls.length; i += BATCH_SIZE) {
+        await this._hashBatch(urls.slice(i, i + BATCH_SIZE));
+      }
+    }
+
+    let hashed = 0;
+    pending.forEach(resource => {
+      const hash = this.cache.get(resource.url);
+      if (hash) {
+        resource.perceptualHash = hash;
+        hashed++;
+      }
+    });
+
+    return hashed;
+  }
+
+  /**
+   * 终止Worker并清空缓存
+   */
+  dispose() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    this.pendingRequests.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(new Error('图片哈希服务已关闭'));
+    });
+    this.pendingRequests.clear();
+    this.cache.clear();
+  }
+
+  /**
+   * 计算一批URL的哈希并写入缓存，失败的URL缓存为null
+   * 整批超时时重建Worker，避免卡住的请求拖慢后面的批次
+   * @param {Array<string>} urls - 图片URL
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _hashBatch(urls) {
+    let results = [];
+
+    try {
+      results = await this._request(urls);
+    } catch (e) {
+      console.warn('计算图片感知哈希错误:', e);
+
+      if (this.worker) {
+        this.worker.terminate();
+        this.worker = null;
+      }
+    }
+
+    const hashes = new Map(results
+      .filter(result => result.phash)
+      .map(result => [result.url, { dhash: result.dhash, phash: result.phash }]));
+
+    urls.forEach(url => this.cache.set(url, hashes.get(url) || null));
+  }
+
+  /**
+   * 向Worker发送一批URL
+   * @param {Array<string>} urls - 图片URL
+   * @returns {Promise<Array>} - [{ url, dhash, phash, error }]
+   * @private
+   */
+  _request(urls) {
+    const worker = this._getWorker();
+    const requestId = this.nextRequestId++;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(requestId);
+        reject(new Error('计算图片哈希超时'));
+      }, BATCH_TIMEOUT);
+
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+      worker.postMessage({ action: 'hashImages', requestId, urls, timeout: IMAGE_TIMEOUT });
+    });
+  }
+
+  /**
+   * 获取（必要时创建）哈希Worker
+   * @returns {Worker} - Worker实例
+   * @private
+   */
+  _getWorker() {
+    if (!this.worker) {
+      this.worker = this.createWorker();
+
+      this.worker.onmessage = (e) => {
+        const { action, requestId, results } = e.data || {};
+        const request = this.pendingRequests.get(requestId);
+
+        if (action !== 'hashComplete' || !request) return;
+
+        clearTimeout(request.timer);
+        this.pendingRequests.delete(requestId);
+        request.resolve(results || []);
+      };
+
+      this.worker.onerror = (e) => {
+        console.warn('图片哈希Worker错误:', e.message || e);
+      };
+    }
+
+    return this.worker;
+  }
+}
+
+const imageHashService = new ImageHashService();
+
+export { ImageHashService };
+export default imageHashService;
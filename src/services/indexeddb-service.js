@@ -8,6 +8,13 @@
 
 import { compress, decompress } from '../utils/compression-utils.js';
 
+/**
+ * 升级前保存的日志批次没有记录包含的级别和类别，在levels/categories索引中用此值标记，按级别或类别查询时总会读取
+ * @type {string}
+ * @private
+ */
+const UNINDEXED_BATCH = '*';
+
 /**
  * IndexedDB数据库服务
  * @class IndexedDBService
@@ -18,12 +25,17 @@ class IndexedDBService {
    */
   constructor() {
     this.DB_NAME = 'resource_sniffer_db';
-    this.DB_VERSION = 1;
+    this.DB_VERSION = 6;
     this.STORES = {
       LOGS: 'logs',
       METRICS: 'performance_metrics',
       DOWNLOAD_HISTORY: 'download_history',
-      LOG_ANALYSIS: 'log_analysis'
+      LOG_ANALYSIS: 'log_analysis',
+      DOWNLOAD_TASKS: 'download_tasks',
+      DOWNLOAD_CHUNKS: 'download_chunks',
+      CONTENT_HASHES: 'content_hashes',
+      LIBRARY: 'resource_library',
+      REMOTE_LOG_QUEUE: 'remote_log_queue'
     };
     this.db = null;
     this.ready = this._initDatabase();
@@ -59,6 +71,22 @@ class IndexedDBService {
           logStore.createIndex('category', 'category', { unique: false });
           logStore.createIndex('batchId', 'batchId', { unique: false });
         }
+        
+        const logStore = event.target.transaction.objectStore(this.STORES.LOGS);
+        if (!logStore.indexNames.contains('levels')) {
+          logStore.createIndex('levels', 'levels', { unique: false, multiEntry: true });
+          logStore.createIndex('categories', 'categories', { unique: false, multiEntry: true });
+          
+          logStore.openCursor().onsuccess = (cursorEvent) => {
+            const cursor = cursorEvent.target.result;
+            if (!cursor) return;
+            
+            if (!cursor.value.levels) {
+              cursor.update({ ...cursor.value, levels: [UNINDEXED_BATCH], categories: [UNINDEXED_BATCH] });
+            }
+            cursor.continue();
+          };
+        }
 
         if (!db.objectStoreNames.contains(this.STORES.METRICS)) {
           const metricsStore = db.createObjectStore(this.STORES.METRICS, { keyPath: 'id' });
@@ -80,6 +108,35 @@ class IndexedDBService {
           analysisStore.createIndex('type', 'type', { unique: false });
           analysisStore.createIndex('severity', 'severity', { unique: false });
         }
+        
+        if (!db.objectStoreNames.contains(this.STORES.DOWNLOAD_TASKS)) {
+          const taskStore = db.createObjectStore(this.STORES.DOWNLOAD_TASKS, { keyPath: 'id' });
+          taskStore.createIndex('status', 'status', { unique: false });
+          taskStore.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(this.STORES.DOWNLOAD_CHUNKS)) {
+          const chunkStore = db.createObjectStore(this.STORES.DOWNLOAD_CHUNKS, { keyPath: ['taskId', 'index'] });
+          chunkStore.createIndex('taskId', 'taskId', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(this.STORES.CONTENT_HASHES)) {
+          const hashStore = db.createObjectStore(this.STORES.CONTENT_HASHES, { keyPath: 'hash' });
+          hashStore.createIndex('urls', 'urls', { unique: false, multiEntry: true });
+          hashStore.createIndex('downloadedAt', 'downloadedAt', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(this.STORES.LIBRARY)) {
+          const libraryStore = db.createObjectStore(this.STORES.LIBRARY, { keyPath: 'id' });
+          libraryStore.createIndex('url', 'url', { unique: true });
+          libraryStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+          libraryStore.createIndex('domain', 'domain', { unique: false });
+          libraryStore.createIndex('savedAt', 'savedAt', { unique: false });
+        }
+        
+        if (!db.objectStoreNames.contains(this.STORES.REMOTE_LOG_QUEUE)) {
+          db.createObjectStore(this.STORES.REMOTE_LOG_QUEUE, { keyPath: 'id', autoIncrement: true });
+        }
       };
     });
   }
@@ -101,7 +158,10 @@ class IndexedDBService {
       const batchData = {
         id: batchId,
         timestamp: Date.now(),
+        startTime: logs.reduce((min, log) => Math.min(min, log.timestamp), Date.now()),
         count: logs.length,
+        levels: Array.from(new Set(logs.map(log => log.level))),
+        categories: Array.from(new Set(logs.map(log => log.category))),
         compressedData: compressedData,
         batchId: batchId
       };
@@ -168,6 +228,80 @@ class IndexedDBService {
     });
   }
 
+  /**
+   * 按日志查询读取历史日志，按查询中的类别、级别或起始时间选择索引，只解压可能包含匹配日志的批次
+   * @param {LogQuery} query - 日志查询（见utils/log-query.js）
+   * @param {Object} [options] - 选项
+   * @param {number} [options.limit] - 最大条数
+   * @returns {Promise<Array>} - 按时间倒序的日志数组
+   */
+  async queryLogs(query, options = {}) {
+    await this.ready;
+    
+    const plan = query.getIndexPlan();
+    const batches = await this._getLogBatches(plan);
+    const results = [];
+    
+    for (const batch of batches) {
+      // 批次在其中最后一条日志之后保存，startTime为其中最早的日志时间（升级前的批次没有）
+      if (plan.startTime !== null && batch.timestamp < plan.startTime) continue;
+      if (plan.endTime !== null && batch.startTime !== undefined && batch.startTime >= plan.endTime) continue;
+      
+      try {
+        const logs = JSON.parse(await decompress(batch.compressedData));
+        results.push(...logs.filter(log => query.matches(log)));
+      } catch (error) {
+        console.error('解压日志失败:', error);
+      }
+    }
+    
+    results.sort((a, b) => b.timestamp - a.timestamp);
+    
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * 按查询计划通过索引读取日志批次
+   * @private
+   * @param {Object} plan - LogQuery.getIndexPlan()的结果
+   * @returns {Promise<Array>} - 日志批次数组
+   */
+  _getLogBatches(plan) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LOGS], 'readonly');
+      const store = transaction.objectStore(this.STORES.LOGS);
+      const requests = [];
+      
+      if (plan.categories !== null) {
+        const index = store.index('categories');
+        plan.categories.concat(UNINDEXED_BATCH).forEach(category => {
+          requests.push(index.getAll(IDBKeyRange.only(category)));
+        });
+      } else if (plan.minLevel !== null && plan.minLevel > 0) {
+        const index = store.index('levels');
+        const maxLevel = plan.maxLevel !== null ? plan.maxLevel : Number.MAX_SAFE_INTEGER;
+        if (maxLevel >= plan.minLevel) {
+          requests.push(index.getAll(IDBKeyRange.bound(plan.minLevel, maxLevel)));
+        }
+        requests.push(index.getAll(IDBKeyRange.only(UNINDEXED_BATCH)));
+      } else if (plan.startTime !== null) {
+        requests.push(store.index('timestamp').getAll(IDBKeyRange.lowerBound(plan.startTime)));
+      } else {
+        requests.push(store.getAll());
+      }
+      
+      transaction.oncomplete = () => {
+        // 多值索引的范围查询会多次返回同一批次
+        const batches = new Map();
+        requests.forEach(request => {
+          (request.result || []).forEach(batch => batches.set(batch.id, batch));
+        });
+        resolve(Array.from(batches.values()));
+      };
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
   /**
    * 清除过期日志
    * @param {number} maxAge - 最大保留天数
@@ -326,6 +460,353 @@ class IndexedDBService {
     });
   }
   
+  /**
+   * 保存分块下载任务状态
+   * @param {Object} task - 下载任务
+   * @returns {Promise<string>} - 任务ID
+   */
+  async saveDownloadTask(task) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_TASKS], 'readwrite');
+      const store = transaction.objectStore(this.STORES.DOWNLOAD_TASKS);
+      
+      const request = store.put({ ...task, updatedAt: Date.now() });
+      
+      request.onsuccess = () => resolve(task.id);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 获取分块下载任务
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Object|null>} - 下载任务
+   */
+  async getDownloadTask(taskId) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_TASKS], 'readonly');
+      const store = transaction.objectStore(this.STORES.DOWNLOAD_TASKS);
+      
+      const request = store.get(taskId);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 获取所有分块下载任务
+   * @returns {Promise<Array>} - 下载任务数组
+   */
+  async getDownloadTasks() {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_TASKS], 'readonly');
+      const store = transaction.objectStore(this.STORES.DOWNLOAD_TASKS);
+      
+      const request = store.getAll();
+      
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 删除分块下载任务及其所有分块数据
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<void>}
+   */
+  async deleteDownloadTask(taskId) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_TASKS, this.STORES.DOWNLOAD_CHUNKS], 'readwrite');
+      
+      transaction.objectStore(this.STORES.DOWNLOAD_TASKS).delete(taskId);
+      transaction.objectStore(this.STORES.DOWNLOAD_CHUNKS)
+        .delete(IDBKeyRange.bound([taskId, 0], [taskId, Infinity]));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 保存下载分块数据
+   * @param {string} taskId - 任务ID
+   * @param {number} index - 分块序号
+   * @param {ArrayBuffer} data - 分块数据
+   * @returns {Promise<void>}
+   */
+  async saveDownloadChunk(taskId, index, data) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_CHUNKS], 'readwrite');
+      const store = transaction.objectStore(this.STORES.DOWNLOAD_CHUNKS);
+      
+      store.put({ taskId: taskId, index: index, data: data });
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 按序号顺序获取任务的所有分块数据
+   * @param {string} taskId - 任务ID
+   * @returns {Promise<Array<ArrayBuffer>>} - 分块数据
+   */
+  async getDownloadChunks(taskId) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.DOWNLOAD_CHUNKS], 'readonly');
+      const store = transaction.objectStore(this.STORES.DOWNLOAD_CHUNKS);
+      
+      const request = store.getAll(IDBKeyRange.bound([taskId, 0], [taskId, Infinity]));
+      
+      request.onsuccess = () => resolve((request.result || []).map(chunk => chunk.data));
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 保存已下载内容的哈希记录
+   * @param {Object} record - 内容哈希记录（以hash为键）
+   * @returns {Promise<string>} - 内容哈希
+   */
+  async saveContentHash(record) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.CONTENT_HASHES], 'readwrite');
+      const store = transaction.objectStore(this.STORES.CONTENT_HASHES);
+      
+      const request = store.put(record);
+      
+      request.onsuccess = () => resolve(record.hash);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 按内容哈希获取记录
+   * @param {string} hash - 内容SHA-256
+   * @returns {Promise<Object|null>} - 内容哈希记录
+   */
+  async getContentHash(hash) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.CONTENT_HASHES], 'readonly');
+      const store = transaction.objectStore(this.STORES.CONTENT_HASHES);
+      
+      const request = store.get(hash);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 获取曾从指定URL下载的内容哈希记录
+   * @param {string} url - 资源URL
+   * @returns {Promise<Array>} - 内容哈希记录数组
+   */
+  async getContentHashesByUrl(url) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.CONTENT_HASHES], 'readonly');
+      const store = transaction.objectStore(this.STORES.CONTENT_HASHES);
+      
+      const request = store.index('urls').getAll(IDBKeyRange.only(url));
+      
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 保存资源库条目
+   * @param {Object} item - 资源库条目（以id为键，url唯一）
+   * @returns {Promise<string>} - 条目ID
+   */
+  async saveLibraryItem(item) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LIBRARY], 'readwrite');
+      const store = transaction.objectStore(this.STORES.LIBRARY);
+      
+      const request = store.put(item);
+      
+      request.onsuccess = () => resolve(item.id);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 按ID获取资源库条目
+   * @param {string} id - 条目ID
+   * @returns {Promise<Object|null>} - 资源库条目
+   */
+  async getLibraryItem(id) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LIBRARY], 'readonly');
+      const store = transaction.objectStore(this.STORES.LIBRARY);
+      
+      const request = store.get(id);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 按资源URL获取资源库条目
+   * @param {string} url - 资源URL
+   * @returns {Promise<Object|null>} - 资源库条目
+   */
+  async getLibraryItemByUrl(url) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LIBRARY], 'readonly');
+      const store = transaction.objectStore(this.STORES.LIBRARY);
+      
+      const request = store.index('url').get(url);
+      
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 获取资源库条目，指定标签时只读取带该标签的条目
+   * @param {string} [tag] - 标签
+   * @returns {Promise<Array>} - 资源库条目数组
+   */
+  async getLibraryItems(tag) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LIBRARY], 'readonly');
+      const store = transaction.objectStore(this.STORES.LIBRARY);
+      
+      const request = tag ? store.index('tags').getAll(IDBKeyRange.only(tag)) : store.getAll();
+      
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 删除资源库条目
+   * @param {string} id - 条目ID
+   * @returns {Promise<void>}
+   */
+  async deleteLibraryItem(id) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.LIBRARY], 'readwrite');
+      const store = transaction.objectStore(this.STORES.LIBRARY);
+      
+      const request = store.delete(id);
+      
+      request.onsuccess = () => resolve();
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 把日志加入远程日志发送队列，键自增，按加入顺序排列
+   * @param {Array<Object>} entries - 队列条目 { log, bytes, createdAt }
+   * @returns {Promise<Array<number>>} - 条目ID数组
+   */
+  async addRemoteLogEntries(entries) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.REMOTE_LOG_QUEUE], 'readwrite');
+      const store = transaction.objectStore(this.STORES.REMOTE_LOG_QUEUE);
+      const ids = [];
+      
+      entries.forEach((entry, index) => {
+        const request = store.add(entry);
+        request.onsuccess = () => { ids[index] = request.result; };
+      });
+      
+      transaction.oncomplete = () => resolve(ids);
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 按加入顺序获取远程日志发送队列中的条目
+   * @param {number} [limit] - 最大条数，不指定时返回全部
+   * @returns {Promise<Array<Object>>} - 队列条目数组
+   */
+  async getRemoteLogEntries(limit) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.REMOTE_LOG_QUEUE], 'readonly');
+      const store = transaction.objectStore(this.STORES.REMOTE_LOG_QUEUE);
+      
+      const request = store.getAll(null, limit);
+      
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 从远程日志发送队列中删除条目
+   * @param {Array<number>} ids - 条目ID数组
+   * @returns {Promise<void>}
+   */
+  async deleteRemoteLogEntries(ids) {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.REMOTE_LOG_QUEUE], 'readwrite');
+      const store = transaction.objectStore(this.STORES.REMOTE_LOG_QUEUE);
+      
+      ids.forEach(id => store.delete(id));
+      
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = (event) => reject(event.target.error);
+    });
+  }
+
+  /**
+   * 清空远程日志发送队列
+   * @returns {Promise<void>}
+   */
+  async clearRemoteLogEntries() {
+    await this.ready;
+    
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([this.STORES.REMOTE_LOG_QUEUE], 'readwrite');
+      const store = transaction.objectStore(this.STORES.REMOTE_LOG_QUEUE);
+      
+      const request = store.clear();
+      
+      request.onsuccess = () => resolve();
+      request.onerror = (event) => reject(event.target.error);
+    });
+  }
+
   /**
    * 保存日志分析结果
    * @param {string} type - 分析类型
@@ -0,0 +1,403 @@
+/**
+ * @file library-service.js
+ * @description 资源库服务：把任意页面上的资源持久保存到IndexedDB，支持标签、备注，以及按标签、域名、类型、尺寸、日期和关键词搜索
+ * 资源库不随标签页关闭而清除，弹出窗口和后台直接共用同一个数据库
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import URLUtils from '../utils/url-utils.js';
+
+/**
+ * 单个标签的最大长度
+ * @type {number}
+ */
+export const MAX_TAG_LENGTH = 32;
+
+/**
+ * 备注的最大长度
+ * @type {number}
+ */
+export const MAX_NOTES_LENGTH = 2000;
+
+/**
+ * 从资源对象复制到资源库条目的字段
+ * @type {Array<string>}
+ * @private
+ */
+const RESOURCE_FIELDS = ['type', 'contentType', 'filename', 'size', 'width', 'height', 'duration', 'thumbnailUrl', 'quality'];
+
+/**
+ * 尺寸条件的字段和比较方式，如 width>=1920、height<600
+ * @type {RegExp}
+ * @private
+ */
+const DIMENSION_PATTERN = /^(width|height|w|h)(>=|<=|>|<|=|:)(\d+)$/i;
+
+/**
+ * 资源库服务类
+ * @class LibraryService
+ */
+class LibraryService {
+  /**
+   * 创建资源库服务实例
+   * @param {Function} [getDatabase] - 返回IndexedDB服务的异步函数，默认按需加载indexeddb-service
+   */
+  constructor(getDatabase) {
+    this.getDatabase = getDatabase || (async () => (await import('./indexeddb-service.js')).default);
+  }
+
+  /**
+   * 规范化标签：去掉首尾空白和开头的#，转为小写并去重
+   * @param {Array<string>|string} tags - 标签数组，或以逗号、空格分隔的字符串
+   * @returns {Array<string>} - 标签数组
+   */
+  static normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(/[,，\s]+/);
+
+    return Array.from(new Set(list
+      .map(tag => String(tag || '').trim().replace(/^#+/, '').toLowerCase().slice(0, MAX_TAG_LENGTH))
+      .filter(Boolean)));
+  }
+
+  /**
+   * 解析搜索框中的查询文字
+   * 支持 tag:名称 或 #名称、domain:域名（别名site:）、type:image、width>=1920、height<600、
+   * after:2025-01-01、before:2025-02-01，其余文字（可用双引号包含空格）作为关键词
+   * @param {string} text - 查询文字
+   * @returns {Object} - 查询条件 { terms, tags, domain, type, minWidth, maxWidth, minHeight, maxHeight, from, to }
+   */
+  static parseQuery(text) {
+    const query = { terms: [], tags: [] };
+    const tokens = String(text || '').match(/"[^"]*"|\S+/g) || [];
+
+    tokens.forEach(token => {
+      if (token.startsWith('"')) {
+        const phrase = token.slice(1, -1).trim().toLowerCase();
+        if (phrase) query.terms.push(phrase);
+        return;
+      }
+
+      const dimension = DIMENSION_PATTERN.exec(token);
+      if (dimension) {
+        LibraryService._applyDimension(query, dimension[1].charAt(0).toLowerCase() === 'w' ? 'Width' : 'Height', dimension[2], parseInt(dimension[3], 10));
+        return;
+      }
+
+      const field = /^(tag|domain|site|type|after|before):(.+)$/i.exec(token);
+      if (field) {
+        LibraryService._applyField(query, field[1].toLowerCase(), field[2]);
+        return;
+      }
+
+      if (/^#.+/.test(token)) {
+        query.tags.push(...LibraryService.normalizeTags(token));
+        return;
+      }
+
+      query.terms.push(token.toLowerCase());
+    });
+
+    query.tags = Array.from(new Set(query.tags));
+
+    return query;
+  }
+
+  /**
+   * 条目是否符合查询条件
+   * @param {Object} item - 资源库条目
+   * @param {Object} query - 查询条件（见parseQuery）
+   * @returns {boolean} - 是否符合
+   */
+  static matches(item, query) {
+    if (!item) return false;
+
+    const tags = item.tags || [];
+    if ((query.tags || []).some(tag => !tags.includes(tag))) return false;
+
+    if (query.type && item.type !== query.type) return false;
+
+    if (query.domain) {
+      const domain = query.domain.toLowerCase();
+      const matchesDomain = host => !!host && (host === domain || host.endsWith(`.${domain}`));
+      if (!matchesDomain(item.domain) && !matchesDomain(item.pageDomain)) return false;
+    }
+
+    const width = item.width || 0;
+    const height = item.height || 0;
+    if (query.minWidth && width < query.minWidth) return false;
+    if (query.maxWidth && (!width || width > query.maxWidth)) return false;
+    if (query.minHeight && height < query.minHeight) return false;
+    if (query.maxHeight && (!height || height > query.maxHeight)) return false;
+
+    if (query.from && item.savedAt < query.from) return false;
+    if (query.to && item.savedAt >= query.to) return false;
+
+    const terms = query.terms || [];
+    if (terms.length > 0) {
+      const haystack = [item.url, item.filename, item.pageTitle, item.pageUrl, item.notes, item.domain, tags.join(' ')]
+        .filter(Boolean)
+        .join('\n')
+        .toLowerCase();
+
+      if (terms.some(term => !haystack.includes(term))) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 保存资源到资源库
+   * 已保存过的URL会合并标签，提供备注时替换备注，并补充此前缺少的资源信息
+   * @param {Object} resource - 资源对象
+   * @param {Object} [options] - 选项
+   * @param {Array<string>|string} [options.tags] - 标签
+   * @param {string} [options.notes] - 备注
+   * @param {string} [options.pageUrl] - 来源页面URL
+   * @param {string} [options.pageTitle] - 来源页面标题
+   * @returns {Promise<Object>} - { item, created }
+   */
+  async saveResource(resource, options = {}) {
+    if (!resource || !resource.url) {
+      throw new Error('无效的资源');
+    }
+
+    const db = await this.getDatabase();
+    const previous = await db.getLibraryItemByUrl(resource.url);
+    const now = Date.now();
+    const pageUrl = options.pageUrl || resource.pageUrl || (previous && previous.pageUrl) || null;
+
+    const item = {
+      ...(previous || {
+        id: `lib_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        url: resource.url,
+        savedAt: now
+      }),
+      domain: LibraryService._getHostname(resource.url),
+      pageUrl: pageUrl,
+      pageTitle: options.pageTitle || resource.pageTitle || (previous && previous.pageTitle) || null,
+      pageDomain: LibraryService._getHostname(pageUrl),
+      tags: LibraryService.normalizeTags([...(previous ? previous.tags : []), ...LibraryService.normalizeTags(options.tags)]),
+      notes: options.notes !== undefined ? String(options.notes).slice(0, MAX_NOTES_LENGTH) : (previous ? previous.notes : ''),
+      updatedAt: now
+    };
+
+    RESOURCE_FIELDS.forEach(field => {
+      if (resource[field] !== undefined && resource[field] !== null && resource[field] !== '') {
+        item[field] = resource[field];
+      } else if (item[field] === undefined) {
+        item[field] = null;
+      }
+    });
+
+    if (!item.filename) {
+      item.filename = URLUtils.getFileName(resource.url) || null;
+    }
+
+    await db.saveLibraryItem(item);
+
+    return { item, created: !previous };
+  }
+
+  /**
+   * 修改条目的标签和备注
+   * @param {string} id - 条目ID
+   * @param {Object} changes - 修改内容
+   * @param {Array<string>|string} [changes.tags] - 新标签（替换原有标签）
+   * @param {string} [changes.notes] - 新备注
+   * @returns {Promise<Object>} - 修改后的条目
+   */
+  async updateItem(id, changes = {}) {
+    const db = await this.getDatabase();
+    const previous = await db.getLibraryItem(id);
+
+    if (!previous) {
+      throw new Error('资源库中没有该条目');
+    }
+
+    const item = {
+      ...previous,
+      tags: changes.tags !== undefined ? LibraryService.normalizeTags(changes.tags) : previous.tags,
+      notes: changes.notes !== undefined ? String(changes.notes).slice(0, MAX_NOTES_LENGTH) : previous.notes,
+      updatedAt: Date.now()
+    };
+
+    await db.saveLibraryItem(item);
+
+    return item;
+  }
+
+  /**
+   * 从资源库删除条目
+   * @param {string} id - 条目ID
+   * @returns {Promise<void>}
+   */
+  async removeItem(id) {
+    const db = await this.getDatabase();
+    await db.deleteLibraryItem(id);
+  }
+
+  /**
+   * 按资源URL获取条目
+   * @param {string} url - 资源URL
+   * @returns {Promise<Object|null>} - 资源库条目
+   */
+  async getItemByUrl(url) {
+    const db = await this.getDatabase();
+    return db.getLibraryItemByUrl(url);
+  }
+
+  /**
+   * 搜索资源库，结果按保存时间从新到旧排列
+   * @param {string|Object} [query] - 查询文字或查询条件（见parseQuery）
+   * @param {Object} [options] - 选项
+   * @param {number} [options.limit] - 最多返回的条目数
+   * @returns {Promise<Array>} - 资源库条目数组
+   */
+  async search(query = '', options = {}) {
+    const criteria = typeof query === 'string' ? LibraryService.parseQuery(query) : { terms: [], tags: [], ...query };
+    const db = await this.getDatabase();
+
+    // 有标签条件时先通过标签索引缩小范围，其余条件在内存中过滤
+    const items = await db.getLibraryItems(criteria.tags[0]);
+    const results = items
+      .filter(item => LibraryService.matches(item, criteria))
+      .sort((a, b) => b.savedAt - a.savedAt);
+
+    return options.limit ? results.slice(0, options.limit) : results;
+  }
+
+  /**
+   * 获取所有标签及使用次数，按次数从多到少排列
+   * @returns {Promise<Array<Object>>} - [{ tag, count }]
+   */
+  async getTags() {
+    const db = await this.getDatabase();
+    const counts = new Map();
+
+    (await db.getLibraryItems()).forEach(item => {
+      (item.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * 找出已保存到资源库的URL
+   * @param {Array<string>} urls - 资源URL数组
+   * @returns {Promise<Set<string>>} - 已保存的URL
+   */
+  async findSavedUrls(urls) {
+    const db = await this.getDatabase();
+    const saved = new Set();
+
+    await Promise.all(Array.from(new Set(urls || [])).map(async url => {
+      if (await db.getLibraryItemByUrl(url)) {
+        saved.add(url);
+      }
+    }));
+
+    return saved;
+  }
+
+  /**
+   * 把尺寸条件写入查询
+   * @param {Object} query - 查询条件
+   * @param {string} dimension - Width或Height
+   * @param {string} operator - 比较符
+   * @param {number} value - 像素值
+   * @private
+   */
+  static _applyDimension(query, dimension, operator, value) {
+    switch (operator) {
+      case '>':
+        query[`min${dimension}`] = value + 1;
+        break;
+      case '>=':
+      case ':':
+        query[`min${dimension}`] = value;
+        break;
+      case '<':
+        query[`max${dimension}`] = Math.max(1, value - 1);
+        break;
+      case '<=':
+        query[`max${dimension}`] = value;
+        break;
+      default:
+        query[`min${dimension}`] = value;
+        query[`max${dimension}`] = value;
+    }
+  }
+
+  /**
+   * 把字段条件写入查询
+   * @param {Object} query - 查询条件
+   * @param {string} field - 字段名
+   * @param {string} value - 字段值
+   * @private
+   */
+  static _applyField(query, field, value) {
+    switch (field) {
+      case 'tag':
+        query.tags.push(...LibraryService.normalizeTags(value));
+        break;
+      case 'domain':
+      case 'site':
+        query.domain = value.toLowerCase().replace(/^www\./, '');
+        break;
+      case 'type':
+        query.type = value.toLowerCase();
+        break;
+      case 'after':
+      case 'before': {
+        const date = LibraryService._parseDate(value);
+        if (date === null) {
+          query.terms.push(`${field}:${value}`.toLowerCase());
+        } else if (field === 'after') {
+          query.from = date;
+        } else {
+          query.to = date;
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 解析日期（本地时间当天0点），支持 2025-01-31 和 2025/1/31
+   * @param {string} value - 日期文字
+   * @returns {number|null} - 时间戳，无法解析时返回null
+   * @private
+   */
+  static _parseDate(value) {
+    const match = /^(\d{4})[-/](\d{1,2})(?:[-/](\d{1,2}))?$/.exec(value);
+    if (!match) return null;
+
+    return new Date(parseInt(match[1], 10), parseInt(match[2], 10) - 1, match[3] ? parseInt(match[3], 10) : 1).getTime();
+  }
+
+  /**
+   * 获取URL的主机名（去掉www.）
+   * @param {string} url - URL
+   * @returns {string|null} - 主机名
+   * @private
+   */
+  static _getHostname(url) {
+    if (!url) return null;
+
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '') || null;
+    } catch (e) {
+      return null;
+    }
+  }
+}
+
+const libraryService = new LibraryService();
+
+export { LibraryService };
+export default libraryService;
@@ -0,0 +1,388 @@
+/**
+ * @file log-exporters.js
+ * @description 远程日志导出格式：OTLP/HTTP JSON、NDJSON、RFC 5424 syslog以及旧的{logs, clientInfo}格式，
+ * 负责把日志批次序列化为请求体，并按需gzip压缩
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { LogLevel } from './logging-service.js';
+import { compress, isCompressionSupported } from '../utils/compression-utils.js';
+
+/**
+ * 日志导出格式
+ * @enum {string}
+ */
+export const LOG_EXPORT_FORMATS = {
+  /** 旧格式 { logs, clientInfo } */
+  LEGACY: 'legacy',
+  /** OpenTelemetry OTLP/HTTP JSON */
+  OTLP: 'otlp',
+  /** 每行一个JSON对象 */
+  NDJSON: 'ndjson',
+  /** RFC 5424 syslog，每行一条 */
+  SYSLOG: 'syslog'
+};
+
+/**
+ * 日志级别对应的OTLP严重性
+ * @type {Object.<number, {number: number, text: string}>}
+ */
+export const OTLP_SEVERITY = {
+  [LogLevel.DEBUG]: { number: 5, text: 'DEBUG' },
+  [LogLevel.INFO]: { number: 9, text: 'INFO' },
+  [LogLevel.WARNING]: { number: 13, text: 'WARN' },
+  [LogLevel.ERROR]: { number: 17, text: 'ERROR' }
+};
+
+/**
+ * 日志级别对应的syslog严重性
+ * @type {Object.<number, number>}
+ */
+export const SYSLOG_SEVERITY = {
+  [LogLevel.DEBUG]: 7,
+  [LogLevel.INFO]: 6,
+  [LogLevel.WARNING]: 4,
+  [LogLevel.ERROR]: 3
+};
+
+/**
+ * 服务名称，作为OTLP的service.name和syslog的APP-NAME
+ * @type {string}
+ */
+export const LOG_SERVICE_NAME = 'resource-sniffer';
+
+/**
+ * syslog设施：user-level messages
+ * @type {number}
+ * @private
+ */
+const SYSLOG_FACILITY = 1;
+
+/**
+ * syslog结构化数据ID，32473为RFC 5612保留给文档示例的企业号
+ * @type {string}
+ * @private
+ */
+const SYSLOG_SD_ID = 'meta@32473';
+
+/**
+ * 级别名称
+ * @type {Object.<number, string>}
+ * @private
+ */
+const LEVEL_NAMES = {
+  [LogLevel.DEBUG]: 'debug',
+  [LogLevel.INFO]: 'info',
+  [LogLevel.WARNING]: 'warning',
+  [LogLevel.ERROR]: 'error'
+};
+
+/**
+ * 日志导出器基类
+ * @class LogExporter
+ */
+class LogExporter {
+  /**
+   * 创建日志导出器
+   * @param {Object} [clientInfo] - 客户端信息 { version, userAgent, timestamp }
+   */
+  constructor(clientInfo = {}) {
+    this.clientInfo = clientInfo;
+  }
+
+  /**
+   * 请求体的Content-Type
+   * @returns {string}
+   */
+  get contentType() {
+    return 'application/json';
+  }
+
+  /**
+   * 序列化日志批次
+   * @param {Array<Object>} logs - 日志条目
+   * @returns {string} - 请求体
+   */
+  serialize(logs) {
+    throw new Error('导出器必须实现serialize方法');
+  }
+}
+
+/**
+ * 旧格式导出器：{ logs, clientInfo }
+ * @class LegacyJsonExporter
+ */
+class LegacyJsonExporter extends LogExporter {
+  serialize(logs) {
+    return JSON.stringify({ logs, clientInfo: this.clientInfo });
+  }
+}
+
+/**
+ * OTLP/HTTP JSON导出器，请求体为ExportLogsServiceRequest
+ * 日志类别映射为log.category属性，附加数据映射为log.data属性
+ * @class OtlpJsonExporter
+ */
+class OtlpJsonExporter extends LogExporter {
+  serialize(logs) {
+    const resourceAttributes = [
+      this._attribute('service.name', LOG_SERVICE_NAME),
+      this._attribute('service.version', this.clientInfo.version),
+      this._attribute('user_agent.original', this.clientInfo.userAgent)
+    ].filter(Boolean);
+
+    return JSON.stringify({
+      resourceLogs: [{
+        resource: { attributes: resourceAttributes },
+        scopeLogs: [{
+          scope: { name: LOG_SERVICE_NAME, version: this.clientInfo.version || '' },
+          logRecords: logs.map(log => this._toLogRecord(log))
+        }]
+      }]
+    });
+  }
+
+  /**
+   * 转换为OTLP LogRecord
+   * @param {Object} log - 日志条目
+   * @returns {Object} - LogRecord
+   * @private
+   */
+  _toLogRecord(log) {
+    const severity = OTLP_SEVERITY[log.level] || OTLP_SEVERITY[LogLevel.INFO];
+    const timestamp = `${Math.round(log.timestamp || Date.now())}000000`;
+
+    const attributes = [
+      this._attribute('log.category', log.category),
+      this._attribute('log.id', log.id),
+      log.data !== null && log.data !== undefined ? this._attribute('log.data', log.data) : null
+    ].filter(Boolean);
+
+    return {
+      timeUnixNano: timestamp,
+      observedTimeUnixNano: timestamp,
+      severityNumber: severity.number,
+      severityText: severity.text,
+      body: { stringValue: String(log.message === undefined ? '' : log.message) },
+      attributes
+    };
+  }
+
+  /**
+   * 创建KeyValue属性，值为空时返回null
+   * @param {string} key - 属性名
+   * @param {*} value - 属性值
+   * @returns {Object|null} - KeyValue
+   * @private
+   */
+  _attribute(key, value) {
+    if (value === undefined || value === null || value === '') return null;
+    return { key, value: this._toAnyValue(value) };
+  }
+
+  /**
+   * 转换为OTLP AnyValue，64位整数按OTLP JSON的约定写为字符串
+   * @param {*} value - 值
+   * @param {number} [depth=0] - 当前嵌套深度
+   * @returns {Object} - AnyValue
+   * @private
+   */
+  _toAnyValue(value, depth = 0) {
+    if (value === null || value === undefined) return {};
+    if (typeof value === 'string') return { stringValue: value };
+    if (typeof value === 'boolean') return { boolValue: value };
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+    }
+    if (depth >= 5) return { stringValue: JSON.stringify(value) };
+
+    if (Array.isArray(value)) {
+      return { arrayValue: { values: value.map(item => this._toAnyValue(item, depth + 1)) } };
+    }
+
+    if (typeof value === 'object') {
+      return {
+        kvlistValue: {
+          values: Object.keys(value).map(key => ({ key, value: this._toAnyValue(value[key], depth + 1) }))
+        }
+      };
+    }
+
+    return { stringValue: String(value) };
+  }
+}
+
+/**
+ * NDJSON导出器，每行一个日志对象
+ * @class NdjsonExporter
+ */
+class NdjsonExporter extends LogExporter {
+  get contentType() {
+    return 'application/x-ndjson';
+  }
+
+  serialize(logs) {
+    return logs.map(log => JSON.stringify({
+      timestamp: new Date(log.timestamp || Date.now()).toISOString(),
+      level: LEVEL_NAMES[log.level] || 'info',
+      category: log.category,
+      message: log.message,
+      data: log.data === undefined ? null : log.data,
+      id: log.id,
+      service: LOG_SERVICE_NAME,
+      version: this.clientInfo.version
+    })).join('\n') + '\n';
+  }
+}
+
+/**
+ * RFC 5424 syslog导出器，每行一条消息：
+ * <PRI>1 TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [STRUCTURED-DATA] MSG
+ * @class SyslogExporter
+ */
+class SyslogExporter extends LogExporter {
+  get contentType() {
+    return 'text/plain; charset=utf-8';
+  }
+
+  serialize(logs) {
+    return logs.map(log => this._formatLine(log)).join('\n') + '\n';
+  }
+
+  /**
+   * 格式化一条syslog消息
+   * @param {Object} log - 日志条目
+   * @returns {string} - syslog行
+   * @private
+   */
+  _formatLine(log) {
+    const severity = SYSLOG_SEVERITY[log.level] !== undefined ? SYSLOG_SEVERITY[log.level] : SYSLOG_SEVERITY[LogLevel.INFO];
+    const priority = SYSLOG_FACILITY * 8 + severity;
+    const timestamp = new Date(log.timestamp || Date.now()).toISOString();
+    const msgId = this._headerField(log.category, 32);
+
+    const params = [['category', log.category], ['id', log.id], ['version', this.clientInfo.version]]
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, value]) => `${name}="${this._escapeParam(value)}"`);
+    const structuredData = params.length > 0 ? `[${SYSLOG_SD_ID} ${params.join(' ')}]` : '-';
+
+    let message = String(log.message === undefined ? '' : log.message);
+    if (log.data !== null && log.data !== undefined) {
+      message += ` ${JSON.stringify(log.data)}`;
+    }
+
+    // 消息中不能有换行，否则会被拆成多条；MSG以BOM开头表示UTF-8
+    message = message.replace(/\r?\n/g, ' ');
+
+    return `<${priority}>1 ${timestamp} - ${LOG_SERVICE_NAME} - ${msgId} ${structuredData} \uFEFF${message}`;
+  }
+
+  /**
+   * 头部字段只能是可打印ASCII且不含空格，为空时写-
+   * @param {string} value - 字段值
+   * @param {number} maxLength - 最大长度
+   * @returns {string} - 字段
+   * @private
+   */
+  _headerField(value, maxLength) {
+    const field = String(value || '').replace(/[^\x21-\x7e]/g, '').slice(0, maxLength);
+    return field || '-';
+  }
+
+  /**
+   * 转义结构化数据参数值中的"、\和]
+   * @param {*} value - 参数值
+   * @returns {string} - 转义后的值
+   * @private
+   */
+  _escapeParam(value) {
+    return String(value).replace(/["\\\]]/g, match => `\\${match}`);
+  }
+}
+
+/**
+ * 各格式的导出器类
+ * @type {Object.<string, Function>}
+ * @private
+ */
+const EXPORTERS = {
+  [LOG_EXPORT_FORMATS.LEGACY]: LegacyJsonExporter,
+  [LOG_EXPORT_FORMATS.OTLP]: OtlpJsonExporter,
+  [LOG_EXPORT_FORMATS.NDJSON]: NdjsonExporter,
+  [LOG_EXPORT_FORMATS.SYSLOG]: SyslogExporter
+};
+
+/**
+ * 创建日志导出器
+ * @param {string} format - 导出格式，见LOG_EXPORT_FORMATS
+ * @param {Object} [clientInfo] - 客户端信息
+ * @returns {LogExporter} - 导出器
+ */
+export function createLogExporter(format, clientInfo = {}) {
+  const Exporter = EXPORTERS[format];
+
+  if (!Exporter) {
+    throw new Error(`不支持的日志导出格式: ${format}`);
+  }
+
+  return new Exporter(clientInfo);
+}
+
+/**
+ * 构建日志请求的请求头和请求体
+ * @param {Array<Object>} logs - 日志条目
+ * @param {Object} [options] - 选项
+ * @param {string} [options.format='legacy'] - 导出格式
+ * @param {Object} [options.clientInfo] - 客户端信息
+ * @param {Object} [options.headers] - 额外的请求头，例如认证头
+ * @param {boolean} [options.compression=false] - 是否gzip压缩请求体
+ * @param {Function} [options.compress] - 返回gzip数据Base64的压缩函数，默认使用compression-utils.compress
+ * @returns {Promise<{headers: Object, body: (string|Uint8Array)}>} - 请求头和请求体
+ */
+export async function buildLogRequest(logs, options = {}) {
+  const exporter = createLogExporter(options.format || LOG_EXPORT_FORMATS.LEGACY, options.clientInfo);
+  const payload = exporter.serialize(logs);
+  const headers = {
+    'Content-Type': exporter.contentType,
+    ...(options.headers || {})
+  };
+
+  const gzip = options.compress || (isCompressionSupported() ? compress : null);
+
+  if (options.compression && gzip) {
+    const bytes = base64ToBytes(await gzip(payload));
+
+    // compress在失败时会退回为未压缩的Base64，这时发送原文
+    if (bytes && bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      headers['Content-Encoding'] = 'gzip';
+      return { headers, body: bytes };
+    }
+  }
+
+  return { headers, body: payload };
+}
+
+/**
+ * Base64转字节数组
+ * @param {string} base64 - Base64字符串
+ * @returns {Uint8Array|null} - 字节数组，无效时返回null
+ * @private
+ */
+function base64ToBytes(base64) {
+  try {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+
+    return bytes;
+  } catch (e) {
+    return null;
+  }
+}
+
+export { LogExporter, LegacyJsonExporter, OtlpJsonExporter, NdjsonExporter, SyslogExporter };
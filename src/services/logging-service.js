@@ -7,6 +7,7 @@
  */
 
 import storageService from './storage-service.js';
+import { MESSAGE_ACTIONS } from '../config/constants.js';
 
 /**
  * 日志级别枚举
@@ -34,6 +35,20 @@ const LogCategory = {
   ANALYSIS: 'analysis'
 };
 
+/**
+ * 转发告警日志到后台的间隔（毫秒）
+ * @type {number}
+ */
+const ALERT_FORWARD_DELAY = 1000;
+
+/**
+ * 当前是否运行在后台Service Worker中
+ * @returns {boolean}
+ */
+function isBackgroundContext() {
+  return typeof ServiceWorkerGlobalScope !== 'undefined' && self instanceof ServiceWorkerGlobalScope;
+}
+
 /**
  * 本地日志服务
  * @class LoggingService
@@ -59,6 +74,10 @@ class LoggingService {
     this.indexedDBService = null;
     this.remoteLoggingService = null;
     this.logAnalyzerService = null;
+    this.useAlertRules = true;
+    this.alertRuleService = null;
+    this.alertForwardQueue = [];
+    this.alertForwardTimer = null;
     
     this._loadSettings();
     this._initServices();
@@ -108,6 +127,7 @@ class LoggingService {
         this.compressionThreshold = settings.compressionThreshold || 200;
         this.useRemoteLogging = settings.useRemoteLogging !== undefined ? settings.useRemoteLogging : false;
         this.autoAnalyze = settings.autoAnalyze !== undefined ? settings.autoAnalyze : false;
+        this.useAlertRules = settings.useAlertRules !== undefined ? settings.useAlertRules : true;
         this.analyzeInterval = settings.analyzeInterval || 60;
         this.maxStorageAge = settings.maxStorageAge || 30;
       }
@@ -155,6 +175,7 @@ class LoggingService {
         compressionThreshold: this.compressionThreshold,
         useRemoteLogging: this.useRemoteLogging,
         autoAnalyze: this.autoAnalyze,
+        useAlertRules: this.useAlertRules,
         analyzeInterval: this.analyzeInterval,
         maxStorageAge: this.maxStorageAge
       };
@@ -236,6 +257,8 @@ class LoggingService {
     
     this._sendToRemoteLogging(logEntry);
     
+    this._evaluateAlertRules(logEntry);
+    
     if (this.autoAnalyze && this.logAnalyzerService) {
       this.logAnalyzerService.addLogForAnalysis(logEntry);
     }
@@ -262,6 +285,53 @@ class LoggingService {
     }
   }
   
+  /**
+   * 用新日志计算告警规则。告警规则只在后台计算：内容脚本和扩展页面没有通知权限，
+   * 各自计算还会把告警写进共享的告警历史，让后台恢复的冷却压住真正的通知，所以其他页面把日志转发到后台
+   * @param {Object} logEntry - 日志条目
+   * @private
+   */
+  async _evaluateAlertRules(logEntry) {
+    if (!this.useAlertRules) return;
+    
+    if (!isBackgroundContext()) {
+      this._forwardAlertLog(logEntry);
+      return;
+    }
+    
+    try {
+      if (!this.alertRuleService) {
+        this.alertRuleService = (await import('./alert-rule-service.js')).default;
+      }
+      
+      this.alertRuleService.addLog(logEntry);
+    } catch (error) {
+      console.error('计算日志告警规则失败:', error);
+    }
+  }
+  
+  /**
+   * 把日志攒一批后转发到后台计算告警规则
+   * @param {Object} logEntry - 日志条目
+   * @private
+   */
+  _forwardAlertLog(logEntry) {
+    this.alertForwardQueue.push(logEntry);
+    if (this.alertForwardTimer) return;
+    
+    this.alertForwardTimer = setTimeout(async () => {
+      const logs = this.alertForwardQueue;
+      this.alertForwardQueue = [];
+      this.alertForwardTimer = null;
+      
+      try {
+        await chrome.runtime.sendMessage({ action: MESSAGE_ACTIONS.EVALUATE_LOG_ALERTS, logs });
+      } catch (error) {
+        console.error('转发告警日志到后台失败:', error);
+      }
+    }, ALERT_FORWARD_DELAY);
+  }
+  
   /**
    * 通知所有监听器
    * @param {Object} logEntry - 日志条目
@@ -323,11 +393,28 @@ class LoggingService {
   
   /**
    * 获取所有日志
-   * @param {Object} [filters] - 过滤条件
+   * @param {Object} [filters] - 过滤条件，query为LogQuery（见utils/log-query.js）
    * @returns {Array} - 日志列表
    */
   getLogs(filters = {}) {
-    let filteredLogs = [...this.logs];
+    let filteredLogs = this._filterLogs(this.logs, filters);
+    
+    if (filters.limit) {
+      filteredLogs = filteredLogs.slice(-filters.limit);
+    }
+    
+    return filteredLogs;
+  }
+  
+  /**
+   * 过滤日志
+   * @param {Array} logs - 日志列表
+   * @param {Object} filters - 过滤条件
+   * @returns {Array} - 过滤后的日志列表
+   * @private
+   */
+  _filterLogs(logs, filters) {
+    let filteredLogs = [...logs];
     
     if (filters.level !== undefined) {
       filteredLogs = filteredLogs.filter(log => log.level >= filters.level);
@@ -353,8 +440,8 @@ class LoggingService {
       );
     }
     
-    if (filters.limit) {
-      filteredLogs = filteredLogs.slice(-filters.limit);
+    if (filters.query) {
+      filteredLogs = filteredLogs.filter(log => filters.query.matches(log));
     }
     
     return filteredLogs;
@@ -375,7 +462,10 @@ class LoggingService {
         this.indexedDBService = (await import('./indexeddb-service.js')).default;
       }
       
-      const dbLogs = await this.indexedDBService.getLogs(filters);
+      // 有查询时按查询中的类别、级别和时间走索引，只解压可能匹配的批次
+      const dbLogs = filters.query
+        ? this._filterLogs(await this.indexedDBService.queryLogs(filters.query), filters)
+        : await this.indexedDBService.getLogs(filters);
       
       const memoryLogs = this.getLogs(filters);
       const combinedLogs = [...memoryLogs, ...dbLogs];
@@ -0,0 +1,178 @@
+/**
+ * @file media-header-service.js
+ * @description 媒体文件头读取服务，通过Range请求只获取文件开头的几百KB并解析出真实的尺寸、时长、码率和编码
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import MediaHeaderParser from '../utils/media-headers/index.js';
+import cacheService from './cache-service.js';
+
+/**
+ * 每次Range请求获取的字节数
+ * @type {number}
+ */
+export const HEADER_FETCH_SIZE = 256 * 1024;
+
+/**
+ * 继续获取数据时单次请求的最大字节数（用于较大的MP4 moov）
+ * @type {number}
+ */
+export const MAX_CONTINUATION_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 信息位于已获取数据之后时最多继续请求的次数
+ * @type {number}
+ * @private
+ */
+const MAX_CONTINUATIONS = 2;
+
+/**
+ * 媒体文件头读取服务类
+ * @class MediaHeaderService
+ */
+class MediaHeaderService {
+  /**
+   * 创建媒体文件头读取服务实例
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.fetchSize=HEADER_FETCH_SIZE] - 每次获取的字节数
+   */
+  constructor(options = {}) {
+    this.fetchSize = options.fetchSize || HEADER_FETCH_SIZE;
+    this.headerCache = cacheService.getCache('media_headers', 200);
+  }
+
+  /**
+   * 读取并解析资源的文件头
+   * @param {string} url - 资源URL
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object|null>} - 解析结果（见MediaHeaderParser.parse），无法识别格式时返回null
+   */
+  async analyze(url, options = {}) {
+    if (!url || !/^(https?|blob|data):/i.test(url)) return null;
+
+    const cacheKey = `header_${url}`;
+    const cached = this.headerCache.get(cacheKey);
+    if (cached) {
+      return cached;
+    }
+
+    const first = await this.fetchRange(url, 0, this.fetchSize, options.signal);
+    if (!first) return null;
+
+    let result = MediaHeaderParser.parse(first.bytes, { offset: 0, totalSize: first.totalSize });
+    if (!result) return null;
+
+    for (let i = 0; i < MAX_CONTINUATIONS && result.nextOffset; i++) {
+      if (first.totalSize && result.nextOffset >= first.totalSize) break;
+
+      const length = Math.min(Math.max(this.fetchSize, result.nextLength || 0), MAX_CONTINUATION_SIZE);
+      const next = await this.fetchRange(url, result.nextOffset, length, options.signal);
+      if (!next) break;
+
+      result = MediaHeaderParser.merge(result, MediaHeaderParser.parse(next.bytes, {
+        format: result.format === 'mkv' ? 'webm' : result.format,
+        offset: result.nextOffset,
+        totalSize: first.totalSize
+      }));
+    }
+
+    delete result.nextOffset;
+    delete result.nextLength;
+    result.totalSize = first.totalSize || null;
+
+    this.headerCache.put(cacheKey, result);
+
+    return result;
+  }
+
+  /**
+   * 使用Range请求获取一段数据
+   * 服务器忽略Range返回200时，从开头获取的请求只读取所需的字节后取消，其他位置无法获取
+   * @param {string} url - 资源URL
+   * @param {number} offset - 起始位置
+   * @param {number} length - 字节数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Object|null>} - { bytes, totalSize }
+   */
+  async fetchRange(url, offset, length, signal) {
+    const response = await fetch(url, {
+      headers: { Range: `bytes=${offset}-${offset + length - 1}` },
+      credentials: 'include',
+      signal: signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP错误: ${response.status}`);
+    }
+
+    let totalSize = null;
+
+    if (response.status === 206) {
+      const contentRange = response.headers.get('content-range') || '';
+      const match = contentRange.match(/\/(\d+)\s*$/);
+      totalSize = match ? parseInt(match[1], 10) : null;
+
+      return {
+        bytes: new Uint8Array(await response.arrayBuffer()).subarray(0, length),
+        totalSize: totalSize
+      };
+    }
+
+    if (offset > 0) {
+      if (response.body) response.body.cancel().catch(() => {});
+      return null;
+    }
+
+    totalSize = parseInt(response.headers.get('content-length'), 10) || null;
+
+    return {
+      bytes: await this._readPrefix(response, length),
+      totalSize: totalSize
+    };
+  }
+
+  /**
+   * 读取响应开头的指定字节数，读够后取消剩余的下载
+   * @param {Response} response - 响应
+   * @param {number} length - 字节数
+   * @returns {Promise<Uint8Array>} - 数据
+   * @private
+   */
+  async _readPrefix(response, length) {
+    if (!response.body || !response.body.getReader) {
+      return new Uint8Array(await response.arrayBuffer()).subarray(0, length);
+    }
+
+    const reader = response.body.getReader();
+    const buffer = new Uint8Array(length);
+    let received = 0;
+
+    while (received < length) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      const chunk = value.subarray(0, length - received);
+      buffer.set(chunk, received);
+      received += chunk.length;
+    }
+
+    reader.cancel().catch(() => {});
+
+    return buffer.subarray(0, received);
+  }
+
+  /**
+   * 清除文件头缓存
+   */
+  clearCache() {
+    this.headerCache.clear();
+  }
+}
+
+const mediaHeaderService = new MediaHeaderService();
+
+export { MediaHeaderService };
+export default mediaHeaderService;
@@ -8,6 +8,7 @@
 
 import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
 import cacheService from './cache-service.js';
+import mediaHeaderService from './media-header-service.js';
 
 /**
  * 元数据分析服务
@@ -22,6 +23,7 @@ class MetadataService {
     this.fetchQueue = [];
     this.isProcessingQueue = false;
     this.concurrentFetches = 3;
+    this.mediaHeaderService = mediaHeaderService;
   }
   
   /**
@@ -91,20 +93,39 @@ class MetadataService {
       
       this.extractInfoFromUrl(resource.url, metadata);
       
+      // 页面上的尺寸已知时仍需读取文件头，EXIF/IPTC/XMP只能从文件中得到
+      const header = await this.readMediaHeader(resource);
+      
+      if (header && header.complete) {
+        metadata.headerParsed = true;
+        metadata.format = header.format;
+        metadata.colorDepth = header.colorDepth;
+        metadata.hasAlpha = header.hasAlpha;
+        metadata.progressive = header.progressive || header.interlaced || false;
+      }
+      
+      if (header) {
+        metadata.exif = header.exif || null;
+        metadata.iptc = header.iptc || null;
+        metadata.xmp = header.xmp || null;
+        metadata.embedded = this.summarizeEmbeddedMetadata(header);
+        metadata.hasGps = Boolean(metadata.embedded && metadata.embedded.gps);
+      }
+      
+      let dimensions = null;
+      
       if (resource.width && resource.height) {
-        metadata.dimensions = {
-          width: resource.width,
-          height: resource.height
-        };
-        metadata.aspectRatio = resource.width / resource.height;
-        metadata.orientation = resource.width >= resource.height ? 'landscape' : 'portrait';
-      } else {
-        const dimensions = await this.fetchImageDimensions(resource.url);
-        if (dimensions) {
-          metadata.dimensions = dimensions;
-          metadata.aspectRatio = dimensions.width / dimensions.height;
-          metadata.orientation = dimensions.width >= dimensions.height ? 'landscape' : 'portrait';
-        }
+        dimensions = { width: resource.width, height: resource.height };
+      } else if (header && header.width && header.height) {
+        dimensions = this._getDisplayDimensions(header);
+      } else if (typeof Image !== 'undefined') {
+        dimensions = await this.fetchImageDimensions(resource.url);
+      }
+      
+      if (dimensions) {
+        metadata.dimensions = dimensions;
+        metadata.aspectRatio = dimensions.width / dimensions.height;
+        metadata.orientation = dimensions.width >= dimensions.height ? 'landscape' : 'portrait';
       }
       
       metadata.estimatedQuality = this.estimateImageQuality(resource, metadata);
@@ -157,6 +178,14 @@ class MetadataService {
         };
       }
       
+      if (!metadata.isStreaming) {
+        this._applyMediaHeader(metadata, await this.readMediaHeader(resource));
+      }
+      
+      if (metadata.dimensions) {
+        metadata.resolutionLabel = this.getResolutionLabel(metadata.dimensions);
+      }
+      
       metadata.estimatedQuality = this.estimateVideoQuality(resource, metadata);
       
       return metadata;
@@ -189,6 +218,8 @@ class MetadataService {
       
       this.extractInfoFromUrl(resource.url, metadata);
       
+      this._applyMediaHeader(metadata, await this.readMediaHeader(resource));
+      
       metadata.estimatedQuality = this.estimateAudioQuality(resource, metadata);
       
       return metadata;
@@ -227,6 +258,141 @@ class MetadataService {
     }
   }
   
+  /**
+   * 通过Range请求读取资源的文件头
+   * @param {Object} resource - 资源对象
+   * @returns {Promise<Object|null>} 文件头解析结果，获取失败或格式无法识别时返回null
+   */
+  async readMediaHeader(resource) {
+    try {
+      return await this.mediaHeaderService.analyze(resource.url);
+    } catch (e) {
+      console.warn('读取文件头错误:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * 把音视频文件头的解析结果写入元数据，文件头中的值优先于从URL推测的值
+   * @private
+   * @param {Object} metadata - 元数据对象
+   * @param {Object|null} header - 文件头解析结果
+   */
+  _applyMediaHeader(metadata, header) {
+    if (!header || !header.complete) return;
+    
+    metadata.headerParsed = true;
+    metadata.format = header.format;
+    
+    if (header.width && header.height) {
+      metadata.dimensions = { width: header.width, height: header.height };
+    }
+    
+    if (header.duration) metadata.duration = header.duration;
+    if (header.bitrate) metadata.bitrate = header.bitrate;
+    if (header.sampleRate) metadata.sampleRate = header.sampleRate;
+    if (header.channels) metadata.channels = header.channels;
+    if (header.hasVideo) metadata.hasAudio = header.hasAudio;
+    if (header.lossless) metadata.lossless = true;
+    
+    metadata.codecs = [header.videoCodec, header.audioCodec].filter(Boolean);
+    
+    ['title', 'artist', 'album', 'year'].forEach(field => {
+      if (header[field]) metadata[field] = header[field];
+    });
+  }
+  
+  /**
+   * 汇总图片中EXIF、IPTC、XMP（以及PNG文字块）的元数据，同一字段按IPTC、XMP、EXIF的顺序取第一个有值的来源
+   * @param {Object} header - 图片文件头解析结果
+   * @returns {Object|null} 汇总结果 { camera, lens, captureDate, exposure, author, copyright, title, description,
+   * keywords, software, gps, sources }，没有任何元数据时返回null
+   */
+  summarizeEmbeddedMetadata(header) {
+    const exif = header.exif || {};
+    const iptc = header.iptc || {};
+    const xmp = header.xmp || {};
+    const text = header.text || {};
+    const pick = (...values) => values.find(value => value !== undefined && value !== null && value !== '') || null;
+    
+    let camera = [exif.make, exif.model].filter(Boolean).join(' ');
+    if (exif.make && exif.model && exif.model.toLowerCase().startsWith(exif.make.toLowerCase())) {
+      camera = exif.model;
+    }
+    
+    const summary = {
+      camera: camera || null,
+      lens: pick(exif.lensModel, xmp.lens),
+      captureDate: pick(exif.dateTimeOriginal, xmp.createDate, iptc.dateCreated, xmp.dateCreated, exif.dateTime, text.creationTime),
+      exposure: this._formatExposure(exif),
+      author: pick(iptc.byline, xmp.creator, exif.artist, text.author),
+      copyright: pick(iptc.copyright, xmp.rights, exif.copyright, text.copyright),
+      title: pick(iptc.title, iptc.headline, xmp.title, text.title),
+      description: pick(iptc.caption, xmp.description, text.description, header.comment, text.comment),
+      keywords: iptc.keywords || null,
+      software: pick(exif.software, xmp.creatorTool, text.software),
+      gps: pick(exif.gps, xmp.gps),
+      sources: [
+        header.exif && 'EXIF',
+        header.iptc && 'IPTC',
+        header.xmp && 'XMP',
+        header.text && 'PNG'
+      ].filter(Boolean)
+    };
+    
+    const hasValue = Object.keys(summary).some(key => key !== 'sources' && summary[key] !== null);
+    
+    return hasValue ? summary : null;
+  }
+  
+  /**
+   * 把EXIF中的曝光参数格式化为“1/250s f/2.8 ISO 200 35mm”
+   * @private
+   * @param {Object} exif - EXIF字段
+   * @returns {string|null} 曝光参数
+   */
+  _formatExposure(exif) {
+    const parts = [];
+    
+    if (exif.exposureTime > 0) {
+      parts.push(exif.exposureTime < 1 ? `1/${Math.round(1 / exif.exposureTime)}s` : `${exif.exposureTime}s`);
+    }
+    if (exif.fNumber > 0) parts.push(`f/${Math.round(exif.fNumber * 10) / 10}`);
+    if (exif.iso > 0) parts.push(`ISO ${exif.iso}`);
+    if (exif.focalLength > 0) parts.push(`${Math.round(exif.focalLength * 10) / 10}mm`);
+    
+    return parts.length > 0 ? parts.join(' ') : null;
+  }
+  
+  /**
+   * 按EXIF方向得到显示尺寸（方向5-8表示图片需旋转90度显示）
+   * @private
+   * @param {Object} header - 图片文件头解析结果
+   * @returns {Object} 尺寸对象
+   */
+  _getDisplayDimensions(header) {
+    if (header.orientation >= 5 && header.orientation <= 8) {
+      return { width: header.height, height: header.width };
+    }
+    
+    return { width: header.width, height: header.height };
+  }
+  
+  /**
+   * 根据视频尺寸得到清晰度标签
+   * @param {Object} dimensions - 尺寸对象
+   * @returns {string} 清晰度标签（4K、1440p、1080p、720p或SD）
+   */
+  getResolutionLabel(dimensions) {
+    const shortSide = Math.min(dimensions.width || 0, dimensions.height || 0);
+    
+    if (shortSide >= 2160) return '4K';
+    if (shortSide >= 1440) return '1440p';
+    if (shortSide >= 1080) return '1080p';
+    if (shortSide >= 720) return '720p';
+    return 'SD';
+  }
+  
   /**
    * 从URL提取信息
    * @private
@@ -342,12 +508,15 @@ class MetadataService {
    * @returns {string} 质量级别
    */
   estimateImageQuality(resource, metadata) {
-    if (resource.quality) {
-      return resource.quality;
-    }
-    
-    if (metadata.estimatedQuality) {
-      return metadata.estimatedQuality;
+    // 文件头中读到的真实数据优先于检测时的推测和URL关键字
+    if (!metadata.headerParsed) {
+      if (resource.quality) {
+        return resource.quality;
+      }
+      
+      if (metadata.estimatedQuality) {
+        return metadata.estimatedQuality;
+      }
     }
     
     if (metadata.dimensions) {
@@ -396,12 +565,15 @@ class MetadataService {
    * @returns {string} 质量级别
    */
   estimateVideoQuality(resource, metadata) {
-    if (resource.quality) {
-      return resource.quality;
-    }
-    
-    if (metadata.estimatedQuality) {
-      return metadata.estimatedQuality;
+    // 文件头中读到的真实数据优先于检测时的推测和URL关键字
+    if (!metadata.headerParsed) {
+      if (resource.quality) {
+        return resource.quality;
+      }
+      
+      if (metadata.estimatedQuality) {
+        return metadata.estimatedQuality;
+      }
     }
     
     if (metadata.dimensions) {
@@ -449,12 +621,25 @@ class MetadataService {
    * @returns {string} 质量级别
    */
   estimateAudioQuality(resource, metadata) {
-    if (resource.quality) {
-      return resource.quality;
+    // 文件头中读到的真实数据优先于检测时的推测和URL关键字
+    if (!metadata.headerParsed) {
+      if (resource.quality) {
+        return resource.quality;
+      }
+      
+      if (metadata.estimatedQuality) {
+        return metadata.estimatedQuality;
+      }
     }
     
-    if (metadata.estimatedQuality) {
-      return metadata.estimatedQuality;
+    if (metadata.headerParsed && (metadata.lossless || metadata.bitrate)) {
+      if (metadata.lossless || metadata.bitrate >= 256) {
+        return QUALITY_LEVELS.HIGH;
+      } else if (metadata.bitrate >= 128) {
+        return QUALITY_LEVELS.MEDIUM;
+      } else {
+        return QUALITY_LEVELS.LOW;
+      }
     }
     
     if (resource.url) {
@@ -530,4 +715,5 @@ class MetadataService {
 
 const metadataService = new MetadataService();
 
+export { MetadataService };
 export default metadataService;
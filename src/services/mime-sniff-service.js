@@ -0,0 +1,106 @@
+/**
+ * @file mime-sniff-service.js
+ * @description 文件类型嗅探服务，通过Range请求获取文件开头的几KB识别真实类型，纠正没有扩展名或类型标注错误的资源
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { EXTENSION_TO_TYPE } from '../config/constants.js';
+import MimeSniffer, { SNIFF_SIZE } from '../utils/mime-sniffer.js';
+import URLUtils from '../utils/url-utils.js';
+import mediaHeaderService from './media-header-service.js';
+import cacheService from './cache-service.js';
+
+/**
+ * 文件类型嗅探服务类
+ * @class MimeSniffService
+ */
+class MimeSniffService {
+  /**
+   * 创建文件类型嗅探服务实例
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.sniffSize=SNIFF_SIZE] - 获取的字节数
+   * @param {Object} [options.mediaHeaderService] - 用于Range请求的媒体文件头读取服务
+   */
+  constructor(options = {}) {
+    this.sniffSize = options.sniffSize || SNIFF_SIZE;
+    this.mediaHeaderService = options.mediaHeaderService || mediaHeaderService;
+    this.sniffCache = cacheService.getCache('mime_sniff', 500);
+  }
+
+  /**
+   * 获取文件开头的数据并识别类型
+   * @param {string} url - 资源URL
+   * @param {Object} [options] - 选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @returns {Promise<Object|null>} - 嗅探结果（见MimeSniffer.sniff），无法识别时返回null
+   */
+  async sniff(url, options = {}) {
+    if (!url || !/^(https?|blob|data):/i.test(url)) return null;
+
+    // 无法识别的结果（null）也缓存，避免同一地址的重复请求反复获取
+    const cacheKey = `sniff_${url}`;
+    if (this.sniffCache.has(cacheKey)) {
+      return this.sniffCache.get(cacheKey);
+    }
+
+    const range = await this.mediaHeaderService.fetchRange(url, 0, this.sniffSize, options.signal);
+    const result = range ? MimeSniffer.sniff(range.bytes) : null;
+
+    this.sniffCache.put(cacheKey, result);
+
+    return result;
+  }
+
+  /**
+   * 资源是否需要嗅探：http(s)资源没有可识别的扩展名，或服务器只返回了通用的MIME类型
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否需要
+   */
+  needsSniffing(resource) {
+    if (!resource || !resource.url || resource.sniffedType || !/^https?:/i.test(resource.url)) {
+      return false;
+    }
+
+    if (resource.contentType && MimeSniffer.isGenericType(resource.contentType)) {
+      return true;
+    }
+
+    const extension = URLUtils.getFileExtension(resource.url);
+    return !extension || !EXTENSION_TO_TYPE[extension];
+  }
+
+  /**
+   * 用嗅探结果纠正资源的类型和MIME类型
+   * @param {Object} resource - 资源对象
+   * @param {Object} sniffed - 嗅探结果
+   * @returns {Object} - 纠正后的资源对象（新对象）
+   */
+  applyToResource(resource, sniffed) {
+    if (!sniffed) return resource;
+
+    return {
+      ...resource,
+      type: sniffed.type,
+      contentType: sniffed.mime,
+      sniffedType: {
+        mime: sniffed.mime,
+        extension: sniffed.extension,
+        extensions: sniffed.extensions
+      }
+    };
+  }
+
+  /**
+   * 清除嗅探缓存
+   */
+  clearCache() {
+    this.sniffCache.clear();
+  }
+}
+
+const mimeSniffService = new MimeSniffService();
+
+export { MimeSniffService };
+export default mimeSniffService;
@@ -7,6 +7,14 @@
  */
 
 import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
+import ImageClassifier from '../utils/image-classifier.js';
+
+/**
+ * 单次图像分类请求的超时时间（毫秒）
+ * @type {number}
+ * @private
+ */
+const CLASSIFICATION_TIMEOUT = 30000;
 
 /**
  * 机器学习服务
@@ -15,8 +23,16 @@ import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
 class MLService {
   /**
    * 创建机器学习服务实例
+   * @param {Function} [createWorker] - 创建图像分类Worker的工厂函数，默认加载 workers/image-classifier.js
    */
-  constructor() {
+  constructor(createWorker) {
+    this.createWorker = createWorker || (() => new Worker(
+      chrome.runtime.getURL('src/workers/image-classifier.js'),
+      { type: 'module' }
+    ));
+    this.classifierWorker = null;
+    this.pendingClassifications = new Map();
+    this.nextRequestId = 1;
     this.models = {};
     this.modelStatus = {
       imageClassifier: 'unloaded',
@@ -35,14 +51,16 @@ class MLService {
     try {
       this.hasWebNN = typeof navigator.ml !== 'undefined';
       this.hasWebGL = this.checkWebGLSupport();
+      this.hasWorkerSupport = typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
       
-      if (this.hasWebGL) {
-        this.preloadLightModels();
+      if (this.hasWorkerSupport) {
+        await this.preloadLightModels();
       }
       
       console.log('ML服务初始化完成', {
         webNN: this.hasWebNN,
-        webGL: this.hasWebGL
+        webGL: this.hasWebGL,
+        worker: this.hasWorkerSupport
       });
     } catch (e) {
       console.error('ML服务初始化错误:', e);
@@ -66,21 +84,20 @@ class MLService {
   
   /**
    * 预加载轻量级模型
+   * 图像分类器是内置权重的softmax回归模型，在Worker中用CPU计算，无需WebGL
    * @private
    */
   async preloadLightModels() {
     try {
       this.modelStatus.imageClassifier = 'loading';
       
-      setTimeout(() => {
-        this.models.imageClassifier = {
-          name: 'MobileNet-Light',
-          loaded: true,
-          predict: this.simulateImageClassification.bind(this)
-        };
-        this.modelStatus.imageClassifier = 'loaded';
-        console.log('轻量级图像分类模型加载完成');
-      }, 1000);
+      this.models.imageClassifier = {
+        ...ImageClassifier.getModelInfo(),
+        loaded: true,
+        predict: this.classifyImageInWorker.bind(this)
+      };
+      this.modelStatus.imageClassifier = 'loaded';
+      console.log('图像分类模型加载完成');
     } catch (e) {
       console.error('预加载模型错误:', e);
       this.modelStatus.imageClassifier = 'error';
@@ -88,23 +105,78 @@ class MLService {
   }
   
   /**
-   * 模拟图像分类
+   * 在Worker中对图像分类
    * @private
    * @param {string} imageUrl - 图像URL
-   * @returns {Promise<Object>} 分类结果
+   * @returns {Promise<Object>} 分类结果 { category, confidence, scores, features, width, height }
    */
-  async simulateImageClassification(imageUrl) {
-    const categories = ['photo', 'artwork', 'screenshot', 'meme', 'diagram', 'chart'];
-    const randomIndex = Math.floor(Math.random() * categories.length);
-    const confidence = 0.5 + (Math.random() * 0.5); // 0.5-1.0
+  async classifyImageInWorker(imageUrl) {
+    const [result] = await this._requestClassification([imageUrl]);
+    
+    if (!result || result.error) {
+      throw new Error(result && result.error ? result.error : '图像分类失败');
+    }
     
     return {
-      category: categories[randomIndex],
-      confidence: confidence,
+      category: result.category,
+      confidence: result.confidence,
+      scores: result.scores,
+      features: result.features,
+      width: result.width,
+      height: result.height,
       timestamp: Date.now()
     };
   }
   
+  /**
+   * 向分类Worker发送一批URL
+   * @private
+   * @param {Array<string>} urls - 图像URL
+   * @returns {Promise<Array>} 分类结果
+   */
+  _requestClassification(urls) {
+    const worker = this._getClassifierWorker();
+    const requestId = this.nextRequestId++;
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingClassifications.delete(requestId);
+        reject(new Error('图像分类超时'));
+      }, CLASSIFICATION_TIMEOUT);
+      
+      this.pendingClassifications.set(requestId, { resolve, reject, timer });
+      worker.postMessage({ action: 'classifyImages', requestId, urls });
+    });
+  }
+  
+  /**
+   * 获取（必要时创建）分类Worker
+   * @private
+   * @returns {Worker} Worker实例
+   */
+  _getClassifierWorker() {
+    if (!this.classifierWorker) {
+      this.classifierWorker = this.createWorker();
+      
+      this.classifierWorker.onmessage = (e) => {
+        const { action, requestId, results } = e.data || {};
+        const request = this.pendingClassifications.get(requestId);
+        
+        if (action !== 'classificationComplete' || !request) return;
+        
+        clearTimeout(request.timer);
+        this.pendingClassifications.delete(requestId);
+        request.resolve(results || []);
+      };
+      
+      this.classifierWorker.onerror = (e) => {
+        console.warn('图像分类Worker错误:', e.message || e);
+      };
+    }
+    
+    return this.classifierWorker;
+  }
+  
   /**
    * 分析图像内容
    * @param {string} imageUrl - 图像URL
@@ -128,7 +200,7 @@ class MLService {
       
       const enhancedResult = {
         ...classificationResult,
-        estimatedQuality: this.estimateImageQuality(imageUrl),
+        estimatedQuality: this.estimateImageQuality(imageUrl, classificationResult),
         contentType: this.inferContentType(imageUrl, classificationResult),
         success: true
       };
@@ -172,9 +244,10 @@ class MLService {
    * 估计图像质量
    * @private
    * @param {string} imageUrl - 图像URL
+   * @param {Object} [dimensions] - 已知的图像尺寸 { width, height }，优先于URL中的尺寸
    * @returns {string} 质量级别
    */
-  estimateImageQuality(imageUrl) {
+  estimateImageQuality(imageUrl, dimensions) {
     if (/original|full|large|hd|high/i.test(imageUrl)) {
       return QUALITY_LEVELS.HIGH;
     } else if (/medium|mid|normal/i.test(imageUrl)) {
@@ -183,7 +256,8 @@ class MLService {
       return QUALITY_LEVELS.LOW;
     }
     
-    const resolutionMatch = imageUrl.match(/(\d+)x(\d+)/i);
+    const resolutionMatch = dimensions && dimensions.width && dimensions.height ?
+      [null, dimensions.width, dimensions.height] : imageUrl.match(/(\d+)x(\d+)/i);
     if (resolutionMatch) {
       const width = parseInt(resolutionMatch[1]);
       const height = parseInt(resolutionMatch[2]);
@@ -472,8 +546,25 @@ class MLService {
   clearCache() {
     this.cache.clear();
   }
+  
+  /**
+   * 终止分类Worker并拒绝未完成的请求
+   */
+  dispose() {
+    if (this.classifierWorker) {
+      this.classifierWorker.terminate();
+      this.classifierWorker = null;
+    }
+    
+    this.pendingClassifications.forEach(request => {
+      clearTimeout(request.timer);
+      request.reject(new Error('机器学习服务已关闭'));
+    });
+    this.pendingClassifications.clear();
+  }
 }
 
 const mlService = new MLService();
 
+export { MLService };
 export default mlService;
@@ -0,0 +1,178 @@
+/**
+ * @file mse-capture-service.js
+ * @description MSE流捕获管理服务：记录哪些标签页开启了MSE流捕获，并为每个标签页分配整页共享的缓存额度，
+ * 页面及其所有框架中的注入脚本都从同一份额度中申请，缓存的数据释放后归还额度
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { STORAGE_KEYS } from '../config/constants.js';
+
+/**
+ * 每个标签页（包括其中所有框架）最多缓存的MSE数据字节数
+ * @type {number}
+ */
+export const MSE_CAPTURE_MAX_BYTES = 64 * 1024 * 1024;
+
+/**
+ * MSE流捕获管理类
+ * @class MSECaptureService
+ */
+class MSECaptureService {
+  /**
+   * 创建MSE流捕获管理实例
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.storage] - 保存捕获状态的存储区，默认chrome.storage.session
+   * @param {number} [options.maxBytes] - 每个标签页最多缓存的字节数
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.maxBytes = options.maxBytes || MSE_CAPTURE_MAX_BYTES;
+    this.tabs = null;
+    this.loading = null;
+  }
+
+  /**
+   * 获取标签页的捕获状态
+   * @param {number|string} tabId - 标签页ID
+   * @returns {Promise<Object>} - { enabled, usedBytes, maxBytes }
+   */
+  async getStatus(tabId) {
+    const tabs = await this._load();
+    const tab = tabs[tabId];
+
+    return {
+      enabled: !!tab,
+      usedBytes: tab ? tab.usedBytes : 0,
+      maxBytes: this.maxBytes
+    };
+  }
+
+  /**
+   * 开启或关闭标签页的捕获，开启和关闭时都会清零已分配的额度（关闭时页面会丢弃全部缓存）
+   * @param {number|string} tabId - 标签页ID
+   * @param {boolean} enabled - 是否开启
+   * @returns {Promise<Object>} - 捕获状态
+   */
+  async setEnabled(tabId, enabled) {
+    const tabs = await this._load();
+
+    if (enabled) {
+      tabs[tabId] = { usedBytes: 0 };
+    } else {
+      delete tabs[tabId];
+    }
+
+    await this._save();
+    return this.getStatus(tabId);
+  }
+
+  /**
+   * 申请缓存额度并归还已释放的额度，剩余额度不足时只分配剩余部分
+   * @param {number|string} tabId - 标签页ID
+   * @param {number} bytes - 申请的字节数
+   * @param {number} [released=0] - 归还的字节数
+   * @returns {Promise<number>} - 分配的字节数，标签页没有开启捕获时为0
+   */
+  async requestQuota(tabId, bytes, released = 0) {
+    const tabs = await this._load();
+    const tab = tabs[tabId];
+
+    if (!tab) return 0;
+
+    tab.usedBytes = Math.max(0, tab.usedBytes - Math.max(0, released || 0));
+
+    const granted = Math.max(0, Math.min(bytes || 0, this.maxBytes - tab.usedBytes));
+    tab.usedBytes += granted;
+
+    await this._save();
+    return granted;
+  }
+
+  /**
+   * 标签页导航到新页面后旧页面的缓存已经丢弃，清零已分配的额度，捕获保持开启
+   * @param {number|string} tabId - 标签页ID
+   * @returns {Promise<void>}
+   */
+  async resetUsage(tabId) {
+    const tabs = await this._load();
+
+    if (!tabs[tabId] || tabs[tabId].usedBytes === 0) return;
+
+    tabs[tabId].usedBytes = 0;
+    await this._save();
+  }
+
+  /**
+   * 标签页关闭后移除其捕获状态
+   * @param {number|string} tabId - 标签页ID
+   * @returns {Promise<void>}
+   */
+  async removeTab(tabId) {
+    const tabs = await this._load();
+
+    if (!tabs[tabId]) return;
+
+    delete tabs[tabId];
+    await this._save();
+  }
+
+  /**
+   * 读取捕获状态，只在第一次调用时读取存储，之后的修改都在内存中同步完成，避免多个框架同时申请额度时互相覆盖
+   * @returns {Promise<Object>} - 标签页ID到捕获状态的映射
+   * @private
+   */
+  _load() {
+    if (this.tabs) return Promise.resolve(this.tabs);
+
+    if (!this.loading) {
+      this.loading = new Promise(resolve => {
+        const storage = this._getStorage();
+        if (!storage) {
+          resolve({});
+          return;
+        }
+
+        storage.get([STORAGE_KEYS.MSE_CAPTURE_TABS], (result) => {
+          resolve((result && result[STORAGE_KEYS.MSE_CAPTURE_TABS]) || {});
+        });
+      }).then(tabs => {
+        this.tabs = tabs;
+        return tabs;
+      });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * 保存捕获状态，后台服务重启后仍然有效
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save() {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve();
+
+    return new Promise(resolve => {
+      storage.set({ [STORAGE_KEYS.MSE_CAPTURE_TABS]: this.tabs }, () => resolve());
+    });
+  }
+
+  /**
+   * 获取存储区，会话存储在浏览器关闭后清空
+   * @returns {Object|null} - 存储区
+   * @private
+   */
+  _getStorage() {
+    if (this.storage) return this.storage;
+    if (typeof chrome === 'undefined' || !chrome.storage) return null;
+    return chrome.storage.session || chrome.storage.local || null;
+  }
+}
+
+const mseCaptureService = new MSECaptureService();
+
+export { MSECaptureService };
+export default mseCaptureService;
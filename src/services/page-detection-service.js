@@ -0,0 +1,83 @@
+/**
+ * @file page-detection-service.js
+ * @description 页面资源检测服务：在扩展页面（离屏文档）中用资源检测Worker检测页面HTML中的资源。
+ * 网页中的内容脚本不能从chrome-extension://地址创建Worker，多页抓取的检测请求经后台转发到这里执行
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import TaskManager from '../workers/distributed/task-manager.js';
+
+/**
+ * 资源检测Worker的任务类型，与resource-detector.js中处理的action一致
+ * @type {string}
+ */
+export const DETECTION_TASK_TYPE = 'detectResources';
+
+/**
+ * 页面资源检测服务类
+ * @class PageDetectionService
+ */
+class PageDetectionService {
+  /**
+   * 创建页面资源检测服务实例
+   * @param {Object} [options] - 选项
+   * @param {TaskManager} [options.taskManager] - 任务管理器，需已注册DETECTION_TASK_TYPE
+   * @param {number} [options.maxWorkers=2] - 同时检测资源的Worker数量
+   */
+  constructor(options = {}) {
+    this.taskManager = options.taskManager || null;
+    this.maxWorkers = options.maxWorkers || 2;
+  }
+
+  /**
+   * 检测页面HTML中的资源
+   * @param {string} html - 页面HTML
+   * @param {string} pageUrl - 页面URL，用于解析相对地址
+   * @returns {Promise<Array>} - 资源数组，检测失败或任务被取消时拒绝
+   */
+  detect(html, pageUrl) {
+    return new Promise((resolve, reject) => {
+      this._getTaskManager().addTask(DETECTION_TASK_TYPE, {
+        domFragment: html,
+        baseUrl: pageUrl,
+        detectionMethods: ['dom', 'css', 'attribute']
+      }, result => {
+        if (result && result.error) {
+          reject(new Error(result.error));
+        } else {
+          resolve((result && result.resources) || []);
+        }
+      });
+    });
+  }
+
+  /**
+   * 停止所有检测任务，正在执行和排队的检测都以错误结束
+   */
+  stopAll() {
+    if (this.taskManager) {
+      this.taskManager.stopAll();
+    }
+  }
+
+  /**
+   * 获取任务管理器，第一次使用时创建并注册资源检测Worker
+   * @returns {TaskManager} - 任务管理器
+   * @private
+   */
+  _getTaskManager() {
+    if (!this.taskManager) {
+      this.taskManager = new TaskManager(this.maxWorkers);
+      this.taskManager.registerWorkerScript(DETECTION_TASK_TYPE, chrome.runtime.getURL('src/workers/distributed/resource-detector.js'));
+    }
+
+    return this.taskManager;
+  }
+}
+
+const pageDetectionService = new PageDetectionService();
+
+export { PageDetectionService };
+export default pageDetectionService;
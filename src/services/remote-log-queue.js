@@ -0,0 +1,312 @@
+/**
+ * @file remote-log-queue.js
+ * @description 远程日志持久发送队列：待发送日志保存在IndexedDB中，Service Worker挂起或浏览器重启后不会丢失；
+ * 发送失败时按带抖动的指数退避安排下次发送，退避状态保存在chrome.storage中跨重启保留；队列按字节数限制大小，超出时先丢弃最旧的日志
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 队列默认选项
+ * @type {Object}
+ */
+export const DEFAULT_REMOTE_LOG_QUEUE_OPTIONS = {
+  maxBytes: 1024 * 1024, // 1MB
+  baseDelay: 5000, // 第一次重试等待5秒
+  maxDelay: 30 * 60 * 1000 // 最长等待30分钟
+};
+
+/**
+ * 退避状态在chrome.storage中的键
+ * @type {string}
+ * @private
+ */
+const STATE_KEY = 'remote_log_queue_state';
+
+/**
+ * 多个扩展页面同时发送时使用的Web Locks锁名
+ * @type {string}
+ * @private
+ */
+const LOCK_NAME = 'resource-sniffer-remote-log-queue';
+
+/**
+ * 初始退避状态
+ * @type {Object}
+ * @private
+ */
+const INITIAL_STATE = {
+  attempts: 0,
+  nextAttemptAt: 0,
+  lastError: null,
+  lastErrorAt: null,
+  lastSuccessAt: null,
+  dropped: 0
+};
+
+/**
+ * 计算带抖动的指数退避等待时间：上限为 baseDelay * 2^(attempts-1)，实际取上限的一半到全部之间的随机值
+ * @param {number} attempts - 连续失败次数（从1开始）
+ * @param {number} baseDelay - 第一次重试的等待时间（毫秒）
+ * @param {number} maxDelay - 最长等待时间（毫秒）
+ * @param {Function} [random=Math.random] - 返回[0, 1)随机数的函数
+ * @returns {number} - 等待时间（毫秒）
+ */
+export function computeBackoffDelay(attempts, baseDelay, maxDelay, random = Math.random) {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempts - 1)));
+  return Math.round(ceiling / 2 + random() * ceiling / 2);
+}
+
+/**
+ * 服务器拒绝了日志内容本身的HTTP状态码，这批日志重试也不会成功，可以丢弃；
+ * 其余状态（包括401/403/404等认证或地址配置错误）在修正配置后可能恢复，保留日志按退避重试
+ * @type {Array<number>}
+ * @private
+ */
+const REJECTED_STATUS_CODES = [400, 413, 422];
+
+/**
+ * 判断发送失败的HTTP状态是否应该保留日志稍后重试
+ * @param {number} status - HTTP状态码
+ * @returns {boolean} - true表示保留并重试，false表示服务器拒绝了这批日志
+ */
+export function isRetryableStatus(status) {
+  return !REJECTED_STATUS_CODES.includes(status);
+}
+
+/**
+ * 远程日志持久发送队列类
+ * @class RemoteLogQueue
+ */
+class RemoteLogQueue {
+  /**
+   * 创建远程日志队列实例
+   * @param {Function} [getDatabase] - 返回IndexedDB服务的异步函数，默认按需加载indexeddb-service
+   * @param {Object} [options] - 选项，见DEFAULT_REMOTE_LOG_QUEUE_OPTIONS
+   * @param {Object} [options.storage] - 保存退避状态的存储区，默认chrome.storage.local
+   * @param {Function} [options.now] - 返回当前时间的函数
+   * @param {Function} [options.random] - 退避抖动使用的随机数函数
+   */
+  constructor(getDatabase, options = {}) {
+    this.getDatabase = getDatabase || (async () => (await import('./indexeddb-service.js')).default);
+    this.storage = options.storage || null;
+    this.now = options.now || Date.now;
+    this.random = options.random || Math.random;
+    this.options = { ...DEFAULT_REMOTE_LOG_QUEUE_OPTIONS };
+
+    this.configure(options);
+  }
+
+  /**
+   * 更新队列大小和退避选项
+   * @param {Object} options - { maxBytes, baseDelay, maxDelay }
+   */
+  configure(options = {}) {
+    Object.keys(DEFAULT_REMOTE_LOG_QUEUE_OPTIONS).forEach(key => {
+      if (Number.isFinite(options[key]) && options[key] > 0) {
+        this.options[key] = options[key];
+      }
+    });
+  }
+
+  /**
+   * 把日志加入队列，超出字节上限时从最旧的日志开始丢弃
+   * @param {Array<Object>} logs - 日志条目数组
+   * @returns {Promise<number>} - 因超出上限丢弃的日志条数
+   */
+  async enqueue(logs) {
+    if (!logs || logs.length === 0) return 0;
+
+    const db = await this.getDatabase();
+    const encoder = new TextEncoder();
+    const createdAt = this.now();
+
+    await db.addRemoteLogEntries(logs.map(log => ({
+      log,
+      bytes: encoder.encode(JSON.stringify(log)).length,
+      createdAt
+    })));
+
+    return this._evictOverflow(db);
+  }
+
+  /**
+   * 按加入顺序读取队首的日志，不会从队列中移除
+   * @param {number} limit - 最大条数
+   * @returns {Promise<Array<Object>>} - 队列条目数组 { id, log, bytes, createdAt }
+   */
+  async peek(limit) {
+    const db = await this.getDatabase();
+    return db.getRemoteLogEntries(limit);
+  }
+
+  /**
+   * 从队列中移除已发送（或被服务器拒绝）的日志
+   * @param {Array<number>} ids - 条目ID数组
+   * @returns {Promise<void>}
+   */
+  async remove(ids) {
+    if (!ids || ids.length === 0) return;
+
+    const db = await this.getDatabase();
+    await db.deleteRemoteLogEntries(ids);
+  }
+
+  /**
+   * 清空队列并重置退避状态
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.getDatabase();
+    await db.clearRemoteLogEntries();
+    await this._saveState({ ...INITIAL_STATE });
+  }
+
+  /**
+   * 获取距离允许下次发送还需等待的时间
+   * @returns {Promise<number>} - 等待时间（毫秒），0表示可以立即发送
+   */
+  async getRetryDelay() {
+    const state = await this._loadState();
+    return Math.max(0, state.nextAttemptAt - this.now());
+  }
+
+  /**
+   * 记录发送成功，重置退避
+   * @returns {Promise<void>}
+   */
+  async recordSuccess() {
+    const state = await this._loadState();
+
+    await this._saveState({ ...state, attempts: 0, nextAttemptAt: 0, lastSuccessAt: this.now() });
+  }
+
+  /**
+   * 记录发送失败
+   * @param {string} message - 错误信息
+   * @param {Object} [options] - 选项
+   * @param {boolean} [options.retry=true] - 是否保留日志并按退避稍后重试；为false表示日志已被丢弃，不影响退避
+   * @param {number} [options.dropped=0] - 被丢弃的日志条数
+   * @returns {Promise<number>} - 距离下次发送的等待时间（毫秒）
+   */
+  async recordFailure(message, { retry = true, dropped = 0 } = {}) {
+    const state = await this._loadState();
+    const now = this.now();
+    const next = { ...state, lastError: message, lastErrorAt: now, dropped: state.dropped + dropped };
+
+    if (retry) {
+      next.attempts = state.attempts + 1;
+      next.nextAttemptAt = now + computeBackoffDelay(next.attempts, this.options.baseDelay, this.options.maxDelay, this.random);
+    }
+
+    await this._saveState(next);
+
+    return Math.max(0, next.nextAttemptAt - now);
+  }
+
+  /**
+   * 获取队列状态，供日志标签页显示
+   * @returns {Promise<Object>} - { count, bytes, maxBytes, attempts, nextAttemptAt, lastError, lastErrorAt, lastSuccessAt, dropped }
+   */
+  async getStats() {
+    const db = await this.getDatabase();
+    const entries = await db.getRemoteLogEntries();
+    const state = await this._loadState();
+
+    return {
+      count: entries.length,
+      bytes: entries.reduce((total, entry) => total + entry.bytes, 0),
+      maxBytes: this.options.maxBytes,
+      ...state
+    };
+  }
+
+  /**
+   * 在队列锁内执行操作，避免后台和弹出窗口同时发送同一批日志
+   * @param {Function} callback - 异步操作
+   * @returns {Promise<*>} - 操作结果
+   */
+  withLock(callback) {
+    if (typeof navigator !== 'undefined' && navigator.locks && navigator.locks.request) {
+      return navigator.locks.request(LOCK_NAME, callback);
+    }
+
+    return callback();
+  }
+
+  /**
+   * 队列超出字节上限时从最旧的日志开始丢弃
+   * @param {Object} db - IndexedDB服务
+   * @returns {Promise<number>} - 丢弃的日志条数
+   * @private
+   */
+  async _evictOverflow(db) {
+    const entries = await db.getRemoteLogEntries();
+    let bytes = entries.reduce((total, entry) => total + entry.bytes, 0);
+    const evicted = [];
+
+    for (const entry of entries) {
+      if (bytes <= this.options.maxBytes) break;
+      bytes -= entry.bytes;
+      evicted.push(entry.id);
+    }
+
+    if (evicted.length === 0) return 0;
+
+    await db.deleteRemoteLogEntries(evicted);
+
+    const state = await this._loadState();
+    await this._saveState({ ...state, dropped: state.dropped + evicted.length });
+
+    console.warn(`远程日志队列超过${this.options.maxBytes}字节，已丢弃最旧的${evicted.length}条日志`);
+
+    return evicted.length;
+  }
+
+  /**
+   * 获取保存退避状态的存储区
+   * @returns {Object|null} - 存储区
+   * @private
+   */
+  _getStorage() {
+    if (this.storage) return this.storage;
+    return typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null;
+  }
+
+  /**
+   * 读取退避状态
+   * @returns {Promise<Object>} - 退避状态
+   * @private
+   */
+  _loadState() {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve({ ...INITIAL_STATE });
+
+    return new Promise(resolve => {
+      storage.get([STATE_KEY], (result) => {
+        resolve({ ...INITIAL_STATE, ...((result && result[STATE_KEY]) || {}) });
+      });
+    });
+  }
+
+  /**
+   * 保存退避状态
+   * @param {Object} state - 退避状态
+   * @returns {Promise<void>}
+   * @private
+   */
+  _saveState(state) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve();
+
+    return new Promise(resolve => {
+      storage.set({ [STATE_KEY]: state }, () => resolve());
+    });
+  }
+}
+
+const remoteLogQueue = new RemoteLogQueue();
+
+export { RemoteLogQueue };
+export default remoteLogQueue;
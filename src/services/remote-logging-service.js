@@ -7,6 +7,8 @@
  */
 
 import loggingService, { LogLevel, LogCategory } from './logging-service.js';
+import { LOG_EXPORT_FORMATS, buildLogRequest } from './log-exporters.js';
+import remoteLogQueue, { DEFAULT_REMOTE_LOG_QUEUE_OPTIONS, isRetryableStatus } from './remote-log-queue.js';
 
 /**
  * 远程日志服务
@@ -20,15 +22,21 @@ class RemoteLoggingService {
     this.isEnabled = false;
     this.serverUrl = '';
     this.apiKey = '';
+    this.authHeaders = {}; // 额外的认证请求头，例如 { Authorization: 'Bearer ...' }
+    this.exportFormat = LOG_EXPORT_FORMATS.LEGACY;
+    this.compression = false; // 是否gzip压缩请求体
     this.minLevel = LogLevel.ERROR; // 默认只发送错误日志
     this.enabledCategories = Object.values(LogCategory);
     this.batchSize = 10;
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // 5秒
-    this.pendingLogs = [];
+    this.retryDelay = DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.baseDelay; // 第一次重试的等待时间，之后指数增长
+    this.maxRetryDelay = DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.maxDelay;
+    this.maxQueueBytes = DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.maxBytes;
+    this.queue = remoteLogQueue; // 待发送日志保存在IndexedDB中，挂起或重启后继续发送
+    this.queuedSinceSend = 0;
     this.isSending = false;
     this.sendInterval = null;
     this.sendIntervalTime = 60000; // 1分钟
+    this.retryTimer = null;
     
     this._loadSettings();
   }
@@ -46,16 +54,24 @@ class RemoteLoggingService {
         this.isEnabled = settings.isEnabled !== undefined ? settings.isEnabled : false;
         this.serverUrl = settings.serverUrl || '';
         this.apiKey = settings.apiKey || '';
+        this.authHeaders = settings.authHeaders || {};
+        this.exportFormat = settings.exportFormat || LOG_EXPORT_FORMATS.LEGACY;
+        this.compression = settings.compression === true;
         this.minLevel = settings.minLevel !== undefined ? settings.minLevel : LogLevel.ERROR;
         this.enabledCategories = settings.enabledCategories || Object.values(LogCategory);
         this.batchSize = settings.batchSize || 10;
-        this.maxRetries = settings.maxRetries || 3;
-        this.retryDelay = settings.retryDelay || 5000;
+        this.retryDelay = settings.retryDelay || DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.baseDelay;
+        this.maxRetryDelay = settings.maxRetryDelay || DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.maxDelay;
+        this.maxQueueBytes = settings.maxQueueBytes || DEFAULT_REMOTE_LOG_QUEUE_OPTIONS.maxBytes;
         this.sendIntervalTime = settings.sendIntervalTime || 60000;
       }
       
+      this._configureQueue();
+      
       if (this.isEnabled && this.serverUrl) {
         this._startSendInterval();
+        // 发送上次挂起或重启前留在队列中的日志（仍在退避中时会等到退避结束）
+        this._sendPendingLogs();
       }
     } catch (error) {
       console.error('加载远程日志设置失败:', error);
@@ -73,11 +89,15 @@ class RemoteLoggingService {
         isEnabled: this.isEnabled,
         serverUrl: this.serverUrl,
         apiKey: this.apiKey,
+        authHeaders: this.authHeaders,
+        exportFormat: this.exportFormat,
+        compression: this.compression,
         minLevel: this.minLevel,
         enabledCategories: this.enabledCategories,
         batchSize: this.batchSize,
-        maxRetries: this.maxRetries,
         retryDelay: this.retryDelay,
+        maxRetryDelay: this.maxRetryDelay,
+        maxQueueBytes: this.maxQueueBytes,
         sendIntervalTime: this.sendIntervalTime
       };
       
@@ -110,6 +130,39 @@ class RemoteLoggingService {
       clearInterval(this.sendInterval);
       this.sendInterval = null;
     }
+    
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+  
+  /**
+   * 退避结束后再次发送
+   * @param {number} delay - 等待时间（毫秒）
+   * @private
+   */
+  _scheduleRetry(delay) {
+    if (this.retryTimer) {
+      clearTimeout(this.retryTimer);
+    }
+    
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._sendPendingLogs();
+    }, delay);
+  }
+  
+  /**
+   * 把队列大小和退避设置同步到队列
+   * @private
+   */
+  _configureQueue() {
+    this.queue.configure({
+      maxBytes: this.maxQueueBytes,
+      baseDelay: this.retryDelay,
+      maxDelay: this.maxRetryDelay
+    });
   }
   
   /**
@@ -159,6 +212,51 @@ class RemoteLoggingService {
     loggingService.info(LogCategory.APP, '设置远程日志API密钥');
   }
   
+  /**
+   * 设置认证请求头，会覆盖同名的X-API-Key
+   * @param {Object} headers - 请求头名称到值的映射，例如 { Authorization: 'Bearer ...' }
+   */
+  async setAuthHeaders(headers) {
+    this.authHeaders = {};
+    
+    Object.keys(headers || {}).forEach(name => {
+      const value = headers[name];
+      if (name.trim() && typeof value === 'string' && value) {
+        this.authHeaders[name.trim()] = value;
+      }
+    });
+    
+    await this._saveSettings();
+    
+    loggingService.info(LogCategory.APP, '设置远程日志认证请求头', { headers: Object.keys(this.authHeaders) });
+  }
+  
+  /**
+   * 设置日志导出格式
+   * @param {string} format - 导出格式，见LOG_EXPORT_FORMATS
+   */
+  async setExportFormat(format) {
+    if (!Object.values(LOG_EXPORT_FORMATS).includes(format)) {
+      throw new Error(`不支持的日志导出格式: ${format}`);
+    }
+    
+    this.exportFormat = format;
+    await this._saveSettings();
+    
+    loggingService.info(LogCategory.APP, '设置远程日志导出格式', { format });
+  }
+  
+  /**
+   * 设置是否gzip压缩请求体
+   * @param {boolean} enabled - 是否压缩
+   */
+  async setCompression(enabled) {
+    this.compression = !!enabled;
+    await this._saveSettings();
+    
+    loggingService.info(LogCategory.APP, `${this.compression ? '启用' : '禁用'}远程日志压缩`);
+  }
+  
   /**
    * 设置最小日志级别
    * @param {LogLevel} level - 日志级别
@@ -208,19 +306,53 @@ class RemoteLoggingService {
     loggingService.info(LogCategory.APP, '设置远程日志发送间隔', { intervalMs });
   }
   
+  /**
+   * 设置发送失败后的退避时间
+   * @param {number} retryDelay - 第一次重试的等待时间（毫秒）
+   * @param {number} maxRetryDelay - 最长等待时间（毫秒）
+   */
+  async setRetryDelay(retryDelay, maxRetryDelay) {
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this._configureQueue();
+    await this._saveSettings();
+    
+    loggingService.info(LogCategory.APP, '设置远程日志重试等待时间', { retryDelay, maxRetryDelay });
+  }
+  
+  /**
+   * 设置待发送队列的字节上限，超出时丢弃最旧的日志
+   * @param {number} maxBytes - 字节上限
+   */
+  async setMaxQueueBytes(maxBytes) {
+    this.maxQueueBytes = maxBytes;
+    this._configureQueue();
+    await this._saveSettings();
+    
+    loggingService.info(LogCategory.APP, '设置远程日志队列上限', { maxBytes });
+  }
+  
   /**
    * 发送日志
    * @param {Object} logEntry - 日志条目
-   * @returns {Promise<boolean>} - 是否成功
+   * @returns {Promise<boolean>} - 是否已加入发送队列
    */
   async sendLog(logEntry) {
     if (!this.isEnabled || !this.serverUrl || logEntry.level < this.minLevel || !this.enabledCategories.includes(logEntry.category)) {
       return false;
     }
     
-    this.pendingLogs.push(this._sanitizeLogEntry(logEntry));
+    try {
+      await this.queue.enqueue([this._sanitizeLogEntry(logEntry)]);
+    } catch (error) {
+      // 这里不能再写日志，否则错误日志又会进入远程发送流程
+      console.error('远程日志加入发送队列失败:', error);
+      return false;
+    }
+    
+    this.queuedSinceSend++;
     
-    if (this.pendingLogs.length >= this.batchSize) {
+    if (this.queuedSinceSend >= this.batchSize) {
       this._sendPendingLogs();
     }
     
@@ -228,82 +360,134 @@ class RemoteLoggingService {
   }
   
   /**
-   * 发送待发送日志
+   * 获取待发送队列状态
+   * @returns {Promise<Object>} - { count, bytes, maxBytes, attempts, nextAttemptAt, lastError, lastErrorAt, lastSuccessAt, dropped }
+   */
+  async getQueueStats() {
+    return this.queue.getStats();
+  }
+  
+  /**
+   * 发送待发送日志，仍在退避中时等到退避结束再发送
    * @private
    */
   async _sendPendingLogs() {
-    if (this.isSending || this.pendingLogs.length === 0 || !this.isEnabled || !this.serverUrl) {
+    if (this.isSending || !this.isEnabled || !this.serverUrl) {
       return;
     }
     
     this.isSending = true;
     
     try {
-      const logsToSend = this.pendingLogs.slice(0, this.batchSize);
-      
-      const success = await this._sendToServer(logsToSend);
-      
-      if (success) {
-        this.pendingLogs = this.pendingLogs.slice(logsToSend.length);
-        
-        loggingService.debug(LogCategory.APP, '远程日志发送成功', { count: logsToSend.length });
-      }
+      await this._drainQueue(false);
     } catch (error) {
       console.error('发送远程日志失败:', error);
-      loggingService.error(LogCategory.APP, '发送远程日志失败', { error: error.message });
     } finally {
       this.isSending = false;
     }
   }
   
   /**
-   * 发送日志到服务器
-   * @param {Array} logs - 日志数组
-   * @returns {Promise<boolean>} - 是否成功
+   * 按批发送队列中的日志，直到队列为空或发送失败
+   * @param {boolean} force - 是否忽略退避立即发送
+   * @returns {Promise<boolean>} - 队列是否已全部发送
    * @private
    */
-  async _sendToServer(logs) {
-    let retries = 0;
-    
-    while (retries < this.maxRetries) {
-      try {
-        const response = await fetch(this.serverUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'X-API-Key': this.apiKey
-          },
-          body: JSON.stringify({
-            logs,
-            clientInfo: {
-              version: chrome.runtime.getManifest().version,
-              userAgent: navigator.userAgent,
-              timestamp: Date.now()
-            }
-          })
-        });
-        
-        if (response.ok) {
+  _drainQueue(force) {
+    return this.queue.withLock(async () => {
+      this.queuedSinceSend = 0;
+      
+      if (!force) {
+        const wait = await this.queue.getRetryDelay();
+        if (wait > 0) {
+          this._scheduleRetry(wait);
+          return false;
+        }
+      }
+      
+      for (;;) {
+        const entries = await this.queue.peek(this.batchSize);
+        if (entries.length === 0) {
           return true;
         }
         
-        console.error('远程日志服务器响应错误:', response.status, response.statusText);
+        const ids = entries.map(entry => entry.id);
+        const result = await this._sendToServer(entries.map(entry => entry.log));
         
-        if (response.status >= 500) {
-          retries++;
-          await new Promise(resolve => setTimeout(resolve, this.retryDelay));
-        } else {
-          return false;
+        if (result.ok) {
+          await this.queue.remove(ids);
+          await this.queue.recordSuccess();
+          continue;
+        }
+        
+        if (!result.retryable) {
+          // 服务器拒绝了这批日志的内容（400/413/422），重试也不会成功，丢弃后继续发送后面的日志
+          await this.queue.remove(ids);
+          await this.queue.recordFailure(`${result.error}，已丢弃${ids.length}条日志`, { retry: false, dropped: ids.length });
+          continue;
         }
-      } catch (error) {
-        console.error('发送远程日志请求失败:', error);
         
-        retries++;
-        await new Promise(resolve => setTimeout(resolve, this.retryDelay));
+        const delay = await this.queue.recordFailure(result.error);
+        console.warn(`远程日志发送失败，${Math.round(delay / 1000)}秒后重试:`, result.error);
+        this._scheduleRetry(delay);
+        return false;
       }
-    }
+    });
+  }
+  
+  /**
+   * 发送一批日志到服务器
+   * @param {Array} logs - 日志数组
+   * @returns {Promise<Object>} - { ok, retryable, error }
+   * @private
+   */
+  async _sendToServer(logs) {
+    const request = await buildLogRequest(logs, {
+      format: this.exportFormat,
+      compression: this.compression,
+      headers: this._getAuthHeaders(),
+      clientInfo: {
+        version: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent,
+        timestamp: Date.now()
+      }
+    });
     
-    return false;
+    try {
+      const response = await fetch(this.serverUrl, {
+        method: 'POST',
+        headers: request.headers,
+        body: request.body
+      });
+      
+      if (response.ok) {
+        return { ok: true };
+      }
+      
+      console.error('远程日志服务器响应错误:', response.status, response.statusText);
+      
+      return {
+        ok: false,
+        retryable: isRetryableStatus(response.status),
+        error: `服务器响应错误: ${response.status} ${response.statusText || ''}`.trim()
+      };
+    } catch (error) {
+      console.error('发送远程日志请求失败:', error);
+      
+      return { ok: false, retryable: true, error: `网络错误: ${error.message}` };
+    }
+  }
+  
+  /**
+   * 获取认证请求头
+   * @returns {Object} - 请求头
+   * @private
+   */
+  _getAuthHeaders() {
+    return {
+      ...(this.apiKey ? { 'X-API-Key': this.apiKey } : {}),
+      ...this.authHeaders
+    };
   }
   
   /**
@@ -354,27 +538,16 @@ class RemoteLoggingService {
   }
   
   /**
-   * 立即发送所有待发送日志
+   * 忽略退避立即发送所有待发送日志
    * @returns {Promise<boolean>} - 是否成功
    */
   async flushLogs() {
-    if (this.pendingLogs.length === 0 || !this.isEnabled || !this.serverUrl) {
+    if (!this.isEnabled || !this.serverUrl) {
       return true;
     }
     
     try {
-      while (this.pendingLogs.length > 0) {
-        const logsToSend = this.pendingLogs.slice(0, this.batchSize);
-        const success = await this._sendToServer(logsToSend);
-        
-        if (success) {
-          this.pendingLogs = this.pendingLogs.slice(logsToSend.length);
-        } else {
-          return false;
-        }
-      }
-      
-      return true;
+      return await this._drainQueue(true);
     } catch (error) {
       console.error('刷新远程日志失败:', error);
       loggingService.error(LogCategory.APP, '刷新远程日志失败', { error: error.message });
@@ -6,7 +6,7 @@
  * @copyright © 2025 Resource Sniffer
  */
 
-import { RESOURCE_TYPES, SOURCE_TYPES, SORT_METHODS } from '../config/constants.js';
+import { RESOURCE_TYPES, SOURCE_TYPES, SORT_METHODS, QUALITY_LEVELS } from '../config/constants.js';
 import ResourceUtils from '../utils/resource-utils.js';
 import URLUtils from '../utils/url-utils.js';
 
@@ -21,6 +21,29 @@ class ResourceService {
   constructor() {
     this.resources = {};
     this.similarityGroups = {};
+    this.pageUrls = {};
+    this.ruleEngine = null;
+  }
+  
+  /**
+   * 设置规则引擎，设置后新资源加入前先经过规则的包含/排除、质量阈值、加分、文件名模板和下载子目录
+   * @param {Object} ruleEngine - 规则引擎（RuleEngineService）
+   */
+  setRuleEngine(ruleEngine) {
+    this.ruleEngine = ruleEngine;
+  }
+  
+  /**
+   * 记录标签页当前页面的URL，作为评估规则时的页面上下文
+   * @param {string} tabId - 标签页ID
+   * @param {string|null} url - 页面URL，为空时移除
+   */
+  setPageUrl(tabId, url) {
+    if (url) {
+      this.pageUrls[tabId] = url;
+    } else {
+      delete this.pageUrls[tabId];
+    }
   }
   
   /**
@@ -36,10 +59,20 @@ class ResourceService {
       this.resources[tabId] = [];
     }
     
-    const existingIndex = this.resources[tabId].findIndex(r => r.url === resource.url);
+    this._normalizeVariants(resource);
+    
+    const existingIndex = this.resources[tabId].findIndex(r => 
+      r.url === resource.url || this._sharesVariant(r, resource)
+    );
     
     if (existingIndex !== -1) {
-      this._updateExistingResource(this.resources[tabId][existingIndex], resource);
+      const existingResource = this.resources[tabId][existingIndex];
+      
+      if (existingResource.url === resource.url && !resource.variants) {
+        this._updateExistingResource(existingResource, resource);
+      } else {
+        this._mergeVariantResource(tabId, existingResource, resource);
+      }
       return false;
     } else {
       if (!resource.score) {
@@ -52,11 +85,51 @@ class ResourceService {
         resource.quality = ResourceUtils.estimateQualityLevel(resource);
       }
       
+      if (!this._applyRules(tabId, resource)) {
+        return false;
+      }
+      
       this.resources[tabId].push(resource);
       return true;
     }
   }
   
+  /**
+   * 用规则引擎评估新资源：被排除或低于质量阈值的资源不加入，规则加分计入评分，
+   * 规则指定的文件名模板和下载子目录写到资源上，下载时使用
+   * @param {string} tabId - 标签页ID
+   * @param {Object} resource - 资源对象
+   * @returns {boolean} - 是否保留资源
+   * @private
+   */
+  _applyRules(tabId, resource) {
+    const pageUrl = this.pageUrls[tabId] || resource.pageUrl;
+    if (!this.ruleEngine || !pageUrl) return true;
+    
+    try {
+      const strategy = this.ruleEngine.getResourceStrategy(resource, this.ruleEngine.getPageContext({ url: pageUrl }));
+      
+      if (!strategy.shouldProcess) return false;
+      
+      if (strategy.scoreBoost) {
+        resource.score = (resource.score || 0) + strategy.scoreBoost;
+        resource.scoreDetails = { ...resource.scoreDetails, rules: { score: strategy.scoreBoost, value: '规则加分' } };
+      }
+      
+      if (strategy.filenameTemplate) {
+        resource.filenameTemplate = strategy.filenameTemplate;
+      }
+      
+      if (strategy.targetFolder) {
+        resource.targetFolder = strategy.targetFolder;
+      }
+    } catch (e) {
+      console.warn('评估资源规则错误:', e);
+    }
+    
+    return true;
+  }
+  
   /**
    * 批量添加资源
    * @param {string} tabId - 标签页ID
@@ -198,6 +271,139 @@ class ResourceService {
     if (newResource.thumbnailUrl && !existingResource.thumbnailUrl) {
       existingResource.thumbnailUrl = newResource.thumbnailUrl;
     }
+
+    // MSE流的缓存数据会随播放持续增长，以最新状态为准
+    if (newResource.mse) {
+      existingResource.mse = newResource.mse;
+      existingResource.size = newResource.size;
+    }
+  }
+  
+  /**
+   * 规范化资源的变体列表：按清晰度排序，非流媒体资源的URL指向最佳变体
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  _normalizeVariants(resource) {
+    if (!Array.isArray(resource.variants) || resource.variants.length === 0) {
+      delete resource.variants;
+      return;
+    }
+    
+    resource.variants = ResourceUtils.mergeVariants([], resource.variants.map(v => ResourceUtils.createVariant(v)));
+    this._applyBestVariant(resource);
+  }
+  
+  /**
+   * 判断两个资源是否为同一资源的不同变体（URL或变体URL有交集）
+   * @param {Object} a - 资源A
+   * @param {Object} b - 资源B
+   * @returns {boolean} - 是否共享变体
+   * @private
+   */
+  _sharesVariant(a, b) {
+    if (!a.variants && !b.variants) return false;
+    
+    const urlsA = new Set([a.url, ...(a.variants || []).map(v => v.url)]);
+    
+    return b.url === a.url || urlsA.has(b.url) || 
+      (b.variants || []).some(v => urlsA.has(v.url));
+  }
+  
+  /**
+   * 将资源作为变体合并到父资源中，并吸收列表中其他已被覆盖的变体资源
+   * @param {string} tabId - 标签页ID
+   * @param {Object} parent - 父资源
+   * @param {Object} resource - 新资源
+   * @private
+   */
+  _mergeVariantResource(tabId, parent, resource) {
+    parent.variants = ResourceUtils.mergeVariants(
+      this._getVariantList(parent),
+      this._getVariantList(resource)
+    );
+    
+    this._mergeSources(parent, resource);
+    
+    this.resources[tabId] = this.resources[tabId].filter(r => {
+      if (r === parent || !this._sharesVariant(parent, r)) return true;
+      
+      this._mergeSources(parent, r);
+      return false;
+    });
+    
+    this._applyBestVariant(parent);
+    
+    if (!parent.thumbnailUrl && resource.thumbnailUrl) {
+      parent.thumbnailUrl = resource.thumbnailUrl;
+    }
+  }
+  
+  /**
+   * 获取资源自身对应的变体列表（没有变体的普通资源视为单一变体；流媒体清单本身不是变体）
+   * @param {Object} resource - 资源对象
+   * @returns {Array} - 变体列表
+   * @private
+   */
+  _getVariantList(resource) {
+    if (resource.variants) return resource.variants;
+    if (resource.isStream) return [];
+    
+    return [ResourceUtils.createVariant({
+      url: resource.url,
+      width: resource.width,
+      height: resource.height,
+      contentType: resource.contentType
+    })];
+  }
+  
+  /**
+   * 使父资源的URL和尺寸指向最佳变体（流媒体保留清单URL）
+   * @param {Object} resource - 资源对象
+   * @private
+   */
+  _applyBestVariant(resource) {
+    const best = ResourceUtils.getBestVariant(resource.variants);
+    if (!best) return;
+    
+    if (!resource.isStream && best.url !== resource.url) {
+      resource.url = best.url;
+      resource.filename = URLUtils.getFileName(best.url) || resource.filename;
+      resource.width = best.width;
+      resource.height = best.height;
+      resource.size = 0;
+      resource.sizeFormatted = '';
+      
+      const quality = ResourceUtils.estimateQualityLevel(resource);
+      if (quality !== QUALITY_LEVELS.UNKNOWN) {
+        resource.quality = quality;
+      }
+      return;
+    }
+    
+    if (best.width > (resource.width || 0)) resource.width = best.width;
+    if (best.height > (resource.height || 0)) resource.height = best.height;
+  }
+  
+  /**
+   * 合并资源来源
+   * @param {Object} target - 目标资源
+   * @param {Object} resource - 来源资源
+   * @private
+   */
+  _mergeSources(target, resource) {
+    const sources = [resource.source, ...(resource.sources || [])].filter(Boolean);
+    if (sources.length === 0) return;
+    
+    if (!target.sources) {
+      target.sources = [target.source || 'unknown'];
+    }
+    
+    sources.forEach(source => {
+      if (!target.sources.includes(source)) {
+        target.sources.push(source);
+      }
+    });
   }
   
   /**
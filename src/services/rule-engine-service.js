@@ -1,286 +1,321 @@
 /**
  * @file rule-engine-service.js
  * @description 启发式规则引擎服务，根据URL模式和DOM结构动态调整检测策略
+ * 规则使用声明式格式（见 utils/rule-dsl.js），可以从规则包导入
  * @version 1.0.0
  * @license MIT
  * @copyright © 2025 Resource Sniffer
  */
 
-import { RESOURCE_TYPES, SOURCE_TYPES } from '../config/constants.js';
+import { RESOURCE_TYPES } from '../config/constants.js';
+import RuleDSL from '../utils/rule-dsl.js';
 
 /**
- * 启发式规则引擎服务
- * @class RuleEngineService
+ * 把检测配置转换为setOption动作
+ * @param {Object} values - 配置项
+ * @returns {Array<Object>} - 动作数组
+ * @private
  */
-class RuleEngineService {
-  /**
-   * 创建规则引擎服务实例
-   */
-  constructor() {
-    this.rules = [];
-    this.sitePatterns = new Map();
-    this.domainRules = new Map();
-    this.initialized = false;
-    
-    this._initDefaultRules();
-  }
-  
-  /**
-   * 初始化默认规则
-   * @private
-   */
-  _initDefaultRules() {
-    this.rules = [
-      {
-        id: 'general-image-rule',
-        name: '通用图片规则',
-        priority: 10,
-        condition: (context) => context.resourceType === RESOURCE_TYPES.IMAGE,
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'css', 'attribute'],
-          processingPriority: 'high'
-        })
-      },
-      {
-        id: 'general-video-rule',
-        name: '通用视频规则',
-        priority: 10,
-        condition: (context) => context.resourceType === RESOURCE_TYPES.VIDEO,
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'streaming'],
-          processingPriority: 'high'
-        })
-      },
-      {
-        id: 'large-page-optimization',
-        name: '大型页面优化',
-        priority: 20,
-        condition: (context) => context.domInfo && context.domInfo.elementCount > 1000,
-        action: (context) => ({
-          shouldProcess: true,
-          useDistributedProcessing: true,
-          batchSize: 200,
-          processingPriority: 'medium'
-        })
-      },
-      {
-        id: 'image-gallery-optimization',
-        name: '图片库优化',
-        priority: 30,
-        condition: (context) => {
-          return context.domInfo && 
-                 context.domInfo.imageCount > 20 && 
-                 (context.domInfo.imageCount / context.domInfo.elementCount) > 0.1;
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'css', 'attribute', 'shadow'],
-          useDeduplication: true,
-          usePrediction: true,
-          processingPriority: 'high'
-        })
-      },
-      {
-        id: 'video-site-optimization',
-        name: '视频网站优化',
-        priority: 30,
-        condition: (context) => {
-          return context.domInfo && 
-                 (context.domInfo.videoCount > 0 || 
-                  context.url.includes('video') || 
-                  context.url.includes('watch'));
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'streaming', 'attribute'],
-          useStreamingDetection: true,
-          processingPriority: 'high'
-        })
-      },
-      {
-        id: 'social-media-optimization',
-        name: '社交媒体优化',
-        priority: 40,
-        condition: (context) => {
-          const domain = this._extractDomain(context.url);
-          return domain.includes('instagram') || 
-                 domain.includes('twitter') || 
-                 domain.includes('facebook') || 
-                 domain.includes('weibo') ||
-                 domain.includes('tiktok') ||
-                 domain.includes('pinterest');
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'shadow', 'attribute'],
-          useDeduplication: true,
-          usePrediction: true,
-          processingPriority: 'high',
-          monitorDynamicContent: true
-        })
-      },
-      {
-        id: 'e-commerce-optimization',
-        name: '电商网站优化',
-        priority: 40,
-        condition: (context) => {
-          const domain = this._extractDomain(context.url);
-          return domain.includes('amazon') || 
-                 domain.includes('ebay') || 
-                 domain.includes('taobao') || 
-                 domain.includes('tmall') ||
-                 domain.includes('jd') ||
-                 domain.includes('shopify') ||
-                 domain.includes('shop');
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'css', 'attribute'],
-          useDeduplication: true,
-          usePrediction: true,
-          processingPriority: 'medium',
-          focusOnHighQuality: true
-        })
-      },
-      {
-        id: 'news-site-optimization',
-        name: '新闻网站优化',
-        priority: 40,
-        condition: (context) => {
-          const domain = this._extractDomain(context.url);
-          return domain.includes('news') || 
-                 domain.includes('cnn') || 
-                 domain.includes('bbc') || 
-                 domain.includes('nytimes') ||
-                 domain.includes('guardian') ||
-                 domain.includes('sina') ||
-                 domain.includes('sohu');
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['dom', 'css'],
-          useDeduplication: true,
-          processingPriority: 'medium'
-        })
-      },
-      {
-        id: 'spa-optimization',
-        name: 'SPA应用优化',
-        priority: 50,
-        condition: (context) => {
-          return context.domInfo && 
-                 context.domInfo.hasShadowDOM && 
-                 (context.url.includes('app') || context.url.includes('spa'));
-        },
-        action: (context) => ({
-          shouldProcess: true,
-          detectionMethods: ['shadow', 'dom', 'attribute'],
-          monitorDynamicContent: true,
-          processingPriority: 'high'
-        })
-      }
-    ];
-    
-    this.sitePatterns.set('youtube.com', {
-      id: 'youtube-rule',
-      name: 'YouTube优化',
-      priority: 100,
+function optionActions(values) {
+  return Object.keys(values).map(key => ({ type: 'setOption', key: key, value: values[key] }));
+}
+
+/**
+ * 默认规则
+ * @type {Array<Object>}
+ * @private
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'general-image-rule',
+    name: '通用图片规则',
+    priority: 10,
+    match: { resourceType: RESOURCE_TYPES.IMAGE },
+    actions: optionActions({
+      detectionMethods: ['dom', 'css', 'attribute'],
+      processingPriority: 'high'
+    })
+  },
+  {
+    id: 'general-video-rule',
+    name: '通用视频规则',
+    priority: 10,
+    match: { resourceType: RESOURCE_TYPES.VIDEO },
+    actions: optionActions({
+      detectionMethods: ['dom', 'streaming'],
+      processingPriority: 'high'
+    })
+  },
+  {
+    id: 'large-page-optimization',
+    name: '大型页面优化',
+    priority: 20,
+    match: { dom: { elementCount: { min: 1001 } } },
+    actions: optionActions({
+      useDistributedProcessing: true,
+      batchSize: 200,
+      processingPriority: 'medium'
+    })
+  },
+  {
+    id: 'image-gallery-optimization',
+    name: '图片库优化',
+    priority: 30,
+    match: { dom: { imageCount: { min: 21 }, imageRatio: { min: 0.1 } } },
+    actions: optionActions({
+      detectionMethods: ['dom', 'css', 'attribute', 'shadow'],
+      useDeduplication: true,
+      usePrediction: true,
+      processingPriority: 'high'
+    })
+  },
+  {
+    id: 'video-site-optimization',
+    name: '视频网站优化',
+    priority: 30,
+    match: { any: [{ dom: { videoCount: 1 } }, { url: 'video|watch' }] },
+    actions: optionActions({
+      detectionMethods: ['dom', 'streaming', 'attribute'],
+      useStreamingDetection: true,
+      processingPriority: 'high'
+    })
+  },
+  {
+    id: 'social-media-optimization',
+    name: '社交媒体优化',
+    priority: 40,
+    match: { domain: ['*instagram*', '*twitter*', '*facebook*', '*weibo*', '*tiktok*', '*pinterest*'] },
+    actions: optionActions({
+      detectionMethods: ['dom', 'shadow', 'attribute'],
+      useDeduplication: true,
+      usePrediction: true,
+      processingPriority: 'high',
+      monitorDynamicContent: true
+    })
+  },
+  {
+    id: 'e-commerce-optimization',
+    name: '电商网站优化',
+    priority: 40,
+    match: { domain: ['*amazon*', '*ebay*', '*taobao*', '*tmall*', '*jd*', '*shopify*', '*shop*'] },
+    actions: optionActions({
+      detectionMethods: ['dom', 'css', 'attribute'],
+      useDeduplication: true,
+      usePrediction: true,
+      processingPriority: 'medium',
+      focusOnHighQuality: true
+    })
+  },
+  {
+    id: 'news-site-optimization',
+    name: '新闻网站优化',
+    priority: 40,
+    match: { domain: ['*news*', '*cnn*', '*bbc*', '*nytimes*', '*guardian*', '*sina*', '*sohu*'] },
+    actions: optionActions({
+      detectionMethods: ['dom', 'css'],
+      useDeduplication: true,
+      processingPriority: 'medium'
+    })
+  },
+  {
+    id: 'spa-optimization',
+    name: 'SPA应用优化',
+    priority: 50,
+    match: { dom: { hasShadowDOM: true }, url: 'app|spa' },
+    actions: optionActions({
+      detectionMethods: ['shadow', 'dom', 'attribute'],
+      monitorDynamicContent: true,
+      processingPriority: 'high'
+    })
+  },
+  {
+    id: 'youtube-rule',
+    name: 'YouTube优化',
+    priority: 100,
+    match: { domain: '*.youtube.com' },
+    actions: optionActions({
       detectionMethods: ['streaming', 'dom'],
       useStreamingDetection: true,
       processingPriority: 'high',
       monitorDynamicContent: true
-    });
-    
-    this.sitePatterns.set('vimeo.com', {
-      id: 'vimeo-rule',
-      name: 'Vimeo优化',
-      priority: 100,
+    })
+  },
+  {
+    id: 'vimeo-rule',
+    name: 'Vimeo优化',
+    priority: 100,
+    match: { domain: '*.vimeo.com' },
+    actions: optionActions({
       detectionMethods: ['streaming', 'dom'],
       useStreamingDetection: true,
       processingPriority: 'high'
-    });
-    
-    this.sitePatterns.set('netflix.com', {
-      id: 'netflix-rule',
-      name: 'Netflix优化',
-      priority: 100,
+    })
+  },
+  {
+    id: 'netflix-rule',
+    name: 'Netflix优化',
+    priority: 100,
+    match: { domain: '*.netflix.com' },
+    actions: optionActions({
       detectionMethods: ['streaming'],
       useStreamingDetection: true,
       processingPriority: 'high'
-    });
-    
-    this.sitePatterns.set('bilibili.com', {
-      id: 'bilibili-rule',
-      name: 'Bilibili优化',
-      priority: 100,
+    })
+  },
+  {
+    id: 'bilibili-rule',
+    name: 'Bilibili优化',
+    priority: 100,
+    match: { domain: '*.bilibili.com' },
+    actions: optionActions({
       detectionMethods: ['streaming', 'dom'],
       useStreamingDetection: true,
       processingPriority: 'high',
       monitorDynamicContent: true
-    });
-    
-    this.sitePatterns.set('flickr.com', {
-      id: 'flickr-rule',
-      name: 'Flickr优化',
-      priority: 100,
+    })
+  },
+  {
+    id: 'flickr-rule',
+    name: 'Flickr优化',
+    priority: 100,
+    match: { domain: '*.flickr.com' },
+    actions: optionActions({
       detectionMethods: ['dom', 'css', 'attribute'],
       useDeduplication: true,
       processingPriority: 'high',
       focusOnHighQuality: true
-    });
-    
-    this.sitePatterns.set('500px.com', {
-      id: '500px-rule',
-      name: '500px优化',
-      priority: 100,
+    })
+  },
+  {
+    id: '500px-rule',
+    name: '500px优化',
+    priority: 100,
+    match: { domain: '*.500px.com' },
+    actions: optionActions({
       detectionMethods: ['dom', 'css', 'attribute'],
       useDeduplication: true,
       processingPriority: 'high',
       focusOnHighQuality: true
-    });
-    
-    this.sitePatterns.set('unsplash.com', {
-      id: 'unsplash-rule',
-      name: 'Unsplash优化',
-      priority: 100,
+    })
+  },
+  {
+    id: 'unsplash-rule',
+    name: 'Unsplash优化',
+    priority: 100,
+    match: { domain: '*.unsplash.com' },
+    actions: optionActions({
       detectionMethods: ['dom', 'css', 'attribute'],
       useDeduplication: true,
       processingPriority: 'high',
       focusOnHighQuality: true
-    });
+    })
+  }
+];
+
+/**
+ * 启发式规则引擎服务
+ * @class RuleEngineService
+ */
+class RuleEngineService {
+  /**
+   * 创建规则引擎服务实例
+   */
+  constructor() {
+    this.rules = [];
+    this.customRules = [];
+    this.initialized = false;
     
+    this._initDefaultRules();
+  }
+  
+  /**
+   * 初始化默认规则
+   * @private
+   */
+  _initDefaultRules() {
+    this.rules = DEFAULT_RULES.slice();
     this.initialized = true;
   }
   
   /**
-   * 添加自定义规则
-   * @param {Object} rule - 规则对象
+   * 添加自定义规则，同一ID的规则会被替换
+   * @param {Object} rule - 声明式规则对象
    * @returns {boolean} - 是否成功添加
    */
   addRule(rule) {
-    if (!rule || !rule.id || !rule.condition || !rule.action) {
-      console.warn('规则格式无效');
+    const validation = RuleDSL.validateRule(rule);
+    if (!validation.valid) {
+      console.warn('规则格式无效:', validation.errors);
       return false;
     }
     
-    const existingRuleIndex = this.rules.findIndex(r => r.id === rule.id);
+    const existingRuleIndex = this.customRules.findIndex(r => r.id === rule.id);
     if (existingRuleIndex !== -1) {
-      this.rules[existingRuleIndex] = rule;
+      this.customRules[existingRuleIndex] = rule;
     } else {
-      this.rules.push(rule);
+      this.customRules.push(rule);
     }
     
-    this.rules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    return true;
+  }
+  
+  /**
+   * 移除自定义规则
+   * @param {string} id - 规则ID
+   * @returns {boolean} - 是否存在并已移除
+   */
+  removeRule(id) {
+    const index = this.customRules.findIndex(rule => rule.id === id);
+    if (index === -1) return false;
     
+    this.customRules.splice(index, 1);
     return true;
   }
   
+  /**
+   * 替换全部自定义规则（例如从规则包加载），无效的规则会被跳过
+   * @param {Array<Object>} rules - 声明式规则数组
+   * @returns {number} - 加载的规则数量
+   */
+  setCustomRules(rules) {
+    this.customRules = [];
+    
+    (rules || []).forEach(rule => this.addRule(rule));
+    
+    return this.customRules.length;
+  }
+  
+  /**
+   * 从规则包服务加载已启用的规则
+   * @param {Object} rulePackService - 规则包服务
+   * @returns {Promise<number>} - 加载的规则数量
+   */
+  async loadRulePacks(rulePackService) {
+    const rules = await rulePackService.getRules();
+    return this.setCustomRules(rules);
+  }
+  
+  /**
+   * 获取所有规则（默认规则和自定义规则）
+   * @returns {Array<Object>} - 规则数组
+   */
+  getRules() {
+    return [...this.rules, ...this.customRules];
+  }
+  
+  /**
+   * 导出自定义规则为规则包文件内容
+   * @param {string} name - 规则包名称
+   * @returns {string} - 规则包JSON文本
+   */
+  exportRules(name) {
+    return RuleDSL.serializePack({ name: name, rules: this.customRules });
+  }
+  
   /**
    * 添加网站特定规则
    * @param {string} domain - 域名
-   * @param {Object} rule - 规则对象
+   * @param {Object} rule - 规则配置 { id, name, priority, ...检测配置 }
    * @returns {boolean} - 是否成功添加
    */
   addSiteRule(domain, rule) {
@@ -289,13 +324,20 @@ class RuleEngineService {
       return false;
     }
     
-    this.sitePatterns.set(domain.toLowerCase(), rule);
-    return true;
+    const { id, name, priority, ...options } = rule;
+    
+    return this.addRule({
+      id: id || `site-${domain.toLowerCase()}`,
+      name: name || domain,
+      priority: priority !== undefined ? priority : 100,
+      match: { domain: `*.${domain.toLowerCase()}` },
+      actions: optionActions(options)
+    });
   }
   
   /**
-   * 评估上下文并应用规则
-   * @param {Object} context - 上下文对象
+   * 评估上下文并应用规则，多条规则设置同一配置时以优先级高的为准
+   * @param {Object} context - 上下文对象 { url, domInfo, resource }
    * @returns {Object} - 规则评估结果
    */
   evaluateRules(context) {
@@ -318,43 +360,21 @@ class RuleEngineService {
       focusOnHighQuality: false
     };
     
-    const domain = this._extractDomain(context.url);
-    let config = { ...defaultConfig };
-    
-    for (const [siteDomain, siteRule] of this.sitePatterns.entries()) {
-      if (domain.includes(siteDomain)) {
-        config = { ...config, ...siteRule };
-        break;
-      }
-    }
+    const evaluation = RuleDSL.evaluate(this.getRules(), context);
+    const config = { ...defaultConfig, ...evaluation.options };
     
-    for (const rule of this.rules) {
-      try {
-        if (rule.condition(context)) {
-          const ruleResult = rule.action(context);
-          config = { ...config, ...ruleResult };
-        }
-      } catch (e) {
-        console.warn(`规则评估错误 (${rule.id}):`, e);
-      }
+    if (evaluation.include !== null) {
+      config.shouldProcess = evaluation.include;
     }
     
-    return config;
-  }
-  
-  /**
-   * 从URL提取域名
-   * @param {string} url - URL字符串
-   * @returns {string} - 域名
-   * @private
-   */
-  _extractDomain(url) {
-    try {
-      const urlObj = new URL(url);
-      return urlObj.hostname.toLowerCase();
-    } catch (e) {
-      return url.toLowerCase();
-    }
+    return {
+      ...config,
+      scoreBoost: evaluation.scoreBoost,
+      qualityThresholds: evaluation.qualityThresholds,
+      filenameTemplate: evaluation.filenameTemplate,
+      targetFolder: evaluation.targetFolder,
+      matchedRules: evaluation.matchedRules
+    };
   }
   
   /**
@@ -375,6 +395,10 @@ class RuleEngineService {
       domInfo: null
     };
     
+    if (data.meta && typeof data.meta === 'object') {
+      context.meta = data.meta;
+    }
+    
     if (documentInfo) {
       context.domInfo = {
         title: documentInfo.title || '',
@@ -386,6 +410,9 @@ class RuleEngineService {
         hasShadowDOM: documentInfo.hasShadowDOM || false
       };
       
+      context.domInfo.imageRatio = context.domInfo.elementCount > 0 ?
+        context.domInfo.imageCount / context.domInfo.elementCount : 0;
+      
       if (context.domInfo.imageCount > 20 && context.domInfo.imageCount > context.domInfo.videoCount * 5) {
         context.pageType = 'image-gallery';
       } else if (context.domInfo.videoCount > 0 || url.includes('video') || url.includes('watch')) {
@@ -413,19 +440,23 @@ class RuleEngineService {
     
     const context = {
       ...pageContext,
-      resourceType: resource.type || RESOURCE_TYPES.OTHER,
-      resourceUrl: resource.url,
-      resourceSize: resource.size,
-      resourceDimensions: resource.width && resource.height ? { width: resource.width, height: resource.height } : null
+      resource: {
+        ...resource,
+        type: resource.type || RESOURCE_TYPES.OTHER
+      }
     };
     
     const ruleResult = this.evaluateRules(context);
     
     const strategy = {
-      shouldProcess: ruleResult.shouldProcess,
+      shouldProcess: ruleResult.shouldProcess !== false &&
+        RuleDSL.meetsQualityThresholds(context.resource, ruleResult.qualityThresholds),
       priority: ruleResult.processingPriority || 'medium',
       useDeduplication: ruleResult.useDeduplication || false,
-      usePrediction: ruleResult.usePrediction || false
+      usePrediction: ruleResult.usePrediction || false,
+      scoreBoost: ruleResult.scoreBoost || 0,
+      filenameTemplate: ruleResult.filenameTemplate || null,
+      targetFolder: ruleResult.targetFolder || null
     };
     
     if (resource.type === RESOURCE_TYPES.IMAGE) {
@@ -453,4 +484,23 @@ class RuleEngineService {
   }
 }
 
+/**
+ * 共享的规则引擎实例，第一次调用getRuleEngine时创建
+ * @type {RuleEngineService|null}
+ * @private
+ */
+let sharedRuleEngine = null;
+
+/**
+ * 获取后台共享的规则引擎实例
+ * @returns {RuleEngineService} - 规则引擎实例
+ */
+export function getRuleEngine() {
+  if (!sharedRuleEngine) {
+    sharedRuleEngine = new RuleEngineService();
+  }
+  
+  return sharedRuleEngine;
+}
+
 export default RuleEngineService;
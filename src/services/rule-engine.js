@@ -6,6 +6,153 @@
  * @copyright © 2025 Resource Sniffer
  */
 
+import RuleDSL from '../utils/rule-dsl.js';
+
+/**
+ * 把检测开关转换为setOption动作
+ * @param {...string} keys - 检测配置项
+ * @returns {Array<Object>} - 动作数组
+ * @private
+ */
+function enable(...keys) {
+  return keys.map(key => ({ type: 'setOption', key: key, value: true }));
+}
+
+/**
+ * 默认规则：站点模式（域名加路径、meta或DOM之一）、DOM模式和URL模式
+ * @type {Array<Object>}
+ * @private
+ */
+const DEFAULT_RULES = [
+  {
+    id: 'image-gallery',
+    name: '图片站点',
+    match: {
+      domain: ['*flickr.com', '*imgur.com', '*500px.com', '*unsplash.com', '*pexels.com', '*pixabay.com',
+        '*shutterstock.com', '*gettyimages.com', '*instagram.com', '*pinterest.com'],
+      any: [
+        { url: '/(photos?|images?|gallery|albums?)/' },
+        { meta: { keywords: 'photo|image|picture|gallery' } },
+        { meta: { 'og:type': 'image|photo' } },
+        { dom: { 'img[src*="original"], img[src*="large"], img[src*="full"]': 1 } },
+        { dom: { '.gallery, .photos, .images': 1 } }
+      ]
+    },
+    actions: [
+      { type: 'boostScore', resourceType: 'image', value: 20 },
+      ...enable('deepScan'),
+      { type: 'setQualityThreshold', resourceType: 'image', minWidth: 800, minHeight: 600 }
+    ]
+  },
+  {
+    id: 'video-site',
+    name: '视频站点',
+    match: {
+      domain: ['*youtube.com', '*vimeo.com', '*dailymotion.com', '*twitch.tv', '*netflix.com', '*hulu.com',
+        '*bilibili.com', '*tiktok.com'],
+      any: [
+        { url: '/(watch|video|movies?|player)/' },
+        { meta: { keywords: 'video|movie|stream' } },
+        { meta: { 'og:type': 'video' } },
+        { dom: { 'video, .video-player, [data-video-id]': 1 } }
+      ]
+    },
+    actions: [
+      { type: 'boostScore', resourceType: 'video', value: 20 },
+      ...enable('deepScan', 'scanStreaming'),
+      { type: 'setQualityThreshold', resourceType: 'video', minWidth: 640, minHeight: 360 }
+    ]
+  },
+  {
+    id: 'social-media',
+    name: '社交媒体',
+    match: {
+      domain: ['*facebook.com', '*twitter.com', '*instagram.com', '*linkedin.com', '*reddit.com', '*weibo.com', '*vk.com']
+    },
+    actions: enable('scanDynamicContent', 'scanShadowDOM', 'scanAjaxRequests')
+  },
+  {
+    id: 'news-site',
+    name: '新闻站点',
+    match: {
+      domain: ['*news.*', '*cnn.com', '*bbc.*', '*nytimes.com', '*washingtonpost.com', '*theguardian.com', '*reuters.com'],
+      any: [
+        { meta: { keywords: 'news|article' } },
+        { meta: { 'og:type': 'article' } }
+      ]
+    },
+    actions: enable('scanLazyLoaded', 'scanInlineStyles')
+  },
+  {
+    id: 'e-commerce',
+    name: '电商站点',
+    match: {
+      domain: ['*amazon.*', '*ebay.*', '*walmart.com', '*aliexpress.com', '*etsy.com', '*shopify.com', '*shop.*', '*store.*'],
+      any: [
+        { meta: { keywords: 'shop|product|store' } },
+        { meta: { 'og:type': 'product' } },
+        { dom: { '.product, .item, [data-product-id]': 1 } }
+      ]
+    },
+    actions: [
+      { type: 'boostScore', resourceType: 'image', value: 10 },
+      ...enable('scanProductImages'),
+      { type: 'setQualityThreshold', resourceType: 'image', minWidth: 500, minHeight: 500 }
+    ]
+  },
+  {
+    id: 'image-gallery-dom',
+    name: '图片库页面结构',
+    match: { dom: { '.gallery, .photos, .album': 1, img: 5 } },
+    actions: [
+      { type: 'boostScore', resourceType: 'image', value: 15 },
+      ...enable('scanSrcSet', 'scanBackgroundImages')
+    ]
+  },
+  {
+    id: 'video-player-dom',
+    name: '视频播放器页面结构',
+    match: { dom: { 'video, .video-player, [data-video-id]': 1 } },
+    actions: [
+      { type: 'boostScore', resourceType: 'video', value: 15 },
+      ...enable('scanStreaming', 'scanVideoSources')
+    ]
+  },
+  {
+    id: 'carousel-dom',
+    name: '轮播页面结构',
+    match: { dom: { '.carousel, .slider, .slideshow': 1 } },
+    actions: enable('scanLazyLoaded', 'scanBackgroundImages', 'scanDataAttributes')
+  },
+  {
+    id: 'image-url',
+    name: '图片URL',
+    match: { url: '\\.(jpe?g|png|gif|webp|svg)(\\?.*)?$|/(images?|photos?|thumbnails?|gallery)/' },
+    actions: [
+      { type: 'boostScore', resourceType: 'image', value: 10 },
+      ...enable('findHighResVersions')
+    ]
+  },
+  {
+    id: 'video-url',
+    name: '视频URL',
+    match: { url: '\\.(mp4|webm|mov|avi|mkv)(\\?.*)?$|/(videos?|movies?|watch|player)/' },
+    actions: [
+      { type: 'boostScore', resourceType: 'video', value: 10 },
+      ...enable('findHighQualityVersions')
+    ]
+  },
+  {
+    id: 'streaming-url',
+    name: '流媒体URL',
+    match: { url: '\\.(m3u8|mpd)(\\?.*)?$|/(hls|dash|streaming|manifest)/' },
+    actions: [
+      { type: 'boostScore', resourceType: 'video', value: 15 },
+      ...enable('scanStreaming', 'parseManifest')
+    ]
+  }
+];
+
 /**
  * 规则引擎服务
  * @class RuleEngineService
@@ -16,9 +163,7 @@ class RuleEngineService {
    */
   constructor() {
     this.rules = [];
-    this.sitePatterns = new Map();
-    this.domPatterns = new Map();
-    this.urlPatterns = new Map();
+    this.customRules = [];
     this.registerDefaultRules();
   }
   
@@ -27,246 +172,83 @@ class RuleEngineService {
    * @private
    */
   registerDefaultRules() {
-    this.registerSitePattern('image-gallery', {
-      hostPatterns: [
-        /flickr\.com$/i,
-        /imgur\.com$/i,
-        /500px\.com$/i,
-        /unsplash\.com$/i,
-        /pexels\.com$/i,
-        /pixabay\.com$/i,
-        /shutterstock\.com$/i,
-        /gettyimages\.com$/i,
-        /instagram\.com$/i,
-        /pinterest\.com$/i
-      ],
-      pathPatterns: [
-        /\/photos?\//i,
-        /\/images?\//i,
-        /\/gallery\//i,
-        /\/albums?\//i
-      ],
-      metaPatterns: [
-        { name: 'keywords', value: /(photo|image|picture|gallery)/i },
-        { property: 'og:type', value: /(image|photo)/i }
-      ],
-      domPatterns: [
-        { selector: 'img[src*="original"], img[src*="large"], img[src*="full"]', minCount: 1 },
-        { selector: '.gallery, .photos, .images', minCount: 1 }
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'image', score: 20 },
-        { action: 'deepScan', resourceType: 'image', enabled: true },
-        { action: 'qualityThreshold', resourceType: 'image', minWidth: 800, minHeight: 600 }
-      ]
-    });
-    
-    this.registerSitePattern('video-site', {
-      hostPatterns: [
-        /youtube\.com$/i,
-        /vimeo\.com$/i,
-        /dailymotion\.com$/i,
-        /twitch\.tv$/i,
-        /netflix\.com$/i,
-        /hulu\.com$/i,
-        /bilibili\.com$/i,
-        /tiktok\.com$/i
-      ],
-      pathPatterns: [
-        /\/watch\//i,
-        /\/video\//i,
-        /\/movies?\//i,
-        /\/player\//i
-      ],
-      metaPatterns: [
-        { name: 'keywords', value: /(video|movie|stream)/i },
-        { property: 'og:type', value: /(video)/i }
-      ],
-      domPatterns: [
-        { selector: 'video, .video-player, [data-video-id]', minCount: 1 }
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'video', score: 20 },
-        { action: 'deepScan', resourceType: 'video', enabled: true },
-        { action: 'scanStreaming', enabled: true },
-        { action: 'qualityThreshold', resourceType: 'video', minWidth: 640, minHeight: 360 }
-      ]
-    });
-    
-    this.registerSitePattern('social-media', {
-      hostPatterns: [
-        /facebook\.com$/i,
-        /twitter\.com$/i,
-        /instagram\.com$/i,
-        /linkedin\.com$/i,
-        /reddit\.com$/i,
-        /weibo\.com$/i,
-        /vk\.com$/i
-      ],
-      rules: [
-        { action: 'scanDynamicContent', enabled: true },
-        { action: 'scanShadowDOM', enabled: true },
-        { action: 'scanAjaxRequests', enabled: true }
-      ]
-    });
-    
-    this.registerSitePattern('news-site', {
-      hostPatterns: [
-        /news\./i,
-        /cnn\.com$/i,
-        /bbc\./i,
-        /nytimes\.com$/i,
-        /washingtonpost\.com$/i,
-        /theguardian\.com$/i,
-        /reuters\.com$/i
-      ],
-      metaPatterns: [
-        { name: 'keywords', value: /(news|article)/i },
-        { property: 'og:type', value: /(article)/i }
-      ],
-      rules: [
-        { action: 'scanLazyLoaded', enabled: true },
-        { action: 'scanInlineStyles', enabled: true }
-      ]
-    });
-    
-    this.registerSitePattern('e-commerce', {
-      hostPatterns: [
-        /amazon\./i,
-        /ebay\./i,
-        /walmart\.com$/i,
-        /aliexpress\.com$/i,
-        /etsy\.com$/i,
-        /shopify\.com$/i,
-        /shop\./i,
-        /store\./i
-      ],
-      metaPatterns: [
-        { name: 'keywords', value: /(shop|product|store)/i },
-        { property: 'og:type', value: /(product)/i }
-      ],
-      domPatterns: [
-        { selector: '.product, .item, [data-product-id]', minCount: 1 }
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'image', score: 10 },
-        { action: 'scanProductImages', enabled: true },
-        { action: 'qualityThreshold', resourceType: 'image', minWidth: 500, minHeight: 500 }
-      ]
-    });
-    
-    this.registerDOMPattern('image-gallery-dom', {
-      conditions: [
-        { selector: '.gallery, .photos, .album', minCount: 1 },
-        { selector: 'img', minCount: 5 }
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'image', score: 15 },
-        { action: 'scanSrcSet', enabled: true },
-        { action: 'scanBackgroundImages', enabled: true }
-      ]
-    });
+    this.rules = DEFAULT_RULES.slice();
+  }
+  
+  /**
+   * 添加自定义规则，同一ID的规则会被替换
+   * @param {Object} rule - 声明式规则对象
+   * @returns {boolean} - 是否成功添加
+   */
+  addRule(rule) {
+    const validation = RuleDSL.validateRule(rule);
+    if (!validation.valid) {
+      console.warn('规则格式无效:', validation.errors);
+      return false;
+    }
     
-    this.registerDOMPattern('video-player-dom', {
-      conditions: [
-        { selector: 'video, .video-player, [data-video-id]', minCount: 1 }
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'video', score: 15 },
-        { action: 'scanStreaming', enabled: true },
-        { action: 'scanVideoSources', enabled: true }
-      ]
-    });
+    const index = this.customRules.findIndex(r => r.id === rule.id);
+    if (index !== -1) {
+      this.customRules[index] = rule;
+    } else {
+      this.customRules.push(rule);
+    }
     
-    this.registerDOMPattern('carousel-dom', {
-      conditions: [
-        { selector: '.carousel, .slider, .slideshow', minCount: 1 }
-      ],
-      rules: [
-        { action: 'scanLazyLoaded', enabled: true },
-        { action: 'scanBackgroundImages', enabled: true },
-        { action: 'scanDataAttributes', enabled: true }
-      ]
-    });
+    console.log(`规则已注册: ${rule.id}`);
+    return true;
+  }
+  
+  /**
+   * 移除自定义规则
+   * @param {string} id - 规则ID
+   * @returns {boolean} - 是否存在并已移除
+   */
+  removeRule(id) {
+    const index = this.customRules.findIndex(rule => rule.id === id);
+    if (index === -1) return false;
     
-    this.registerURLPattern('image-url', {
-      patterns: [
-        /\.(jpe?g|png|gif|webp|svg)(\?.*)?$/i,
-        /\/images?\//i,
-        /\/photos?\//i,
-        /\/thumbnails?\//i,
-        /\/gallery\//i
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'image', score: 10 },
-        { action: 'findHighResVersions', enabled: true }
-      ]
-    });
+    this.customRules.splice(index, 1);
+    return true;
+  }
+  
+  /**
+   * 替换全部自定义规则（例如从规则包加载），无效的规则会被跳过
+   * @param {Array<Object>} rules - 声明式规则数组
+   * @returns {number} - 加载的规则数量
+   */
+  setCustomRules(rules) {
+    this.customRules = [];
     
-    this.registerURLPattern('video-url', {
-      patterns: [
-        /\.(mp4|webm|mov|avi|mkv)(\?.*)?$/i,
-        /\/videos?\//i,
-        /\/movies?\//i,
-        /\/watch\//i,
-        /\/player\//i
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'video', score: 10 },
-        { action: 'findHighQualityVersions', enabled: true }
-      ]
-    });
+    (rules || []).forEach(rule => this.addRule(rule));
     
-    this.registerURLPattern('streaming-url', {
-      patterns: [
-        /\.(m3u8|mpd)(\?.*)?$/i,
-        /\/hls\//i,
-        /\/dash\//i,
-        /\/streaming\//i,
-        /\/manifest\//i
-      ],
-      rules: [
-        { action: 'prioritize', resourceType: 'video', score: 15 },
-        { action: 'scanStreaming', enabled: true },
-        { action: 'parseManifest', enabled: true }
-      ]
-    });
+    return this.customRules.length;
   }
   
   /**
-   * 注册站点模式
-   * @param {string} id - 模式ID
-   * @param {Object} pattern - 模式对象
+   * 从规则包服务加载已启用的规则
+   * @param {Object} rulePackService - 规则包服务
+   * @returns {Promise<number>} - 加载的规则数量
    */
-  registerSitePattern(id, pattern) {
-    if (!id || !pattern) return;
-    
-    this.sitePatterns.set(id, pattern);
-    console.log(`站点模式已注册: ${id}`);
+  async loadRulePacks(rulePackService) {
+    const rules = await rulePackService.getRules();
+    return this.setCustomRules(rules);
   }
   
   /**
-   * 注册DOM模式
-   * @param {string} id - 模式ID
-   * @param {Object} pattern - 模式对象
+   * 获取所有规则（默认规则和自定义规则）
+   * @returns {Array<Object>} - 规则数组
    */
-  registerDOMPattern(id, pattern) {
-    if (!id || !pattern) return;
-    
-    this.domPatterns.set(id, pattern);
-    console.log(`DOM模式已注册: ${id}`);
+  getRules() {
+    return [...this.rules, ...this.customRules];
   }
   
   /**
-   * 注册URL模式
-   * @param {string} id - 模式ID
-   * @param {Object} pattern - 模式对象
+   * 导出自定义规则为规则包文件内容
+   * @param {string} name - 规则包名称
+   * @returns {string} - 规则包JSON文本
    */
-  registerURLPattern(id, pattern) {
-    if (!id || !pattern) return;
-    
-    this.urlPatterns.set(id, pattern);
-    console.log(`URL模式已注册: ${id}`);
+  exportRules(name) {
+    return RuleDSL.serializePack({ name: name, rules: this.customRules });
   }
   
   /**
@@ -277,7 +259,6 @@ class RuleEngineService {
   analyzePageAndApplyRules(pageContext) {
     if (!pageContext) return { rules: [] };
     
-    const appliedRules = [];
     const detectionConfig = {
       deepScan: false,
       scanStreaming: false,
@@ -298,203 +279,27 @@ class RuleEngineService {
       qualityThresholds: {}
     };
     
-    if (pageContext.url) {
-      try {
-        const url = new URL(pageContext.url);
-        const hostname = url.hostname;
-        const pathname = url.pathname;
-        
-        for (const [id, pattern] of this.sitePatterns.entries()) {
-          let matchesHost = false;
-          let matchesPath = false;
-          let matchesMeta = false;
-          let matchesDOM = false;
-          
-          if (pattern.hostPatterns && Array.isArray(pattern.hostPatterns)) {
-            for (const hostPattern of pattern.hostPatterns) {
-              if (hostPattern.test(hostname)) {
-                matchesHost = true;
-                break;
-              }
-            }
-          }
-          
-          if (pattern.pathPatterns && Array.isArray(pattern.pathPatterns)) {
-            for (const pathPattern of pattern.pathPatterns) {
-              if (pathPattern.test(pathname)) {
-                matchesPath = true;
-                break;
-              }
-            }
-          }
-          
-          if (pattern.metaPatterns && Array.isArray(pattern.metaPatterns) && pageContext.meta) {
-            let metaMatches = 0;
-            for (const metaPattern of pattern.metaPatterns) {
-              if (metaPattern.name && pageContext.meta[metaPattern.name]) {
-                if (metaPattern.value.test(pageContext.meta[metaPattern.name])) {
-                  metaMatches++;
-                }
-              } else if (metaPattern.property && pageContext.meta[metaPattern.property]) {
-                if (metaPattern.value.test(pageContext.meta[metaPattern.property])) {
-                  metaMatches++;
-                }
-              }
-            }
-            
-            if (metaMatches > 0) {
-              matchesMeta = true;
-            }
-          }
-          
-          if (pattern.domPatterns && Array.isArray(pattern.domPatterns) && pageContext.domInfo) {
-            let domMatches = 0;
-            for (const domPattern of pattern.domPatterns) {
-              const selector = domPattern.selector;
-              const minCount = domPattern.minCount || 1;
-              
-              if (pageContext.domInfo[selector] && pageContext.domInfo[selector] >= minCount) {
-                domMatches++;
-              }
-            }
-            
-            if (domMatches > 0) {
-              matchesDOM = true;
-            }
-          }
-          
-          if (matchesHost && (matchesPath || matchesMeta || matchesDOM)) {
-            if (pattern.rules && Array.isArray(pattern.rules)) {
-              for (const rule of pattern.rules) {
-                this.applyRule(rule, detectionConfig);
-                appliedRules.push({
-                  id: id,
-                  type: 'site',
-                  rule: rule,
-                  matchedHost: matchesHost,
-                  matchedPath: matchesPath,
-                  matchedMeta: matchesMeta,
-                  matchedDOM: matchesDOM
-                });
-              }
-            }
-          }
-        }
-        
-        for (const [id, pattern] of this.urlPatterns.entries()) {
-          if (pattern.patterns && Array.isArray(pattern.patterns)) {
-            for (const urlPattern of pattern.patterns) {
-              if (urlPattern.test(pageContext.url)) {
-                if (pattern.rules && Array.isArray(pattern.rules)) {
-                  for (const rule of pattern.rules) {
-                    this.applyRule(rule, detectionConfig);
-                    appliedRules.push({
-                      id: id,
-                      type: 'url',
-                      rule: rule,
-                      matchedPattern: urlPattern.toString()
-                    });
-                  }
-                }
-                break;
-              }
-            }
-          }
-        }
-      } catch (e) {
-        console.warn('URL分析错误:', e);
-      }
-    }
+    const evaluation = RuleDSL.evaluate(this.getRules(), {
+      url: pageContext.url || '',
+      meta: pageContext.meta,
+      domInfo: pageContext.domInfo
+    });
     
-    if (pageContext.domInfo) {
-      for (const [id, pattern] of this.domPatterns.entries()) {
-        if (pattern.conditions && Array.isArray(pattern.conditions)) {
-          let allConditionsMet = true;
-          
-          for (const condition of pattern.conditions) {
-            const selector = condition.selector;
-            const minCount = condition.minCount || 1;
-            
-            if (!pageContext.domInfo[selector] || pageContext.domInfo[selector] < minCount) {
-              allConditionsMet = false;
-              break;
-            }
-          }
-          
-          if (allConditionsMet && pattern.rules && Array.isArray(pattern.rules)) {
-            for (const rule of pattern.rules) {
-              this.applyRule(rule, detectionConfig);
-              appliedRules.push({
-                id: id,
-                type: 'dom',
-                rule: rule
-              });
-            }
-          }
-        }
+    Object.keys(evaluation.options).forEach(key => {
+      if (typeof detectionConfig[key] === 'boolean') {
+        detectionConfig[key] = Boolean(evaluation.options[key]);
       }
-    }
+    });
+    
+    detectionConfig.prioritizedTypes = evaluation.typeBoosts;
+    detectionConfig.qualityThresholds = evaluation.qualityThresholds;
     
     return {
-      rules: appliedRules,
+      rules: evaluation.matchedRules,
       config: detectionConfig
     };
   }
   
-  /**
-   * 应用规则
-   * @private
-   * @param {Object} rule - 规则对象
-   * @param {Object} config - 配置对象
-   */
-  applyRule(rule, config) {
-    if (!rule || !rule.action) return;
-    
-    switch (rule.action) {
-      case 'prioritize':
-        if (rule.resourceType && rule.score) {
-          config.prioritizedTypes[rule.resourceType] = Math.max(
-            config.prioritizedTypes[rule.resourceType] || 0,
-            rule.score
-          );
-        }
-        break;
-        
-      case 'qualityThreshold':
-        if (rule.resourceType) {
-          config.qualityThresholds[rule.resourceType] = config.qualityThresholds[rule.resourceType] || {};
-          
-          if (rule.minWidth) {
-            config.qualityThresholds[rule.resourceType].minWidth = Math.max(
-              config.qualityThresholds[rule.resourceType].minWidth || 0,
-              rule.minWidth
-            );
-          }
-          
-          if (rule.minHeight) {
-            config.qualityThresholds[rule.resourceType].minHeight = Math.max(
-              config.qualityThresholds[rule.resourceType].minHeight || 0,
-              rule.minHeight
-            );
-          }
-          
-          if (rule.minSize) {
-            config.qualityThresholds[rule.resourceType].minSize = Math.max(
-              config.qualityThresholds[rule.resourceType].minSize || 0,
-              rule.minSize
-            );
-          }
-        }
-        break;
-        
-      default:
-        if (rule.enabled === true && typeof config[rule.action] === 'boolean') {
-          config[rule.action] = true;
-        }
-        break;
-    }
-  }
-  
   /**
    * 提取页面上下文
    * @param {Object} data - 页面数据
@@ -555,26 +360,7 @@ class RuleEngineService {
       return resources;
     }
     
-    return resources.filter(resource => {
-      const type = resource.type;
-      const thresholds = config.qualityThresholds[type];
-      
-      if (!thresholds) return true;
-      
-      if (thresholds.minWidth && resource.width && resource.width < thresholds.minWidth) {
-        return false;
-      }
-      
-      if (thresholds.minHeight && resource.height && resource.height < thresholds.minHeight) {
-        return false;
-      }
-      
-      if (thresholds.minSize && resource.size && resource.size < thresholds.minSize) {
-        return false;
-      }
-      
-      return true;
-    });
+    return resources.filter(resource => RuleDSL.meetsQualityThresholds(resource, config.qualityThresholds));
   }
   
   /**
@@ -599,6 +385,51 @@ class RuleEngineService {
     
     return resources.sort((a, b) => (b.score || 0) - (a.score || 0));
   }
+  
+  /**
+   * 逐个资源评估规则：排除资源、过滤质量阈值、加分，并标注文件名模板和下载子目录
+   * 与applyQualityThresholds、applyPriorityScoring二选一使用，避免重复加分
+   * @param {Array} resources - 资源数组
+   * @param {Object} pageContext - 页面上下文
+   * @returns {Array} 处理并排序后的资源
+   */
+  applyResourceRules(resources, pageContext) {
+    if (!resources || !Array.isArray(resources)) {
+      return resources;
+    }
+    
+    const rules = this.getRules();
+    const context = {
+      url: pageContext && pageContext.url ? pageContext.url : '',
+      meta: pageContext ? pageContext.meta : undefined,
+      domInfo: pageContext ? pageContext.domInfo : undefined
+    };
+    
+    return resources
+      .filter(resource => {
+        const evaluation = RuleDSL.evaluate(rules, { ...context, resource: resource });
+        
+        if (evaluation.include === false ||
+            (evaluation.include === null && !RuleDSL.meetsQualityThresholds(resource, evaluation.qualityThresholds))) {
+          return false;
+        }
+        
+        if (evaluation.scoreBoost) {
+          resource.score = (resource.score || 50) + evaluation.scoreBoost;
+        }
+        
+        if (evaluation.filenameTemplate) {
+          resource.filenameTemplate = evaluation.filenameTemplate;
+        }
+        
+        if (evaluation.targetFolder) {
+          resource.targetFolder = evaluation.targetFolder;
+        }
+        
+        return true;
+      })
+      .sort((a, b) => (b.score || 0) - (a.score || 0));
+  }
 }
 
 const ruleEngineService = new RuleEngineService();
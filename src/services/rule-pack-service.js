@@ -0,0 +1,138 @@
+/**
+ * @file rule-pack-service.js
+ * @description 规则包服务，导入、导出和启用声明式规则包（JSON文件），供规则引擎加载
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import RuleDSL from '../utils/rule-dsl.js';
+
+/**
+ * 规则包服务类
+ * @class RulePackService
+ */
+class RulePackService {
+  /**
+   * 创建规则包服务实例
+   * @param {Object} storageService - 存储服务
+   */
+  constructor(storageService) {
+    this.storageService = storageService;
+  }
+  
+  /**
+   * 导入规则包，同名规则包会被替换
+   * @param {string|Object} source - 规则包JSON文本或对象
+   * @returns {Promise<Object>} - 导入的规则包
+   * @throws {Error} - 规则包无效时抛出
+   */
+  async importPack(source) {
+    const pack = RuleDSL.parsePack(source);
+    const packs = await this.storageService.getRulePacks();
+    const existing = packs.find(item => item.name === pack.name);
+    
+    const stored = {
+      ...pack,
+      enabled: existing ? existing.enabled : true,
+      importedAt: Date.now()
+    };
+    
+    await this.storageService.saveRulePacks([
+      ...packs.filter(item => item.name !== pack.name),
+      stored
+    ]);
+    
+    return stored;
+  }
+  
+  /**
+   * 导出规则包
+   * @param {string} name - 规则包名称
+   * @returns {Promise<string>} - 规则包JSON文本
+   * @throws {Error} - 规则包不存在时抛出
+   */
+  async exportPack(name) {
+    const pack = await this._getPack(name);
+    return RuleDSL.serializePack(pack);
+  }
+  
+  /**
+   * 删除规则包
+   * @param {string} name - 规则包名称
+   * @returns {Promise<boolean>} - 是否存在并已删除
+   */
+  async removePack(name) {
+    const packs = await this.storageService.getRulePacks();
+    const remaining = packs.filter(pack => pack.name !== name);
+    
+    if (remaining.length === packs.length) return false;
+    
+    await this.storageService.saveRulePacks(remaining);
+    return true;
+  }
+  
+  /**
+   * 启用或停用规则包
+   * @param {string} name - 规则包名称
+   * @param {boolean} enabled - 是否启用
+   * @returns {Promise<void>}
+   * @throws {Error} - 规则包不存在时抛出
+   */
+  async setPackEnabled(name, enabled) {
+    await this._getPack(name);
+    
+    const packs = await this.storageService.getRulePacks();
+    await this.storageService.saveRulePacks(
+      packs.map(pack => (pack.name === name ? { ...pack, enabled: Boolean(enabled) } : pack))
+    );
+  }
+  
+  /**
+   * 获取规则包列表
+   * @returns {Promise<Array>} - [{ name, description, ruleCount, enabled, importedAt }]
+   */
+  async listPacks() {
+    const packs = await this.storageService.getRulePacks();
+    
+    return packs.map(pack => ({
+      name: pack.name,
+      description: pack.description || '',
+      ruleCount: pack.rules.length,
+      enabled: pack.enabled !== false,
+      importedAt: pack.importedAt
+    }));
+  }
+  
+  /**
+   * 获取所有已启用规则包中的规则
+   * @returns {Promise<Array<Object>>} - 规则数组
+   */
+  async getRules() {
+    const packs = await this.storageService.getRulePacks();
+    
+    return packs
+      .filter(pack => pack.enabled !== false)
+      .flatMap(pack => pack.rules);
+  }
+  
+  /**
+   * 获取规则包
+   * @param {string} name - 规则包名称
+   * @returns {Promise<Object>} - 规则包
+   * @throws {Error} - 规则包不存在时抛出
+   * @private
+   */
+  async _getPack(name) {
+    const packs = await this.storageService.getRulePacks();
+    const pack = packs.find(item => item.name === name);
+    
+    if (!pack) {
+      throw new Error(`规则包不存在: ${name}`);
+    }
+    
+    return pack;
+  }
+}
+
+export default RulePackService;
@@ -0,0 +1,397 @@
+/**
+ * @file session-recorder.js
+ * @description 会话录制服务：把用户交互、资源检测、资源过滤、标签页变化和错误等事件连同弹出窗口的状态快照按时间顺序记录下来，
+ * 导出为一个会话包附在问题报告中，并可以在回放页面中逐步查看当时的过滤条件、可见资源和出现的错误
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 会话包格式标识
+ * @type {string}
+ */
+export const SESSION_BUNDLE_FORMAT = 'resource-sniffer-session';
+
+/**
+ * 会话包格式版本
+ * @type {number}
+ */
+export const SESSION_BUNDLE_VERSION = 1;
+
+/**
+ * 会话事件类型
+ * @type {Object}
+ */
+export const SESSION_EVENT_TYPES = {
+  INTERACTION: 'interaction',
+  DETECTION_STARTED: 'detection_started',
+  DETECTION_COMPLETED: 'detection_completed',
+  RESOURCE_FILTERED: 'resource_filtered',
+  TAB_CHANGE: 'tab_change',
+  ERROR: 'error',
+  SNAPSHOT: 'snapshot'
+};
+
+/**
+ * 录制状态和最近一次会话包在chrome.storage中的键
+ * @type {Object}
+ */
+export const SESSION_STORAGE_KEYS = {
+  RECORDING: 'session_recording',
+  LAST_BUNDLE: 'session_last_bundle'
+};
+
+/**
+ * 一次录制最多保留的事件数，超出后不再记录并在会话包中标记truncated
+ * @type {number}
+ * @private
+ */
+const MAX_EVENTS = 1000;
+
+/**
+ * 事件数据转成可以保存的纯JSON数据，无法序列化时只保留说明
+ * @param {*} data - 事件数据
+ * @returns {*} - 纯JSON数据
+ * @private
+ */
+function toPlainData(data) {
+  if (data === undefined) return null;
+
+  try {
+    return JSON.parse(JSON.stringify(data));
+  } catch (error) {
+    return { unserializable: String(error.message || error) };
+  }
+}
+
+/**
+ * 会话录制类
+ * @class SessionRecorder
+ */
+class SessionRecorder {
+  /**
+   * 创建会话录制实例
+   * @param {Object} [options] - 选项
+   * @param {Object} [options.storage] - 保存录制状态的存储区，默认chrome.storage.local
+   * @param {Function} [options.now] - 返回当前时间的函数
+   * @param {number} [options.maxEvents] - 最多保留的事件数
+   */
+  constructor(options = {}) {
+    this.storage = options.storage || null;
+    this.now = options.now || Date.now;
+    this.maxEvents = options.maxEvents || MAX_EVENTS;
+    this.session = null;
+    this.snapshotProvider = null;
+    this.lastSnapshot = null;
+  }
+
+  /**
+   * 检查会话包是否有效
+   * @param {Object} bundle - 会话包
+   * @returns {Object} - { valid, error }
+   */
+  static validateBundle(bundle) {
+    if (!bundle || typeof bundle !== 'object') {
+      return { valid: false, error: '会话包必须是JSON对象' };
+    }
+
+    if (bundle.format !== SESSION_BUNDLE_FORMAT) {
+      return { valid: false, error: '不是Resource Sniffer的会话包' };
+    }
+
+    if (bundle.version > SESSION_BUNDLE_VERSION) {
+      return { valid: false, error: `不支持的会话包版本: ${bundle.version}` };
+    }
+
+    if (!Array.isArray(bundle.events)) {
+      return { valid: false, error: '会话包缺少事件列表' };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * 解析导出的会话包文件内容
+   * @param {string} text - 文件内容
+   * @returns {Object} - 会话包
+   * @throws {Error} - 内容不是有效的会话包
+   */
+  static parseBundle(text) {
+    let bundle;
+    try {
+      bundle = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`会话包不是有效的JSON: ${error.message}`);
+    }
+
+    const validation = SessionRecorder.validateBundle(bundle);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    return bundle;
+  }
+
+  /**
+   * 把会话包展开成回放时间线：每一步是一个非快照事件，附带当时最近的状态快照和此前出现的所有错误
+   * @param {Object} bundle - 会话包
+   * @returns {Array<Object>} - 步骤数组 { index, event, offset, state, errors }
+   */
+  static buildTimeline(bundle) {
+    const steps = [];
+    const errors = [];
+    let state = null;
+
+    bundle.events.forEach(event => {
+      if (event.type === SESSION_EVENT_TYPES.SNAPSHOT) {
+        state = event.data;
+
+        // 快照记录的是紧接着上一个事件之后的状态
+        if (steps.length > 0) {
+          steps[steps.length - 1].state = state;
+        }
+        return;
+      }
+
+      if (event.type === SESSION_EVENT_TYPES.ERROR) {
+        errors.push(event);
+      }
+
+      steps.push({
+        index: steps.length,
+        event,
+        offset: event.timestamp - bundle.startedAt,
+        state,
+        errors: errors.slice()
+      });
+    });
+
+    return steps;
+  }
+
+  /**
+   * 设置状态快照函数，每个事件之后调用一次，返回值与上一次相同时不重复记录
+   * @param {Function|null} provider - 返回当前状态的函数
+   */
+  setSnapshotProvider(provider) {
+    this.snapshotProvider = provider;
+  }
+
+  /**
+   * 是否正在录制
+   * @returns {boolean} - 是否正在录制
+   */
+  isRecording() {
+    return !!this.session;
+  }
+
+  /**
+   * 获取已记录的事件数
+   * @returns {number} - 事件数
+   */
+  getEventCount() {
+    return this.session ? this.session.events.length : 0;
+  }
+
+  /**
+   * 开始录制
+   * @param {Object} [metadata] - 会话说明，例如扩展版本和浏览器信息
+   * @returns {Promise<void>}
+   */
+  async start(metadata = {}) {
+    const startedAt = this.now();
+
+    this.session = {
+      id: `session_${startedAt}_${Math.random().toString(36).substr(2, 9)}`,
+      startedAt,
+      metadata: toPlainData(metadata),
+      events: [],
+      truncated: false
+    };
+    this.lastSnapshot = null;
+
+    this._captureSnapshot();
+    await this._save();
+  }
+
+  /**
+   * 弹出窗口重新打开时继续之前没有停止的录制
+   * @returns {Promise<boolean>} - 是否有正在进行的录制
+   */
+  async resume() {
+    const result = await this._get([SESSION_STORAGE_KEYS.RECORDING]);
+    const session = result[SESSION_STORAGE_KEYS.RECORDING];
+
+    if (!session || !Array.isArray(session.events)) {
+      return false;
+    }
+
+    this.session = session;
+    const snapshots = session.events.filter(event => event.type === SESSION_EVENT_TYPES.SNAPSHOT);
+    this.lastSnapshot = snapshots.length > 0 ? JSON.stringify(snapshots[snapshots.length - 1].data) : null;
+
+    this._captureSnapshot();
+    this._save();
+
+    return true;
+  }
+
+  /**
+   * 记录事件，没有在录制时忽略
+   * @param {string} type - 事件类型，见SESSION_EVENT_TYPES
+   * @param {Object} [data] - 事件数据
+   */
+  record(type, data = {}) {
+    if (!this.session) return;
+
+    if (this._push(type, data)) {
+      this._captureSnapshot();
+      this._save();
+    }
+  }
+
+  /**
+   * 停止录制并生成会话包，会话包同时保存为最近一次的会话供回放页面打开
+   * @returns {Promise<Object|null>} - 会话包，没有在录制时为null
+   */
+  async stop() {
+    if (!this.session) return null;
+
+    this._captureSnapshot();
+
+    const bundle = {
+      format: SESSION_BUNDLE_FORMAT,
+      version: SESSION_BUNDLE_VERSION,
+      ...this.session,
+      endedAt: this.now()
+    };
+
+    this.session = null;
+    this.lastSnapshot = null;
+
+    await this._remove(SESSION_STORAGE_KEYS.RECORDING);
+    await this._set(SESSION_STORAGE_KEYS.LAST_BUNDLE, bundle);
+
+    return bundle;
+  }
+
+  /**
+   * 获取最近一次录制的会话包
+   * @returns {Promise<Object|null>} - 会话包
+   */
+  async getLastBundle() {
+    const result = await this._get([SESSION_STORAGE_KEYS.LAST_BUNDLE]);
+    return result[SESSION_STORAGE_KEYS.LAST_BUNDLE] || null;
+  }
+
+  /**
+   * 追加事件
+   * @param {string} type - 事件类型
+   * @param {Object} data - 事件数据
+   * @returns {boolean} - 是否已追加
+   * @private
+   */
+  _push(type, data) {
+    if (this.session.events.length >= this.maxEvents) {
+      this.session.truncated = true;
+      return false;
+    }
+
+    this.session.events.push({ type, timestamp: this.now(), data: toPlainData(data) });
+    return true;
+  }
+
+  /**
+   * 记录状态快照，与上一次相同时跳过
+   * @private
+   */
+  _captureSnapshot() {
+    if (!this.snapshotProvider) return;
+
+    let state;
+    try {
+      state = toPlainData(this.snapshotProvider());
+    } catch (error) {
+      console.warn('获取会话状态快照失败:', error);
+      return;
+    }
+
+    const serialized = JSON.stringify(state);
+    if (serialized === this.lastSnapshot) return;
+
+    if (this._push(SESSION_EVENT_TYPES.SNAPSHOT, state)) {
+      this.lastSnapshot = serialized;
+    }
+  }
+
+  /**
+   * 保存正在进行的录制，弹出窗口关闭后不会丢失
+   * @returns {Promise<void>}
+   * @private
+   */
+  _save() {
+    return this._set(SESSION_STORAGE_KEYS.RECORDING, this.session);
+  }
+
+  /**
+   * 获取存储区
+   * @returns {Object|null} - 存储区
+   * @private
+   */
+  _getStorage() {
+    if (this.storage) return this.storage;
+    return typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null;
+  }
+
+  /**
+   * 读取存储
+   * @param {Array<string>} keys - 键数组
+   * @returns {Promise<Object>} - 读取结果
+   * @private
+   */
+  _get(keys) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve({});
+
+    return new Promise(resolve => {
+      storage.get(keys, (result) => resolve(result || {}));
+    });
+  }
+
+  /**
+   * 写入存储
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @returns {Promise<void>}
+   * @private
+   */
+  _set(key, value) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve();
+
+    return new Promise(resolve => {
+      storage.set({ [key]: value }, () => resolve());
+    });
+  }
+
+  /**
+   * 删除存储
+   * @param {string} key - 键
+   * @returns {Promise<void>}
+   * @private
+   */
+  _remove(key) {
+    const storage = this._getStorage();
+    if (!storage) return Promise.resolve();
+
+    return new Promise(resolve => {
+      storage.remove(key, () => resolve());
+    });
+  }
+}
+
+const sessionRecorder = new SessionRecorder();
+
+export { SessionRecorder };
+export default sessionRecorder;
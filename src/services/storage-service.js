@@ -196,6 +196,58 @@ class StorageService {
     });
   }
   
+  /**
+   * 保存规则包
+   * @param {Array} packs - 规则包数组
+   * @returns {Promise} - 保存操作的Promise
+   */
+  saveRulePacks(packs) {
+    return new Promise((resolve, reject) => {
+      try {
+        chrome.storage.local.set({ 
+          [STORAGE_KEYS.RULE_PACKS]: packs 
+        }, () => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else {
+            this.cache[STORAGE_KEYS.RULE_PACKS] = packs;
+            this._notifyListeners(STORAGE_KEYS.RULE_PACKS, packs);
+            resolve(packs);
+          }
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+  
+  /**
+   * 获取规则包
+   * @returns {Promise<Array>} - 规则包数组
+   */
+  getRulePacks() {
+    return new Promise((resolve, reject) => {
+      if (this.cache[STORAGE_KEYS.RULE_PACKS]) {
+        resolve(this.cache[STORAGE_KEYS.RULE_PACKS]);
+        return;
+      }
+      
+      try {
+        chrome.storage.local.get(STORAGE_KEYS.RULE_PACKS, (result) => {
+          if (chrome.runtime.lastError) {
+            reject(chrome.runtime.lastError);
+          } else {
+            const packs = result[STORAGE_KEYS.RULE_PACKS] || [];
+            this.cache[STORAGE_KEYS.RULE_PACKS] = packs;
+            resolve(packs);
+          }
+        });
+      } catch (e) {
+        reject(e);
+      }
+    });
+  }
+  
   /**
    * 保存资源缓存
    * @param {string} tabId - 标签页ID
@@ -277,6 +329,19 @@ class StorageService {
     });
   }
   
+  /**
+   * 用其他页面写入的值更新缓存（来自chrome.storage.onChanged），值为undefined表示已删除
+   * @param {string} key - 存储键
+   * @param {*} value - 新值
+   */
+  updateCache(key, value) {
+    if (value === undefined) {
+      delete this.cache[key];
+    } else {
+      this.cache[key] = value;
+    }
+  }
+  
   /**
    * 添加存储变化监听器
    * @param {string} key - 存储键
@@ -0,0 +1,180 @@
+/**
+ * @file throttled-download-service.js
+ * @description 限速下载服务：chrome.downloads无法限速，设置了下载速度限制时改为通过fetch流式读取，
+ * 按令牌桶控制读取速度，完成后生成Blob交给chrome.downloads保存
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import TokenBucket from '../utils/token-bucket.js';
+
+/**
+ * 限速下载服务类
+ * 全局限速由同一实例发起的所有下载（包括流媒体分片）共享，单个下载限速为每个下载独立的令牌桶
+ * @class ThrottledDownloadService
+ */
+class ThrottledDownloadService {
+  /**
+   * 创建限速下载服务实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.globalLimit=0] - 全局速度限制（KB/s），0表示不限制
+   * @param {number} [options.perDownloadLimit=0] - 单个下载速度限制（KB/s），0表示不限制
+   */
+  constructor(options = {}) {
+    this.globalLimit = 0;
+    this.perDownloadLimit = 0;
+    this.globalBucket = new TokenBucket(0);
+
+    this.configure(options);
+  }
+
+  /**
+   * 更新限速配置
+   * @param {Object} options - 配置选项，同构造函数
+   */
+  configure(options = {}) {
+    if (options.globalLimit !== undefined) {
+      this.globalLimit = Math.max(0, Number(options.globalLimit) || 0);
+      this.globalBucket.setRate(this.globalLimit * 1024);
+    }
+
+    if (options.perDownloadLimit !== undefined) {
+      this.perDownloadLimit = Math.max(0, Number(options.perDownloadLimit) || 0);
+    }
+  }
+
+  /**
+   * 是否设置了任意速度限制
+   * @returns {boolean} - 是否启用限速
+   */
+  isEnabled() {
+    return this.globalLimit > 0 || this.perDownloadLimit > 0;
+  }
+
+  /**
+   * 限速下载资源
+   * @param {string} url - 资源URL
+   * @param {Object} [options] - 下载选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {Function} [options.onProgress] - 进度回调 ({ bytesReceived, totalBytes, progress })
+   * @param {number} [options.limit] - 覆盖单个下载速度限制（KB/s）
+   * @returns {Promise<Object>} - { blob, mimeType, totalBytes, filename }
+   */
+  async download(url, options = {}) {
+    const { signal, onProgress } = options;
+    const limit = options.limit !== undefined ? options.limit : this.perDownloadLimit;
+
+    const response = await fetch(url, { signal, credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+    }
+
+    const totalBytes = parseInt(response.headers.get('Content-Length'), 10) || 0;
+    const mimeType = (response.headers.get('Content-Type') || '').split(';')[0].trim();
+    let bytesReceived = 0;
+
+    const chunks = await this.readBody(response, {
+      signal: signal,
+      bucket: new TokenBucket(limit * 1024),
+      onChunk: (length) => {
+        bytesReceived += length;
+
+        if (typeof onProgress === 'function') {
+          onProgress({
+            bytesReceived: bytesReceived,
+            totalBytes: totalBytes,
+            progress: totalBytes > 0 ? Math.round((bytesReceived / totalBytes) * 100) : 0
+          });
+        }
+      }
+    });
+
+    return {
+      blob: new Blob(chunks, { type: mimeType || 'application/octet-stream' }),
+      mimeType: mimeType,
+      totalBytes: bytesReceived,
+      filename: this._getFilenameFromHeaders(response.headers)
+    };
+  }
+
+  /**
+   * 按限速读取响应体
+   * @param {Response} response - fetch响应
+   * @param {Object} [options] - 读取选项
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {TokenBucket} [options.bucket] - 单个下载的令牌桶
+   * @param {Function} [options.onChunk] - 每读取一块数据后的回调 (byteLength)
+   * @returns {Promise<Array<Uint8Array>>} - 数据块
+   */
+  async readBody(response, options = {}) {
+    const { signal, bucket, onChunk } = options;
+
+    if (!response.body || typeof response.body.getReader !== 'function') {
+      const data = new Uint8Array(await response.arrayBuffer());
+      await this.throttle(data.byteLength, signal, bucket);
+      if (onChunk) onChunk(data.byteLength);
+      return [data];
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        await this.throttle(value.byteLength, signal, bucket);
+
+        chunks.push(value);
+        if (onChunk) onChunk(value.byteLength);
+      }
+    } catch (e) {
+      reader.cancel().catch(() => {});
+      throw signal && signal.aborted ? new Error('下载已取消') : e;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * 按单个下载和全局限速等待令牌
+   * @param {number} bytes - 字节数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @param {TokenBucket} [bucket] - 单个下载的令牌桶
+   * @returns {Promise<void>}
+   */
+  async throttle(bytes, signal, bucket) {
+    if (bucket) {
+      await bucket.consume(bytes, signal);
+    }
+
+    await this.globalBucket.consume(bytes, signal);
+  }
+
+  /**
+   * 从Content-Disposition中获取文件名
+   * @param {Headers} headers - 响应头
+   * @returns {string|null} - 文件名
+   * @private
+   */
+  _getFilenameFromHeaders(headers) {
+    const disposition = headers.get('Content-Disposition') || '';
+
+    const encoded = /filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i.exec(disposition);
+    if (encoded) {
+      try {
+        return decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+      } catch (e) {
+        // 编码错误时继续尝试普通文件名
+      }
+    }
+
+    const plain = /filename\s*=\s*("?)([^";]+)\1/i.exec(disposition);
+    return plain ? plain[2].trim() : null;
+  }
+}
+
+export default ThrottledDownloadService;
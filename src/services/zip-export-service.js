@@ -0,0 +1,287 @@
+/**
+ * @file zip-export-service.js
+ * @description ZIP导出服务：下载选中的资源并逐个写入ZIP归档，附带记录每个条目来源信息的manifest.json
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ZipWriter from '../utils/zip-writer.js';
+import FilenameTemplate, { PRESET_TEMPLATES } from '../utils/filename-template.js';
+import ThrottledDownloadService from './throttled-download-service.js';
+import MetadataStripper, { STRIP_MODES } from '../utils/metadata-stripper.js';
+import { FILENAME_FORMATS } from '../config/settings.js';
+import { RESOURCE_TYPES } from '../config/constants.js';
+
+/**
+ * ZIP压缩方式
+ * @enum {string}
+ */
+export const ZIP_COMPRESSION = {
+  /** 文本等可压缩内容使用Deflate，已压缩的媒体文件直接存储 */
+  AUTO: 'auto',
+  /** 全部直接存储 */
+  STORE: 'store',
+  /** 全部尝试Deflate */
+  DEFLATE: 'deflate'
+};
+
+/**
+ * 本身已经压缩过、再次Deflate几乎没有收益的MIME类型
+ * @type {RegExp}
+ * @private
+ */
+const PRECOMPRESSED_TYPES = /^(image\/(jpeg|png|gif|webp|avif|heic|heif)|video\/|audio\/(?!wav|x-wav)|font\/woff2?|application\/(zip|gzip|x-gzip|x-7z-compressed|x-rar-compressed|pdf))/i;
+
+/**
+ * ZIP导出服务类
+ * @class ZipExportService
+ */
+class ZipExportService {
+  /**
+   * 创建ZIP导出服务实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.concurrency=4] - 并发下载数
+   * @param {ThrottledDownloadService} [options.limiter] - 限速下载服务
+   * @param {Function} [options.deflate] - 原始Deflate压缩函数，默认使用CompressionStream
+   */
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 4;
+    this.limiter = options.limiter || new ThrottledDownloadService();
+    this.deflate = options.deflate;
+  }
+
+  /**
+   * 下载资源并打包为ZIP
+   * @param {Array} resources - 资源数组
+   * @param {Object} [options] - 导出选项
+   * @param {string} [options.pageUrl] - 来源页面URL
+   * @param {string} [options.pageTitle] - 来源页面标题
+   * @param {string} [options.template] - 条目路径的文件名模板，默认使用原始文件名
+   * @param {string} [options.compression='auto'] - 压缩方式，见ZIP_COMPRESSION
+   * @param {string} [options.stripMetadata] - 图片写入归档前移除的元数据（STRIP_MODES）
+   * @param {AbortSignal} [options.signal] - 取消信号
+   * @param {Function} [options.onProgress] - 进度回调 ({ completed, failed, total, bytes })
+   * @returns {Promise<Object>} - { blob, filename, manifest }
+   */
+  async exportResources(resources, options = {}) {
+    const { signal, onProgress } = options;
+    const compression = options.compression || ZIP_COMPRESSION.AUTO;
+    const template = options.template || PRESET_TEMPLATES[FILENAME_FORMATS.ORIGINAL];
+    const date = new Date();
+    const writer = new ZipWriter({ deflate: this.deflate });
+    const usedPaths = new Set(['manifest.json']);
+
+    // 先按资源顺序确定条目路径，保证重名时的序号与并发下载的完成顺序无关
+    const items = (resources || []).filter(resource => resource && resource.url).map((resource, i) => {
+      const path = FilenameTemplate.resolveCollision(
+        FilenameTemplate.render(template, FilenameTemplate.createContext(resource, {
+          pageUrl: options.pageUrl,
+          pageTitle: options.pageTitle,
+          index: i + 1,
+          date: date
+        })),
+        usedPaths
+      );
+
+      usedPaths.add(path);
+      return { resource: resource, path: path, order: i };
+    });
+
+    if (items.length === 0) {
+      throw new Error('没有可打包的资源');
+    }
+
+    const manifest = {
+      generator: 'Resource Sniffer',
+      createdAt: date.toISOString(),
+      pageUrl: options.pageUrl || null,
+      pageTitle: options.pageTitle || null,
+      compression: compression,
+      entries: [],
+      failed: []
+    };
+    const progress = { completed: 0, failed: 0, total: items.length, bytes: 0 };
+    const report = () => {
+      if (typeof onProgress === 'function') onProgress({ ...progress });
+    };
+
+    // 下载可以并发，写入ZIP必须按顺序逐个进行
+    let writeChain = Promise.resolve();
+    let nextIndex = 0;
+
+    const worker = async () => {
+      while (nextIndex < items.length) {
+        if (signal && signal.aborted) {
+          throw new Error('打包已取消');
+        }
+
+        const item = items[nextIndex++];
+        let result = null;
+
+        try {
+          result = this._stripMetadata(await this._fetchResource(item.resource, signal), item.resource, options.stripMetadata);
+        } catch (e) {
+          if (signal && signal.aborted) throw new Error('打包已取消');
+
+          manifest.failed.push({ url: item.resource.url, error: e.message, order: item.order });
+          progress.failed++;
+          report();
+          continue;
+        }
+
+        writeChain = writeChain.then(async () => {
+          const entry = await writer.addFile(item.path, result.data, {
+            compress: this._shouldCompress(compression, result.mimeType),
+            date: date
+          });
+
+          manifest.entries.push(this._createManifestEntry(item, result, entry, options.pageUrl));
+          progress.completed++;
+          progress.bytes += result.data.byteLength;
+          report();
+        });
+
+        await writeChain;
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    await writeChain;
+
+    if (manifest.entries.length === 0) {
+      throw new Error('所有资源均下载失败');
+    }
+
+    // ZIP条目按下载完成顺序写入，清单按原始资源顺序排列
+    const order = new Map(items.map(item => [item.path, item.order]));
+    manifest.entries.sort((a, b) => order.get(a.path) - order.get(b.path));
+    manifest.failed = manifest.failed
+      .sort((a, b) => a.order - b.order)
+      .map(({ url, error }) => ({ url, error }));
+
+    await writer.addFile('manifest.json', JSON.stringify(manifest, null, 2), { date: date });
+
+    return {
+      blob: writer.finish(),
+      filename: this.getArchiveFilename(options.pageUrl, date),
+      manifest: manifest
+    };
+  }
+
+  /**
+   * 生成归档文件名
+   * @param {string} [pageUrl] - 来源页面URL
+   * @param {Date} [date] - 日期
+   * @returns {string} - 归档文件名
+   */
+  getArchiveFilename(pageUrl, date = new Date()) {
+    const context = FilenameTemplate.createContext({ url: pageUrl || '' }, { pageUrl: pageUrl, date: date });
+
+    return FilenameTemplate.render('{site}-{date:YYYYMMDD-HHmmss}', { ...context, ext: 'zip' });
+  }
+
+  /**
+   * 下载单个资源
+   * @param {Object} resource - 资源对象
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<Object>} - { data, mimeType }
+   * @private
+   */
+  async _fetchResource(resource, signal) {
+    if (resource.isStream || resource.mse || /^blob:/i.test(resource.url)) {
+      throw new Error('流媒体资源不支持打包，请单独下载');
+    }
+
+    const response = await fetch(resource.url, { signal, credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+    }
+
+    const chunks = await this.limiter.readBody(response, { signal });
+    const length = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const data = chunks.length === 1 ? chunks[0] : new Uint8Array(length);
+
+    if (chunks.length !== 1) {
+      let offset = 0;
+      chunks.forEach(chunk => {
+        data.set(chunk, offset);
+        offset += chunk.byteLength;
+      });
+    }
+
+    return {
+      data: data,
+      mimeType: (response.headers.get('Content-Type') || '').split(';')[0].trim()
+    };
+  }
+
+  /**
+   * 移除图片条目的元数据，与单独下载时的设置保持一致
+   * @param {Object} result - 下载结果 { data, mimeType }
+   * @param {Object} resource - 资源对象
+   * @param {string} [mode] - 移除方式（STRIP_MODES）
+   * @returns {Object} - { data, mimeType, metadataStripped }
+   * @private
+   */
+  _stripMetadata(result, resource, mode) {
+    const isImage = resource.type === RESOURCE_TYPES.IMAGE || /^image\//i.test(result.mimeType || '');
+
+    if (!isImage || (mode !== STRIP_MODES.GPS && mode !== STRIP_MODES.ALL)) {
+      return { ...result, metadataStripped: null };
+    }
+
+    const stripped = MetadataStripper.strip(result.data, mode);
+
+    return {
+      data: stripped.bytes,
+      mimeType: result.mimeType,
+      metadataStripped: stripped.stripped ? mode : null
+    };
+  }
+
+  /**
+   * 判断条目是否尝试Deflate压缩
+   * @param {string} compression - 压缩方式
+   * @param {string} mimeType - MIME类型
+   * @returns {boolean} - 是否压缩
+   * @private
+   */
+  _shouldCompress(compression, mimeType) {
+    if (compression === ZIP_COMPRESSION.STORE) return false;
+    if (compression === ZIP_COMPRESSION.DEFLATE) return true;
+
+    return !PRECOMPRESSED_TYPES.test(mimeType || '');
+  }
+
+  /**
+   * 生成清单条目
+   * @param {Object} item - 待打包项 { resource, path }
+   * @param {Object} result - 下载结果
+   * @param {Object} entry - ZIP条目信息
+   * @param {string} [pageUrl] - 来源页面URL
+   * @returns {Object} - 清单条目
+   * @private
+   */
+  _createManifestEntry(item, result, entry, pageUrl) {
+    const resource = item.resource;
+
+    return {
+      path: item.path,
+      url: resource.url,
+      type: resource.type || null,
+      detector: resource.source || null,
+      width: resource.width || null,
+      height: resource.height || null,
+      quality: resource.quality || null,
+      mimeType: result.mimeType || null,
+      size: entry.size,
+      crc32: entry.crc32.toString(16).padStart(8, '0'),
+      metadataStripped: result.metadataStripped || null,
+      pageUrl: resource.pageUrl || pageUrl || null
+    };
+  }
+}
+
+export default ZipExportService;
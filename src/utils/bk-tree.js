@@ -0,0 +1,94 @@
+/**
+ * @file bk-tree.js
+ * @description BK树，按整数距离（例如汉明距离）索引键，支持在给定距离内的近邻查询
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * BK树类
+ * @class BKTree
+ */
+class BKTree {
+  /**
+   * 创建BK树
+   * @param {Function} distance - (a, b) => number 距离函数，必须满足三角不等式
+   */
+  constructor(distance) {
+    this.distance = distance;
+    this.root = null;
+    this.size = 0;
+  }
+
+  /**
+   * 添加键值
+   * @param {*} key - 键
+   * @param {*} value - 值
+   */
+  add(key, value) {
+    this.size++;
+
+    if (!this.root) {
+      this.root = { key, values: [value], children: new Map() };
+      return;
+    }
+
+    let node = this.root;
+
+    while (true) {
+      const distance = this.distance(key, node.key);
+
+      if (distance === 0) {
+        node.values.push(value);
+        return;
+      }
+
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { key, values: [value], children: new Map() });
+        return;
+      }
+
+      node = child;
+    }
+  }
+
+  /**
+   * 查找距离不超过maxDistance的所有值
+   * @param {*} key - 查询键
+   * @param {number} maxDistance - 最大距离
+   * @returns {Array<Object>} - [{ key, value, distance }]，按距离升序
+   */
+  search(key, maxDistance) {
+    const results = [];
+    const stack = this.root ? [this.root] : [];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      const distance = this.distance(key, node.key);
+
+      if (distance <= maxDistance) {
+        node.values.forEach(value => results.push({ key: node.key, value, distance }));
+      }
+
+      node.children.forEach((child, edge) => {
+        if (edge >= distance - maxDistance && edge <= distance + maxDistance) {
+          stack.push(child);
+        }
+      });
+    }
+
+    return results.sort((a, b) => a.distance - b.distance);
+  }
+
+  /**
+   * 清空
+   */
+  clear() {
+    this.root = null;
+    this.size = 0;
+  }
+}
+
+export default BKTree;
@@ -114,11 +114,22 @@ class FileUtils {
       'image/svg+xml': 'svg',
       'image/bmp': 'bmp',
       'image/x-icon': 'ico',
+      'image/avif': 'avif',
+      'image/heic': 'heic',
+      'image/heif': 'heif',
+      'image/jxl': 'jxl',
+      'image/tiff': 'tif',
       'video/mp4': 'mp4',
       'video/webm': 'webm',
       'video/ogg': 'ogv',
       'video/quicktime': 'mov',
+      'video/x-matroska': 'mkv',
+      'video/x-msvideo': 'avi',
+      'video/3gpp': '3gp',
       'audio/mpeg': 'mp3',
+      'audio/mp4': 'm4a',
+      'audio/aac': 'aac',
+      'audio/flac': 'flac',
       'audio/ogg': 'ogg',
       'audio/wav': 'wav',
       'audio/webm': 'webm',
@@ -128,7 +139,8 @@ class FileUtils {
       'application/vnd.ms-excel': 'xls',
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
       'application/vnd.ms-powerpoint': 'ppt',
-      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx'
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+      'application/zip': 'zip'
     };
     
     return mimeToExt[mimeType] || '';
@@ -0,0 +1,482 @@
+/**
+ * @file filename-template.js
+ * @description 文件名模板引擎，根据 {site}_{type}_{index} 形式的模板为下载资源生成文件名和子目录
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES } from '../config/constants.js';
+import { FILENAME_FORMATS } from '../config/settings.js';
+import FileUtils from './file-utils.js';
+import URLUtils from './url-utils.js';
+import MimeSniffer from './mime-sniffer.js';
+
+/**
+ * 预设文件名格式对应的模板
+ * @type {Object}
+ */
+export const PRESET_TEMPLATES = {
+  [FILENAME_FORMATS.ORIGINAL]: '{original}.{ext}',
+  [FILENAME_FORMATS.TYPE_TIMESTAMP]: '{type}-{timestamp}.{ext}',
+  [FILENAME_FORMATS.SITE_TYPE_INDEX]: '{site}-{type}-{index}.{ext}'
+};
+
+/**
+ * 支持的占位符及说明
+ * @type {Object}
+ */
+export const TEMPLATE_TOKENS = {
+  site: '网站名称（例如 example）',
+  domain: '网站域名（例如 example.com）',
+  page_title: '页面标题',
+  type: '资源类型',
+  index: '序号，可指定位数，例如 {index:3}',
+  timestamp: '时间戳（毫秒）',
+  date: '日期，可指定格式，例如 {date:YYYY-MM-DD}',
+  width: '宽度（像素）',
+  height: '高度（像素）',
+  quality: '质量等级（hd/sd/ld）',
+  original: '原始文件名（不含扩展名）',
+  basename: '同 {original}',
+  ext: '文件扩展名',
+  hash: 'URL哈希，可指定长度，例如 {hash:8}'
+};
+
+/**
+ * 单个路径片段的最大长度
+ * @type {number}
+ * @private
+ */
+const MAX_SEGMENT_LENGTH = 120;
+
+/**
+ * Windows保留的设备名
+ * @type {RegExp}
+ * @private
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)$/i;
+
+/**
+ * 占位符匹配表达式：{name} 或 {name:参数}
+ * @type {RegExp}
+ * @private
+ */
+const TOKEN_PATTERN = /\{([a-z_]+)(?::([^{}]*))?\}/gi;
+
+/**
+ * 资源类型默认扩展名
+ * @type {Object}
+ * @private
+ */
+const TYPE_EXTENSIONS = {
+  [RESOURCE_TYPES.IMAGE]: 'jpg',
+  [RESOURCE_TYPES.VIDEO]: 'mp4',
+  [RESOURCE_TYPES.AUDIO]: 'mp3',
+  [RESOURCE_TYPES.DOCUMENT]: 'pdf'
+};
+
+/**
+ * 文件名模板引擎类
+ * @class FilenameTemplate
+ */
+class FilenameTemplate {
+  /**
+   * 根据文件名格式设置获取模板
+   * @param {string} format - 文件名格式（FILENAME_FORMATS中的值或模板字符串）
+   * @param {string} [customFormat] - 自定义模板
+   * @returns {string} - 模板字符串
+   */
+  static getTemplate(format, customFormat) {
+    if (format === FILENAME_FORMATS.CUSTOM) {
+      return customFormat && customFormat.trim() ? customFormat.trim() : PRESET_TEMPLATES[FILENAME_FORMATS.SITE_TYPE_INDEX];
+    }
+
+    if (PRESET_TEMPLATES[format]) {
+      return PRESET_TEMPLATES[format];
+    }
+
+    return format && format.includes('{') ? format : PRESET_TEMPLATES[FILENAME_FORMATS.ORIGINAL];
+  }
+
+  /**
+   * 校验模板
+   * @param {string} template - 模板字符串
+   * @returns {Object} - 校验结果 { valid, errors }
+   */
+  static validate(template) {
+    const errors = [];
+
+    if (!template || !template.trim()) {
+      return { valid: false, errors: ['模板不能为空'] };
+    }
+
+    const unknownTokens = [];
+    template.replace(TOKEN_PATTERN, (match, name) => {
+      if (!TEMPLATE_TOKENS[name.toLowerCase()] && !unknownTokens.includes(match)) {
+        unknownTokens.push(match);
+      }
+      return match;
+    });
+
+    if (unknownTokens.length > 0) {
+      errors.push(`未知的占位符: ${unknownTokens.join(', ')}`);
+    }
+
+    const stripped = template.replace(TOKEN_PATTERN, '');
+    if (/[{}]/.test(stripped)) {
+      errors.push('模板中存在未闭合的花括号');
+    }
+
+    if (/^\s*[/\\]/.test(template) || /(^|[/\\])\.\.([/\\]|$)/.test(template)) {
+      errors.push('模板只能使用相对路径，且不能包含".."');
+    }
+
+    return { valid: errors.length === 0, errors: errors };
+  }
+
+  /**
+   * 根据资源和页面信息创建模板上下文
+   * @param {Object} resource - 资源对象
+   * @param {Object} [info] - 附加信息
+   * @param {string} [info.pageUrl] - 页面URL
+   * @param {string} [info.pageTitle] - 页面标题
+   * @param {number} [info.index] - 序号（从1开始）
+   * @param {Date|number} [info.date] - 下载时间
+   * @param {string} [info.filename] - 服务器建议的文件名
+   * @param {string} [info.mimeType] - 服务器返回的MIME类型
+   * @returns {Object} - 模板上下文
+   */
+  static createContext(resource, info = {}) {
+    const url = resource && resource.url ? resource.url : '';
+    const hostname = this._getHostname(info.pageUrl || resource.pageUrl || url);
+    const fallbackName = info.filename ? info.filename.split(/[/\\]/).pop() : '';
+    const date = info.date instanceof Date ? info.date : new Date(info.date || Date.now());
+
+    return {
+      url: url,
+      site: this._getSiteName(hostname),
+      domain: hostname.replace(/^www\./, ''),
+      pageTitle: info.pageTitle || resource.pageTitle || '',
+      type: (resource.type || RESOURCE_TYPES.OTHER).toLowerCase(),
+      index: info.index || 1,
+      date: date,
+      width: resource.width || 0,
+      height: resource.height || 0,
+      quality: resource.quality && resource.quality !== 'unknown' ? resource.quality.toLowerCase() : '',
+      original: this._getOriginalName(resource, fallbackName),
+      ext: this._getExtension(resource, fallbackName, info.mimeType)
+    };
+  }
+
+  /**
+   * 渲染模板，返回相对下载目录的文件路径
+   * @param {string} template - 模板字符串
+   * @param {Object} context - 由createContext创建的上下文
+   * @returns {string} - 文件路径（使用"/"分隔子目录）
+   */
+  static render(template, context) {
+    const source = (template || PRESET_TEMPLATES[FILENAME_FORMATS.ORIGINAL]).replace(/\\/g, '/');
+    let hasExtension = false;
+
+    const rendered = source.replace(TOKEN_PATTERN, (match, name, argument) => {
+      const key = name.toLowerCase();
+
+      if (key === 'ext') {
+        hasExtension = true;
+      }
+
+      const value = this._resolveToken(key, argument, context);
+      if (value === null) return match;
+
+      // 占位符的值不能引入新的目录层级
+      return String(value).replace(/[/\\]/g, '_');
+    });
+
+    const segments = rendered
+      .split('/')
+      .map(segment => this.sanitizeSegment(segment))
+      .filter(segment => segment && segment !== '.' && segment !== '..');
+
+    let filename = segments.pop() || context.original || 'resource';
+
+    if (!hasExtension && context.ext && !filename.toLowerCase().endsWith(`.${context.ext}`)) {
+      filename += `.${context.ext}`;
+    }
+
+    return [...segments, filename].join('/');
+  }
+
+  /**
+   * 清理单个路径片段中的非法字符
+   * @param {string} segment - 路径片段
+   * @returns {string} - 清理后的片段
+   */
+  static sanitizeSegment(segment) {
+    if (!segment || !segment.trim()) return '';
+
+    let cleaned = FileUtils.sanitizeFilename(segment.trim())
+      .replace(/[\x00-\x1f\x7f~]/g, '')
+      .replace(/([_\-.])\1+/g, '$1')
+      .replace(/^[_\-.\s]+|[_\-\s]+$/g, '')
+      .replace(/\.+$/, '');
+
+    if (cleaned.length > MAX_SEGMENT_LENGTH) {
+      const dotIndex = cleaned.lastIndexOf('.');
+      const extension = dotIndex > 0 && cleaned.length - dotIndex <= 10 ? cleaned.slice(dotIndex) : '';
+      cleaned = cleaned.slice(0, MAX_SEGMENT_LENGTH - extension.length) + extension;
+    }
+
+    if (RESERVED_NAMES.test(cleaned.split('.')[0])) {
+      cleaned = `_${cleaned}`;
+    }
+
+    return cleaned;
+  }
+
+  /**
+   * 处理文件名冲突，在扩展名前追加序号
+   * @param {string} path - 文件路径
+   * @param {Set<string>|Array<string>} usedPaths - 已占用的路径
+   * @returns {string} - 不冲突的路径
+   */
+  static resolveCollision(path, usedPaths) {
+    const used = usedPaths instanceof Set ? usedPaths : new Set(usedPaths || []);
+    const normalized = value => value.toLowerCase();
+    const usedNormalized = new Set(Array.from(used).map(normalized));
+
+    if (!usedNormalized.has(normalized(path))) return path;
+
+    const slashIndex = path.lastIndexOf('/');
+    const directory = path.slice(0, slashIndex + 1);
+    const filename = path.slice(slashIndex + 1);
+    const dotIndex = filename.lastIndexOf('.');
+    const name = dotIndex > 0 ? filename.slice(0, dotIndex) : filename;
+    const extension = dotIndex > 0 ? filename.slice(dotIndex) : '';
+
+    let counter = 1;
+    let candidate;
+    do {
+      candidate = `${directory}${name}_${counter}${extension}`;
+      counter++;
+    } while (usedNormalized.has(normalized(candidate)));
+
+    return candidate;
+  }
+
+  /**
+   * 使用示例资源生成预览
+   * @param {string} template - 模板字符串
+   * @param {Object} [resource] - 示例资源
+   * @param {Object} [info] - 附加信息
+   * @returns {Object} - 预览结果 { valid, errors, filename }
+   */
+  static preview(template, resource, info) {
+    const result = this.validate(template);
+    const sampleResource = resource || {
+      url: 'https://www.example.com/gallery/sunset-beach.jpg',
+      type: RESOURCE_TYPES.IMAGE,
+      width: 1920,
+      height: 1080,
+      quality: 'HD'
+    };
+    const sampleInfo = info || { pageTitle: '示例页面', index: 1 };
+
+    return {
+      valid: result.valid,
+      errors: result.errors,
+      filename: this.render(template, this.createContext(sampleResource, sampleInfo))
+    };
+  }
+
+  /**
+   * 解析单个占位符
+   * @param {string} name - 占位符名称
+   * @param {string} [argument] - 占位符参数
+   * @param {Object} context - 模板上下文
+   * @returns {string|number|null} - 替换值，未知占位符返回null
+   * @private
+   */
+  static _resolveToken(name, argument, context) {
+    switch (name) {
+      case 'site':
+        return context.site;
+      case 'domain':
+        return context.domain;
+      case 'page_title':
+        return context.pageTitle;
+      case 'type':
+        return context.type;
+      case 'index': {
+        const width = parseInt(argument, 10);
+        return String(context.index).padStart(isNaN(width) ? 3 : Math.min(width, 10), '0');
+      }
+      case 'timestamp':
+        return context.date.getTime();
+      case 'date':
+        return this._formatDate(context.date, argument || 'YYYY-MM-DD');
+      case 'width':
+        return context.width;
+      case 'height':
+        return context.height;
+      case 'quality':
+        return context.quality;
+      case 'original':
+      case 'basename':
+        return context.original;
+      case 'ext':
+        return context.ext;
+      case 'hash': {
+        const length = parseInt(argument, 10);
+        return this._hash(context.url, isNaN(length) ? 8 : Math.max(1, Math.min(length, 32)));
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * 按格式输出日期
+   * @param {Date} date - 日期
+   * @param {string} format - 格式（支持 YYYY、MM、DD、HH、mm、ss）
+   * @returns {string} - 格式化后的日期
+   * @private
+   */
+  static _formatDate(date, format) {
+    const pad = value => String(value).padStart(2, '0');
+    const parts = {
+      YYYY: date.getFullYear(),
+      MM: pad(date.getMonth() + 1),
+      DD: pad(date.getDate()),
+      HH: pad(date.getHours()),
+      mm: pad(date.getMinutes()),
+      ss: pad(date.getSeconds())
+    };
+
+    return format.replace(/YYYY|MM|DD|HH|mm|ss/g, match => parts[match]);
+  }
+
+  /**
+   * 计算字符串的十六进制哈希（FNV-1a，多轮拼接以满足长度）
+   * @param {string} value - 输入字符串
+   * @param {number} length - 输出长度
+   * @returns {string} - 哈希值
+   * @private
+   */
+  static _hash(value, length) {
+    let output = '';
+    let round = 0;
+
+    while (output.length < length) {
+      let hash = 0x811c9dc5 ^ round;
+      for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      output += (hash >>> 0).toString(16).padStart(8, '0');
+      round++;
+    }
+
+    return output.slice(0, length);
+  }
+
+  /**
+   * 从URL中获取主机名
+   * @param {string} url - URL
+   * @returns {string} - 主机名
+   * @private
+   */
+  static _getHostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * 从主机名中提取网站名称（去掉www和顶级域名）
+   * @param {string} hostname - 主机名
+   * @returns {string} - 网站名称
+   * @private
+   */
+  static _getSiteName(hostname) {
+    if (!hostname) return 'site';
+
+    const labels = hostname.replace(/^www\./, '').split('.');
+    if (labels.length <= 1 || /^\d+$/.test(labels[labels.length - 1])) {
+      return labels.join('.');
+    }
+
+    // 处理 example.com.cn、example.co.uk 这类二级后缀
+    const secondLevel = labels[labels.length - 2];
+    if (labels.length > 2 && /^(com|net|org|gov|edu|co|ac)$/.test(secondLevel)) {
+      return labels[labels.length - 3];
+    }
+
+    return secondLevel;
+  }
+
+  /**
+   * 获取原始文件名（不含扩展名）
+   * @param {Object} resource - 资源对象
+   * @param {string} fallbackName - 备用文件名
+   * @returns {string} - 原始文件名
+   * @private
+   */
+  static _getOriginalName(resource, fallbackName) {
+    let name = '';
+
+    if (resource.filename) {
+      name = resource.filename.split(/[/\\]/).pop();
+    } else if (resource.url && /^https?:/i.test(resource.url)) {
+      name = URLUtils.getFileName(resource.url);
+    }
+
+    if (!name || name === 'unknown') {
+      name = fallbackName;
+    }
+
+    try {
+      name = decodeURIComponent(name);
+    } catch (e) {
+      // 保留未解码的名称
+    }
+
+    const dotIndex = name.lastIndexOf('.');
+    return (dotIndex > 0 ? name.slice(0, dotIndex) : name) || 'resource';
+  }
+
+  /**
+   * 获取文件扩展名，下载前嗅探过文件内容（resource.sniffedType）时以嗅探结果为准
+   * @param {Object} resource - 资源对象
+   * @param {string} fallbackName - 备用文件名
+   * @param {string} [mimeType] - MIME类型
+   * @returns {string} - 扩展名
+   * @private
+   */
+  static _getExtension(resource, fallbackName, mimeType) {
+    const fromName = name => {
+      const match = /\.([a-z0-9]{1,8})$/i.exec(name || '');
+      return match ? match[1].toLowerCase() : '';
+    };
+
+    const contentType = (mimeType || resource.contentType || '').split(';')[0].trim();
+    const named = fromName(resource.filename) ||
+      (resource.url && /^https?:/i.test(resource.url) ? fromName(URLUtils.getFileName(resource.url)) : '');
+    const sniffed = resource.sniffedType;
+
+    // 按文件内容识别出的类型优先，只有扩展名是同一格式的另一种写法时才保留原扩展名
+    if (sniffed && sniffed.extension && !MimeSniffer.matchesExtension(sniffed, named)) {
+      return sniffed.extension;
+    }
+
+    return named ||
+      FileUtils.getExtensionFromMimeType(contentType) ||
+      fromName(fallbackName) ||
+      TYPE_EXTENSIONS[resource.type] ||
+      'bin';
+  }
+}
+
+export default FilenameTemplate;
@@ -0,0 +1,293 @@
+/**
+ * @file high-res-rewriter.js
+ * @description 高清URL改写工具，按图片CDN和CMS的规则把缩略图地址改写为原图或更大尺寸的候选地址
+ * 站点提取器的rewriteUrl了解站点的真实URL格式，最先使用；之后依次套用下方的通用规则
+ * 新增CDN时在REWRITE_RULES中添加实现 rewrite(urlObject) 的规则，返回候选URL数组（最可能是原图的在前）
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import extractorRegistry from '../extractors/index.js';
+
+/**
+ * 单个URL最多生成的候选数量
+ * @type {number}
+ */
+export const MAX_CANDIDATES = 12;
+
+/**
+ * 通用缩放服务使用的尺寸和质量参数（imgix、Cloudinary fetch、Photon、Thumbor代理等）
+ * @type {Array<string>}
+ * @private
+ */
+const RESIZE_PARAMS = [
+  'w', 'h', 'width', 'height', 'size', 'resize', 'fit', 'crop', 'dpr', 'q', 'quality',
+  'maxwidth', 'maxheight', 'max-w', 'max-h', 'wid', 'hei', 'qlt', 'sw', 'sh', 'scale'
+];
+
+/**
+ * 表示宽度的参数，放大候选只改写这些参数
+ * @type {Array<string>}
+ * @private
+ */
+const WIDTH_PARAMS = ['w', 'width', 'maxwidth', 'max-w', 'wid', 'sw'];
+
+/**
+ * imgix的尺寸、裁剪和压缩参数
+ * @type {Array<string>}
+ * @private
+ */
+const IMGIX_PARAMS = ['w', 'h', 'fit', 'crop', 'q', 'dpr', 'rect', 'max-w', 'max-h', 'min-w', 'min-h', 'auto', 'blur', 'px', 'ar'];
+
+/**
+ * Akamai Image Manager的参数
+ * @type {Array<string>}
+ * @private
+ */
+const AKAMAI_PARAMS = ['imwidth', 'imheight', 'impolicy', 'imdensity', 'imformat'];
+
+/**
+ * 文件名中表示缩略图的后缀，按长度排列避免_t误匹配_thumb
+ * @type {RegExp}
+ * @private
+ */
+const THUMB_SUFFIX_PATTERN = /[-_.](thumbnail|thumb|small|medium|preview|mobile|tiny|sm|md|s|m|t)(\.[a-z0-9]{2,5})$/i;
+
+/**
+ * 路径中表示缩略图的目录
+ * @type {RegExp}
+ * @private
+ */
+const THUMB_DIRECTORY_PATTERN = /\/(thumbs?|thumbnails?|small|medium|previews?|resized|cache)\//i;
+
+/**
+ * 改写规则，按顺序套用
+ * @type {Array<Object>}
+ */
+export const REWRITE_RULES = [
+  {
+    id: 'cloudinary',
+    description: 'Cloudinary：去掉upload之后的变换段（w_300,h_200,c_fill等）',
+    rewrite: urlObject => {
+      const match = /^(.*\/(?:image|video)\/(?:upload|fetch|private|authenticated)\/)((?:[a-z]{1,3}_[^/]+\/)+)(.*)$/.exec(urlObject.pathname);
+      if (!match) return [];
+
+      return [HighResRewriter.withPath(urlObject, match[1] + match[3])];
+    }
+  },
+  {
+    id: 'imgix',
+    description: 'imgix：去掉尺寸、裁剪和压缩参数',
+    rewrite: urlObject => {
+      const isImgix = /\.imgix\.net$/i.test(urlObject.hostname) || urlObject.searchParams.has('ixlib');
+      if (!isImgix) return [];
+
+      return [HighResRewriter.withoutParams(urlObject, IMGIX_PARAMS.concat('ixlib', 's'))];
+    }
+  },
+  {
+    id: 'akamai',
+    description: 'Akamai Image Manager：去掉imwidth、impolicy等参数',
+    rewrite: urlObject => {
+      if (!AKAMAI_PARAMS.some(param => urlObject.searchParams.has(param))) return [];
+
+      return [HighResRewriter.withoutParams(urlObject, AKAMAI_PARAMS)];
+    }
+  },
+  {
+    id: 'google-images',
+    description: 'Google图片CDN（googleusercontent、ggpht、Blogger）：尺寸参数改为s0（原图）',
+    rewrite: urlObject => {
+      if (!/(googleusercontent\.com|ggpht\.com|bp\.blogspot\.com)$/i.test(urlObject.hostname)) return [];
+
+      const candidates = [];
+      const pathname = urlObject.pathname;
+
+      if (/=[a-z][\w-]*$/i.test(pathname)) {
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(/=[a-z][\w-]*$/i, '=s0')));
+      }
+      if (/\/(s|w|h)\d+(-[a-z0-9-]+)?\//i.test(pathname)) {
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(/\/(s|w|h)\d+(-[a-z0-9-]+)?\//i, '/s0/')));
+      }
+
+      return candidates;
+    }
+  },
+  {
+    id: 'query-resize',
+    description: '缩放参数（?w=、?width=、?size=等）：去掉参数取原图，或把宽度放大一倍',
+    rewrite: urlObject => {
+      const params = RESIZE_PARAMS.filter(param => /^\d+(\.\d+)?(x\d+)?$/.test(urlObject.searchParams.get(param) || ''));
+      if (params.length === 0) return [];
+
+      const candidates = [HighResRewriter.withoutParams(urlObject, RESIZE_PARAMS)];
+      const widthParam = WIDTH_PARAMS.find(param => params.includes(param));
+
+      if (widthParam) {
+        const enlarged = new URL(urlObject.toString());
+        enlarged.searchParams.set(widthParam, String(Math.round(parseFloat(urlObject.searchParams.get(widthParam)) * 2)));
+        ['h', 'height', 'hei', 'sh', 'maxheight', 'max-h'].forEach(param => enlarged.searchParams.delete(param));
+        candidates.push(enlarged.toString());
+      }
+
+      return candidates;
+    }
+  },
+  {
+    id: 'wordpress',
+    description: 'WordPress：去掉文件名中的-150x150尺寸后缀和-scaled后缀',
+    rewrite: urlObject => {
+      const pathname = urlObject.pathname;
+      const candidates = [];
+
+      if (/-\d+x\d+(\.[a-z0-9]{2,5})$/i.test(pathname)) {
+        const original = pathname.replace(/-\d+x\d+(\.[a-z0-9]{2,5})$/i, '$1');
+        candidates.push(HighResRewriter.withPath(urlObject, original));
+
+        // 超过2560像素的上传图片原图带-scaled后缀，同时尝试去掉
+        if (/-scaled\.[a-z0-9]{2,5}$/i.test(original)) {
+          candidates.push(HighResRewriter.withPath(urlObject, original.replace(/-scaled(\.[a-z0-9]{2,5})$/i, '$1')));
+        }
+      } else if (/-scaled(\.[a-z0-9]{2,5})$/i.test(pathname)) {
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(/-scaled(\.[a-z0-9]{2,5})$/i, '$1')));
+      }
+
+      return candidates;
+    }
+  },
+  {
+    id: 'path-size',
+    description: '路径中的尺寸段（/300x200/、/s640x640/）和文件名尺寸后缀（Shopify的_300x300、_600x）',
+    rewrite: urlObject => {
+      const pathname = urlObject.pathname;
+      const candidates = [];
+      const segment = /\/[a-z]?(\d{2,5})x(\d{2,5})(?:_[a-z0-9]+)?\//i.exec(pathname);
+
+      if (segment) {
+        const width = parseInt(segment[1], 10);
+        const height = parseInt(segment[2], 10);
+        const prefix = segment[0].charAt(1).replace(/\d/, '');
+
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(segment[0], '/')));
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(segment[0], `/${prefix}${width * 2}x${height * 2}/`)));
+      }
+
+      const suffix = /_(\d+x\d*|x\d+)(@[23]x)?(\.[a-z0-9]{2,5})$/i;
+      if (suffix.test(pathname)) {
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(suffix, '$3')));
+      }
+
+      return candidates;
+    }
+  },
+  {
+    id: 'thumb-suffix',
+    description: '缩略图后缀和目录（_thumb、-small、/thumbs/）：去掉或改为原图',
+    rewrite: urlObject => {
+      const pathname = urlObject.pathname;
+      const candidates = [];
+      const suffix = THUMB_SUFFIX_PATTERN.exec(pathname);
+
+      if (suffix) {
+        const separator = suffix[0].charAt(0);
+        const extension = suffix[2];
+
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_SUFFIX_PATTERN, extension)));
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_SUFFIX_PATTERN, `${separator}original${extension}`)));
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_SUFFIX_PATTERN, `${separator}large${extension}`)));
+      }
+
+      if (THUMB_DIRECTORY_PATTERN.test(pathname)) {
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_DIRECTORY_PATTERN, '/')));
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_DIRECTORY_PATTERN, '/original/')));
+        candidates.push(HighResRewriter.withPath(urlObject, pathname.replace(THUMB_DIRECTORY_PATTERN, '/large/')));
+      }
+
+      return candidates;
+    }
+  }
+];
+
+/**
+ * 高清URL改写工具类
+ * @class HighResRewriter
+ */
+class HighResRewriter {
+  /**
+   * 生成可能是高清版本的候选URL
+   * @param {string} url - 资源URL
+   * @param {Object} [options] - 选项
+   * @param {number} [options.limit=MAX_CANDIDATES] - 最多返回的候选数量
+   * @param {Array<Object>} [options.rules=REWRITE_RULES] - 使用的改写规则
+   * @returns {Array<Object>} - 候选 { url, rule }，按可能性排列，不包含原URL
+   */
+  static getCandidates(url, options = {}) {
+    const limit = options.limit || MAX_CANDIDATES;
+    const rules = options.rules || REWRITE_RULES;
+    const candidates = [];
+    const seen = new Set([url]);
+
+    const add = (candidateUrl, rule) => {
+      if (candidateUrl && !seen.has(candidateUrl)) {
+        seen.add(candidateUrl);
+        candidates.push({ url: candidateUrl, rule: rule });
+      }
+    };
+
+    let urlObject;
+    try {
+      urlObject = new URL(url);
+    } catch (e) {
+      return [];
+    }
+
+    if (!/^https?:$/.test(urlObject.protocol)) return [];
+
+    const siteVariant = extractorRegistry.rewriteUrl(url);
+    if (siteVariant) {
+      add(siteVariant.url, `extractor:${siteVariant.extractor}`);
+    }
+
+    rules.forEach(rule => {
+      try {
+        rule.rewrite(new URL(urlObject.toString())).forEach(candidateUrl => add(candidateUrl, rule.id));
+      } catch (e) {
+        console.warn(`高清改写规则 ${rule.id} 错误:`, e);
+      }
+    });
+
+    return candidates.slice(0, limit);
+  }
+
+  /**
+   * 替换URL的路径
+   * @param {URL} urlObject - URL对象
+   * @param {string} pathname - 新路径
+   * @returns {string} - 新URL
+   */
+  static withPath(urlObject, pathname) {
+    const result = new URL(urlObject.toString());
+    result.pathname = pathname;
+    return result.toString();
+  }
+
+  /**
+   * 删除URL的查询参数，参数全部删除后去掉"?"
+   * @param {URL} urlObject - URL对象
+   * @param {Array<string>} params - 参数名（不区分大小写）
+   * @returns {string} - 新URL
+   */
+  static withoutParams(urlObject, params) {
+    const result = new URL(urlObject.toString());
+    const names = params.map(param => param.toLowerCase());
+
+    Array.from(result.searchParams.keys())
+      .filter(key => names.includes(key.toLowerCase()))
+      .forEach(key => result.searchParams.delete(key));
+
+    return result.toString().replace(/\?$/, '');
+  }
+}
+
+export default HighResRewriter;
@@ -0,0 +1,102 @@
+/**
+ * @file image-classifier.js
+ * @description 本地图像分类器，对手工图像特征做标准化后使用内置的softmax回归权重分类
+ * 纯CPU计算、结果确定：同一张图片每次得到相同的分类和置信度
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ImageFeatures, { FEATURE_NAMES } from './image-features.js';
+import IMAGE_CLASSIFIER_WEIGHTS from '../config/image-classifier-weights.js';
+
+/**
+ * 图像分类类别
+ * @type {Array<string>}
+ */
+export const IMAGE_CATEGORIES = IMAGE_CLASSIFIER_WEIGHTS.categories;
+
+/**
+ * 图像分类器类
+ * @class ImageClassifier
+ */
+class ImageClassifier {
+  /**
+   * 获取模型信息
+   * @returns {Object} - { name, version, categories }
+   */
+  static getModelInfo() {
+    return {
+      name: IMAGE_CLASSIFIER_WEIGHTS.name,
+      version: IMAGE_CLASSIFIER_WEIGHTS.version,
+      categories: IMAGE_CATEGORIES.slice()
+    };
+  }
+
+  /**
+   * 从RGBA像素分类
+   * @param {Uint8ClampedArray|Array<number>} data - RGBA像素数据
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {Object} [options] - 传给ImageFeatures.extract的选项（naturalWidth/naturalHeight）
+   * @returns {Object} - { category, confidence, scores, features }
+   */
+  static classifyPixels(data, width, height, options = {}) {
+    const { vector, features } = ImageFeatures.extract(data, width, height, options);
+    return {
+      ...ImageClassifier.classify(vector),
+      features: features
+    };
+  }
+
+  /**
+   * 对特征向量分类
+   * @param {Array<number>} vector - 按FEATURE_NAMES排列的特征向量
+   * @param {Object} [model] - 模型权重，默认使用内置权重
+   * @returns {Object} - { category, confidence, scores }
+   */
+  static classify(vector, model = IMAGE_CLASSIFIER_WEIGHTS) {
+    if (!Array.isArray(vector) || vector.length !== FEATURE_NAMES.length) {
+      throw new Error('特征向量长度无效');
+    }
+
+    const normalized = vector.map((value, index) =>
+      (value - model.mean[index]) / (model.std[index] || 1)
+    );
+
+    const logits = model.categories.map((category, classIndex) =>
+      model.weights[classIndex].reduce((sum, weight, index) => sum + weight * normalized[index], model.bias[classIndex])
+    );
+
+    const probabilities = ImageClassifier.softmax(logits);
+    let best = 0;
+    probabilities.forEach((probability, index) => {
+      if (probability > probabilities[best]) best = index;
+    });
+
+    const scores = {};
+    model.categories.forEach((category, index) => {
+      scores[category] = probabilities[index];
+    });
+
+    return {
+      category: model.categories[best],
+      confidence: probabilities[best],
+      scores: scores
+    };
+  }
+
+  /**
+   * 数值稳定的softmax
+   * @param {Array<number>} logits - 未归一化的分数
+   * @returns {Array<number>} - 概率
+   */
+  static softmax(logits) {
+    const max = Math.max(...logits);
+    const exps = logits.map(value => Math.exp(value - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map(value => value / sum);
+  }
+}
+
+export default ImageClassifier;
@@ -0,0 +1,275 @@
+/**
+ * @file image-features.js
+ * @description 图像特征提取，从RGBA像素计算供图像分类模型使用的手工特征
+ * 特征包括颜色直方图熵、边缘密度、类文字区域比例、宽高比、透明度使用率等，全部归一化到0-1左右
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 提取特征前把图片缩放到的最长边（像素）
+ * 模型权重基于该尺寸训练，Worker缩放时必须使用同一尺寸
+ * @type {number}
+ */
+export const FEATURE_INPUT_SIZE = 96;
+
+/**
+ * 特征名称，顺序即特征向量的顺序
+ * @type {Array<string>}
+ */
+export const FEATURE_NAMES = [
+  'colorEntropy',
+  'significantColors',
+  'dominantColorRatio',
+  'meanSaturation',
+  'whiteRatio',
+  'lumaContrast',
+  'edgeDensity',
+  'flatRatio',
+  'softGradientRatio',
+  'textRegionRatio',
+  'aspectRatio',
+  'alphaUsage'
+];
+
+/**
+ * 每个颜色通道的量化位数（3位 = 8级，共512个颜色桶）
+ * @type {number}
+ * @private
+ */
+const COLOR_BITS = 3;
+
+/**
+ * 梯度幅值超过该值视为边缘
+ * @type {number}
+ * @private
+ */
+const EDGE_THRESHOLD = 48;
+
+/**
+ * 梯度幅值低于该值视为平坦区域
+ * @type {number}
+ * @private
+ */
+const FLAT_THRESHOLD = 4;
+
+/**
+ * 检测类文字区域时使用的分块边长
+ * @type {number}
+ * @private
+ */
+const TEXT_BLOCK_SIZE = 8;
+
+/**
+ * 图像特征提取工具类
+ * @class ImageFeatures
+ */
+class ImageFeatures {
+  /**
+   * 从RGBA像素提取特征
+   * @param {Uint8ClampedArray|Array<number>} data - RGBA像素数据
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {Object} [options] - 选项
+   * @param {number} [options.naturalWidth] - 缩放前的原始宽度，用于计算宽高比
+   * @param {number} [options.naturalHeight] - 缩放前的原始高度
+   * @returns {Object} - { vector, features }
+   */
+  static extract(data, width, height, options = {}) {
+    if (!data || !width || !height || width < 3 || height < 3 || data.length < width * height * 4) {
+      throw new Error('像素数据无效');
+    }
+
+    const pixelCount = width * height;
+    const gray = new Float64Array(pixelCount);
+    const histogram = new Uint32Array(1 << (COLOR_BITS * 3));
+    const shift = 8 - COLOR_BITS;
+    let opaqueCount = 0;
+    let translucentCount = 0;
+    let saturationSum = 0;
+    let whiteCount = 0;
+    let lumaSum = 0;
+    let lumaSquareSum = 0;
+
+    for (let i = 0; i < pixelCount; i++) {
+      const offset = i * 4;
+      const alpha = data[offset + 3];
+      const r = data[offset];
+      const g = data[offset + 1];
+      const b = data[offset + 2];
+
+      if (alpha < 250) translucentCount++;
+
+      // 透明像素按白色背景合成后参与灰度计算，但不计入颜色统计
+      const a = alpha / 255;
+      const luma = (0.299 * r + 0.587 * g + 0.114 * b) * a + 255 * (1 - a);
+      gray[i] = luma;
+      lumaSum += luma;
+      lumaSquareSum += luma * luma;
+
+      if (alpha < 128) continue;
+
+      opaqueCount++;
+      histogram[((r >> shift) << (COLOR_BITS * 2)) | ((g >> shift) << COLOR_BITS) | (b >> shift)]++;
+
+      const max = Math.max(r, g, b);
+      const saturation = max === 0 ? 0 : (max - Math.min(r, g, b)) / max;
+      saturationSum += saturation;
+
+      if (luma > 235 && saturation < 0.1) whiteCount++;
+    }
+
+    const colorStats = ImageFeatures._colorStats(histogram, opaqueCount);
+    const gradientStats = ImageFeatures._gradientStats(gray, width, height);
+    const lumaMean = lumaSum / pixelCount;
+    const lumaDeviation = Math.sqrt(Math.max(0, lumaSquareSum / pixelCount - lumaMean * lumaMean));
+    const naturalWidth = options.naturalWidth || width;
+    const naturalHeight = options.naturalHeight || height;
+    const aspect = Math.max(-2, Math.min(2, Math.log2(naturalWidth / naturalHeight)));
+
+    const features = {
+      colorEntropy: colorStats.entropy,
+      significantColors: colorStats.significantColors,
+      dominantColorRatio: colorStats.dominantRatio,
+      meanSaturation: opaqueCount > 0 ? saturationSum / opaqueCount : 0,
+      whiteRatio: opaqueCount > 0 ? whiteCount / opaqueCount : 0,
+      lumaContrast: Math.min(1, lumaDeviation / 128),
+      edgeDensity: gradientStats.edgeDensity,
+      flatRatio: gradientStats.flatRatio,
+      softGradientRatio: gradientStats.softGradientRatio,
+      textRegionRatio: ImageFeatures._textRegionRatio(gray, gradientStats.magnitude, width, height),
+      aspectRatio: aspect / 2,
+      alphaUsage: translucentCount / pixelCount
+    };
+
+    return {
+      vector: FEATURE_NAMES.map(name => features[name]),
+      features: features
+    };
+  }
+
+  /**
+   * 计算颜色直方图统计
+   * @param {Uint32Array} histogram - 量化颜色直方图
+   * @param {number} total - 计入直方图的像素数
+   * @returns {Object} - { entropy, significantColors, dominantRatio }
+   * @private
+   */
+  static _colorStats(histogram, total) {
+    if (total === 0) {
+      return { entropy: 0, significantColors: 0, dominantRatio: 1 };
+    }
+
+    let entropy = 0;
+    let significant = 0;
+    let dominant = 0;
+
+    for (let i = 0; i < histogram.length; i++) {
+      const count = histogram[i];
+      if (count === 0) continue;
+
+      const share = count / total;
+      entropy -= share * Math.log2(share);
+      if (share >= 0.005) significant++;
+      if (count > dominant) dominant = count;
+    }
+
+    return {
+      entropy: entropy / (COLOR_BITS * 3),
+      significantColors: Math.min(1, significant / 64),
+      dominantRatio: dominant / total
+    };
+  }
+
+  /**
+   * 计算灰度梯度统计（中心差分）
+   * @param {Float64Array} gray - 灰度值
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {Object} - { magnitude, edgeDensity, flatRatio, softGradientRatio }
+   * @private
+   */
+  static _gradientStats(gray, width, height) {
+    const magnitude = new Float64Array(width * height);
+    const interior = (width - 2) * (height - 2);
+    let edges = 0;
+    let flat = 0;
+    let soft = 0;
+
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = Math.abs(gray[i + 1] - gray[i - 1]) + Math.abs(gray[i + width] - gray[i - width]);
+        magnitude[i] = value;
+
+        if (value > EDGE_THRESHOLD) {
+          edges++;
+        } else if (value < FLAT_THRESHOLD) {
+          flat++;
+        } else {
+          soft++;
+        }
+      }
+    }
+
+    return {
+      magnitude: magnitude,
+      edgeDensity: edges / interior,
+      flatRatio: flat / interior,
+      softGradientRatio: soft / interior
+    };
+  }
+
+  /**
+   * 计算类文字区域比例
+   * 文字块的特征：边缘较密但不过密，且亮度集中在前景/背景两个层级上
+   * @param {Float64Array} gray - 灰度值
+   * @param {Float64Array} magnitude - 梯度幅值
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {number} - 类文字分块占全部分块的比例
+   * @private
+   */
+  static _textRegionRatio(gray, magnitude, width, height) {
+    const blocksX = Math.floor(width / TEXT_BLOCK_SIZE);
+    const blocksY = Math.floor(height / TEXT_BLOCK_SIZE);
+    const blockPixels = TEXT_BLOCK_SIZE * TEXT_BLOCK_SIZE;
+    let textBlocks = 0;
+
+    if (blocksX === 0 || blocksY === 0) return 0;
+
+    for (let by = 0; by < blocksY; by++) {
+      for (let bx = 0; bx < blocksX; bx++) {
+        const levels = new Uint16Array(16);
+        let edges = 0;
+        let min = 255;
+        let max = 0;
+
+        for (let y = by * TEXT_BLOCK_SIZE; y < (by + 1) * TEXT_BLOCK_SIZE; y++) {
+          for (let x = bx * TEXT_BLOCK_SIZE; x < (bx + 1) * TEXT_BLOCK_SIZE; x++) {
+            const i = y * width + x;
+            const value = gray[i];
+            levels[Math.min(15, value >> 4)]++;
+            if (magnitude[i] > EDGE_THRESHOLD) edges++;
+            if (value < min) min = value;
+            if (value > max) max = value;
+          }
+        }
+
+        const edgeRatio = edges / blockPixels;
+        if (max - min < 96 || edgeRatio < 0.12 || edgeRatio > 0.7) continue;
+
+        // 前两个亮度层级覆盖了绝大部分像素时视为双色（文字与背景）
+        const sorted = Array.from(levels).sort((a, b) => b - a);
+        if ((sorted[0] + sorted[1]) / blockPixels >= 0.75) {
+          textBlocks++;
+        }
+      }
+    }
+
+    return textBlocks / (blocksX * blocksY);
+  }
+}
+
+export default ImageFeatures;
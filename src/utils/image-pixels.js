@@ -0,0 +1,72 @@
+/**
+ * @file image-pixels.js
+ * @description 在Worker中下载图片并用OffscreenCanvas缩放，获取RGBA像素
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 图片像素加载工具类
+ * @class ImagePixels
+ */
+class ImagePixels {
+  /**
+   * 当前环境是否支持在Worker中解码图片
+   * @returns {boolean} - 是否支持
+   */
+  static isSupported() {
+    return typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined';
+  }
+
+  /**
+   * 下载图片并缩放为RGBA像素
+   * 指定width和height时缩放到固定尺寸，否则按maxSize等比缩小（不放大）
+   * @param {string} url - 图片URL
+   * @param {Object} options - 选项
+   * @param {number} [options.width] - 目标宽度
+   * @param {number} [options.height] - 目标高度
+   * @param {number} [options.maxSize] - 最长边上限
+   * @param {AbortSignal} [options.signal] - 中止下载的信号
+   * @returns {Promise<Object>} - { data, width, height, naturalWidth, naturalHeight }
+   */
+  static async load(url, options = {}) {
+    const response = await fetch(url, { credentials: 'include', signal: options.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP错误: ${response.status}`);
+    }
+
+    const bitmap = await createImageBitmap(await response.blob());
+
+    try {
+      const naturalWidth = bitmap.width;
+      const naturalHeight = bitmap.height;
+      let width = options.width;
+      let height = options.height;
+
+      if (!width || !height) {
+        const scale = options.maxSize ? Math.min(1, options.maxSize / Math.max(naturalWidth, naturalHeight)) : 1;
+        width = Math.max(1, Math.round(naturalWidth * scale));
+        height = Math.max(1, Math.round(naturalHeight * scale));
+      }
+
+      const canvas = new OffscreenCanvas(width, height);
+      const context = canvas.getContext('2d');
+      context.imageSmoothingEnabled = true;
+      context.imageSmoothingQuality = 'high';
+      context.drawImage(bitmap, 0, 0, width, height);
+
+      return {
+        data: context.getImageData(0, 0, width, height).data,
+        width: width,
+        height: height,
+        naturalWidth: naturalWidth,
+        naturalHeight: naturalHeight
+      };
+    } finally {
+      bitmap.close();
+    }
+  }
+}
+
+export default ImagePixels;
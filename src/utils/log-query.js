@@ -0,0 +1,524 @@
+/**
+ * @file log-query.js
+ * @description 日志查询语言：解析 level>=warn category:download data.status:interrupted "timeout" since:2h 形式的查询，
+ * 支持 AND/OR/NOT 和括号、附加数据字段路径、通配符，并从查询中提取可以走IndexedDB索引的时间、级别和类别条件
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 查询字段及说明
+ * @type {Object}
+ */
+export const LOG_QUERY_FIELDS = {
+  level: '日志级别，支持比较，例如 level>=warn',
+  category: '日志类别，例如 category:download',
+  message: '日志消息，例如 message:*timeout*',
+  id: '日志ID',
+  since: '起始时间，相对时间（30m、2h、7d）或日期，例如 since:2h',
+  until: '结束时间（不含），格式同since',
+  'data.<路径>': '附加数据字段，例如 data.status:interrupted、data.size>1024'
+};
+
+/**
+ * 级别名称到日志级别值，与LogLevel保持一致
+ * @type {Object}
+ * @private
+ */
+const LEVEL_NAMES = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  warning: 2,
+  error: 3,
+  err: 3
+};
+
+/**
+ * 相对时间单位（毫秒）
+ * @type {Object}
+ * @private
+ */
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * 字段条件：字段名、运算符、值
+ * @type {RegExp}
+ * @private
+ */
+const CLAUSE_PATTERN = /^([A-Za-z_][\w.]*)(>=|<=|!=|>|<|:|=)([\s\S]*)$/;
+
+/**
+ * 布尔运算符
+ * @type {Array<string>}
+ * @private
+ */
+const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+/**
+ * 创建带位置的语法错误
+ * @param {string} message - 错误信息
+ * @param {number} position - 出错的字符位置（从0开始）
+ * @returns {Error} - 错误对象，position属性为出错位置
+ * @private
+ */
+function syntaxError(message, position) {
+  const error = new Error(`第${position + 1}个字符: ${message}`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * 把查询文字切分为词，双引号内的空白和括号属于同一个词
+ * @param {string} text - 查询文字
+ * @returns {Array<Object>} - 词数组 { type: '('|')'|'word', raw, position }
+ * @private
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, raw: ch, position: i });
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < text.length && !/[\s()]/.test(text[i])) {
+      if (text[i] === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end === -1) {
+          throw syntaxError('缺少右引号', i);
+        }
+        i = end + 1;
+      } else {
+        i++;
+      }
+    }
+
+    tokens.push({ type: 'word', raw: text.slice(start, i), position: start });
+  }
+
+  return tokens;
+}
+
+/**
+ * 去掉值中的双引号
+ * @param {string} value - 值
+ * @returns {string} - 去掉引号后的值
+ * @private
+ */
+function unquote(value) {
+  return value.replace(/"/g, '');
+}
+
+/**
+ * 文字匹配，不区分大小写：contains为true时查找包含的文字，否则整体相等；*匹配任意文字
+ * @param {string} actual - 实际值
+ * @param {string} expected - 查询值（已转为小写）
+ * @param {boolean} contains - 没有通配符时是否按包含匹配
+ * @returns {boolean} - 是否匹配
+ * @private
+ */
+function matchText(actual, expected, contains) {
+  const text = String(actual).toLowerCase();
+
+  if (expected.includes('*')) {
+    const pattern = expected.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    return new RegExp(contains ? pattern : `^${pattern}$`, 's').test(text);
+  }
+
+  return contains ? text.includes(expected) : text === expected;
+}
+
+/**
+ * 按路径取出附加数据中的值，路径经过数组时取出每个元素中的值
+ * @param {*} value - 附加数据
+ * @param {Array<string>} path - 路径
+ * @returns {Array} - 值数组，不存在时为空数组
+ * @private
+ */
+function getPathValues(value, path) {
+  if (value === undefined || value === null) return [];
+  if (Array.isArray(value)) return value.flatMap(item => getPathValues(item, path));
+  if (path.length === 0) return [value];
+  if (typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, path[0])) return [];
+
+  return getPathValues(value[path[0]], path.slice(1));
+}
+
+/**
+ * 比较运算
+ * @param {number} actual - 实际值
+ * @param {string} op - 运算符
+ * @param {number} expected - 查询值
+ * @returns {boolean} - 是否满足
+ * @private
+ */
+function compareNumbers(actual, op, expected) {
+  switch (op) {
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '!=': return actual !== expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * 日志查询类
+ * @class LogQuery
+ */
+class LogQuery {
+  /**
+   * 创建日志查询实例，通常使用LogQuery.parse
+   * @param {Object|null} ast - 语法树，null表示匹配所有日志
+   * @param {string} [text=''] - 查询文字
+   */
+  constructor(ast, text = '') {
+    this.ast = ast;
+    this.text = text;
+  }
+
+  /**
+   * 解析查询文字
+   * 相邻的条件默认是AND关系；NOT（或前缀-）优先级最高，其次AND，最后OR；AND/OR/NOT必须大写
+   * 没有字段的词和"短语"在消息和附加数据中查找（与原来的搜索框相同）
+   * @param {string} text - 查询文字
+   * @param {Object} [options] - 选项
+   * @param {number} [options.now=Date.now()] - 计算since:2h等相对时间使用的当前时间
+   * @returns {LogQuery} - 日志查询
+   * @throws {Error} - 语法错误，error.position为出错的字符位置
+   */
+  static parse(text, options = {}) {
+    const source = String(text || '');
+    const tokens = tokenize(source);
+    const now = options.now !== undefined ? options.now : Date.now();
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const isKeyword = (token, keyword) => token && token.type === 'word' && token.raw === keyword;
+
+    const parseOr = () => {
+      const children = [parseAnd()];
+      while (isKeyword(peek(), 'OR')) {
+        index++;
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+      const children = [parseUnary()];
+      while (peek() && peek().type !== ')' && !isKeyword(peek(), 'OR')) {
+        if (isKeyword(peek(), 'AND')) index++;
+        children.push(parseUnary());
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (isKeyword(token, 'NOT')) {
+        index++;
+        return { type: 'not', child: parseUnary() };
+      }
+      if (token && token.type === 'word' && token.raw.length > 1 && token.raw[0] === '-') {
+        index++;
+        return { type: 'not', child: LogQuery._parseClause(token.raw.slice(1), token.position + 1, now) };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = peek();
+
+      if (!token) {
+        throw syntaxError('查询不完整，缺少条件', source.length);
+      }
+
+      if (token.type === '(') {
+        index++;
+        const node = parseOr();
+        if (!peek() || peek().type !== ')') {
+          throw syntaxError('缺少右括号', token.position);
+        }
+        index++;
+        return node;
+      }
+
+      if (token.type === ')') {
+        throw syntaxError('多余的右括号', token.position);
+      }
+
+      if (KEYWORDS.includes(token.raw)) {
+        throw syntaxError(`${token.raw}前后缺少条件`, token.position);
+      }
+
+      index++;
+      return LogQuery._parseClause(token.raw, token.position, now);
+    };
+
+    if (tokens.length === 0) {
+      return new LogQuery(null, source);
+    }
+
+    const ast = parseOr();
+    if (index < tokens.length) {
+      throw syntaxError('多余的右括号', tokens[index].position);
+    }
+
+    return new LogQuery(ast, source);
+  }
+
+  /**
+   * 检查查询文字的语法
+   * @param {string} text - 查询文字
+   * @returns {Object} - { valid, error, position }
+   */
+  static validate(text) {
+    try {
+      LogQuery.parse(text);
+      return { valid: true, error: null, position: -1 };
+    } catch (error) {
+      return { valid: false, error: error.message, position: error.position };
+    }
+  }
+
+  /**
+   * 解析单个条件
+   * @param {string} raw - 原始文字
+   * @param {number} position - 字符位置
+   * @param {number} now - 当前时间
+   * @returns {Object} - 语法树节点
+   * @private
+   */
+  static _parseClause(raw, position, now) {
+    const match = raw[0] === '"' ? null : raw.match(CLAUSE_PATTERN);
+
+    if (!match) {
+      const value = unquote(raw).toLowerCase();
+      if (!value) {
+        throw syntaxError('空的搜索词', position);
+      }
+      return { type: 'text', value };
+    }
+
+    const [, name, op, rawValue] = match;
+    const field = name.toLowerCase();
+    const value = unquote(rawValue);
+    const valuePosition = position + name.length + op.length;
+    const isCompare = ['>', '>=', '<', '<='].includes(op);
+
+    if (!value) {
+      throw syntaxError(`字段${name}缺少值`, valuePosition);
+    }
+
+    if (field === 'level') {
+      const level = /^\d+$/.test(value) ? parseInt(value, 10) : LEVEL_NAMES[value.toLowerCase()];
+      if (level === undefined) {
+        throw syntaxError(`无效的日志级别: ${value}，可用 debug、info、warn、error`, valuePosition);
+      }
+      return { type: 'level', op, value: level };
+    }
+
+    if (field === 'since' || field === 'until') {
+      if (op !== ':' && op !== '=') {
+        throw syntaxError(`${field}只支持 ${field}:时间`, position + name.length);
+      }
+      const time = LogQuery._parseTime(value, now);
+      if (time === null) {
+        throw syntaxError(`无效的时间: ${value}，可用 30m、2h、7d 或 2025-01-01`, valuePosition);
+      }
+      return { type: 'time', op: field === 'since' ? '>=' : '<', value: time };
+    }
+
+    if (field === 'category' || field === 'message' || field === 'id' || field.startsWith('data.')) {
+      if (isCompare && !Number.isFinite(Number(value))) {
+        throw syntaxError(`运算符${op}需要数字`, valuePosition);
+      }
+      if (isCompare && !field.startsWith('data.')) {
+        throw syntaxError(`字段${name}不支持运算符${op}`, position + name.length);
+      }
+
+      const path = field.startsWith('data.') ? name.slice(5).split('.') : null;
+      if (path && path.some(part => !part)) {
+        throw syntaxError(`无效的字段路径: ${name}`, position);
+      }
+
+      return {
+        type: 'field',
+        field: path ? 'data' : field,
+        path,
+        op,
+        value: isCompare ? Number(value) : value.toLowerCase()
+      };
+    }
+
+    throw syntaxError(`未知字段: ${name}，附加数据请使用 data.${name}，搜索包含冒号的文字请加双引号`, position);
+  }
+
+  /**
+   * 解析相对时间（距现在）或日期
+   * @param {string} value - 30m、2h、7d、2w 或 2025-01-01、2025/1/1、ISO时间
+   * @param {number} now - 当前时间
+   * @returns {number|null} - 时间戳，无法解析时为null
+   * @private
+   */
+  static _parseTime(value, now) {
+    const duration = value.match(/^(\d+(?:\.\d+)?)([smhdw])$/i);
+    if (duration) {
+      return now - parseFloat(duration[1]) * DURATION_UNITS[duration[2].toLowerCase()];
+    }
+
+    const date = value.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    if (date) {
+      return new Date(parseInt(date[1], 10), parseInt(date[2], 10) - 1, parseInt(date[3], 10)).getTime();
+    }
+
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  /**
+   * 是否为空查询（匹配所有日志）
+   * @returns {boolean}
+   */
+  isEmpty() {
+    return this.ast === null;
+  }
+
+  /**
+   * 检查日志是否符合查询
+   * @param {Object} log - 日志条目
+   * @returns {boolean} - 是否符合
+   */
+  matches(log) {
+    return this.ast === null || this._evaluate(this.ast, log);
+  }
+
+  /**
+   * 从顶层AND条件中提取可以走索引的条件
+   * @returns {Object} - { startTime, endTime, minLevel, maxLevel, categories }，没有对应条件时为null
+   */
+  getIndexPlan() {
+    const plan = { startTime: null, endTime: null, minLevel: null, maxLevel: null, categories: null };
+    if (this.ast === null) return plan;
+
+    const conjuncts = this.ast.type === 'and' ? this.ast.children : [this.ast];
+    const raise = (key, value) => { plan[key] = plan[key] === null ? value : Math.max(plan[key], value); };
+    const lower = (key, value) => { plan[key] = plan[key] === null ? value : Math.min(plan[key], value); };
+
+    conjuncts.forEach(node => {
+      if (node.type === 'time') {
+        if (node.op === '>=') raise('startTime', node.value);
+        else lower('endTime', node.value);
+      } else if (node.type === 'level') {
+        if (node.op === '>=' || node.op === ':' || node.op === '=') raise('minLevel', node.value);
+        if (node.op === '>') raise('minLevel', node.value + 1);
+        if (node.op === '<=' || node.op === ':' || node.op === '=') lower('maxLevel', node.value);
+        if (node.op === '<') lower('maxLevel', node.value - 1);
+      } else {
+        const categories = LogQuery._getCategories(node);
+        if (categories) {
+          plan.categories = plan.categories === null ? categories : plan.categories.filter(category => categories.includes(category));
+        }
+      }
+    });
+
+    return plan;
+  }
+
+  /**
+   * 取出 category:x 或 (category:x OR category:y) 条件中的类别
+   * @param {Object} node - 语法树节点
+   * @returns {Array<string>|null} - 类别数组，不是纯类别条件时为null
+   * @private
+   */
+  static _getCategories(node) {
+    if (node.type === 'field' && node.field === 'category' && (node.op === ':' || node.op === '=') && !node.value.includes('*')) {
+      return [node.value];
+    }
+
+    if (node.type === 'or') {
+      const lists = node.children.map(child => LogQuery._getCategories(child));
+      return lists.every(Boolean) ? Array.from(new Set(lists.flat())) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * 计算语法树节点
+   * @param {Object} node - 语法树节点
+   * @param {Object} log - 日志条目
+   * @returns {boolean} - 是否符合
+   * @private
+   */
+  _evaluate(node, log) {
+    switch (node.type) {
+      case 'and':
+        return node.children.every(child => this._evaluate(child, log));
+      case 'or':
+        return node.children.some(child => this._evaluate(child, log));
+      case 'not':
+        return !this._evaluate(node.child, log);
+      case 'text':
+        return matchText(log.message || '', node.value, true) ||
+          (log.data !== undefined && log.data !== null && matchText(JSON.stringify(log.data), node.value, true));
+      case 'level':
+        return compareNumbers(log.level, node.op === ':' ? '=' : node.op, node.value);
+      case 'time':
+        return compareNumbers(log.timestamp, node.op, node.value);
+      default:
+        return this._evaluateField(node, log);
+    }
+  }
+
+  /**
+   * 计算字段条件
+   * @param {Object} node - 字段条件节点
+   * @param {Object} log - 日志条目
+   * @returns {boolean} - 是否符合
+   * @private
+   */
+  _evaluateField(node, log) {
+    const values = node.field === 'data'
+      ? getPathValues(log.data, node.path)
+      : (log[node.field] === undefined || log[node.field] === null ? [] : [log[node.field]]);
+
+    if (typeof node.value === 'number') {
+      return values.some(value => {
+        const number = Number(value);
+        return typeof value !== 'object' && value !== '' && Number.isFinite(number) && compareNumbers(number, node.op, node.value);
+      });
+    }
+
+    const equals = value => matchText(
+      typeof value === 'object' ? JSON.stringify(value) : value,
+      node.value,
+      node.op === ':' && node.field === 'message'
+    );
+
+    return node.op === '!=' ? !values.some(equals) : values.some(equals);
+  }
+}
+
+export default LogQuery;
@@ -0,0 +1,315 @@
+/**
+ * @file m3u8-parser.js
+ * @description HLS播放列表(M3U8)解析工具，支持主播放列表和媒体播放列表
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * M3U8解析工具类
+ * @class M3U8Parser
+ */
+class M3U8Parser {
+  /**
+   * 判断文本是否为M3U8播放列表
+   * @param {string} text - 播放列表文本
+   * @returns {boolean} 是否为M3U8
+   */
+  static isPlaylist(text) {
+    return typeof text === 'string' && text.trim().startsWith('#EXTM3U');
+  }
+
+  /**
+   * 判断是否为主播放列表（包含多个码率变体）
+   * @param {string} text - 播放列表文本
+   * @returns {boolean} 是否为主播放列表
+   */
+  static isMasterPlaylist(text) {
+    return this.isPlaylist(text) && text.includes('#EXT-X-STREAM-INF');
+  }
+
+  /**
+   * 解析主播放列表
+   * @param {string} text - 播放列表文本
+   * @param {string} baseUrl - 播放列表URL，用于解析相对路径
+   * @returns {Object} 解析结果 { variants, media }
+   */
+  static parseMasterPlaylist(text, baseUrl) {
+    const variants = [];
+    const media = [];
+
+    if (!this.isPlaylist(text)) {
+      throw new Error('无效的M3U8播放列表');
+    }
+
+    const lines = this._splitLines(text);
+    let pendingStreamInf = null;
+
+    lines.forEach(line => {
+      if (line.startsWith('#EXT-X-STREAM-INF:')) {
+        pendingStreamInf = this.parseAttributeList(line.substring('#EXT-X-STREAM-INF:'.length));
+      } else if (line.startsWith('#EXT-X-MEDIA:')) {
+        const attrs = this.parseAttributeList(line.substring('#EXT-X-MEDIA:'.length));
+        media.push({
+          type: attrs.TYPE || '',
+          groupId: attrs['GROUP-ID'] || '',
+          name: attrs.NAME || '',
+          language: attrs.LANGUAGE || '',
+          isDefault: attrs.DEFAULT === 'YES',
+          url: attrs.URI ? this.resolveUrl(attrs.URI, baseUrl) : null
+        });
+      } else if (!line.startsWith('#') && pendingStreamInf) {
+        variants.push(this._createVariant(pendingStreamInf, this.resolveUrl(line, baseUrl)));
+        pendingStreamInf = null;
+      }
+    });
+
+    variants.sort((a, b) => b.bandwidth - a.bandwidth);
+
+    return { variants, media };
+  }
+
+  /**
+   * 解析媒体播放列表
+   * @param {string} text - 播放列表文本
+   * @param {string} baseUrl - 播放列表URL，用于解析相对路径
+   * @returns {Object} 解析结果 { targetDuration, mediaSequence, endList, totalDuration, segments, initSegment }
+   */
+  static parseMediaPlaylist(text, baseUrl) {
+    if (!this.isPlaylist(text)) {
+      throw new Error('无效的M3U8播放列表');
+    }
+
+    const playlist = {
+      targetDuration: 0,
+      mediaSequence: 0,
+      endList: false,
+      totalDuration: 0,
+      segments: [],
+      initSegment: null
+    };
+
+    const lines = this._splitLines(text);
+    let currentKey = null;
+    let currentMap = null;
+    let pendingDuration = null;
+    let pendingTitle = '';
+    let pendingByteRange = null;
+    let pendingDiscontinuity = false;
+    let lastByteRangeEnd = {};
+
+    lines.forEach(line => {
+      if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+        playlist.targetDuration = parseFloat(line.split(':')[1]) || 0;
+      } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+        playlist.mediaSequence = parseInt(line.split(':')[1], 10) || 0;
+      } else if (line.startsWith('#EXT-X-ENDLIST')) {
+        playlist.endList = true;
+      } else if (line.startsWith('#EXT-X-DISCONTINUITY')) {
+        pendingDiscontinuity = true;
+      } else if (line.startsWith('#EXT-X-KEY:')) {
+        currentKey = this._parseKey(line.substring('#EXT-X-KEY:'.length), baseUrl);
+      } else if (line.startsWith('#EXT-X-MAP:')) {
+        const attrs = this.parseAttributeList(line.substring('#EXT-X-MAP:'.length));
+        currentMap = {
+          url: this.resolveUrl(attrs.URI, baseUrl),
+          byteRange: attrs.BYTERANGE ? this._parseByteRange(attrs.BYTERANGE, 0) : null
+        };
+        if (!playlist.initSegment) {
+          playlist.initSegment = currentMap;
+        }
+      } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+        pendingByteRange = line.substring('#EXT-X-BYTERANGE:'.length);
+      } else if (line.startsWith('#EXTINF:')) {
+        const value = line.substring('#EXTINF:'.length);
+        const commaIndex = value.indexOf(',');
+        pendingDuration = parseFloat(commaIndex === -1 ? value : value.substring(0, commaIndex)) || 0;
+        pendingTitle = commaIndex === -1 ? '' : value.substring(commaIndex + 1).trim();
+      } else if (!line.startsWith('#') && pendingDuration !== null) {
+        const url = this.resolveUrl(line, baseUrl);
+        const sequence = playlist.mediaSequence + playlist.segments.length;
+
+        let byteRange = null;
+        if (pendingByteRange) {
+          byteRange = this._parseByteRange(pendingByteRange, lastByteRangeEnd[url] || 0);
+          lastByteRangeEnd[url] = byteRange.offset + byteRange.length;
+        }
+
+        playlist.segments.push({
+          url: url,
+          duration: pendingDuration,
+          title: pendingTitle,
+          sequence: sequence,
+          byteRange: byteRange,
+          key: currentKey,
+          map: currentMap,
+          discontinuity: pendingDiscontinuity
+        });
+
+        playlist.totalDuration += pendingDuration;
+
+        pendingDuration = null;
+        pendingTitle = '';
+        pendingByteRange = null;
+        pendingDiscontinuity = false;
+      }
+    });
+
+    return playlist;
+  }
+
+  /**
+   * 解析属性列表（如 BANDWIDTH=1280000,CODECS="avc1.4d401f,mp4a.40.2"）
+   * @param {string} input - 属性列表字符串
+   * @returns {Object} 属性对象，引号包裹的值会去掉引号
+   */
+  static parseAttributeList(input) {
+    const attributes = {};
+    if (!input) return attributes;
+
+    const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    let match;
+
+    while ((match = pattern.exec(input)) !== null) {
+      let value = match[2];
+      if (value.startsWith('"') && value.endsWith('"')) {
+        value = value.substring(1, value.length - 1);
+      }
+      attributes[match[1]] = value;
+    }
+
+    return attributes;
+  }
+
+  /**
+   * 将相对URL解析为绝对URL
+   * @param {string} url - 原始URL
+   * @param {string} baseUrl - 基础URL
+   * @returns {string} 绝对URL
+   */
+  static resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 根据媒体序列号生成AES-128默认IV
+   * @param {number} sequence - 媒体序列号
+   * @returns {Uint8Array} 16字节IV
+   */
+  static createSequenceIV(sequence) {
+    const iv = new Uint8Array(16);
+    let value = sequence;
+
+    for (let i = 15; i >= 12 && value > 0; i--) {
+      iv[i] = value & 0xff;
+      value = Math.floor(value / 256);
+    }
+
+    return iv;
+  }
+
+  /**
+   * 将十六进制IV字符串转换为字节数组
+   * @param {string} hex - 形如0x...的十六进制字符串
+   * @returns {Uint8Array} 16字节IV
+   */
+  static hexToBytes(hex) {
+    const clean = hex.replace(/^0x/i, '').padStart(32, '0');
+    const bytes = new Uint8Array(16);
+
+    for (let i = 0; i < 16; i++) {
+      bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+    }
+
+    return bytes;
+  }
+
+  /**
+   * 创建变体流对象
+   * @param {Object} attrs - EXT-X-STREAM-INF属性
+   * @param {string} url - 变体播放列表URL
+   * @returns {Object} 变体对象
+   * @private
+   */
+  static _createVariant(attrs, url) {
+    let width = 0;
+    let height = 0;
+
+    if (attrs.RESOLUTION) {
+      const [w, h] = attrs.RESOLUTION.split('x').map(v => parseInt(v, 10));
+      width = w || 0;
+      height = h || 0;
+    }
+
+    return {
+      url: url,
+      bandwidth: parseInt(attrs.BANDWIDTH, 10) || 0,
+      averageBandwidth: parseInt(attrs['AVERAGE-BANDWIDTH'], 10) || 0,
+      width: width,
+      height: height,
+      resolution: attrs.RESOLUTION || '',
+      codecs: attrs.CODECS ? attrs.CODECS.split(',').map(c => c.trim()) : [],
+      frameRate: parseFloat(attrs['FRAME-RATE']) || 0,
+      audioGroup: attrs.AUDIO || null,
+      label: height ? `${height}p` : `${Math.round((parseInt(attrs.BANDWIDTH, 10) || 0) / 1000)}kbps`
+    };
+  }
+
+  /**
+   * 解析EXT-X-KEY标签
+   * @param {string} input - 属性列表字符串
+   * @param {string} baseUrl - 基础URL
+   * @returns {Object|null} 密钥信息，METHOD=NONE时返回null
+   * @private
+   */
+  static _parseKey(input, baseUrl) {
+    const attrs = this.parseAttributeList(input);
+
+    if (!attrs.METHOD || attrs.METHOD === 'NONE') {
+      return null;
+    }
+
+    return {
+      method: attrs.METHOD,
+      url: attrs.URI ? this.resolveUrl(attrs.URI, baseUrl) : null,
+      iv: attrs.IV ? this.hexToBytes(attrs.IV) : null,
+      keyFormat: attrs.KEYFORMAT || 'identity'
+    };
+  }
+
+  /**
+   * 解析字节范围（n[@o]）
+   * @param {string} value - 字节范围字符串
+   * @param {number} defaultOffset - 未指定偏移时使用的偏移
+   * @returns {Object} { length, offset }
+   * @private
+   */
+  static _parseByteRange(value, defaultOffset) {
+    const [length, offset] = value.split('@');
+
+    return {
+      length: parseInt(length, 10) || 0,
+      offset: offset !== undefined ? parseInt(offset, 10) || 0 : defaultOffset
+    };
+  }
+
+  /**
+   * 拆分为非空行
+   * @param {string} text - 播放列表文本
+   * @returns {Array<string>} 行数组
+   * @private
+   */
+  static _splitLines(text) {
+    return text
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+  }
+}
+
+export default M3U8Parser;
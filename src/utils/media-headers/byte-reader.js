@@ -0,0 +1,271 @@
+/**
+ * @file byte-reader.js
+ * @description 二进制读取工具，按大端序（可选小端序）顺序读取文件头中的整数、浮点数和字符串
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 二进制读取工具类
+ * @class ByteReader
+ */
+class ByteReader {
+  /**
+   * 创建二进制读取器
+   * @param {Uint8Array|ArrayBuffer} bytes - 数据
+   * @param {number} [offset=0] - 起始读取位置
+   */
+  constructor(bytes, offset = 0) {
+    this.bytes = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.offset = offset;
+  }
+
+  /**
+   * 数据总长度
+   * @returns {number} - 字节数
+   */
+  get length() {
+    return this.bytes.length;
+  }
+
+  /**
+   * 剩余可读字节数
+   * @returns {number} - 字节数
+   */
+  remaining() {
+    return this.bytes.length - this.offset;
+  }
+
+  /**
+   * 剩余数据是否至少有指定字节数
+   * @param {number} count - 字节数
+   * @returns {boolean} - 是否足够
+   */
+  has(count) {
+    return this.offset + count <= this.bytes.length;
+  }
+
+  /**
+   * 移动到指定位置
+   * @param {number} offset - 位置
+   */
+  seek(offset) {
+    this.offset = offset;
+  }
+
+  /**
+   * 跳过指定字节数
+   * @param {number} count - 字节数
+   */
+  skip(count) {
+    this.offset += count;
+  }
+
+  /**
+   * 读取无符号8位整数
+   * @returns {number} - 数值
+   */
+  u8() {
+    this._require(1);
+    return this.bytes[this.offset++];
+  }
+
+  /**
+   * 读取无符号16位整数
+   * @param {boolean} [littleEndian=false] - 是否小端序
+   * @returns {number} - 数值
+   */
+  u16(littleEndian = false) {
+    this._require(2);
+    const value = this.view.getUint16(this.offset, littleEndian);
+    this.offset += 2;
+    return value;
+  }
+
+  /**
+   * 读取无符号24位整数（大端序）
+   * @returns {number} - 数值
+   */
+  u24() {
+    this._require(3);
+    const value = (this.bytes[this.offset] << 16) | (this.bytes[this.offset + 1] << 8) | this.bytes[this.offset + 2];
+    this.offset += 3;
+    return value;
+  }
+
+  /**
+   * 读取无符号32位整数
+   * @param {boolean} [littleEndian=false] - 是否小端序
+   * @returns {number} - 数值
+   */
+  u32(littleEndian = false) {
+    this._require(4);
+    const value = this.view.getUint32(this.offset, littleEndian);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * 读取无符号64位整数（超过2^53时精度下降，文件头中的时长和大小足够使用）
+   * @returns {number} - 数值
+   */
+  u64() {
+    const high = this.u32();
+    const low = this.u32();
+    return high * 0x100000000 + low;
+  }
+
+  /**
+   * 读取指定字节数的大端序无符号整数（1-8字节）
+   * @param {number} size - 字节数
+   * @returns {number} - 数值
+   */
+  uint(size) {
+    this._require(size);
+    let value = 0;
+    for (let i = 0; i < size; i++) {
+      value = value * 256 + this.bytes[this.offset++];
+    }
+    return value;
+  }
+
+  /**
+   * 读取大端序浮点数
+   * @param {number} size - 字节数（4或8）
+   * @returns {number} - 数值
+   */
+  float(size) {
+    this._require(size);
+    const value = size === 4 ? this.view.getFloat32(this.offset) : this.view.getFloat64(this.offset);
+    this.offset += size;
+    return value;
+  }
+
+  /**
+   * 读取ASCII字符串
+   * @param {number} count - 字节数
+   * @returns {string} - 字符串
+   */
+  ascii(count) {
+    return ByteReader.decodeText(this.read(count), 'latin1');
+  }
+
+  /**
+   * 读取一段数据（不复制）
+   * @param {number} count - 字节数
+   * @returns {Uint8Array} - 数据
+   */
+  read(count) {
+    this._require(count);
+    const slice = this.bytes.subarray(this.offset, this.offset + count);
+    this.offset += count;
+    return slice;
+  }
+
+  /**
+   * 检查剩余数据是否足够
+   * @param {number} count - 需要的字节数
+   * @private
+   */
+  _require(count) {
+    if (this.offset + count > this.bytes.length) {
+      throw new RangeError('文件头数据不完整');
+    }
+  }
+
+  /**
+   * 解码文本，去掉末尾的空字符
+   * 不依赖TextDecoder，Service Worker和测试环境中行为一致
+   * @param {Uint8Array} bytes - 数据
+   * @param {string} encoding - latin1、utf-8、utf-16le、utf-16be或utf-16（按BOM判断字节序）
+   * @returns {string} - 文本
+   */
+  static decodeText(bytes, encoding = 'utf-8') {
+    let text = '';
+
+    if (encoding === 'latin1') {
+      for (let i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+      }
+    } else if (encoding.startsWith('utf-16')) {
+      let littleEndian = encoding === 'utf-16le';
+      let start = 0;
+
+      if (encoding === 'utf-16' && bytes.length >= 2) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+          littleEndian = true;
+          start = 2;
+        } else if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+          start = 2;
+        }
+      }
+
+      for (let i = start; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode(littleEndian ? bytes[i] | (bytes[i + 1] << 8) : (bytes[i] << 8) | bytes[i + 1]);
+      }
+    } else {
+      text = ByteReader._decodeUtf8(bytes);
+    }
+
+    return text.replace(/\0+$/, '');
+  }
+
+  /**
+   * 解码UTF-8，非法字节替换为U+FFFD
+   * @param {Uint8Array} bytes - 数据
+   * @returns {string} - 文本
+   * @private
+   */
+  static _decodeUtf8(bytes) {
+    const codePoints = [];
+    let i = 0;
+
+    while (i < bytes.length) {
+      const byte = bytes[i];
+      let length = 0;
+      let codePoint = 0;
+
+      if (byte < 0x80) {
+        codePoints.push(byte);
+        i++;
+        continue;
+      } else if ((byte & 0xE0) === 0xC0) {
+        length = 1;
+        codePoint = byte & 0x1F;
+      } else if ((byte & 0xF0) === 0xE0) {
+        length = 2;
+        codePoint = byte & 0x0F;
+      } else if ((byte & 0xF8) === 0xF0) {
+        length = 3;
+        codePoint = byte & 0x07;
+      } else {
+        codePoints.push(0xFFFD);
+        i++;
+        continue;
+      }
+
+      let valid = true;
+      for (let j = 1; valid && j <= length; j++) {
+        const next = bytes[i + j];
+        if (next === undefined || (next & 0xC0) !== 0x80) {
+          valid = false;
+        } else {
+          codePoint = (codePoint << 6) | (next & 0x3F);
+        }
+      }
+
+      codePoints.push(valid ? codePoint : 0xFFFD);
+      i += valid ? length + 1 : 1;
+    }
+
+    let text = '';
+    for (let k = 0; k < codePoints.length; k += 4096) {
+      text += String.fromCodePoint(...codePoints.slice(k, k + 4096));
+    }
+    return text;
+  }
+}
+
+export default ByteReader;
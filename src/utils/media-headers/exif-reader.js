@@ -0,0 +1,256 @@
+/**
+ * @file exif-reader.js
+ * @description EXIF读取工具，解析TIFF结构中IFD0、Exif子IFD和GPS子IFD的相机、镜头、拍摄参数和位置信息
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * 指向子IFD的标签
+ * @type {Object}
+ */
+export const EXIF_POINTERS = {
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825
+};
+
+/**
+ * 各字段类型每个值的字节数
+ * @type {Object}
+ * @private
+ */
+const TYPE_SIZES = {
+  1: 1,  // BYTE
+  2: 1,  // ASCII
+  3: 2,  // SHORT
+  4: 4,  // LONG
+  5: 8,  // RATIONAL
+  7: 1,  // UNDEFINED
+  9: 4,  // SLONG
+  10: 8  // SRATIONAL
+};
+
+/**
+ * IFD0中读取的标签
+ * @type {Object}
+ * @private
+ */
+const IFD0_TAGS = {
+  0x010F: 'make',
+  0x0110: 'model',
+  0x0112: 'orientation',
+  0x0131: 'software',
+  0x0132: 'dateTime',
+  0x013B: 'artist',
+  0x8298: 'copyright'
+};
+
+/**
+ * Exif子IFD中读取的标签
+ * @type {Object}
+ * @private
+ */
+const EXIF_IFD_TAGS = {
+  0x829A: 'exposureTime',
+  0x829D: 'fNumber',
+  0x8827: 'iso',
+  0x9003: 'dateTimeOriginal',
+  0x920A: 'focalLength',
+  0xA433: 'lensMake',
+  0xA434: 'lensModel'
+};
+
+/**
+ * GPS子IFD中读取的标签
+ * @type {Object}
+ * @private
+ */
+const GPS_TAGS = {
+  0x0001: 'latitudeRef',
+  0x0002: 'latitude',
+  0x0003: 'longitudeRef',
+  0x0004: 'longitude',
+  0x0005: 'altitudeRef',
+  0x0006: 'altitude'
+};
+
+/**
+ * EXIF读取工具类
+ * @class ExifReader
+ */
+class ExifReader {
+  /**
+   * 读取TIFF结构的EXIF数据
+   * @param {Uint8Array} tiff - TIFF头开始的数据（JPEG和WebP中需去掉"Exif\0\0"前缀）
+   * @returns {Object|null} - 读到的字段，gps为{ latitude, longitude, altitude }；不是有效的TIFF结构时返回null
+   */
+  static read(tiff) {
+    const header = ExifReader.readHeader(tiff);
+    if (!header) return null;
+
+    try {
+      const exif = {};
+      const ifd0 = ExifReader.readIfd(tiff, header.ifdOffset, header.littleEndian);
+
+      ExifReader._assignTags(exif, tiff, ifd0, IFD0_TAGS, header.littleEndian);
+
+      const exifPointer = ifd0.find(entry => entry.tag === EXIF_POINTERS.EXIF_IFD);
+      if (exifPointer) {
+        const entries = ExifReader.readIfd(tiff, ExifReader.readValue(tiff, exifPointer, header.littleEndian), header.littleEndian);
+        ExifReader._assignTags(exif, tiff, entries, EXIF_IFD_TAGS, header.littleEndian);
+      }
+
+      const gpsPointer = ifd0.find(entry => entry.tag === EXIF_POINTERS.GPS_IFD);
+      if (gpsPointer) {
+        const entries = ExifReader.readIfd(tiff, ExifReader.readValue(tiff, gpsPointer, header.littleEndian), header.littleEndian);
+        const gps = {};
+        ExifReader._assignTags(gps, tiff, entries, GPS_TAGS, header.littleEndian);
+        exif.gps = ExifReader._toCoordinates(gps);
+      }
+
+      return exif;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 读取TIFF头
+   * @param {Uint8Array} tiff - TIFF数据
+   * @returns {Object|null} - { littleEndian, ifdOffset }
+   */
+  static readHeader(tiff) {
+    if (!tiff || tiff.length < 8) return null;
+
+    const byteOrder = ByteReader.decodeText(tiff.subarray(0, 2), 'latin1');
+    if (byteOrder !== 'II' && byteOrder !== 'MM') return null;
+
+    const littleEndian = byteOrder === 'II';
+    const reader = new ByteReader(tiff, 2);
+
+    if (reader.u16(littleEndian) !== 42) return null;
+
+    return {
+      littleEndian: littleEndian,
+      ifdOffset: reader.u32(littleEndian)
+    };
+  }
+
+  /**
+   * 读取一个IFD的所有条目
+   * @param {Uint8Array} tiff - TIFF数据
+   * @param {number} offset - IFD位置
+   * @param {boolean} littleEndian - 是否小端序
+   * @returns {Array<Object>} - 条目 { tag, type, count, size, entryOffset, valueOffset }，
+   * valueOffset为值所在位置（不超过4字节时位于条目内）
+   */
+  static readIfd(tiff, offset, littleEndian) {
+    const reader = new ByteReader(tiff, offset);
+    const count = reader.u16(littleEndian);
+    const entries = [];
+
+    for (let i = 0; i < count && reader.has(12); i++) {
+      const entryOffset = reader.offset;
+      const tag = reader.u16(littleEndian);
+      const type = reader.u16(littleEndian);
+      const valueCount = reader.u32(littleEndian);
+      const size = (TYPE_SIZES[type] || 1) * valueCount;
+      const valueOffset = size <= 4 ? reader.offset : reader.u32(littleEndian);
+
+      entries.push({ tag, type, count: valueCount, size, entryOffset, valueOffset });
+      reader.seek(entryOffset + 12);
+    }
+
+    return entries;
+  }
+
+  /**
+   * 读取条目的值
+   * @param {Uint8Array} tiff - TIFF数据
+   * @param {Object} entry - readIfd返回的条目
+   * @param {boolean} littleEndian - 是否小端序
+   * @returns {string|number|Array<number>|null} - ASCII返回字符串，单个数值返回数字，多个数值返回数组
+   */
+  static readValue(tiff, entry, littleEndian) {
+    if (entry.valueOffset + entry.size > tiff.length) return null;
+
+    if (entry.type === 2) {
+      return ByteReader.decodeText(tiff.subarray(entry.valueOffset, entry.valueOffset + entry.count), 'utf-8').trim();
+    }
+
+    const reader = new ByteReader(tiff, entry.valueOffset);
+    const values = [];
+
+    for (let i = 0; i < entry.count; i++) {
+      switch (entry.type) {
+        case 3:
+          values.push(reader.u16(littleEndian));
+          break;
+        case 4:
+          values.push(reader.u32(littleEndian));
+          break;
+        case 9:
+          values.push(reader.u32(littleEndian) | 0);
+          break;
+        case 5:
+        case 10: {
+          const signed = entry.type === 10;
+          const numerator = signed ? reader.u32(littleEndian) | 0 : reader.u32(littleEndian);
+          const denominator = signed ? reader.u32(littleEndian) | 0 : reader.u32(littleEndian);
+          values.push(denominator ? numerator / denominator : 0);
+          break;
+        }
+        default:
+          values.push(reader.u8());
+      }
+    }
+
+    return values.length === 1 ? values[0] : values;
+  }
+
+  /**
+   * 按标签表读取条目
+   * @param {Object} target - 写入的对象
+   * @param {Uint8Array} tiff - TIFF数据
+   * @param {Array<Object>} entries - 条目
+   * @param {Object} tags - 标签表
+   * @param {boolean} littleEndian - 是否小端序
+   * @private
+   */
+  static _assignTags(target, tiff, entries, tags, littleEndian) {
+    entries.forEach(entry => {
+      const field = tags[entry.tag];
+      if (!field) return;
+
+      const value = ExifReader.readValue(tiff, entry, littleEndian);
+      if (value !== null && value !== '') {
+        target[field] = value;
+      }
+    });
+  }
+
+  /**
+   * 将GPS的度分秒和参考方向换算为十进制坐标
+   * @param {Object} gps - GPS标签值
+   * @returns {Object|null} - { latitude, longitude, altitude }，没有经纬度时返回null
+   * @private
+   */
+  static _toCoordinates(gps) {
+    if (!Array.isArray(gps.latitude) || !Array.isArray(gps.longitude)) return null;
+
+    const toDecimal = ([degrees = 0, minutes = 0, seconds = 0]) => degrees + minutes / 60 + seconds / 3600;
+    const latitude = toDecimal(gps.latitude) * (gps.latitudeRef === 'S' ? -1 : 1);
+    const longitude = toDecimal(gps.longitude) * (gps.longitudeRef === 'W' ? -1 : 1);
+
+    return {
+      latitude: Math.round(latitude * 1e6) / 1e6,
+      longitude: Math.round(longitude * 1e6) / 1e6,
+      altitude: typeof gps.altitude === 'number' ? gps.altitude * (gps.altitudeRef === 1 ? -1 : 1) : null
+    };
+  }
+}
+
+export default ExifReader;
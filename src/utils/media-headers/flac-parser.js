@@ -0,0 +1,153 @@
+/**
+ * @file flac-parser.js
+ * @description FLAC文件头解析，读取STREAMINFO（采样率、声道、位深、总采样数）和VORBIS_COMMENT标签
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * FLAC元数据块类型
+ * @type {Object}
+ * @private
+ */
+const BLOCK_TYPES = {
+  STREAMINFO: 0,
+  VORBIS_COMMENT: 4
+};
+
+/**
+ * Vorbis注释字段与结果字段的对应关系
+ * @type {Object}
+ * @private
+ */
+const COMMENT_FIELDS = {
+  TITLE: 'title',
+  ARTIST: 'artist',
+  ALBUM: 'album',
+  DATE: 'year'
+};
+
+/**
+ * FLAC文件头解析类
+ * @class FlacParser
+ */
+class FlacParser {
+  /**
+   * 判断数据是否为FLAC文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    return bytes.length >= 4 && ByteReader.decodeText(bytes.subarray(0, 4), 'latin1') === 'fLaC';
+  }
+
+  /**
+   * 解析元数据块
+   * @param {Uint8Array} bytes - 数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.totalSize] - 文件总大小，用于计算平均码率
+   * @returns {Object} - 媒体信息
+   */
+  static parse(bytes, options = {}) {
+    const reader = new ByteReader(bytes, 4);
+    const result = {
+      format: 'flac',
+      hasAudio: true,
+      hasVideo: false,
+      lossless: true,
+      title: null,
+      artist: null,
+      album: null,
+      year: null,
+      duration: null,
+      bitrate: null,
+      sampleRate: null,
+      channels: null,
+      bitsPerSample: null,
+      complete: false
+    };
+
+    while (reader.has(4)) {
+      const header = reader.u8();
+      const isLast = (header & 0x80) !== 0;
+      const type = header & 0x7F;
+      const length = reader.u24();
+
+      if (!reader.has(length)) break;
+
+      const block = new ByteReader(reader.read(length));
+
+      if (type === BLOCK_TYPES.STREAMINFO) {
+        FlacParser._parseStreamInfo(block, result);
+      } else if (type === BLOCK_TYPES.VORBIS_COMMENT) {
+        FlacParser._parseVorbisComment(block, result);
+      }
+
+      if (isLast) break;
+    }
+
+    if (result.duration && options.totalSize) {
+      result.bitrate = Math.round(options.totalSize * 8 / result.duration / 1000);
+    }
+
+    return result;
+  }
+
+  /**
+   * 解析STREAMINFO块
+   * 第10字节起依次为：采样率20位、声道数-1共3位、位深-1共5位、总采样数36位
+   * @param {ByteReader} block - 块内容
+   * @param {Object} result - 结果对象
+   * @private
+   */
+  static _parseStreamInfo(block, result) {
+    if (block.length < 18) return;
+
+    const b = block.bytes;
+    const sampleRate = (b[10] << 12) | (b[11] << 4) | (b[12] >> 4);
+    const totalSamples = (b[13] & 0x0F) * 0x100000000 + ((b[14] << 24) >>> 0) + (b[15] << 16) + (b[16] << 8) + b[17];
+
+    result.sampleRate = sampleRate || null;
+    result.channels = ((b[12] >> 1) & 0x07) + 1;
+    result.bitsPerSample = (((b[12] & 0x01) << 4) | (b[13] >> 4)) + 1;
+    result.complete = true;
+
+    if (sampleRate > 0 && totalSamples > 0) {
+      result.duration = totalSamples / sampleRate;
+    }
+  }
+
+  /**
+   * 解析VORBIS_COMMENT块（小端序）
+   * @param {ByteReader} block - 块内容
+   * @param {Object} result - 结果对象
+   * @private
+   */
+  static _parseVorbisComment(block, result) {
+    if (!block.has(4)) return;
+
+    block.skip(block.u32(true));
+    if (!block.has(4)) return;
+
+    const count = block.u32(true);
+
+    for (let i = 0; i < count && block.has(4); i++) {
+      const length = block.u32(true);
+      if (!block.has(length)) return;
+
+      const comment = ByteReader.decodeText(block.read(length), 'utf-8');
+      const separator = comment.indexOf('=');
+      if (separator <= 0) continue;
+
+      const field = COMMENT_FIELDS[comment.substring(0, separator).toUpperCase()];
+      if (field && !result[field]) {
+        result[field] = comment.substring(separator + 1).trim();
+      }
+    }
+  }
+}
+
+export default FlacParser;
@@ -0,0 +1,101 @@
+/**
+ * @file index.js
+ * @description 媒体文件头解析入口：按文件开头的特征字节选择解析器，从文件头读取真实的尺寸、时长、码率和编码
+ * 新增格式时在本目录添加实现 matches(bytes) 和 parse(bytes, options) 的解析器，并加入下方列表
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import Mp4Parser from './mp4-parser.js';
+import WebmParser from './webm-parser.js';
+import Mp3Parser from './mp3-parser.js';
+import FlacParser from './flac-parser.js';
+import JpegParser from './jpeg-parser.js';
+import PngParser from './png-parser.js';
+import WebpParser from './webp-parser.js';
+import ExifReader from './exif-reader.js';
+import IptcReader from './iptc-reader.js';
+import XmpReader from './xmp-reader.js';
+
+/**
+ * 内置解析器，按检测顺序排列（MP3的帧同步字最宽松，放在最后）
+ * @type {Object}
+ */
+export const HEADER_PARSERS = {
+  mp4: Mp4Parser,
+  webm: WebmParser,
+  flac: FlacParser,
+  jpeg: JpegParser,
+  png: PngParser,
+  webp: WebpParser,
+  mp3: Mp3Parser
+};
+
+/**
+ * 媒体文件头解析类
+ * @class MediaHeaderParser
+ */
+class MediaHeaderParser {
+  /**
+   * 根据文件开头的数据判断格式
+   * @param {Uint8Array|ArrayBuffer} bytes - 文件开头的数据
+   * @returns {string|null} - 格式（HEADER_PARSERS的键），无法识别时返回null
+   */
+  static detect(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+    return Object.keys(HEADER_PARSERS).find(format => HEADER_PARSERS[format].matches(data)) || null;
+  }
+
+  /**
+   * 解析文件头
+   * 结果中的nextOffset表示需要的信息位于已获取数据之后，调用方可从该位置获取更多数据后用相同格式继续解析
+   * @param {Uint8Array|ArrayBuffer} bytes - 数据
+   * @param {Object} [options] - 选项
+   * @param {string} [options.format] - 指定格式（继续解析时使用），不指定时自动检测
+   * @param {number} [options.offset=0] - bytes第一个字节在文件中的位置
+   * @param {number} [options.totalSize] - 文件总大小
+   * @returns {Object|null} - 解析结果，无法识别或数据损坏时返回null
+   */
+  static parse(bytes, options = {}) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const format = options.format || MediaHeaderParser.detect(data);
+    const parser = format ? HEADER_PARSERS[format] : null;
+
+    if (!parser) return null;
+
+    try {
+      return parser.parse(data, options);
+    } catch (e) {
+      console.warn(`解析${format}文件头错误:`, e);
+      return null;
+    }
+  }
+
+  /**
+   * 合并继续解析得到的结果，后一次解析得到的非空字段覆盖之前的值
+   * @param {Object} previous - 之前的结果
+   * @param {Object|null} next - 继续解析的结果
+   * @returns {Object} - 合并后的结果
+   */
+  static merge(previous, next) {
+    if (!next) return { ...previous, nextOffset: null };
+
+    const merged = { ...previous };
+
+    Object.keys(next).forEach(key => {
+      if (next[key] !== null && next[key] !== undefined && next[key] !== false) {
+        merged[key] = next[key];
+      }
+    });
+
+    merged.format = previous.format;
+    merged.nextOffset = next.nextOffset || null;
+
+    return merged;
+  }
+}
+
+export { Mp4Parser, WebmParser, Mp3Parser, FlacParser, JpegParser, PngParser, WebpParser, ExifReader, IptcReader, XmpReader };
+export default MediaHeaderParser;
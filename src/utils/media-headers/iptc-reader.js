@@ -0,0 +1,138 @@
+/**
+ * @file iptc-reader.js
+ * @description IPTC-IIM读取工具，从JPEG的Photoshop APP13段中读取作者、版权、标题和关键词
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * Photoshop图像资源中IPTC-NAA记录的资源ID
+ * @type {number}
+ * @private
+ */
+const IPTC_RESOURCE_ID = 0x0404;
+
+/**
+ * 读取的应用记录（记录2）数据集
+ * @type {Object}
+ * @private
+ */
+const IPTC_DATASETS = {
+  5: 'title',
+  25: 'keywords',
+  55: 'dateCreated',
+  80: 'byline',
+  90: 'city',
+  101: 'country',
+  105: 'headline',
+  110: 'credit',
+  115: 'source',
+  116: 'copyright',
+  120: 'caption'
+};
+
+/**
+ * 可重复出现、按数组返回的数据集
+ * @type {Array<string>}
+ * @private
+ */
+const REPEATABLE_FIELDS = ['keywords', 'byline'];
+
+/**
+ * IPTC读取工具类
+ * @class IptcReader
+ */
+class IptcReader {
+  /**
+   * 从Photoshop图像资源块（APP13段去掉"Photoshop 3.0\0"之后的数据）中查找并读取IPTC记录
+   * @param {Uint8Array} resources - 图像资源数据
+   * @returns {Object|null} - 读到的字段，没有IPTC记录时返回null
+   */
+  static fromPhotoshop(resources) {
+    const block = IptcReader.findResource(resources, IPTC_RESOURCE_ID);
+    return block ? IptcReader.read(block) : null;
+  }
+
+  /**
+   * 在Photoshop图像资源块中查找指定ID的资源
+   * @param {Uint8Array} resources - 图像资源数据
+   * @param {number} id - 资源ID
+   * @returns {Uint8Array|null} - 资源数据
+   */
+  static findResource(resources, id) {
+    const reader = new ByteReader(resources);
+
+    try {
+      while (reader.has(12) && reader.ascii(4) === '8BIM') {
+        const resourceId = reader.u16();
+        // 名称为Pascal字符串，连同长度字节补齐到偶数
+        const nameLength = reader.u8();
+        reader.skip(nameLength + ((nameLength + 1) % 2));
+
+        const size = reader.u32();
+        if (!reader.has(size)) return null;
+
+        if (resourceId === id) {
+          return reader.read(size);
+        }
+
+        reader.skip(size + (size % 2));
+      }
+    } catch (e) {
+      return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * 读取IPTC-IIM数据集
+   * @param {Uint8Array} data - IIM数据
+   * @returns {Object|null} - 读到的字段，没有可用数据集时返回null
+   */
+  static read(data) {
+    const reader = new ByteReader(data);
+    const result = {};
+    let encoding = 'latin1';
+
+    while (reader.has(5) && reader.u8() === 0x1C) {
+      const record = reader.u8();
+      const dataset = reader.u8();
+      const length = reader.u16();
+
+      // 扩展长度（最高位为1）只用于超大数据集，文字字段不会使用
+      if (length & 0x8000 || !reader.has(length)) break;
+
+      const value = reader.read(length);
+
+      // 1:90 指定字符集，ESC % G 表示UTF-8
+      if (record === 1 && dataset === 90 && value[0] === 0x1B && value[1] === 0x25 && value[2] === 0x47) {
+        encoding = 'utf-8';
+        continue;
+      }
+
+      const field = record === 2 ? IPTC_DATASETS[dataset] : null;
+      if (!field) continue;
+
+      const text = ByteReader.decodeText(value, encoding).trim();
+      if (!text) continue;
+
+      if (REPEATABLE_FIELDS.includes(field)) {
+        result[field] = (result[field] || []).concat(text);
+      } else {
+        result[field] = text;
+      }
+    }
+
+    if (result.byline) {
+      result.byline = result.byline.join(', ');
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+}
+
+export default IptcReader;
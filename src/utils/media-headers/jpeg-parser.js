@@ -0,0 +1,139 @@
+/**
+ * @file jpeg-parser.js
+ * @description JPEG文件头解析，读取SOF段中的尺寸和颜色分量，以及APP1段的EXIF和XMP、APP13段的IPTC
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+import ExifReader from './exif-reader.js';
+import IptcReader from './iptc-reader.js';
+import XmpReader, { XMP_NAMESPACE_ID } from './xmp-reader.js';
+
+/**
+ * APP13段中Photoshop图像资源的标识
+ * @type {string}
+ * @private
+ */
+const PHOTOSHOP_ID = 'Photoshop 3.0';
+
+/**
+ * JPEG文件头解析类
+ * @class JpegParser
+ */
+class JpegParser {
+  /**
+   * 判断数据是否为JPEG文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    return bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF;
+  }
+
+  /**
+   * 依次读取标记段直到SOF（帧头）或SOS（扫描数据开始）
+   * @param {Uint8Array} bytes - 数据
+   * @returns {Object} - 图像信息
+   */
+  static parse(bytes) {
+    const reader = new ByteReader(bytes, 2);
+    const result = {
+      format: 'jpeg',
+      width: null,
+      height: null,
+      bitDepth: null,
+      colorDepth: null,
+      components: null,
+      progressive: false,
+      hasAlpha: false,
+      exif: null,
+      iptc: null,
+      xmp: null,
+      comment: null,
+      orientation: null,
+      complete: false
+    };
+
+    while (reader.has(4)) {
+      if (reader.u8() !== 0xFF) break;
+
+      let marker = reader.u8();
+      while (marker === 0xFF && reader.has(1)) {
+        marker = reader.u8();
+      }
+
+      // 没有长度字段的独立标记
+      if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) continue;
+      if (marker === 0xD9 || marker === 0xDA || !reader.has(2)) break;
+
+      const length = reader.u16();
+      const segmentEnd = reader.offset + length - 2;
+      if (length < 2 || segmentEnd > bytes.length) break;
+
+      if (JpegParser._isStartOfFrame(marker) && length >= 8) {
+        result.bitDepth = reader.u8();
+        result.height = reader.u16();
+        result.width = reader.u16();
+        result.components = reader.u8();
+        result.colorDepth = result.bitDepth * result.components;
+        result.progressive = marker === 0xC2 || marker === 0xC6 || marker === 0xCA || marker === 0xCE;
+        result.complete = true;
+        break;
+      }
+
+      JpegParser._readMetadataSegment(result, marker, bytes.subarray(reader.offset, segmentEnd));
+
+      reader.seek(segmentEnd);
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取元数据段：APP1中的EXIF或XMP、APP13中的IPTC、COM注释
+   * @param {Object} result - 解析结果
+   * @param {number} marker - 标记
+   * @param {Uint8Array} payload - 段数据（不含长度字段）
+   * @private
+   */
+  static _readMetadataSegment(result, marker, payload) {
+    if (marker === 0xE1) {
+      const signature = JpegParser.readSignature(payload);
+
+      if (signature === 'Exif') {
+        result.exif = ExifReader.read(payload.subarray(6));
+        result.orientation = result.exif ? result.exif.orientation || null : null;
+      } else if (signature === XMP_NAMESPACE_ID) {
+        result.xmp = XmpReader.read(ByteReader.decodeText(payload.subarray(signature.length + 1), 'utf-8'));
+      }
+    } else if (marker === 0xED && JpegParser.readSignature(payload) === PHOTOSHOP_ID) {
+      result.iptc = IptcReader.fromPhotoshop(payload.subarray(PHOTOSHOP_ID.length + 1));
+    } else if (marker === 0xFE) {
+      result.comment = ByteReader.decodeText(payload, 'utf-8').trim() || null;
+    }
+  }
+
+  /**
+   * 读取APPn段开头以NUL结尾的标识
+   * @param {Uint8Array} payload - 段数据
+   * @returns {string} - 标识，没有NUL时返回空字符串
+   */
+  static readSignature(payload) {
+    const end = payload.indexOf(0);
+    return end > 0 && end < 64 ? ByteReader.decodeText(payload.subarray(0, end), 'latin1') : '';
+  }
+
+  /**
+   * 是否为SOF标记（排除DHT、JPG和DAC）
+   * @param {number} marker - 标记
+   * @returns {boolean} - 是否为SOF
+   * @private
+   */
+  static _isStartOfFrame(marker) {
+    return marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+  }
+}
+
+export default JpegParser;
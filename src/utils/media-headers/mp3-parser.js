@@ -0,0 +1,365 @@
+/**
+ * @file mp3-parser.js
+ * @description MP3文件头解析，读取ID3v2标签（标题、艺术家、专辑）和第一个MPEG音频帧头（码率、采样率、声道），
+ * 并根据Xing/Info/VBRI头或文件大小计算时长
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * MPEG音频码率表（kbps），按 [MPEG-1|MPEG-2/2.5][Layer I|II|III] 索引
+ * @type {Object}
+ * @private
+ */
+const BITRATES = {
+  V1: {
+    L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  V2: {
+    L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    L3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+/**
+ * 采样率表（Hz），按MPEG版本索引
+ * @type {Object}
+ * @private
+ */
+const SAMPLE_RATES = {
+  '1': [44100, 48000, 32000],
+  '2': [22050, 24000, 16000],
+  '2.5': [11025, 12000, 8000]
+};
+
+/**
+ * 查找第一个音频帧时最多扫描的字节数
+ * @type {number}
+ * @private
+ */
+const MAX_SYNC_SCAN = 64 * 1024;
+
+/**
+ * ID3v2文本帧与结果字段的对应关系（同时包含v2.2的三字符帧ID）
+ * @type {Object}
+ * @private
+ */
+const ID3_TEXT_FRAMES = {
+  TIT2: 'title',
+  TT2: 'title',
+  TPE1: 'artist',
+  TP1: 'artist',
+  TALB: 'album',
+  TAL: 'album',
+  TYER: 'year',
+  TDRC: 'year',
+  TYE: 'year',
+  TLEN: 'length',
+  TLE: 'length'
+};
+
+/**
+ * ID3v2文本编码
+ * @type {Array<string>}
+ * @private
+ */
+const ID3_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+/**
+ * MP3文件头解析类
+ * @class Mp3Parser
+ */
+class Mp3Parser {
+  /**
+   * 判断数据是否为MP3文件开头（ID3v2标签或MPEG音频帧同步字）
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+      return true;
+    }
+
+    return bytes.length >= 4 && Mp3Parser.readFrameHeader(bytes, 0) !== null;
+  }
+
+  /**
+   * 解析ID3v2标签和第一个音频帧
+   * ID3v2标签（常含封面图片）超出已获取的数据时返回nextOffset，由调用方从音频数据开头继续获取
+   * @param {Uint8Array} bytes - 数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.offset=0] - bytes第一个字节在文件中的位置
+   * @param {number} [options.totalSize] - 文件总大小，用于计算CBR文件的时长
+   * @returns {Object} - 媒体信息
+   */
+  static parse(bytes, options = {}) {
+    const baseOffset = options.offset || 0;
+    const result = {
+      format: 'mp3',
+      hasAudio: true,
+      hasVideo: false,
+      title: null,
+      artist: null,
+      album: null,
+      year: null,
+      duration: null,
+      bitrate: null,
+      sampleRate: null,
+      channels: null,
+      mpegVersion: null,
+      layer: null,
+      vbr: false,
+      complete: false,
+      nextOffset: null
+    };
+
+    let audioStart = 0;
+    let tagLength = null;
+
+    if (baseOffset === 0 && bytes.length >= 10 && ByteReader.decodeText(bytes.subarray(0, 3), 'latin1') === 'ID3') {
+      const tag = Mp3Parser._parseId3(bytes, result);
+      audioStart = tag.size;
+      tagLength = tag.length;
+
+      if (audioStart >= bytes.length) {
+        result.nextOffset = audioStart;
+        Mp3Parser._applyTagLength(result, tagLength);
+        return result;
+      }
+    }
+
+    const frameOffset = Mp3Parser._findFrame(bytes, audioStart);
+    if (frameOffset === -1) {
+      Mp3Parser._applyTagLength(result, tagLength);
+      return result;
+    }
+
+    const frame = Mp3Parser.readFrameHeader(bytes, frameOffset);
+    const vbrInfo = Mp3Parser._readVbrHeader(bytes, frameOffset, frame);
+
+    result.mpegVersion = frame.version;
+    result.layer = frame.layer;
+    result.sampleRate = frame.sampleRate;
+    result.channels = frame.channels;
+    result.complete = true;
+
+    if (vbrInfo && vbrInfo.frames) {
+      result.vbr = vbrInfo.vbr;
+      result.duration = vbrInfo.frames * frame.samplesPerFrame / frame.sampleRate;
+
+      const audioBytes = vbrInfo.bytes || (options.totalSize ? options.totalSize - baseOffset - frameOffset : null);
+      result.bitrate = audioBytes ? Math.round(audioBytes * 8 / result.duration / 1000) : frame.bitrate;
+    } else {
+      result.bitrate = frame.bitrate;
+
+      if (options.totalSize) {
+        result.duration = (options.totalSize - baseOffset - frameOffset) * 8 / (frame.bitrate * 1000);
+      }
+    }
+
+    Mp3Parser._applyTagLength(result, tagLength);
+
+    return result;
+  }
+
+  /**
+   * 解析4字节MPEG音频帧头
+   * @param {Uint8Array} bytes - 数据
+   * @param {number} offset - 帧头位置
+   * @returns {Object|null} - { version, layer, bitrate, sampleRate, channels, samplesPerFrame, frameLength, protection }，不是有效帧头时返回null
+   */
+  static readFrameHeader(bytes, offset) {
+    if (offset + 4 > bytes.length) return null;
+
+    const b1 = bytes[offset + 1];
+    const b2 = bytes[offset + 2];
+    const b3 = bytes[offset + 3];
+
+    if (bytes[offset] !== 0xFF || (b1 & 0xE0) !== 0xE0) return null;
+
+    const versionBits = (b1 >> 3) & 0x03;
+    const layerBits = (b1 >> 1) & 0x03;
+    const bitrateIndex = b2 >> 4;
+    const sampleRateIndex = (b2 >> 2) & 0x03;
+
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+      return null;
+    }
+
+    const version = versionBits === 3 ? '1' : (versionBits === 2 ? '2' : '2.5');
+    const layer = 4 - layerBits;
+    const bitrate = BITRATES[version === '1' ? 'V1' : 'V2'][`L${layer}`][bitrateIndex];
+    const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (b2 >> 1) & 0x01;
+    const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && version !== '1' ? 576 : 1152);
+    const frameLength = layer === 1 ?
+      (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4 :
+      Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+
+    return {
+      version: version,
+      layer: layer,
+      bitrate: bitrate,
+      sampleRate: sampleRate,
+      channels: (b3 >> 6) === 3 ? 1 : 2,
+      samplesPerFrame: samplesPerFrame,
+      frameLength: frameLength,
+      protection: (b1 & 0x01) === 0
+    };
+  }
+
+  /**
+   * 解析ID3v2标签
+   * @param {Uint8Array} bytes - 数据
+   * @param {Object} result - 结果对象
+   * @returns {Object} - { size, length }，size为包括头部在内的标签总长度，length为TLEN帧中的时长（毫秒）
+   * @private
+   */
+  static _parseId3(bytes, result) {
+    const major = bytes[3];
+    const flags = bytes[5];
+    const size = Mp3Parser._syncsafe(bytes, 6);
+    const totalSize = 10 + size + (flags & 0x10 ? 10 : 0);
+    const end = Math.min(10 + size, bytes.length);
+    const reader = new ByteReader(bytes, 10);
+    let length = null;
+
+    if (flags & 0x40 && major >= 3 && reader.has(4)) {
+      const extendedSize = major === 4 ? Mp3Parser._syncsafe(bytes, 10) : reader.u32() + 4;
+      reader.seek(10 + extendedSize);
+    }
+
+    const idLength = major === 2 ? 3 : 4;
+    const headerLength = major === 2 ? 6 : 10;
+
+    while (reader.offset + headerLength <= end) {
+      const id = reader.ascii(idLength);
+      if (!/^[A-Z0-9]+$/.test(id)) break;
+
+      let frameSize;
+      if (major === 2) {
+        frameSize = reader.u24();
+      } else if (major === 4) {
+        frameSize = Mp3Parser._syncsafe(bytes, reader.offset);
+        reader.skip(4);
+      } else {
+        frameSize = reader.u32();
+      }
+
+      if (major !== 2) reader.skip(2);
+
+      if (frameSize <= 0 || reader.offset + frameSize > end) break;
+
+      const field = ID3_TEXT_FRAMES[id];
+      if (field && frameSize > 1) {
+        const data = bytes.subarray(reader.offset, reader.offset + frameSize);
+        const text = ByteReader.decodeText(data.subarray(1), ID3_ENCODINGS[data[0]] || 'latin1').trim();
+
+        if (field === 'length') {
+          length = parseInt(text, 10) || null;
+        } else if (text && !result[field]) {
+          result[field] = text;
+        }
+      }
+
+      reader.skip(frameSize);
+    }
+
+    return { size: totalSize, length: length };
+  }
+
+  /**
+   * 从指定位置开始查找有效的音频帧（下一帧也有效时才认为找到，避免把数据误认为帧头）
+   * @param {Uint8Array} bytes - 数据
+   * @param {number} start - 开始位置
+   * @returns {number} - 帧头位置，找不到时返回-1
+   * @private
+   */
+  static _findFrame(bytes, start) {
+    const end = Math.min(bytes.length - 4, start + MAX_SYNC_SCAN);
+
+    for (let offset = start; offset <= end; offset++) {
+      const frame = Mp3Parser.readFrameHeader(bytes, offset);
+      if (!frame) continue;
+
+      const next = offset + frame.frameLength;
+      if (next + 4 > bytes.length) return offset;
+
+      const nextFrame = Mp3Parser.readFrameHeader(bytes, next);
+      if (nextFrame && nextFrame.version === frame.version && nextFrame.layer === frame.layer) {
+        return offset;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * 读取第一帧中的Xing/Info（LAME）或VBRI（Fraunhofer）头
+   * @param {Uint8Array} bytes - 数据
+   * @param {number} offset - 帧头位置
+   * @param {Object} frame - 帧头信息
+   * @returns {Object|null} - { frames, bytes, vbr }
+   * @private
+   */
+  static _readVbrHeader(bytes, offset, frame) {
+    const sideInfoLength = frame.version === '1' ?
+      (frame.channels === 1 ? 17 : 32) :
+      (frame.channels === 1 ? 9 : 17);
+    const xingOffset = offset + 4 + (frame.protection ? 2 : 0) + sideInfoLength;
+    const reader = new ByteReader(bytes, xingOffset);
+
+    if (reader.has(8)) {
+      const tag = reader.ascii(4);
+
+      if (tag === 'Xing' || tag === 'Info') {
+        const flags = reader.u32();
+        const frames = flags & 0x01 && reader.has(4) ? reader.u32() : null;
+        const byteCount = flags & 0x02 && reader.has(4) ? reader.u32() : null;
+
+        return { frames: frames, bytes: byteCount, vbr: tag === 'Xing' };
+      }
+    }
+
+    reader.seek(offset + 36);
+    if (reader.has(18) && reader.ascii(4) === 'VBRI') {
+      reader.skip(6);
+      const byteCount = reader.u32();
+      return { frames: reader.u32(), bytes: byteCount, vbr: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * 没有从帧头得到时长时使用ID3的TLEN帧
+   * @param {Object} result - 结果对象
+   * @param {number|null} length - 时长（毫秒）
+   * @private
+   */
+  static _applyTagLength(result, length) {
+    if (!result.duration && length) {
+      result.duration = length / 1000;
+    }
+  }
+
+  /**
+   * 读取4字节syncsafe整数（每字节只用低7位）
+   * @param {Uint8Array} bytes - 数据
+   * @param {number} offset - 位置
+   * @returns {number} - 数值
+   * @private
+   */
+  static _syncsafe(bytes, offset) {
+    return ((bytes[offset] & 0x7F) << 21) | ((bytes[offset + 1] & 0x7F) << 14) |
+      ((bytes[offset + 2] & 0x7F) << 7) | (bytes[offset + 3] & 0x7F);
+  }
+}
+
+export default Mp3Parser;
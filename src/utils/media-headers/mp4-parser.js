@@ -0,0 +1,279 @@
+/**
+ * @file mp4-parser.js
+ * @description MP4/MOV（ISO BMFF）文件头解析，读取moov中的mvhd、tkhd、mdhd、hdlr和stsd获取时长、尺寸和编码
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * 可作为文件开头的顶层box类型
+ * @type {Array<string>}
+ * @private
+ */
+const LEADING_BOX_TYPES = ['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'styp', 'pdin'];
+
+/**
+ * 需要递归解析的容器box
+ * @type {Set<string>}
+ * @private
+ */
+const CONTAINER_BOXES = new Set(['trak', 'mdia', 'minf', 'stbl']);
+
+/**
+ * MP4文件头解析类
+ * @class Mp4Parser
+ */
+class Mp4Parser {
+  /**
+   * 判断数据是否为MP4文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    if (bytes.length < 8) return false;
+
+    const type = ByteReader.decodeText(bytes.subarray(4, 8), 'latin1');
+    return LEADING_BOX_TYPES.includes(type);
+  }
+
+  /**
+   * 解析顶层box，找到moov后读取媒体信息
+   * moov位于mdat之后（未做faststart）或超出已获取的数据时返回nextOffset（和已知时的nextLength），由调用方从该位置继续获取数据
+   * @param {Uint8Array} bytes - 数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.offset=0] - bytes第一个字节在文件中的位置
+   * @param {number} [options.totalSize] - 文件总大小
+   * @returns {Object} - 媒体信息
+   */
+  static parse(bytes, options = {}) {
+    const baseOffset = options.offset || 0;
+    const reader = new ByteReader(bytes);
+    const result = {
+      format: 'mp4',
+      brand: null,
+      duration: null,
+      width: null,
+      height: null,
+      videoCodec: null,
+      audioCodec: null,
+      hasVideo: false,
+      hasAudio: false,
+      sampleRate: null,
+      channels: null,
+      complete: false,
+      nextOffset: null,
+      nextLength: null
+    };
+
+    while (reader.has(8)) {
+      const box = Mp4Parser._readBoxHeader(reader);
+      if (!box) break;
+
+      if (box.type === 'ftyp' && reader.has(4)) {
+        result.brand = reader.ascii(4).trim();
+      } else if (box.type === 'moov') {
+        if (box.end > bytes.length) {
+          result.nextOffset = baseOffset + box.start;
+          result.nextLength = Number.isFinite(box.end) ? box.end - box.start : null;
+          break;
+        }
+
+        Mp4Parser._parseMovie(new ByteReader(bytes.subarray(box.dataStart, box.end)), result);
+        result.complete = true;
+        break;
+      }
+
+      if (box.end > bytes.length) {
+        if (Number.isFinite(box.end)) {
+          result.nextOffset = baseOffset + box.end;
+        }
+        break;
+      }
+
+      reader.seek(box.end);
+    }
+
+    if (result.duration && options.totalSize) {
+      result.bitrate = Math.round(options.totalSize * 8 / result.duration / 1000);
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取box头
+   * @param {ByteReader} reader - 读取器，位于box开头
+   * @returns {Object|null} - { type, start, dataStart, end }
+   * @private
+   */
+  static _readBoxHeader(reader) {
+    const start = reader.offset;
+    let size = reader.u32();
+    const type = reader.ascii(4);
+
+    if (size === 1) {
+      if (!reader.has(8)) return null;
+      size = reader.u64();
+    } else if (size === 0) {
+      size = Infinity;
+    }
+
+    if (size < reader.offset - start) return null;
+
+    return {
+      type: type,
+      start: start,
+      dataStart: reader.offset,
+      end: start + size
+    };
+  }
+
+  /**
+   * 遍历子box
+   * @param {ByteReader} reader - 读取器
+   * @param {Function} callback - (box, reader) => void，reader范围为box内容
+   * @private
+   */
+  static _eachChild(reader, callback) {
+    while (reader.has(8)) {
+      const box = Mp4Parser._readBoxHeader(reader);
+      if (!box) return;
+
+      const end = Math.min(box.end, reader.length);
+      callback(box, new ByteReader(reader.bytes.subarray(box.dataStart, end)));
+      reader.seek(end);
+    }
+  }
+
+  /**
+   * 解析moov
+   * @param {ByteReader} reader - moov内容
+   * @param {Object} result - 结果对象
+   * @private
+   */
+  static _parseMovie(reader, result) {
+    const tracks = [];
+
+    Mp4Parser._eachChild(reader, (box, child) => {
+      if (box.type === 'mvhd') {
+        const header = Mp4Parser._readTimeHeader(child);
+        if (header.timescale > 0 && header.duration > 0) {
+          result.duration = header.duration / header.timescale;
+        }
+      } else if (box.type === 'trak') {
+        const track = {};
+        Mp4Parser._parseTrackBox(child, track);
+        tracks.push(track);
+      }
+    });
+
+    tracks.forEach(track => {
+      if (track.handler === 'vide' && !result.hasVideo) {
+        result.hasVideo = true;
+        result.width = track.width || track.sampleWidth || null;
+        result.height = track.height || track.sampleHeight || null;
+        result.videoCodec = track.codec || null;
+      } else if (track.handler === 'soun' && !result.hasAudio) {
+        result.hasAudio = true;
+        result.audioCodec = track.codec || null;
+        result.sampleRate = track.sampleRate || null;
+        result.channels = track.channels || null;
+      }
+
+      if (!result.duration && track.timescale > 0 && track.duration > 0) {
+        result.duration = track.duration / track.timescale;
+      }
+    });
+  }
+
+  /**
+   * 递归解析trak中的box
+   * @param {ByteReader} reader - box内容
+   * @param {Object} track - 轨道信息
+   * @private
+   */
+  static _parseTrackBox(reader, track) {
+    Mp4Parser._eachChild(reader, (box, child) => {
+      if (CONTAINER_BOXES.has(box.type)) {
+        Mp4Parser._parseTrackBox(child, track);
+      } else if (box.type === 'tkhd') {
+        Mp4Parser._parseTrackHeader(child, track);
+      } else if (box.type === 'mdhd') {
+        const header = Mp4Parser._readTimeHeader(child);
+        track.timescale = header.timescale;
+        track.duration = header.duration;
+      } else if (box.type === 'hdlr') {
+        child.skip(8);
+        track.handler = child.ascii(4);
+      } else if (box.type === 'stsd') {
+        Mp4Parser._parseSampleDescription(child, track);
+      }
+    });
+  }
+
+  /**
+   * 读取mvhd/mdhd中的时间刻度和时长
+   * @param {ByteReader} reader - box内容
+   * @returns {Object} - { timescale, duration }
+   * @private
+   */
+  static _readTimeHeader(reader) {
+    const version = reader.u8();
+    reader.skip(3);
+
+    if (version === 1) {
+      reader.skip(16);
+      return { timescale: reader.u32(), duration: reader.u64() };
+    }
+
+    reader.skip(8);
+    return { timescale: reader.u32(), duration: reader.u32() };
+  }
+
+  /**
+   * 解析tkhd，宽高为16.16定点数
+   * @param {ByteReader} reader - box内容
+   * @param {Object} track - 轨道信息
+   * @private
+   */
+  static _parseTrackHeader(reader, track) {
+    const version = reader.u8();
+    reader.skip(3);
+    reader.skip(version === 1 ? 32 : 20);
+    reader.skip(52);
+
+    track.width = Math.round(reader.u32() / 65536);
+    track.height = Math.round(reader.u32() / 65536);
+  }
+
+  /**
+   * 解析stsd中的第一个样本描述，获取编码和音视频参数
+   * @param {ByteReader} reader - box内容
+   * @param {Object} track - 轨道信息
+   * @private
+   */
+  static _parseSampleDescription(reader, track) {
+    reader.skip(4);
+    if (reader.u32() === 0 || !reader.has(16)) return;
+
+    reader.skip(4);
+    track.codec = reader.ascii(4).trim();
+    reader.skip(8);
+
+    if (track.handler === 'soun' && reader.has(20)) {
+      reader.skip(8);
+      track.channels = reader.u16();
+      reader.skip(6);
+      track.sampleRate = reader.u32() >>> 16;
+    } else if (track.handler === 'vide' && reader.has(20)) {
+      reader.skip(16);
+      track.sampleWidth = reader.u16();
+      track.sampleHeight = reader.u16();
+    }
+  }
+}
+
+export default Mp4Parser;
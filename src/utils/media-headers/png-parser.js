@@ -0,0 +1,187 @@
+/**
+ * @file png-parser.js
+ * @description PNG文件头解析，读取IHDR块中的尺寸、位深和颜色类型，以及IDAT之前的eXIf、XMP和文字块
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+import ExifReader from './exif-reader.js';
+import XmpReader from './xmp-reader.js';
+
+/**
+ * PNG文件签名
+ * @type {Array<number>}
+ * @private
+ */
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+/**
+ * 各颜色类型每个像素的通道数
+ * @type {Object}
+ * @private
+ */
+const COLOR_TYPE_CHANNELS = {
+  0: 1, // 灰度
+  2: 3, // RGB
+  3: 1, // 调色板
+  4: 2, // 灰度+Alpha
+  6: 4  // RGBA
+};
+
+/**
+ * iTXt块中XMP数据包的关键字
+ * @type {string}
+ */
+export const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+
+/**
+ * 读取的tEXt/iTXt关键字
+ * @type {Object}
+ * @private
+ */
+const TEXT_KEYWORDS = {
+  'Title': 'title',
+  'Author': 'author',
+  'Description': 'description',
+  'Copyright': 'copyright',
+  'Creation Time': 'creationTime',
+  'Software': 'software',
+  'Comment': 'comment'
+};
+
+/**
+ * PNG文件头解析类
+ * @class PngParser
+ */
+class PngParser {
+  /**
+   * 判断数据是否为PNG文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    return bytes.length >= 8 && PNG_SIGNATURE.every((value, index) => bytes[index] === value);
+  }
+
+  /**
+   * 解析IHDR，并检查IDAT之前是否有tRNS（调色板或灰度图的透明度）
+   * @param {Uint8Array} bytes - 数据
+   * @returns {Object} - 图像信息
+   */
+  static parse(bytes) {
+    const reader = new ByteReader(bytes, 8);
+    const result = {
+      format: 'png',
+      width: null,
+      height: null,
+      bitDepth: null,
+      colorDepth: null,
+      colorType: null,
+      hasAlpha: false,
+      interlaced: false,
+      exif: null,
+      xmp: null,
+      text: null,
+      orientation: null,
+      complete: false
+    };
+
+    while (reader.has(8)) {
+      const length = reader.u32();
+      const type = reader.ascii(4);
+
+      if (type === 'IHDR' && reader.has(13)) {
+        result.width = reader.u32();
+        result.height = reader.u32();
+        result.bitDepth = reader.u8();
+        result.colorType = reader.u8();
+        reader.skip(2);
+        result.interlaced = reader.u8() === 1;
+        result.colorDepth = result.colorType === 3 ?
+          result.bitDepth : result.bitDepth * (COLOR_TYPE_CHANNELS[result.colorType] || 1);
+        result.hasAlpha = result.colorType === 4 || result.colorType === 6;
+        result.complete = true;
+        reader.skip(4);
+        continue;
+      }
+
+      if (type === 'tRNS') {
+        result.hasAlpha = true;
+      }
+
+      if (type === 'IDAT' || type === 'IEND' || !reader.has(length + 4)) break;
+
+      PngParser._readMetadataChunk(result, type, bytes.subarray(reader.offset, reader.offset + length));
+
+      reader.skip(length + 4);
+    }
+
+    return result;
+  }
+
+  /**
+   * 读取元数据块：eXIf、iTXt中的XMP数据包和未压缩的文字字段
+   * @param {Object} result - 解析结果
+   * @param {string} type - 块类型
+   * @param {Uint8Array} data - 块数据
+   * @private
+   */
+  static _readMetadataChunk(result, type, data) {
+    if (type === 'eXIf') {
+      result.exif = ExifReader.read(data);
+      result.orientation = result.exif ? result.exif.orientation || null : null;
+      return;
+    }
+
+    if (type !== 'tEXt' && type !== 'iTXt') return;
+
+    const entry = PngParser.readTextChunk(type, data);
+    if (!entry || entry.compressed) return;
+
+    if (entry.keyword === PNG_XMP_KEYWORD) {
+      result.xmp = XmpReader.read(entry.text);
+    } else if (TEXT_KEYWORDS[entry.keyword] && entry.text.trim()) {
+      result.text = result.text || {};
+      result.text[TEXT_KEYWORDS[entry.keyword]] = entry.text.trim();
+    }
+  }
+
+  /**
+   * 解析tEXt（Latin-1）或iTXt（UTF-8）块
+   * @param {string} type - 块类型
+   * @param {Uint8Array} data - 块数据
+   * @returns {Object|null} - { keyword, text, textOffset, compressed }
+   */
+  static readTextChunk(type, data) {
+    const keywordEnd = data.indexOf(0);
+    if (keywordEnd <= 0) return null;
+
+    const keyword = ByteReader.decodeText(data.subarray(0, keywordEnd), 'latin1');
+
+    if (type === 'tEXt') {
+      return {
+        keyword: keyword,
+        text: ByteReader.decodeText(data.subarray(keywordEnd + 1), 'latin1'),
+        textOffset: keywordEnd + 1,
+        compressed: false
+      };
+    }
+
+    // iTXt：关键字、压缩标志、压缩方法、语言标签、翻译后的关键字、文本
+    const compressed = data[keywordEnd + 1] === 1;
+    const languageEnd = data.indexOf(0, keywordEnd + 3);
+    const translatedEnd = languageEnd === -1 ? -1 : data.indexOf(0, languageEnd + 1);
+    if (translatedEnd === -1) return null;
+
+    return {
+      keyword: keyword,
+      text: compressed ? '' : ByteReader.decodeText(data.subarray(translatedEnd + 1), 'utf-8'),
+      textOffset: translatedEnd + 1,
+      compressed: compressed
+    };
+  }
+}
+
+export default PngParser;
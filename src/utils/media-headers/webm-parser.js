@@ -0,0 +1,274 @@
+/**
+ * @file webm-parser.js
+ * @description WebM/Matroska文件头解析，读取EBML头、Segment Info和Tracks获取时长、尺寸和编码
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+
+/**
+ * 用到的EBML元素ID
+ * @type {Object}
+ * @private
+ */
+const EBML_IDS = {
+  EBML: 0x1A45DFA3,
+  DOC_TYPE: 0x4282,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549A966,
+  TIMECODE_SCALE: 0x2AD7B1,
+  DURATION: 0x4489,
+  TITLE: 0x7BA9,
+  TRACKS: 0x1654AE6B,
+  TRACK_ENTRY: 0xAE,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  VIDEO: 0xE0,
+  PIXEL_WIDTH: 0xB0,
+  PIXEL_HEIGHT: 0xBA,
+  AUDIO: 0xE1,
+  SAMPLING_FREQUENCY: 0xB5,
+  CHANNELS: 0x9F,
+  CLUSTER: 0x1F43B675
+};
+
+/**
+ * 需要进入解析的主元素
+ * @type {Set<number>}
+ * @private
+ */
+const MASTER_ELEMENTS = new Set([
+  EBML_IDS.EBML,
+  EBML_IDS.SEGMENT,
+  EBML_IDS.INFO,
+  EBML_IDS.TRACKS,
+  EBML_IDS.TRACK_ENTRY,
+  EBML_IDS.VIDEO,
+  EBML_IDS.AUDIO
+]);
+
+/**
+ * Matroska轨道类型
+ * @type {Object}
+ * @private
+ */
+const TRACK_TYPES = {
+  VIDEO: 1,
+  AUDIO: 2
+};
+
+/**
+ * WebM/Matroska文件头解析类
+ * @class WebmParser
+ */
+class WebmParser {
+  /**
+   * 判断数据是否为EBML文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    return bytes.length >= 4 && bytes[0] === 0x1A && bytes[1] === 0x45 && bytes[2] === 0xDF && bytes[3] === 0xA3;
+  }
+
+  /**
+   * 解析文件头，遇到第一个Cluster（媒体数据）时停止
+   * @param {Uint8Array} bytes - 数据
+   * @param {Object} [options] - 选项
+   * @param {number} [options.totalSize] - 文件总大小
+   * @returns {Object} - 媒体信息
+   */
+  static parse(bytes, options = {}) {
+    const result = {
+      format: 'webm',
+      docType: null,
+      title: null,
+      duration: null,
+      width: null,
+      height: null,
+      videoCodec: null,
+      audioCodec: null,
+      hasVideo: false,
+      hasAudio: false,
+      sampleRate: null,
+      channels: null,
+      complete: false
+    };
+    const state = { timecodeScale: 1000000, rawDuration: null, track: null };
+
+    WebmParser._walk(new ByteReader(bytes), bytes.length, result, state);
+
+    if (state.rawDuration !== null) {
+      result.duration = state.rawDuration * state.timecodeScale / 1e9;
+    }
+
+    if (result.docType === 'matroska') {
+      result.format = 'mkv';
+    }
+
+    if (result.duration && options.totalSize) {
+      result.bitrate = Math.round(options.totalSize * 8 / result.duration / 1000);
+    }
+
+    return result;
+  }
+
+  /**
+   * 遍历元素直到end
+   * @param {ByteReader} reader - 读取器
+   * @param {number} end - 结束位置
+   * @param {Object} result - 结果对象
+   * @param {Object} state - 解析状态
+   * @returns {boolean} - 是否应停止解析
+   * @private
+   */
+  static _walk(reader, end, result, state) {
+    while (reader.offset < end && reader.has(2)) {
+      const id = WebmParser._readVint(reader, true);
+      const size = WebmParser._readVint(reader, false);
+      if (id === null || size === undefined) return true;
+
+      const dataStart = reader.offset;
+      const dataEnd = size === null ? end : Math.min(dataStart + size, reader.length);
+
+      if (id === EBML_IDS.CLUSTER) {
+        result.complete = result.hasVideo || result.hasAudio;
+        return true;
+      }
+
+      if (MASTER_ELEMENTS.has(id)) {
+        if (id === EBML_IDS.TRACK_ENTRY) {
+          state.track = {};
+        }
+
+        const stop = WebmParser._walk(reader, dataEnd, result, state);
+
+        if (id === EBML_IDS.TRACK_ENTRY) {
+          WebmParser._applyTrack(state.track, result);
+          state.track = null;
+        } else if (id === EBML_IDS.TRACKS) {
+          result.complete = true;
+        }
+
+        if (stop) return true;
+      } else if (size === null || dataStart + size > reader.length) {
+        return true;
+      } else {
+        WebmParser._readValue(id, reader, size, result, state);
+      }
+
+      reader.seek(dataEnd);
+    }
+
+    return false;
+  }
+
+  /**
+   * 读取叶子元素的值
+   * @param {number} id - 元素ID
+   * @param {ByteReader} reader - 读取器，位于元素数据开头
+   * @param {number} size - 数据长度
+   * @param {Object} result - 结果对象
+   * @param {Object} state - 解析状态
+   * @private
+   */
+  static _readValue(id, reader, size, result, state) {
+    const track = state.track;
+
+    switch (id) {
+      case EBML_IDS.DOC_TYPE:
+        result.docType = reader.ascii(size);
+        break;
+      case EBML_IDS.TIMECODE_SCALE:
+        state.timecodeScale = reader.uint(size);
+        break;
+      case EBML_IDS.DURATION:
+        state.rawDuration = size === 4 || size === 8 ? reader.float(size) : null;
+        break;
+      case EBML_IDS.TITLE:
+        result.title = ByteReader.decodeText(reader.read(size), 'utf-8');
+        break;
+      case EBML_IDS.TRACK_TYPE:
+        if (track) track.type = reader.uint(size);
+        break;
+      case EBML_IDS.CODEC_ID:
+        if (track) track.codec = reader.ascii(size);
+        break;
+      case EBML_IDS.PIXEL_WIDTH:
+        if (track) track.width = reader.uint(size);
+        break;
+      case EBML_IDS.PIXEL_HEIGHT:
+        if (track) track.height = reader.uint(size);
+        break;
+      case EBML_IDS.SAMPLING_FREQUENCY:
+        if (track && (size === 4 || size === 8)) track.sampleRate = Math.round(reader.float(size));
+        break;
+      case EBML_IDS.CHANNELS:
+        if (track) track.channels = reader.uint(size);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 把解析完的轨道合并到结果中，每种类型只取第一条轨道
+   * @param {Object} track - 轨道信息
+   * @param {Object} result - 结果对象
+   * @private
+   */
+  static _applyTrack(track, result) {
+    if (!track) return;
+
+    if (track.type === TRACK_TYPES.VIDEO && !result.hasVideo) {
+      result.hasVideo = true;
+      result.width = track.width || null;
+      result.height = track.height || null;
+      result.videoCodec = track.codec || null;
+    } else if (track.type === TRACK_TYPES.AUDIO && !result.hasAudio) {
+      result.hasAudio = true;
+      result.audioCodec = track.codec || null;
+      result.sampleRate = track.sampleRate || 8000;
+      result.channels = track.channels || 1;
+    }
+  }
+
+  /**
+   * 读取EBML变长整数
+   * @param {ByteReader} reader - 读取器
+   * @param {boolean} keepMarker - 是否保留长度标记位（元素ID保留，数据长度去掉）
+   * @returns {number|null|undefined} - 数值；长度为“未知”时返回null，数据不足或格式错误时返回undefined（ID返回null）
+   * @private
+   */
+  static _readVint(reader, keepMarker) {
+    if (!reader.has(1)) return keepMarker ? null : undefined;
+
+    const first = reader.bytes[reader.offset];
+    let length = 1;
+    while (length <= 8 && !(first & (0x80 >> (length - 1)))) {
+      length++;
+    }
+
+    if (length > 8 || !reader.has(length)) {
+      return keepMarker ? null : undefined;
+    }
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+
+    for (let i = 1; i < length; i++) {
+      const byte = reader.bytes[reader.offset + i];
+      value = value * 256 + byte;
+      if (byte !== 0xFF) allOnes = false;
+    }
+
+    reader.skip(length);
+
+    if (!keepMarker && allOnes) return null;
+    return value;
+  }
+}
+
+export default WebmParser;
@@ -0,0 +1,152 @@
+/**
+ * @file webp-parser.js
+ * @description WebP文件头解析，读取VP8X/VP8/VP8L块中的尺寸和透明度，以及EXIF、XMP块
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './byte-reader.js';
+import ExifReader from './exif-reader.js';
+import XmpReader from './xmp-reader.js';
+
+/**
+ * VP8X块中的特性标志
+ * @type {Object}
+ */
+export const VP8X_FLAGS = {
+  ANIMATION: 0x02,
+  XMP: 0x04,
+  EXIF: 0x08,
+  ALPHA: 0x10,
+  ICC: 0x20
+};
+
+/**
+ * WebP文件头解析类
+ * @class WebpParser
+ */
+class WebpParser {
+  /**
+   * 判断数据是否为WebP文件开头
+   * @param {Uint8Array} bytes - 文件开头的数据
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(bytes) {
+    return bytes.length >= 12 &&
+      ByteReader.decodeText(bytes.subarray(0, 4), 'latin1') === 'RIFF' &&
+      ByteReader.decodeText(bytes.subarray(8, 12), 'latin1') === 'WEBP';
+  }
+
+  /**
+   * 依次读取RIFF块，EXIF和XMP块位于图像数据之后，读到数据末尾为止
+   * @param {Uint8Array} bytes - 数据
+   * @returns {Object} - 图像信息
+   */
+  static parse(bytes) {
+    const result = {
+      format: 'webp',
+      width: null,
+      height: null,
+      hasAlpha: false,
+      animated: false,
+      lossless: false,
+      exif: null,
+      xmp: null,
+      orientation: null,
+      complete: false
+    };
+
+    WebpParser.eachChunk(bytes, (type, data) => {
+      switch (type) {
+        case 'VP8X':
+          if (data.length < 10) break;
+          result.hasAlpha = (data[0] & VP8X_FLAGS.ALPHA) !== 0;
+          result.animated = (data[0] & VP8X_FLAGS.ANIMATION) !== 0;
+          result.width = WebpParser._u24le(data, 4) + 1;
+          result.height = WebpParser._u24le(data, 7) + 1;
+          break;
+
+        case 'VP8 ':
+          // 帧标签3字节，起始码9D 01 2A之后是14位宽高
+          if (data.length < 10 || data[3] !== 0x9D || data[4] !== 0x01 || data[5] !== 0x2A) break;
+          result.width = result.width || ((data[6] | (data[7] << 8)) & 0x3FFF);
+          result.height = result.height || ((data[8] | (data[9] << 8)) & 0x3FFF);
+          break;
+
+        case 'VP8L': {
+          if (data.length < 5 || data[0] !== 0x2F) break;
+          const bits = (data[1] | (data[2] << 8) | (data[3] << 16) | (data[4] << 24)) >>> 0;
+          result.width = result.width || (bits & 0x3FFF) + 1;
+          result.height = result.height || ((bits >>> 14) & 0x3FFF) + 1;
+          result.hasAlpha = result.hasAlpha || ((bits >>> 28) & 1) === 1;
+          result.lossless = true;
+          break;
+        }
+
+        case 'ALPH':
+          result.hasAlpha = true;
+          break;
+
+        case 'EXIF':
+          result.exif = ExifReader.read(WebpParser.stripExifPrefix(data));
+          result.orientation = result.exif ? result.exif.orientation || null : null;
+          break;
+
+        case 'XMP ':
+          result.xmp = XmpReader.read(ByteReader.decodeText(data, 'utf-8'));
+          break;
+
+        default:
+          break;
+      }
+    });
+
+    result.complete = Boolean(result.width && result.height);
+    result.colorDepth = result.complete ? (result.hasAlpha ? 32 : 24) : null;
+
+    return result;
+  }
+
+  /**
+   * 遍历RIFF块
+   * @param {Uint8Array} bytes - 数据
+   * @param {Function} callback - 回调 (type, data, chunkOffset, chunkLength)，chunkLength包含块头和补齐字节
+   */
+  static eachChunk(bytes, callback) {
+    let offset = 12;
+
+    while (offset + 8 <= bytes.length) {
+      const type = ByteReader.decodeText(bytes.subarray(offset, offset + 4), 'latin1');
+      const size = (bytes[offset + 4] | (bytes[offset + 5] << 8) | (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24)) >>> 0;
+      const end = offset + 8 + size;
+
+      if (end > bytes.length) break;
+
+      callback(type, bytes.subarray(offset + 8, end), offset, 8 + size + (size % 2));
+      offset = end + (size % 2);
+    }
+  }
+
+  /**
+   * EXIF块的数据部分编码器会带上JPEG中的"Exif\0\0"前缀，读取前去掉
+   * @param {Uint8Array} data - EXIF块数据
+   * @returns {Uint8Array} - TIFF头开始的数据
+   */
+  static stripExifPrefix(data) {
+    return data.length > 6 && ByteReader.decodeText(data.subarray(0, 4), 'latin1') === 'Exif' ? data.subarray(6) : data;
+  }
+
+  /**
+   * 读取小端序24位整数
+   * @param {Uint8Array} data - 数据
+   * @param {number} offset - 位置
+   * @returns {number} - 数值
+   * @private
+   */
+  static _u24le(data, offset) {
+    return data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16);
+  }
+}
+
+export default WebpParser;
@@ -0,0 +1,197 @@
+/**
+ * @file xmp-reader.js
+ * @description XMP读取工具，从XMP数据包中读取作者、版权、拍摄时间、镜头和GPS位置，并可移除其中的GPS属性
+ * 数据包可能出现在Service Worker中，不依赖DOMParser，按RDF的属性和元素两种写法用正则读取
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * JPEG APP1段中XMP数据包的标识
+ * @type {string}
+ */
+export const XMP_NAMESPACE_ID = 'http://ns.adobe.com/xap/1.0/';
+
+/**
+ * 读取的XMP属性
+ * @type {Object}
+ * @private
+ */
+const XMP_PROPERTIES = {
+  creator: 'dc:creator',
+  rights: 'dc:rights',
+  title: 'dc:title',
+  description: 'dc:description',
+  createDate: 'xmp:CreateDate',
+  creatorTool: 'xmp:CreatorTool',
+  dateCreated: 'photoshop:DateCreated',
+  credit: 'photoshop:Credit',
+  lens: 'aux:Lens',
+  lensModel: 'exifEX:LensModel'
+};
+
+/**
+ * exif命名空间下的GPS属性（属性写法和元素写法）
+ * @type {Array<RegExp>}
+ * @private
+ */
+const GPS_PATTERNS = [
+  /\s+exif:GPS\w+\s*=\s*("[^"]*"|'[^']*')/g,
+  /<exif:(GPS\w+)\b[^>]*\/>/g,
+  /<exif:(GPS\w+)\b[^>]*>[\s\S]*?<\/exif:\1>/g
+];
+
+/**
+ * XML实体
+ * @type {Object}
+ * @private
+ */
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * XMP读取工具类
+ * @class XmpReader
+ */
+class XmpReader {
+  /**
+   * 读取XMP数据包
+   * @param {string} xml - XMP数据包文本
+   * @returns {Object|null} - 读到的字段，gps为{ latitude, longitude, altitude }；没有可用属性时返回null
+   */
+  static read(xml) {
+    if (!xml || (xml.indexOf('x:xmpmeta') === -1 && xml.indexOf('rdf:RDF') === -1)) return null;
+
+    const result = {};
+
+    Object.keys(XMP_PROPERTIES).forEach(field => {
+      const value = XmpReader.readProperty(xml, XMP_PROPERTIES[field]);
+      if (value) result[field] = value;
+    });
+
+    if (result.lensModel) {
+      result.lens = result.lens || result.lensModel;
+      delete result.lensModel;
+    }
+
+    const latitude = XmpReader._parseCoordinate(XmpReader.readProperty(xml, 'exif:GPSLatitude'));
+    const longitude = XmpReader._parseCoordinate(XmpReader.readProperty(xml, 'exif:GPSLongitude'));
+
+    if (latitude !== null && longitude !== null) {
+      const altitude = XmpReader._parseRational(XmpReader.readProperty(xml, 'exif:GPSAltitude'));
+      const below = XmpReader.readProperty(xml, 'exif:GPSAltitudeRef') === '1';
+
+      result.gps = {
+        latitude: latitude,
+        longitude: longitude,
+        altitude: altitude === null ? null : altitude * (below ? -1 : 1)
+      };
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  /**
+   * 读取属性值，rdf:Seq/rdf:Bag按逗号连接，rdf:Alt取第一项
+   * @param {string} xml - XMP数据包文本
+   * @param {string} name - 带前缀的属性名
+   * @returns {string|null} - 属性值
+   */
+  static readProperty(xml, name) {
+    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const attribute = new RegExp(`\\s${escaped}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(xml);
+
+    if (attribute) {
+      return XmpReader._decodeEntities(attribute[1] !== undefined ? attribute[1] : attribute[2]).trim() || null;
+    }
+
+    const element = new RegExp(`<${escaped}(?:\\s[^>]*)?>([\\s\\S]*?)</${escaped}>`).exec(xml);
+    if (!element) return null;
+
+    const items = [];
+    const itemPattern = /<rdf:li\b[^>]*>([\s\S]*?)<\/rdf:li>/g;
+    let match;
+
+    while ((match = itemPattern.exec(element[1])) !== null) {
+      items.push(XmpReader._decodeEntities(match[1]).trim());
+    }
+
+    if (items.length === 0) {
+      return XmpReader._decodeEntities(element[1].replace(/<[^>]+>/g, '')).trim() || null;
+    }
+
+    return (element[1].indexOf('<rdf:Alt') !== -1 ? items[0] : items.filter(Boolean).join(', ')) || null;
+  }
+
+  /**
+   * 移除数据包中exif命名空间下的所有GPS属性
+   * @param {string} xml - XMP数据包文本
+   * @returns {string} - 移除后的文本
+   */
+  static removeGps(xml) {
+    return GPS_PATTERNS.reduce((text, pattern) => text.replace(pattern, ''), xml);
+  }
+
+  /**
+   * 是否包含GPS属性
+   * @param {string} xml - XMP数据包文本
+   * @returns {boolean} - 是否包含
+   */
+  static hasGps(xml) {
+    return /exif:GPS\w+/.test(xml);
+  }
+
+  /**
+   * 解析XMP的坐标写法（"DDD,MM,SSk" 或 "DDD,MM.mmk"，k为N/S/E/W）
+   * @param {string|null} value - 坐标文本
+   * @returns {number|null} - 十进制坐标
+   * @private
+   */
+  static _parseCoordinate(value) {
+    const match = value ? /^(\d+),(\d+(?:\.\d+)?)(?:,(\d+(?:\.\d+)?))?([NSEW])$/i.exec(value.trim()) : null;
+    if (!match) return null;
+
+    const decimal = parseInt(match[1], 10) + parseFloat(match[2]) / 60 + (match[3] ? parseFloat(match[3]) / 3600 : 0);
+    const sign = /[SW]/i.test(match[4]) ? -1 : 1;
+
+    return Math.round(decimal * sign * 1e6) / 1e6;
+  }
+
+  /**
+   * 解析"分子/分母"写法的有理数
+   * @param {string|null} value - 文本
+   * @returns {number|null} - 数值
+   * @private
+   */
+  static _parseRational(value) {
+    if (!value) return null;
+
+    const [numerator, denominator] = value.split('/').map(Number);
+    if (isNaN(numerator)) return null;
+
+    return denominator ? numerator / denominator : numerator;
+  }
+
+  /**
+   * 解码XML实体
+   * @param {string} text - 文本
+   * @returns {string} - 解码后的文本
+   * @private
+   */
+  static _decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (entity, code) => {
+      if (code[0] === '#') {
+        return String.fromCodePoint(code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+      }
+      return XML_ENTITIES[code] !== undefined ? XML_ENTITIES[code] : entity;
+    });
+  }
+}
+
+export default XmpReader;
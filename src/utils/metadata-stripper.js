@@ -0,0 +1,476 @@
+/**
+ * @file metadata-stripper.js
+ * @description 图片元数据移除工具，在保存前重写JPEG、PNG、WebP文件，移除GPS位置或全部EXIF/IPTC/XMP元数据
+ * 只改动元数据段，图像数据和颜色配置（ICC、JFIF、Adobe段）原样保留
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ByteReader from './media-headers/byte-reader.js';
+import ExifReader, { EXIF_POINTERS } from './media-headers/exif-reader.js';
+import XmpReader, { XMP_NAMESPACE_ID } from './media-headers/xmp-reader.js';
+import JpegParser from './media-headers/jpeg-parser.js';
+import PngParser, { PNG_XMP_KEYWORD } from './media-headers/png-parser.js';
+import WebpParser, { VP8X_FLAGS } from './media-headers/webp-parser.js';
+import MediaHeaderParser from './media-headers/index.js';
+import ZipWriter from './zip-writer.js';
+
+/**
+ * 元数据移除方式
+ * @type {Object}
+ */
+export const STRIP_MODES = {
+  /** 保留全部元数据 */
+  NONE: 'none',
+  /** 只移除GPS位置 */
+  GPS: 'gps',
+  /** 移除全部元数据（保留图像方向） */
+  ALL: 'all'
+};
+
+/**
+ * 移除全部元数据时删除的PNG块
+ * @type {Array<string>}
+ * @private
+ */
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME'];
+
+/**
+ * 以文字块保存EXIF/XMP的旧写法（ImageMagick等），内容为十六进制编码，移除GPS时整块删除
+ * @type {RegExp}
+ * @private
+ */
+const PNG_RAW_PROFILE_PATTERN = /^Raw profile type (exif|xmp|app1)$/i;
+
+/**
+ * 扩展XMP（JPEG中超过64KB的XMP数据包被拆分后的部分）的标识
+ * @type {string}
+ * @private
+ */
+const XMP_EXTENSION_ID = 'http://ns.adobe.com/xmp/extension/';
+
+/**
+ * 图片元数据移除工具类
+ * @class MetadataStripper
+ */
+class MetadataStripper {
+  /**
+   * 是否支持该格式
+   * @param {string} format - 格式（jpeg、png、webp）
+   * @returns {boolean} - 是否支持
+   */
+  static supports(format) {
+    return ['jpeg', 'png', 'webp'].includes(format);
+  }
+
+  /**
+   * 移除图片元数据
+   * @param {Uint8Array|ArrayBuffer} bytes - 文件数据
+   * @param {string} mode - 移除方式（STRIP_MODES）
+   * @returns {Object} - { bytes, format, stripped }，格式不支持或没有需要移除的元数据时bytes为原数据、stripped为false
+   */
+  static strip(bytes, mode) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+    const format = MediaHeaderParser.detect(data);
+
+    if ((mode !== STRIP_MODES.GPS && mode !== STRIP_MODES.ALL) || !MetadataStripper.supports(format)) {
+      return { bytes: data, format: format, stripped: false };
+    }
+
+    let output = null;
+
+    try {
+      if (format === 'jpeg') {
+        output = MetadataStripper._stripJpeg(data, mode);
+      } else if (format === 'png') {
+        output = MetadataStripper._stripPng(data, mode);
+      } else {
+        output = MetadataStripper._stripWebp(data, mode);
+      }
+    } catch (e) {
+      console.warn(`移除${format}元数据错误:`, e);
+    }
+
+    return output ?
+      { bytes: output, format: format, stripped: true } :
+      { bytes: data, format: format, stripped: false };
+  }
+
+  /**
+   * 移除Blob中的图片元数据
+   * @param {Blob} blob - 文件数据
+   * @param {string} mode - 移除方式（STRIP_MODES）
+   * @returns {Promise<Object>} - { blob, format, stripped }，未改动时blob为原Blob
+   */
+  static async stripBlob(blob, mode) {
+    if (mode !== STRIP_MODES.GPS && mode !== STRIP_MODES.ALL) {
+      return { blob: blob, format: null, stripped: false };
+    }
+
+    const result = MetadataStripper.strip(new Uint8Array(await blob.arrayBuffer()), mode);
+
+    return {
+      blob: result.stripped ? new Blob([result.bytes], { type: blob.type }) : blob,
+      format: result.format,
+      stripped: result.stripped
+    };
+  }
+
+  /**
+   * 清空TIFF结构中GPS子IFD的所有条目和条目指向的数据，数据长度和其他IFD的位置不变
+   * @param {Uint8Array} tiff - TIFF数据（会被修改）
+   * @returns {boolean} - 是否包含并清除了GPS信息
+   */
+  static clearGps(tiff) {
+    try {
+      const header = ExifReader.readHeader(tiff);
+      if (!header) return false;
+
+      const ifd0 = ExifReader.readIfd(tiff, header.ifdOffset, header.littleEndian);
+      const pointer = ifd0.find(entry => entry.tag === EXIF_POINTERS.GPS_IFD);
+      if (!pointer) return false;
+
+      const gpsOffset = ExifReader.readValue(tiff, pointer, header.littleEndian);
+      const entries = ExifReader.readIfd(tiff, gpsOffset, header.littleEndian);
+      if (entries.length === 0) return false;
+
+      entries.forEach(entry => {
+        if (entry.size > 4 && entry.valueOffset + entry.size <= tiff.length) {
+          tiff.fill(0, entry.valueOffset, entry.valueOffset + entry.size);
+        }
+      });
+
+      // 条目数、条目和下一个IFD的位置全部置0，留下一个空的GPS IFD
+      tiff.fill(0, gpsOffset, Math.min(gpsOffset + 2 + entries.length * 12 + 4, tiff.length));
+
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 重写JPEG的标记段，SOS之后的扫描数据原样复制
+   * @param {Uint8Array} bytes - 文件数据
+   * @param {string} mode - 移除方式
+   * @returns {Uint8Array|null} - 新文件数据，没有改动时返回null
+   * @private
+   */
+  static _stripJpeg(bytes, mode) {
+    const parts = [bytes.subarray(0, 2)];
+    let offset = 2;
+    let changed = false;
+
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+      const marker = bytes[offset + 1];
+
+      if (marker === 0xDA || marker === 0xD9) break;
+
+      if (marker === 0xFF || marker === 0x01 || (marker >= 0xD0 && marker <= 0xD7)) {
+        const size = marker === 0xFF ? 1 : 2;
+        parts.push(bytes.subarray(offset, offset + size));
+        offset += size;
+        continue;
+      }
+
+      const end = offset + 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+      if (end > bytes.length) break;
+
+      const payload = MetadataStripper._stripJpegSegment(marker, bytes.subarray(offset + 4, end), mode);
+
+      if (payload === undefined) {
+        parts.push(bytes.subarray(offset, end));
+      } else {
+        changed = true;
+        if (payload) {
+          parts.push(Uint8Array.from([0xFF, marker, ((payload.length + 2) >> 8) & 0xFF, (payload.length + 2) & 0xFF]), payload);
+        }
+      }
+
+      offset = end;
+    }
+
+    if (!changed) return null;
+
+    parts.push(bytes.subarray(offset));
+    return MetadataStripper._concat(parts);
+  }
+
+  /**
+   * 处理一个JPEG标记段
+   * @param {number} marker - 标记
+   * @param {Uint8Array} payload - 段数据（不含长度字段）
+   * @param {string} mode - 移除方式
+   * @returns {Uint8Array|null|undefined} - 新的段数据；null表示删除该段，undefined表示保持不变
+   * @private
+   */
+  static _stripJpegSegment(marker, payload, mode) {
+    const signature = marker === 0xE1 || marker === 0xED ? JpegParser.readSignature(payload) : '';
+
+    if (marker === 0xE1 && signature === 'Exif') {
+      if (mode === STRIP_MODES.ALL) {
+        const exif = ExifReader.read(payload.subarray(6));
+        const orientation = exif && exif.orientation > 1 ? exif.orientation : null;
+        return orientation ? MetadataStripper._buildOrientationExif(orientation) : null;
+      }
+
+      const copy = payload.slice();
+      return MetadataStripper.clearGps(copy.subarray(6)) ? copy : undefined;
+    }
+
+    if (marker === 0xE1 && signature === XMP_NAMESPACE_ID) {
+      if (mode === STRIP_MODES.ALL) return null;
+
+      const header = payload.subarray(0, signature.length + 1);
+      const xml = ByteReader.decodeText(payload.subarray(signature.length + 1), 'utf-8');
+      if (!XmpReader.hasGps(xml)) return undefined;
+
+      return MetadataStripper._concat([header, MetadataStripper._encodeUtf8(XmpReader.removeGps(xml))]);
+    }
+
+    // 扩展XMP是被拆分的数据包片段，无法单独修改，两种方式都删除
+    if (marker === 0xE1 && signature === XMP_EXTENSION_ID) return null;
+
+    if (mode === STRIP_MODES.ALL && (marker === 0xED || marker === 0xFE)) return null;
+
+    return undefined;
+  }
+
+  /**
+   * 重写PNG的块，修改过的块重新计算CRC
+   * @param {Uint8Array} bytes - 文件数据
+   * @param {string} mode - 移除方式
+   * @returns {Uint8Array|null} - 新文件数据，没有改动时返回null
+   * @private
+   */
+  static _stripPng(bytes, mode) {
+    const parts = [bytes.subarray(0, 8)];
+    let offset = 8;
+    let changed = false;
+
+    while (offset + 12 <= bytes.length) {
+      const length = ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+      const end = offset + 12 + length;
+      if (end > bytes.length) break;
+
+      const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+      const data = MetadataStripper._stripPngChunk(type, bytes.subarray(offset + 8, offset + 8 + length), mode);
+
+      if (data === undefined) {
+        parts.push(bytes.subarray(offset, end));
+      } else {
+        changed = true;
+        if (data) parts.push(MetadataStripper._buildPngChunk(type, data));
+      }
+
+      offset = end;
+      if (type === 'IEND') break;
+    }
+
+    if (!changed) return null;
+
+    parts.push(bytes.subarray(offset));
+    return MetadataStripper._concat(parts);
+  }
+
+  /**
+   * 处理一个PNG块
+   * @param {string} type - 块类型
+   * @param {Uint8Array} data - 块数据
+   * @param {string} mode - 移除方式
+   * @returns {Uint8Array|null|undefined} - 新的块数据；null表示删除该块，undefined表示保持不变
+   * @private
+   */
+  static _stripPngChunk(type, data, mode) {
+    if (mode === STRIP_MODES.ALL) {
+      return PNG_METADATA_CHUNKS.includes(type) ? null : undefined;
+    }
+
+    if (type === 'eXIf') {
+      const copy = data.slice();
+      return MetadataStripper.clearGps(copy) ? copy : undefined;
+    }
+
+    if (type !== 'tEXt' && type !== 'iTXt' && type !== 'zTXt') return undefined;
+
+    const keywordEnd = data.indexOf(0);
+    const keyword = keywordEnd > 0 ? String.fromCharCode(...data.subarray(0, keywordEnd)) : '';
+
+    if (PNG_RAW_PROFILE_PATTERN.test(keyword)) return null;
+    if (type !== 'iTXt' || keyword !== PNG_XMP_KEYWORD) return undefined;
+
+    const entry = PngParser.readTextChunk(type, data);
+    if (!entry) return undefined;
+
+    // 压缩的XMP无法就地修改，整块删除
+    if (entry.compressed) return null;
+    if (!XmpReader.hasGps(entry.text)) return undefined;
+
+    return MetadataStripper._concat([data.subarray(0, entry.textOffset), MetadataStripper._encodeUtf8(XmpReader.removeGps(entry.text))]);
+  }
+
+  /**
+   * 重写WebP的RIFF块并更新RIFF大小和VP8X标志
+   * @param {Uint8Array} bytes - 文件数据
+   * @param {string} mode - 移除方式
+   * @returns {Uint8Array|null} - 新文件数据，没有改动时返回null
+   * @private
+   */
+  static _stripWebp(bytes, mode) {
+    const parts = [];
+    let changed = false;
+    let vp8x = null;
+    let removedFlags = 0;
+
+    WebpParser.eachChunk(bytes, (type, data, chunkOffset, chunkLength) => {
+      let replacement;
+
+      if (type === 'EXIF') {
+        if (mode === STRIP_MODES.ALL) {
+          replacement = null;
+          removedFlags |= VP8X_FLAGS.EXIF;
+        } else {
+          const copy = data.slice();
+          replacement = MetadataStripper.clearGps(WebpParser.stripExifPrefix(copy)) ? copy : undefined;
+        }
+      } else if (type === 'XMP ') {
+        const xml = ByteReader.decodeText(data, 'utf-8');
+
+        if (mode === STRIP_MODES.ALL) {
+          replacement = null;
+          removedFlags |= VP8X_FLAGS.XMP;
+        } else {
+          replacement = XmpReader.hasGps(xml) ? MetadataStripper._encodeUtf8(XmpReader.removeGps(xml)) : undefined;
+        }
+      }
+
+      if (replacement === undefined) {
+        const chunk = bytes.subarray(chunkOffset, Math.min(chunkOffset + chunkLength, bytes.length));
+        if (type === 'VP8X') vp8x = chunk;
+        parts.push(chunk);
+        return;
+      }
+
+      changed = true;
+      if (replacement) parts.push(MetadataStripper._buildRiffChunk(type, replacement));
+    });
+
+    if (!changed) return null;
+
+    if (vp8x && removedFlags) {
+      const index = parts.indexOf(vp8x);
+      parts[index] = vp8x.slice();
+      parts[index][8] &= ~removedFlags;
+    }
+
+    const body = MetadataStripper._concat(parts);
+    const header = bytes.slice(0, 12);
+    const riffSize = body.length + 4;
+    header[4] = riffSize & 0xFF;
+    header[5] = (riffSize >> 8) & 0xFF;
+    header[6] = (riffSize >> 16) & 0xFF;
+    header[7] = (riffSize >>> 24) & 0xFF;
+
+    return MetadataStripper._concat([header, body]);
+  }
+
+  /**
+   * 构造只包含方向标签的EXIF段数据，移除全部元数据后图片仍按原方向显示
+   * @param {number} orientation - EXIF方向（1-8）
+   * @returns {Uint8Array} - APP1段数据（含"Exif\0\0"前缀）
+   * @private
+   */
+  static _buildOrientationExif(orientation) {
+    return Uint8Array.from([
+      0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // "Exif\0\0"
+      0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // 大端序TIFF头，IFD0位于8
+      0x00, 0x01,                                     // 1个条目
+      0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation，SHORT，1个值
+      0x00, orientation, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00                          // 没有下一个IFD
+    ]);
+  }
+
+  /**
+   * 构造PNG块（长度、类型、数据、CRC）
+   * @param {string} type - 块类型
+   * @param {Uint8Array} data - 块数据
+   * @returns {Uint8Array} - 块
+   * @private
+   */
+  static _buildPngChunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, ZipWriter.crc32(chunk.subarray(4, data.length + 8)));
+
+    return chunk;
+  }
+
+  /**
+   * 构造RIFF块（类型、小端序长度、数据、补齐字节）
+   * @param {string} type - 块类型
+   * @param {Uint8Array} data - 块数据
+   * @returns {Uint8Array} - 块
+   * @private
+   */
+  static _buildRiffChunk(type, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+
+    for (let i = 0; i < 4; i++) chunk[i] = type.charCodeAt(i);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+
+    return chunk;
+  }
+
+  /**
+   * 合并字节数组
+   * @param {Array<Uint8Array>} parts - 字节数组
+   * @returns {Uint8Array} - 合并结果
+   * @private
+   */
+  static _concat(parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+
+    parts.forEach(part => {
+      result.set(part, offset);
+      offset += part.length;
+    });
+
+    return result;
+  }
+
+  /**
+   * UTF-8编码
+   * @param {string} text - 文本
+   * @returns {Uint8Array} - 数据
+   * @private
+   */
+  static _encodeUtf8(text) {
+    const bytes = [];
+
+    for (const char of text) {
+      const code = char.codePointAt(0);
+
+      if (code < 0x80) {
+        bytes.push(code);
+      } else if (code < 0x800) {
+        bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+      } else if (code < 0x10000) {
+        bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+      } else {
+        bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+      }
+    }
+
+    return Uint8Array.from(bytes);
+  }
+}
+
+export default MetadataStripper;
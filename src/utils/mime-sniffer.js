@@ -0,0 +1,477 @@
+/**
+ * @file mime-sniffer.js
+ * @description 文件类型嗅探工具，按文件开头的特征字节识别真实的MIME类型、扩展名和资源类型
+ * 用于纠正没有扩展名的CDN地址、application/octet-stream响应以及扩展名与内容不符的资源
+ * 新增格式时在FILE_TYPES中添加类型，并在MIME_SIGNATURES中添加对应的特征
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import { RESOURCE_TYPES } from '../config/constants.js';
+import ByteReader from './media-headers/byte-reader.js';
+import Mp3Parser from './media-headers/mp3-parser.js';
+
+/**
+ * 嗅探所需的文件开头字节数（ZIP格式需要读到前几个文件条目的名称）
+ * @type {number}
+ */
+export const SNIFF_SIZE = 8 * 1024;
+
+/**
+ * 不代表具体格式的通用MIME类型，遇到时需要嗅探
+ * @type {Array<string>}
+ */
+export const GENERIC_MIME_TYPES = [
+  'application/octet-stream',
+  'binary/octet-stream',
+  'application/binary',
+  'application/unknown',
+  'application/x-download',
+  'application/force-download',
+  'application/download'
+];
+
+/**
+ * 可识别的文件类型，extensions的第一项为保存时使用的扩展名，其余为同一格式的常见写法
+ * @type {Object}
+ */
+export const FILE_TYPES = {
+  jpeg: { mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'], type: RESOURCE_TYPES.IMAGE },
+  png: { mime: 'image/png', extensions: ['png', 'apng'], type: RESOURCE_TYPES.IMAGE },
+  gif: { mime: 'image/gif', extensions: ['gif'], type: RESOURCE_TYPES.IMAGE },
+  webp: { mime: 'image/webp', extensions: ['webp'], type: RESOURCE_TYPES.IMAGE },
+  avif: { mime: 'image/avif', extensions: ['avif', 'avifs'], type: RESOURCE_TYPES.IMAGE },
+  heic: { mime: 'image/heic', extensions: ['heic', 'heif'], type: RESOURCE_TYPES.IMAGE },
+  heif: { mime: 'image/heif', extensions: ['heif', 'heic'], type: RESOURCE_TYPES.IMAGE },
+  jxl: { mime: 'image/jxl', extensions: ['jxl'], type: RESOURCE_TYPES.IMAGE },
+  tiff: { mime: 'image/tiff', extensions: ['tif', 'tiff'], type: RESOURCE_TYPES.IMAGE },
+  bmp: { mime: 'image/bmp', extensions: ['bmp', 'dib'], type: RESOURCE_TYPES.IMAGE },
+  ico: { mime: 'image/x-icon', extensions: ['ico', 'cur'], type: RESOURCE_TYPES.IMAGE },
+  svg: { mime: 'image/svg+xml', extensions: ['svg', 'svgz'], type: RESOURCE_TYPES.IMAGE },
+  mp4: { mime: 'video/mp4', extensions: ['mp4', 'm4v', 'm4s'], type: RESOURCE_TYPES.VIDEO },
+  m4v: { mime: 'video/x-m4v', extensions: ['m4v', 'mp4'], type: RESOURCE_TYPES.VIDEO },
+  mov: { mime: 'video/quicktime', extensions: ['mov', 'qt'], type: RESOURCE_TYPES.VIDEO },
+  '3gp': { mime: 'video/3gpp', extensions: ['3gp', '3g2'], type: RESOURCE_TYPES.VIDEO },
+  m4a: { mime: 'audio/mp4', extensions: ['m4a', 'm4b', 'mp4'], type: RESOURCE_TYPES.AUDIO },
+  webm: { mime: 'video/webm', extensions: ['webm'], type: RESOURCE_TYPES.VIDEO },
+  mkv: { mime: 'video/x-matroska', extensions: ['mkv', 'mka', 'mk3d'], type: RESOURCE_TYPES.VIDEO },
+  avi: { mime: 'video/x-msvideo', extensions: ['avi'], type: RESOURCE_TYPES.VIDEO },
+  ogv: { mime: 'video/ogg', extensions: ['ogv', 'ogg'], type: RESOURCE_TYPES.VIDEO },
+  ogg: { mime: 'audio/ogg', extensions: ['ogg', 'oga'], type: RESOURCE_TYPES.AUDIO },
+  opus: { mime: 'audio/ogg', extensions: ['opus', 'ogg', 'oga'], type: RESOURCE_TYPES.AUDIO },
+  flac: { mime: 'audio/flac', extensions: ['flac'], type: RESOURCE_TYPES.AUDIO },
+  wav: { mime: 'audio/wav', extensions: ['wav', 'wave'], type: RESOURCE_TYPES.AUDIO },
+  mp3: { mime: 'audio/mpeg', extensions: ['mp3'], type: RESOURCE_TYPES.AUDIO },
+  mp2: { mime: 'audio/mpeg', extensions: ['mp2', 'mpa'], type: RESOURCE_TYPES.AUDIO },
+  aac: { mime: 'audio/aac', extensions: ['aac', 'adts'], type: RESOURCE_TYPES.AUDIO },
+  pdf: { mime: 'application/pdf', extensions: ['pdf'], type: RESOURCE_TYPES.DOCUMENT },
+  docx: {
+    mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    extensions: ['docx', 'docm'],
+    type: RESOURCE_TYPES.DOCUMENT
+  },
+  xlsx: {
+    mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extensions: ['xlsx', 'xlsm'],
+    type: RESOURCE_TYPES.DOCUMENT
+  },
+  pptx: {
+    mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    extensions: ['pptx', 'pptm'],
+    type: RESOURCE_TYPES.DOCUMENT
+  },
+  odt: { mime: 'application/vnd.oasis.opendocument.text', extensions: ['odt'], type: RESOURCE_TYPES.DOCUMENT },
+  ods: { mime: 'application/vnd.oasis.opendocument.spreadsheet', extensions: ['ods'], type: RESOURCE_TYPES.DOCUMENT },
+  odp: { mime: 'application/vnd.oasis.opendocument.presentation', extensions: ['odp'], type: RESOURCE_TYPES.DOCUMENT },
+  epub: { mime: 'application/epub+zip', extensions: ['epub'], type: RESOURCE_TYPES.DOCUMENT },
+  zip: { mime: 'application/zip', extensions: ['zip'], type: RESOURCE_TYPES.OTHER }
+};
+
+/**
+ * ISO BMFF（MP4/MOV/HEIF）ftyp中的品牌与文件类型
+ * @type {Object}
+ * @private
+ */
+const ISO_BRANDS = {
+  avif: 'avif',
+  avis: 'avif',
+  heic: 'heic',
+  heix: 'heic',
+  heim: 'heic',
+  heis: 'heic',
+  hevc: 'heic',
+  hevx: 'heic',
+  mif1: 'heif',
+  msf1: 'heif',
+  'qt  ': 'mov',
+  'M4A ': 'm4a',
+  'M4B ': 'm4a',
+  'M4P ': 'm4a',
+  'F4A ': 'm4a',
+  'M4V ': 'm4v',
+  'M4VH': 'm4v',
+  'M4VP': 'm4v'
+};
+
+/**
+ * 只表示图像容器的通用品牌，需要继续查看兼容品牌确定具体编码
+ * @type {Array<string>}
+ * @private
+ */
+const GENERIC_IMAGE_BRANDS = ['mif1', 'msf1'];
+
+/**
+ * ZIP中用于区分Office文档的条目名称前缀
+ * @type {Object}
+ * @private
+ */
+const OOXML_DIRECTORIES = {
+  'word/': 'docx',
+  'xl/': 'xlsx',
+  'ppt/': 'pptx'
+};
+
+/**
+ * OpenDocument和EPUB第一个条目mimetype的内容
+ * @type {Object}
+ * @private
+ */
+const ZIP_MIMETYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/epub+zip': 'epub'
+};
+
+/**
+ * 文件特征列表，按检测顺序排列
+ * magic为必须全部匹配的 [位置, 字节数组或字符串]，resolve根据数据进一步确定FILE_TYPES中的类型（返回null表示不匹配），
+ * 没有resolve时使用fileType；MPEG音频帧同步字和SVG文本最宽松，放在最后
+ * @type {Array<Object>}
+ */
+export const MIME_SIGNATURES = [
+  { fileType: 'jpeg', magic: [[0, [0xFF, 0xD8, 0xFF]]] },
+  { fileType: 'png', magic: [[0, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]]] },
+  { fileType: 'gif', magic: [[0, 'GIF8']], resolve: bytes => (bytes[4] === 0x37 || bytes[4] === 0x39) && bytes[5] === 0x61 ? 'gif' : null },
+  { fileType: 'webp', magic: [[0, 'RIFF'], [8, 'WEBP']] },
+  { fileType: 'wav', magic: [[0, 'RIFF'], [8, 'WAVE']] },
+  { fileType: 'avi', magic: [[0, 'RIFF'], [8, 'AVI ']] },
+  { fileType: 'jxl', magic: [[0, [0xFF, 0x0A]]] },
+  { fileType: 'jxl', magic: [[0, [0x00, 0x00, 0x00, 0x0C]], [4, 'JXL '], [8, [0x0D, 0x0A, 0x87, 0x0A]]] },
+  { fileType: 'tiff', magic: [[0, [0x49, 0x49, 0x2A, 0x00]]] },
+  { fileType: 'tiff', magic: [[0, [0x4D, 0x4D, 0x00, 0x2A]]] },
+  { fileType: 'bmp', magic: [[0, 'BM']], resolve: bytes => MimeSniffer._resolveBmp(bytes) },
+  { fileType: 'mp4', magic: [[4, 'ftyp']], resolve: bytes => MimeSniffer._resolveIsoBrands(bytes) },
+  { fileType: 'ico', magic: [[0, [0x00, 0x00]]], resolve: bytes => MimeSniffer._resolveIco(bytes) },
+  { fileType: 'webm', magic: [[0, [0x1A, 0x45, 0xDF, 0xA3]]], resolve: bytes => MimeSniffer._resolveEbmlDocType(bytes) },
+  { fileType: 'ogg', magic: [[0, 'OggS']], resolve: bytes => MimeSniffer._resolveOggCodec(bytes) },
+  { fileType: 'flac', magic: [[0, 'fLaC']] },
+  { fileType: 'pdf', magic: [[0, '%PDF-']] },
+  { fileType: 'zip', magic: [[0, [0x50, 0x4B, 0x03, 0x04]]], resolve: bytes => MimeSniffer._resolveZip(bytes) },
+  { fileType: 'mp3', magic: [[0, 'ID3']], resolve: bytes => MimeSniffer._resolveId3(bytes) },
+  { fileType: 'mp3', magic: [[0, [0xFF]]], resolve: bytes => MimeSniffer._resolveMpegAudio(bytes, 0) },
+  { fileType: 'svg', magic: [], resolve: bytes => MimeSniffer._resolveSvg(bytes) }
+];
+
+/**
+ * 文件类型嗅探工具类
+ * @class MimeSniffer
+ */
+class MimeSniffer {
+  /**
+   * 根据文件开头的数据识别文件类型
+   * @param {Uint8Array|ArrayBuffer} bytes - 文件开头的数据（建议不少于SNIFF_SIZE字节）
+   * @returns {Object|null} - { format, mime, extension, extensions, type }，无法识别时返回null
+   */
+  static sniff(bytes) {
+    const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes || 0);
+    if (data.length < 2) return null;
+
+    for (const signature of MIME_SIGNATURES) {
+      if (!signature.magic.every(([offset, pattern]) => MimeSniffer._matchesAt(data, offset, pattern))) continue;
+
+      const format = signature.resolve ? signature.resolve(data) : signature.fileType;
+      if (format && FILE_TYPES[format]) {
+        return MimeSniffer.describe(format);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 获取文件类型的描述
+   * @param {string} format - FILE_TYPES中的类型
+   * @returns {Object|null} - { format, mime, extension, extensions, type }
+   */
+  static describe(format) {
+    const fileType = FILE_TYPES[format];
+    if (!fileType) return null;
+
+    return {
+      format: format,
+      mime: fileType.mime,
+      extension: fileType.extensions[0],
+      extensions: fileType.extensions.slice(),
+      type: fileType.type
+    };
+  }
+
+  /**
+   * 是否为不代表具体格式的通用MIME类型（缺失也视为通用）
+   * @param {string} [contentType] - MIME类型，可带参数
+   * @returns {boolean} - 是否通用
+   */
+  static isGenericType(contentType) {
+    const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+    return !mime || GENERIC_MIME_TYPES.includes(mime);
+  }
+
+  /**
+   * 扩展名是否与嗅探结果一致
+   * @param {Object} sniffed - sniff或describe的结果
+   * @param {string} extension - 扩展名（不含点）
+   * @returns {boolean} - 是否一致
+   */
+  static matchesExtension(sniffed, extension) {
+    return Boolean(sniffed && extension) && sniffed.extensions.includes(extension.toLowerCase());
+  }
+
+  /**
+   * 判断data在offset处是否与特征一致
+   * @param {Uint8Array} data - 数据
+   * @param {number} offset - 位置
+   * @param {Array<number>|string} pattern - 字节数组或ASCII字符串
+   * @returns {boolean} - 是否一致
+   * @private
+   */
+  static _matchesAt(data, offset, pattern) {
+    if (offset + pattern.length > data.length) return false;
+
+    for (let i = 0; i < pattern.length; i++) {
+      const expected = typeof pattern === 'string' ? pattern.charCodeAt(i) : pattern[i];
+      if (data[offset + i] !== expected) return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * BMP只有两字节标识，再检查保留字段和信息头长度
+   * @param {Uint8Array} data - 数据
+   * @returns {string|null} - 文件类型
+   * @private
+   */
+  static _resolveBmp(data) {
+    if (data.length < 18) return null;
+
+    const reserved = data[6] | data[7] | data[8] | data[9];
+    const headerSize = new ByteReader(data, 14).u32(true);
+
+    return reserved === 0 && [12, 40, 52, 56, 64, 108, 124].includes(headerSize) ? 'bmp' : null;
+  }
+
+  /**
+   * ICO/CUR：保留字段为0，类型为1（图标）或2（光标），图像数量不为0，第一个目录项的保留字节为0
+   * @param {Uint8Array} data - 数据
+   * @returns {string|null} - 文件类型
+   * @private
+   */
+  static _resolveIco(data) {
+    if (data.length < 22 || (data[2] !== 1 && data[2] !== 2) || data[3] !== 0 || data[9] !== 0) return null;
+
+    const count = data[4] | (data[5] << 8);
+    return count > 0 && count <= 256 ? 'ico' : null;
+  }
+
+  /**
+   * 根据ftyp的主品牌和兼容品牌区分AVIF、HEIC、MOV、M4A和MP4
+   * @param {Uint8Array} data - 数据
+   * @returns {string} - 文件类型
+   * @private
+   */
+  static _resolveIsoBrands(data) {
+    const boxSize = new ByteReader(data).u32();
+    const end = Math.min(boxSize >= 16 ? boxSize : 16, data.length);
+    const brands = [ByteReader.decodeText(data.subarray(8, 12), 'latin1')];
+
+    for (let offset = 16; offset + 4 <= end; offset += 4) {
+      brands.push(ByteReader.decodeText(data.subarray(offset, offset + 4), 'latin1'));
+    }
+
+    const major = brands[0];
+    if (ISO_BRANDS[major] && !GENERIC_IMAGE_BRANDS.includes(major)) {
+      return ISO_BRANDS[major];
+    }
+
+    // 通用品牌（mif1、isom等）时在兼容品牌中查找具体的图像编码
+    const imageBrand = brands.find(brand => ISO_BRANDS[brand] === 'avif') ||
+      brands.find(brand => ISO_BRANDS[brand] === 'heic') ||
+      brands.find(brand => ISO_BRANDS[brand] === 'heif');
+
+    if (imageBrand) return ISO_BRANDS[imageBrand];
+    if (/^3g[p2]/.test(major)) return '3gp';
+
+    return 'mp4';
+  }
+
+  /**
+   * 从EBML头的DocType区分WebM和Matroska
+   * @param {Uint8Array} data - 数据
+   * @returns {string} - 文件类型
+   * @private
+   */
+  static _resolveEbmlDocType(data) {
+    const header = data.subarray(0, Math.min(data.length, 64));
+
+    for (let i = 4; i + 3 < header.length; i++) {
+      // DocType元素ID为0x4282，之后是1字节的长度（0x80 | length）
+      if (header[i] !== 0x42 || header[i + 1] !== 0x82 || (header[i + 2] & 0x80) === 0) continue;
+
+      const length = header[i + 2] & 0x7F;
+      const docType = ByteReader.decodeText(header.subarray(i + 3, i + 3 + length), 'latin1');
+
+      return docType === 'matroska' ? 'mkv' : 'webm';
+    }
+
+    return 'webm';
+  }
+
+  /**
+   * 从第一个Ogg页的编码标识区分Vorbis、Opus、FLAC和Theora
+   * @param {Uint8Array} data - 数据
+   * @returns {string} - 文件类型
+   * @private
+   */
+  static _resolveOggCodec(data) {
+    if (data.length < 27) return 'ogg';
+
+    // 页头27字节加分段表之后是第一个数据包
+    const packetOffset = 27 + data[26];
+
+    if (MimeSniffer._matchesAt(data, packetOffset, 'OpusHead')) return 'opus';
+    if (MimeSniffer._matchesAt(data, packetOffset, [0x80, 0x74, 0x68, 0x65, 0x6F, 0x72, 0x61])) return 'ogv';
+
+    return 'ogg';
+  }
+
+  /**
+   * 根据ZIP条目区分Office Open XML、OpenDocument、EPUB和普通ZIP
+   * @param {Uint8Array} data - 数据
+   * @returns {string} - 文件类型
+   * @private
+   */
+  static _resolveZip(data) {
+    let offset = 0;
+    let isOoxml = false;
+
+    while (offset + 30 <= data.length && MimeSniffer._matchesAt(data, offset, [0x50, 0x4B, 0x03, 0x04])) {
+      const header = new ByteReader(data, offset + 6);
+      const flags = header.u16(true);
+      const method = header.u16(true);
+      header.skip(8);
+      const compressedSize = header.u32(true);
+      header.skip(4);
+      const nameLength = header.u16(true);
+      const extraLength = header.u16(true);
+      const nameOffset = offset + 30;
+
+      if (nameOffset + nameLength > data.length) break;
+
+      const name = ByteReader.decodeText(data.subarray(nameOffset, nameOffset + nameLength), 'latin1');
+      const dataOffset = nameOffset + nameLength + extraLength;
+
+      // OpenDocument和EPUB要求第一个条目为未压缩的mimetype
+      if (offset === 0 && name === 'mimetype' && method === 0) {
+        const mimetype = ByteReader.decodeText(data.subarray(dataOffset, dataOffset + compressedSize), 'latin1').trim();
+        return ZIP_MIMETYPES[mimetype] || 'zip';
+      }
+
+      if (name === '[Content_Types].xml') isOoxml = true;
+
+      const directory = Object.keys(OOXML_DIRECTORIES).find(prefix => name.startsWith(prefix));
+      if (directory) return OOXML_DIRECTORIES[directory];
+
+      // 使用数据描述符（标志位3）时本地头中没有压缩后大小，无法跳到下一个条目
+      if (flags & 0x08) break;
+
+      offset = dataOffset + compressedSize;
+    }
+
+    return isOoxml ? MimeSniffer._findOoxmlDirectory(data) || 'zip' : 'zip';
+  }
+
+  /**
+   * 无法逐个跳过条目时，在已获取的数据中直接查找Office文档的目录名
+   * @param {Uint8Array} data - 数据
+   * @returns {string|null} - 文件类型
+   * @private
+   */
+  static _findOoxmlDirectory(data) {
+    const text = ByteReader.decodeText(data, 'latin1');
+    const directory = Object.keys(OOXML_DIRECTORIES).find(prefix => text.indexOf(prefix) !== -1);
+
+    return directory ? OOXML_DIRECTORIES[directory] : null;
+  }
+
+  /**
+   * ID3v2标签之后通常是MP3帧，也可能是AAC的ADTS帧
+   * @param {Uint8Array} data - 数据
+   * @returns {string} - 文件类型
+   * @private
+   */
+  static _resolveId3(data) {
+    if (data.length < 10) return 'mp3';
+
+    // 标签长度为4个7位的同步安全整数，不含10字节的标签头；标志位4表示带有10字节的标签尾
+    const size = ((data[6] & 0x7F) << 21) | ((data[7] & 0x7F) << 14) | ((data[8] & 0x7F) << 7) | (data[9] & 0x7F);
+    const audioOffset = 10 + size + (data[5] & 0x10 ? 10 : 0);
+
+    return MimeSniffer._resolveMpegAudio(data, audioOffset) || 'mp3';
+  }
+
+  /**
+   * 根据帧同步字区分MPEG音频（MP3/MP2）和AAC的ADTS帧
+   * @param {Uint8Array} data - 数据
+   * @param {number} offset - 帧头位置
+   * @returns {string|null} - 文件类型
+   * @private
+   */
+  static _resolveMpegAudio(data, offset) {
+    if (offset + 4 > data.length || data[offset] !== 0xFF) return null;
+
+    // ADTS：12位同步字之后layer固定为00，采样率索引不超过12
+    if ((data[offset + 1] & 0xF6) === 0xF0 && ((data[offset + 2] >> 2) & 0x0F) <= 12) {
+      return 'aac';
+    }
+
+    const frame = Mp3Parser.readFrameHeader(data, offset);
+    if (!frame) return null;
+
+    return frame.layer === 3 ? 'mp3' : 'mp2';
+  }
+
+  /**
+   * SVG为文本格式，跳过BOM、XML声明、注释和DOCTYPE后第一个元素为svg
+   * @param {Uint8Array} data - 数据
+   * @returns {string|null} - 文件类型
+   * @private
+   */
+  static _resolveSvg(data) {
+    let text = ByteReader.decodeText(data.subarray(0, Math.min(data.length, 1024)), 'latin1');
+
+    if (text.startsWith('\xEF\xBB\xBF')) text = text.slice(3);
+
+    const prolog = /^\s*(?:<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)/i;
+    let match;
+
+    while ((match = prolog.exec(text)) !== null) {
+      text = text.slice(match[0].length);
+    }
+
+    return /^\s*<svg[\s>]/i.test(text) ? 'svg' : null;
+  }
+}
+
+export default MimeSniffer;
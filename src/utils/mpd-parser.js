@@ -0,0 +1,514 @@
+/**
+ * @file mpd-parser.js
+ * @description MPEG-DASH清单(MPD)解析工具，支持SegmentTemplate、SegmentTimeline、SegmentList和SegmentBase
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 视频编码前缀
+ * @type {Array<string>}
+ * @private
+ */
+const VIDEO_CODEC_PREFIXES = ['avc', 'hvc', 'hev', 'vp8', 'vp9', 'vp09', 'av01', 'dvh'];
+
+/**
+ * 音频编码前缀
+ * @type {Array<string>}
+ * @private
+ */
+const AUDIO_CODEC_PREFIXES = ['mp4a', 'opus', 'vorbis', 'ac-3', 'ec-3', 'flac', 'dtsc'];
+
+/**
+ * MPD解析工具类
+ * @class MPDParser
+ */
+class MPDParser {
+  /**
+   * 解析MPD清单
+   * @param {string} xmlText - MPD XML文本
+   * @param {string} manifestUrl - 清单URL，用于解析相对路径
+   * @returns {Object} 清单对象 { type, isLive, duration, periods }
+   */
+  static parse(xmlText, manifestUrl) {
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    const mpd = doc.documentElement;
+
+    if (!mpd || mpd.localName !== 'MPD' || doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('无效的MPD清单');
+    }
+
+    const type = mpd.getAttribute('type') || 'static';
+    const duration = this.parseDuration(mpd.getAttribute('mediaPresentationDuration'));
+    const baseUrl = this._resolveBaseUrl(mpd, manifestUrl);
+    const periodElements = this._children(mpd, 'Period');
+    const periods = [];
+
+    periodElements.forEach((periodEl, index) => {
+      const previous = periods[index - 1];
+      const start = periodEl.hasAttribute('start') ?
+        this.parseDuration(periodEl.getAttribute('start')) :
+        (previous && previous.duration !== null ? previous.start + previous.duration : 0);
+
+      let periodDuration = this.parseDuration(periodEl.getAttribute('duration'));
+
+      if (periodDuration === null) {
+        const next = periodElements[index + 1];
+        if (next && next.hasAttribute('start')) {
+          periodDuration = this.parseDuration(next.getAttribute('start')) - start;
+        } else if (duration !== null) {
+          periodDuration = duration - start;
+        }
+      }
+
+      periods.push(this._parsePeriod(periodEl, index, start, periodDuration, baseUrl));
+    });
+
+    return {
+      type: type,
+      isLive: type === 'dynamic',
+      duration: duration,
+      periods: periods
+    };
+  }
+
+  /**
+   * 获取第一个周期中可下载的视频和音频表示
+   * @param {Object} manifest - 清单对象
+   * @returns {Object} { video, audio }，均按码率降序排列
+   */
+  static getRepresentations(manifest) {
+    const result = { video: [], audio: [] };
+
+    if (!manifest || !manifest.periods || manifest.periods.length === 0) {
+      return result;
+    }
+
+    manifest.periods[0].adaptationSets.forEach(adaptationSet => {
+      adaptationSet.representations.forEach(representation => {
+        if (result[representation.contentType]) {
+          result[representation.contentType].push(representation);
+        }
+      });
+    });
+
+    result.video.sort((a, b) => b.bandwidth - a.bandwidth);
+    result.audio.sort((a, b) => b.bandwidth - a.bandwidth);
+
+    return result;
+  }
+
+  /**
+   * 解析ISO 8601时长（如PT1H2M3.5S）
+   * @param {string} value - 时长字符串
+   * @returns {number|null} 秒数
+   */
+  static parseDuration(value) {
+    if (!value) return null;
+
+    const match = /^P(?:(\d+(?:\.\d+)?)Y)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+
+    const [, years, months, days, hours, minutes, seconds] = match.map(v => parseFloat(v) || 0);
+
+    return years * 31536000 + months * 2592000 + days * 86400 + hours * 3600 + minutes * 60 + seconds;
+  }
+
+  /**
+   * 填充SegmentTemplate中的标识符（支持$Number%05d$格式）
+   * @param {string} template - 模板字符串
+   * @param {Object} values - { RepresentationID, Number, Bandwidth, Time }
+   * @returns {string} 填充后的字符串
+   */
+  static fillTemplate(template, values) {
+    return template.replace(/\$(RepresentationID|Number|Bandwidth|Time|)(?:%0(\d+)d)?\$/g, (match, name, width) => {
+      if (name === '') return '$';
+
+      const value = values[name];
+      if (value === undefined || value === null) return match;
+
+      const text = String(value);
+      return width ? text.padStart(parseInt(width, 10), '0') : text;
+    });
+  }
+
+  /**
+   * 解析字节范围（如"0-719"）
+   * @param {string} value - 字节范围字符串
+   * @returns {Object|null} { length, offset }
+   */
+  static parseByteRange(value) {
+    if (!value) return null;
+
+    const [start, end] = value.split('-').map(v => parseInt(v, 10));
+    if (isNaN(start) || isNaN(end)) return null;
+
+    return { offset: start, length: end - start + 1 };
+  }
+
+  /**
+   * 解析周期
+   * @param {Element} periodEl - Period元素
+   * @param {number} index - 周期序号
+   * @param {number} start - 起始时间（秒）
+   * @param {number|null} duration - 时长（秒）
+   * @param {string} parentBaseUrl - 上级BaseURL
+   * @returns {Object} 周期对象
+   * @private
+   */
+  static _parsePeriod(periodEl, index, start, duration, parentBaseUrl) {
+    const baseUrl = this._resolveBaseUrl(periodEl, parentBaseUrl);
+    const context = {
+      periodIndex: index,
+      periodDuration: duration,
+      segmentElements: this._collectSegmentElements(periodEl, {})
+    };
+
+    const adaptationSets = this._children(periodEl, 'AdaptationSet').map(setEl =>
+      this._parseAdaptationSet(setEl, baseUrl, context)
+    );
+
+    return {
+      id: periodEl.getAttribute('id') || String(index),
+      start: start,
+      duration: duration,
+      adaptationSets: adaptationSets
+    };
+  }
+
+  /**
+   * 解析自适应集
+   * @param {Element} setEl - AdaptationSet元素
+   * @param {string} parentBaseUrl - 上级BaseURL
+   * @param {Object} periodContext - 周期上下文
+   * @returns {Object} 自适应集对象
+   * @private
+   */
+  static _parseAdaptationSet(setEl, parentBaseUrl, periodContext) {
+    const baseUrl = this._resolveBaseUrl(setEl, parentBaseUrl);
+    const context = {
+      ...periodContext,
+      segmentElements: this._collectSegmentElements(setEl, periodContext.segmentElements)
+    };
+
+    const defaults = {
+      contentType: setEl.getAttribute('contentType') || '',
+      mimeType: setEl.getAttribute('mimeType') || '',
+      codecs: setEl.getAttribute('codecs') || '',
+      lang: setEl.getAttribute('lang') || '',
+      width: setEl.getAttribute('width'),
+      height: setEl.getAttribute('height'),
+      frameRate: setEl.getAttribute('frameRate')
+    };
+
+    const representations = this._children(setEl, 'Representation').map(repEl =>
+      this._parseRepresentation(repEl, baseUrl, context, defaults)
+    );
+
+    return {
+      id: setEl.getAttribute('id') || '',
+      contentType: representations.length > 0 ? representations[0].contentType : 'other',
+      mimeType: defaults.mimeType,
+      lang: defaults.lang,
+      representations: representations
+    };
+  }
+
+  /**
+   * 解析表示
+   * @param {Element} repEl - Representation元素
+   * @param {string} parentBaseUrl - 上级BaseURL
+   * @param {Object} setContext - 自适应集上下文
+   * @param {Object} defaults - 继承自AdaptationSet的属性
+   * @returns {Object} 表示对象
+   * @private
+   */
+  static _parseRepresentation(repEl, parentBaseUrl, setContext, defaults) {
+    const baseUrl = this._resolveBaseUrl(repEl, parentBaseUrl);
+    const segmentElements = this._collectSegmentElements(repEl, setContext.segmentElements);
+
+    const mimeType = repEl.getAttribute('mimeType') || defaults.mimeType;
+    const codecs = repEl.getAttribute('codecs') || defaults.codecs;
+    const width = parseInt(repEl.getAttribute('width') || defaults.width, 10) || 0;
+    const height = parseInt(repEl.getAttribute('height') || defaults.height, 10) || 0;
+    const bandwidth = parseInt(repEl.getAttribute('bandwidth'), 10) || 0;
+
+    const representation = {
+      id: repEl.getAttribute('id') || '',
+      contentType: this._detectContentType(defaults.contentType, mimeType, codecs),
+      mimeType: mimeType,
+      codecs: codecs,
+      bandwidth: bandwidth,
+      width: width,
+      height: height,
+      frameRate: this._parseFrameRate(repEl.getAttribute('frameRate') || defaults.frameRate),
+      audioSamplingRate: parseInt(repEl.getAttribute('audioSamplingRate'), 10) || 0,
+      lang: defaults.lang,
+      label: height ? `${height}p` : `${Math.round(bandwidth / 1000)}kbps`,
+      periodIndex: setContext.periodIndex,
+      initialization: null,
+      segments: [],
+      addressing: 'base'
+    };
+
+    this._resolveSegments(representation, segmentElements, baseUrl, setContext.periodDuration);
+
+    if (representation.contentType === 'audio' && defaults.lang) {
+      representation.label = `${defaults.lang} ${representation.label}`;
+    }
+
+    return representation;
+  }
+
+  /**
+   * 根据分片寻址方式生成初始化分片和媒体分片列表
+   * @param {Object} representation - 表示对象
+   * @param {Object} segmentElements - 继承合并后的分片描述元素
+   * @param {string} baseUrl - 表示的BaseURL
+   * @param {number|null} periodDuration - 周期时长（秒）
+   * @private
+   */
+  static _resolveSegments(representation, segmentElements, baseUrl, periodDuration) {
+    const { template, list, base } = segmentElements;
+    const values = { RepresentationID: representation.id, Bandwidth: representation.bandwidth };
+
+    if (template) {
+      const attrs = template.attributes;
+      const timescale = parseInt(attrs.timescale, 10) || 1;
+      const startNumber = attrs.startNumber !== undefined ? parseInt(attrs.startNumber, 10) : 1;
+
+      if (attrs.initialization) {
+        representation.initialization = {
+          url: this._resolveUrl(this.fillTemplate(attrs.initialization, values), baseUrl),
+          byteRange: null
+        };
+      }
+
+      if (!attrs.media) return;
+
+      if (template.timeline) {
+        representation.addressing = 'timeline';
+        representation.segments = this._expandTimeline(template.timeline, timescale, periodDuration, attrs.presentationTimeOffset)
+          .map((entry, index) => ({
+            url: this._resolveUrl(this.fillTemplate(attrs.media, { ...values, Number: startNumber + index, Time: entry.time }), baseUrl),
+            byteRange: null,
+            number: startNumber + index,
+            time: entry.time,
+            duration: entry.duration / timescale
+          }));
+        return;
+      }
+
+      const segmentDuration = parseInt(attrs.duration, 10);
+      if (!segmentDuration || periodDuration === null) return;
+
+      representation.addressing = 'template';
+      const count = Math.ceil((periodDuration * timescale) / segmentDuration);
+
+      for (let i = 0; i < count; i++) {
+        representation.segments.push({
+          url: this._resolveUrl(this.fillTemplate(attrs.media, { ...values, Number: startNumber + i, Time: i * segmentDuration }), baseUrl),
+          byteRange: null,
+          number: startNumber + i,
+          time: i * segmentDuration,
+          duration: segmentDuration / timescale
+        });
+      }
+      return;
+    }
+
+    if (list) {
+      representation.addressing = 'list';
+      const timescale = parseInt(list.element.getAttribute('timescale'), 10) || 1;
+      const segmentDuration = (parseInt(list.element.getAttribute('duration'), 10) || 0) / timescale;
+      const initEl = this._children(list.element, 'Initialization')[0];
+
+      if (initEl) {
+        representation.initialization = {
+          url: this._resolveUrl(initEl.getAttribute('sourceURL') || '', baseUrl),
+          byteRange: this.parseByteRange(initEl.getAttribute('range'))
+        };
+      }
+
+      representation.segments = this._children(list.element, 'SegmentURL').map((urlEl, index) => ({
+        url: this._resolveUrl(urlEl.getAttribute('media') || '', baseUrl),
+        byteRange: this.parseByteRange(urlEl.getAttribute('mediaRange')),
+        number: index + 1,
+        time: null,
+        duration: segmentDuration
+      }));
+      return;
+    }
+
+    // SegmentBase或仅有BaseURL：整个文件即为完整的fMP4（含初始化数据和sidx索引）
+    representation.addressing = 'base';
+    representation.segments = [{
+      url: baseUrl,
+      byteRange: null,
+      number: 1,
+      time: null,
+      duration: periodDuration || 0
+    }];
+
+    if (base) {
+      representation.indexRange = this.parseByteRange(base.getAttribute('indexRange'));
+    }
+  }
+
+  /**
+   * 展开SegmentTimeline
+   * @param {Element} timelineEl - SegmentTimeline元素
+   * @param {number} timescale - 时间刻度
+   * @param {number|null} periodDuration - 周期时长（秒）
+   * @param {string} [presentationTimeOffset] - 展示时间偏移
+   * @returns {Array<Object>} [{ time, duration }]
+   * @private
+   */
+  static _expandTimeline(timelineEl, timescale, periodDuration, presentationTimeOffset) {
+    const entries = [];
+    const sElements = this._children(timelineEl, 'S');
+    const periodEnd = periodDuration !== null ?
+      (parseInt(presentationTimeOffset, 10) || 0) + periodDuration * timescale : null;
+    let time = 0;
+
+    sElements.forEach((sEl, index) => {
+      if (sEl.hasAttribute('t')) {
+        time = parseInt(sEl.getAttribute('t'), 10);
+      }
+
+      const duration = parseInt(sEl.getAttribute('d'), 10);
+      if (!duration) return;
+
+      let repeat = parseInt(sEl.getAttribute('r'), 10) || 0;
+
+      if (repeat < 0) {
+        const next = sElements[index + 1];
+        const end = next && next.hasAttribute('t') ? parseInt(next.getAttribute('t'), 10) : periodEnd;
+        repeat = end !== null ? Math.ceil((end - time) / duration) - 1 : 0;
+      }
+
+      for (let i = 0; i <= repeat; i++) {
+        entries.push({ time: time, duration: duration });
+        time += duration;
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * 收集并继承分片描述元素（下级覆盖上级属性）
+   * @param {Element} element - 当前层级元素
+   * @param {Object} inherited - 上级分片描述
+   * @returns {Object} { template, list, base }
+   * @private
+   */
+  static _collectSegmentElements(element, inherited) {
+    const result = { ...inherited };
+    const templateEl = this._children(element, 'SegmentTemplate')[0];
+    const listEl = this._children(element, 'SegmentList')[0];
+    const baseEl = this._children(element, 'SegmentBase')[0];
+
+    if (templateEl) {
+      const attributes = { ...(inherited.template ? inherited.template.attributes : {}) };
+      Array.from(templateEl.attributes).forEach(attr => {
+        attributes[attr.name] = attr.value;
+      });
+
+      result.template = {
+        attributes: attributes,
+        timeline: this._children(templateEl, 'SegmentTimeline')[0] || (inherited.template ? inherited.template.timeline : null)
+      };
+    }
+
+    if (listEl) {
+      result.list = { element: listEl };
+    }
+
+    if (baseEl) {
+      result.base = baseEl;
+    }
+
+    return result;
+  }
+
+  /**
+   * 判断表示的内容类型
+   * @param {string} contentType - AdaptationSet@contentType
+   * @param {string} mimeType - MIME类型
+   * @param {string} codecs - 编码
+   * @returns {string} 'video'、'audio'、'text'或'other'
+   * @private
+   */
+  static _detectContentType(contentType, mimeType, codecs) {
+    if (['video', 'audio', 'text'].includes(contentType)) return contentType;
+
+    if (mimeType.startsWith('video/')) return 'video';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType.startsWith('text/') || mimeType.includes('ttml') || mimeType.includes('vtt')) return 'text';
+
+    const codec = codecs.toLowerCase();
+    if (VIDEO_CODEC_PREFIXES.some(prefix => codec.startsWith(prefix))) return 'video';
+    if (AUDIO_CODEC_PREFIXES.some(prefix => codec.startsWith(prefix))) return 'audio';
+
+    return 'other';
+  }
+
+  /**
+   * 解析帧率（支持"30000/1001"形式）
+   * @param {string} value - 帧率字符串
+   * @returns {number} 帧率
+   * @private
+   */
+  static _parseFrameRate(value) {
+    if (!value) return 0;
+
+    const [numerator, denominator] = String(value).split('/').map(v => parseFloat(v));
+    if (!numerator) return 0;
+
+    return denominator ? Math.round((numerator / denominator) * 1000) / 1000 : numerator;
+  }
+
+  /**
+   * 解析当前层级的BaseURL
+   * @param {Element} element - 当前层级元素
+   * @param {string} parentBaseUrl - 上级BaseURL
+   * @returns {string} 解析后的BaseURL
+   * @private
+   */
+  static _resolveBaseUrl(element, parentBaseUrl) {
+    const baseEl = this._children(element, 'BaseURL')[0];
+    if (!baseEl || !baseEl.textContent.trim()) return parentBaseUrl;
+
+    return this._resolveUrl(baseEl.textContent.trim(), parentBaseUrl);
+  }
+
+  /**
+   * 将相对URL解析为绝对URL
+   * @param {string} url - 原始URL
+   * @param {string} baseUrl - 基础URL
+   * @returns {string} 绝对URL
+   * @private
+   */
+  static _resolveUrl(url, baseUrl) {
+    try {
+      return new URL(url, baseUrl).href;
+    } catch (e) {
+      return url;
+    }
+  }
+
+  /**
+   * 获取指定名称的直接子元素（忽略命名空间前缀）
+   * @param {Element} element - 父元素
+   * @param {string} name - 元素本地名称
+   * @returns {Array<Element>} 子元素数组
+   * @private
+   */
+  static _children(element, name) {
+    return Array.from(element.children).filter(child => child.localName === name);
+  }
+}
+
+export default MPDParser;
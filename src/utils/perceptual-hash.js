@@ -0,0 +1,310 @@
+/**
+ * @file perceptual-hash.js
+ * @description 感知哈希（dHash/pHash），用于识别不同CDN或不同尺寸提供的同一张图片
+ * 哈希为64位，以16位十六进制字符串表示，通过汉明距离比较
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import BKTree from './bk-tree.js';
+
+/**
+ * 哈希位数
+ * @type {number}
+ */
+export const HASH_BITS = 64;
+
+/**
+ * 计算哈希前把图片缩放到的边长（像素）
+ * @type {number}
+ */
+export const HASH_INPUT_SIZE = 32;
+
+/**
+ * pHash汉明距离不超过该值时视为视觉上相同（缩放、重新压缩、轻微调色）
+ * @type {number}
+ */
+export const IDENTICAL_DISTANCE = 6;
+
+/**
+ * pHash汉明距离不超过该值时视为相似（裁剪、水印等）
+ * @type {number}
+ */
+export const SIMILAR_DISTANCE = 12;
+
+/**
+ * pHash使用的DCT低频块边长
+ * @type {number}
+ * @private
+ */
+const DCT_BLOCK_SIZE = 8;
+
+/**
+ * 每个十六进制字符中置位的数量
+ * @type {Array<number>}
+ * @private
+ */
+const NIBBLE_BITS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * DCT余弦系数表，按需计算
+ * @type {Float64Array|null}
+ * @private
+ */
+let cosineTable = null;
+
+/**
+ * 感知哈希工具类
+ * @class PerceptualHash
+ */
+class PerceptualHash {
+  /**
+   * 从RGBA像素计算dHash和pHash
+   * @param {Uint8ClampedArray|Array<number>} data - RGBA像素数据（例如ImageData.data）
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {Object} - { dhash, phash }
+   */
+  static fromRGBA(data, width, height) {
+    if (!data || !width || !height || data.length < width * height * 4) {
+      throw new Error('像素数据无效');
+    }
+
+    const gray = PerceptualHash.toGrayscale(data, width, height);
+    const scaled = width === HASH_INPUT_SIZE && height === HASH_INPUT_SIZE ?
+      gray : PerceptualHash.resize(gray, width, height, HASH_INPUT_SIZE, HASH_INPUT_SIZE);
+
+    return {
+      dhash: PerceptualHash.dHash(scaled, HASH_INPUT_SIZE, HASH_INPUT_SIZE),
+      phash: PerceptualHash.pHash(scaled)
+    };
+  }
+
+  /**
+   * 转换为灰度（ITU-R BT.601亮度），透明像素按白色背景合成
+   * @param {Uint8ClampedArray|Array<number>} data - RGBA像素数据
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {Float64Array} - 灰度值
+   */
+  static toGrayscale(data, width, height) {
+    const gray = new Float64Array(width * height);
+
+    for (let i = 0; i < gray.length; i++) {
+      const offset = i * 4;
+      const alpha = data[offset + 3] / 255;
+      const luma = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+      gray[i] = luma * alpha + 255 * (1 - alpha);
+    }
+
+    return gray;
+  }
+
+  /**
+   * 按区域平均缩放灰度图
+   * @param {Float64Array} gray - 灰度值
+   * @param {number} width - 原宽度
+   * @param {number} height - 原高度
+   * @param {number} targetWidth - 目标宽度
+   * @param {number} targetHeight - 目标高度
+   * @returns {Float64Array} - 缩放后的灰度值
+   */
+  static resize(gray, width, height, targetWidth, targetHeight) {
+    const result = new Float64Array(targetWidth * targetHeight);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+      const y0 = ty * scaleY;
+      const y1 = y0 + scaleY;
+
+      for (let tx = 0; tx < targetWidth; tx++) {
+        const x0 = tx * scaleX;
+        const x1 = x0 + scaleX;
+        let sum = 0;
+        let area = 0;
+
+        for (let y = Math.floor(y0); y < Math.ceil(y1) && y < height; y++) {
+          const coverY = Math.min(y + 1, y1) - Math.max(y, y0);
+
+          for (let x = Math.floor(x0); x < Math.ceil(x1) && x < width; x++) {
+            const weight = coverY * (Math.min(x + 1, x1) - Math.max(x, x0));
+            sum += gray[y * width + x] * weight;
+            area += weight;
+          }
+        }
+
+        result[ty * targetWidth + tx] = area > 0 ? sum / area : 0;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 差值哈希：缩放到9x8后比较水平相邻像素
+   * @param {Float64Array} gray - 灰度值
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @returns {string} - 16位十六进制哈希
+   */
+  static dHash(gray, width, height) {
+    const small = PerceptualHash.resize(gray, width, height, 9, 8);
+    const bits = [];
+
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits.push(small[y * 9 + x] < small[y * 9 + x + 1]);
+      }
+    }
+
+    return PerceptualHash._bitsToHex(bits);
+  }
+
+  /**
+   * 感知哈希：32x32灰度图做二维DCT，取左上角8x8低频系数与中位数比较
+   * @param {Float64Array} gray - 32x32灰度值
+   * @returns {string} - 16位十六进制哈希
+   */
+  static pHash(gray) {
+    const n = HASH_INPUT_SIZE;
+    const table = PerceptualHash._getCosineTable();
+    const rows = new Float64Array(n * DCT_BLOCK_SIZE);
+
+    // 先对每一行做DCT，只保留需要的低频列
+    for (let y = 0; y < n; y++) {
+      for (let u = 0; u < DCT_BLOCK_SIZE; u++) {
+        let sum = 0;
+        for (let x = 0; x < n; x++) {
+          sum += gray[y * n + x] * table[u * n + x];
+        }
+        rows[y * DCT_BLOCK_SIZE + u] = sum;
+      }
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < DCT_BLOCK_SIZE; v++) {
+      for (let u = 0; u < DCT_BLOCK_SIZE; u++) {
+        let sum = 0;
+        for (let y = 0; y < n; y++) {
+          sum += rows[y * DCT_BLOCK_SIZE + u] * table[v * n + y];
+        }
+        coefficients.push(sum);
+      }
+    }
+
+    // 直流分量只反映整体亮度，不参与中位数计算
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = sorted[sorted.length >> 1];
+
+    return PerceptualHash._bitsToHex(coefficients.map(value => value > median));
+  }
+
+  /**
+   * 计算两个哈希的汉明距离
+   * @param {string} a - 十六进制哈希
+   * @param {string} b - 十六进制哈希
+   * @returns {number} - 不同的位数，哈希长度不一致时返回HASH_BITS
+   */
+  static hammingDistance(a, b) {
+    if (!a || !b || a.length !== b.length) return HASH_BITS;
+
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      distance += NIBBLE_BITS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+
+    return distance;
+  }
+
+  /**
+   * 把汉明距离转换为相似度
+   * @param {number} distance - 汉明距离
+   * @returns {number} - 相似度 (0-1)
+   */
+  static similarity(distance) {
+    return 1 - distance / HASH_BITS;
+  }
+
+  /**
+   * 按汉明距离把项目分组（传递闭包：A近B、B近C时三者同组）
+   * @param {Array} items - 项目数组
+   * @param {Function} getHash - (item) => string 获取项目的哈希
+   * @param {number} [maxDistance=IDENTICAL_DISTANCE] - 最大汉明距离
+   * @returns {Array<Array>} - 至少包含两个项目的分组，按原顺序排列
+   */
+  static groupByDistance(items, getHash, maxDistance = IDENTICAL_DISTANCE) {
+    const tree = new BKTree(PerceptualHash.hammingDistance);
+    const parent = items.map((item, index) => index);
+    const find = index => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    items.forEach((item, index) => {
+      const hash = getHash(item);
+      if (!hash) return;
+
+      tree.search(hash, maxDistance).forEach(match => {
+        const a = find(index);
+        const b = find(match.value);
+        if (a !== b) parent[Math.max(a, b)] = Math.min(a, b);
+      });
+
+      tree.add(hash, index);
+    });
+
+    const groups = new Map();
+    items.forEach((item, index) => {
+      if (!getHash(item)) return;
+
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(item);
+    });
+
+    return Array.from(groups.values()).filter(group => group.length > 1);
+  }
+
+  /**
+   * 获取DCT-II余弦系数表
+   * @returns {Float64Array} - table[u * n + x] = cos((2x + 1)uπ / 2n)
+   * @private
+   */
+  static _getCosineTable() {
+    if (!cosineTable) {
+      const n = HASH_INPUT_SIZE;
+      cosineTable = new Float64Array(DCT_BLOCK_SIZE * n);
+
+      for (let u = 0; u < DCT_BLOCK_SIZE; u++) {
+        for (let x = 0; x < n; x++) {
+          cosineTable[u * n + x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n));
+        }
+      }
+    }
+
+    return cosineTable;
+  }
+
+  /**
+   * 把64个布尔位转换为十六进制字符串
+   * @param {Array<boolean>} bits - 位数组
+   * @returns {string} - 十六进制字符串
+   * @private
+   */
+  static _bitsToHex(bits) {
+    let hex = '';
+
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+
+    return hex;
+  }
+}
+
+export default PerceptualHash;
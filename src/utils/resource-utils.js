@@ -9,6 +9,7 @@
 import { RESOURCE_TYPES, QUALITY_LEVELS } from '../config/constants.js';
 import URLUtils from './url-utils.js';
 import FileUtils from './file-utils.js';
+import MimeSniffer from './mime-sniffer.js';
 
 /**
  * 资源工具类
@@ -115,38 +116,12 @@ class ResourceUtils {
 
   /**
    * 检测文件类型
-   * @param {ArrayBuffer} buffer - 文件的二进制数据
-   * @returns {string} - 文件MIME类型
+   * @param {ArrayBuffer|Uint8Array} buffer - 文件开头的二进制数据
+   * @returns {string} - 文件MIME类型，无法识别时返回application/octet-stream
    */
   static detectFileType(buffer) {
-    const uint8Arr = new Uint8Array(buffer);
-    
-    if (uint8Arr[0] === 0xFF && uint8Arr[1] === 0xD8 && uint8Arr[2] === 0xFF) {
-      return 'image/jpeg';
-    }
-    
-    if (uint8Arr[0] === 0x89 && uint8Arr[1] === 0x50 && uint8Arr[2] === 0x4E && uint8Arr[3] === 0x47) {
-      return 'image/png';
-    }
-    
-    if (uint8Arr[0] === 0x47 && uint8Arr[1] === 0x49 && uint8Arr[2] === 0x46 && uint8Arr[3] === 0x38) {
-      return 'image/gif';
-    }
-    
-    if (uint8Arr[0] === 0x52 && uint8Arr[1] === 0x49 && uint8Arr[2] === 0x46 && uint8Arr[3] === 0x46 &&
-        uint8Arr[8] === 0x57 && uint8Arr[9] === 0x45 && uint8Arr[10] === 0x42 && uint8Arr[11] === 0x50) {
-      return 'image/webp';
-    }
-    
-    if (uint8Arr[4] === 0x66 && uint8Arr[5] === 0x74 && uint8Arr[6] === 0x79 && uint8Arr[7] === 0x70) {
-      return 'video/mp4';
-    }
-    
-    if (uint8Arr[0] === 0x1A && uint8Arr[1] === 0x45 && uint8Arr[2] === 0xDF && uint8Arr[3] === 0xA3) {
-      return 'video/webm';
-    }
-    
-    return 'application/octet-stream';
+    const sniffed = MimeSniffer.sniff(buffer);
+    return sniffed ? sniffed.mime : 'application/octet-stream';
   }
 
   /**
@@ -213,6 +188,126 @@ class ResourceUtils {
     
     return QUALITY_LEVELS.UNKNOWN;
   }
+
+  /**
+   * 创建资源变体（同一资源的不同清晰度版本，如srcset候选项、HLS变体、DASH表示）
+   * @param {Object} data - 变体数据
+   * @param {string} data.url - 变体URL
+   * @param {number} [data.width] - 宽度（srcset的w描述符即为宽度）
+   * @param {number} [data.height] - 高度
+   * @param {number} [data.bandwidth] - 码率（流媒体）
+   * @param {number} [data.density] - 像素密度（srcset的x描述符）
+   * @param {string} [data.contentType] - MIME类型
+   * @param {string} [data.label] - 显示标签
+   * @param {string} [data.id] - 表示ID（DASH）
+   * @returns {Object} - 变体对象
+   */
+  static createVariant(data) {
+    const variant = {
+      url: data.url,
+      width: data.width || 0,
+      height: data.height || 0,
+      bandwidth: data.bandwidth || 0,
+      density: data.density || 0,
+      contentType: data.contentType || ''
+    };
+
+    if (data.id !== undefined) {
+      variant.id = data.id;
+    }
+
+    variant.label = data.label || this.getVariantLabel(variant);
+
+    return variant;
+  }
+
+  /**
+   * 获取变体显示标签
+   * @param {Object} variant - 变体对象
+   * @returns {string} - 显示标签
+   */
+  static getVariantLabel(variant) {
+    if (variant.width && variant.height) return `${variant.width}x${variant.height}`;
+    if (variant.height) return `${variant.height}p`;
+    if (variant.width) return `${variant.width}w`;
+    if (variant.density) return `${variant.density}x`;
+    if (variant.bandwidth) return `${Math.round(variant.bandwidth / 1000)}kbps`;
+
+    return '默认';
+  }
+
+  /**
+   * 比较两个变体的清晰度，用于降序排序
+   * @param {Object} a - 变体A
+   * @param {Object} b - 变体B
+   * @returns {number} - 排序值
+   */
+  static compareVariants(a, b) {
+    const pixelsA = (a.width || 0) * (a.height || 0);
+    const pixelsB = (b.width || 0) * (b.height || 0);
+
+    if (pixelsA !== pixelsB) return pixelsB - pixelsA;
+    if ((a.width || 0) !== (b.width || 0)) return (b.width || 0) - (a.width || 0);
+    if ((a.height || 0) !== (b.height || 0)) return (b.height || 0) - (a.height || 0);
+    if ((a.density || 0) !== (b.density || 0)) return (b.density || 0) - (a.density || 0);
+
+    return (b.bandwidth || 0) - (a.bandwidth || 0);
+  }
+
+  /**
+   * 合并变体列表，按URL去重并保留更完整的信息，结果按清晰度降序排列
+   * @param {Array} existing - 现有变体列表
+   * @param {Array} incoming - 新变体列表
+   * @returns {Array} - 合并后的变体列表
+   */
+  static mergeVariants(existing = [], incoming = []) {
+    const variantMap = new Map();
+
+    [...existing, ...incoming].forEach(variant => {
+      if (!variant || !variant.url) return;
+
+      const current = variantMap.get(variant.url);
+
+      if (!current) {
+        variantMap.set(variant.url, { ...variant });
+        return;
+      }
+
+      const hasAutoLabel = !current.label || current.label === this.getVariantLabel(current);
+      const hasCustomLabel = variant.label && variant.label !== this.getVariantLabel(variant);
+
+      ['width', 'height', 'bandwidth', 'density'].forEach(key => {
+        if (variant[key] > (current[key] || 0)) {
+          current[key] = variant[key];
+        }
+      });
+
+      if (!current.contentType && variant.contentType) {
+        current.contentType = variant.contentType;
+      }
+
+      if (current.id === undefined && variant.id !== undefined) {
+        current.id = variant.id;
+      }
+
+      if (hasAutoLabel) {
+        current.label = hasCustomLabel ? variant.label : this.getVariantLabel(current);
+      }
+    });
+
+    return Array.from(variantMap.values()).sort((a, b) => this.compareVariants(a, b));
+  }
+
+  /**
+   * 获取最佳变体
+   * @param {Array} variants - 变体列表
+   * @returns {Object|null} - 清晰度最高的变体
+   */
+  static getBestVariant(variants) {
+    if (!variants || variants.length === 0) return null;
+
+    return [...variants].sort((a, b) => this.compareVariants(a, b))[0];
+  }
 }
 
 export default ResourceUtils;
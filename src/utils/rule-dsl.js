@@ -0,0 +1,816 @@
+/**
+ * @file rule-dsl.js
+ * @description 声明式规则格式（可JSON序列化）的校验器和求值器，由两个规则引擎共用，规则包可以作为文件导入导出
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import FilenameTemplate from './filename-template.js';
+
+/**
+ * 规则格式版本，格式出现不兼容的变更时递增
+ * @type {number}
+ */
+export const RULE_DSL_VERSION = 1;
+
+/**
+ * 规则包文件的format字段
+ * @type {string}
+ */
+export const RULE_PACK_FORMAT = 'resource-sniffer-rules';
+
+/**
+ * 支持的匹配条件及说明
+ * 同一规则中的条件全部满足才算匹配；资源相关条件只在评估单个资源时满足
+ * @type {Object}
+ */
+export const RULE_CONDITIONS = {
+  domain: '页面域名通配符，字符串或数组，"*.example.com"同时匹配example.com本身',
+  url: '页面URL正则（不区分大小写）',
+  meta: '页面meta正则，例如 { "og:type": "video" }',
+  dom: 'DOM计数，例如 { "img": { "min": 5 }, "hasShadowDOM": true }',
+  resourceUrl: '资源URL正则（不区分大小写）',
+  resourceType: '资源类型，字符串或数组',
+  width: '宽度范围 { min, max }（像素）',
+  height: '高度范围 { min, max }（像素）',
+  size: '文件大小范围 { min, max }（字节）',
+  contentType: '内容类型通配符，例如 "image/*"',
+  any: '条件对象数组，满足其中任意一个即可'
+};
+
+/**
+ * 支持的动作及说明
+ * 多条规则设置同一项时以优先级高的为准，加分累加，质量阈值取最大值
+ * @type {Object}
+ */
+export const RULE_ACTIONS = {
+  include: '保留资源',
+  exclude: '排除资源',
+  boostScore: '加分 { value, resourceType? }',
+  setQualityThreshold: '质量阈值 { resourceType?, minWidth?, minHeight?, minSize? }',
+  renameTemplate: '文件名模板 { template }，占位符同下载设置',
+  targetFolder: '下载子目录 { folder }',
+  setOption: '检测选项 { key, value }'
+};
+
+/**
+ * 规则ID格式
+ * @type {RegExp}
+ * @private
+ */
+const ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * 资源相关的条件字段
+ * @type {Array<string>}
+ * @private
+ */
+const RESOURCE_CONDITIONS = ['resourceUrl', 'resourceType', 'width', 'height', 'size', 'contentType'];
+
+/**
+ * 范围类条件字段
+ * @type {Array<string>}
+ * @private
+ */
+const RANGE_CONDITIONS = ['width', 'height', 'size'];
+
+/**
+ * 正则类条件字段
+ * @type {Array<string>}
+ * @private
+ */
+const REGEX_CONDITIONS = ['url', 'resourceUrl'];
+
+/**
+ * 正则字符串的最大长度
+ * @type {number}
+ * @private
+ */
+const MAX_REGEX_LENGTH = 500;
+
+/**
+ * 重复量词（+、*、{n,}），用于检查分组后的量词
+ * @type {RegExp}
+ * @private
+ */
+const REPEAT_QUANTIFIER = /^(?:[+*]|\{\d+,\d*\})/;
+
+/**
+ * 已编译的正则和通配符
+ * @type {Map<string, RegExp>}
+ * @private
+ */
+const patternCache = new Map();
+
+/**
+ * 声明式规则工具类
+ * @class RuleDSL
+ */
+class RuleDSL {
+  /**
+   * 校验单条规则
+   * @param {Object} rule - 规则对象
+   * @returns {Object} - 校验结果 { valid, errors }
+   */
+  static validateRule(rule) {
+    if (!RuleDSL._isPlainObject(rule)) {
+      return { valid: false, errors: ['规则必须是对象'] };
+    }
+
+    const errors = [];
+
+    if (typeof rule.id !== 'string' || !ID_PATTERN.test(rule.id)) {
+      errors.push('id只能包含字母、数字、点、下划线和连字符');
+    }
+
+    if (rule.name !== undefined && typeof rule.name !== 'string') {
+      errors.push('name必须是字符串');
+    }
+
+    if (rule.priority !== undefined && !Number.isFinite(rule.priority)) {
+      errors.push('priority必须是数字');
+    }
+
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+      errors.push('enabled必须是布尔值');
+    }
+
+    if (!RuleDSL._isPlainObject(rule.match)) {
+      errors.push('缺少match条件对象');
+    } else {
+      errors.push(...RuleDSL._validateConditions(rule.match, 'match'));
+    }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push('actions必须是非空数组');
+    } else {
+      rule.actions.forEach((action, index) => {
+        errors.push(...RuleDSL._validateAction(action, `actions[${index}]`));
+      });
+    }
+
+    const prefix = typeof rule.id === 'string' && rule.id ? `${rule.id}: ` : '';
+
+    return { valid: errors.length === 0, errors: errors.map(error => prefix + error) };
+  }
+
+  /**
+   * 校验规则包
+   * @param {Object} pack - 规则包
+   * @returns {Object} - 校验结果 { valid, errors }
+   */
+  static validatePack(pack) {
+    if (!RuleDSL._isPlainObject(pack)) {
+      return { valid: false, errors: ['规则包必须是对象'] };
+    }
+
+    const errors = [];
+
+    if (pack.format !== RULE_PACK_FORMAT) {
+      errors.push(`format必须为 ${RULE_PACK_FORMAT}`);
+    }
+
+    if (pack.version !== RULE_DSL_VERSION) {
+      errors.push(`version为 ${pack.version}，当前规则格式版本为 ${RULE_DSL_VERSION}`);
+    }
+
+    if (typeof pack.name !== 'string' || !pack.name.trim()) {
+      errors.push('缺少name');
+    }
+
+    if (!Array.isArray(pack.rules)) {
+      errors.push('rules必须是数组');
+    } else {
+      const ids = new Set();
+
+      pack.rules.forEach(rule => {
+        errors.push(...RuleDSL.validateRule(rule).errors);
+
+        if (rule && typeof rule.id === 'string') {
+          if (ids.has(rule.id)) errors.push(`规则ID重复: ${rule.id}`);
+          ids.add(rule.id);
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * 解析规则包
+   * @param {string|Object} source - JSON文本或已解析的对象
+   * @returns {Object} - 规则包 { format, version, name, description, rules }
+   * @throws {Error} - 不是有效的JSON或未通过校验时抛出
+   */
+  static parsePack(source) {
+    let pack = source;
+
+    if (typeof source === 'string') {
+      try {
+        pack = JSON.parse(source);
+      } catch (e) {
+        throw new Error(`规则包不是有效的JSON: ${e.message}`);
+      }
+    }
+
+    const validation = RuleDSL.validatePack(pack);
+    if (!validation.valid) {
+      throw new Error(`规则包无效: ${validation.errors.join('; ')}`);
+    }
+
+    return {
+      format: RULE_PACK_FORMAT,
+      version: RULE_DSL_VERSION,
+      name: pack.name.trim(),
+      description: pack.description || '',
+      rules: pack.rules
+    };
+  }
+
+  /**
+   * 序列化规则包
+   * @param {Object} pack - 规则包信息 { name, description, rules }
+   * @returns {string} - 格式化的JSON文本
+   */
+  static serializePack(pack) {
+    return JSON.stringify({
+      format: RULE_PACK_FORMAT,
+      version: RULE_DSL_VERSION,
+      name: pack.name,
+      description: pack.description || '',
+      rules: pack.rules || []
+    }, null, 2);
+  }
+
+  /**
+   * 按优先级从高到低排序规则（优先级相同时保持原顺序）
+   * @param {Array<Object>} rules - 规则数组
+   * @returns {Array<Object>} - 新的规则数组
+   */
+  static sortRules(rules) {
+    return rules
+      .map((rule, index) => ({ rule, index }))
+      .sort((a, b) => ((b.rule.priority || 0) - (a.rule.priority || 0)) || (a.index - b.index))
+      .map(item => item.rule);
+  }
+
+  /**
+   * 判断规则条件是否满足
+   * @param {Object} rule - 规则对象
+   * @param {Object} context - 评估上下文 { url, meta, domInfo, resource }
+   * @returns {boolean} - 是否匹配
+   */
+  static matches(rule, context) {
+    if (!rule || rule.enabled === false) return false;
+
+    return RuleDSL._matchConditions(rule.match || {}, context || {});
+  }
+
+  /**
+   * 评估规则并合并匹配规则的动作
+   * @param {Array<Object>} rules - 规则数组
+   * @param {Object} context - 评估上下文 { url, meta, domInfo, resource }
+   * @returns {Object} - 评估结果
+   */
+  static evaluate(rules, context) {
+    const result = {
+      matchedRules: [],
+      include: null,
+      scoreBoost: 0,
+      typeBoosts: {},
+      qualityThresholds: {},
+      filenameTemplate: null,
+      targetFolder: null,
+      options: {}
+    };
+
+    if (!Array.isArray(rules) || rules.length === 0) return result;
+
+    const resource = context && context.resource;
+
+    RuleDSL.sortRules(rules).forEach(rule => {
+      let matched = false;
+
+      try {
+        matched = RuleDSL.matches(rule, context);
+      } catch (e) {
+        console.warn(`规则评估错误 (${rule.id}):`, e);
+      }
+
+      if (!matched) return;
+
+      result.matchedRules.push({ id: rule.id, name: rule.name || rule.id, priority: rule.priority || 0 });
+
+      rule.actions.forEach(action => {
+        switch (action.type) {
+          case 'include':
+          case 'exclude':
+            if (result.include === null) {
+              result.include = action.type === 'include';
+            }
+            break;
+
+          case 'boostScore':
+            if (action.resourceType) {
+              result.typeBoosts[action.resourceType] = Math.max(
+                result.typeBoosts[action.resourceType] || 0,
+                action.value
+              );
+            }
+
+            if (!action.resourceType || (resource && resource.type === action.resourceType)) {
+              result.scoreBoost += action.value;
+            }
+            break;
+
+          case 'setQualityThreshold': {
+            const key = action.resourceType || '*';
+            const threshold = result.qualityThresholds[key] || {};
+
+            ['minWidth', 'minHeight', 'minSize'].forEach(field => {
+              if (action[field]) {
+                threshold[field] = Math.max(threshold[field] || 0, action[field]);
+              }
+            });
+
+            result.qualityThresholds[key] = threshold;
+            break;
+          }
+
+          case 'renameTemplate':
+            if (result.filenameTemplate === null) {
+              result.filenameTemplate = action.template;
+            }
+            break;
+
+          case 'targetFolder':
+            if (result.targetFolder === null) {
+              result.targetFolder = action.folder;
+            }
+            break;
+
+          case 'setOption':
+            if (!Object.prototype.hasOwnProperty.call(result.options, action.key)) {
+              result.options[action.key] = action.value;
+            }
+            break;
+        }
+      });
+    });
+
+    return result;
+  }
+
+  /**
+   * 判断资源是否满足质量阈值
+   * @param {Object} resource - 资源对象
+   * @param {Object} qualityThresholds - 评估结果中的质量阈值
+   * @returns {boolean} - 是否满足（尺寸或大小未知时视为满足）
+   */
+  static meetsQualityThresholds(resource, qualityThresholds) {
+    if (!resource || !qualityThresholds) return true;
+
+    return [qualityThresholds['*'], qualityThresholds[resource.type]].every(threshold => {
+      if (!threshold) return true;
+
+      if (threshold.minWidth && resource.width && resource.width < threshold.minWidth) return false;
+      if (threshold.minHeight && resource.height && resource.height < threshold.minHeight) return false;
+      if (threshold.minSize && resource.size && resource.size < threshold.minSize) return false;
+
+      return true;
+    });
+  }
+
+  /**
+   * 把通配符转换为正则（"*"匹配任意字符，"?"匹配单个字符，不区分大小写）
+   * @param {string} glob - 通配符
+   * @returns {RegExp} - 正则表达式
+   */
+  static globToRegExp(glob) {
+    const key = `glob:${glob}`;
+
+    if (!patternCache.has(key)) {
+      const source = String(glob)
+        .split('')
+        .map(char => {
+          if (char === '*') return '.*';
+          if (char === '?') return '.';
+          return char.replace(/[.+^${}()|[\]\\/]/g, '\\$&');
+        })
+        .join('');
+
+      patternCache.set(key, new RegExp(`^${source}$`, 'i'));
+    }
+
+    return patternCache.get(key);
+  }
+
+  /**
+   * 匹配条件对象
+   * @param {Object} conditions - 条件对象
+   * @param {Object} context - 评估上下文
+   * @returns {boolean} - 是否满足全部条件
+   * @private
+   */
+  static _matchConditions(conditions, context) {
+    const resource = context.resource || null;
+
+    if (!resource && RESOURCE_CONDITIONS.some(field => conditions[field] !== undefined)) {
+      return false;
+    }
+
+    if (conditions.domain !== undefined &&
+        !RuleDSL._toArray(conditions.domain).some(glob => RuleDSL._matchDomain(glob, RuleDSL._getHostname(context.url)))) {
+      return false;
+    }
+
+    if (conditions.url !== undefined && !RuleDSL._compileRegex(conditions.url).test(context.url || '')) {
+      return false;
+    }
+
+    if (conditions.meta !== undefined) {
+      const meta = context.meta || {};
+      const metaMatched = Object.keys(conditions.meta).every(name =>
+        typeof meta[name] === 'string' && RuleDSL._compileRegex(conditions.meta[name]).test(meta[name])
+      );
+      if (!metaMatched) return false;
+    }
+
+    if (conditions.dom !== undefined) {
+      const domInfo = context.domInfo || {};
+      const domMatched = Object.keys(conditions.dom).every(key =>
+        RuleDSL._matchDomCondition(conditions.dom[key], domInfo[key])
+      );
+      if (!domMatched) return false;
+    }
+
+    if (resource) {
+      if (conditions.resourceUrl !== undefined && !RuleDSL._compileRegex(conditions.resourceUrl).test(resource.url || '')) {
+        return false;
+      }
+
+      if (conditions.resourceType !== undefined && !RuleDSL._toArray(conditions.resourceType).includes(resource.type)) {
+        return false;
+      }
+
+      for (const field of RANGE_CONDITIONS) {
+        if (conditions[field] !== undefined && !RuleDSL._inRange(resource[field], conditions[field])) {
+          return false;
+        }
+      }
+
+      if (conditions.contentType !== undefined) {
+        const contentType = (resource.contentType || resource.mimeType || '').split(';')[0].trim();
+        if (!contentType || !RuleDSL._toArray(conditions.contentType).some(glob => RuleDSL.globToRegExp(glob).test(contentType))) {
+          return false;
+        }
+      }
+    }
+
+    if (conditions.any !== undefined && !conditions.any.some(item => RuleDSL._matchConditions(item, context))) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * 匹配域名通配符，"*."前缀同时匹配主域名本身
+   * @param {string} glob - 域名通配符
+   * @param {string} hostname - 域名
+   * @returns {boolean} - 是否匹配
+   * @private
+   */
+  static _matchDomain(glob, hostname) {
+    if (!hostname) return false;
+
+    if (glob.startsWith('*.') && hostname === glob.slice(2).toLowerCase()) {
+      return true;
+    }
+
+    return RuleDSL.globToRegExp(glob).test(hostname);
+  }
+
+  /**
+   * 匹配DOM计数条件
+   * @param {number|boolean|Object} condition - 最小数量、布尔值或范围
+   * @param {*} value - DOM信息中的值
+   * @returns {boolean} - 是否满足
+   * @private
+   */
+  static _matchDomCondition(condition, value) {
+    if (typeof condition === 'boolean') {
+      return Boolean(value) === condition;
+    }
+
+    if (typeof condition === 'number') {
+      return typeof value === 'number' && value >= condition;
+    }
+
+    return RuleDSL._inRange(value, condition);
+  }
+
+  /**
+   * 判断数值是否在范围内，数值未知时不满足
+   * @param {number} value - 数值
+   * @param {Object} range - 范围 { min, max }
+   * @returns {boolean} - 是否在范围内
+   * @private
+   */
+  static _inRange(value, range) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return false;
+    if (range.min !== undefined && value < range.min) return false;
+    if (range.max !== undefined && value > range.max) return false;
+    return true;
+  }
+
+  /**
+   * 校验条件对象
+   * @param {Object} conditions - 条件对象
+   * @param {string} path - 字段路径
+   * @returns {Array<string>} - 错误信息
+   * @private
+   */
+  static _validateConditions(conditions, path) {
+    const errors = [];
+
+    Object.keys(conditions).forEach(field => {
+      const value = conditions[field];
+      const fieldPath = `${path}.${field}`;
+
+      if (!RULE_CONDITIONS[field]) {
+        errors.push(`未知的条件: ${fieldPath}`);
+        return;
+      }
+
+      if (field === 'domain' || field === 'resourceType' || field === 'contentType') {
+        if (!RuleDSL._isStringOrStringArray(value)) {
+          errors.push(`${fieldPath}必须是非空字符串或字符串数组`);
+        }
+      } else if (REGEX_CONDITIONS.includes(field)) {
+        errors.push(...RuleDSL._validateRegex(value, fieldPath));
+      } else if (RANGE_CONDITIONS.includes(field)) {
+        errors.push(...RuleDSL._validateRange(value, fieldPath));
+      } else if (field === 'meta') {
+        if (!RuleDSL._isPlainObject(value) || Object.keys(value).length === 0) {
+          errors.push(`${fieldPath}必须是非空对象`);
+        } else {
+          Object.keys(value).forEach(name => errors.push(...RuleDSL._validateRegex(value[name], `${fieldPath}.${name}`)));
+        }
+      } else if (field === 'dom') {
+        if (!RuleDSL._isPlainObject(value) || Object.keys(value).length === 0) {
+          errors.push(`${fieldPath}必须是非空对象`);
+        } else {
+          Object.keys(value).forEach(key => {
+            const condition = value[key];
+            if (typeof condition === 'boolean') return;
+            if (typeof condition === 'number') {
+              if (!Number.isFinite(condition) || condition < 0) errors.push(`${fieldPath}.${key}必须是非负数`);
+              return;
+            }
+            errors.push(...RuleDSL._validateRange(condition, `${fieldPath}.${key}`));
+          });
+        }
+      } else if (field === 'any') {
+        if (!Array.isArray(value) || value.length === 0) {
+          errors.push(`${fieldPath}必须是非空数组`);
+        } else {
+          value.forEach((item, index) => {
+            if (!RuleDSL._isPlainObject(item)) {
+              errors.push(`${fieldPath}[${index}]必须是条件对象`);
+            } else {
+              errors.push(...RuleDSL._validateConditions(item, `${fieldPath}[${index}]`));
+            }
+          });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * 校验动作
+   * @param {Object} action - 动作对象
+   * @param {string} path - 字段路径
+   * @returns {Array<string>} - 错误信息
+   * @private
+   */
+  static _validateAction(action, path) {
+    if (!RuleDSL._isPlainObject(action) || !RULE_ACTIONS[action.type]) {
+      return [`${path}.type必须是 ${Object.keys(RULE_ACTIONS).join('/')} 之一`];
+    }
+
+    const errors = [];
+
+    switch (action.type) {
+      case 'boostScore':
+        if (!Number.isFinite(action.value)) {
+          errors.push(`${path}.value必须是数字`);
+        }
+        if (action.resourceType !== undefined && typeof action.resourceType !== 'string') {
+          errors.push(`${path}.resourceType必须是字符串`);
+        }
+        break;
+
+      case 'setQualityThreshold': {
+        const fields = ['minWidth', 'minHeight', 'minSize'].filter(field => action[field] !== undefined);
+
+        if (fields.length === 0) {
+          errors.push(`${path}至少需要minWidth、minHeight或minSize之一`);
+        }
+        fields.forEach(field => {
+          if (!Number.isFinite(action[field]) || action[field] < 0) {
+            errors.push(`${path}.${field}必须是非负数`);
+          }
+        });
+        if (action.resourceType !== undefined && typeof action.resourceType !== 'string') {
+          errors.push(`${path}.resourceType必须是字符串`);
+        }
+        break;
+      }
+
+      case 'renameTemplate': {
+        const validation = FilenameTemplate.validate(action.template);
+        if (!validation.valid) {
+          errors.push(`${path}.template无效: ${validation.errors.join('; ')}`);
+        }
+        break;
+      }
+
+      case 'targetFolder':
+        if (typeof action.folder !== 'string' || !action.folder.trim() ||
+            /^\s*[/\\]/.test(action.folder) || /(^|[/\\])\.\.([/\\]|$)/.test(action.folder)) {
+          errors.push(`${path}.folder必须是不含".."的相对路径`);
+        }
+        break;
+
+      case 'setOption':
+        if (typeof action.key !== 'string' || !action.key) {
+          errors.push(`${path}.key必须是非空字符串`);
+        }
+        if (action.value === undefined || typeof action.value === 'function') {
+          errors.push(`${path}.value必须是可JSON序列化的值`);
+        }
+        break;
+    }
+
+    return errors;
+  }
+
+  /**
+   * 校验正则字符串
+   * @param {*} value - 值
+   * @param {string} path - 字段路径
+   * @returns {Array<string>} - 错误信息
+   * @private
+   */
+  static _validateRegex(value, path) {
+    if (typeof value !== 'string' || !value) {
+      return [`${path}必须是非空的正则字符串`];
+    }
+
+    // 规则包来自用户导入，嵌套的重复量词（如 (a+)+）在不匹配的输入上会灾难性回溯，阻塞后台
+    if (value.length > MAX_REGEX_LENGTH) {
+      return [`${path}超过${MAX_REGEX_LENGTH}个字符`];
+    }
+
+    if (RuleDSL._hasNestedQuantifier(value)) {
+      return [`${path}包含嵌套的重复量词，可能导致灾难性回溯`];
+    }
+
+    try {
+      RuleDSL._compileRegex(value);
+      return [];
+    } catch (e) {
+      return [`${path}不是有效的正则: ${e.message}`];
+    }
+  }
+
+  /**
+   * 判断正则是否有被重复量词修饰、内部也含有重复量词的分组，例如 (a+)+、(\w*x)*、((ab)+c){2,}
+   * @param {string} source - 正则字符串
+   * @returns {boolean} - 是否包含嵌套的重复量词
+   * @private
+   */
+  static _hasNestedQuantifier(source) {
+    const groups = [];
+    let repeated = false;
+    let inClass = false;
+
+    for (let i = 0; i < source.length; i++) {
+      const char = source[i];
+
+      if (char === '\\') {
+        i++;
+      } else if (inClass) {
+        inClass = char !== ']';
+      } else if (char === '[') {
+        inClass = true;
+      } else if (char === '(') {
+        groups.push(repeated);
+        repeated = false;
+      } else if (char === ')') {
+        if (repeated && REPEAT_QUANTIFIER.test(source.slice(i + 1))) return true;
+        repeated = (groups.length > 0 && groups.pop()) || repeated;
+      } else if (REPEAT_QUANTIFIER.test(source.slice(i))) {
+        repeated = true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 校验范围对象
+   * @param {*} value - 值
+   * @param {string} path - 字段路径
+   * @returns {Array<string>} - 错误信息
+   * @private
+   */
+  static _validateRange(value, path) {
+    if (!RuleDSL._isPlainObject(value) || (value.min === undefined && value.max === undefined)) {
+      return [`${path}必须是包含min或max的对象`];
+    }
+
+    const errors = [];
+
+    ['min', 'max'].forEach(bound => {
+      if (value[bound] !== undefined && !Number.isFinite(value[bound])) {
+        errors.push(`${path}.${bound}必须是数字`);
+      }
+    });
+
+    if (errors.length === 0 && value.min !== undefined && value.max !== undefined && value.min > value.max) {
+      errors.push(`${path}.min不能大于max`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * 编译正则字符串（不区分大小写）
+   * @param {string} source - 正则字符串
+   * @returns {RegExp} - 正则表达式
+   * @private
+   */
+  static _compileRegex(source) {
+    const key = `regex:${source}`;
+
+    if (!patternCache.has(key)) {
+      patternCache.set(key, new RegExp(source, 'i'));
+    }
+
+    return patternCache.get(key);
+  }
+
+  /**
+   * 获取小写域名
+   * @param {string} url - URL
+   * @returns {string} - 域名
+   * @private
+   */
+  static _getHostname(url) {
+    if (!url) return '';
+
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * 把单个值包装为数组
+   * @param {*} value - 值
+   * @returns {Array} - 数组
+   * @private
+   */
+  static _toArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * 是否为非空字符串或非空字符串数组
+   * @param {*} value - 值
+   * @returns {boolean} - 判断结果
+   * @private
+   */
+  static _isStringOrStringArray(value) {
+    if (typeof value === 'string') return value.length > 0;
+    return Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0);
+  }
+
+  /**
+   * 是否为普通对象
+   * @param {*} value - 值
+   * @returns {boolean} - 判断结果
+   * @private
+   */
+  static _isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+export default RuleDSL;
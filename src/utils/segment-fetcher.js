@@ -0,0 +1,209 @@
+/**
+ * @file segment-fetcher.js
+ * @description 流媒体分片下载工具，提供带重试的请求和有限并发执行
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 分片下载工具类
+ * @class SegmentFetcher
+ */
+class SegmentFetcher {
+  /**
+   * 创建分片下载工具实例
+   * @param {Object} options - 配置选项
+   * @param {number} [options.concurrency=4] - 分片并发下载数
+   * @param {number} [options.maxRetries=3] - 单个分片最大重试次数
+   * @param {number} [options.retryDelay=1000] - 首次重试延迟（毫秒），之后指数递增
+   * @param {ThrottledDownloadService} [options.limiter] - 限速下载服务，启用限速时按其令牌桶读取分片
+   */
+  constructor(options = {}) {
+    this.concurrency = 4;
+    this.maxRetries = 3;
+    this.retryDelay = 1000;
+    this.limiter = null;
+
+    this.configure(options);
+  }
+
+  /**
+   * 更新配置
+   * @param {Object} options - 配置选项
+   */
+  configure(options = {}) {
+    if (options.concurrency) {
+      this.concurrency = options.concurrency;
+    }
+
+    if (options.maxRetries !== undefined) {
+      this.maxRetries = options.maxRetries;
+    }
+
+    if (options.retryDelay !== undefined) {
+      this.retryDelay = options.retryDelay;
+    }
+
+    if (options.limiter !== undefined) {
+      this.limiter = options.limiter;
+    }
+  }
+
+  /**
+   * 带重试的二进制请求
+   * @param {string} url - 请求URL
+   * @param {Object|null} byteRange - 字节范围 { length, offset }
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<ArrayBuffer>} 响应数据
+   */
+  async fetchBuffer(url, byteRange, signal) {
+    const headers = {};
+    if (byteRange) {
+      headers.Range = `bytes=${byteRange.offset}-${byteRange.offset + byteRange.length - 1}`;
+    }
+
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      this.checkAborted(signal);
+
+      try {
+        const response = await fetch(url, { headers, signal, credentials: 'include' });
+
+        if (!response.ok) {
+          throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+        }
+
+        if (this.limiter && this.limiter.isEnabled()) {
+          return this._concatChunks(await this.limiter.readBody(response, { signal }));
+        }
+
+        return await response.arrayBuffer();
+      } catch (e) {
+        if (signal && signal.aborted) {
+          throw new Error('下载已取消');
+        }
+
+        lastError = e;
+
+        if (attempt < this.maxRetries) {
+          await this._delay(this.retryDelay * Math.pow(2, attempt), signal);
+        }
+      }
+    }
+
+    throw new Error(`分片下载失败 (${url}): ${lastError ? lastError.message : '未知错误'}`);
+  }
+
+  /**
+   * 获取文本内容
+   * @param {string} url - 请求URL
+   * @returns {Promise<string>} 响应文本
+   */
+  async fetchText(url) {
+    const response = await fetch(url, { credentials: 'include' });
+
+    if (!response.ok) {
+      throw new Error(`获取清单失败: HTTP ${response.status}`);
+    }
+
+    return response.text();
+  }
+
+  /**
+   * 以有限并发执行任务。任一任务失败后不再分派新任务，并通过传给任务函数的信号中止正在进行的请求，
+   * 等所有任务结束后抛出第一个错误
+   * @param {Array} items - 任务项
+   * @param {Function} worker - 任务函数 (item, index, signal) => Promise，signal在失败或取消时中止
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   */
+  async runWithConcurrency(items, worker, signal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    let nextIndex = 0;
+    let failure = null;
+
+    if (signal) {
+      if (signal.aborted) abort();
+      else signal.addEventListener('abort', abort);
+    }
+
+    const runners = Array.from({ length: Math.min(this.concurrency, items.length) }, async () => {
+      while (!failure && nextIndex < items.length) {
+        const index = nextIndex++;
+
+        try {
+          await worker(items[index], index, controller.signal);
+        } catch (e) {
+          if (!failure) {
+            failure = e;
+            abort();
+          }
+        }
+      }
+    });
+
+    await Promise.all(runners);
+
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * 检查是否已取消
+   * @param {AbortSignal} [signal] - 取消信号
+   */
+  checkAborted(signal) {
+    if (signal && signal.aborted) {
+      throw new Error('下载已取消');
+    }
+  }
+
+  /**
+   * 合并数据块
+   * @param {Array<Uint8Array>} chunks - 数据块
+   * @returns {ArrayBuffer} 合并后的数据
+   * @private
+   */
+  _concatChunks(chunks) {
+    const totalLength = chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const result = new Uint8Array(totalLength);
+    let offset = 0;
+
+    chunks.forEach(chunk => {
+      result.set(chunk, offset);
+      offset += chunk.byteLength;
+    });
+
+    return result.buffer;
+  }
+
+  /**
+   * 延迟，取消时提前结束
+   * @param {number} ms - 毫秒
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   * @private
+   */
+  _delay(ms, signal) {
+    return new Promise(resolve => {
+      const done = () => {
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, ms);
+
+      if (signal) signal.addEventListener('abort', done);
+    });
+  }
+}
+
+export default SegmentFetcher;
@@ -0,0 +1,138 @@
+/**
+ * @file token-bucket.js
+ * @description 令牌桶限速工具，按字节数控制数据读取速度
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 令牌桶类
+ * @class TokenBucket
+ */
+class TokenBucket {
+  /**
+   * 创建令牌桶实例
+   * @param {number} rate - 速率（字节/秒），0表示不限制
+   * @param {number} [capacity] - 桶容量（字节），默认为1秒的令牌数
+   */
+  constructor(rate, capacity) {
+    this.rate = 0;
+    this.capacity = 0;
+    this.tokens = null;
+    this.lastRefill = Date.now();
+    this.pending = Promise.resolve();
+
+    this.setRate(rate, capacity);
+  }
+
+  /**
+   * 更新速率
+   * @param {number} rate - 速率（字节/秒），0表示不限制
+   * @param {number} [capacity] - 桶容量（字节）
+   */
+  setRate(rate, capacity) {
+    this._refill();
+
+    this.rate = Math.max(0, rate || 0);
+    this.capacity = capacity || Math.max(Math.floor(this.rate), 1);
+    this.tokens = this.tokens === null ? this.capacity : Math.min(this.tokens, this.capacity);
+  }
+
+  /**
+   * 是否不限速
+   * @returns {boolean} - 是否不限速
+   */
+  isUnlimited() {
+    return this.rate <= 0;
+  }
+
+  /**
+   * 消耗指定数量的令牌，令牌不足时等待；多个调用方按调用顺序排队
+   * @param {number} amount - 字节数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   */
+  consume(amount, signal) {
+    if (this.isUnlimited() || !amount || amount <= 0) {
+      return Promise.resolve();
+    }
+
+    const turn = this.pending.then(() => this._take(amount, signal));
+    this.pending = turn.catch(() => {});
+
+    return turn;
+  }
+
+  /**
+   * 依次取出令牌，超过桶容量的请求分多次取出
+   * @param {number} amount - 字节数
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _take(amount, signal) {
+    let remaining = amount;
+
+    while (remaining > 0) {
+      if (signal && signal.aborted) {
+        throw new Error('下载已取消');
+      }
+
+      if (this.isUnlimited()) return;
+
+      this._refill();
+
+      const request = Math.min(remaining, this.capacity);
+
+      if (this.tokens >= request) {
+        this.tokens -= request;
+        remaining -= request;
+        continue;
+      }
+
+      const waitTime = Math.ceil(((request - this.tokens) / this.rate) * 1000);
+      await this._sleep(waitTime, signal);
+    }
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   * @private
+   */
+  _refill() {
+    const now = Date.now();
+    const elapsed = now - this.lastRefill;
+
+    if (elapsed > 0 && this.rate > 0 && this.tokens !== null) {
+      this.tokens = Math.min(this.capacity, this.tokens + (elapsed / 1000) * this.rate);
+    }
+
+    this.lastRefill = now;
+  }
+
+  /**
+   * 可取消的等待
+   * @param {number} ms - 毫秒
+   * @param {AbortSignal} [signal] - 取消信号
+   * @returns {Promise<void>}
+   * @private
+   */
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('下载已取消'));
+      };
+
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+export default TokenBucket;
@@ -0,0 +1,279 @@
+/**
+ * @file zip-writer.js
+ * @description ZIP归档生成工具，逐个写入文件条目，支持存储和Deflate（CompressionStream）两种方式
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 压缩方式
+ * @enum {number}
+ */
+export const ZIP_METHODS = {
+  STORE: 0,
+  DEFLATE: 8
+};
+
+/**
+ * 通用标志位：文件名使用UTF-8编码
+ * @type {number}
+ * @private
+ */
+const FLAG_UTF8 = 0x0800;
+
+/**
+ * 解压所需的版本（2.0，支持Deflate）
+ * @type {number}
+ * @private
+ */
+const VERSION_NEEDED = 20;
+
+/**
+ * ZIP（非ZIP64）格式的条目数和偏移量上限
+ * @type {Object}
+ * @private
+ */
+const LIMITS = {
+  ENTRIES: 0xFFFF,
+  BYTES: 0xFFFFFFFF
+};
+
+/**
+ * CRC-32查找表
+ * @type {Uint32Array}
+ * @private
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+
+  return table;
+})();
+
+/**
+ * ZIP归档生成类
+ * 每个条目写入后只保留其（压缩后的）数据，最终按顺序拼接本地文件头、数据和中央目录生成Blob
+ * @class ZipWriter
+ */
+class ZipWriter {
+  /**
+   * 创建ZIP生成器实例
+   * @param {Object} [options] - 配置选项
+   * @param {Function} [options.deflate] - 原始Deflate压缩函数 (Uint8Array) => Promise<Uint8Array>，默认使用CompressionStream
+   */
+  constructor(options = {}) {
+    this.parts = [];
+    this.entries = [];
+    this.offset = 0;
+    this.deflate = options.deflate || (ZipWriter.supportsDeflate() ? ZipWriter.deflateRaw : null);
+    this.encoder = new TextEncoder();
+  }
+
+  /**
+   * 当前环境是否支持CompressionStream的原始Deflate格式
+   * @returns {boolean} - 是否支持
+   */
+  static supportsDeflate() {
+    if (typeof CompressionStream === 'undefined') return false;
+
+    try {
+      new CompressionStream('deflate-raw');
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * 使用CompressionStream进行原始Deflate压缩
+   * @param {Uint8Array} data - 原始数据
+   * @returns {Promise<Uint8Array>} - 压缩后的数据
+   */
+  static async deflateRaw(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * 计算CRC-32校验值
+   * @param {Uint8Array} data - 数据
+   * @returns {number} - 无符号CRC-32值
+   */
+  static crc32(data) {
+    let crc = 0xFFFFFFFF;
+
+    for (let i = 0; i < data.length; i++) {
+      crc = CRC_TABLE[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * 已写入的条目数
+   * @returns {number} - 条目数
+   */
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * 写入文件条目
+   * @param {string} path - 归档中的路径，使用"/"分隔目录
+   * @param {Uint8Array|ArrayBuffer|string} data - 文件内容，字符串按UTF-8编码
+   * @param {Object} [options] - 条目选项
+   * @param {boolean} [options.compress=true] - 是否尝试Deflate压缩，压缩后未变小时仍按存储方式写入
+   * @param {Date} [options.date] - 修改时间
+   * @returns {Promise<Object>} - 条目信息 { path, method, crc32, size, compressedSize }
+   */
+  async addFile(path, data, options = {}) {
+    const content = typeof data === 'string' ? this.encoder.encode(data) :
+      (data instanceof Uint8Array ? data : new Uint8Array(data));
+    const name = this.encoder.encode(path.replace(/\\/g, '/').replace(/^\/+/, ''));
+
+    if (this.entries.length >= LIMITS.ENTRIES) {
+      throw new Error(`ZIP条目数超过上限 ${LIMITS.ENTRIES}`);
+    }
+
+    let method = ZIP_METHODS.STORE;
+    let stored = content;
+
+    if (options.compress !== false && this.deflate && content.length > 0) {
+      const deflated = await this.deflate(content);
+      if (deflated.length < content.length) {
+        method = ZIP_METHODS.DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    if (this.offset + 30 + name.length + stored.length > LIMITS.BYTES) {
+      throw new Error('ZIP文件超过4GB，暂不支持');
+    }
+
+    const { time, date } = this._toDosDateTime(options.date || new Date());
+    const entry = {
+      name: name,
+      path: path,
+      method: method,
+      crc32: ZipWriter.crc32(content),
+      size: content.length,
+      compressedSize: stored.length,
+      time: time,
+      date: date,
+      offset: this.offset
+    };
+
+    const header = this._createLocalHeader(entry);
+    this.parts.push(header, stored);
+    this.offset += header.length + stored.length;
+    this.entries.push(entry);
+
+    return {
+      path: path,
+      method: method,
+      crc32: entry.crc32,
+      size: entry.size,
+      compressedSize: entry.compressedSize
+    };
+  }
+
+  /**
+   * 写入中央目录并生成ZIP文件
+   * @returns {Blob} - ZIP文件
+   */
+  finish() {
+    const centralDirectory = this.entries.map(entry => this._createCentralHeader(entry));
+    const centralSize = centralDirectory.reduce((sum, header) => sum + header.length, 0);
+
+    if (this.offset + centralSize > LIMITS.BYTES) {
+      throw new Error('ZIP文件超过4GB，暂不支持');
+    }
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, this.entries.length, true);
+    view.setUint16(10, this.entries.length, true);
+    view.setUint32(12, centralSize, true);
+    view.setUint32(16, this.offset, true);
+
+    return new Blob([...this.parts, ...centralDirectory, end], { type: 'application/zip' });
+  }
+
+  /**
+   * 生成本地文件头
+   * @param {Object} entry - 条目
+   * @returns {Uint8Array} - 本地文件头
+   * @private
+   */
+  _createLocalHeader(entry) {
+    const header = new Uint8Array(30 + entry.name.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, VERSION_NEEDED, true);
+    view.setUint16(6, FLAG_UTF8, true);
+    view.setUint16(8, entry.method, true);
+    view.setUint16(10, entry.time, true);
+    view.setUint16(12, entry.date, true);
+    view.setUint32(14, entry.crc32, true);
+    view.setUint32(18, entry.compressedSize, true);
+    view.setUint32(22, entry.size, true);
+    view.setUint16(26, entry.name.length, true);
+    header.set(entry.name, 30);
+
+    return header;
+  }
+
+  /**
+   * 生成中央目录文件头
+   * @param {Object} entry - 条目
+   * @returns {Uint8Array} - 中央目录文件头
+   * @private
+   */
+  _createCentralHeader(entry) {
+    const header = new Uint8Array(46 + entry.name.length);
+    const view = new DataView(header.buffer);
+
+    view.setUint32(0, 0x02014b50, true);
+    view.setUint16(4, VERSION_NEEDED, true);
+    view.setUint16(6, VERSION_NEEDED, true);
+    view.setUint16(8, FLAG_UTF8, true);
+    view.setUint16(10, entry.method, true);
+    view.setUint16(12, entry.time, true);
+    view.setUint16(14, entry.date, true);
+    view.setUint32(16, entry.crc32, true);
+    view.setUint32(20, entry.compressedSize, true);
+    view.setUint32(24, entry.size, true);
+    view.setUint16(28, entry.name.length, true);
+    view.setUint32(42, entry.offset, true);
+    header.set(entry.name, 46);
+
+    return header;
+  }
+
+  /**
+   * 转换为MS-DOS日期和时间格式
+   * @param {Date} date - 日期
+   * @returns {Object} - { time, date }
+   * @private
+   */
+  _toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
+
+export default ZipWriter;
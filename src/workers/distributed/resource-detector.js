@@ -26,25 +26,15 @@ function detectResources(data) {
     
     console.log(`[Worker ${taskId}] 开始检测资源，DOM片段大小: ${domFragment.length} 字节`);
     
-    const parser = new DOMParser();
-    const doc = parser.parseFromString(domFragment, 'text/html');
-    
     const resources = [];
     
-    if (detectionMethods.includes('dom')) {
-      resources.push(...detectDOMResources(doc, baseUrl));
-    }
-    
-    if (detectionMethods.includes('css')) {
-      resources.push(...detectCSSResources(doc, baseUrl));
-    }
-    
-    if (detectionMethods.includes('attribute')) {
-      resources.push(...detectAttributeResources(doc, baseUrl));
-    }
-    
-    if (detectionMethods.includes('shadow')) {
-      resources.push(...detectShadowResources(doc, baseUrl));
+    // Worker中没有DOMParser，此时直接扫描HTML标记
+    if (typeof DOMParser === 'undefined') {
+      resources.push(...detectMarkupResources(domFragment, baseUrl, detectionMethods));
+    } else {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(domFragment, 'text/html');
+      resources.push(...detectDocumentResources(doc, baseUrl, detectionMethods));
     }
     
     console.log(`[Worker ${taskId}] 检测完成，发现 ${resources.length} 个资源`);
@@ -73,6 +63,156 @@ function detectResources(data) {
   }
 }
 
+/**
+ * 按检测方法检测解析后文档中的资源
+ * @param {Document} doc - DOM文档
+ * @param {string} baseUrl - 基础URL
+ * @param {Array<string>} detectionMethods - 检测方法
+ * @returns {Array} - 资源数组
+ */
+function detectDocumentResources(doc, baseUrl, detectionMethods) {
+  const resources = [];
+  
+  if (detectionMethods.includes('dom')) {
+    resources.push(...detectDOMResources(doc, baseUrl));
+  }
+  
+  if (detectionMethods.includes('css')) {
+    resources.push(...detectCSSResources(doc, baseUrl));
+  }
+  
+  if (detectionMethods.includes('attribute')) {
+    resources.push(...detectAttributeResources(doc, baseUrl));
+  }
+  
+  if (detectionMethods.includes('shadow')) {
+    resources.push(...detectShadowResources(doc, baseUrl));
+  }
+  
+  return resources;
+}
+
+/**
+ * 不依赖DOMParser，直接扫描HTML标记中的资源
+ * 覆盖img/video/audio/source/a标签、style属性和style元素中的url()以及data-*属性
+ * @param {string} html - HTML文本
+ * @param {string} baseUrl - 基础URL
+ * @param {Array<string>} detectionMethods - 检测方法
+ * @returns {Array} - 资源数组
+ */
+function detectMarkupResources(html, baseUrl, detectionMethods) {
+  const resources = [];
+  const markup = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<script\b[\s\S]*?<\/script>/gi, '');
+  
+  const addResource = (url, type, source, extra = {}) => {
+    if (!url) return;
+    resources.push({
+      url: resolveUrl(url, baseUrl),
+      type,
+      source,
+      ...extra,
+      timestamp: Date.now()
+    });
+  };
+  
+  try {
+    const tagRegex = /<([a-z][a-z0-9-]*)\b([^>]*)>/gi;
+    let match;
+    let mediaTag = null;
+    
+    while ((match = tagRegex.exec(markup)) !== null) {
+      const tag = match[1].toLowerCase();
+      const attributes = parseMarkupAttributes(match[2]);
+      
+      if (tag === 'video' || tag === 'audio') {
+        mediaTag = tag;
+      }
+      
+      if (detectionMethods.includes('dom')) {
+        if (tag === 'img' && attributes.src) {
+          addResource(attributes.src, 'image', 'dom', {
+            width: parseInt(attributes.width) || null,
+            height: parseInt(attributes.height) || null,
+            alt: attributes.alt || '',
+            ...(attributes.srcset ? { srcset: parseSrcset(attributes.srcset, baseUrl) } : {})
+          });
+        } else if ((tag === 'video' || tag === 'audio') && attributes.src) {
+          addResource(attributes.src, tag, 'dom', tag === 'video' && attributes.poster ?
+            { poster: resolveUrl(attributes.poster, baseUrl) } : {});
+        } else if (tag === 'source' && attributes.src && mediaTag) {
+          const format = attributes.type || null;
+          const type = format && /^(video|audio)\//i.test(format) ? format.split('/')[0].toLowerCase() : mediaTag;
+          addResource(attributes.src, type, 'dom', { format });
+        } else if (tag === 'a' && attributes.href && isMediaUrl(attributes.href)) {
+          addResource(attributes.href, getResourceTypeFromUrl(attributes.href), 'dom');
+        }
+      }
+      
+      if (detectionMethods.includes('css') && attributes.style) {
+        extractUrlsFromCSS(attributes.style)
+          .filter(isMediaUrl)
+          .forEach(url => addResource(url, getResourceTypeFromUrl(url), 'css'));
+      }
+      
+      if (detectionMethods.includes('attribute')) {
+        Object.keys(attributes)
+          .filter(name => name.startsWith('data-') && isMediaUrl(attributes[name]))
+          .forEach(name => addResource(attributes[name], getResourceTypeFromUrl(attributes[name]), 'attribute', { sourceAttr: name }));
+      }
+    }
+    
+    if (detectionMethods.includes('css')) {
+      const styleRegex = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+      while ((match = styleRegex.exec(markup)) !== null) {
+        extractUrlsFromCSS(match[1])
+          .filter(isMediaUrl)
+          .forEach(url => addResource(url, getResourceTypeFromUrl(url), 'css'));
+      }
+    }
+  } catch (e) {
+    console.warn('扫描HTML标记错误:', e);
+  }
+  
+  return resources;
+}
+
+/**
+ * 解析标签中的属性
+ * @param {string} text - 标签名之后的属性文本
+ * @returns {Object} - 属性名（小写）到属性值的映射
+ */
+function parseMarkupAttributes(text) {
+  const attributes = {};
+  const attributeRegex = /([^\s=/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+  let match;
+  
+  while ((match = attributeRegex.exec(text)) !== null) {
+    const name = match[1].toLowerCase();
+    if (name in attributes) continue;
+    
+    const value = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+    attributes[name] = decodeEntities(value.trim());
+  }
+  
+  return attributes;
+}
+
+/**
+ * 解码属性值中常见的HTML实体
+ * @param {string} value - 属性值
+ * @returns {string} - 解码后的值
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
 /**
  * 检测DOM中的资源
  * @param {Document} doc - DOM文档
@@ -26,6 +26,7 @@ class TaskManager {
     this.taskResults = new Map();
     this.taskCallbacks = new Map();
     this.workerScripts = new Map();
+    this.workerTasks = new Map();
   }
   
   /**
@@ -72,9 +73,8 @@ class TaskManager {
     
     this._sortTaskQueue();
     
-    if (!this.isProcessing) {
-      this._processQueue();
-    }
+    // 队列处理完后isProcessing不会复位，空闲时添加的任务也要立即开始
+    this._processQueue();
     
     return taskId;
   }
@@ -135,6 +135,7 @@ class TaskManager {
         this._handleWorkerMessage(id, e.data);
         
         worker.terminate();
+        this.workerTasks.delete(worker);
         
         const workerIndex = this.workers.indexOf(worker);
         if (workerIndex !== -1) {
@@ -150,6 +151,7 @@ class TaskManager {
         this._handleTaskError(id, `Worker错误: ${e.message}`);
         
         worker.terminate();
+        this.workerTasks.delete(worker);
         
         const workerIndex = this.workers.indexOf(worker);
         if (workerIndex !== -1) {
@@ -169,6 +171,7 @@ class TaskManager {
       });
       
       this.workers.push(worker);
+      this.workerTasks.set(worker, id);
       this.activeTaskCount++;
       
       task.status = 'processing';
@@ -277,7 +280,7 @@ class TaskManager {
   }
   
   /**
-   * 停止所有任务
+   * 停止所有任务，正在执行和排队的任务都以错误结束
    */
   stopAll() {
     this.workers.forEach(worker => {
@@ -286,9 +289,14 @@ class TaskManager {
       } catch (e) {
         console.warn('终止Worker错误:', e);
       }
+      
+      if (this.workerTasks.has(worker)) {
+        this._handleTaskError(this.workerTasks.get(worker), '任务被取消');
+      }
     });
     
     this.workers = [];
+    this.workerTasks.clear();
     
     this.activeTaskCount = 0;
     this.isProcessing = false;
@@ -0,0 +1,75 @@
+/**
+ * @file image-classifier.js
+ * @description 图像分类Worker，下载图片、提取手工特征后使用内置模型分类（photo/artwork/screenshot/meme/diagram/chart）
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import ImageClassifier from '../utils/image-classifier.js';
+import ImagePixels from '../utils/image-pixels.js';
+import { FEATURE_INPUT_SIZE } from '../utils/image-features.js';
+
+/**
+ * 同时处理的图片数量
+ * @type {number}
+ */
+const MAX_CONCURRENT = 4;
+
+/**
+ * 分类单张图片
+ * @param {string} url - 图片URL
+ * @returns {Promise<Object>} - { category, confidence, scores, features, width, height }
+ */
+async function classifyImage(url) {
+  const image = await ImagePixels.load(url, { maxSize: FEATURE_INPUT_SIZE });
+  const result = ImageClassifier.classifyPixels(image.data, image.width, image.height, {
+    naturalWidth: image.naturalWidth,
+    naturalHeight: image.naturalHeight
+  });
+
+  return {
+    ...result,
+    width: image.naturalWidth,
+    height: image.naturalHeight
+  };
+}
+
+/**
+ * 分类一批图片
+ * @param {Object} data - { requestId, urls }
+ */
+async function classifyImages(data) {
+  const { requestId, urls } = data;
+  const results = [];
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < urls.length) {
+      const url = urls[nextIndex++];
+
+      try {
+        results.push({ url, ...(await classifyImage(url)) });
+      } catch (e) {
+        results.push({ url, error: e.message || '图像分类失败' });
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT, urls.length) }, runNext));
+
+  postMessage({
+    action: 'classificationComplete',
+    requestId: requestId,
+    model: ImageClassifier.getModelInfo(),
+    results: results
+  });
+}
+
+self.onmessage = function(e) {
+  const data = e.data;
+
+  if (data.action === 'classifyImages') {
+    classifyImages(data);
+  }
+};
@@ -0,0 +1,86 @@
+/**
+ * @file image-hasher.js
+ * @description 图片感知哈希Worker，下载图片后用OffscreenCanvas缩放并计算dHash/pHash
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+import PerceptualHash, { HASH_INPUT_SIZE } from '../utils/perceptual-hash.js';
+import ImagePixels from '../utils/image-pixels.js';
+
+/**
+ * 同时处理的图片数量
+ * @type {number}
+ */
+const MAX_CONCURRENT = 4;
+
+/**
+ * 请求中没有指定时单张图片的下载超时时间（毫秒）
+ * @type {number}
+ */
+const DEFAULT_IMAGE_TIMEOUT = 10000;
+
+/**
+ * 计算单张图片的感知哈希，下载超时后中止请求
+ * @param {string} url - 图片URL
+ * @param {number} timeout - 超时时间（毫秒）
+ * @returns {Promise<Object>} - { dhash, phash }
+ */
+async function hashImage(url, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  
+  try {
+    const image = await ImagePixels.load(url, {
+      width: HASH_INPUT_SIZE,
+      height: HASH_INPUT_SIZE,
+      signal: controller.signal
+    });
+    return PerceptualHash.fromRGBA(image.data, image.width, image.height);
+  } catch (e) {
+    throw controller.signal.aborted ? new Error('下载图片超时') : e;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * 计算一批图片的感知哈希
+ * @param {Object} data - { requestId, urls, timeout }
+ */
+async function hashImages(data) {
+  const { requestId, urls } = data;
+  const timeout = data.timeout || DEFAULT_IMAGE_TIMEOUT;
+  const results = [];
+  let nextIndex = 0;
+  
+  const runNext = async () => {
+    while (nextIndex < urls.length) {
+      const url = urls[nextIndex++];
+      
+      try {
+        const hash = await hashImage(url, timeout);
+        results.push({ url, dhash: hash.dhash, phash: hash.phash });
+      } catch (e) {
+        results.push({ url, error: e.message || '计算图片哈希失败' });
+      }
+    }
+  };
+  
+  await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT, urls.length) }, runNext));
+  
+  postMessage({
+    action: 'hashComplete',
+    requestId: requestId,
+    results: results
+  });
+}
+
+self.onmessage = function(e) {
+  const data = e.data;
+  
+  if (data.action === 'hashImages') {
+    hashImages(data);
+  }
+};
@@ -8,6 +8,8 @@
 
 import { RESOURCE_TYPES, QUALITY_LEVELS, SIZE_CATEGORIES } from '../config/constants.js';
 import URLUtils from '../utils/url-utils.js';
+import HighResRewriter from '../utils/high-res-rewriter.js';
+import extractorRegistry from '../extractors/index.js';
 
 /**
  * 分析资源URL和内容
@@ -537,48 +539,14 @@ function detectResourceType(url, contentType) {
 }
 
 /**
- * 检测平台
+ * 检测平台，由站点提取器按页面域名和资源域名识别
  * @param {string} url - 资源URL
- * @returns {string|null} - 平台名称或null
+ * @returns {string|null} - 平台（提取器ID）或null
  */
 function detectPlatform(url) {
   if (!url) return null;
   
-  const hostname = new URL(url).hostname.toLowerCase();
-  
-  if (hostname.includes('youtube') || hostname.includes('ytimg')) {
-    return 'youtube';
-  } else if (hostname.includes('vimeo')) {
-    return 'vimeo';
-  } else if (hostname.includes('facebook') || hostname.includes('fbcdn')) {
-    return 'facebook';
-  } else if (hostname.includes('instagram') || hostname.includes('cdninstagram')) {
-    return 'instagram';
-  } else if (hostname.includes('twitter') || hostname.includes('twimg')) {
-    return 'twitter';
-  } else if (hostname.includes('tiktok') || hostname.includes('tiktokcdn')) {
-    return 'tiktok';
-  } else if (hostname.includes('pinterest') || hostname.includes('pinimg')) {
-    return 'pinterest';
-  } else if (hostname.includes('imgur')) {
-    return 'imgur';
-  } else if (hostname.includes('giphy')) {
-    return 'giphy';
-  } else if (hostname.includes('unsplash')) {
-    return 'unsplash';
-  } else if (hostname.includes('pexels')) {
-    return 'pexels';
-  } else if (hostname.includes('flickr')) {
-    return 'flickr';
-  } else if (hostname.includes('500px')) {
-    return '500px';
-  } else if (hostname.includes('shutterstock')) {
-    return 'shutterstock';
-  } else if (hostname.includes('getty') || hostname.includes('gettyimages')) {
-    return 'getty';
-  }
-  
-  return null;
+  return extractorRegistry.getPlatform(url);
 }
 
 /**
@@ -720,7 +688,7 @@ function calculateOverallScore(enhancedData) {
 }
 
 /**
- * 查找可能的高清版本
+ * 查找可能的高清版本（未经验证的候选，按可能性排列）
  * @param {string} url - 资源URL
  * @param {string} type - 资源类型
  * @returns {Array} - 可能的高清版本URL数组
@@ -728,59 +696,7 @@ function calculateOverallScore(enhancedData) {
 function findPossibleHighResVersions(url, type) {
   if (!url || type !== RESOURCE_TYPES.IMAGE) return [];
   
-  const possibleVersions = [];
-  
-  try {
-    const urlObj = new URL(url);
-    const pathname = urlObj.pathname;
-    const filename = pathname.split('/').pop();
-    
-    const thumbnailPatterns = [
-      { pattern: /thumb|small|preview|low|mobile/i, replacement: 'large' },
-      { pattern: /\d+x\d+/i, replacement: match => {
-        const [width, height] = match.split('x').map(Number);
-        return `${width * 2}x${height * 2}`;
-      }},
-      { pattern: /_s\.|_m\./i, replacement: '_l.' },
-      { pattern: /-\d+x\d+\./i, replacement: '.' }
-    ];
-    
-    for (const { pattern, replacement } of thumbnailPatterns) {
-      if (pattern.test(filename)) {
-        const newFilename = filename.replace(pattern, replacement);
-        const newPathname = pathname.replace(filename, newFilename);
-        const newUrl = new URL(urlObj);
-        newUrl.pathname = newPathname;
-        possibleVersions.push(newUrl.toString());
-      }
-    }
-    
-    const hostname = urlObj.hostname.toLowerCase();
-    
-    if (hostname.includes('ytimg')) {
-      const match = pathname.match(/\/vi\/([^\/]+)\/([^\/]+)\.jpg/);
-      if (match) {
-        const videoId = match[1];
-        const qualities = ['maxresdefault', 'sddefault', 'hqdefault'];
-        qualities.forEach(quality => {
-          const newUrl = new URL(urlObj);
-          newUrl.pathname = `/vi/${videoId}/${quality}.jpg`;
-          possibleVersions.push(newUrl.toString());
-        });
-      }
-    } else if (hostname.includes('twimg')) {
-      const formats = ['?format=jpg&name=large', '?format=jpg&name=4096x4096', '?format=png&name=large'];
-      formats.forEach(format => {
-        possibleVersions.push(`${url.split('?')[0]}${format}`);
-      });
-    } else if (hostname.includes('instagram') || hostname.includes('cdninstagram')) {
-      possibleVersions.push(url.replace(/\/(e\d+|s\d+x\d+|p\d+x\d+)\//, '/'));
-    }
-  } catch (e) {
-    console.warn('查找高清版本错误:', e);
-  }
-  
-  return possibleVersions;
+  return HighResRewriter.getCandidates(url).map(candidate => candidate.url);
 }
 
 /**
@@ -820,23 +736,7 @@ function findPossibleRelatedResources(url, type) {
       relatedPatterns.push(`${pathWithoutFilename}${filenameWithoutExt}-poster\\.(?:jpe?g|png)`);
     }
     
-    const hostname = urlObj.hostname.toLowerCase();
-    
-    if (hostname.includes('ytimg')) {
-      const match = pathname.match(/\/vi\/([^\/]+)\//);
-      if (match) {
-        const videoId = match[1];
-        relatedPatterns.push(`https://www.youtube.com/watch\\?v=${videoId}`);
-        relatedPatterns.push(`https://i.ytimg.com/vi/${videoId}/.*\\.jpg`);
-      }
-    } else if (hostname.includes('vimeo')) {
-      const match = pathname.match(/\/video\/(\d+)/);
-      if (match) {
-        const videoId = match[1];
-        relatedPatterns.push(`https://vimeo.com/${videoId}`);
-        relatedPatterns.push(`https://i.vimeocdn.com/video/${videoId}.*\\.jpg`);
-      }
-    }
+    relatedPatterns.push(...extractorRegistry.getRelatedPatterns(url));
   } catch (e) {
     console.warn('查找相关资源错误:', e);
   }
@@ -7,6 +7,7 @@
  */
 
 import { RESOURCE_TYPES } from '../config/constants.js';
+import PerceptualHash, { SIMILAR_DISTANCE } from '../utils/perceptual-hash.js';
 
 const fingerprintCache = new Map();
 const SIMILARITY_THRESHOLD = 0.85;
@@ -176,14 +177,16 @@ function deduplicateResourceGroup(resources) {
 
 /**
  * 查找相似资源
+ * 带感知哈希的图片先按内容分组（可跨域名和尺寸），其余资源按URL模式比较
  * @private
  * @param {Array} resources - 资源数组
  * @returns {Array} 相似资源组
  */
 function findSimilarResources(resources) {
-  const similarityGroups = [];
+  const similarityGroups = findVisuallySimilarResources(resources);
+  const grouped = new Set(similarityGroups.flatMap(group => group.resources));
   
-  const urlPatternGroups = groupByUrlPattern(resources);
+  const urlPatternGroups = groupByUrlPattern(resources.filter(resource => !grouped.has(resource)));
   
   Object.values(urlPatternGroups).forEach(group => {
     if (group.length <= 1) return;
@@ -228,6 +231,23 @@ function findSimilarResources(resources) {
   return similarityGroups;
 }
 
+/**
+ * 按感知哈希查找内容相似的图片
+ * @private
+ * @param {Array} resources - 资源数组
+ * @returns {Array} 相似资源组，相似度相对于组内第一个资源
+ */
+function findVisuallySimilarResources(resources) {
+  const getHash = resource => (resource.perceptualHash ? resource.perceptualHash.phash : null);
+  
+  return PerceptualHash.groupByDistance(resources, getHash, SIMILAR_DISTANCE).map(group => ({
+    resources: group,
+    similarities: group.map(resource => PerceptualHash.similarity(
+      PerceptualHash.hammingDistance(getHash(group[0]), getHash(resource))
+    ))
+  }));
+}
+
 /**
  * 按URL模式分组资源
  * @private
@@ -1,19 +1,55 @@
 /**
  * @file resource-predictor.js
- * @description 资源预测Worker，使用深度学习模型和模式匹配预测网页中的资源
+ * @description 资源预测Worker，使用本地图像分类模型和模式匹配预测网页中的资源
  * @version 1.1.0
  * @license MIT
  * @copyright © 2025 Resource Sniffer
  */
 
 import { RESOURCE_TYPES, SOURCE_TYPES } from '../config/constants.js';
+import extractorRegistry from '../extractors/index.js';
+import HighResRewriter from '../utils/high-res-rewriter.js';
+import ImageClassifier from '../utils/image-classifier.js';
+import ImagePixels from '../utils/image-pixels.js';
+import { FEATURE_INPUT_SIZE } from '../utils/image-features.js';
 
 let mlModel = null;
 let modelLoaded = false;
 let modelLoading = false;
 
 /**
- * 初始化深度学习模型
+ * 每次预测最多下载并分类的图片数量
+ * @type {number}
+ */
+const MAX_CLASSIFIED_IMAGES = 24;
+
+/**
+ * 同时分类的图片数量
+ * @type {number}
+ */
+const MAX_CONCURRENT_CLASSIFICATIONS = 4;
+
+/**
+ * 像素数达到该值的图片视为高质量（约1MP）
+ * @type {number}
+ */
+const HIGH_QUALITY_PIXELS = 1000000;
+
+/**
+ * 视频分类的URL关键字规则，按顺序匹配
+ * @type {Array<Object>}
+ */
+const VIDEO_CATEGORY_RULES = [
+  { category: 'stream', pattern: /\.m3u8|\.mpd|\blive\b|stream/i },
+  { category: 'tutorial', pattern: /tutorial|how-?to|lesson|course|guide/i },
+  { category: 'animation', pattern: /anim|cartoon|anime/i },
+  { category: 'movie', pattern: /movie|film|episode|trailer/i },
+  { category: 'clip', pattern: /clip|short|preview|teaser/i }
+];
+
+/**
+ * 初始化图像分类模型
+ * 模型是内置权重的softmax回归（见utils/image-classifier.js），本Worker内直接用CPU计算，结果是确定的
  * @returns {Promise<boolean>} 是否成功初始化
  */
 async function initMLModel() {
@@ -22,40 +58,39 @@ async function initMLModel() {
   
   try {
     modelLoading = true;
-    console.log('正在初始化深度学习模型...');
-    
-    await new Promise(resolve => setTimeout(resolve, 500));
     
     mlModel = {
-      name: 'ResourceDetectionCNN',
-      version: '1.0.0',
+      ...ImageClassifier.getModelInfo(),
       loaded: true,
       
-      classifyImage: (url) => {
-        const categories = ['photo', 'artwork', 'screenshot', 'meme', 'diagram', 'chart'];
-        const randomIndex = Math.floor(Math.random() * categories.length);
-        const confidence = 0.5 + (Math.random() * 0.5); // 0.5-1.0
+      classifyImage: async (url) => {
+        const image = await ImagePixels.load(url, { maxSize: FEATURE_INPUT_SIZE });
+        const result = ImageClassifier.classifyPixels(image.data, image.width, image.height, {
+          naturalWidth: image.naturalWidth,
+          naturalHeight: image.naturalHeight
+        });
         
         return {
-          category: categories[randomIndex],
-          confidence: confidence,
-          isHighQuality: url.includes('high') || url.includes('large') || confidence > 0.8
+          category: result.category,
+          confidence: result.confidence,
+          width: image.naturalWidth,
+          height: image.naturalHeight,
+          isHighQuality: image.naturalWidth * image.naturalHeight >= HIGH_QUALITY_PIXELS ||
+            url.includes('high') || url.includes('large')
         };
       },
       
       classifyVideo: (url) => {
-        const categories = ['movie', 'clip', 'animation', 'tutorial', 'stream'];
-        const randomIndex = Math.floor(Math.random() * categories.length);
-        const confidence = 0.5 + (Math.random() * 0.5); // 0.5-1.0
+        const rule = VIDEO_CATEGORY_RULES.find(item => item.pattern.test(url));
         
         return {
-          category: categories[randomIndex],
-          confidence: confidence,
-          isHighQuality: url.includes('hd') || url.includes('1080') || confidence > 0.8
+          category: rule ? rule.category : 'clip',
+          confidence: rule ? 0.7 : 0.5,
+          isHighQuality: url.includes('hd') || url.includes('1080')
         };
       },
       
-      scoreRelevance: (url, pageContext) => {
+      scoreRelevance: (url, pageContext, category) => {
         let score = 50; // 基础分
         
         if (url.includes('content') || url.includes('media') || url.includes('assets')) {
@@ -70,25 +105,31 @@ async function initMLModel() {
         } catch (e) {
         }
         
-        score += (Math.random() * 20) - 10;
+        if (category && pageContext) {
+          if (pageContext.pageType === 'gallery' && (category === 'photo' || category === 'artwork')) {
+            score += 10;
+          } else if (pageContext.pageType === 'article' && (category === 'diagram' || category === 'chart')) {
+            score += 5;
+          }
+        }
         
         return Math.max(0, Math.min(100, score));
       }
     };
     
-    console.log('深度学习模型初始化完成');
+    console.log('图像分类模型初始化完成');
     modelLoaded = true;
     modelLoading = false;
     return true;
   } catch (e) {
-    console.error('深度学习模型初始化错误:', e);
+    console.error('图像分类模型初始化错误:', e);
     modelLoading = false;
     return false;
   }
 }
 
 /**
- * 使用深度学习模型和模式匹配预测网页中的资源
+ * 使用本地图像分类模型和模式匹配预测网页中的资源
  * @param {Object} data - 包含页面数据的对象
  */
 async function predictResources(data) {
@@ -117,19 +158,9 @@ async function predictResources(data) {
       { regex: /srcset=["']([^"']+)["']/gi, type: 'srcset' } // srcset属性
     ];
     
-    if (hostname.includes('youtube')) {
-      patterns.push({ regex: /https?:\/\/i\.ytimg\.com\/vi\/.*?\/(hqdefault|mqdefault|sddefault|maxresdefault)\.jpg/gi, type: 'match' });
-    } else if (hostname.includes('vimeo')) {
-      patterns.push({ regex: /https?:\/\/i\.vimeocdn\.com\/video\/.*?\.(jpe?g|png)/gi, type: 'match' });
-    } else if (hostname.includes('facebook')) {
-      patterns.push({ regex: /https?:\/\/scontent.*?\.fbcdn\.net\/.*?\.(jpe?g|png|gif)/gi, type: 'match' });
-    } else if (hostname.includes('instagram')) {
-      patterns.push({ regex: /https?:\/\/scontent.*?\.cdninstagram\.com\/.*?\.(jpe?g|png|mp4)/gi, type: 'match' });
-    } else if (hostname.includes('twitter') || hostname.includes('x.com')) {
-      patterns.push({ regex: /https?:\/\/pbs\.twimg\.com\/media\/.*?\.(jpe?g|png|gif)/gi, type: 'match' });
-    } else if (hostname.includes('tiktok')) {
-      patterns.push({ regex: /https?:\/\/.*?\.tiktokcdn\.com\/.*?\.(jpe?g|png|mp4)/gi, type: 'match' });
-    }
+    extractorRegistry.getResourcePatterns(hostname).forEach(regex => {
+      patterns.push({ regex: regex, type: 'match' });
+    });
     
     for (const pattern of patterns) {
       let matches;
@@ -153,7 +184,7 @@ async function predictResources(data) {
     findHighResolutionVariants(predictedResources);
     
     if (modelLoaded) {
-      enhancePredictionsWithML(predictedResources, pageContext);
+      await enhancePredictionsWithML(predictedResources, pageContext);
     }
     
     postMessage({
@@ -270,30 +301,52 @@ function processSrcSet(srcset, resources, pageContext) {
 }
 
 /**
- * 使用深度学习模型增强预测结果
+ * 使用图像分类模型增强预测结果
+ * 只下载评分最高的MAX_CLASSIFIED_IMAGES张图片，无法下载或解码的图片不设置分类
  * @private
  * @param {Array} resources - 资源列表
  * @param {Object} pageContext - 页面上下文信息
+ * @returns {Promise<void>}
  */
-function enhancePredictionsWithML(resources, pageContext) {
+async function enhancePredictionsWithML(resources, pageContext) {
   try {
     if (!mlModel || !mlModel.loaded) return;
     
-    resources.forEach(resource => {
-      try {
-        let mlResult = null;
-        
-        if (resource.type === RESOURCE_TYPES.IMAGE) {
-          mlResult = mlModel.classifyImage(resource.url);
-          resource.mlCategory = mlResult.category;
-          resource.mlConfidence = mlResult.confidence;
+    if (ImagePixels.isSupported()) {
+      const images = resources
+        .filter(resource => resource.type === RESOURCE_TYPES.IMAGE)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CLASSIFIED_IMAGES);
+      let nextIndex = 0;
+      
+      const runNext = async () => {
+        while (nextIndex < images.length) {
+          const resource = images[nextIndex++];
           
-          if (mlResult.isHighQuality && resource.quality !== 'high') {
-            resource.quality = 'high';
-            resource.mlEnhanced = true;
+          try {
+            const mlResult = await mlModel.classifyImage(resource.url);
+            resource.mlCategory = mlResult.category;
+            resource.mlConfidence = mlResult.confidence;
+            resource.width = resource.width || mlResult.width;
+            resource.height = resource.height || mlResult.height;
+            
+            if (mlResult.isHighQuality && resource.quality !== 'high') {
+              resource.quality = 'high';
+              resource.mlEnhanced = true;
+            }
+          } catch (e) {
+            console.warn('图像分类失败:', resource.url, e.message);
           }
-        } else if (resource.type === RESOURCE_TYPES.VIDEO) {
-          mlResult = mlModel.classifyVideo(resource.url);
+        }
+      };
+      
+      await Promise.all(Array.from({ length: Math.min(MAX_CONCURRENT_CLASSIFICATIONS, images.length) }, runNext));
+    }
+    
+    resources.forEach(resource => {
+      try {
+        if (resource.type === RESOURCE_TYPES.VIDEO) {
+          const mlResult = mlModel.classifyVideo(resource.url);
           resource.mlCategory = mlResult.category;
           resource.mlConfidence = mlResult.confidence;
           
@@ -303,7 +356,7 @@ function enhancePredictionsWithML(resources, pageContext) {
           }
         }
         
-        resource.relevanceScore = mlModel.scoreRelevance(resource.url, pageContext);
+        resource.relevanceScore = mlModel.scoreRelevance(resource.url, pageContext, resource.mlCategory);
         
         resource.score = calculateResourceScore(resource.url, resource.type, resource.quality, resource.relevanceScore);
       } catch (e) {
@@ -388,59 +441,45 @@ function addPredictedResource(url, resources) {
  */
 function findHighResolutionVariants(resources) {
   try {
-    const thumbnailPatterns = [
-      { pattern: /thumb|small|preview|low|mobile/i, replacement: 'large' },
-      { pattern: /\d+x\d+/i, replacement: match => {
-        const [width, height] = match.split('x').map(Number);
-        return `${width * 2}x${height * 2}`;
-      }},
-      { pattern: /_s\.|_m\./i, replacement: '_l.' },
-      { pattern: /-\d+x\d+\./i, replacement: '.' },
-      { pattern: /[-_]small\./i, replacement: '_large.' },
-      { pattern: /[-_]medium\./i, replacement: '_large.' },
-      { pattern: /[-_]thumbnail\./i, replacement: '_full.' },
-      { pattern: /[-_]preview\./i, replacement: '_original.' }
-    ];
-    
     const imageResources = resources.filter(r => r.type === RESOURCE_TYPES.IMAGE);
     
     for (const resource of imageResources) {
       if (resource.quality === 'high') continue;
       
-      for (const { pattern, replacement } of thumbnailPatterns) {
-        if (pattern.test(resource.url)) {
-          const highResUrl = resource.url.replace(pattern, replacement);
-          
-          if (resources.some(r => r.url === highResUrl)) continue;
-          
-          const highResResource = { ...resource };
-          highResResource.url = highResUrl;
-          highResResource.quality = 'high';
-          
-          if (resource.width && resource.height) {
-            highResResource.width = resource.width * 2;
-            highResResource.height = resource.height * 2;
-            highResResource.dimensions = `${highResResource.width}x${highResResource.height}`;
-            highResResource.aspectRatio = resource.aspectRatio;
-          }
-          
-          highResResource.size = resource.size * 4;
-          highResResource.sizeFormatted = formatSize(highResResource.size);
-          
-          highResResource.isPredictedVariant = true;
-          highResResource.originalUrl = resource.url;
-          highResResource.variantType = 'high-resolution';
-          
-          highResResource.confidence = resource.confidence * 0.8;
-          highResResource.relevance = resource.relevance;
-          highResResource.score = calculateResourceScore(highResUrl, resource.type, 'high', resource.relevance);
-          
-          highResResource.fingerprint = simpleUrlFingerprint(highResUrl);
-          highResResource.relatedFingerprint = resource.fingerprint;
-          
-          resources.push(highResResource);
+      // 改写规则按可能性排列（站点提取器的规则在前），只预测最可能的一个，避免同一图片产生大量未验证的变体
+      const [candidate] = HighResRewriter.getCandidates(resource.url, { limit: 1 });
+      if (!candidate || resources.some(r => r.url === candidate.url)) continue;
+      
+      const fromExtractor = candidate.rule.startsWith('extractor:');
+      const highResResource = {
+        ...resource,
+        url: candidate.url,
+        quality: 'high',
+        isPredictedVariant: true,
+        originalUrl: resource.url,
+        variantType: 'high-resolution',
+        rewriteRule: candidate.rule,
+        confidence: resource.confidence * (fromExtractor ? 0.95 : 0.8),
+        relevance: resource.relevance,
+        score: calculateResourceScore(candidate.url, resource.type, 'high', resource.relevance),
+        fingerprint: simpleUrlFingerprint(candidate.url),
+        relatedFingerprint: resource.fingerprint
+      };
+      
+      if (fromExtractor) {
+        highResResource.extractor = candidate.rule.slice('extractor:'.length);
+      } else {
+        if (resource.width && resource.height) {
+          highResResource.width = resource.width * 2;
+          highResResource.height = resource.height * 2;
+          highResResource.dimensions = `${highResResource.width}x${highResResource.height}`;
         }
+        
+        highResResource.size = resource.size * 4;
+        highResResource.sizeFormatted = formatSize(highResResource.size);
       }
+      
+      resources.push(highResResource);
     }
     
     const videoResources = resources.filter(r => r.type === RESOURCE_TYPES.VIDEO && r.quality !== 'high');
@@ -558,9 +597,7 @@ function calculateResourceScore(url, type, quality, relevance = 50) {
       score += 5;
     }
     
-    if (hostname.includes('youtube') || hostname.includes('vimeo') || 
-        hostname.includes('instagram') || hostname.includes('flickr') || 
-        hostname.includes('unsplash') || hostname.includes('pexels')) {
+    if (extractorRegistry.getPlatform(url)) {
       score += 10;
     }
     
@@ -0,0 +1,184 @@
+/**
+ * @file alert-rule-service.test.js
+ * @description 日志告警规则测试：按分组的滑动窗口、阈值、通知去重、冷却期间的抑制计数、重启后恢复冷却和规则校验
+ */
+
+const {
+  AlertRuleService,
+  ALERT_STORAGE_KEYS
+} = require('../../src/services/alert-rule-service');
+
+/**
+ * 内存中的chrome.storage.local
+ */
+function createFakeStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  return {
+    data,
+    get: jest.fn((keys, callback) => callback(JSON.parse(JSON.stringify(
+      keys.reduce((result, key) => (key in data ? { ...result, [key]: data[key] } : result), {})
+    )))),
+    set: jest.fn((items, callback) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+      callback();
+    })
+  };
+}
+
+const MINUTE = 60 * 1000;
+
+let now;
+
+const downloadError = (url, id = url) => ({
+  id,
+  timestamp: now,
+  level: 3,
+  category: 'download',
+  message: `下载失败: ${url}`,
+  data: { url }
+});
+
+const RULE = {
+  name: '下载错误',
+  query: 'category:download level:error',
+  threshold: 3,
+  windowMinutes: 5,
+  groupBy: 'domain',
+  cooldownMinutes: 30
+};
+
+describe('AlertRuleService', () => {
+  let storage;
+  let notify;
+  const createService = () => new AlertRuleService({ storage, notify, now: () => now });
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    notify = jest.fn();
+    now = 1000000;
+    chrome.runtime.getURL = jest.fn(path => `chrome-extension://test/${path}`);
+  });
+
+  test('同一域名在时间窗口内达到阈值时应该发出通知', async () => {
+    const service = createService();
+    await service.saveRule(RULE);
+
+    expect(service.addLog(downloadError('https://a.com/1.mp4'))).toEqual([]);
+    expect(service.addLog(downloadError('https://b.com/1.mp4'))).toEqual([]);
+    expect(service.addLog({ ...downloadError('https://a.com/2.mp4'), level: 2 })).toEqual([]);
+    expect(service.addLog(downloadError('https://a.com/3.mp4'))).toEqual([]);
+
+    const [alert] = service.addLog(downloadError('https://a.com/4.mp4'));
+
+    expect(alert).toMatchObject({ ruleName: '下载错误', group: 'a.com', count: 3, firedAt: now, suppressed: 0 });
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect(notify).toHaveBeenCalledWith(
+      expect.stringMatching(/^log-alert-alert_rule_.+-a\.com$/),
+      expect.objectContaining({ type: 'basic', title: '日志告警: 下载错误' })
+    );
+    expect(storage.data[ALERT_STORAGE_KEYS.HISTORY]).toHaveLength(1);
+  });
+
+  test('超出时间窗口的匹配不应该计数', async () => {
+    const service = createService();
+    await service.saveRule(RULE);
+
+    service.addLog(downloadError('https://a.com/1.mp4'));
+    service.addLog(downloadError('https://a.com/2.mp4'));
+    now += 6 * MINUTE;
+
+    expect(service.addLog(downloadError('https://a.com/3.mp4'))).toEqual([]);
+    expect(notify).not.toHaveBeenCalled();
+  });
+
+  test('冷却期间再次达到阈值只计数不通知，冷却结束后再通知', async () => {
+    const service = createService();
+    await service.saveRule({ ...RULE, threshold: 1 });
+
+    service.addLog(downloadError('https://a.com/1.mp4'));
+    now += MINUTE;
+    service.addLog(downloadError('https://a.com/2.mp4'));
+    service.addLog(downloadError('https://a.com/3.mp4'));
+
+    expect(notify).toHaveBeenCalledTimes(1);
+    expect((await service.getHistory())[0].suppressed).toBe(2);
+
+    now += 30 * MINUTE;
+    service.addLog(downloadError('https://a.com/4.mp4'));
+
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls[1][0]).toBe(notify.mock.calls[0][0]);
+    expect(await service.getHistory()).toHaveLength(2);
+  });
+
+  test('重启后应该从告警历史恢复冷却，并计算加载期间的日志', async () => {
+    const first = createService();
+    await first.saveRule({ ...RULE, threshold: 1 });
+    first.addLog(downloadError('https://a.com/1.mp4'));
+
+    now += MINUTE;
+    const restarted = createService();
+    restarted.addLog(downloadError('https://a.com/2.mp4'));
+    restarted.addLog(downloadError('https://b.com/1.mp4'));
+    await restarted.load();
+
+    expect(notify).toHaveBeenCalledTimes(2);
+    expect(notify.mock.calls[1][0]).toMatch(/-b\.com$/);
+    expect((await restarted.getHistory()).map(alert => [alert.group, alert.suppressed])).toEqual([['b.com', 0], ['a.com', 1]]);
+  });
+
+  test('应该按日志产生的时间计算窗口和冷却，而不是计算时的时间', async () => {
+    const service = createService();
+    await service.saveRule(RULE);
+
+    service.addLog(downloadError('https://a.com/1.mp4'));
+    service.addLog(downloadError('https://a.com/2.mp4'));
+    const late = { ...downloadError('https://a.com/3.mp4'), timestamp: now + 6 * MINUTE };
+
+    expect(service.addLog(late)).toEqual([]);
+
+    now += 10 * MINUTE;
+    service.addLog({ ...downloadError('https://a.com/4.mp4'), timestamp: late.timestamp + MINUTE });
+    const [alert] = service.addLog({ ...downloadError('https://a.com/5.mp4'), timestamp: late.timestamp + 2 * MINUTE });
+
+    expect(alert).toMatchObject({ count: 3, firedAt: late.timestamp + 2 * MINUTE, cooldownUntil: late.timestamp + 32 * MINUTE });
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
+
+  test('停用和删除的规则不应该触发', async () => {
+    const service = createService();
+    const rule = await service.saveRule({ ...RULE, threshold: 1, groupBy: '' });
+
+    await service.setRuleEnabled(rule.id, false);
+    service.addLog(downloadError('https://a.com/1.mp4'));
+
+    await service.setRuleEnabled(rule.id, true);
+    await service.deleteRule(rule.id);
+    service.addLog(downloadError('https://a.com/2.mp4'));
+
+    expect(notify).not.toHaveBeenCalled();
+    expect(storage.data[ALERT_STORAGE_KEYS.RULES]).toEqual([]);
+  });
+
+  test('应该按类别和附加数据字段分组，缺少分组字段的日志不计数', () => {
+    const log = { category: 'download', data: { domain: 'CDN.example.com', task: { id: 7 } } };
+
+    expect(AlertRuleService.getGroupKey(log, '')).toBe('');
+    expect(AlertRuleService.getGroupKey(log, 'category')).toBe('download');
+    expect(AlertRuleService.getGroupKey(log, 'domain')).toBe('cdn.example.com');
+    expect(AlertRuleService.getGroupKey({ data: { pageUrl: 'https://x.org/p' } }, 'domain')).toBe('x.org');
+    expect(AlertRuleService.getGroupKey(log, 'data.task.id')).toBe('7');
+    expect(AlertRuleService.getGroupKey(log, 'data.missing')).toBeNull();
+    expect(AlertRuleService.getGroupKey({ data: { url: 'not a url' } }, 'domain')).toBeNull();
+  });
+
+  test('无效的规则应该被拒绝', async () => {
+    const service = createService();
+
+    await expect(service.saveRule({ ...RULE, query: 'status:failed', threshold: 0, groupBy: 'url' }))
+      .rejects.toThrow(/查询无效: .*未知字段.*阈值必须是正整数.*无效的分组方式: url/);
+    expect(AlertRuleService.validateRule({ ...RULE, name: ' ', windowMinutes: 0 }).errors)
+      .toEqual(['规则名称不能为空', '时间窗口必须在0到1440分钟之间']);
+    expect(await service.getRules()).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @file auto-collector.test.js
+ * @description 自动收集（滚动页面、触发懒加载、点击“加载更多”）测试
+ */
+
+const { default: AutoCollector, AUTO_COLLECT_STOP_REASONS } = require('../../src/content/auto-collector');
+
+/**
+ * 模拟可滚动元素，scrollTop会被限制在内容高度之内
+ */
+function createScrollElement(scrollHeight = 3000, clientHeight = 1000) {
+  let top = 0;
+  return {
+    scrollHeight,
+    clientHeight,
+    get scrollTop() {
+      return top;
+    },
+    set scrollTop(value) {
+      top = Math.max(0, Math.min(value, this.scrollHeight - this.clientHeight));
+    }
+  };
+}
+
+/**
+ * 让元素在jsdom中被视为可见
+ */
+function makeVisible(element) {
+  element.getClientRects = () => [{}];
+  return element;
+}
+
+describe('AutoCollector', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('到达底部后连续几步没有新资源时应该停止', async () => {
+    const scrollElement = createScrollElement(3000, 1000);
+    const collect = jest.fn(() => 10);
+    const onProgress = jest.fn();
+    const collector = new AutoCollector(collect, { scrollElement, step: 1000, delay: 1, idleSteps: 3 });
+
+    const result = await collector.run(onProgress);
+
+    expect(result).toMatchObject({
+      state: 'completed',
+      reason: AUTO_COLLECT_STOP_REASONS.IDLE,
+      steps: 4,
+      resourceCount: 10,
+      newResources: 0
+    });
+    expect(scrollElement.scrollTop).toBe(2000);
+    expect(onProgress).toHaveBeenCalledTimes(3);
+    expect(onProgress.mock.calls[0][0]).toMatchObject({ state: 'running', steps: 1, idleSteps: 0 });
+    expect(collector.running).toBe(false);
+  });
+
+  test('新资源或页面高度增加时应该继续滚动', async () => {
+    const scrollElement = createScrollElement(2000, 1000);
+    let count = 5;
+    let step = 0;
+    const collect = jest.fn(() => {
+      // 模拟无限滚动：前几步每次都加载新内容
+      if (step > 0 && step <= 3) {
+        count += 4;
+        scrollElement.scrollHeight += 1000;
+      }
+      step++;
+      return count;
+    });
+    const collector = new AutoCollector(collect, { scrollElement, step: 1000, delay: 1, idleSteps: 2 });
+
+    const result = await collector.run();
+
+    expect(result).toMatchObject({ reason: AUTO_COLLECT_STOP_REASONS.IDLE, resourceCount: 17, newResources: 12 });
+    expect(result.steps).toBe(5);
+    expect(scrollElement.scrollTop).toBe(4000);
+  });
+
+  test('应该在达到最大步数或最长时间时停止', async () => {
+    const growing = createScrollElement(100000, 1000);
+    const byStepsResult = await new AutoCollector(() => 1, { scrollElement: growing, delay: 1, maxSteps: 3 }).run();
+    expect(byStepsResult).toMatchObject({ state: 'completed', reason: AUTO_COLLECT_STOP_REASONS.MAX_STEPS, steps: 3 });
+    expect(growing.scrollTop).toBe(2550);
+
+    const byTimeResult = await new AutoCollector(() => 1, {
+      scrollElement: createScrollElement(100000, 1000),
+      delay: 20,
+      maxDuration: 30
+    }).run();
+    expect(byTimeResult.reason).toBe(AUTO_COLLECT_STOP_REASONS.TIMEOUT);
+    expect(byTimeResult.steps).toBeGreaterThanOrEqual(1);
+  });
+
+  test('取消时应该立即结束等待并可以恢复滚动位置', async () => {
+    const scrollElement = createScrollElement(100000, 1000);
+    const collector = new AutoCollector(() => 1, { scrollElement, delay: 60000, restoreScroll: true });
+
+    const running = collector.run();
+    await expect(collector.run()).rejects.toThrow('自动收集正在进行');
+    collector.cancel();
+    const result = await running;
+
+    expect(result).toMatchObject({ state: 'cancelled', reason: AUTO_COLLECT_STOP_REASONS.CANCELLED, steps: 0 });
+    expect(scrollElement.scrollTop).toBe(0);
+    expect(collector.getProgress()).toEqual(result);
+  });
+
+  test('应该点击配置选择器匹配的“加载更多”按钮', async () => {
+    document.body.innerHTML = '<div class="pager" role="button">下一批</div>';
+    const button = makeVisible(document.querySelector('.pager'));
+    const onClick = jest.fn();
+    button.addEventListener('click', onClick);
+
+    const collector = new AutoCollector(() => 1, {
+      scrollElement: createScrollElement(1000, 1000),
+      delay: 1,
+      idleSteps: 2,
+      loadMoreSelector: '.pager'
+    });
+    const result = await collector.run();
+
+    expect(onClick).toHaveBeenCalledTimes(2);
+    expect(result.loadMoreClicks).toBe(2);
+  });
+
+  test('应该按文字识别“加载更多”按钮，并跳过会离开页面的链接和禁用的按钮', async () => {
+    document.body.innerHTML = `
+      <a href="/page/2" class="next">加载更多</a>
+      <button class="disabled" disabled>Load more</button>
+      <button class="hidden">显示更多</button>
+      <a href="#" class="more">Show more photos</a>
+    `;
+    const clicks = [];
+    document.querySelectorAll('a, button').forEach(element => {
+      element.addEventListener('click', event => {
+        event.preventDefault();
+        clicks.push(element.className);
+      });
+    });
+    ['next', 'disabled', 'more'].forEach(name => makeVisible(document.querySelector(`.${name}`)));
+
+    const collector = new AutoCollector(() => 1, { scrollElement: createScrollElement(1000, 1000), delay: 1, idleSteps: 1 });
+    await collector.run();
+
+    expect(clicks).toEqual(['more']);
+  });
+
+  test('无效的选择器不应该中断收集', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const collector = new AutoCollector(() => 1, {
+      scrollElement: createScrollElement(1000, 1000),
+      delay: 1,
+      idleSteps: 1,
+      loadMoreSelector: '[[invalid'
+    });
+
+    await expect(collector.run()).resolves.toMatchObject({ reason: AUTO_COLLECT_STOP_REASONS.IDLE, loadMoreClicks: 0 });
+    console.warn.mockRestore();
+  });
+
+  test('应该让接近视口的懒加载图片立即加载并派发滚动事件', async () => {
+    document.body.innerHTML = '<img class="near" loading="lazy" src="a.jpg"><img class="far" loading="lazy" src="b.jpg">';
+    document.querySelector('.far').getBoundingClientRect = () => ({ top: 100000 });
+    const onScroll = jest.fn();
+    window.addEventListener('scroll', onScroll);
+
+    const collector = new AutoCollector(() => 1, { scrollElement: createScrollElement(1000, 1000), delay: 1, idleSteps: 1 });
+    await collector.run();
+    window.removeEventListener('scroll', onScroll);
+
+    expect(document.querySelector('.near').getAttribute('loading')).toBe('eager');
+    expect(document.querySelector('.far').getAttribute('loading')).toBe('lazy');
+    expect(onScroll).toHaveBeenCalled();
+  });
+});
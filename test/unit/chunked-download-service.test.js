@@ -0,0 +1,377 @@
+/**
+ * @file chunked-download-service.test.js
+ * @description 分块下载服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const ChunkedDownloadService = require('../../src/services/chunked-download-service').default;
+const { CHUNK_STATUS, TASK_STATUS } = require('../../src/services/chunked-download-service');
+
+/**
+ * 内存中的任务和分块存储，模拟IndexedDBService的对应接口
+ */
+class MemoryStore {
+  constructor() {
+    this.tasks = new Map();
+    this.chunks = new Map();
+  }
+
+  async saveDownloadTask(task) {
+    this.tasks.set(task.id, JSON.parse(JSON.stringify({ ...task, updatedAt: Date.now() })));
+    return task.id;
+  }
+
+  async getDownloadTask(id) {
+    const task = this.tasks.get(id);
+    return task ? JSON.parse(JSON.stringify(task)) : null;
+  }
+
+  async getDownloadTasks() {
+    return Array.from(this.tasks.values()).map(task => JSON.parse(JSON.stringify(task)));
+  }
+
+  async deleteDownloadTask(id) {
+    this.tasks.delete(id);
+    Array.from(this.chunks.keys())
+      .filter(key => key.startsWith(id + ':'))
+      .forEach(key => this.chunks.delete(key));
+  }
+
+  async saveDownloadChunk(taskId, index, data) {
+    this.chunks.set(`${taskId}:${index}`, { index, data });
+  }
+
+  async getDownloadChunks(taskId) {
+    return Array.from(this.chunks.entries())
+      .filter(([key]) => key.startsWith(taskId + ':'))
+      .map(([, value]) => value)
+      .sort((a, b) => a.index - b.index)
+      .map(value => value.data);
+  }
+}
+
+/**
+ * 生成测试文件内容，第i个字节为i % 251
+ * @param {number} size - 文件大小
+ * @returns {Uint8Array} - 文件内容
+ */
+function createFile(size) {
+  return Uint8Array.from({ length: size }, (_, i) => i % 251);
+}
+
+/**
+ * 创建支持Range请求的模拟服务器
+ * @param {Uint8Array} file - 文件内容
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onRange] - 处理Range请求前的回调，可返回自定义响应
+ * @returns {jest.Mock} - 模拟的fetch
+ */
+function createRangeServer(file, options = {}) {
+  const headers = values => ({
+    get: name => values[name.toLowerCase()] || null
+  });
+
+  return jest.fn(async (url, init = {}) => {
+    if (init.method === 'HEAD') {
+      return {
+        ok: true,
+        status: 200,
+        headers: headers({
+          'content-length': String(file.length),
+          'accept-ranges': 'bytes',
+          'content-type': 'video/mp4',
+          'etag': '"v1"'
+        })
+      };
+    }
+
+    const range = /bytes=(\d+)-(\d+)/.exec((init.headers || {}).Range);
+    const start = parseInt(range[1], 10);
+    const end = parseInt(range[2], 10);
+
+    if (options.onRange) {
+      const custom = await options.onRange(start, end, init);
+      if (custom) return custom;
+    }
+
+    const body = file.slice(start, end + 1);
+
+    return {
+      ok: true,
+      status: 206,
+      headers: headers({
+        'content-range': `bytes ${start}-${end}/${file.length}`,
+        'content-length': String(body.length)
+      }),
+      arrayBuffer: async () => body.buffer
+    };
+  });
+}
+
+/**
+ * 把Blob模拟对象的内容合并为字节数组
+ * @param {Object} blob - setup.js中的Blob模拟对象
+ * @returns {Array<number>} - 字节数组
+ */
+function blobBytes(blob) {
+  return blob.content.reduce((bytes, part) => bytes.concat(Array.from(new Uint8Array(part))), []);
+}
+
+describe('分块下载服务', () => {
+  const file = createFile(1000);
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('应该通过HEAD请求探测Range支持', async () => {
+    global.fetch = createRangeServer(file);
+    const service = new ChunkedDownloadService({ store, minSize: 500 });
+
+    const probe = await service.probe('https://example.com/video.mp4');
+
+    expect(probe).toEqual({ supportsRanges: true, totalBytes: 1000, mimeType: 'video/mp4', validator: '"v1"' });
+    expect(service.shouldUseChunks(probe)).toBe(true);
+
+    service.configure({ minSize: 2000 });
+    expect(service.shouldUseChunks(probe)).toBe(false);
+  });
+
+  test('HEAD请求失败时应该改用Range请求探测', async () => {
+    global.fetch = jest.fn(async (url, init) => {
+      if (init.method === 'HEAD') {
+        return { ok: false, status: 405, headers: { get: () => null } };
+      }
+
+      return {
+        ok: true,
+        status: 206,
+        headers: { get: name => ({ 'content-range': 'bytes 0-0/5000', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' })[name.toLowerCase()] || null }
+      };
+    });
+
+    const service = new ChunkedDownloadService({ store });
+    const probe = await service.probe('https://example.com/file.zip');
+
+    expect(global.fetch.mock.calls[1][1].headers.Range).toBe('bytes=0-0');
+    expect(probe.supportsRanges).toBe(true);
+    expect(probe.totalBytes).toBe(5000);
+    expect(probe.validator).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+  });
+
+  test('弱ETag不能用于If-Range，应该改用Last-Modified', async () => {
+    const headers = { 'etag': 'W/"v1"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT', 'content-length': '1000', 'accept-ranges': 'bytes' };
+    global.fetch = jest.fn(async () => ({ ok: true, status: 200, headers: { get: name => headers[name.toLowerCase()] || null } }));
+    const service = new ChunkedDownloadService({ store });
+
+    expect((await service.probe('https://example.com/video.mp4')).validator).toBe('Mon, 01 Jan 2024 00:00:00 GMT');
+
+    delete headers['last-modified'];
+    expect((await service.probe('https://example.com/video.mp4')).validator).toBeNull();
+  });
+
+  test('应该按分块大小拆分任务并保存', async () => {
+    const service = new ChunkedDownloadService({ store, chunkSize: 300 });
+
+    const task = await service.createTask('task1', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: '"v1"'
+    }, { item: { fixedFilename: 'video.mp4' } });
+
+    expect(task.chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 299], [300, 599], [600, 899], [900, 999]]);
+    expect(task.chunks.every(chunk => chunk.status === CHUNK_STATUS.PENDING)).toBe(true);
+    expect((await store.getDownloadTask('task1')).item.fixedFilename).toBe('video.mp4');
+  });
+
+  test('应该并行下载所有分块并按顺序合并', async () => {
+    global.fetch = createRangeServer(file);
+    const service = new ChunkedDownloadService({ store, chunkSize: 256, concurrency: 3 });
+    const probe = await service.probe('https://example.com/video.mp4');
+    const task = await service.createTask('task2', 'https://example.com/video.mp4', probe);
+    const onProgress = jest.fn();
+
+    await service.download(task, { onProgress });
+
+    const rangeCalls = global.fetch.mock.calls.filter(([, init]) => init.headers);
+    expect(rangeCalls).toHaveLength(4);
+    expect(rangeCalls.every(([, init]) => init.headers['If-Range'] === '"v1"')).toBe(true);
+    expect(onProgress).toHaveBeenCalled();
+    expect(service.getBytesReceived(task)).toBe(1000);
+    expect((await store.getDownloadTask('task2')).status).toBe(TASK_STATUS.COMPLETE);
+
+    const blob = await service.assemble(task);
+    expect(blob.options.type).toBe('video/mp4');
+    expect(blobBytes(blob)).toEqual(Array.from(file));
+  });
+
+  test('暂停后应该从最后完成的分块继续，包括重启后重新创建的服务实例', async () => {
+    const controller = new AbortController();
+    global.fetch = createRangeServer(file, {
+      onRange: (start) => {
+        if (start < 500) return null;
+
+        // 第三个分块开始时暂停
+        controller.abort();
+        return Promise.reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+      }
+    });
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 250, concurrency: 1 });
+    const probe = await service.probe('https://example.com/video.mp4');
+    const task = await service.createTask('task3', 'https://example.com/video.mp4', probe);
+
+    await expect(service.download(task, { signal: controller.signal })).rejects.toThrow('下载已暂停');
+
+    const saved = await store.getDownloadTask('task3');
+    expect(saved.status).toBe(TASK_STATUS.PAUSED);
+    expect(saved.chunks.map(chunk => chunk.status)).toEqual([
+      CHUNK_STATUS.COMPLETE, CHUNK_STATUS.COMPLETE, CHUNK_STATUS.PENDING, CHUNK_STATUS.PENDING
+    ]);
+
+    global.fetch = createRangeServer(file);
+    const restarted = new ChunkedDownloadService({ store, concurrency: 2 });
+    const restored = await restarted.getTask('task3');
+
+    await restarted.download(restored);
+
+    const ranges = global.fetch.mock.calls.map(([, init]) => init.headers.Range);
+    expect(ranges.sort()).toEqual(['bytes=500-749', 'bytes=750-999']);
+    expect(blobBytes(await restarted.assemble(restored))).toEqual(Array.from(file));
+  });
+
+  test('分块请求失败时应该重试', async () => {
+    let failures = 1;
+    global.fetch = createRangeServer(file, {
+      onRange: (start) => {
+        if (start === 0 && failures-- > 0) {
+          return { ok: false, status: 503, statusText: 'Service Unavailable', headers: { get: () => null } };
+        }
+        return null;
+      }
+    });
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 500, retryDelay: 0 });
+    const task = await service.createTask('task4', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: '"v1"'
+    });
+
+    await service.download(task);
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(task.status).toBe(TASK_STATUS.COMPLETE);
+  });
+
+  test('超过重试次数后应该保存错误状态', async () => {
+    global.fetch = createRangeServer(file, {
+      onRange: () => ({ ok: false, status: 500, statusText: 'Server Error', headers: { get: () => null } })
+    });
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 500, maxRetries: 1, retryDelay: 0, concurrency: 1 });
+    const task = await service.createTask('task5', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: null
+    });
+
+    await expect(service.download(task)).rejects.toThrow('分块 1/2 下载失败: HTTP error 500');
+    expect((await store.getDownloadTask('task5')).status).toBe(TASK_STATUS.ERROR);
+  });
+
+  test('一个分块失败时应该中止其他分块，全部结束后再保存错误状态', async () => {
+    let inFlight = null;
+    global.fetch = createRangeServer(file, {
+      onRange: (start, end, init) => {
+        if (start === 0) {
+          // 第一个分块一直等待，直到被中止
+          return new Promise((resolve, reject) => {
+            inFlight = init.signal;
+            init.signal.addEventListener('abort', () => {
+              setTimeout(() => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })), 5);
+            });
+          });
+        }
+        return { ok: true, status: 200, headers: { get: () => null } };
+      }
+    });
+    const saveChunk = jest.spyOn(store, 'saveDownloadChunk');
+    const saveTask = jest.spyOn(store, 'saveDownloadTask');
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 250, retryDelay: 0, concurrency: 2 });
+    const task = await service.createTask('task8', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: '"v0"'
+    });
+    saveTask.mockClear();
+
+    await expect(service.download(task)).rejects.toThrow('文件已变化');
+
+    expect(inFlight.aborted).toBe(true);
+    expect(global.fetch.mock.calls.map(([, init]) => init.headers.Range)).toEqual(['bytes=0-249', 'bytes=250-499']);
+    expect(saveChunk).not.toHaveBeenCalled();
+
+    // 最后一次保存发生在所有分块结束之后，保存的是错误状态
+    const lastSaved = saveTask.mock.calls[saveTask.mock.calls.length - 1][0];
+    expect(lastSaved.status).toBe(TASK_STATUS.ERROR);
+    expect((await store.getDownloadTask('task8')).chunks.every(chunk => chunk.status === CHUNK_STATUS.PENDING)).toBe(true);
+  });
+
+  test('服务器返回完整文件时说明文件已变化，不应重试', async () => {
+    global.fetch = createRangeServer(file, {
+      onRange: () => ({ ok: true, status: 200, headers: { get: () => null } })
+    });
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 500, retryDelay: 0, concurrency: 1 });
+    const task = await service.createTask('task6', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: '"v0"'
+    });
+
+    const error = await service.download(task).catch(e => e);
+
+    expect(error.fatal).toBe(true);
+    expect(error.message).toContain('文件已变化');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('分块长度不符时应该重新下载该分块', async () => {
+    let truncated = false;
+    global.fetch = createRangeServer(file, {
+      onRange: (start, end) => {
+        if (truncated) return null;
+        truncated = true;
+        return {
+          ok: true,
+          status: 206,
+          headers: { get: () => null },
+          arrayBuffer: async () => file.slice(start, end).buffer
+        };
+      }
+    });
+
+    const service = new ChunkedDownloadService({ store, chunkSize: 1000, retryDelay: 0 });
+    const task = await service.createTask('task7', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: null
+    });
+
+    await service.download(task);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(blobBytes(await service.assemble(task))).toEqual(Array.from(file));
+  });
+
+  test('删除任务应该同时删除分块数据', async () => {
+    global.fetch = createRangeServer(file);
+    const service = new ChunkedDownloadService({ store, chunkSize: 500 });
+    const task = await service.createTask('task8', 'https://example.com/video.mp4', {
+      totalBytes: 1000, mimeType: 'video/mp4', validator: null
+    });
+
+    await service.download(task);
+    await service.remove('task8');
+
+    expect(await service.getTasks()).toEqual([]);
+    expect(await store.getDownloadChunks('task8')).toEqual([]);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * @file content-hash-service.test.js
+ * @description 下载内容哈希服务测试
+ */
+
+const { webcrypto } = require('crypto');
+const { ContentHashService, MAX_HASH_SIZE, MAX_REFETCH_HASH_SIZE } = require('../../src/services/content-hash-service');
+
+/**
+ * 内存中的内容哈希存储，模拟indexeddb-service的相关方法
+ */
+function createFakeDatabase() {
+  const records = new Map();
+  return {
+    records,
+    saveContentHash: jest.fn(async record => {
+      records.set(record.hash, JSON.parse(JSON.stringify(record)));
+      return record.hash;
+    }),
+    getContentHash: jest.fn(async hash => records.get(hash) || null),
+    getContentHashesByUrl: jest.fn(async url =>
+      Array.from(records.values()).filter(record => record.urls.includes(url)))
+  };
+}
+
+function bytes(text) {
+  return new Uint8Array(Buffer.from(text, 'utf8'));
+}
+
+function mockResponse(body, headers = {}) {
+  // 使用Node的Buffer构造ArrayBuffer，避免jsdom环境的ArrayBuffer被webcrypto拒绝
+  const data = Buffer.from(body, 'utf8');
+  return {
+    ok: true,
+    status: 200,
+    headers: { get: name => headers[name.toLowerCase()] || null },
+    body: { cancel: jest.fn(() => Promise.resolve()) },
+    arrayBuffer: jest.fn(async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength))
+  };
+}
+
+describe('ContentHashService', () => {
+  const originalCrypto = global.crypto;
+  let db;
+  let service;
+
+  beforeAll(() => {
+    Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  });
+
+  afterAll(() => {
+    Object.defineProperty(global, 'crypto', { value: originalCrypto, configurable: true });
+  });
+
+  beforeEach(() => {
+    db = createFakeDatabase();
+    service = new ContentHashService(async () => db);
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sha256计算标准测试向量', async () => {
+    await expect(ContentHashService.sha256(bytes('abc')))
+      .resolves.toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    await expect(ContentHashService.sha256(new Uint8Array(0)))
+      .resolves.toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+  });
+
+  test('describe生成下载日期和文件名提示', () => {
+    const downloadedAt = new Date(2025, 2, 7, 15, 30).getTime();
+
+    expect(ContentHashService.describe({ downloadedAt, filename: 'cat.jpg' })).toBe('已于 2025-03-07 下载为 cat.jpg');
+    expect(ContentHashService.describe({ downloadedAt })).toBe('已于 2025-03-07 下载为 未命名文件');
+    expect(ContentHashService.describe(null)).toBe('');
+  });
+
+  test('首次下载创建记录，再次下载保留首次日期和文件名并追加URL', async () => {
+    const first = await service.recordDownload({
+      hash: 'h1',
+      url: 'https://cdn-a.example.com/cat.jpg',
+      pageUrl: 'https://example.com/post/1',
+      filename: 'cat.jpg',
+      size: 1024,
+      mimeType: 'image/jpeg'
+    });
+
+    expect(first.previous).toBeNull();
+    expect(first.record).toMatchObject({
+      hash: 'h1',
+      urls: ['https://cdn-a.example.com/cat.jpg'],
+      pageUrl: 'https://example.com/post/1',
+      filename: 'cat.jpg',
+      downloadCount: 1
+    });
+
+    const second = await service.recordDownload({
+      hash: 'h1',
+      url: 'https://cdn-b.example.com/copy.jpg',
+      filename: 'copy.jpg'
+    });
+
+    expect(second.previous.filename).toBe('cat.jpg');
+    expect(second.record).toMatchObject({
+      filename: 'cat.jpg',
+      lastFilename: 'copy.jpg',
+      downloadedAt: first.record.downloadedAt,
+      urls: ['https://cdn-a.example.com/cat.jpg', 'https://cdn-b.example.com/copy.jpg'],
+      downloadCount: 2
+    });
+  });
+
+  test('缺少哈希时拒绝记录', async () => {
+    await expect(service.recordDownload({ url: 'https://example.com/a.jpg' })).rejects.toThrow('缺少内容哈希');
+  });
+
+  test('按内容哈希查找不同URL下的相同文件', async () => {
+    await service.recordDownload({ hash: 'h1', url: 'https://cdn-a.example.com/cat.jpg', filename: 'cat.jpg' });
+
+    const record = await service.findDuplicate({ url: 'https://other.example.com/x.jpg', contentHash: 'h1' });
+
+    expect(record.filename).toBe('cat.jpg');
+  });
+
+  test('没有内容哈希时按URL查找最早的记录', async () => {
+    await service.recordDownload({ hash: 'h1', url: 'https://example.com/a.jpg', filename: 'old.jpg' });
+    db.records.get('h1').downloadedAt = 1000;
+    await service.recordDownload({ hash: 'h2', url: 'https://example.com/a.jpg', filename: 'new.jpg' });
+
+    const record = await service.findDuplicate({ url: 'https://example.com/a.jpg' });
+
+    expect(record.filename).toBe('old.jpg');
+    await expect(service.findDuplicate({ url: 'https://example.com/b.jpg' })).resolves.toBeNull();
+  });
+
+  test('数据库错误时findDuplicate返回null', async () => {
+    db.getContentHashesByUrl.mockRejectedValue(new Error('数据库未打开'));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await expect(service.findDuplicate({ url: 'https://example.com/a.jpg' })).resolves.toBeNull();
+
+    console.warn.mockRestore();
+  });
+
+  test('findDuplicates只返回已下载过的资源', async () => {
+    await service.recordDownload({ hash: 'h1', url: 'https://example.com/a.jpg', filename: 'a.jpg' });
+
+    const duplicates = await service.findDuplicates([
+      { url: 'https://example.com/a.jpg' },
+      { url: 'https://example.com/b.jpg' },
+      { url: 'https://example.com/a.jpg' }
+    ]);
+
+    expect(Array.from(duplicates.keys())).toEqual(['https://example.com/a.jpg']);
+  });
+
+  test('hashUrl获取内容并计算哈希', async () => {
+    global.fetch.mockResolvedValue(mockResponse('abc', { 'content-type': 'image/png; charset=binary' }));
+
+    const result = await service.hashUrl('https://example.com/a.png');
+
+    expect(global.fetch).toHaveBeenCalledWith('https://example.com/a.png', expect.objectContaining({ cache: 'force-cache' }));
+    expect(result).toEqual({
+      hash: 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      size: 3,
+      mimeType: 'image/png'
+    });
+  });
+
+  test('hashUrl在文件超过大小上限时放弃', async () => {
+    const response = mockResponse('abc', { 'content-length': String(MAX_HASH_SIZE + 1) });
+    global.fetch.mockResolvedValue(response);
+
+    await expect(service.hashUrl('https://example.com/big.bin')).resolves.toBeNull();
+    expect(response.body.cancel).toHaveBeenCalled();
+    expect(response.arrayBuffer).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValue(mockResponse('abcdef'));
+    await expect(service.hashUrl('https://example.com/c.bin', { maxSize: 4 })).resolves.toBeNull();
+  });
+
+  test('只为大小已知且较小的已完成下载重新获取内容', async () => {
+    expect(ContentHashService.canRefetch(1024)).toBe(true);
+    expect(ContentHashService.canRefetch(MAX_REFETCH_HASH_SIZE + 1)).toBe(false);
+    expect(ContentHashService.canRefetch(-1)).toBe(false);
+    expect(ContentHashService.canRefetch(null)).toBe(false);
+    expect(MAX_REFETCH_HASH_SIZE).toBeLessThan(MAX_HASH_SIZE);
+
+    const response = mockResponse('abc', { 'content-length': String(MAX_REFETCH_HASH_SIZE + 1) });
+    global.fetch.mockResolvedValue(response);
+    await expect(service.hashUrl('https://example.com/video.mp4')).resolves.toBeNull();
+    expect(response.arrayBuffer).not.toHaveBeenCalled();
+  });
+
+  test('hashUrl跳过不支持的协议并在HTTP错误时抛出', async () => {
+    await expect(service.hashUrl('chrome-extension://id/a.png')).resolves.toBeNull();
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    global.fetch.mockResolvedValue({ ok: false, status: 404 });
+    await expect(service.hashUrl('https://example.com/missing.png')).rejects.toThrow('HTTP错误: 404');
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @file dash-service.test.js
+ * @description DASH下载服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+global.fetch = jest.fn();
+
+const DASHService = require('../../src/services/dash-service').default;
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+const mockRoutes = (routes) => {
+  global.fetch.mockImplementation((url) => {
+    const route = routes[url];
+
+    if (route === undefined) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      text: jest.fn().mockResolvedValue(route),
+      arrayBuffer: jest.fn().mockResolvedValue(toArrayBuffer(Buffer.from(route)))
+    });
+  });
+};
+
+const blobText = (blob) => blob.content.map(part => Buffer.from(part).toString()).join('');
+
+const MANIFEST = `<MPD type="static" mediaPresentationDuration="PT4S">
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate initialization="$RepresentationID$-init.mp4" media="$RepresentationID$-$Number$.m4s" timescale="1" duration="2"/>
+      <Representation id="lo" bandwidth="500000" height="360"/>
+      <Representation id="hi" bandwidth="2000000" height="720"/>
+    </AdaptationSet>
+    <AdaptationSet mimeType="audio/mp4">
+      <SegmentTemplate initialization="a-init.mp4" media="a-$Number$.m4s" timescale="1" duration="2"/>
+      <Representation id="aac" bandwidth="128000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+describe('DASHService', () => {
+  const base = 'https://media.example.com/show/';
+  let dashService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+
+    dashService = new DASHService({ concurrency: 2, maxRetries: 1, retryDelay: 0 });
+  });
+
+  test('应该返回按码率排序的视频和音频表示', async () => {
+    mockRoutes({ [`${base}manifest.mpd`]: MANIFEST });
+
+    const result = await dashService.getRepresentations(`${base}manifest.mpd`);
+
+    expect(result.video.map(r => r.id)).toEqual(['hi', 'lo']);
+    expect(result.audio.map(r => r.id)).toEqual(['aac']);
+    expect(result.isLive).toBe(false);
+  });
+
+  test('应该分别组装视频和音频并在前面插入初始化分片', async () => {
+    mockRoutes({
+      [`${base}manifest.mpd`]: MANIFEST,
+      [`${base}lo-init.mp4`]: 'V',
+      [`${base}lo-1.m4s`]: '1',
+      [`${base}lo-2.m4s`]: '2',
+      [`${base}a-init.mp4`]: 'A',
+      [`${base}a-1.m4s`]: 'x',
+      [`${base}a-2.m4s`]: 'y'
+    });
+
+    const progress = [];
+    const result = await dashService.downloadStream(`${base}manifest.mpd`, {
+      video: 'lo',
+      onProgress: p => progress.push(p)
+    });
+
+    expect(result.tracks.map(t => t.kind)).toEqual(['video', 'audio']);
+    expect(blobText(result.tracks[0].blob)).toBe('V12');
+    expect(result.tracks[0].mimeType).toBe('video/mp4');
+    expect(result.tracks[0].extension).toBe('mp4');
+    expect(blobText(result.tracks[1].blob)).toBe('Axy');
+    expect(result.tracks[1].extension).toBe('m4a');
+    expect(result.segmentCount).toBe(4);
+    expect(result.totalBytes).toBe(6);
+    expect(progress[progress.length - 1]).toMatchObject({ completedSegments: 4, totalSegments: 4, progress: 100 });
+  });
+
+  test('audio为false时应该只下载视频', async () => {
+    mockRoutes({
+      [`${base}manifest.mpd`]: MANIFEST,
+      [`${base}hi-init.mp4`]: 'H',
+      [`${base}hi-1.m4s`]: '1',
+      [`${base}hi-2.m4s`]: '2'
+    });
+
+    const result = await dashService.downloadStream(`${base}manifest.mpd`, { audio: false });
+
+    expect(result.tracks).toHaveLength(1);
+    expect(result.tracks[0].label).toBe('720p');
+    expect(blobText(result.tracks[0].blob)).toBe('H12');
+  });
+
+  test('应该拼接多个周期中同一表示的分片', async () => {
+    mockRoutes({
+      [`${base}periods.mpd`]: `<MPD mediaPresentationDuration="PT4S">
+  <Period start="PT0S" duration="PT2S">
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate initialization="p1-init.mp4" media="p1-$Number$.m4s" duration="2"/>
+      <Representation id="v" bandwidth="1000"/>
+    </AdaptationSet>
+  </Period>
+  <Period start="PT2S" duration="PT2S">
+    <AdaptationSet mimeType="video/mp4">
+      <SegmentTemplate initialization="p2-init.mp4" media="p2-$Number$.m4s" duration="2"/>
+      <Representation id="v" bandwidth="1000"/>
+    </AdaptationSet>
+  </Period>
+</MPD>`,
+      [`${base}p1-init.mp4`]: 'I',
+      [`${base}p1-1.m4s`]: 'a',
+      [`${base}p2-init.mp4`]: 'J',
+      [`${base}p2-1.m4s`]: 'b'
+    });
+
+    const result = await dashService.downloadStream(`${base}periods.mpd`);
+
+    expect(blobText(result.tracks[0].blob)).toBe('IaJb');
+  });
+
+  test('直播流应该被拒绝', async () => {
+    mockRoutes({ [`${base}live.mpd`]: '<MPD type="dynamic"><Period/></MPD>' });
+
+    await expect(dashService.downloadStream(`${base}live.mpd`)).rejects.toThrow('暂不支持下载DASH直播流');
+  });
+
+  test('取消信号应该中止下载', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    mockRoutes({ [`${base}manifest.mpd`]: MANIFEST });
+
+    await expect(dashService.downloadStream(`${base}manifest.mpd`, { signal: controller.signal })).rejects.toThrow('下载已取消');
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * @file extractor-registry.test.js
+ * @description 站点提取器注册表单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+const { EXTRACTOR_API_VERSION } = require('../../src/extractors/extractor-registry');
+const { BUILTIN_EXTRACTORS } = require('../../src/extractors/index');
+
+/**
+ * 创建测试用提取器
+ * @param {Object} overrides - 覆盖的字段
+ * @returns {Object} - 提取器
+ */
+function createExtractor(overrides = {}) {
+  return {
+    id: 'example',
+    name: 'Example',
+    version: '1.0.0',
+    apiVersion: EXTRACTOR_API_VERSION,
+    matches: ['example.com'],
+    extractFromDocument: () => [],
+    ...overrides
+  };
+}
+
+describe('ExtractorRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new ExtractorRegistry();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('所有内置提取器都应该通过接口校验且ID唯一', () => {
+    BUILTIN_EXTRACTORS.forEach(extractor => {
+      expect(ExtractorRegistry.validate(extractor)).toEqual({ valid: true, errors: [] });
+    });
+    expect(new Set(BUILTIN_EXTRACTORS.map(extractor => extractor.id)).size).toBe(BUILTIN_EXTRACTORS.length);
+  });
+
+  test('应该拒绝未实现接口的提取器', () => {
+    const result = ExtractorRegistry.validate(createExtractor({
+      id: 'Bad Id',
+      version: '1.0',
+      apiVersion: 2,
+      matches: [],
+      extractFromDocument: null,
+      rewriteUrl: 'nope'
+    }));
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toHaveLength(6);
+    expect(() => registry.register(createExtractor({ apiVersion: 0 }))).toThrow('提取器 example 无效');
+  });
+
+  test('同一ID只保留较新的版本', () => {
+    const v1 = createExtractor();
+    const v2 = createExtractor({ version: '1.2.0' });
+
+    expect(registry.register(v1)).toBe(true);
+    expect(registry.register(v2)).toBe(true);
+    expect(registry.register(createExtractor({ version: '1.1.9' }))).toBe(false);
+    expect(registry.get('example')).toBe(v2);
+    expect(registry.list()).toEqual([{ id: 'example', name: 'Example', version: '1.2.0', matches: ['example.com'] }]);
+
+    expect(registry.unregister('example')).toBe(true);
+    expect(registry.get('example')).toBeNull();
+  });
+
+  test('应该按域名规则匹配提取器', () => {
+    const plain = createExtractor({ id: 'plain', matches: ['example.com'] });
+    const wildcard = createExtractor({ id: 'wildcard', matches: ['*.cdn.net'] });
+    const regex = createExtractor({ id: 'regex', matches: [/^video\d*\.site\.org$/] });
+    [plain, wildcard, regex].forEach(extractor => registry.register(extractor));
+
+    expect(registry.findExtractors('https://example.com/a')).toEqual([plain]);
+    expect(registry.findExtractors('https://www.EXAMPLE.com/a')).toEqual([plain]);
+    expect(registry.findExtractors('https://badexample.com/')).toEqual([]);
+    expect(registry.findExtractors('img.cdn.net')).toEqual([wildcard]);
+    expect(registry.findExtractors('cdn.net')).toEqual([]);
+    expect(registry.findExtractors('https://video2.site.org/')).toEqual([regex]);
+    expect(registry.findExtractors('')).toEqual([]);
+  });
+
+  test('应该规范化提取的资源并隔离提取器错误', () => {
+    registry.register(createExtractor({
+      extractFromDocument: (document, context) => [
+        { url: '/media/a.jpg', type: 'image' },
+        { url: 'https://example.com/media/a.jpg', type: 'image' },
+        { url: 'blob:https://example.com/1', type: 'video' },
+        { url: 'data:image/png;base64,AAAA', type: 'image' },
+        { url: 'https://cdn.example.com/b.mp4', type: 'video', source: 'predicted', pageUrl: context.pageUrl }
+      ]
+    }));
+    registry.register(createExtractor({
+      id: 'broken',
+      extractFromDocument: () => { throw new Error('boom'); }
+    }));
+
+    const resources = registry.extractFromDocument(document, 'https://example.com/post/1');
+
+    expect(resources).toEqual([
+      expect.objectContaining({ url: 'https://example.com/media/a.jpg', source: 'dom', extractor: 'example' }),
+      expect.objectContaining({ url: 'https://cdn.example.com/b.mp4', source: 'predicted', pageUrl: 'https://example.com/post/1' })
+    ]);
+    expect(resources[0].timestamp).toEqual(expect.any(Number));
+    expect(console.warn).toHaveBeenCalledWith('提取器 broken 提取DOM资源错误:', expect.any(Error));
+  });
+
+  test('应该只调用实现了extractFromResponse的提取器', () => {
+    const extractFromResponse = jest.fn(details => [{ url: details.url, type: 'video' }]);
+    registry.register(createExtractor({ extractFromResponse }));
+    registry.register(createExtractor({ id: 'dom-only' }));
+
+    const resources = registry.extractFromResponse({ url: 'https://cdn.example.com/v.mp4' }, 'https://example.com');
+
+    expect(extractFromResponse).toHaveBeenCalledWith({ url: 'https://cdn.example.com/v.mp4' }, { pageUrl: 'https://example.com' });
+    expect(resources).toEqual([expect.objectContaining({ source: 'network', extractor: 'example' })]);
+    expect(registry.extractFromResponse({ url: 'https://cdn.example.com/v.mp4' }, 'https://other.com')).toEqual([]);
+  });
+
+  test('改写URL时应该询问所有提取器而不限于页面域名', () => {
+    registry.register(createExtractor({ rewriteUrl: () => null }));
+    registry.register(createExtractor({
+      id: 'cdn',
+      matches: ['other.com'],
+      rewriteUrl: url => url.replace('_small', '_large')
+    }));
+
+    expect(registry.rewriteUrl('https://img.cdn.net/a_small.jpg')).toEqual({ url: 'https://img.cdn.net/a_large.jpg', extractor: 'cdn' });
+    expect(registry.rewriteUrl('https://img.cdn.net/a.jpg')).toBeNull();
+    expect(registry.rewriteUrl('')).toBeNull();
+  });
+
+  test('获取的资源正则应该是带全局标志的新实例', () => {
+    const pattern = /https:\/\/cdn\.example\.com\/\w+\.jpg/i;
+    registry.register(createExtractor({ resourcePatterns: [pattern] }));
+
+    const [first] = registry.getResourcePatterns('example.com');
+    const [second] = registry.getResourcePatterns('example.com');
+
+    expect(first).not.toBe(pattern);
+    expect(first).not.toBe(second);
+    expect(first.flags).toBe('gi');
+    expect('x https://cdn.example.com/a.jpg https://cdn.example.com/b.jpg'.match(first)).toHaveLength(2);
+  });
+
+  test('应该按页面域名和资源域名识别资源所属的站点', () => {
+    registry.register(createExtractor({
+      mediaHosts: ['examplecdn.net'],
+      relatedPatterns: url => [`${url}-related`]
+    }));
+
+    expect(registry.getPlatform('https://www.example.com/watch')).toBe('example');
+    expect(registry.getPlatform('https://img.examplecdn.net/a.jpg')).toBe('example');
+    expect(registry.getPlatform('https://examplecdn.net.evil.org/a.jpg')).toBeNull();
+    expect(registry.getPlatform('')).toBeNull();
+    expect(registry.getRelatedPatterns('https://img.examplecdn.net/a.jpg')).toEqual(['https://img.examplecdn.net/a.jpg-related']);
+    expect(registry.getRelatedPatterns('https://other.org/a.jpg')).toEqual([]);
+    expect(ExtractorRegistry.validate(createExtractor({ mediaHosts: 'examplecdn.net' })).errors).toEqual(['mediaHosts必须是字符串或正则数组']);
+  });
+
+  test('内置提取器应该识别各站点CDN上的资源', () => {
+    const builtin = new ExtractorRegistry(BUILTIN_EXTRACTORS);
+
+    expect(builtin.getPlatform('https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg')).toBe('youtube');
+    expect(builtin.getPlatform('https://i.vimeocdn.com/video/123_640.jpg')).toBe('vimeo');
+    expect(builtin.getPlatform('https://scontent.cdninstagram.com/v/a.jpg')).toBe('instagram');
+    expect(builtin.getPlatform('https://pbs.twimg.com/media/abc.jpg')).toBe('twitter');
+    expect(builtin.getPlatform('https://cdn.example.org/a.jpg')).toBeNull();
+    expect(builtin.getRelatedPatterns('https://i.ytimg.com/vi/dQw4w9WgXcQ/hqdefault.jpg')).toEqual([
+      'https://www.youtube.com/watch\\?v=dQw4w9WgXcQ',
+      'https://i.ytimg.com/vi/dQw4w9WgXcQ/.*\\.jpg'
+    ]);
+  });
+});
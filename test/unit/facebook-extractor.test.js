@@ -0,0 +1,38 @@
+/**
+ * @file facebook-extractor.test.js
+ * @description Facebook站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const facebook = require('../../src/extractors/facebook').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('Facebook站点提取器', () => {
+  test('应该提取帖子图片和视频，跳过头像和表情', () => {
+    expect(ExtractorRegistry.validate(facebook).valid).toBe(true);
+
+    const registry = new ExtractorRegistry([facebook]);
+    const resources = registry.extractFromDocument(loadFixture('facebook-post.html'), 'https://www.facebook.com/nasa/posts/1');
+
+    expect(resources.map(resource => [resource.type, resource.url])).toEqual([
+      ['image', 'https://scontent.fsjc1-1.fna.fbcdn.net/v/t39.30808-6/mountains_n.jpg?_nc_cat=1'],
+      ['video', 'https://video.fsjc1-1.fna.fbcdn.net/v/t42.1790-2/clip_n.mp4?_nc_cat=2']
+    ]);
+    expect(resources[0]).toEqual(expect.objectContaining({ width: 720, height: 540, extractor: 'facebook' }));
+  });
+});
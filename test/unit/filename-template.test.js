@@ -0,0 +1,236 @@
+/**
+ * @file filename-template.test.js
+ * @description 文件名模板引擎及下载文件名生成单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+chrome.downloads.onDeterminingFilename = { addListener: jest.fn() };
+chrome.downloads.download = jest.fn();
+chrome.tabs.get = jest.fn();
+chrome.notifications = { create: jest.fn() };
+
+const FilenameTemplate = require('../../src/utils/filename-template').default;
+const DownloadHandler = require('../../src/background/handlers/download-handler').default;
+const RuleEngineService = require('../../src/services/rule-engine-service').default;
+
+const DATE = new Date(2025, 2, 7, 9, 5, 3);
+
+const imageResource = {
+  url: 'https://cdn.example.com/photos/Sunset%20Beach.JPG?w=1920',
+  type: 'image',
+  width: 1920,
+  height: 1080,
+  quality: 'HD'
+};
+
+describe('文件名模板引擎', () => {
+  test('应该替换所有支持的占位符', () => {
+    const context = FilenameTemplate.createContext(imageResource, {
+      pageUrl: 'https://www.example.co.uk/gallery',
+      pageTitle: 'Holiday Photos',
+      index: 7,
+      date: DATE
+    });
+
+    const filename = FilenameTemplate.render(
+      '{site}_{domain}_{page_title}_{type}_{index}_{date:YYYY-MM-DD}_{width}x{height}_{quality}_{original}.{ext}',
+      context
+    );
+
+    expect(filename).toBe('example_example.co.uk_Holiday_Photos_image_007_2025-03-07_1920x1080_hd_Sunset_Beach.jpg');
+  });
+
+  test('应该支持占位符参数：序号位数、日期格式和哈希长度', () => {
+    const context = FilenameTemplate.createContext(imageResource, { index: 12, date: DATE });
+
+    expect(FilenameTemplate.render('{index:5}', context)).toBe('00012.jpg');
+    expect(FilenameTemplate.render('{date:YYYYMMDD-HHmmss}', context)).toBe('20250307-090503.jpg');
+
+    const hash = FilenameTemplate.render('{hash:8}', context);
+    expect(hash).toMatch(/^[0-9a-f]{8}\.jpg$/);
+    expect(FilenameTemplate.render('{hash:8}', context)).toBe(hash);
+    expect(FilenameTemplate.render('{hash:20}', context)).toMatch(/^[0-9a-f]{20}\.jpg$/);
+  });
+
+  test('应该把"/"作为子目录分隔符，并阻止占位符值和".."逃逸目录', () => {
+    const context = FilenameTemplate.createContext(imageResource, {
+      pageTitle: 'a/b: <test>',
+      date: DATE
+    });
+
+    expect(FilenameTemplate.render('{domain}/{date:YYYY-MM}/{original}', context))
+      .toBe('cdn.example.com/2025-03/Sunset_Beach.jpg');
+    expect(FilenameTemplate.render('{page_title}/{type}', context)).toBe('a_b_test/image.jpg');
+    expect(FilenameTemplate.render('../../{type}\\..\\{index}', context)).toBe('image/001.jpg');
+  });
+
+  test('应该清理非法字符和保留名称', () => {
+    expect(FilenameTemplate.sanitizeSegment('  my*file?.name.  ')).toBe('my_file_.name');
+    expect(FilenameTemplate.sanitizeSegment('CON')).toBe('_CON');
+    expect(FilenameTemplate.sanitizeSegment('.hidden')).toBe('hidden');
+    expect(FilenameTemplate.sanitizeSegment('x'.repeat(300) + '.jpg')).toHaveLength(120);
+  });
+
+  test('缺少扩展名时应该根据MIME类型或资源类型补全', () => {
+    const video = { url: 'https://video.example.com/watch/123', type: 'video' };
+
+    expect(FilenameTemplate.render('{original}', FilenameTemplate.createContext(video))).toBe('123.mp4');
+    expect(FilenameTemplate.render('{original}', FilenameTemplate.createContext(video, { mimeType: 'video/webm' })))
+      .toBe('123.webm');
+    expect(FilenameTemplate.render('{original}.{ext}', FilenameTemplate.createContext(video, { filename: 'clip.mov' })))
+      .toBe('123.mov');
+  });
+
+  test('应该在冲突时追加序号', () => {
+    const used = new Set(['images/photo.jpg', 'images/photo_1.jpg']);
+
+    expect(FilenameTemplate.resolveCollision('images/photo.jpg', used)).toBe('images/photo_2.jpg');
+    expect(FilenameTemplate.resolveCollision('images/PHOTO.JPG', used)).toBe('images/PHOTO_2.JPG');
+    expect(FilenameTemplate.resolveCollision('images/other.jpg', used)).toBe('images/other.jpg');
+    expect(FilenameTemplate.resolveCollision('README', ['README'])).toBe('README_1');
+  });
+
+  test('应该校验模板并生成预览', () => {
+    expect(FilenameTemplate.validate('{site}/{original}').valid).toBe(true);
+    expect(FilenameTemplate.validate('{site}_{foo}').errors[0]).toContain('{foo}');
+    expect(FilenameTemplate.validate('{site').valid).toBe(false);
+    expect(FilenameTemplate.validate('/{site}').valid).toBe(false);
+    expect(FilenameTemplate.validate('').valid).toBe(false);
+
+    const preview = FilenameTemplate.preview('{site}-{type}-{index}');
+    expect(preview.valid).toBe(true);
+    expect(preview.filename).toBe('example-image-001.jpg');
+  });
+
+  test('应该把预设格式映射为模板', () => {
+    expect(FilenameTemplate.getTemplate('original')).toBe('{original}.{ext}');
+    expect(FilenameTemplate.getTemplate('custom', ' {domain}/{index} ')).toBe('{domain}/{index}');
+    expect(FilenameTemplate.getTemplate('{site}_{type}_{timestamp}')).toBe('{site}_{type}_{timestamp}');
+  });
+});
+
+describe('下载处理程序文件名生成', () => {
+  let handler;
+
+  const determine = (queueItem, downloadItem = {}) => new Promise(resolve => {
+    handler._handleDeterminingFilename({ id: queueItem.downloadId, ...downloadItem }, resolve);
+  });
+
+  // 加入队列前会先异步查找是否已下载过相同内容，处理程序回复时response才完成
+  const createResponder = () => {
+    let sendResponse;
+    const response = new Promise(resolve => {
+      sendResponse = jest.fn(resolve);
+    });
+    return { sendResponse, response };
+  };
+
+  beforeEach(() => {
+    chrome.downloads.download.mockReset();
+    chrome.tabs.get.mockReset();
+    handler = new DownloadHandler(null);
+    handler.maxConcurrentDownloads = 0;
+  });
+
+  test('批量下载应该按模板生成带序号的文件名并处理冲突', async () => {
+    handler.downloadSettings = {
+      categorizeByType: true,
+      filenameFormat: 'custom',
+      customFormat: '{domain}/{original}'
+    };
+
+    const { sendResponse, response } = createResponder();
+    handler.handleBatchDownloadResources({
+      resources: [
+        { url: 'https://img.example.com/a/photo.jpg', type: 'image' },
+        { url: 'https://img.example.com/b/photo.jpg', type: 'image' }
+      ],
+      pageUrl: 'https://www.example.com/post/1',
+      pageTitle: 'Post'
+    }, {}, sendResponse);
+
+    const [first, second] = (await response).queueItems;
+    first.downloadId = 1;
+    second.downloadId = 2;
+
+    expect(first.filenameIndex).toBe(1);
+    expect(second.filenameIndex).toBe(2);
+    expect(await determine(first)).toEqual({ filename: 'images/example.com/photo.jpg', conflictAction: 'uniquify' });
+    expect(await determine(second)).toEqual({ filename: 'images/example.com/photo_1.jpg', conflictAction: 'uniquify' });
+
+    handler._removeFromQueue(first);
+    expect(handler.reservedFilenames.has('images/example.com/photo.jpg')).toBe(false);
+  });
+
+  test('单个下载应该使用默认模板并从标签页获取页面信息', async () => {
+    chrome.tabs.get.mockImplementation((tabId, callback) => {
+      callback({ id: tabId, url: 'https://news.example.org/story', title: 'Breaking' });
+    });
+
+    handler.defaultFilenameFormat = '{site}_{page_title}_{index}';
+
+    const { sendResponse, response } = createResponder();
+    handler.handleDownloadResource({
+      resource: { url: 'https://static.cdn.net/v/clip', type: 'video' },
+      tabId: '5'
+    }, {}, sendResponse);
+
+    const queueItem = (await response).queueItem;
+    queueItem.downloadId = 3;
+
+    const suggestion = await determine(queueItem, { filename: 'clip.webm', mime: 'video/webm' });
+
+    expect(chrome.tabs.get).toHaveBeenCalledWith(5, expect.any(Function));
+    expect(suggestion.filename).toBe('example_Breaking_001.webm');
+  });
+
+  test('批量下载时应该跳过规则排除的资源，并使用规则指定的文件名模板和下载子目录', async () => {
+    handler.ruleEngine = new RuleEngineService();
+    handler.ruleEngine.setCustomRules([
+      {
+        id: 'example-skip-icons',
+        match: { domain: '*.example.com', resourceUrl: '/icons/' },
+        actions: [{ type: 'exclude' }]
+      },
+      {
+        id: 'example-photos',
+        match: { domain: '*.example.com', resourceType: 'image' },
+        actions: [
+          { type: 'renameTemplate', template: '{page_title}_{index}' },
+          { type: 'targetFolder', folder: 'example/photos' }
+        ]
+      }
+    ]);
+
+    const { sendResponse, response } = createResponder();
+    handler.handleBatchDownloadResources({
+      resources: [
+        { url: 'https://img.example.com/icons/logo.png', type: 'image' },
+        { url: 'https://img.example.com/a/photo.jpg', type: 'image' }
+      ],
+      pageUrl: 'https://www.example.com/post/1',
+      pageTitle: 'Post'
+    }, {}, sendResponse);
+
+    const result = await response;
+    const [queueItem] = result.queueItems;
+    queueItem.downloadId = 4;
+
+    expect(result).toMatchObject({ addedCount: 1, excludedCount: 1 });
+    expect(queueItem.resource).toMatchObject({ filenameTemplate: '{page_title}_{index}', targetFolder: 'example/photos' });
+    expect(await determine(queueItem)).toEqual({ filename: 'example/photos/Post_001.jpg', conflictAction: 'uniquify' });
+  });
+
+  test('更新下载设置时应该拒绝无效的自定义模板', () => {
+    const sendResponse = jest.fn();
+
+    handler.handleUpdateDownloadSettings({ settings: { filenameFormat: 'custom', customFormat: '{bogus}' } }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+
+    handler.handleUpdateDownloadSettings({ settings: { filenameFormat: 'custom', customFormat: '{type}/{index}' } }, {}, sendResponse);
+    expect(sendResponse).toHaveBeenLastCalledWith(expect.objectContaining({ success: true }));
+    expect(handler._getFilenameTemplate()).toBe('{type}/{index}');
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @file fingerprint-service.test.js
+ * @description 资源指纹服务测试（感知哈希查找）
+ */
+
+const fingerprintService = require('../../src/services/fingerprint-service').default;
+
+describe('FingerprintService 感知哈希', () => {
+  const photo = { dhash: '8e8e717171718e8e', phash: 'a2a0a59b5a9ab1cf' };
+
+  beforeEach(() => {
+    fingerprintService.reset();
+  });
+
+  test('不同CDN上的同一张图片视为视觉相同', () => {
+    fingerprintService.addResourceFingerprint({
+      url: 'https://cdn-a.example.com/images/large/photo.jpg',
+      type: 'image',
+      perceptualHash: photo
+    });
+
+    const match = fingerprintService.findSimilarResource({
+      url: 'https://img.other-cdn.net/t/640x480/abc123.webp',
+      type: 'image',
+      perceptualHash: { dhash: photo.dhash, phash: 'a2a0a59b5a9ab1ce' }
+    });
+
+    expect(match).not.toBeNull();
+    expect(match.resource.url).toBe('https://cdn-a.example.com/images/large/photo.jpg');
+    expect(match.distance).toBe(1);
+    expect(match.isVisuallyIdentical).toBe(true);
+  });
+
+  test('checkDuplicate报告视觉相同的资源', () => {
+    fingerprintService.addResourceFingerprint({
+      url: 'https://cdn-a.example.com/a.jpg',
+      type: 'image',
+      perceptualHash: photo
+    });
+
+    const result = fingerprintService.checkDuplicate({
+      url: 'https://cdn-b.example.org/b.jpg',
+      type: 'image',
+      perceptualHash: photo
+    });
+
+    expect(result).toMatchObject({ isDuplicate: false, isSimilar: true, isVisuallyIdentical: true, similarity: 1 });
+  });
+
+  test('距离超过阈值或缺少哈希时不匹配', () => {
+    fingerprintService.addResourceFingerprint({
+      url: 'https://cdn-a.example.com/a.jpg',
+      type: 'image',
+      perceptualHash: photo
+    });
+
+    expect(fingerprintService.findVisuallySimilarResource({
+      url: 'https://cdn-b.example.org/b.jpg',
+      perceptualHash: { dhash: '0000000000000000', phash: '5d5f5a64a5654e30' }
+    })).toBeNull();
+
+    expect(fingerprintService.findVisuallySimilarResource({
+      url: 'https://cdn-b.example.org/b.jpg'
+    })).toBeNull();
+  });
+
+  test('不会把资源与自身匹配', () => {
+    const resource = { url: 'https://cdn-a.example.com/a.jpg', type: 'image', perceptualHash: photo };
+    fingerprintService.addResourceFingerprint(resource);
+
+    expect(fingerprintService.findVisuallySimilarResource(resource)).toBeNull();
+  });
+
+  test('清除过期指纹时重建感知哈希索引', () => {
+    fingerprintService.addResourceFingerprint({
+      url: 'https://cdn-a.example.com/a.jpg',
+      type: 'image',
+      perceptualHash: photo
+    });
+    expect(fingerprintService.getStats().perceptualHashes).toBe(1);
+
+    fingerprintService.clearExpiredFingerprints(-1);
+
+    expect(fingerprintService.getStats()).toMatchObject({ totalFingerprints: 0, perceptualHashes: 0 });
+    expect(fingerprintService.findVisuallySimilarResource({
+      url: 'https://cdn-b.example.org/b.jpg',
+      perceptualHash: photo
+    })).toBeNull();
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * @file png.js
+ * @description 测试用的最小PNG解码器（8位灰度/RGB/RGBA、非隔行），用于把图片夹具解码为RGBA像素
+ */
+
+const zlib = require('zlib');
+
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * 解码PNG
+ * @param {Buffer} buffer - PNG文件内容
+ * @returns {Object} - { width, height, data: Uint8ClampedArray(RGBA) }
+ */
+function decodePNG(buffer) {
+  let offset = 8;
+  let width = 0;
+  let height = 0;
+  let colorType = 0;
+  const idat = [];
+
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (type === 'IHDR') {
+      width = chunk.readUInt32BE(0);
+      height = chunk.readUInt32BE(4);
+      colorType = chunk[9];
+      if (chunk[8] !== 8 || chunk[12] !== 0 || !CHANNELS[colorType]) {
+        throw new Error('不支持的PNG格式');
+      }
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    }
+
+    offset += length + 12;
+  }
+
+  const channels = CHANNELS[colorType];
+  const stride = width * channels;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const pixels = new Uint8Array(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      let value = line[x];
+
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+
+      pixels[y * stride + x] = value & 0xff;
+    }
+  }
+
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = i * channels;
+    const gray = channels <= 2;
+    data[i * 4] = pixels[source];
+    data[i * 4 + 1] = gray ? pixels[source] : pixels[source + 1];
+    data[i * 4 + 2] = gray ? pixels[source] : pixels[source + 2];
+    data[i * 4 + 3] = channels === 4 ? pixels[source + 3] : (channels === 2 ? pixels[source + 1] : 255);
+  }
+
+  return { width, height, data };
+}
+
+module.exports = { decodePNG };
@@ -0,0 +1,447 @@
+/**
+ * @file media-headers.js
+ * @description 构造测试用的最小媒体文件头（MP4、WebM、MP3、FLAC、PNG、JPEG、WebP）和ZIP文件
+ */
+
+function concat(...parts) {
+  const arrays = parts.map(part => (part instanceof Uint8Array ? part : Uint8Array.from(part)));
+  const result = new Uint8Array(arrays.reduce((sum, array) => sum + array.length, 0));
+  let offset = 0;
+  arrays.forEach(array => {
+    result.set(array, offset);
+    offset += array.length;
+  });
+  return result;
+}
+
+function ascii(text) {
+  return Uint8Array.from(Buffer.from(text, 'latin1'));
+}
+
+function utf8(text) {
+  return Uint8Array.from(Buffer.from(text, 'utf8'));
+}
+
+function u16(value) {
+  return [(value >> 8) & 0xFF, value & 0xFF];
+}
+
+function u32(value) {
+  return [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF];
+}
+
+function u32le(value) {
+  return u32(value).reverse();
+}
+
+function zeros(count) {
+  return new Uint8Array(count);
+}
+
+/* ---------- MP4 ---------- */
+
+function box(type, ...payload) {
+  const body = concat(...payload);
+  return concat(u32(body.length + 8), ascii(type), body);
+}
+
+function mp4Track({ handler, width = 0, height = 0, codec, timescale, duration, channels = 2, sampleRate = 44100 }) {
+  const tkhd = box('tkhd', zeros(4), zeros(20), zeros(52), u32(width * 65536), u32(height * 65536));
+  const mdhd = box('mdhd', zeros(4), zeros(8), u32(timescale), u32(duration), zeros(4));
+  const hdlr = box('hdlr', zeros(8), ascii(handler), zeros(12), [0]);
+  const entry = handler === 'vide' ?
+    concat(u32(86), ascii(codec), zeros(8), zeros(16), u16(width), u16(height), zeros(50)) :
+    concat(u32(36), ascii(codec), zeros(8), zeros(8), u16(channels), u16(16), zeros(4), u32(sampleRate * 65536));
+  const stsd = box('stsd', zeros(4), u32(1), entry);
+
+  return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', box('stbl', stsd))));
+}
+
+function mp4Moov({ duration = 90, width = 1920, height = 1080 } = {}) {
+  const mvhd = box('mvhd', zeros(4), zeros(8), u32(1000), u32(duration * 1000), zeros(80));
+  return box('moov',
+    mvhd,
+    mp4Track({ handler: 'vide', width, height, codec: 'avc1', timescale: 90000, duration: duration * 90000 }),
+    mp4Track({ handler: 'soun', codec: 'mp4a', timescale: 44100, duration: duration * 44100 })
+  );
+}
+
+/**
+ * 构造MP4文件，moovAtEnd为true时moov位于mdat之后
+ */
+function mp4File({ moovAtEnd = false, mdatSize = 4096, ...options } = {}) {
+  const ftyp = box('ftyp', ascii('isom'), u32(512), ascii('isomavc1'));
+  const mdat = box('mdat', zeros(mdatSize));
+  const moov = mp4Moov(options);
+  return moovAtEnd ? concat(ftyp, mdat, moov) : concat(ftyp, moov, mdat);
+}
+
+/**
+ * 构造只有ftyp的ISO BMFF文件开头（MP4、MOV、M4A、AVIF、HEIC）
+ */
+function ftypFile(major, compatible = []) {
+  return concat(box('ftyp', ascii(major), u32(0), ...compatible.map(ascii)), box('mdat', zeros(16)));
+}
+
+/* ---------- WebM ---------- */
+
+function ebmlSize(size) {
+  if (size < 0x7F) return [0x80 | size];
+  return [0x40 | (size >> 8), size & 0xFF];
+}
+
+function ebml(id, ...payload) {
+  const body = concat(...payload);
+  return concat(id, ebmlSize(body.length), body);
+}
+
+function float64(value) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeDoubleBE(value);
+  return Uint8Array.from(buffer);
+}
+
+function webmFile({ docType = 'webm', durationMs = 12345, width = 1280, height = 720 } = {}) {
+  const header = ebml([0x1A, 0x45, 0xDF, 0xA3], ebml([0x42, 0x82], ascii(docType)));
+  const info = ebml([0x15, 0x49, 0xA9, 0x66],
+    ebml([0x2A, 0xD7, 0xB1], [0x0F, 0x42, 0x40]),
+    ebml([0x44, 0x89], float64(durationMs)),
+    ebml([0x7B, 0xA9], utf8('测试视频'))
+  );
+  const videoTrack = ebml([0xAE],
+    ebml([0x83], [1]),
+    ebml([0x86], ascii('V_VP9')),
+    ebml([0xE0], ebml([0xB0], u16(width)), ebml([0xBA], u16(height)))
+  );
+  const audioTrack = ebml([0xAE],
+    ebml([0x83], [2]),
+    ebml([0x86], ascii('A_OPUS')),
+    ebml([0xE1], ebml([0xB5], float64(48000)), ebml([0x9F], [2]))
+  );
+  const tracks = ebml([0x16, 0x54, 0xAE, 0x6B], videoTrack, audioTrack);
+  const cluster = concat([0x1F, 0x43, 0xB6, 0x75], [0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF], zeros(64));
+
+  // Segment使用“未知长度”，与直播录制和流式写入的文件一致
+  return concat(header, [0x18, 0x53, 0x80, 0x67], [0x01, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF, 0xFF], info, tracks, cluster);
+}
+
+/* ---------- MP3 ---------- */
+
+function syncsafe(value) {
+  return [(value >> 21) & 0x7F, (value >> 14) & 0x7F, (value >> 7) & 0x7F, value & 0x7F];
+}
+
+function id3Frame(id, encoding, text) {
+  let data;
+  if (encoding === 1) {
+    data = concat([0xFF, 0xFE], Uint8Array.from(Buffer.from(text, 'utf16le')));
+  } else {
+    data = encoding === 3 ? utf8(text) : ascii(text);
+  }
+  const body = concat([encoding], data);
+  return concat(ascii(id), u32(body.length), [0, 0], body);
+}
+
+function id3Tag(frames, padding = 0) {
+  const body = concat(...frames, zeros(padding));
+  return concat(ascii('ID3'), [3, 0, 0], syncsafe(body.length), body);
+}
+
+/** MPEG-1 Layer III 128kbps 44.1kHz 立体声，每帧417字节 */
+const MP3_FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x00];
+const MP3_FRAME_LENGTH = 417;
+
+function mp3Frame(payload = null) {
+  const frame = zeros(MP3_FRAME_LENGTH);
+  frame.set(MP3_FRAME_HEADER, 0);
+  if (payload) frame.set(payload, 36);
+  return frame;
+}
+
+function mp3File({ tag = null, frames = 4, xing = null } = {}) {
+  const parts = [];
+  if (tag) parts.push(tag);
+  if (xing) {
+    parts.push(mp3Frame(concat(ascii('Xing'), u32(0x03), u32(xing.frames), u32(xing.bytes))));
+  }
+  for (let i = 0; i < frames; i++) parts.push(mp3Frame());
+  return concat(...parts);
+}
+
+/* ---------- FLAC ---------- */
+
+function flacFile({ sampleRate = 44100, channels = 2, bitsPerSample = 16, seconds = 10, comments = [] } = {}) {
+  const packed = (BigInt(sampleRate) << 44n) | (BigInt(channels - 1) << 41n) |
+    (BigInt(bitsPerSample - 1) << 36n) | BigInt(sampleRate * seconds);
+  const packedBytes = [];
+  for (let i = 7; i >= 0; i--) packedBytes.push(Number((packed >> BigInt(i * 8)) & 0xFFn));
+
+  const streamInfo = concat(u16(4096), u16(4096), zeros(3), zeros(3), packedBytes, zeros(16));
+  const vendor = ascii('test');
+  const commentBytes = comments.map(comment => {
+    const data = utf8(comment);
+    return concat(u32le(data.length), data);
+  });
+  const vorbis = concat(u32le(vendor.length), vendor, u32le(comments.length), ...commentBytes);
+
+  return concat(
+    ascii('fLaC'),
+    [0x00], [0, 0, streamInfo.length], streamInfo,
+    [0x84], [(vorbis.length >> 16) & 0xFF, (vorbis.length >> 8) & 0xFF, vorbis.length & 0xFF], vorbis,
+    zeros(32)
+  );
+}
+
+/* ---------- 图片元数据 ---------- */
+
+/**
+ * 编码IFD条目的值：ASCII为字符串，RATIONAL为[分子, 分母]数组，其他为数字数组
+ */
+function encodeTiffValue(type, value, le) {
+  const u16e = v => (le ? u16(v).reverse() : u16(v));
+  const u32e = v => (le ? u32le(v) : u32(v));
+
+  if (type === 2) return concat(utf8(value), [0]);
+  if (type === 5) return concat(...value.map(([n, d]) => concat(u32e(n), u32e(d))));
+  if (type === 3) return concat(...value.map(u16e));
+  if (type === 4) return concat(...value.map(u32e));
+  return Uint8Array.from(value);
+}
+
+function ifdSize(entries, le) {
+  return entries.reduce((size, [, type, value]) => {
+    const data = encodeTiffValue(type, value, le);
+    return size + (data.length > 4 ? data.length + (data.length % 2) : 0);
+  }, 2 + entries.length * 12 + 4);
+}
+
+function writeIfd(entries, offset, le) {
+  const u16e = v => (le ? u16(v).reverse() : u16(v));
+  const u32e = v => (le ? u32le(v) : u32(v));
+  const sorted = entries.slice().sort((a, b) => a[0] - b[0]);
+  const parts = [u16e(sorted.length)];
+  const data = [];
+  let dataOffset = offset + 2 + sorted.length * 12 + 4;
+
+  sorted.forEach(([tag, type, value]) => {
+    const bytes = encodeTiffValue(type, value, le);
+    const count = type === 2 ? bytes.length : value.length;
+    parts.push(u16e(tag), u16e(type), u32e(count));
+
+    if (bytes.length <= 4) {
+      parts.push(concat(bytes, zeros(4 - bytes.length)));
+    } else {
+      parts.push(u32e(dataOffset));
+      const padded = concat(bytes, zeros(bytes.length % 2));
+      data.push(padded);
+      dataOffset += padded.length;
+    }
+  });
+
+  parts.push(u32e(0));
+  return concat(...parts, ...data);
+}
+
+/**
+ * 构造TIFF结构的EXIF数据，包含IFD0、Exif子IFD和可选的GPS子IFD
+ */
+function exifTiff({
+  littleEndian = false,
+  make = 'Canon',
+  model = 'Canon EOS R5',
+  orientation = 1,
+  artist = null,
+  dateTimeOriginal = '2025:03:14 09:26:53',
+  lensModel = 'RF24-70mm F2.8 L IS USM',
+  exposureTime = [1, 250],
+  fNumber = [28, 10],
+  iso = 200,
+  focalLength = [35, 1],
+  gps = {
+    latitudeRef: 'N', latitude: [[37, 1], [46, 1], [2964, 100]],
+    longitudeRef: 'W', longitude: [[122, 1], [25, 1], [984, 100]],
+    altitude: [15, 1]
+  }
+} = {}) {
+  const le = littleEndian;
+  const ifd0 = [
+    [0x010F, 2, make],
+    [0x0110, 2, model],
+    [0x0112, 3, [orientation]],
+    [0x8769, 4, [0]]
+  ];
+  if (artist) ifd0.push([0x013B, 2, artist]);
+  if (gps) ifd0.push([0x8825, 4, [0]]);
+
+  const exifIfd = [
+    [0x829A, 5, [exposureTime]],
+    [0x829D, 5, [fNumber]],
+    [0x8827, 3, [iso]],
+    [0x9003, 2, dateTimeOriginal],
+    [0x920A, 5, [focalLength]],
+    [0xA434, 2, lensModel]
+  ];
+  const gpsIfd = gps ? [
+    [0x0001, 2, gps.latitudeRef],
+    [0x0002, 5, gps.latitude],
+    [0x0003, 2, gps.longitudeRef],
+    [0x0004, 5, gps.longitude],
+    [0x0005, 1, [0]],
+    [0x0006, 5, [gps.altitude]]
+  ] : [];
+
+  const exifOffset = 8 + ifdSize(ifd0, le);
+  const gpsOffset = exifOffset + ifdSize(exifIfd, le);
+  ifd0.find(entry => entry[0] === 0x8769)[2] = [exifOffset];
+  if (gps) ifd0.find(entry => entry[0] === 0x8825)[2] = [gpsOffset];
+
+  return concat(
+    ascii(le ? 'II' : 'MM'), le ? [42, 0] : [0, 42], le ? u32le(8) : u32(8),
+    writeIfd(ifd0, 8, le),
+    writeIfd(exifIfd, exifOffset, le),
+    gps ? writeIfd(gpsIfd, gpsOffset, le) : []
+  );
+}
+
+/**
+ * 构造IPTC-IIM数据集，fields为[[数据集编号, 文本], ...]
+ */
+function iptcRecords(fields, { utf8Charset = true } = {}) {
+  const dataset = (record, number, data) => concat([0x1C, record, number], u16(data.length), data);
+  return concat(
+    utf8Charset ? dataset(1, 90, [0x1B, 0x25, 0x47]) : [],
+    ...fields.map(([number, text]) => dataset(2, number, utf8(text)))
+  );
+}
+
+/**
+ * 把IPTC数据包装为Photoshop图像资源块（8BIM 0x0404）
+ */
+function photoshopResources(iptc) {
+  return concat(ascii('8BIM'), u16(0x0404), [0, 0], u32(iptc.length), iptc, zeros(iptc.length % 2));
+}
+
+const SAMPLE_XMP = [
+  '<?xpacket begin="" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+  '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+  '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+  ' xmlns:exif="http://ns.adobe.com/exif/1.0/" xmp:CreatorTool="Adobe Lightroom" xmp:CreateDate="2025-03-14T09:26:53"',
+  ' exif:GPSLatitude="37,46.494N" exif:GPSLongitude="122,25.164W">',
+  '<dc:creator><rdf:Seq><rdf:li>张三</rdf:li></rdf:Seq></dc:creator>',
+  '<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">© 2025 Zhang &amp; Co</rdf:li></rdf:Alt></dc:rights>',
+  '<exif:GPSAltitude>15/1</exif:GPSAltitude>',
+  '</rdf:Description></rdf:RDF></x:xmpmeta>',
+  '<?xpacket end="w"?>'
+].join('');
+
+/* ---------- 图片 ---------- */
+
+function pngChunk(type, data) {
+  return concat(u32(data.length), ascii(type), data, zeros(4));
+}
+
+function pngFile({ width = 800, height = 600, bitDepth = 8, colorType = 6, trns = false, exif = null, xmp = null, text = null } = {}) {
+  return concat(
+    [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A],
+    pngChunk('IHDR', concat(u32(width), u32(height), [bitDepth, colorType, 0, 0, 0])),
+    trns ? pngChunk('tRNS', [0]) : [],
+    exif ? pngChunk('eXIf', exif) : [],
+    xmp ? pngChunk('iTXt', concat(ascii('XML:com.adobe.xmp'), [0, 0, 0, 0, 0], utf8(xmp))) : [],
+    ...Object.keys(text || {}).map(keyword => pngChunk('tEXt', concat(ascii(keyword), [0], ascii(text[keyword])))),
+    pngChunk('IDAT', zeros(16)),
+    pngChunk('IEND', [])
+  );
+}
+
+function jpegFile({
+  width = 640, height = 480, orientation = 6, make = 'Canon', progressive = false,
+  tiff = null, xmp = null, iptc = null, comment = null
+} = {}) {
+  let exif = tiff;
+
+  if (!exif) {
+    const makeBytes = concat(ascii(make), [0]);
+    const ifd = concat(
+      u16(2),
+      u16(0x0112), u16(3), u32(1), u16(orientation), u16(0),
+      u16(0x010F), u16(2), u32(makeBytes.length), u32(8 + 2 + 24 + 4),
+      u32(0)
+    );
+    exif = concat(ascii('MM'), u16(42), u32(8), ifd, makeBytes);
+  }
+
+  const segment = (marker, payload) => concat([0xFF, marker], u16(payload.length + 2), payload);
+  const sof = concat([8], u16(height), u16(width), [3], zeros(9));
+
+  return concat(
+    [0xFF, 0xD8],
+    segment(0xE0, concat(ascii('JFIF'), [0, 1, 1, 0, 0, 1, 0, 1, 0, 0])),
+    segment(0xE1, concat(ascii('Exif'), [0, 0], exif)),
+    xmp ? segment(0xE1, concat(ascii('http://ns.adobe.com/xap/1.0/'), [0], utf8(xmp))) : [],
+    iptc ? segment(0xED, concat(ascii('Photoshop 3.0'), [0], photoshopResources(iptc))) : [],
+    comment ? segment(0xFE, utf8(comment)) : [],
+    [0xFF, progressive ? 0xC2 : 0xC0], u16(sof.length + 2), sof,
+    [0xFF, 0xDA], u16(2),
+    zeros(32),
+    [0xFF, 0xD9]
+  );
+}
+
+/**
+ * 构造扩展格式（VP8X）的无损WebP，EXIF和XMP块位于图像数据之后
+ */
+function webpFile({ width = 400, height = 300, exif = null, xmp = null, exifPrefix = true } = {}) {
+  const chunk = (type, data) => concat(ascii(type), u32le(data.length), data, zeros(data.length % 2));
+  const u24le = value => [value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF];
+  const flags = (exif ? 0x08 : 0) | (xmp ? 0x04 : 0) | 0x10;
+  const bits = ((width - 1) | ((height - 1) << 14) | (1 << 28)) >>> 0;
+
+  const body = concat(
+    ascii('WEBP'),
+    chunk('VP8X', concat([flags, 0, 0, 0], u24le(width - 1), u24le(height - 1))),
+    chunk('VP8L', concat([0x2F], u32le(bits), zeros(11))),
+    exif ? chunk('EXIF', exifPrefix ? concat(ascii('Exif'), [0, 0], exif) : exif) : [],
+    xmp ? chunk('XMP ', utf8(xmp)) : []
+  );
+
+  return concat(ascii('RIFF'), u32le(body.length), body);
+}
+
+/* ---------- ZIP ---------- */
+
+/**
+ * 构造未压缩的ZIP文件，entries为 [名称, 内容] 列表（只写本地文件头，足够用于类型识别）
+ */
+function zipFile(entries) {
+  const u16le = value => [value & 0xFF, (value >> 8) & 0xFF];
+
+  return concat(...entries.map(([name, text = '']) => {
+    const data = ascii(text);
+    return concat(
+      [0x50, 0x4B, 0x03, 0x04], u16le(20), u16le(0), u16le(0), zeros(4), zeros(4),
+      u32le(data.length), u32le(data.length), u16le(name.length), u16le(0),
+      ascii(name), data
+    );
+  }));
+}
+
+module.exports = {
+  concat,
+  ascii,
+  mp4File,
+  mp4Moov,
+  ftypFile,
+  webmFile,
+  id3Frame,
+  id3Tag,
+  mp3File,
+  MP3_FRAME_LENGTH,
+  flacFile,
+  pngFile,
+  jpegFile,
+  webpFile,
+  exifTiff,
+  iptcRecords,
+  SAMPLE_XMP,
+  zipFile
+};
@@ -0,0 +1,226 @@
+/**
+ * @file high-res-rewriter.test.js
+ * @description 高清URL改写规则、HEAD验证选择和右键菜单下载高清版本测试
+ */
+
+chrome.notifications = { create: jest.fn() };
+
+const { default: HighResRewriter } = require('../../src/utils/high-res-rewriter');
+const { HighResService } = require('../../src/services/high-res-service');
+const { default: ContextMenuHandler } = require('../../src/background/handlers/context-menu-handler');
+
+const urls = url => HighResRewriter.getCandidates(url).map(candidate => candidate.url);
+
+/**
+ * 模拟协议适配器服务，infos为 URL -> { size, contentType } 的映射，未列出的URL不可访问
+ */
+function mockProtocolAdapter(infos) {
+  return {
+    getResourceInfo: jest.fn(async url => (infos[url] ?
+      { url, available: true, contentType: 'image/jpeg', ...infos[url] } :
+      { url, available: false, error: 'HTTP error 404: Not Found' }))
+  };
+}
+
+describe('HighResRewriter', () => {
+  test('应该去掉缩放参数或放大宽度', () => {
+    expect(urls('https://cdn.example.com/photo.jpg?w=300&h=200&fit=crop&v=3')).toEqual([
+      'https://cdn.example.com/photo.jpg?v=3',
+      'https://cdn.example.com/photo.jpg?w=600&fit=crop&v=3'
+    ]);
+    expect(urls('https://i0.wp.com/example.com/a.png?width=640')).toEqual([
+      'https://i0.wp.com/example.com/a.png',
+      'https://i0.wp.com/example.com/a.png?width=1280'
+    ]);
+  });
+
+  test('不应该改写非尺寸的同名参数', () => {
+    expect(urls('https://example.com/a.jpg?size=large')).toEqual([]);
+  });
+
+  test('应该去掉WordPress的尺寸后缀和-scaled后缀', () => {
+    expect(urls('https://blog.example.com/wp-content/uploads/2024/05/sunset-150x150.jpg')).toEqual([
+      'https://blog.example.com/wp-content/uploads/2024/05/sunset.jpg'
+    ]);
+    expect(urls('https://blog.example.com/wp-content/uploads/2024/05/sunset-scaled-1024x683.jpg')).toEqual([
+      'https://blog.example.com/wp-content/uploads/2024/05/sunset-scaled.jpg',
+      'https://blog.example.com/wp-content/uploads/2024/05/sunset.jpg'
+    ]);
+  });
+
+  test('应该改写路径中的尺寸段和Shopify尺寸后缀', () => {
+    expect(urls('https://img.example.com/images/300x200/cat.jpg')).toEqual([
+      'https://img.example.com/images/cat.jpg',
+      'https://img.example.com/images/600x400/cat.jpg'
+    ]);
+    expect(urls('https://scontent.example.net/v/t51/s640x640/123_n.jpg')).toEqual([
+      'https://scontent.example.net/v/t51/123_n.jpg',
+      'https://scontent.example.net/v/t51/s1280x1280/123_n.jpg'
+    ]);
+    expect(urls('https://cdn.shopify.com/s/files/1/products/shirt_300x300@2x.jpg?v=123')).toEqual([
+      'https://cdn.shopify.com/s/files/1/products/shirt.jpg?v=123'
+    ]);
+  });
+
+  test('应该去掉缩略图后缀和目录', () => {
+    expect(urls('https://example.com/gallery/img_001_thumb.jpg')).toEqual([
+      'https://example.com/gallery/img_001.jpg',
+      'https://example.com/gallery/img_001_original.jpg',
+      'https://example.com/gallery/img_001_large.jpg'
+    ]);
+    expect(urls('https://example.com/thumbs/a.jpg')).toEqual([
+      'https://example.com/a.jpg',
+      'https://example.com/original/a.jpg',
+      'https://example.com/large/a.jpg'
+    ]);
+  });
+
+  test('应该处理Cloudinary、imgix、Akamai和Google图片CDN', () => {
+    expect(urls('https://res.cloudinary.com/demo/image/upload/w_300,h_200,c_fill/q_auto/v1590000000/sample.jpg')).toEqual([
+      'https://res.cloudinary.com/demo/image/upload/v1590000000/sample.jpg'
+    ]);
+
+    const imgix = HighResRewriter.getCandidates('https://acme.imgix.net/photos/dog.jpg?w=400&h=300&fit=crop&auto=format&ixlib=js-3.0');
+    expect(imgix[0]).toEqual({ url: 'https://acme.imgix.net/photos/dog.jpg', rule: 'imgix' });
+
+    expect(urls('https://www.example.com/images/hero.jpg?imwidth=480&impolicy=mobile')).toEqual([
+      'https://www.example.com/images/hero.jpg'
+    ]);
+    expect(urls('https://lh3.googleusercontent.com/abcXYZ=w400-h300-c')).toEqual([
+      'https://lh3.googleusercontent.com/abcXYZ=s0'
+    ]);
+    expect(urls('https://blogger.googleusercontent.com/img/b/R29v/s320/pic.jpg')).toEqual([
+      'https://blogger.googleusercontent.com/img/b/R29v/s0/pic.jpg'
+    ]);
+  });
+
+  test('站点提取器的改写结果应该排在最前面', () => {
+    const [first] = HighResRewriter.getCandidates('https://pbs.twimg.com/media/ABC123.jpg?format=jpg&name=small');
+
+    expect(first).toEqual({ url: 'https://pbs.twimg.com/media/ABC123?format=jpg&name=orig', rule: 'extractor:twitter' });
+  });
+
+  test('应该忽略无效地址和非http地址，并限制候选数量', () => {
+    expect(HighResRewriter.getCandidates('not a url')).toEqual([]);
+    expect(HighResRewriter.getCandidates('data:image/png;base64,AAAA')).toEqual([]);
+    expect(HighResRewriter.getCandidates('https://example.com/thumbs/a_thumb.jpg?w=100', { limit: 2 })).toHaveLength(2);
+  });
+});
+
+describe('HighResService', () => {
+  afterEach(() => {
+    new HighResService().clearCache();
+  });
+
+  test('应该验证候选并选择最大的可访问版本', async () => {
+    const adapter = mockProtocolAdapter({
+      'https://example.com/gallery/img_001_thumb.jpg': { size: 20000 },
+      'https://example.com/gallery/img_001.jpg': { size: 500000 },
+      'https://example.com/gallery/img_001_large.jpg': { size: 300000 }
+    });
+    const service = new HighResService({ protocolAdapter: adapter });
+
+    const result = await service.findBestVersion('https://example.com/gallery/img_001_thumb.jpg');
+
+    expect(result).toMatchObject({
+      url: 'https://example.com/gallery/img_001.jpg',
+      rule: 'thumb-suffix',
+      size: 500000,
+      originalSize: 20000,
+      checked: 3
+    });
+    expect(adapter.getResourceInfo).toHaveBeenCalledTimes(4);
+  });
+
+  test('应该忽略返回网页的候选和不比原图大的候选', async () => {
+    const service = new HighResService({
+      protocolAdapter: mockProtocolAdapter({
+        'https://cdn.example.com/photo.jpg?w=300': { size: 40000 },
+        'https://cdn.example.com/photo.jpg': { size: 2000, contentType: 'text/html' },
+        'https://cdn.example.com/photo.jpg?w=600': { size: 30000 }
+      })
+    });
+
+    expect(await service.findBestVersion('https://cdn.example.com/photo.jpg?w=300')).toBeNull();
+  });
+
+  test('大小未知时应该选择第一个可访问的候选', async () => {
+    const service = new HighResService({
+      protocolAdapter: mockProtocolAdapter({
+        'https://img.example.com/images/600x400/cat.jpg': { size: 0 }
+      })
+    });
+
+    const result = await service.findBestVersion('https://img.example.com/images/300x200/cat.jpg');
+
+    expect(result).toMatchObject({ url: 'https://img.example.com/images/600x400/cat.jpg', rule: 'path-size' });
+  });
+
+  test('应该缓存查找结果', async () => {
+    const adapter = mockProtocolAdapter({});
+    const service = new HighResService({ protocolAdapter: adapter });
+
+    expect(await service.findBestVersion('https://example.com/thumbs/a.jpg')).toBeNull();
+    expect(await service.findBestVersion('https://example.com/thumbs/a.jpg')).toBeNull();
+    expect(adapter.getResourceInfo).toHaveBeenCalledTimes(4);
+  });
+
+  test('没有候选时不应该发送请求', async () => {
+    const adapter = mockProtocolAdapter({});
+    const service = new HighResService({ protocolAdapter: adapter });
+
+    expect(await service.findBestVersion('https://example.com/a.jpg')).toBeNull();
+    expect(adapter.getResourceInfo).not.toHaveBeenCalled();
+  });
+});
+
+describe('右键菜单下载高质量版本', () => {
+  let handler;
+  let downloadHandler;
+  let resourceService;
+
+  beforeEach(() => {
+    chrome.notifications.create.mockClear();
+    downloadHandler = { addToDownloadQueue: jest.fn() };
+    resourceService = { getSimilarResources: jest.fn(() => []) };
+    handler = new ContextMenuHandler(resourceService, downloadHandler);
+  });
+
+  test('找到验证过的高清地址时应该下载该地址', async () => {
+    handler.highResService = {
+      findBestVersion: jest.fn(async () => ({ url: 'https://example.com/a.jpg', size: 500000, contentType: 'image/jpeg' }))
+    };
+
+    await handler._downloadHighQualityVersion({ srcUrl: 'https://example.com/thumbs/a.jpg', mediaType: 'image' }, { id: 4 });
+
+    expect(downloadHandler.addToDownloadQueue).toHaveBeenCalledWith(expect.objectContaining({
+      url: 'https://example.com/a.jpg',
+      type: 'image',
+      quality: 'high',
+      size: 500000,
+      originalUrl: 'https://example.com/thumbs/a.jpg'
+    }), '4');
+    expect(resourceService.getSimilarResources).not.toHaveBeenCalled();
+  });
+
+  test('找不到高清地址时应该回退到相似资源', async () => {
+    handler.highResService = { findBestVersion: jest.fn(async () => null) };
+    resourceService.getSimilarResources.mockReturnValue([
+      { url: 'https://example.com/a-small.jpg', quality: 'low' },
+      { url: 'https://example.com/a-big.jpg', quality: 'high' }
+    ]);
+
+    await handler._downloadHighQualityVersion({ srcUrl: 'https://example.com/a-small.jpg', mediaType: 'image' }, { id: 4 });
+
+    expect(downloadHandler.addToDownloadQueue).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'https://example.com/a-big.jpg' }), '4');
+  });
+
+  test('视频不应该使用图片改写规则', async () => {
+    handler.highResService = { findBestVersion: jest.fn() };
+
+    await handler._downloadHighQualityVersion({ srcUrl: 'https://example.com/v.mp4', mediaType: 'video' }, { id: 4 });
+
+    expect(handler.highResService.findBestVersion).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @file hls-service.test.js
+ * @description HLS下载服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const nodeCrypto = require('crypto');
+
+Object.defineProperty(global, 'crypto', {
+  value: nodeCrypto.webcrypto,
+  configurable: true
+});
+
+global.fetch = jest.fn();
+
+const HLSService = require('../../src/services/hls-service').default;
+
+const toArrayBuffer = (buffer) => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+const mockRoutes = (routes) => {
+  global.fetch.mockImplementation((url, init = {}) => {
+    const route = routes[url];
+
+    if (typeof route === 'function') {
+      return route(init);
+    }
+
+    if (route === undefined) {
+      return Promise.resolve({ ok: false, status: 404, statusText: 'Not Found' });
+    }
+
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      text: jest.fn().mockResolvedValue(typeof route === 'string' ? route : ''),
+      arrayBuffer: jest.fn().mockResolvedValue(typeof route === 'string' ? toArrayBuffer(Buffer.from(route)) : toArrayBuffer(route))
+    });
+  });
+};
+
+describe('HLSService', () => {
+  const base = 'https://media.example.com/show/';
+  let hlsService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    global.fetch.mockReset();
+
+    hlsService = new HLSService({ concurrency: 2, maxRetries: 2, retryDelay: 0 });
+  });
+
+  test('应该从主播放列表中获取变体', async () => {
+    mockRoutes({
+      [`${base}master.m3u8`]: `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=854x480
+480p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720
+720p.m3u8`
+    });
+
+    const result = await hlsService.getVariants(`${base}master.m3u8`);
+
+    expect(result.isMaster).toBe(true);
+    expect(result.variants.map(v => v.label)).toEqual(['720p', '480p']);
+  });
+
+  test('应该选择指定变体并按顺序合并分片', async () => {
+    mockRoutes({
+      [`${base}master.m3u8`]: `#EXTM3U
+#EXT-X-STREAM-INF:BANDWIDTH=1000000,RESOLUTION=854x480
+480p.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=3000000,RESOLUTION=1280x720
+720p.m3u8`,
+      [`${base}480p.m3u8`]: `#EXTM3U
+#EXT-X-TARGETDURATION:4
+#EXTINF:4,
+a.ts
+#EXTINF:4,
+b.ts
+#EXTINF:4,
+c.ts
+#EXT-X-ENDLIST`,
+      [`${base}a.ts`]: () => new Promise(resolve => setTimeout(() => resolve({
+        ok: true,
+        arrayBuffer: () => Promise.resolve(toArrayBuffer(Buffer.from('AAA')))
+      }), 5)),
+      [`${base}b.ts`]: 'BB',
+      [`${base}c.ts`]: 'C'
+    });
+
+    const progress = [];
+    const result = await hlsService.downloadStream(`${base}master.m3u8`, {
+      variant: `${base}480p.m3u8`,
+      onProgress: p => progress.push(p)
+    });
+
+    const text = result.blob.content.map(part => Buffer.from(part).toString()).join('');
+
+    expect(text).toBe('AAABBC');
+    expect(result.mimeType).toBe('video/mp2t');
+    expect(result.extension).toBe('ts');
+    expect(result.segmentCount).toBe(3);
+    expect(result.totalBytes).toBe(6);
+    expect(result.variant.label).toBe('480p');
+    expect(result.isLive).toBe(false);
+    expect(progress[progress.length - 1]).toMatchObject({ completedSegments: 3, totalSegments: 3, progress: 100 });
+  });
+
+  test('应该在fMP4流前插入初始化分片', async () => {
+    mockRoutes({
+      [`${base}media.m3u8`]: `#EXTM3U
+#EXT-X-MAP:URI="init.mp4"
+#EXTINF:2,
+1.m4s
+#EXTINF:2,
+2.m4s
+#EXT-X-ENDLIST`,
+      [`${base}init.mp4`]: 'I',
+      [`${base}1.m4s`]: '1',
+      [`${base}2.m4s`]: '2'
+    });
+
+    const result = await hlsService.downloadStream(`${base}media.m3u8`);
+    const text = result.blob.content.map(part => Buffer.from(part).toString()).join('');
+
+    expect(text).toBe('I12');
+    expect(result.mimeType).toBe('video/mp4');
+    expect(result.extension).toBe('mp4');
+  });
+
+  test('应该使用AES-128密钥和序列号IV解密分片', async () => {
+    const key = nodeCrypto.randomBytes(16);
+    const iv = Buffer.alloc(16);
+    iv.writeUInt32BE(5, 12);
+
+    const cipher = nodeCrypto.createCipheriv('aes-128-cbc', key, iv);
+    const encrypted = Buffer.concat([cipher.update('secret segment'), cipher.final()]);
+
+    mockRoutes({
+      [`${base}enc.m3u8`]: `#EXTM3U
+#EXT-X-MEDIA-SEQUENCE:5
+#EXT-X-KEY:METHOD=AES-128,URI="key.bin"
+#EXTINF:4,
+s5.ts
+#EXT-X-ENDLIST`,
+      [`${base}key.bin`]: key,
+      [`${base}s5.ts`]: encrypted
+    });
+
+    const result = await hlsService.downloadStream(`${base}enc.m3u8`);
+
+    expect(Buffer.from(result.blob.content[0]).toString()).toBe('secret segment');
+  });
+
+  test('应该重试失败的分片', async () => {
+    let attempts = 0;
+
+    mockRoutes({
+      [`${base}retry.m3u8`]: `#EXTM3U
+#EXTINF:4,
+flaky.ts
+#EXT-X-ENDLIST`,
+      [`${base}flaky.ts`]: () => {
+        attempts++;
+        if (attempts < 3) {
+          return Promise.reject(new Error('network'));
+        }
+        return Promise.resolve({ ok: true, arrayBuffer: () => Promise.resolve(toArrayBuffer(Buffer.from('ok'))) });
+      }
+    });
+
+    const result = await hlsService.downloadStream(`${base}retry.m3u8`);
+
+    expect(attempts).toBe(3);
+    expect(result.totalBytes).toBe(2);
+  });
+
+  test('超过最大重试次数后应该失败', async () => {
+    mockRoutes({
+      [`${base}broken.m3u8`]: `#EXTM3U
+#EXTINF:4,
+missing.ts
+#EXT-X-ENDLIST`
+    });
+
+    await expect(hlsService.downloadStream(`${base}broken.m3u8`)).rejects.toThrow('分片下载失败');
+  });
+
+  test('一个分片失败后应该中止其他分片并停止分派', async () => {
+    let pendingSignal = null;
+
+    mockRoutes({
+      [`${base}partial.m3u8`]: `#EXTM3U
+#EXTINF:4,
+slow.ts
+#EXTINF:4,
+bad.ts
+#EXTINF:4,
+c.ts
+#EXTINF:4,
+d.ts
+#EXT-X-ENDLIST`,
+      [`${base}slow.ts`]: (init) => new Promise((resolve, reject) => {
+        pendingSignal = init.signal;
+        init.signal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      }),
+      [`${base}c.ts`]: 'C',
+      [`${base}d.ts`]: 'D'
+    });
+
+    await expect(hlsService.downloadStream(`${base}partial.m3u8`)).rejects.toThrow('分片下载失败');
+
+    expect(pendingSignal.aborted).toBe(true);
+    const requested = global.fetch.mock.calls.map(([url]) => url);
+    expect(requested).not.toContain(`${base}c.ts`);
+    expect(requested).not.toContain(`${base}d.ts`);
+  });
+
+  test('取消信号应该中止下载', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    mockRoutes({
+      [`${base}media.m3u8`]: `#EXTM3U
+#EXTINF:4,
+a.ts
+#EXT-X-ENDLIST`,
+      [`${base}a.ts`]: 'A'
+    });
+
+    await expect(hlsService.downloadStream(`${base}media.m3u8`, { signal: controller.signal })).rejects.toThrow('下载已取消');
+  });
+});
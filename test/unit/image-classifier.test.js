@@ -0,0 +1,124 @@
+/**
+ * @file image-classifier.test.js
+ * @description 本地图像分类器测试，使用fixtures/images中带标注的图片集
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodePNG } = require('./fixtures/images/png');
+const ImageClassifier = require('../../src/utils/image-classifier').default;
+const { IMAGE_CATEGORIES } = require('../../src/utils/image-classifier');
+const ImageFeatures = require('../../src/utils/image-features').default;
+const { FEATURE_NAMES } = require('../../src/utils/image-features');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures/images');
+const { images } = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'labels.json'), 'utf8'));
+
+function loadFixture(file) {
+  return decodePNG(fs.readFileSync(path.join(FIXTURE_DIR, file)));
+}
+
+function classifyFixture(file) {
+  const image = loadFixture(file);
+  return ImageClassifier.classifyPixels(image.data, image.width, image.height);
+}
+
+describe('ImageClassifier', () => {
+  const testSet = images.filter(image => image.split === 'test');
+
+  test('夹具覆盖全部类别', () => {
+    IMAGE_CATEGORIES.forEach(category => {
+      expect(testSet.filter(image => image.category === category).length).toBeGreaterThan(0);
+    });
+  });
+
+  test('留出测试集准确率不低于90%', () => {
+    const correct = testSet.filter(image => classifyFixture(image.file).category === image.category);
+    expect(correct.length / testSet.length).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('每个类别的留出准确率不低于75%', () => {
+    const weakCategories = IMAGE_CATEGORIES.filter(category => {
+      const samples = testSet.filter(image => image.category === category);
+      const correct = samples.filter(image => classifyFixture(image.file).category === category);
+      return correct.length / samples.length < 0.75;
+    });
+
+    expect(weakCategories).toEqual([]);
+  });
+
+  test('结果是确定的，不使用随机数', () => {
+    const random = jest.spyOn(Math, 'random');
+    const first = classifyFixture('photo-01.png');
+    const second = classifyFixture('photo-01.png');
+    random.mockRestore();
+
+    expect(second).toEqual(first);
+    expect(random).not.toHaveBeenCalled();
+  });
+
+  test('返回各类别概率且总和为1', () => {
+    const result = classifyFixture('screenshot-01.png');
+    const total = Object.values(result.scores).reduce((sum, value) => sum + value, 0);
+
+    expect(Object.keys(result.scores)).toEqual(IMAGE_CATEGORIES);
+    expect(total).toBeCloseTo(1, 6);
+    expect(result.confidence).toBe(result.scores[result.category]);
+  });
+
+  test('特征向量长度无效时抛出错误', () => {
+    expect(() => ImageClassifier.classify([1, 2, 3])).toThrow('特征向量长度无效');
+  });
+});
+
+describe('ImageFeatures', () => {
+  test('特征向量与特征名称一一对应且在合理范围内', () => {
+    const image = loadFixture('chart-01.png');
+    const { vector, features } = ImageFeatures.extract(image.data, image.width, image.height);
+
+    expect(vector).toHaveLength(FEATURE_NAMES.length);
+    FEATURE_NAMES.forEach((name, index) => {
+      expect(vector[index]).toBe(features[name]);
+      expect(features[name]).toBeGreaterThanOrEqual(name === 'aspectRatio' ? -1 : 0);
+      expect(features[name]).toBeLessThanOrEqual(1);
+    });
+  });
+
+  test('宽高比使用原始尺寸', () => {
+    const image = loadFixture('photo-01.png');
+    const { features } = ImageFeatures.extract(image.data, image.width, image.height, {
+      naturalWidth: 4000,
+      naturalHeight: 1000
+    });
+
+    expect(features.aspectRatio).toBe(1);
+  });
+
+  test('统计透明像素', () => {
+    const size = 8;
+    const data = new Uint8ClampedArray(size * size * 4);
+    for (let i = 0; i < size * size; i++) {
+      data[i * 4] = 200;
+      data[i * 4 + 3] = i < size * size / 2 ? 0 : 255;
+    }
+
+    const { features } = ImageFeatures.extract(data, size, size);
+    expect(features.alphaUsage).toBe(0.5);
+    expect(features.dominantColorRatio).toBe(1);
+  });
+
+  test('纯色图片没有边缘和文字区域', () => {
+    const size = 16;
+    const data = new Uint8ClampedArray(size * size * 4).fill(255);
+    const { features } = ImageFeatures.extract(data, size, size);
+
+    expect(features.edgeDensity).toBe(0);
+    expect(features.textRegionRatio).toBe(0);
+    expect(features.flatRatio).toBe(1);
+    expect(features.whiteRatio).toBe(1);
+  });
+
+  test('像素数据无效时抛出错误', () => {
+    expect(() => ImageFeatures.extract(new Uint8ClampedArray(16), 2, 2)).toThrow('像素数据无效');
+  });
+});
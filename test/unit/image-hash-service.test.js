@@ -0,0 +1,130 @@
+/**
+ * @file image-hash-service.test.js
+ * @description 图片感知哈希服务测试
+ */
+
+const { ImageHashService } = require('../../src/services/image-hash-service');
+
+/**
+ * 模拟哈希Worker：对每个URL返回固定哈希，URL包含broken时返回错误，批次中有包含slow的URL时不返回
+ */
+function createFakeWorker(log) {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminate: jest.fn(),
+    postMessage(message) {
+      log.push(message);
+      if (message.urls.some(url => url.includes('slow'))) return;
+
+      const results = message.urls.map(url => (url.includes('broken') ?
+        { url, error: '加载失败' } :
+        { url, dhash: '0123456789abcdef', phash: 'fedcba9876543210' }));
+
+      Promise.resolve().then(() => worker.onmessage({
+        data: { action: 'hashComplete', requestId: message.requestId, results }
+      }));
+    }
+  };
+  return worker;
+}
+
+describe('ImageHashService', () => {
+  let messages;
+  let service;
+
+  beforeEach(() => {
+    global.Worker = function Worker() {};
+    global.OffscreenCanvas = function OffscreenCanvas() {};
+    messages = [];
+    service = new ImageHashService(() => createFakeWorker(messages));
+  });
+
+  afterEach(() => {
+    service.dispose();
+    delete global.Worker;
+    delete global.OffscreenCanvas;
+  });
+
+  test('为资源写入感知哈希并缓存结果', async () => {
+    const resources = [
+      { url: 'https://a.example.com/1.jpg' },
+      { url: 'https://a.example.com/1.jpg' },
+      { url: 'https://a.example.com/broken.jpg' },
+      { url: 'data:image/png;base64,AAAA' }
+    ];
+
+    const hashed = await service.hashResources(resources);
+
+    expect(hashed).toBe(2);
+    expect(messages).toHaveLength(1);
+    expect(messages[0].urls).toEqual(['https://a.example.com/1.jpg', 'https://a.example.com/broken.jpg']);
+    expect(resources[0].perceptualHash).toEqual({ dhash: '0123456789abcdef', phash: 'fedcba9876543210' });
+    expect(resources[2].perceptualHash).toBeUndefined();
+    expect(resources[3].perceptualHash).toBeUndefined();
+    expect(service.getCachedHash('https://a.example.com/1.jpg')).not.toBeNull();
+  });
+
+  test('已缓存或失败过的URL不会重复请求', async () => {
+    await service.hashResources([{ url: 'https://a.example.com/1.jpg' }, { url: 'https://a.example.com/broken.jpg' }]);
+
+    const resource = { url: 'https://a.example.com/1.jpg' };
+    const hashed = await service.hashResources([resource, { url: 'https://a.example.com/broken.jpg' }]);
+
+    expect(hashed).toBe(1);
+    expect(messages).toHaveLength(1);
+    expect(resource.perceptualHash.phash).toBe('fedcba9876543210');
+  });
+
+  test('URL应该分批发送，并为每张图片指定超时时间', async () => {
+    const resources = Array.from({ length: 9 }, (_, i) => ({ url: `https://a.example.com/${i}.jpg` }));
+
+    expect(await service.hashResources(resources)).toBe(9);
+    expect(messages.map(message => message.urls.length)).toEqual([4, 4, 1]);
+    messages.forEach(message => expect(message.timeout).toBeGreaterThan(0));
+  });
+
+  test('整批超时后应该缓存失败的URL、重建Worker并继续下一批', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const resources = [
+      ...['slow', '1', '2', '3'].map(name => ({ url: `https://a.example.com/${name}.jpg` })),
+      { url: 'https://a.example.com/4.jpg' }
+    ];
+
+    const promise = service.hashResources(resources);
+    await Promise.resolve();
+    const stuckWorker = service.worker;
+    jest.advanceTimersByTime(20000);
+
+    expect(await promise).toBe(1);
+    jest.useRealTimers();
+
+    expect(stuckWorker.terminate).toHaveBeenCalled();
+    expect(service.worker).not.toBe(stuckWorker);
+    expect(resources[4].perceptualHash).toBeDefined();
+
+    await service.hashResources(resources.slice(0, 4));
+    expect(messages).toHaveLength(2);
+    console.warn.mockRestore();
+  });
+
+  test('环境不支持OffscreenCanvas时不创建Worker', async () => {
+    delete global.OffscreenCanvas;
+    const createWorker = jest.fn();
+    const unsupported = new ImageHashService(createWorker);
+
+    expect(await unsupported.hashResources([{ url: 'https://a.example.com/1.jpg' }])).toBe(0);
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  test('dispose终止Worker', async () => {
+    await service.hashResources([{ url: 'https://a.example.com/1.jpg' }]);
+    const worker = service.worker;
+
+    service.dispose();
+
+    expect(worker.terminate).toHaveBeenCalled();
+    expect(service.getCachedHash('https://a.example.com/1.jpg')).toBeNull();
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * @file image-metadata.test.js
+ * @description 图片EXIF/IPTC/XMP读取和元数据移除测试
+ */
+
+const { default: MediaHeaderParser, ExifReader, XmpReader } = require('../../src/utils/media-headers/index');
+const { default: MetadataStripper, STRIP_MODES } = require('../../src/utils/metadata-stripper');
+const { default: ZipWriter } = require('../../src/utils/zip-writer');
+const { MetadataService } = require('../../src/services/metadata-service');
+const fixtures = require('./fixtures/media-headers');
+
+const IPTC = fixtures.iptcRecords([
+  [80, '李四'],
+  [116, '© 2025 图片社'],
+  [25, 'city'],
+  [25, 'night'],
+  [120, 'Golden Gate at dusk']
+]);
+
+/**
+ * 返回JPEG中SOS之后的数据，用于确认图像数据未被改动
+ */
+function scanData(bytes) {
+  for (let i = 2; i < bytes.length - 1; i++) {
+    if (bytes[i] === 0xFF && bytes[i + 1] === 0xDA) return Array.from(bytes.subarray(i));
+  }
+  return null;
+}
+
+/**
+ * 读取PNG所有块的类型，并校验重写后的块CRC
+ */
+function pngChunks(bytes) {
+  const chunks = [];
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const crc = view.getUint32(offset + 8 + length);
+    chunks.push({ type, crc, expected: ZipWriter.crc32(bytes.subarray(offset + 4, offset + 8 + length)) });
+    offset += 12 + length;
+  }
+
+  return chunks;
+}
+
+describe('EXIF', () => {
+  test.each([false, true])('读取相机、镜头、拍摄参数和GPS（小端序: %s）', (littleEndian) => {
+    const exif = ExifReader.read(fixtures.exifTiff({ littleEndian, artist: 'Photographer' }));
+
+    expect(exif).toMatchObject({
+      make: 'Canon',
+      model: 'Canon EOS R5',
+      orientation: 1,
+      artist: 'Photographer',
+      dateTimeOriginal: '2025:03:14 09:26:53',
+      lensModel: 'RF24-70mm F2.8 L IS USM',
+      exposureTime: 1 / 250,
+      fNumber: 2.8,
+      iso: 200,
+      focalLength: 35
+    });
+    expect(exif.gps).toEqual({ latitude: 37.7749, longitude: -122.4194, altitude: 15 });
+  });
+
+  test('没有GPS子IFD时gps为undefined，不是TIFF时返回null', () => {
+    expect(ExifReader.read(fixtures.exifTiff({ gps: null })).gps).toBeUndefined();
+    expect(ExifReader.read(fixtures.ascii('not a tiff header'))).toBeNull();
+  });
+});
+
+describe('XMP', () => {
+  test('读取属性和元素两种写法，解码实体并换算坐标', () => {
+    expect(XmpReader.read(fixtures.SAMPLE_XMP)).toEqual({
+      creator: '张三',
+      rights: '© 2025 Zhang & Co',
+      createDate: '2025-03-14T09:26:53',
+      creatorTool: 'Adobe Lightroom',
+      gps: { latitude: 37.7749, longitude: -122.4194, altitude: 15 }
+    });
+  });
+
+  test('移除GPS属性后其他属性不变', () => {
+    const xml = XmpReader.removeGps(fixtures.SAMPLE_XMP);
+
+    expect(XmpReader.hasGps(xml)).toBe(false);
+    expect(XmpReader.read(xml)).toEqual({
+      creator: '张三',
+      rights: '© 2025 Zhang & Co',
+      createDate: '2025-03-14T09:26:53',
+      creatorTool: 'Adobe Lightroom'
+    });
+  });
+});
+
+describe('图片文件头中的元数据', () => {
+  test('JPEG读取APP1的EXIF和XMP、APP13的IPTC和COM注释', () => {
+    const result = MediaHeaderParser.parse(fixtures.jpegFile({
+      tiff: fixtures.exifTiff({ orientation: 6 }),
+      xmp: fixtures.SAMPLE_XMP,
+      iptc: IPTC,
+      comment: 'Processed'
+    }));
+
+    expect(result).toMatchObject({ format: 'jpeg', width: 640, height: 480, orientation: 6, comment: 'Processed', complete: true });
+    expect(result.exif.lensModel).toBe('RF24-70mm F2.8 L IS USM');
+    expect(result.xmp.creator).toBe('张三');
+    expect(result.iptc).toEqual({
+      byline: '李四',
+      copyright: '© 2025 图片社',
+      keywords: ['city', 'night'],
+      caption: 'Golden Gate at dusk'
+    });
+  });
+
+  test('PNG读取eXIf、XMP数据包和文字块', () => {
+    const result = MediaHeaderParser.parse(fixtures.pngFile({
+      exif: fixtures.exifTiff(),
+      xmp: fixtures.SAMPLE_XMP,
+      text: { Author: 'Painter', Software: 'GIMP' }
+    }));
+
+    expect(result.exif.gps.latitude).toBe(37.7749);
+    expect(result.xmp.rights).toBe('© 2025 Zhang & Co');
+    expect(result.text).toEqual({ author: 'Painter', software: 'GIMP' });
+  });
+
+  test('WebP读取VP8X尺寸和图像数据之后的EXIF、XMP块', () => {
+    const result = MediaHeaderParser.parse(fixtures.webpFile({
+      width: 400,
+      height: 300,
+      exif: fixtures.exifTiff({ littleEndian: true }),
+      xmp: fixtures.SAMPLE_XMP
+    }));
+
+    expect(result).toMatchObject({ format: 'webp', width: 400, height: 300, hasAlpha: true, lossless: true, complete: true });
+    expect(result.exif.model).toBe('Canon EOS R5');
+    expect(result.xmp.creator).toBe('张三');
+
+    const noPrefix = MediaHeaderParser.parse(fixtures.webpFile({ exif: fixtures.exifTiff(), exifPrefix: false }));
+    expect(noPrefix.exif.make).toBe('Canon');
+  });
+
+  test('MetadataService汇总各来源的字段', () => {
+    const header = MediaHeaderParser.parse(fixtures.jpegFile({
+      tiff: fixtures.exifTiff({ artist: 'EXIF Artist' }),
+      xmp: fixtures.SAMPLE_XMP,
+      iptc: IPTC
+    }));
+    const summary = new MetadataService().summarizeEmbeddedMetadata(header);
+
+    expect(summary).toMatchObject({
+      camera: 'Canon EOS R5',
+      lens: 'RF24-70mm F2.8 L IS USM',
+      captureDate: '2025:03:14 09:26:53',
+      exposure: '1/250s f/2.8 ISO 200 35mm',
+      author: '李四',
+      copyright: '© 2025 图片社',
+      description: 'Golden Gate at dusk',
+      keywords: ['city', 'night'],
+      software: 'Adobe Lightroom',
+      gps: { latitude: 37.7749, longitude: -122.4194, altitude: 15 },
+      sources: ['EXIF', 'IPTC', 'XMP']
+    });
+
+    expect(new MetadataService().summarizeEmbeddedMetadata(MediaHeaderParser.parse(fixtures.pngFile()))).toBeNull();
+  });
+});
+
+describe('MetadataStripper', () => {
+  const jpeg = fixtures.jpegFile({
+    tiff: fixtures.exifTiff({ orientation: 6 }),
+    xmp: fixtures.SAMPLE_XMP,
+    iptc: IPTC,
+    comment: 'Processed'
+  });
+
+  test('JPEG移除GPS时保留其他元数据，EXIF段长度不变', () => {
+    const result = MetadataStripper.strip(jpeg, STRIP_MODES.GPS);
+    const header = MediaHeaderParser.parse(result.bytes);
+
+    expect(result.stripped).toBe(true);
+    expect(header.exif.gps).toBeNull();
+    expect(header.exif).toMatchObject({ make: 'Canon', lensModel: 'RF24-70mm F2.8 L IS USM', orientation: 6 });
+    expect(header.xmp.gps).toBeUndefined();
+    expect(header.xmp.creator).toBe('张三');
+    expect(header.iptc.byline).toBe('李四');
+    expect(header.comment).toBe('Processed');
+    expect(scanData(result.bytes)).toEqual(scanData(jpeg));
+    expect(Array.from(result.bytes).join(',')).not.toContain([0x47, 0x50, 0x53, 0x4C, 0x61, 0x74].join(','));
+  });
+
+  test('JPEG移除全部元数据时只保留方向和图像数据', () => {
+    const result = MetadataStripper.strip(jpeg, STRIP_MODES.ALL);
+    const header = MediaHeaderParser.parse(result.bytes);
+
+    expect(result.stripped).toBe(true);
+    expect(header.exif).toEqual({ orientation: 6 });
+    expect(header.xmp).toBeNull();
+    expect(header.iptc).toBeNull();
+    expect(header.comment).toBeNull();
+    expect(header).toMatchObject({ width: 640, height: 480, complete: true });
+    expect(scanData(result.bytes)).toEqual(scanData(jpeg));
+    expect(result.bytes.length).toBeLessThan(jpeg.length);
+  });
+
+  test('方向为1时移除全部元数据不再写入EXIF', () => {
+    const result = MetadataStripper.strip(fixtures.jpegFile({ tiff: fixtures.exifTiff() }), STRIP_MODES.ALL);
+
+    expect(MediaHeaderParser.parse(result.bytes).exif).toBeNull();
+  });
+
+  test('PNG移除GPS后重新计算CRC，移除全部时删除元数据块', () => {
+    const png = fixtures.pngFile({
+      exif: fixtures.exifTiff(),
+      xmp: fixtures.SAMPLE_XMP,
+      text: { Author: 'Painter' }
+    });
+
+    const gps = MetadataStripper.strip(png, STRIP_MODES.GPS);
+    const gpsHeader = MediaHeaderParser.parse(gps.bytes);
+    const rewritten = pngChunks(gps.bytes).filter(chunk => chunk.type === 'eXIf' || chunk.type === 'iTXt');
+
+    expect(gpsHeader.exif.gps).toBeNull();
+    expect(gpsHeader.exif.make).toBe('Canon');
+    expect(gpsHeader.xmp.gps).toBeUndefined();
+    expect(gpsHeader.text.author).toBe('Painter');
+    expect(rewritten).toHaveLength(2);
+    rewritten.forEach(chunk => expect(chunk.crc).toBe(chunk.expected));
+
+    const all = MetadataStripper.strip(png, STRIP_MODES.ALL);
+
+    expect(pngChunks(all.bytes).map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+    expect(MediaHeaderParser.parse(all.bytes)).toMatchObject({ width: 800, height: 600, exif: null, xmp: null, text: null });
+  });
+
+  test('WebP移除全部元数据时删除块、清除VP8X标志并更新RIFF大小', () => {
+    const webp = fixtures.webpFile({ exif: fixtures.exifTiff(), xmp: fixtures.SAMPLE_XMP });
+
+    const all = MetadataStripper.strip(webp, STRIP_MODES.ALL);
+    const view = new DataView(all.bytes.buffer, all.bytes.byteOffset, all.bytes.byteLength);
+    const header = MediaHeaderParser.parse(all.bytes);
+
+    expect(view.getUint32(4, true)).toBe(all.bytes.length - 8);
+    expect(all.bytes[20] & 0x0C).toBe(0);
+    expect(all.bytes[20] & 0x10).toBe(0x10);
+    expect(header).toMatchObject({ width: 400, height: 300, exif: null, xmp: null });
+
+    const gps = MetadataStripper.strip(webp, STRIP_MODES.GPS);
+    const gpsHeader = MediaHeaderParser.parse(gps.bytes);
+
+    expect(gpsHeader.exif.gps).toBeNull();
+    expect(gpsHeader.xmp.creator).toBe('张三');
+    expect(gpsHeader.xmp.gps).toBeUndefined();
+    expect(new DataView(gps.bytes.buffer, gps.bytes.byteOffset).getUint32(4, true)).toBe(gps.bytes.length - 8);
+  });
+
+  test('没有需要移除的内容、不支持的格式或保留模式时返回原数据', () => {
+    const clean = fixtures.jpegFile({ tiff: fixtures.exifTiff({ gps: null }) });
+    const gif = fixtures.ascii('GIF89a\u0001\u0000\u0001\u0000');
+
+    expect(MetadataStripper.strip(clean, STRIP_MODES.GPS)).toEqual({ bytes: clean, format: 'jpeg', stripped: false });
+    expect(MetadataStripper.strip(gif, STRIP_MODES.ALL).stripped).toBe(false);
+    expect(MetadataStripper.strip(jpeg, STRIP_MODES.NONE).bytes).toBe(jpeg);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * @file instagram-extractor.test.js
+ * @description Instagram站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const instagram = require('../../src/extractors/instagram').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('Instagram站点提取器', () => {
+  const pageUrl = 'https://www.instagram.com/p/C4abcdEFGhi/';
+
+  test('应该实现提取器接口', () => {
+    expect(ExtractorRegistry.validate(instagram).valid).toBe(true);
+    expect(instagram.rewriteUrl).toBeUndefined();
+  });
+
+  test('应该从srcset中选取最大的图片并按显示比例计算高度', () => {
+    const registry = new ExtractorRegistry([instagram]);
+    const resources = registry.extractFromDocument(loadFixture('instagram-post.html'), pageUrl);
+    const image = resources.find(resource => resource.type === 'image');
+
+    expect(image.url).toBe('https://scontent-lax3-1.cdninstagram.com/v/t51.29350-15/photo_n.jpg?stp=dst-jpg_e35_p1080x1080&_nc_ht=scontent');
+    expect(image.width).toBe(1080);
+    expect(image.height).toBe(Math.round(1080 * 767 / 614));
+    expect(image.alt).toBe('Photo by NASA on March 1, 2025.');
+    expect(image.extractor).toBe('instagram');
+  });
+
+  test('应该提取帖子视频和封面', () => {
+    const resources = instagram.extractFromDocument(loadFixture('instagram-post.html'), { pageUrl });
+    const video = resources.find(resource => resource.type === 'video');
+
+    expect(video.url).toContain('reel_video.mp4');
+    expect(video.thumbnailUrl).toContain('reel_poster.jpg');
+  });
+});
@@ -0,0 +1,273 @@
+/**
+ * @file library-service.test.js
+ * @description 资源库服务和资源库组件测试
+ */
+
+const { LibraryService, MAX_NOTES_LENGTH } = require('../../src/services/library-service');
+const { default: ResourceLibrary } = require('../../src/components/resource-library');
+
+/**
+ * 内存中的资源库存储，模拟indexeddb-service的相关方法
+ */
+function createFakeDatabase() {
+  const records = new Map();
+  const copy = record => JSON.parse(JSON.stringify(record));
+  return {
+    records,
+    saveLibraryItem: jest.fn(async item => {
+      records.set(item.id, copy(item));
+      return item.id;
+    }),
+    getLibraryItem: jest.fn(async id => (records.has(id) ? copy(records.get(id)) : null)),
+    getLibraryItemByUrl: jest.fn(async url => {
+      const item = Array.from(records.values()).find(record => record.url === url);
+      return item ? copy(item) : null;
+    }),
+    getLibraryItems: jest.fn(async tag => Array.from(records.values())
+      .filter(record => !tag || record.tags.includes(tag))
+      .map(copy)),
+    deleteLibraryItem: jest.fn(async id => {
+      records.delete(id);
+    })
+  };
+}
+
+describe('LibraryService', () => {
+  let db;
+  let service;
+
+  beforeEach(() => {
+    db = createFakeDatabase();
+    service = new LibraryService(async () => db);
+  });
+
+  describe('parseQuery', () => {
+    test('应该解析字段、尺寸、日期和关键词', () => {
+      const query = LibraryService.parseQuery('logo tag:Brand #参考 domain:www.Example.com type:image width>=1920 height<600 after:2025-01-01 before:2025/2/1 "dark mode"');
+
+      expect(query).toEqual({
+        terms: ['logo', 'dark mode'],
+        tags: ['brand', '参考'],
+        domain: 'example.com',
+        type: 'image',
+        minWidth: 1920,
+        maxHeight: 599,
+        from: new Date(2025, 0, 1).getTime(),
+        to: new Date(2025, 1, 1).getTime()
+      });
+    });
+
+    test('无法解析的日期应该作为关键词', () => {
+      expect(LibraryService.parseQuery('after:yesterday').terms).toEqual(['after:yesterday']);
+    });
+
+    test('应该规范化标签', () => {
+      expect(LibraryService.normalizeTags(' #UI, icons，UI  ')).toEqual(['ui', 'icons']);
+      expect(LibraryService.normalizeTags(['a', '', null, '#B'])).toEqual(['a', 'b']);
+    });
+  });
+
+  describe('保存和修改', () => {
+    test('应该保存资源和来源页面信息', async () => {
+      const { item, created } = await service.saveResource(
+        { url: 'https://cdn.example.com/a/photo.jpg', type: 'image', width: 1920, height: 1080, size: 345678, source: 'dom' },
+        { tags: 'Hero, 参考', notes: '首页横幅', pageUrl: 'https://www.site.org/gallery', pageTitle: '图库' }
+      );
+
+      expect(created).toBe(true);
+      expect(item).toMatchObject({
+        url: 'https://cdn.example.com/a/photo.jpg',
+        type: 'image',
+        width: 1920,
+        height: 1080,
+        size: 345678,
+        filename: 'photo.jpg',
+        domain: 'cdn.example.com',
+        pageUrl: 'https://www.site.org/gallery',
+        pageTitle: '图库',
+        pageDomain: 'site.org',
+        tags: ['hero', '参考'],
+        notes: '首页横幅'
+      });
+      expect(item.id).toMatch(/^lib_/);
+      expect(item.source).toBeUndefined();
+      expect(db.records.size).toBe(1);
+    });
+
+    test('再次保存同一URL应该合并标签并保留原有信息', async () => {
+      const first = await service.saveResource({ url: 'https://example.com/a.png', type: 'image', width: 100, height: 80 },
+        { tags: ['icons'], notes: '第一次', pageUrl: 'https://example.com/page' });
+
+      const second = await service.saveResource({ url: 'https://example.com/a.png', type: 'image' }, { tags: 'ui' });
+
+      expect(second.created).toBe(false);
+      expect(second.item).toMatchObject({
+        id: first.item.id,
+        savedAt: first.item.savedAt,
+        tags: ['icons', 'ui'],
+        notes: '第一次',
+        width: 100,
+        pageUrl: 'https://example.com/page'
+      });
+      expect(db.records.size).toBe(1);
+    });
+
+    test('应该修改标签和备注，并限制备注长度', async () => {
+      const { item } = await service.saveResource({ url: 'https://example.com/a.png' }, { tags: 'old' });
+
+      const updated = await service.updateItem(item.id, { tags: '#New other', notes: 'x'.repeat(MAX_NOTES_LENGTH + 10) });
+
+      expect(updated.tags).toEqual(['new', 'other']);
+      expect(updated.notes).toHaveLength(MAX_NOTES_LENGTH);
+      await expect(service.updateItem('missing', {})).rejects.toThrow('资源库中没有该条目');
+    });
+
+    test('无效资源应该报错，删除后不再能找到', async () => {
+      await expect(service.saveResource({})).rejects.toThrow('无效的资源');
+
+      const { item } = await service.saveResource({ url: 'https://example.com/a.png' });
+      await service.removeItem(item.id);
+
+      expect(await service.getItemByUrl('https://example.com/a.png')).toBeNull();
+    });
+  });
+
+  describe('搜索', () => {
+    beforeEach(async () => {
+      jest.spyOn(Date, 'now').mockReturnValue(new Date(2025, 0, 10).getTime());
+      await service.saveResource({ url: 'https://images.example.com/hero-dark.jpg', type: 'image', width: 2560, height: 1440 },
+        { tags: 'hero, dark', pageUrl: 'https://example.com/home', pageTitle: 'Example 首页' });
+
+      Date.now.mockReturnValue(new Date(2025, 1, 10).getTime());
+      await service.saveResource({ url: 'https://cdn.other.net/icons/logo.svg', type: 'image' },
+        { tags: 'icons', notes: '品牌标志' });
+
+      Date.now.mockReturnValue(new Date(2025, 2, 10).getTime());
+      await service.saveResource({ url: 'https://video.example.com/intro.mp4', type: 'video', width: 1280, height: 720 },
+        { tags: 'hero', pageUrl: 'https://example.com/about' });
+      Date.now.mockRestore();
+    });
+
+    const urls = items => items.map(item => item.url);
+
+    test('没有条件时应该按保存时间从新到旧返回全部', async () => {
+      expect(urls(await service.search(''))).toEqual([
+        'https://video.example.com/intro.mp4',
+        'https://cdn.other.net/icons/logo.svg',
+        'https://images.example.com/hero-dark.jpg'
+      ]);
+      expect(await service.search('', { limit: 1 })).toHaveLength(1);
+    });
+
+    test('应该按标签搜索并使用标签索引', async () => {
+      expect(urls(await service.search('tag:hero type:image'))).toEqual(['https://images.example.com/hero-dark.jpg']);
+      expect(db.getLibraryItems).toHaveBeenLastCalledWith('hero');
+    });
+
+    test('应该按资源域名或来源页面域名搜索', async () => {
+      expect(urls(await service.search('domain:example.com'))).toEqual([
+        'https://video.example.com/intro.mp4',
+        'https://images.example.com/hero-dark.jpg'
+      ]);
+      expect(urls(await service.search('site:other.net'))).toEqual(['https://cdn.other.net/icons/logo.svg']);
+    });
+
+    test('应该按尺寸和日期搜索', async () => {
+      expect(urls(await service.search('width>=1920'))).toEqual(['https://images.example.com/hero-dark.jpg']);
+      expect(urls(await service.search('height<=720'))).toEqual(['https://video.example.com/intro.mp4']);
+      expect(urls(await service.search('after:2025-02-01 before:2025-03-01'))).toEqual(['https://cdn.other.net/icons/logo.svg']);
+    });
+
+    test('关键词应该匹配备注、页面标题和URL', async () => {
+      expect(urls(await service.search('品牌'))).toEqual(['https://cdn.other.net/icons/logo.svg']);
+      expect(urls(await service.search('首页'))).toEqual(['https://images.example.com/hero-dark.jpg']);
+      expect(urls(await service.search('INTRO'))).toEqual(['https://video.example.com/intro.mp4']);
+      expect(await service.search('intro logo')).toEqual([]);
+    });
+
+    test('应该统计标签并找出已保存的URL', async () => {
+      expect(await service.getTags()).toEqual([
+        { tag: 'hero', count: 2 },
+        { tag: 'dark', count: 1 },
+        { tag: 'icons', count: 1 }
+      ]);
+
+      const saved = await service.findSavedUrls(['https://cdn.other.net/icons/logo.svg', 'https://example.com/unknown.png']);
+      expect(Array.from(saved)).toEqual(['https://cdn.other.net/icons/logo.svg']);
+    });
+  });
+});
+
+describe('ResourceLibrary', () => {
+  let service;
+  let library;
+  let downloadService;
+
+  beforeEach(async () => {
+    document.body.innerHTML = '<div id="resource-library-container"></div><div id="toast-container"></div>';
+    const db = createFakeDatabase();
+    service = new LibraryService(async () => db);
+
+    await service.saveResource({ url: 'https://example.com/a.png', type: 'image' }, { tags: 'ui', notes: '<b>备注</b>' });
+    await service.saveResource({ url: 'https://example.com/b.mp4', type: 'video' }, { tags: 'video' });
+
+    downloadService = { download: jest.fn(() => Promise.resolve()) };
+    library = new ResourceLibrary('resource-library-container', downloadService, service);
+    library.initialize();
+    await library.loadLibrary();
+  });
+
+  test('应该显示条目、标签和计数，备注按文本显示', () => {
+    expect(document.querySelectorAll('.library-item')).toHaveLength(2);
+    expect(document.getElementById('library-count').textContent).toBe('2');
+    expect(Array.from(document.querySelectorAll('#library-tags .library-tag')).map(chip => chip.textContent))
+      .toEqual(['#ui 1', '#video 1']);
+    expect(Array.from(document.querySelectorAll('.library-notes')).map(notes => notes.textContent))
+      .toContain('<b>备注</b>');
+  });
+
+  test('点击标签应该按标签筛选，再次点击取消', async () => {
+    document.querySelector('#library-tags .library-tag').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('library-search-input').value).toBe('tag:ui');
+    expect(document.querySelectorAll('.library-item')).toHaveLength(1);
+    expect(document.querySelector('#library-tags .library-tag').classList.contains('active')).toBe(true);
+
+    document.querySelector('#library-tags .library-tag').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.querySelectorAll('.library-item')).toHaveLength(2);
+  });
+
+  test('应该编辑标签和备注', async () => {
+    const item = (await service.search('tag:ui'))[0];
+    document.querySelector(`.library-item[data-id="${item.id}"] .edit-library-btn`).click();
+
+    document.querySelector('.library-tags-input').value = 'ui, 参考';
+    document.querySelector('.library-notes-input').value = '新的备注';
+    document.querySelector('.save-library-edit-btn').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect((await service.getItemByUrl('https://example.com/a.png'))).toMatchObject({ tags: ['ui', '参考'], notes: '新的备注' });
+    expect(document.querySelector('.library-editor')).toBeNull();
+  });
+
+  test('此前已下载过的条目确认后应该允许重复下载', async () => {
+    const duplicate = Object.assign(new Error('已于2025/1/1下载为 a.png'), { duplicate: { filename: 'a.png' } });
+    downloadService.download.mockImplementation((item, options = {}) =>
+      options.allowDuplicate ? Promise.resolve() : Promise.reject(duplicate));
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    const item = (await service.search('tag:ui'))[0];
+    document.querySelector(`.library-item[data-id="${item.id}"] .download-library-btn`).click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(confirm).toHaveBeenCalledWith(expect.stringContaining('已于2025/1/1下载为 a.png'));
+    expect(downloadService.download).toHaveBeenCalledTimes(2);
+    expect(downloadService.download.mock.calls[1][1]).toEqual({ allowDuplicate: true });
+    expect(document.getElementById('toast-container').textContent).not.toContain('下载失败');
+
+    confirm.mockRestore();
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @file log-exporters.test.js
+ * @description 远程日志导出格式（OTLP JSON、NDJSON、syslog）、gzip压缩和认证请求头测试，请求发送到本地桩服务器
+ */
+
+// logging-service在导入时会初始化IndexedDB服务，jsdom中没有indexedDB
+global.indexedDB = { open: () => ({}) };
+
+const zlib = require('zlib');
+const {
+  LOG_EXPORT_FORMATS,
+  OTLP_SEVERITY,
+  createLogExporter,
+  buildLogRequest
+} = require('../../src/services/log-exporters');
+const { LogLevel, LogCategory } = require('../../src/services/logging-service');
+const { startLogStubServer, nodeFetch } = require('./tools/log-stub-server');
+
+const CLIENT_INFO = { version: '2.0.0', userAgent: 'TestAgent/1.0', timestamp: 0 };
+const TIMESTAMP = Date.UTC(2025, 0, 2, 3, 4, 5, 678);
+
+const LOGS = [
+  {
+    id: 'log_1',
+    timestamp: TIMESTAMP,
+    level: LogLevel.ERROR,
+    category: LogCategory.DOWNLOAD,
+    message: '下载失败',
+    data: { url: 'https://example.com/a.mp4', status: 503, retry: true, ratio: 0.5, tags: ['a'] }
+  },
+  {
+    id: 'log_2',
+    timestamp: TIMESTAMP + 1000,
+    level: LogLevel.WARNING,
+    category: LogCategory.NETWORK,
+    message: '请求超时\n第二行',
+    data: null
+  }
+];
+
+const gzipBase64 = text => Promise.resolve(zlib.gzipSync(Buffer.from(text, 'utf8')).toString('base64'));
+
+/**
+ * 构建请求并发送到桩服务器
+ */
+async function send(server, options) {
+  const { headers, body } = await buildLogRequest(LOGS, { clientInfo: CLIENT_INFO, ...options });
+  const response = await nodeFetch(server.url, { method: 'POST', headers, body });
+  expect(response.ok).toBe(true);
+  return server.requests[server.requests.length - 1];
+}
+
+describe('日志导出格式', () => {
+  test('OTLP应该映射严重性、类别和附加数据', () => {
+    const body = JSON.parse(createLogExporter(LOG_EXPORT_FORMATS.OTLP, CLIENT_INFO).serialize(LOGS));
+    const [resourceLogs] = body.resourceLogs;
+    const [first, second] = resourceLogs.scopeLogs[0].logRecords;
+
+    expect(resourceLogs.resource.attributes).toEqual([
+      { key: 'service.name', value: { stringValue: 'resource-sniffer' } },
+      { key: 'service.version', value: { stringValue: '2.0.0' } },
+      { key: 'user_agent.original', value: { stringValue: 'TestAgent/1.0' } }
+    ]);
+    expect(first).toMatchObject({
+      timeUnixNano: `${TIMESTAMP}000000`,
+      severityNumber: 17,
+      severityText: 'ERROR',
+      body: { stringValue: '下载失败' }
+    });
+    expect(first.attributes).toEqual([
+      { key: 'log.category', value: { stringValue: 'download' } },
+      { key: 'log.id', value: { stringValue: 'log_1' } },
+      {
+        key: 'log.data',
+        value: {
+          kvlistValue: {
+            values: [
+              { key: 'url', value: { stringValue: 'https://example.com/a.mp4' } },
+              { key: 'status', value: { intValue: '503' } },
+              { key: 'retry', value: { boolValue: true } },
+              { key: 'ratio', value: { doubleValue: 0.5 } },
+              { key: 'tags', value: { arrayValue: { values: [{ stringValue: 'a' }] } } }
+            ]
+          }
+        }
+      }
+    ]);
+    expect(second).toMatchObject({ severityNumber: OTLP_SEVERITY[LogLevel.WARNING].number, severityText: 'WARN' });
+    expect(second.attributes.map(attribute => attribute.key)).toEqual(['log.category', 'log.id']);
+  });
+
+  test('NDJSON应该每行一个日志对象', () => {
+    const text = createLogExporter(LOG_EXPORT_FORMATS.NDJSON, CLIENT_INFO).serialize(LOGS);
+    const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+    expect(text.endsWith('\n')).toBe(true);
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual({
+      timestamp: '2025-01-02T03:04:05.678Z',
+      level: 'error',
+      category: 'download',
+      message: '下载失败',
+      data: LOGS[0].data,
+      id: 'log_1',
+      service: 'resource-sniffer',
+      version: '2.0.0'
+    });
+    expect(lines[1]).toMatchObject({ level: 'warning', message: '请求超时\n第二行', data: null });
+  });
+
+  test('syslog应该符合RFC 5424格式并转义结构化数据', () => {
+    const exporter = createLogExporter(LOG_EXPORT_FORMATS.SYSLOG, { version: '2.0.0' });
+    const lines = exporter.serialize([...LOGS, { id: 'a"b]c', timestamp: TIMESTAMP, level: LogLevel.DEBUG, message: 'x' }])
+      .trim().split('\n');
+
+    expect(lines[0]).toBe('<11>1 2025-01-02T03:04:05.678Z - resource-sniffer - download ' +
+      '[meta@32473 category="download" id="log_1" version="2.0.0"] \uFEFF下载失败 ' + JSON.stringify(LOGS[0].data));
+    expect(lines[1]).toBe('<12>1 2025-01-02T03:04:06.678Z - resource-sniffer - network ' +
+      '[meta@32473 category="network" id="log_2" version="2.0.0"] \uFEFF请求超时 第二行');
+    expect(lines[2]).toBe('<15>1 2025-01-02T03:04:05.678Z - resource-sniffer - - ' +
+      '[meta@32473 id="a\\"b\\]c" version="2.0.0"] \uFEFFx');
+  });
+
+  test('不支持的格式应该报错', () => {
+    expect(() => createLogExporter('xml')).toThrow('不支持的日志导出格式: xml');
+  });
+});
+
+describe('发送到日志桩服务器', () => {
+  let server;
+
+  beforeEach(async () => {
+    server = await startLogStubServer();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test('应该gzip压缩OTLP请求体并带上认证请求头', async () => {
+    const request = await send(server, {
+      format: LOG_EXPORT_FORMATS.OTLP,
+      compression: true,
+      compress: gzipBase64,
+      headers: { Authorization: 'Bearer secret-token' }
+    });
+
+    expect(request.method).toBe('POST');
+    expect(request.path).toBe('/v1/logs');
+    expect(request.headers).toMatchObject({
+      'content-type': 'application/json',
+      'content-encoding': 'gzip',
+      authorization: 'Bearer secret-token'
+    });
+    expect(request.size).toBeLessThan(request.text.length);
+    expect(request.body.resourceLogs[0].scopeLogs[0].logRecords).toHaveLength(2);
+  });
+
+  test('NDJSON和syslog应该以对应的Content-Type发送', async () => {
+    const ndjson = await send(server, { format: LOG_EXPORT_FORMATS.NDJSON, compression: true, compress: gzipBase64 });
+    expect(ndjson.headers['content-type']).toBe('application/x-ndjson');
+    expect(ndjson.body.map(log => log.id)).toEqual(['log_1', 'log_2']);
+
+    const syslog = await send(server, { format: LOG_EXPORT_FORMATS.SYSLOG, headers: { 'X-API-Key': 'k' } });
+    expect(syslog.headers['content-type']).toBe('text/plain; charset=utf-8');
+    expect(syslog.headers['content-encoding']).toBeUndefined();
+    expect(syslog.headers['x-api-key']).toBe('k');
+    expect(syslog.body).toHaveLength(2);
+    expect(syslog.body[0]).toMatch(/^<11>1 /);
+  });
+
+  test('默认应该发送旧的{logs, clientInfo}格式', async () => {
+    const request = await send(server, {});
+
+    expect(request.headers['content-type']).toBe('application/json');
+    expect(request.body).toEqual({ logs: LOGS, clientInfo: CLIENT_INFO });
+  });
+
+  test('压缩结果不是gzip数据时应该发送未压缩的请求体', async () => {
+    const request = await send(server, {
+      format: LOG_EXPORT_FORMATS.NDJSON,
+      compression: true,
+      compress: text => Promise.resolve(Buffer.from(text).toString('base64'))
+    });
+
+    expect(request.headers['content-encoding']).toBeUndefined();
+    expect(request.body).toHaveLength(2);
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * @file log-query.test.js
+ * @description 日志查询语言测试：解析、布尔组合、附加数据字段路径、相对时间、语法错误位置和索引计划
+ */
+
+const { default: LogQuery } = require('../../src/utils/log-query');
+
+const NOW = new Date(2025, 0, 10, 12, 0, 0).getTime();
+const HOUR = 60 * 60 * 1000;
+
+const LOGS = [
+  { id: 'a', timestamp: NOW - 3 * HOUR, level: 3, category: 'download', message: '下载失败: Timeout', data: { status: 'interrupted', size: 2048, url: 'https://example.com/a.mp4' } },
+  { id: 'b', timestamp: NOW - HOUR, level: 2, category: 'download', message: '下载重试', data: { status: 'interrupted', size: 512 } },
+  { id: 'c', timestamp: NOW - 30 * 60 * 1000, level: 2, category: 'network', message: '请求超时 timeout', data: { tags: [{ name: 'cdn' }, { name: 'slow' }] } },
+  { id: 'd', timestamp: NOW - 10 * 60 * 1000, level: 1, category: 'app', message: '应用启动', data: null },
+  { id: 'e', timestamp: NOW, level: 0, category: 'ui', message: '点击按钮', data: { button: 'download' } }
+];
+
+const run = text => LogQuery.parse(text, { now: NOW });
+const ids = text => LOGS.filter(log => run(text).matches(log)).map(log => log.id);
+
+describe('LogQuery', () => {
+  test('应该组合级别、类别、字段路径、短语和相对时间', () => {
+    expect(ids('level>=warn category:download data.status:interrupted "timeout" since:2h')).toEqual([]);
+    expect(ids('level>=warn category:download data.status:interrupted since:2h')).toEqual(['b']);
+    expect(ids('level>=warn category:download data.status:interrupted "timeout"')).toEqual(['a']);
+    expect(ids('level:info')).toEqual(['d']);
+    expect(ids('level<2 until:5m')).toEqual(['d']);
+  });
+
+  test('没有字段的词应该在消息和附加数据中查找，与原来的搜索相同', () => {
+    expect(ids('timeout')).toEqual(['a', 'c']);
+    expect(ids('download')).toEqual(['e']);
+    expect(ids('time*out')).toEqual(['a', 'c']);
+  });
+
+  test('应该支持AND、OR、NOT、前缀-和括号', () => {
+    expect(ids('category:download OR category:network')).toEqual(['a', 'b', 'c']);
+    expect(ids('(category:download OR category:network) AND NOT level:error')).toEqual(['b', 'c']);
+    expect(ids('category:download OR category:network -timeout')).toEqual(['a', 'b']);
+    expect(ids('NOT (level>=warn)')).toEqual(['d', 'e']);
+  });
+
+  test('附加数据字段应该支持比较、通配符、数组和不等于', () => {
+    expect(ids('data.size>1000')).toEqual(['a']);
+    expect(ids('data.size<=512')).toEqual(['b']);
+    expect(ids('data.url:*.mp4')).toEqual(['a']);
+    expect(ids('data.tags.name:slow')).toEqual(['c']);
+    expect(ids('data.status!=interrupted')).toEqual(['c', 'd', 'e']);
+    expect(ids('message:"下载*"')).toEqual(['a', 'b']);
+    expect(ids('id=d')).toEqual(['d']);
+  });
+
+  test('since应该支持日期', () => {
+    expect(ids('since:2025-01-10 level:error')).toEqual(['a']);
+    expect(ids('until:2025/1/10')).toEqual([]);
+  });
+
+  test('空查询应该匹配所有日志', () => {
+    const query = run('   ');
+    expect(query.isEmpty()).toBe(true);
+    expect(LOGS.every(log => query.matches(log))).toBe(true);
+  });
+
+  test.each([
+    ['level>=fatal', 7, '无效的日志级别: fatal'],
+    ['(level:error OR timeout', 0, '缺少右括号'],
+    ['timeout)', 7, '多余的右括号'],
+    ['category:download AND', 21, '查询不完整'],
+    ['OR timeout', 0, 'OR前后缺少条件'],
+    ['status:interrupted', 0, '未知字段: status，附加数据请使用 data.status'],
+    ['message:"timeout', 8, '缺少右引号'],
+    ['data.size>big', 10, '运算符>需要数字'],
+    ['category>3', 8, '字段category不支持运算符>'],
+    ['since:yesterday', 6, '无效的时间: yesterday'],
+    ['since>2h', 5, 'since只支持 since:时间']
+  ])('语法错误应该带位置: %s', (text, position, message) => {
+    const result = LogQuery.validate(text);
+
+    expect(result.valid).toBe(false);
+    expect(result.position).toBe(position);
+    expect(result.error.startsWith(`第${position + 1}个字符: `)).toBe(true);
+    expect(result.error).toContain(message);
+  });
+
+  test('应该从顶层AND条件提取索引计划', () => {
+    expect(run('level>=warn category:download since:2h until:1h timeout').getIndexPlan()).toEqual({
+      startTime: NOW - 2 * HOUR,
+      endTime: NOW - HOUR,
+      minLevel: 2,
+      maxLevel: null,
+      categories: ['download']
+    });
+
+    expect(run('(category:download OR category:network) level>info level<=error').getIndexPlan()).toMatchObject({
+      minLevel: 2,
+      maxLevel: 3,
+      categories: ['download', 'network']
+    });
+
+    expect(run('category:download OR level:error').getIndexPlan()).toEqual({
+      startTime: null, endTime: null, minLevel: null, maxLevel: null, categories: null
+    });
+
+    expect(run('category:down* -category:ui').getIndexPlan().categories).toBeNull();
+  });
+});
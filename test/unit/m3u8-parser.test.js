@@ -0,0 +1,127 @@
+/**
+ * @file m3u8-parser.test.js
+ * @description M3U8播放列表解析工具单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const M3U8Parser = require('../../src/utils/m3u8-parser').default;
+
+const MASTER_PLAYLIST = `#EXTM3U
+#EXT-X-VERSION:4
+#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="aac",NAME="English",LANGUAGE="en",DEFAULT=YES,URI="audio/en.m3u8"
+#EXT-X-STREAM-INF:BANDWIDTH=800000,RESOLUTION=640x360,CODECS="avc1.4d401e,mp4a.40.2",AUDIO="aac"
+360p/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=5000000,AVERAGE-BANDWIDTH=4500000,RESOLUTION=1920x1080,FRAME-RATE=29.970,CODECS="avc1.640028,mp4a.40.2"
+https://cdn.example.com/1080p/index.m3u8
+#EXT-X-STREAM-INF:BANDWIDTH=2500000,RESOLUTION=1280x720
+720p/index.m3u8
+`;
+
+const MEDIA_PLAYLIST = `#EXTM3U
+#EXT-X-VERSION:3
+#EXT-X-TARGETDURATION:10
+#EXT-X-MEDIA-SEQUENCE:7
+#EXTINF:10.0,
+seg7.ts
+#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x000102030405060708090a0b0c0d0e0f
+#EXTINF:9.5,intro
+seg8.ts
+#EXT-X-KEY:METHOD=NONE
+#EXT-X-DISCONTINUITY
+#EXTINF:4.5,
+seg9.ts
+#EXT-X-ENDLIST
+`;
+
+describe('M3U8Parser', () => {
+  const baseUrl = 'https://media.example.com/video/master.m3u8';
+
+  test('应该识别主播放列表和媒体播放列表', () => {
+    expect(M3U8Parser.isPlaylist(MASTER_PLAYLIST)).toBe(true);
+    expect(M3U8Parser.isMasterPlaylist(MASTER_PLAYLIST)).toBe(true);
+    expect(M3U8Parser.isMasterPlaylist(MEDIA_PLAYLIST)).toBe(false);
+    expect(M3U8Parser.isPlaylist('<html></html>')).toBe(false);
+  });
+
+  test('应该解析变体并按码率降序排列', () => {
+    const { variants, media } = M3U8Parser.parseMasterPlaylist(MASTER_PLAYLIST, baseUrl);
+
+    expect(variants.map(v => v.bandwidth)).toEqual([5000000, 2500000, 800000]);
+    expect(variants[0]).toMatchObject({
+      url: 'https://cdn.example.com/1080p/index.m3u8',
+      width: 1920,
+      height: 1080,
+      averageBandwidth: 4500000,
+      frameRate: 29.97,
+      codecs: ['avc1.640028', 'mp4a.40.2'],
+      label: '1080p'
+    });
+    expect(variants[2].url).toBe('https://media.example.com/video/360p/index.m3u8');
+    expect(variants[2].audioGroup).toBe('aac');
+
+    expect(media).toHaveLength(1);
+    expect(media[0]).toMatchObject({
+      type: 'AUDIO',
+      groupId: 'aac',
+      language: 'en',
+      isDefault: true,
+      url: 'https://media.example.com/video/audio/en.m3u8'
+    });
+  });
+
+  test('应该解析媒体播放列表中的分片、序列号和密钥', () => {
+    const playlist = M3U8Parser.parseMediaPlaylist(MEDIA_PLAYLIST, baseUrl);
+
+    expect(playlist.targetDuration).toBe(10);
+    expect(playlist.mediaSequence).toBe(7);
+    expect(playlist.endList).toBe(true);
+    expect(playlist.totalDuration).toBeCloseTo(24);
+    expect(playlist.segments).toHaveLength(3);
+
+    expect(playlist.segments[0]).toMatchObject({ url: 'https://media.example.com/video/seg7.ts', sequence: 7, key: null });
+
+    const encrypted = playlist.segments[1];
+    expect(encrypted.sequence).toBe(8);
+    expect(encrypted.title).toBe('intro');
+    expect(encrypted.key.method).toBe('AES-128');
+    expect(encrypted.key.url).toBe('https://media.example.com/video/key.bin');
+    expect(Array.from(encrypted.key.iv)).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15]);
+
+    expect(playlist.segments[2].key).toBeNull();
+    expect(playlist.segments[2].discontinuity).toBe(true);
+  });
+
+  test('应该解析EXT-X-MAP和连续的字节范围', () => {
+    const text = `#EXTM3U
+#EXT-X-MAP:URI="init.mp4",BYTERANGE="720@0"
+#EXTINF:4,
+#EXT-X-BYTERANGE:1000@720
+media.mp4
+#EXTINF:4,
+#EXT-X-BYTERANGE:1200
+media.mp4
+#EXT-X-ENDLIST`;
+
+    const playlist = M3U8Parser.parseMediaPlaylist(text, baseUrl);
+
+    expect(playlist.initSegment).toEqual({
+      url: 'https://media.example.com/video/init.mp4',
+      byteRange: { length: 720, offset: 0 }
+    });
+    expect(playlist.segments[0].byteRange).toEqual({ length: 1000, offset: 720 });
+    expect(playlist.segments[1].byteRange).toEqual({ length: 1200, offset: 1720 });
+    expect(playlist.segments[1].map).toBe(playlist.initSegment);
+  });
+
+  test('应该根据媒体序列号生成默认IV', () => {
+    expect(Array.from(M3U8Parser.createSequenceIV(0))).toEqual(new Array(16).fill(0));
+    expect(Array.from(M3U8Parser.createSequenceIV(258)).slice(12)).toEqual([0, 0, 1, 2]);
+  });
+
+  test('应该拒绝无效的播放列表', () => {
+    expect(() => M3U8Parser.parseMediaPlaylist('not a playlist', baseUrl)).toThrow();
+    expect(() => M3U8Parser.parseMasterPlaylist('', baseUrl)).toThrow();
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * @file media-header-parser.test.js
+ * @description 媒体文件头解析测试
+ */
+
+const { default: MediaHeaderParser, Mp3Parser } = require('../../src/utils/media-headers/index');
+const fixtures = require('./fixtures/media-headers');
+
+describe('MediaHeaderParser', () => {
+  test('按文件开头的特征字节识别格式', () => {
+    expect(MediaHeaderParser.detect(fixtures.mp4File())).toBe('mp4');
+    expect(MediaHeaderParser.detect(fixtures.webmFile())).toBe('webm');
+    expect(MediaHeaderParser.detect(fixtures.mp3File({ tag: fixtures.id3Tag([]) }))).toBe('mp3');
+    expect(MediaHeaderParser.detect(fixtures.mp3File())).toBe('mp3');
+    expect(MediaHeaderParser.detect(fixtures.flacFile())).toBe('flac');
+    expect(MediaHeaderParser.detect(fixtures.pngFile())).toBe('png');
+    expect(MediaHeaderParser.detect(fixtures.jpegFile())).toBe('jpeg');
+    expect(MediaHeaderParser.detect(fixtures.ascii('<!DOCTYPE html><html>'))).toBeNull();
+    expect(MediaHeaderParser.parse(fixtures.ascii('plain text'))).toBeNull();
+  });
+
+  describe('MP4', () => {
+    test('读取moov中的时长、尺寸、编码和音频参数', () => {
+      const file = fixtures.mp4File({ duration: 90, width: 1920, height: 1080 });
+      const result = MediaHeaderParser.parse(file, { totalSize: file.length });
+
+      expect(result).toMatchObject({
+        format: 'mp4',
+        brand: 'isom',
+        duration: 90,
+        width: 1920,
+        height: 1080,
+        videoCodec: 'avc1',
+        audioCodec: 'mp4a',
+        hasVideo: true,
+        hasAudio: true,
+        sampleRate: 44100,
+        channels: 2,
+        complete: true,
+        nextOffset: null
+      });
+      expect(result.bitrate).toBe(Math.round(file.length * 8 / 90 / 1000));
+    });
+
+    test('moov位于mdat之后时返回继续读取的位置', () => {
+      const file = fixtures.mp4File({ moovAtEnd: true, mdatSize: 100000, width: 1280, height: 720 });
+      const head = file.subarray(0, 4096);
+      const first = MediaHeaderParser.parse(head);
+
+      expect(first.complete).toBe(false);
+      expect(first.nextOffset).toBe(file.length - fixtures.mp4Moov({ width: 1280, height: 720 }).length);
+
+      const next = MediaHeaderParser.parse(file.subarray(first.nextOffset), { format: 'mp4', offset: first.nextOffset });
+      const merged = MediaHeaderParser.merge(first, next);
+
+      expect(merged).toMatchObject({ complete: true, width: 1280, height: 720, duration: 90, brand: 'isom', nextOffset: null });
+    });
+
+    test('moov超出已获取的数据时给出moov的位置和长度', () => {
+      const file = fixtures.mp4File();
+      const result = MediaHeaderParser.parse(file.subarray(0, 64));
+
+      expect(result.complete).toBe(false);
+      expect(result.nextOffset).toBe(24);
+      expect(result.nextLength).toBe(fixtures.mp4Moov().length);
+    });
+  });
+
+  describe('WebM/Matroska', () => {
+    test('读取EBML头、Info和Tracks', () => {
+      const result = MediaHeaderParser.parse(fixtures.webmFile({ durationMs: 12345, width: 1280, height: 720 }));
+
+      expect(result).toMatchObject({
+        format: 'webm',
+        docType: 'webm',
+        title: '测试视频',
+        width: 1280,
+        height: 720,
+        videoCodec: 'V_VP9',
+        audioCodec: 'A_OPUS',
+        hasVideo: true,
+        hasAudio: true,
+        sampleRate: 48000,
+        channels: 2,
+        complete: true
+      });
+      expect(result.duration).toBeCloseTo(12.345, 6);
+    });
+
+    test('Matroska文件的格式为mkv', () => {
+      expect(MediaHeaderParser.parse(fixtures.webmFile({ docType: 'matroska' })).format).toBe('mkv');
+    });
+
+    test('数据在Tracks之前截断时结果不完整但不抛出错误', () => {
+      const file = fixtures.webmFile();
+      const result = MediaHeaderParser.parse(file.subarray(0, 60));
+
+      expect(result.complete).toBe(false);
+      expect(result.hasVideo).toBe(false);
+    });
+  });
+
+  describe('MP3', () => {
+    test('读取ID3v2标签和CBR帧头，按文件大小计算时长', () => {
+      const tag = fixtures.id3Tag([
+        fixtures.id3Frame('TIT2', 0, 'Song Title'),
+        fixtures.id3Frame('TPE1', 1, '歌手'),
+        fixtures.id3Frame('TALB', 3, 'Album')
+      ], 64);
+      const file = fixtures.mp3File({ tag, frames: 6 });
+      const result = MediaHeaderParser.parse(file, { totalSize: 1000000 + tag.length });
+
+      expect(result).toMatchObject({
+        format: 'mp3',
+        title: 'Song Title',
+        artist: '歌手',
+        album: 'Album',
+        bitrate: 128,
+        sampleRate: 44100,
+        channels: 2,
+        mpegVersion: '1',
+        layer: 3,
+        vbr: false,
+        complete: true
+      });
+      expect(result.duration).toBeCloseTo(1000000 * 8 / 128000, 6);
+    });
+
+    test('使用Xing头中的帧数计算VBR时长和平均码率', () => {
+      const file = fixtures.mp3File({ xing: { frames: 1000, bytes: 400000 } });
+      const result = MediaHeaderParser.parse(file);
+      const duration = 1000 * 1152 / 44100;
+
+      expect(result.vbr).toBe(true);
+      expect(result.duration).toBeCloseTo(duration, 6);
+      expect(result.bitrate).toBe(Math.round(400000 * 8 / duration / 1000));
+    });
+
+    test('ID3标签超出已获取的数据时从音频数据开头继续解析', () => {
+      const tag = fixtures.id3Tag([fixtures.id3Frame('TIT2', 0, 'Cover Art Song')], 5000);
+      const file = fixtures.mp3File({ tag, frames: 4 });
+      const first = MediaHeaderParser.parse(file.subarray(0, 1024), { totalSize: file.length });
+
+      expect(first.title).toBe('Cover Art Song');
+      expect(first.complete).toBe(false);
+      expect(first.nextOffset).toBe(tag.length);
+
+      const next = MediaHeaderParser.parse(file.subarray(tag.length), {
+        format: 'mp3',
+        offset: tag.length,
+        totalSize: file.length
+      });
+      const merged = MediaHeaderParser.merge(first, next);
+
+      expect(merged).toMatchObject({ title: 'Cover Art Song', bitrate: 128, complete: true, nextOffset: null });
+      expect(merged.duration).toBeCloseTo(4 * fixtures.MP3_FRAME_LENGTH * 8 / 128000, 6);
+    });
+
+    test('帧头校验拒绝保留值', () => {
+      expect(Mp3Parser.readFrameHeader(Uint8Array.from([0xFF, 0xFB, 0xF0, 0x00]), 0)).toBeNull();
+      expect(Mp3Parser.readFrameHeader(Uint8Array.from([0xFF, 0xFB, 0x9C, 0x00]), 0)).toBeNull();
+      expect(Mp3Parser.readFrameHeader(Uint8Array.from([0xFF, 0xFB, 0x90, 0xC0]), 0)).toMatchObject({ channels: 1, bitrate: 128 });
+    });
+  });
+
+  test('FLAC读取STREAMINFO和Vorbis注释', () => {
+    const file = fixtures.flacFile({ sampleRate: 96000, channels: 2, bitsPerSample: 24, seconds: 10, comments: ['TITLE=曲名', 'artist=Band'] });
+    const result = MediaHeaderParser.parse(file, { totalSize: 12000000 });
+
+    expect(result).toMatchObject({
+      format: 'flac',
+      lossless: true,
+      sampleRate: 96000,
+      channels: 2,
+      bitsPerSample: 24,
+      duration: 10,
+      bitrate: 9600,
+      title: '曲名',
+      artist: 'Band',
+      complete: true
+    });
+  });
+
+  describe('图片', () => {
+    test('PNG读取IHDR', () => {
+      expect(MediaHeaderParser.parse(fixtures.pngFile({ width: 800, height: 600, colorType: 6 }))).toMatchObject({
+        format: 'png',
+        width: 800,
+        height: 600,
+        bitDepth: 8,
+        colorDepth: 32,
+        hasAlpha: true,
+        complete: true
+      });
+
+      const palette = MediaHeaderParser.parse(fixtures.pngFile({ colorType: 3, trns: true }));
+      expect(palette.colorDepth).toBe(8);
+      expect(palette.hasAlpha).toBe(true);
+    });
+
+    test('JPEG读取SOF尺寸和EXIF方向、相机厂商', () => {
+      const result = MediaHeaderParser.parse(fixtures.jpegFile({ width: 640, height: 480, orientation: 6, progressive: true }));
+
+      expect(result).toMatchObject({
+        format: 'jpeg',
+        width: 640,
+        height: 480,
+        components: 3,
+        colorDepth: 24,
+        progressive: true,
+        orientation: 6,
+        complete: true
+      });
+      expect(result.exif.make).toBe('Canon');
+    });
+  });
+});
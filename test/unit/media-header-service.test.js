@@ -0,0 +1,192 @@
+/**
+ * @file media-header-service.test.js
+ * @description 媒体文件头读取服务和元数据质量估计测试
+ */
+
+const { MediaHeaderService } = require('../../src/services/media-header-service');
+const { MetadataService } = require('../../src/services/metadata-service');
+const { QUALITY_LEVELS } = require('../../src/config/constants');
+const fixtures = require('./fixtures/media-headers');
+
+/**
+ * 模拟支持Range请求的服务器，记录每次请求的范围
+ */
+function mockRangeServer(file, { supportsRange = true } = {}) {
+  const requests = [];
+
+  global.fetch = jest.fn(async (url, options) => {
+    const match = /bytes=(\d+)-(\d+)/.exec(options.headers.Range);
+    const start = parseInt(match[1], 10);
+    const end = Math.min(parseInt(match[2], 10), file.length - 1);
+    requests.push([start, end]);
+
+    const body = supportsRange ? file.subarray(start, end + 1) : file;
+    const data = Buffer.from(body);
+    const headers = supportsRange ?
+      { 'content-range': `bytes ${start}-${end}/${file.length}` } :
+      { 'content-length': String(file.length) };
+
+    return {
+      ok: true,
+      status: supportsRange ? 206 : 200,
+      headers: { get: name => headers[name.toLowerCase()] || null },
+      body: { cancel: jest.fn(() => Promise.resolve()) },
+      arrayBuffer: async () => data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength)
+    };
+  });
+
+  return requests;
+}
+
+describe('MediaHeaderService', () => {
+  afterEach(() => {
+    new MediaHeaderService().clearCache();
+    delete global.fetch;
+  });
+
+  test('只请求文件开头并解析', async () => {
+    const file = fixtures.mp4File({ mdatSize: 200000 });
+    const requests = mockRangeServer(file);
+    const service = new MediaHeaderService({ fetchSize: 4096 });
+
+    const result = await service.analyze('https://example.com/video.mp4');
+
+    expect(requests).toEqual([[0, 4095]]);
+    expect(result).toMatchObject({ format: 'mp4', width: 1920, height: 1080, complete: true, totalSize: file.length });
+    expect(result.nextOffset).toBeUndefined();
+  });
+
+  test('moov位于文件末尾时跳过mdat继续请求', async () => {
+    const file = fixtures.mp4File({ moovAtEnd: true, mdatSize: 200000, width: 1280, height: 720 });
+    const requests = mockRangeServer(file);
+    const service = new MediaHeaderService({ fetchSize: 4096 });
+
+    const result = await service.analyze('https://example.com/video.mp4');
+    const moovStart = file.length - fixtures.mp4Moov({ width: 1280, height: 720 }).length;
+
+    expect(requests).toEqual([[0, 4095], [moovStart, file.length - 1]]);
+    expect(result).toMatchObject({ width: 1280, height: 720, duration: 90, complete: true });
+  });
+
+  test('结果按URL缓存', async () => {
+    const requests = mockRangeServer(fixtures.pngFile());
+    const service = new MediaHeaderService({ fetchSize: 1024 });
+
+    await service.analyze('https://example.com/cached.png');
+    await service.analyze('https://example.com/cached.png');
+
+    expect(requests).toHaveLength(1);
+  });
+
+  test('服务器忽略Range时只使用开头的数据，无法继续请求', async () => {
+    const file = fixtures.mp4File({ moovAtEnd: true, mdatSize: 20000 });
+    const requests = mockRangeServer(file, { supportsRange: false });
+    const service = new MediaHeaderService({ fetchSize: 4096 });
+
+    const result = await service.analyze('https://example.com/no-range.mp4');
+
+    expect(requests).toHaveLength(2);
+    expect(result).toMatchObject({ format: 'mp4', complete: false, totalSize: file.length });
+  });
+
+  test('无法识别的格式和不支持的协议返回null', async () => {
+    mockRangeServer(fixtures.ascii('<html></html>'));
+    const service = new MediaHeaderService();
+
+    await expect(service.analyze('https://example.com/page.html')).resolves.toBeNull();
+    await expect(service.analyze('chrome://settings')).resolves.toBeNull();
+  });
+
+  test('HTTP错误时抛出', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 403 }));
+    const service = new MediaHeaderService();
+
+    await expect(service.analyze('https://example.com/private.mp4')).rejects.toThrow('HTTP错误: 403');
+  });
+});
+
+describe('MetadataService使用文件头数据估计质量', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MetadataService();
+    service.mediaHeaderService = { analyze: jest.fn() };
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('视频的清晰度来自文件头尺寸而不是URL关键字', async () => {
+    service.mediaHeaderService.analyze.mockResolvedValue({
+      format: 'mp4', complete: true, width: 1920, height: 1080, duration: 90, bitrate: 4500,
+      hasVideo: true, hasAudio: true, videoCodec: 'avc1', audioCodec: 'mp4a'
+    });
+
+    const metadata = await service.analyzeVideoMetadata({ url: 'https://example.com/video_low_360.mp4', quality: QUALITY_LEVELS.LOW });
+
+    expect(metadata).toMatchObject({
+      headerParsed: true,
+      dimensions: { width: 1920, height: 1080 },
+      resolutionLabel: '1080p',
+      duration: 90,
+      bitrate: 4500,
+      hasAudio: true,
+      codecs: ['avc1', 'mp4a'],
+      estimatedQuality: QUALITY_LEVELS.HIGH
+    });
+  });
+
+  test('竖屏视频按短边计算清晰度', async () => {
+    service.mediaHeaderService.analyze.mockResolvedValue({ format: 'mp4', complete: true, width: 720, height: 1280, hasVideo: true });
+
+    const metadata = await service.analyzeVideoMetadata({ url: 'https://example.com/clip.mp4' });
+
+    expect(metadata.resolutionLabel).toBe('720p');
+    expect(metadata.estimatedQuality).toBe(QUALITY_LEVELS.MEDIUM);
+  });
+
+  test('流媒体清单不读取文件头', async () => {
+    await service.analyzeVideoMetadata({ url: 'https://example.com/master.m3u8' });
+
+    expect(service.mediaHeaderService.analyze).not.toHaveBeenCalled();
+  });
+
+  test('音频按码率和无损格式估计质量', async () => {
+    service.mediaHeaderService.analyze.mockResolvedValueOnce({ format: 'mp3', complete: true, bitrate: 96, duration: 200, title: 'Song' });
+    const lowBitrate = await service.analyzeAudioMetadata({ url: 'https://example.com/hd/song.mp3' });
+
+    expect(lowBitrate).toMatchObject({ headerParsed: true, bitrate: 96, title: 'Song', estimatedQuality: QUALITY_LEVELS.LOW });
+
+    service.mediaHeaderService.analyze.mockResolvedValueOnce({ format: 'flac', complete: true, lossless: true, sampleRate: 96000 });
+    const lossless = await service.analyzeAudioMetadata({ url: 'https://example.com/low/track' });
+
+    expect(lossless).toMatchObject({ lossless: true, estimatedQuality: QUALITY_LEVELS.HIGH });
+  });
+
+  test('图片按EXIF方向得到显示尺寸', async () => {
+    service.mediaHeaderService.analyze.mockResolvedValue({
+      format: 'jpeg', complete: true, width: 4000, height: 3000, orientation: 6, colorDepth: 24, exif: { orientation: 6 }
+    });
+
+    const metadata = await service.analyzeImageMetadata({ url: 'https://example.com/thumb/photo.jpg' });
+
+    expect(metadata).toMatchObject({
+      headerParsed: true,
+      format: 'jpeg',
+      dimensions: { width: 3000, height: 4000 },
+      orientation: 'portrait',
+      estimatedQuality: QUALITY_LEVELS.HIGH
+    });
+  });
+
+  test('读取文件头失败时回退到URL推测', async () => {
+    service.mediaHeaderService.analyze.mockRejectedValue(new Error('HTTP错误: 403'));
+
+    const metadata = await service.analyzeVideoMetadata({ url: 'https://example.com/video_1080_hd.mp4' });
+
+    expect(metadata.headerParsed).toBeUndefined();
+    expect(metadata.estimatedQuality).toBe(QUALITY_LEVELS.HIGH);
+  });
+});
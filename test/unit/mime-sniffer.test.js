@@ -0,0 +1,296 @@
+/**
+ * @file mime-sniffer.test.js
+ * @description 按文件内容识别类型、嗅探服务及下载和网络请求中的类型纠正测试
+ */
+
+chrome.downloads.onDeterminingFilename = { addListener: jest.fn() };
+chrome.downloads.download = jest.fn();
+chrome.notifications = { create: jest.fn() };
+chrome.webRequest = {
+  onCompleted: { addListener: jest.fn() },
+  onHeadersReceived: { addListener: jest.fn() }
+};
+
+const { default: MimeSniffer } = require('../../src/utils/mime-sniffer');
+const { default: ResourceUtils } = require('../../src/utils/resource-utils');
+const { default: FilenameTemplate, PRESET_TEMPLATES } = require('../../src/utils/filename-template');
+const { MimeSniffService } = require('../../src/services/mime-sniff-service');
+const { default: DownloadHandler } = require('../../src/background/handlers/download-handler');
+const { default: RequestHandler } = require('../../src/background/handlers/request-handler');
+const fixtures = require('./fixtures/media-headers');
+
+const { concat, ascii } = fixtures;
+
+const AVIF = fixtures.ftypFile('avif', ['mif1', 'avif', 'miaf']);
+
+function bmpFile() {
+  return concat(ascii('BM'), [0x46, 0, 0, 0], [0, 0, 0, 0], [0x36, 0, 0, 0], [40, 0, 0, 0], [2, 0, 0, 0], [2, 0, 0, 0]);
+}
+
+function icoFile() {
+  return concat([0, 0, 1, 0, 1, 0], [16, 16, 0, 0, 1, 0, 32, 0], [0x68, 0x04, 0, 0], [22, 0, 0, 0]);
+}
+
+function oggFile(packet) {
+  return concat(ascii('OggS'), [0, 2], new Uint8Array(20), [1, packet.length], packet);
+}
+
+function wavFile() {
+  return concat(ascii('RIFF'), [36, 0, 0, 0], ascii('WAVEfmt '), [16, 0, 0, 0], new Uint8Array(16));
+}
+
+const ADTS_FRAME = [0xFF, 0xF1, 0x50, 0x80, 0x02, 0x1F, 0xFC];
+
+/**
+ * 模拟只返回指定数据的Range请求
+ */
+function mockFetchRange(bytes) {
+  return { fetchRange: jest.fn(async () => (bytes ? { bytes: bytes, totalSize: bytes.length } : null)) };
+}
+
+async function flush(condition) {
+  for (let i = 0; i < 50 && !condition(); i++) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+}
+
+describe('MimeSniffer', () => {
+  test.each([
+    ['JPEG', () => fixtures.jpegFile(), 'image/jpeg', 'jpg'],
+    ['PNG', () => fixtures.pngFile(), 'image/png', 'png'],
+    ['GIF', () => concat(ascii('GIF89a'), new Uint8Array(8)), 'image/gif', 'gif'],
+    ['WebP', () => fixtures.webpFile(), 'image/webp', 'webp'],
+    ['AVIF', () => AVIF, 'image/avif', 'avif'],
+    ['mif1主品牌的AVIF', () => fixtures.ftypFile('mif1', ['mif1', 'avif']), 'image/avif', 'avif'],
+    ['HEIC', () => fixtures.ftypFile('heic', ['mif1', 'heic']), 'image/heic', 'heic'],
+    ['JPEG XL码流', () => concat([0xFF, 0x0A, 0xFA, 0x1F]), 'image/jxl', 'jxl'],
+    ['JPEG XL容器', () => concat([0, 0, 0, 0x0C], ascii('JXL '), [0x0D, 0x0A, 0x87, 0x0A]), 'image/jxl', 'jxl'],
+    ['TIFF（小端序）', () => fixtures.exifTiff({ make: 'Canon' }), 'image/tiff', 'tif'],
+    ['TIFF（大端序）', () => fixtures.exifTiff({ littleEndian: false, make: 'Canon' }), 'image/tiff', 'tif'],
+    ['BMP', bmpFile, 'image/bmp', 'bmp'],
+    ['ICO', icoFile, 'image/x-icon', 'ico'],
+    ['SVG', () => concat([0xEF, 0xBB, 0xBF], ascii('<?xml version="1.0"?>\n<!-- logo -->\n<!DOCTYPE svg>\n<svg xmlns="http://www.w3.org/2000/svg"/>')), 'image/svg+xml', 'svg'],
+    ['MP4', () => fixtures.mp4File(), 'video/mp4', 'mp4'],
+    ['MOV', () => fixtures.ftypFile('qt  ', ['qt  ']), 'video/quicktime', 'mov'],
+    ['M4A', () => fixtures.ftypFile('M4A ', ['M4A ', 'mp42', 'isom']), 'audio/mp4', 'm4a'],
+    ['WebM', () => fixtures.webmFile(), 'video/webm', 'webm'],
+    ['MKV', () => fixtures.webmFile({ docType: 'matroska' }), 'video/x-matroska', 'mkv'],
+    ['Ogg Vorbis', () => oggFile(concat([0x01], ascii('vorbis'))), 'audio/ogg', 'ogg'],
+    ['Ogg Opus', () => oggFile(ascii('OpusHead')), 'audio/ogg', 'opus'],
+    ['FLAC', () => fixtures.flacFile(), 'audio/flac', 'flac'],
+    ['WAV', wavFile, 'audio/wav', 'wav'],
+    ['MP3', () => fixtures.mp3File(), 'audio/mpeg', 'mp3'],
+    ['带ID3标签的MP3', () => fixtures.mp3File({ tag: fixtures.id3Tag([fixtures.id3Frame('TIT2', 3, 'Song')]) }), 'audio/mpeg', 'mp3'],
+    ['AAC', () => concat(ADTS_FRAME), 'audio/aac', 'aac'],
+    ['带ID3标签的AAC', () => concat(fixtures.id3Tag([fixtures.id3Frame('TIT2', 3, 'Radio')]), ADTS_FRAME), 'audio/aac', 'aac'],
+    ['PDF', () => ascii('%PDF-1.7\n%âãÏÓ\n'), 'application/pdf', 'pdf']
+  ])('应该识别%s', (name, build, mime, extension) => {
+    expect(MimeSniffer.sniff(build())).toMatchObject({ mime, extension });
+  });
+
+  test('应该根据ZIP条目区分Office文档、OpenDocument、EPUB和普通ZIP', () => {
+    const docx = fixtures.zipFile([['[Content_Types].xml', '<Types/>'], ['_rels/.rels', '<Relationships/>'], ['word/document.xml', '<w:document/>']]);
+    const xlsx = fixtures.zipFile([['[Content_Types].xml', '<Types/>'], ['xl/workbook.xml', '<workbook/>']]);
+    const pptx = fixtures.zipFile([['ppt/presentation.xml', '<p/>']]);
+    const odt = fixtures.zipFile([['mimetype', 'application/vnd.oasis.opendocument.text'], ['content.xml', '<office/>']]);
+    const epub = fixtures.zipFile([['mimetype', 'application/epub+zip'], ['META-INF/container.xml', '<container/>']]);
+    const zip = fixtures.zipFile([['readme.txt', 'hello']]);
+
+    expect(MimeSniffer.sniff(docx)).toMatchObject({ extension: 'docx', type: 'document' });
+    expect(MimeSniffer.sniff(xlsx)).toMatchObject({ extension: 'xlsx', type: 'document' });
+    expect(MimeSniffer.sniff(pptx)).toMatchObject({ extension: 'pptx', type: 'document' });
+    expect(MimeSniffer.sniff(odt)).toMatchObject({ mime: 'application/vnd.oasis.opendocument.text', extension: 'odt' });
+    expect(MimeSniffer.sniff(epub)).toMatchObject({ mime: 'application/epub+zip', extension: 'epub' });
+    expect(MimeSniffer.sniff(zip)).toMatchObject({ mime: 'application/zip', type: 'other' });
+  });
+
+  test('返回的资源类型应该与格式对应', () => {
+    expect(MimeSniffer.sniff(AVIF).type).toBe('image');
+    expect(MimeSniffer.sniff(fixtures.webmFile()).type).toBe('video');
+    expect(MimeSniffer.sniff(fixtures.flacFile()).type).toBe('audio');
+  });
+
+  test('不应该误判网页、文本和随机数据', () => {
+    expect(MimeSniffer.sniff(ascii('<!DOCTYPE html><html><body><svg></svg></body></html>'))).toBeNull();
+    expect(MimeSniffer.sniff(ascii('{"error":"not found"}'))).toBeNull();
+    expect(MimeSniffer.sniff(concat(ascii('BM'), [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16]))).toBeNull();
+    expect(MimeSniffer.sniff(concat([0xFF, 0x00, 0x12, 0x34]))).toBeNull();
+    expect(MimeSniffer.sniff(new Uint8Array(1))).toBeNull();
+  });
+
+  test('应该识别通用MIME类型并判断扩展名是否与内容一致', () => {
+    expect(MimeSniffer.isGenericType('application/octet-stream')).toBe(true);
+    expect(MimeSniffer.isGenericType('Binary/Octet-Stream; charset=binary')).toBe(true);
+    expect(MimeSniffer.isGenericType('')).toBe(true);
+    expect(MimeSniffer.isGenericType('image/png')).toBe(false);
+
+    const jpeg = MimeSniffer.describe('jpeg');
+    expect(MimeSniffer.matchesExtension(jpeg, 'JPEG')).toBe(true);
+    expect(MimeSniffer.matchesExtension(jpeg, 'php')).toBe(false);
+  });
+
+  test('ResourceUtils.detectFileType应该使用特征库', () => {
+    expect(ResourceUtils.detectFileType(AVIF.buffer)).toBe('image/avif');
+    expect(ResourceUtils.detectFileType(fixtures.ftypFile('qt  ').buffer)).toBe('video/quicktime');
+    expect(ResourceUtils.detectFileType(new Uint8Array(16).buffer)).toBe('application/octet-stream');
+  });
+});
+
+describe('按嗅探结果生成扩展名', () => {
+  const render = resource => FilenameTemplate.render(PRESET_TEMPLATES.original, FilenameTemplate.createContext(resource));
+  const sniffed = format => {
+    const { mime, extension, extensions } = MimeSniffer.describe(format);
+    return { mime, extension, extensions };
+  };
+
+  test('没有扩展名的地址应该使用识别出的扩展名', () => {
+    expect(render({ url: 'https://cdn.example.com/i/abc123', type: 'image', sniffedType: sniffed('webp') })).toBe('abc123.webp');
+  });
+
+  test('扩展名与内容不符时应该纠正', () => {
+    expect(render({ url: 'https://example.com/image.php?id=7', type: 'image', sniffedType: sniffed('png') })).toBe('image.png');
+    expect(render({ url: 'https://example.com/a/photo.jpg', type: 'image', sniffedType: sniffed('avif') })).toBe('photo.avif');
+  });
+
+  test('扩展名是同一格式的另一种写法时应该保留', () => {
+    expect(render({ url: 'https://example.com/a/photo.jpeg', type: 'image', sniffedType: sniffed('jpeg') })).toBe('photo.jpeg');
+  });
+});
+
+describe('MimeSniffService', () => {
+  afterEach(() => {
+    new MimeSniffService().clearCache();
+  });
+
+  test('应该只获取文件开头并缓存结果', async () => {
+    const headers = mockFetchRange(AVIF);
+    const service = new MimeSniffService({ mediaHeaderService: headers, sniffSize: 1024 });
+
+    const first = await service.sniff('https://cdn.example.com/i/abc123');
+    const second = await service.sniff('https://cdn.example.com/i/abc123');
+
+    expect(first).toMatchObject({ mime: 'image/avif', extension: 'avif' });
+    expect(second).toBe(first);
+    expect(headers.fetchRange).toHaveBeenCalledTimes(1);
+    expect(headers.fetchRange).toHaveBeenCalledWith('https://cdn.example.com/i/abc123', 0, 1024, undefined);
+  });
+
+  test('无法识别的结果也应该缓存', async () => {
+    const headers = mockFetchRange(ascii('<html></html>'));
+    const service = new MimeSniffService({ mediaHeaderService: headers });
+
+    expect(await service.sniff('https://example.com/x')).toBeNull();
+    expect(await service.sniff('https://example.com/x')).toBeNull();
+    expect(headers.fetchRange).toHaveBeenCalledTimes(1);
+  });
+
+  test('应该只对没有可识别扩展名或类型为通用MIME类型的http资源嗅探', () => {
+    const service = new MimeSniffService({ mediaHeaderService: mockFetchRange(null) });
+
+    expect(service.needsSniffing({ url: 'https://cdn.example.com/i/abc123', type: 'image' })).toBe(true);
+    expect(service.needsSniffing({ url: 'https://example.com/get.php?id=1', type: 'image' })).toBe(true);
+    expect(service.needsSniffing({ url: 'https://example.com/a.mp4', contentType: 'application/octet-stream' })).toBe(true);
+    expect(service.needsSniffing({ url: 'https://example.com/a.mp4', contentType: 'video/mp4' })).toBe(false);
+    expect(service.needsSniffing({ url: 'blob:https://example.com/1', type: 'video' })).toBe(false);
+    expect(service.needsSniffing({ url: 'https://cdn.example.com/i/abc123', sniffedType: { extension: 'png' } })).toBe(false);
+  });
+
+  test('应该用嗅探结果纠正资源类型且不修改原对象', () => {
+    const service = new MimeSniffService({ mediaHeaderService: mockFetchRange(null) });
+    const resource = { url: 'https://cdn.example.com/v/clip', type: 'video', contentType: 'application/octet-stream' };
+
+    const corrected = service.applyToResource(resource, MimeSniffer.sniff(fixtures.flacFile()));
+
+    expect(corrected).toMatchObject({
+      type: 'audio',
+      contentType: 'audio/flac',
+      sniffedType: { mime: 'audio/flac', extension: 'flac' }
+    });
+    expect(resource.type).toBe('video');
+  });
+});
+
+describe('下载和网络请求中的类型纠正', () => {
+  afterEach(() => {
+    new MimeSniffService().clearCache();
+  });
+
+  test('下载没有扩展名的资源前应该嗅探类型并使用正确的扩展名', async () => {
+    chrome.downloads.download.mockReset();
+    chrome.downloads.download.mockImplementation((options, callback) => callback(11));
+
+    const handler = new DownloadHandler(null);
+    handler.mimeSniffService = new MimeSniffService({ mediaHeaderService: mockFetchRange(AVIF) });
+
+    const queueItem = handler.addToDownloadQueue({
+      url: 'https://cdn.example.com/i/abc123',
+      type: 'video',
+      contentType: 'application/octet-stream'
+    }, '1');
+
+    await flush(() => chrome.downloads.download.mock.calls.length > 0);
+
+    expect(chrome.downloads.download).toHaveBeenCalledWith(
+      expect.objectContaining({ url: 'https://cdn.example.com/i/abc123', filename: 'abc123.avif' }),
+      expect.any(Function)
+    );
+    expect(queueItem.resource).toMatchObject({ type: 'image', contentType: 'image/avif' });
+  });
+
+  test('关闭类型识别或资源类型明确时不应该嗅探', () => {
+    chrome.downloads.download.mockReset();
+
+    const headers = mockFetchRange(AVIF);
+    const handler = new DownloadHandler(null);
+    handler.mimeSniffService = new MimeSniffService({ mediaHeaderService: headers });
+
+    handler.addToDownloadQueue({ url: 'https://example.com/a/photo.png', type: 'image', contentType: 'image/png' }, '1');
+    handler.downloadSettings = { verifyFileType: false };
+    handler.addToDownloadQueue({ url: 'https://cdn.example.com/i/xyz', type: 'image' }, '1');
+
+    expect(headers.fetchRange).not.toHaveBeenCalled();
+    expect(chrome.downloads.download).toHaveBeenCalledTimes(2);
+  });
+
+  test('图片请求返回application/octet-stream时应该按文件内容添加资源', async () => {
+    const resourceService = { addResource: jest.fn() };
+    const handler = new RequestHandler(resourceService);
+    handler.mimeSniffService = new MimeSniffService({ mediaHeaderService: mockFetchRange(AVIF) });
+
+    handler._handleCompletedRequest({
+      url: 'https://cdn.example.com/i/abc123',
+      type: 'image',
+      tabId: 3,
+      requestId: 'r1',
+      responseHeaders: [{ name: 'Content-Type', value: 'application/octet-stream' }]
+    });
+
+    await flush(() => resourceService.addResource.mock.calls.length > 0);
+
+    expect(resourceService.addResource).toHaveBeenCalledWith('3', expect.objectContaining({
+      url: 'https://cdn.example.com/i/abc123',
+      type: 'image',
+      contentType: 'image/avif',
+      sniffedType: expect.objectContaining({ extension: 'avif' })
+    }));
+  });
+
+  test('非媒体请求返回application/octet-stream时不应该嗅探', async () => {
+    const headers = mockFetchRange(AVIF);
+    const resourceService = { addResource: jest.fn() };
+    const handler = new RequestHandler(resourceService);
+    handler.mimeSniffService = new MimeSniffService({ mediaHeaderService: headers });
+
+    handler._handleCompletedRequest({
+      url: 'https://api.example.com/v1/feed',
+      type: 'xmlhttprequest',
+      tabId: 3,
+      responseHeaders: [{ name: 'Content-Type', value: 'application/octet-stream' }]
+    });
+
+    await flush(() => false);
+
+    expect(headers.fetchRange).not.toHaveBeenCalled();
+    expect(resourceService.addResource).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @file ml-service.test.js
+ * @description 机器学习服务测试（图像分类Worker）
+ */
+
+const { MLService } = require('../../src/services/ml-service');
+const { QUALITY_LEVELS } = require('../../src/config/constants');
+
+/**
+ * 模拟分类Worker：URL包含broken时返回错误
+ */
+function createFakeWorker(log) {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminate: jest.fn(),
+    postMessage(message) {
+      log.push(message);
+      const results = message.urls.map(url => (url.includes('broken') ?
+        { url, error: '图片加载失败' } :
+        { url, category: 'chart', confidence: 0.91, scores: { chart: 0.91 }, features: {}, width: 1600, height: 900 }));
+
+      Promise.resolve().then(() => worker.onmessage({
+        data: { action: 'classificationComplete', requestId: message.requestId, results }
+      }));
+    }
+  };
+  return worker;
+}
+
+describe('MLService 图像分类', () => {
+  let messages;
+  let service;
+
+  beforeEach(async () => {
+    global.Worker = function Worker() {};
+    global.OffscreenCanvas = function OffscreenCanvas() {};
+    messages = [];
+    service = new MLService(() => createFakeWorker(messages));
+    await service.initService();
+  });
+
+  afterEach(() => {
+    service.dispose();
+    delete global.Worker;
+    delete global.OffscreenCanvas;
+  });
+
+  test('支持Worker时加载内置分类模型', () => {
+    expect(service.modelStatus.imageClassifier).toBe('loaded');
+    expect(service.models.imageClassifier.name).toBe('ResourceSniffer-ImageClassifier');
+    expect(service.models.imageClassifier.categories).toContain('screenshot');
+  });
+
+  test('analyzeImage使用Worker分类结果并缓存', async () => {
+    const result = await service.analyzeImage('https://example.com/stats.png');
+
+    expect(result).toMatchObject({
+      success: true,
+      category: 'chart',
+      confidence: 0.91,
+      contentType: 'chart',
+      estimatedQuality: QUALITY_LEVELS.HIGH
+    });
+    expect(messages).toEqual([{ action: 'classifyImages', requestId: 1, urls: ['https://example.com/stats.png'] }]);
+
+    await service.analyzeImage('https://example.com/stats.png');
+    expect(messages).toHaveLength(1);
+  });
+
+  test('分类失败时返回启发式分析', async () => {
+    const result = await service.analyzeImage('https://example.com/broken-screenshot.png');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('图片加载失败');
+    expect(result.fallbackAnalysis).toMatchObject({ contentType: 'screenshot', isHeuristic: true });
+  });
+
+  test('不支持Worker时不加载模型', async () => {
+    delete global.OffscreenCanvas;
+    const unsupported = new MLService(jest.fn());
+    await unsupported.initService();
+
+    expect(unsupported.modelStatus.imageClassifier).toBe('unloaded');
+    const result = await unsupported.analyzeImage('https://example.com/photo.jpg');
+    expect(result.success).toBe(false);
+    expect(result.fallbackAnalysis.contentType).toBe('photo');
+  });
+
+  test('dispose拒绝未完成的请求', async () => {
+    service.createWorker = () => ({ postMessage: jest.fn(), terminate: jest.fn() });
+    const pending = service.classifyImageInWorker('https://example.com/a.png');
+
+    service.dispose();
+
+    await expect(pending).rejects.toThrow('机器学习服务已关闭');
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @file mpd-parser.test.js
+ * @description MPD清单解析工具单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const MPDParser = require('../../src/utils/mpd-parser').default;
+
+const TEMPLATE_MPD = `<?xml version="1.0" encoding="UTF-8"?>
+<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" type="static" mediaPresentationDuration="PT10S">
+  <BaseURL>media/</BaseURL>
+  <Period id="p0">
+    <AdaptationSet mimeType="video/mp4" codecs="avc1.64001f">
+      <SegmentTemplate initialization="$RepresentationID$/init.mp4" media="$RepresentationID$/seg-$Number%03d$.m4s" startNumber="1" timescale="1000" duration="4000"/>
+      <Representation id="v480" bandwidth="1000000" width="854" height="480"/>
+      <Representation id="v720" bandwidth="3000000" width="1280" height="720" frameRate="30000/1001"/>
+    </AdaptationSet>
+    <AdaptationSet contentType="audio" mimeType="audio/mp4" lang="en">
+      <Representation id="a128" bandwidth="128000" codecs="mp4a.40.2" audioSamplingRate="48000">
+        <SegmentTemplate initialization="audio/init.mp4" media="audio/$Time$.m4s" timescale="48000">
+          <SegmentTimeline>
+            <S t="0" d="96000" r="-1"/>
+          </SegmentTimeline>
+        </SegmentTemplate>
+      </Representation>
+    </AdaptationSet>
+    <AdaptationSet mimeType="text/vtt">
+      <Representation id="sub" bandwidth="100"><BaseURL>subs.vtt</BaseURL></Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`;
+
+describe('MPDParser', () => {
+  const manifestUrl = 'https://media.example.com/show/manifest.mpd';
+
+  test('应该解析ISO 8601时长', () => {
+    expect(MPDParser.parseDuration('PT1H2M3.5S')).toBe(3723.5);
+    expect(MPDParser.parseDuration('PT0S')).toBe(0);
+    expect(MPDParser.parseDuration('P1DT1S')).toBe(86401);
+    expect(MPDParser.parseDuration('invalid')).toBeNull();
+  });
+
+  test('应该填充模板标识符和宽度格式', () => {
+    const values = { RepresentationID: 'v1', Number: 7, Time: 9000, Bandwidth: 500 };
+
+    expect(MPDParser.fillTemplate('$RepresentationID$/$Number%05d$-$Time$-$Bandwidth$.m4s', values))
+      .toBe('v1/00007-9000-500.m4s');
+    expect(MPDParser.fillTemplate('price$$.m4s', values)).toBe('price$.m4s');
+  });
+
+  test('应该解析SegmentTemplate和SegmentTimeline', () => {
+    const manifest = MPDParser.parse(TEMPLATE_MPD, manifestUrl);
+    const { video, audio } = MPDParser.getRepresentations(manifest);
+
+    expect(manifest.isLive).toBe(false);
+    expect(manifest.duration).toBe(10);
+
+    expect(video.map(r => r.id)).toEqual(['v720', 'v480']);
+    expect(video[0].label).toBe('720p');
+    expect(video[0].frameRate).toBeCloseTo(29.97, 2);
+    expect(video[0].initialization.url).toBe('https://media.example.com/show/media/v720/init.mp4');
+    expect(video[0].segments.map(s => s.url)).toEqual([
+      'https://media.example.com/show/media/v720/seg-001.m4s',
+      'https://media.example.com/show/media/v720/seg-002.m4s',
+      'https://media.example.com/show/media/v720/seg-003.m4s'
+    ]);
+
+    expect(audio).toHaveLength(1);
+    expect(audio[0].label).toBe('en 128kbps');
+    expect(audio[0].addressing).toBe('timeline');
+    expect(audio[0].segments.map(s => s.url)).toEqual([
+      'https://media.example.com/show/media/audio/0.m4s',
+      'https://media.example.com/show/media/audio/96000.m4s',
+      'https://media.example.com/show/media/audio/192000.m4s',
+      'https://media.example.com/show/media/audio/288000.m4s',
+      'https://media.example.com/show/media/audio/384000.m4s'
+    ]);
+  });
+
+  test('应该解析SegmentList和字节范围', () => {
+    const manifest = MPDParser.parse(`<MPD type="static" mediaPresentationDuration="PT4S">
+  <Period>
+    <AdaptationSet mimeType="video/mp4">
+      <Representation id="1" bandwidth="500000" height="360">
+        <BaseURL>https://cdn.example.com/video.mp4</BaseURL>
+        <SegmentList timescale="1" duration="2">
+          <Initialization range="0-99"/>
+          <SegmentURL mediaRange="100-199"/>
+          <SegmentURL mediaRange="200-349"/>
+        </SegmentList>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`, manifestUrl);
+
+    const representation = MPDParser.getRepresentations(manifest).video[0];
+
+    expect(representation.addressing).toBe('list');
+    expect(representation.initialization).toEqual({
+      url: 'https://cdn.example.com/video.mp4',
+      byteRange: { offset: 0, length: 100 }
+    });
+    expect(representation.segments.map(s => s.byteRange)).toEqual([
+      { offset: 100, length: 100 },
+      { offset: 200, length: 150 }
+    ]);
+    expect(representation.segments[0].duration).toBe(2);
+  });
+
+  test('SegmentBase应该将整个文件作为单个分片', () => {
+    const manifest = MPDParser.parse(`<MPD mediaPresentationDuration="PT30S">
+  <Period>
+    <AdaptationSet>
+      <Representation id="audio" bandwidth="64000" codecs="opus">
+        <BaseURL>audio.webm</BaseURL>
+        <SegmentBase indexRange="200-400"/>
+      </Representation>
+    </AdaptationSet>
+  </Period>
+</MPD>`, manifestUrl);
+
+    const { audio } = MPDParser.getRepresentations(manifest);
+
+    expect(audio).toHaveLength(1);
+    expect(audio[0].addressing).toBe('base');
+    expect(audio[0].indexRange).toEqual({ offset: 200, length: 201 });
+    expect(audio[0].segments).toEqual([
+      expect.objectContaining({ url: 'https://media.example.com/show/audio.webm', byteRange: null })
+    ]);
+  });
+
+  test('应该根据下一个周期的起点计算周期时长', () => {
+    const manifest = MPDParser.parse(`<MPD mediaPresentationDuration="PT12S">
+  <Period start="PT0S"/>
+  <Period start="PT8S"/>
+</MPD>`, manifestUrl);
+
+    expect(manifest.periods.map(p => [p.start, p.duration])).toEqual([[0, 8], [8, 4]]);
+  });
+
+  test('无效的清单应该抛出错误', () => {
+    expect(() => MPDParser.parse('#EXTM3U', manifestUrl)).toThrow('无效的MPD清单');
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * @file mse-capture-service.test.js
+ * @description MSE流捕获管理服务单元测试：按标签页开启捕获、整页共享的缓存额度和状态保存
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const { MSECaptureService } = require('../../src/services/mse-capture-service');
+const { STORAGE_KEYS } = require('../../src/config/constants');
+
+/**
+ * 内存中的chrome.storage.session
+ */
+function createFakeStorage(initial = {}) {
+  const data = JSON.parse(JSON.stringify(initial));
+  return {
+    data,
+    get: jest.fn((keys, callback) => callback(JSON.parse(JSON.stringify(data)))),
+    set: jest.fn((items, callback) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+      callback();
+    })
+  };
+}
+
+describe('MSECaptureService', () => {
+  let storage;
+  let service;
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    service = new MSECaptureService({ storage, maxBytes: 100 });
+  });
+
+  test('没有开启捕获的标签页不分配额度', async () => {
+    expect(await service.getStatus(1)).toEqual({ enabled: false, usedBytes: 0, maxBytes: 100 });
+    expect(await service.requestQuota(1, 50)).toBe(0);
+  });
+
+  test('同一标签页的所有框架共享额度，释放后可以重新分配', async () => {
+    await service.setEnabled(1, true);
+    await service.setEnabled(2, true);
+
+    const grants = await Promise.all([
+      service.requestQuota(1, 60),
+      service.requestQuota(1, 60)
+    ]);
+
+    expect(grants).toEqual([60, 40]);
+    expect(await service.requestQuota(1, 10)).toBe(0);
+    expect(await service.requestQuota(2, 60)).toBe(60);
+
+    expect(await service.requestQuota(1, 30, 50)).toBe(30);
+    expect((await service.getStatus(1)).usedBytes).toBe(80);
+  });
+
+  test('关闭捕获和页面重新加载后清零已分配的额度', async () => {
+    await service.setEnabled(1, true);
+    await service.requestQuota(1, 70);
+
+    await service.resetUsage(1);
+    expect(await service.getStatus(1)).toEqual({ enabled: true, usedBytes: 0, maxBytes: 100 });
+
+    await service.requestQuota(1, 70);
+    expect(await service.setEnabled(1, false)).toEqual({ enabled: false, usedBytes: 0, maxBytes: 100 });
+    expect(await service.setEnabled(1, true)).toEqual({ enabled: true, usedBytes: 0, maxBytes: 100 });
+  });
+
+  test('后台服务重启后应该恢复开启捕获的标签页', async () => {
+    await service.setEnabled(7, true);
+    await service.requestQuota(7, 20);
+
+    const restarted = new MSECaptureService({ storage, maxBytes: 100 });
+    expect(await restarted.getStatus(7)).toEqual({ enabled: true, usedBytes: 20, maxBytes: 100 });
+
+    await restarted.removeTab(7);
+    expect(storage.data[STORAGE_KEYS.MSE_CAPTURE_TABS]).toEqual({});
+  });
+});
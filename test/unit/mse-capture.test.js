@@ -0,0 +1,297 @@
+/**
+ * @file mse-capture.test.js
+ * @description MSE流拦截注入脚本和内容脚本捕获桥接单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+class FakeSourceBuffer {
+  constructor() {
+    this.timestampOffset = 0;
+    this.appended = [];
+  }
+
+  appendBuffer(data) {
+    this.appended.push(data);
+  }
+}
+
+class FakeMediaSource extends EventTarget {
+  addSourceBuffer() {
+    return new FakeSourceBuffer();
+  }
+
+  removeSourceBuffer() {}
+
+  endOfStream() {
+    this.dispatchEvent(new Event('sourceended'));
+  }
+
+  close() {
+    this.dispatchEvent(new Event('sourceclose'));
+  }
+}
+
+window.MediaSource = FakeMediaSource;
+window.SourceBuffer = FakeSourceBuffer;
+global.MediaSource = FakeMediaSource;
+global.SourceBuffer = FakeSourceBuffer;
+
+// jsdom的postMessage不设置event.source，这里按浏览器行为补充
+window.postMessage = (data) => {
+  setTimeout(() => window.dispatchEvent(new MessageEvent('message', { data, source: window })), 0);
+};
+
+let blobCounter = 0;
+const createObjectURLMock = jest.fn(() => `blob:https://video.example.com/${++blobCounter}`);
+URL.createObjectURL = createObjectURLMock;
+URL.revokeObjectURL = jest.fn();
+
+require('../../src/content/mse-hook');
+const MSECapture = require('../../src/content/mse-capture').default;
+const { MSECaptureService } = require('../../src/services/mse-capture-service');
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 20));
+const blobText = (blob) => blob.content.map(part => Buffer.from(part).toString()).join('');
+
+describe('MSE流捕获', () => {
+  const TAB_ID = 1;
+  let service;
+  let capture;
+  let resources;
+  let stop;
+
+  const createService = (maxBytes) => {
+    const data = {};
+    return new MSECaptureService({
+      maxBytes,
+      storage: {
+        get: (keys, callback) => callback({ ...data }),
+        set: (items, callback) => {
+          Object.assign(data, items);
+          callback();
+        }
+      }
+    });
+  };
+
+  const startCapture = async (maxBytes) => {
+    service = createService(maxBytes);
+    await service.setEnabled(TAB_ID, true);
+
+    capture = new MSECapture({
+      requestQuota: (bytes, released) => service.requestQuota(TAB_ID, bytes, released)
+    });
+    stop = capture.start(resource => resources.push(resource));
+    capture.enable();
+    await flush();
+  };
+
+  beforeEach(async () => {
+    jest.useRealTimers();
+    resources = [];
+    await startCapture();
+  });
+
+  afterEach(async () => {
+    // 关闭捕获会重置注入脚本的额度和缓存，避免影响下一个测试
+    capture.disable();
+    await flush();
+    stop();
+  });
+
+  test('应该记录SourceBuffer的MIME类型和追加的字节范围', async () => {
+    const mediaSource = new MediaSource();
+    const url = URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/mp4; codecs="avc1.64001f"');
+    const audioBuffer = mediaSource.addSourceBuffer('audio/mp4; codecs="mp4a.40.2"');
+
+    const data = new Uint8Array([1, 2, 3]);
+    videoBuffer.appendBuffer(data);
+    data.set([9, 9, 9]);
+    videoBuffer.appendBuffer(new Uint8Array([4, 5]).buffer);
+    audioBuffer.appendBuffer(new Uint8Array([7]));
+
+    expect(videoBuffer.appended).toHaveLength(2);
+
+    mediaSource.endOfStream();
+    await flush();
+
+    const resource = resources[resources.length - 1];
+
+    expect(resource.url).toBe(url);
+    expect(resource.streamType).toBe('mse');
+    expect(resource.type).toBe('video');
+    expect(resource.contentType).toBe('video/mp4');
+    expect(resource.size).toBe(6);
+    expect(resource.mse.ended).toBe(true);
+    expect(resource.mse.tracks).toEqual([
+      { kind: 'video', mimeType: 'video/mp4', codecs: 'avc1.64001f', bytes: 5, appendCount: 2 },
+      { kind: 'audio', mimeType: 'audio/mp4', codecs: 'mp4a.40.2', bytes: 1, appendCount: 1 }
+    ]);
+  });
+
+  test('播放完成后应该将各轨道分别保存为文件', async () => {
+    const clicked = [];
+    const clickSpy = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      clicked.push(this.download);
+    });
+
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/webm; codecs="vp9"');
+    videoBuffer.appendBuffer(Buffer.from('init'));
+    videoBuffer.appendBuffer(Buffer.from('data'));
+    mediaSource.endOfStream();
+    await flush();
+
+    const { id } = resources[resources.length - 1].mse;
+    const blobs = [];
+    createObjectURLMock.mockImplementationOnce(blob => {
+      blobs.push(blob);
+      return 'blob:saved';
+    });
+
+    const files = await capture.save(id, 'clip');
+
+    expect(files).toEqual([{ filename: 'clip.webm', mimeType: 'video/webm', bytes: 8 }]);
+    expect(clicked).toEqual(['clip.webm']);
+    expect(blobText(blobs[0])).toBe('initdata');
+
+    // 保存后释放缓存并归还额度
+    await flush();
+    expect(resources[resources.length - 1].mse.freed).toBe(true);
+    expect((await service.getStatus(TAB_ID)).usedBytes).toBe(8 * 1024 * 1024 - 8);
+    await expect(capture.save(id, 'clip')).rejects.toThrow('媒体流的缓存已释放');
+
+    clickSpy.mockRestore();
+  });
+
+  test('播放未结束时应该拒绝保存', async () => {
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    mediaSource.addSourceBuffer('video/mp4').appendBuffer(new Uint8Array([1]));
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const { id } = resources[resources.length - 1].mse;
+
+    await expect(capture.save(id, 'clip')).rejects.toThrow('媒体尚未播放完成');
+  });
+
+  test('没有开启捕获时不应该缓存追加的数据', async () => {
+    capture.disable();
+    await flush();
+
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/mp4');
+    videoBuffer.appendBuffer(new Uint8Array([1, 2, 3]));
+    mediaSource.endOfStream();
+    await flush();
+
+    expect(videoBuffer.appended).toHaveLength(1);
+    expect(resources[resources.length - 1].mse.bufferedBytes).toBe(0);
+  });
+
+  test('整个页面共享捕获额度，超出后丢弃该媒体流，其他媒体流释放后归还额度', async () => {
+    capture.disable();
+    await flush();
+    stop();
+    await startCapture(10);
+
+    const first = new MediaSource();
+    URL.createObjectURL(first);
+    first.addSourceBuffer('video/mp4').appendBuffer(new Uint8Array(6));
+    first.endOfStream();
+    await flush();
+
+    const second = new MediaSource();
+    URL.createObjectURL(second);
+    second.addSourceBuffer('video/mp4').appendBuffer(new Uint8Array(6));
+    second.endOfStream();
+    await flush();
+
+    const firstId = resources.find(resource => resource.mse.bufferedBytes === 6).mse.id;
+    const secondResource = resources[resources.length - 1];
+    expect(secondResource.mse.id).not.toBe(firstId);
+    expect(secondResource.mse.truncated).toBe(true);
+    expect(secondResource.mse.bufferedBytes).toBe(0);
+    expect((await service.getStatus(TAB_ID)).usedBytes).toBe(10);
+
+    first.close();
+    await flush();
+
+    expect(resources[resources.length - 1].mse).toMatchObject({ id: firstId, freed: true, bufferedBytes: 0 });
+    expect((await service.getStatus(TAB_ID)).usedBytes).toBe(4);
+  });
+
+  test('开启捕获前已经开始追加的媒体流应该标记为缺少开头，不能保存', async () => {
+    capture.disable();
+    await flush();
+
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/mp4');
+    videoBuffer.appendBuffer(new Uint8Array([1, 2, 3]));
+
+    capture.enable();
+    await flush();
+    videoBuffer.appendBuffer(new Uint8Array([4, 5]));
+    mediaSource.endOfStream();
+    await flush();
+
+    const resource = resources[resources.length - 1];
+    expect(resource.mse).toMatchObject({ missedStart: true, bufferedBytes: 0, ended: true });
+    await expect(capture.save(resource.mse.id)).rejects.toThrow('缺少开头的数据');
+  });
+
+  test('开启捕获后额度分配之前追加的数据应该等待分配后记录', async () => {
+    capture.disable();
+    await flush();
+    stop();
+
+    const grants = [];
+    capture = new MSECapture({
+      requestQuota: (bytes, released) => new Promise(resolve => {
+        grants.push(() => resolve(service.requestQuota(TAB_ID, bytes, released)));
+      })
+    });
+    stop = capture.start(resource => resources.push(resource));
+    capture.enable();
+    await flush();
+
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/mp4');
+    videoBuffer.appendBuffer(new Uint8Array([1, 2, 3]));
+    videoBuffer.appendBuffer(new Uint8Array([4]));
+
+    expect(grants).toHaveLength(1);
+    grants.shift()();
+    await flush();
+    mediaSource.endOfStream();
+    await flush();
+
+    const resource = resources[resources.length - 1];
+    expect(resource.mse).toMatchObject({ truncated: false, missedStart: false, bufferedBytes: 4 });
+    expect(resource.mse.tracks[0].appendCount).toBe(2);
+  });
+
+  test('移除的SourceBuffer应该释放已缓存的数据', async () => {
+    const mediaSource = new MediaSource();
+    URL.createObjectURL(mediaSource);
+    const videoBuffer = mediaSource.addSourceBuffer('video/mp4');
+    const audioBuffer = mediaSource.addSourceBuffer('audio/mp4');
+    videoBuffer.appendBuffer(new Uint8Array([1, 2, 3]));
+    audioBuffer.appendBuffer(new Uint8Array([4]));
+
+    mediaSource.removeSourceBuffer(videoBuffer);
+    videoBuffer.appendBuffer(new Uint8Array([5]));
+    await flush();
+
+    const { tracks, bufferedBytes } = resources[resources.length - 1].mse;
+    expect(bufferedBytes).toBe(1);
+    expect(tracks.map(track => [track.kind, track.bytes])).toEqual([['video', 0], ['audio', 1]]);
+  });
+});
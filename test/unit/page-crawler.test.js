@@ -0,0 +1,365 @@
+/**
+ * @file page-crawler.test.js
+ * @description 多页抓取（跟随分页链接、限制、同源限制、取消）和资源检测Worker的HTML扫描测试
+ */
+
+const { default: PageCrawler, PAGE_CRAWL_STOP_REASONS } = require('../../src/content/page-crawler');
+const { PageDetectionService, DETECTION_TASK_TYPE } = require('../../src/services/page-detection-service');
+const { default: TaskManager } = require('../../src/workers/distributed/task-manager');
+
+const START_URL = 'https://gallery.example.com/photos?page=1';
+
+/**
+ * 创建页面文档
+ */
+function createDocument(html) {
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+/**
+ * 模拟页面请求，pages为 URL -> HTML 或 { html, status, contentType, url } 的映射
+ */
+function mockFetch(pages) {
+  return jest.fn(async url => {
+    const page = pages[url];
+    if (page === undefined) {
+      return { ok: false, status: 404, url, headers: { get: () => 'text/html' }, text: async () => '' };
+    }
+
+    const { html = '', status = 200, contentType = 'text/html; charset=utf-8', url: finalUrl = url } =
+      typeof page === 'string' ? { html: page } : page;
+
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      url: finalUrl,
+      headers: { get: name => (name === 'content-type' ? contentType : null) },
+      text: async () => html
+    };
+  });
+}
+
+/**
+ * 检测HTML中所有img的地址
+ */
+function detectImages(html, pageUrl) {
+  return Array.from(createDocument(html).querySelectorAll('img')).map(img => ({
+    url: new URL(img.getAttribute('src'), pageUrl).href,
+    type: 'image'
+  }));
+}
+
+/**
+ * 模拟Worker：记录创建的Worker，默认不返回结果（模拟正在执行的检测）
+ */
+class FakeWorker {
+  constructor(url, options) {
+    this.url = url;
+    this.options = options;
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(data) {
+    this.data = data;
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+FakeWorker.instances = [];
+
+const page = (images, next) =>
+  `<html><body>${images.map(src => `<img src="${src}">`).join('')}${next ? `<a rel="next" href="${next}">下一页</a>` : ''}</body></html>`;
+
+describe('PageCrawler', () => {
+  let detectResources;
+  let added;
+  const addResources = jest.fn((resources, pageUrl) => {
+    added.push(...resources.map(resource => ({ url: resource.url, pageUrl })));
+    return resources.length;
+  });
+
+  beforeEach(() => {
+    detectResources = jest.fn(async (html, pageUrl) => {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return detectImages(html, pageUrl);
+    });
+    added = [];
+    addResources.mockClear();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  const createCrawler = (startHtml, fetchPage, options = {}) => new PageCrawler(addResources, {
+    startUrl: START_URL,
+    startDocument: createDocument(startHtml),
+    fetchPage,
+    detectResources,
+    delay: 1,
+    ...options
+  });
+
+  test('应该沿rel="next"抓取分页并汇总每页的资源', async () => {
+    const fetchPage = mockFetch({
+      'https://gallery.example.com/photos?page=2': page(['/img/2a.jpg', '/img/2b.jpg'], '?page=3'),
+      'https://gallery.example.com/photos?page=3': page(['/img/3a.jpg'])
+    });
+    const onProgress = jest.fn();
+    const crawler = createCrawler(page(['/img/1.jpg'], '/photos?page=2#top'), fetchPage, { maxDepth: 5 });
+
+    const result = await crawler.run(onProgress);
+
+    expect(fetchPage.mock.calls.map(call => call[0])).toEqual([
+      'https://gallery.example.com/photos?page=2',
+      'https://gallery.example.com/photos?page=3'
+    ]);
+    expect(detectResources).toHaveBeenCalledWith(expect.stringContaining('/img/2a.jpg'), 'https://gallery.example.com/photos?page=2');
+    expect(added).toEqual([
+      { url: 'https://gallery.example.com/img/2a.jpg', pageUrl: 'https://gallery.example.com/photos?page=2' },
+      { url: 'https://gallery.example.com/img/2b.jpg', pageUrl: 'https://gallery.example.com/photos?page=2' },
+      { url: 'https://gallery.example.com/img/3a.jpg', pageUrl: 'https://gallery.example.com/photos?page=3' }
+    ]);
+    expect(result).toMatchObject({
+      state: 'completed',
+      reason: PAGE_CRAWL_STOP_REASONS.DONE,
+      pagesVisited: 2,
+      resourceCount: 3,
+      errors: 0
+    });
+    expect(onProgress).toHaveBeenCalledTimes(2);
+    expect(crawler.running).toBe(false);
+  });
+
+  test('应该遵守深度和页面数限制', async () => {
+    const pages = {};
+    for (let i = 2; i <= 10; i++) {
+      pages[`https://gallery.example.com/photos?page=${i}`] = page([`/img/${i}.jpg`], `?page=${i + 1}`);
+    }
+
+    const byDepth = mockFetch(pages);
+    await createCrawler(page([], '?page=2'), byDepth, { maxDepth: 2 }).run();
+    expect(byDepth).toHaveBeenCalledTimes(2);
+
+    const byPages = mockFetch(pages);
+    const result = await createCrawler(page([], '?page=2'), byPages, { maxDepth: 20, maxPages: 3 }).run();
+    expect(byPages).toHaveBeenCalledTimes(3);
+    expect(result.reason).toBe(PAGE_CRAWL_STOP_REASONS.MAX_PAGES);
+  });
+
+  test('只应该抓取同源页面，并记录失败的页面', async () => {
+    const startHtml = `
+      <a rel="next" href="https://other.example.net/photos?page=2">其他站点</a>
+      <a class="page" href="/photos?page=2">2</a>
+      <a class="page" href="/photos?page=3">3</a>
+      <a class="page" href="/photos?page=4">4</a>
+      <a class="page" href="/feed.json">feed</a>
+      <a class="page" href="javascript:void(0)">x</a>
+    `;
+    const fetchPage = mockFetch({
+      'https://gallery.example.com/photos?page=2': page(['/img/2.jpg']),
+      'https://gallery.example.com/photos?page=3': { url: 'https://login.example.org/', html: page(['/img/x.jpg']) },
+      'https://gallery.example.com/feed.json': { contentType: 'application/json', html: '{}' }
+    });
+
+    const result = await createCrawler(startHtml, fetchPage, { nextSelector: 'a.page' }).run();
+
+    expect(fetchPage.mock.calls.map(call => call[0])).toEqual([
+      'https://gallery.example.com/photos?page=2',
+      'https://gallery.example.com/photos?page=3',
+      'https://gallery.example.com/photos?page=4',
+      'https://gallery.example.com/feed.json'
+    ]);
+    expect(added.map(resource => resource.url)).toEqual(['https://gallery.example.com/img/2.jpg']);
+    expect(result).toMatchObject({ pagesVisited: 1, errors: 3 });
+    expect(result.lastError).toContain('不是HTML页面');
+  });
+
+  test('应该跟随URL匹配模式的链接，忽略无效的选择器', async () => {
+    const startHtml = `
+      <a href="/album/17">相册17</a>
+      <a href="/about">关于</a>
+      <a href="/album/18?sort=new">相册18</a>
+    `;
+    const fetchPage = mockFetch({
+      'https://gallery.example.com/album/17': page(['/a/17.jpg']),
+      'https://gallery.example.com/album/18?sort=new': page(['/a/18.jpg'])
+    });
+
+    await createCrawler(startHtml, fetchPage, { urlPattern: '/album/\\d+', nextSelector: '[[invalid', maxDepth: 1 }).run();
+
+    expect(fetchPage.mock.calls.map(call => call[0])).toEqual([
+      'https://gallery.example.com/album/17',
+      'https://gallery.example.com/album/18?sort=new'
+    ]);
+    expect(added).toHaveLength(2);
+    expect(console.warn).toHaveBeenCalledWith('无效的分页链接选择器:', '[[invalid');
+  });
+
+  test('取消时应该立即停止', async () => {
+    const fetchPage = mockFetch({ 'https://gallery.example.com/photos?page=2': page(['/img/2.jpg']) });
+    const crawler = createCrawler(page([], '?page=2'), fetchPage, { delay: 60000 });
+
+    const running = crawler.run();
+    await expect(crawler.run()).rejects.toThrow('多页抓取正在进行');
+    crawler.cancel();
+    const result = await running;
+
+    expect(result).toMatchObject({ state: 'cancelled', reason: PAGE_CRAWL_STOP_REASONS.CANCELLED, pagesVisited: 0 });
+    expect(fetchPage).not.toHaveBeenCalled();
+  });
+
+  describe('使用真实的任务管理器检测', () => {
+    const originalWorker = global.Worker;
+
+    beforeEach(() => {
+      FakeWorker.instances = [];
+      global.Worker = FakeWorker;
+    });
+
+    afterEach(() => {
+      global.Worker = originalWorker;
+    });
+
+    const createService = () => {
+      const taskManager = new TaskManager(2);
+      taskManager.registerWorkerScript(DETECTION_TASK_TYPE, 'chrome-extension://id/src/workers/distributed/resource-detector.js');
+      return new PageDetectionService({ taskManager });
+    };
+
+    test('取消时正在执行的检测不应该阻止抓取结束，之后可以重新开始', async () => {
+      const service = createService();
+      detectResources = (html, pageUrl) => service.detect(html, pageUrl);
+      const fetchPage = mockFetch({ 'https://gallery.example.com/photos?page=2': page(['/img/2.jpg']) });
+      const onProgress = jest.fn();
+      const crawler = createCrawler(page([], '?page=2'), fetchPage);
+
+      const running = crawler.run(onProgress);
+      while (FakeWorker.instances.length === 0) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      expect(FakeWorker.instances[0].data).toMatchObject({ action: DETECTION_TASK_TYPE, baseUrl: 'https://gallery.example.com/photos?page=2' });
+
+      crawler.cancel();
+      const result = await running;
+
+      expect(result).toMatchObject({ state: 'cancelled', pagesVisited: 1, resourceCount: 0, errors: 0 });
+      expect(crawler.running).toBe(false);
+
+      FakeWorker.instances[0].onmessage({ data: { resources: detectImages(page(['/img/2.jpg']), 'https://gallery.example.com/photos?page=2') } });
+      expect(addResources).not.toHaveBeenCalled();
+
+      const again = crawler.run();
+      while (FakeWorker.instances.length < 2) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+      FakeWorker.instances[1].onmessage({ data: { resources: detectImages(page(['/img/2.jpg']), 'https://gallery.example.com/photos?page=2') } });
+
+      expect(await again).toMatchObject({ state: 'completed', resourceCount: 1 });
+      expect(added).toEqual([{ url: 'https://gallery.example.com/img/2.jpg', pageUrl: 'https://gallery.example.com/photos?page=2' }]);
+    });
+
+    test('停止任务管理器时正在执行和排队的检测都应该以错误结束', async () => {
+      const service = new PageDetectionService({ taskManager: new TaskManager(1) });
+      service.taskManager.registerWorkerScript(DETECTION_TASK_TYPE, 'detector.js');
+
+      const active = service.detect('<img src="/a.jpg">', 'https://example.com/');
+      const queued = service.detect('<img src="/b.jpg">', 'https://example.com/');
+
+      expect(FakeWorker.instances).toHaveLength(1);
+      service.stopAll();
+
+      await expect(active).rejects.toThrow('任务被取消');
+      await expect(queued).rejects.toThrow('任务被取消');
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+      expect(service.taskManager.getStatus()).toMatchObject({ activeTasks: 0, queuedTasks: 0, activeWorkers: 0 });
+    });
+  });
+
+  test('检测任务失败时应该记录错误并继续', async () => {
+    detectResources.mockImplementation(async () => {
+      throw new Error('Worker错误: 无法加载');
+    });
+    const fetchPage = mockFetch({
+      'https://gallery.example.com/photos?page=2': page(['/img/2.jpg'], '?page=3'),
+      'https://gallery.example.com/photos?page=3': page(['/img/3.jpg'])
+    });
+
+    const result = await createCrawler(page([], '?page=2'), fetchPage).run();
+
+    expect(fetchPage).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ pagesVisited: 2, errors: 2, resourceCount: 0 });
+    expect(result.lastError).toContain('Worker错误');
+  });
+});
+
+describe('资源检测Worker', () => {
+  const originalDOMParser = global.DOMParser;
+  const originalPostMessage = global.postMessage;
+
+  beforeAll(() => {
+    require('../../src/workers/distributed/resource-detector');
+  });
+
+  beforeEach(() => {
+    global.postMessage = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    global.DOMParser = originalDOMParser;
+    global.postMessage = originalPostMessage;
+    console.log.mockRestore();
+  });
+
+  const html = `
+    <!-- <img src="/commented.jpg"> -->
+    <style>.hero { background: url('/img/hero.webp'); }</style>
+    <img src="/img/a.jpg?w=300&amp;h=200" width="300" srcset="/img/a-2x.jpg 2x" alt='照片'>
+    <video poster="/img/poster.jpg"><source src="/v/clip.mp4" type="video/mp4"></video>
+    <div data-lazy-src="/img/lazy.png" style="background-image:url(/img/bg.gif)"></div>
+    <a href="/files/song.mp3">下载</a>
+    <script>var s = '<img src="/script.jpg">';</script>
+  `;
+
+  const detect = () => {
+    self.onmessage({ data: { action: DETECTION_TASK_TYPE, taskId: 't1', domFragment: html, baseUrl: 'https://example.com/page/' } });
+    return global.postMessage.mock.calls[0][0];
+  };
+
+  test('没有DOMParser时应该扫描HTML标记检测资源', () => {
+    delete global.DOMParser;
+
+    const result = detect();
+
+    expect(result).toMatchObject({ taskId: 't1', action: 'detectionComplete' });
+    expect(result.error).toBeUndefined();
+    expect(result.resources.map(resource => [resource.url, resource.type, resource.source])).toEqual([
+      ['https://example.com/img/a.jpg?w=300&h=200', 'image', 'dom'],
+      ['https://example.com/v/clip.mp4', 'video', 'dom'],
+      ['https://example.com/img/bg.gif', 'image', 'css'],
+      ['https://example.com/img/lazy.png', 'image', 'attribute'],
+      ['https://example.com/files/song.mp3', 'audio', 'dom'],
+      ['https://example.com/img/hero.webp', 'image', 'css']
+    ]);
+    expect(result.resources[0]).toMatchObject({ width: 300, alt: '照片', srcset: [{ url: 'https://example.com/img/a-2x.jpg', descriptor: '2x' }] });
+  });
+
+  test('有DOMParser时应该检测到相同的资源', () => {
+    const urls = detect().resources.map(resource => resource.url).sort();
+
+    expect(urls).toEqual([
+      'https://example.com/files/song.mp3',
+      'https://example.com/img/a.jpg?w=300&h=200',
+      'https://example.com/img/bg.gif',
+      'https://example.com/img/hero.webp',
+      'https://example.com/img/lazy.png',
+      'https://example.com/v/clip.mp4'
+    ]);
+  });
+});
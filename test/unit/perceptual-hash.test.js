@@ -0,0 +1,165 @@
+/**
+ * @file perceptual-hash.test.js
+ * @description 感知哈希与BK树测试
+ */
+
+const PerceptualHash = require('../../src/utils/perceptual-hash').default;
+const { IDENTICAL_DISTANCE, SIMILAR_DISTANCE } = require('../../src/utils/perceptual-hash');
+const BKTree = require('../../src/utils/bk-tree').default;
+
+/**
+ * 由若干高斯光斑合成的灰度“照片”，seed不同则内容不同
+ */
+function scene(seed) {
+  let state = seed;
+  const random = () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+  const blobs = [];
+  for (let i = 0; i < 12; i++) {
+    blobs.push({ x: random(), y: random(), radius: 0.05 + random() * 0.25, amount: (random() - 0.5) * 200 });
+  }
+  return (u, v) => blobs.reduce((gray, blob) => {
+    const d = ((u - blob.x) ** 2 + (v - blob.y) ** 2) / (blob.radius * blob.radius);
+    return gray + blob.amount * Math.exp(-d);
+  }, 128);
+}
+
+function render(width, height, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = shade((x + 0.5) / width, (y + 0.5) / height);
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function hash(width, height, shade) {
+  return PerceptualHash.fromRGBA(render(width, height, shade), width, height);
+}
+
+describe('PerceptualHash', () => {
+  const photo = scene(7);
+  const original = hash(640, 480, photo);
+
+  test('生成16位十六进制的dHash和pHash', () => {
+    expect(original.dhash).toMatch(/^[0-9a-f]{16}$/);
+    expect(original.phash).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test('缩放后的同一张图片视为视觉相同', () => {
+    const thumbnail = hash(160, 120, photo);
+    expect(PerceptualHash.hammingDistance(original.phash, thumbnail.phash)).toBeLessThanOrEqual(IDENTICAL_DISTANCE);
+    expect(PerceptualHash.hammingDistance(original.dhash, thumbnail.dhash)).toBeLessThanOrEqual(IDENTICAL_DISTANCE);
+  });
+
+  test('亮度和对比度变化不影响哈希', () => {
+    const adjusted = hash(640, 480, (u, v) => photo(u, v) * 0.85 + 30);
+    expect(PerceptualHash.hammingDistance(original.phash, adjusted.phash)).toBeLessThanOrEqual(IDENTICAL_DISTANCE);
+  });
+
+  test('噪声（重新压缩）后的图片仍视为视觉相同', () => {
+    let state = 1;
+    const noise = () => {
+      state = (state * 16807) % 2147483647;
+      return state / 2147483647 - 0.5;
+    };
+    const noisy = hash(300, 225, (u, v) => photo(u, v) + noise() * 40);
+    expect(PerceptualHash.hammingDistance(original.phash, noisy.phash)).toBeLessThanOrEqual(IDENTICAL_DISTANCE);
+  });
+
+  test('不同的图片距离超过相似阈值', () => {
+    const other = hash(640, 480, scene(99));
+    expect(PerceptualHash.hammingDistance(original.phash, other.phash)).toBeGreaterThan(SIMILAR_DISTANCE);
+  });
+
+  test('透明像素按白色背景合成', () => {
+    const gray = PerceptualHash.toGrayscale([0, 0, 0, 0, 0, 0, 0, 255], 2, 1);
+    expect(Array.from(gray)).toEqual([255, 0]);
+  });
+
+  test('像素数据不足时抛出错误', () => {
+    expect(() => PerceptualHash.fromRGBA(new Uint8ClampedArray(4), 2, 2)).toThrow('像素数据无效');
+  });
+
+  test('hammingDistance按位比较，长度不一致时返回64', () => {
+    expect(PerceptualHash.hammingDistance('0000000000000000', '000000000000000f')).toBe(4);
+    expect(PerceptualHash.hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    expect(PerceptualHash.hammingDistance('abc', '0000000000000000')).toBe(64);
+    expect(PerceptualHash.similarity(16)).toBe(0.75);
+  });
+
+  test('groupByDistance按传递闭包分组并忽略无哈希项目', () => {
+    const items = [
+      { id: 'a', hash: '0000000000000000' },
+      { id: 'b', hash: 'ffffffffffffffff' },
+      { id: 'c', hash: '0000000000000007' },
+      { id: 'd', hash: '000000000000007f' },
+      { id: 'e', hash: null },
+      { id: 'f', hash: 'fffffffffffffffe' }
+    ];
+
+    const groups = PerceptualHash.groupByDistance(items, item => item.hash, 4);
+
+    expect(groups.map(group => group.map(item => item.id))).toEqual([['a', 'c', 'd'], ['b', 'f']]);
+  });
+});
+
+describe('BKTree', () => {
+  test('按距离返回范围内的值', () => {
+    const tree = new BKTree(PerceptualHash.hammingDistance);
+    tree.add('0000000000000000', 'zero');
+    tree.add('0000000000000001', 'one');
+    tree.add('00000000000000ff', 'eight');
+    tree.add('ffffffffffffffff', 'all');
+    tree.add('0000000000000001', 'one-again');
+
+    expect(tree.size).toBe(5);
+
+    const results = tree.search('0000000000000000', 1);
+    expect(results.map(result => result.value)).toEqual(['zero', 'one', 'one-again']);
+    expect(results.map(result => result.distance)).toEqual([0, 1, 1]);
+
+    expect(tree.search('00000000000000f0', 4).map(result => result.value)).toEqual(['zero', 'eight']);
+  });
+
+  test('与线性扫描结果一致', () => {
+    const tree = new BKTree(PerceptualHash.hammingDistance);
+    const keys = [];
+    let state = 42;
+    const nextHex = () => {
+      state = (state * 16807) % 2147483647;
+      return (state % 65536).toString(16).padStart(4, '0');
+    };
+
+    for (let i = 0; i < 200; i++) {
+      const key = nextHex() + nextHex() + nextHex() + nextHex();
+      keys.push(key);
+      tree.add(key, i);
+    }
+
+    const query = keys[17];
+    const expected = keys
+      .map((key, index) => ({ index, distance: PerceptualHash.hammingDistance(query, key) }))
+      .filter(item => item.distance <= 20)
+      .map(item => item.index)
+      .sort((a, b) => a - b);
+
+    const actual = tree.search(query, 20).map(result => result.value).sort((a, b) => a - b);
+    expect(actual).toEqual(expected);
+  });
+
+  test('clear清空树', () => {
+    const tree = new BKTree(PerceptualHash.hammingDistance);
+    tree.add('0000000000000000', 1);
+    tree.clear();
+
+    expect(tree.size).toBe(0);
+    expect(tree.search('0000000000000000', 64)).toEqual([]);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * @file remote-log-queue.test.js
+ * @description 远程日志持久发送队列测试：按顺序读取、字节上限淘汰最旧日志、带抖动的指数退避和跨重启保留的状态
+ */
+
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+
+const {
+  RemoteLogQueue,
+  DEFAULT_REMOTE_LOG_QUEUE_OPTIONS,
+  computeBackoffDelay,
+  isRetryableStatus
+} = require('../../src/services/remote-log-queue');
+
+/**
+ * 内存中的队列存储，模拟indexeddb-service的相关方法
+ */
+function createFakeDatabase() {
+  const records = new Map();
+  let nextId = 1;
+  const copy = record => JSON.parse(JSON.stringify(record));
+  return {
+    records,
+    addRemoteLogEntries: jest.fn(async entries => entries.map(entry => {
+      const id = nextId++;
+      records.set(id, copy({ ...entry, id }));
+      return id;
+    })),
+    getRemoteLogEntries: jest.fn(async limit => Array.from(records.values()).slice(0, limit).map(copy)),
+    deleteRemoteLogEntries: jest.fn(async ids => {
+      ids.forEach(id => records.delete(id));
+    }),
+    clearRemoteLogEntries: jest.fn(async () => {
+      records.clear();
+    })
+  };
+}
+
+/**
+ * 内存中的chrome.storage.local
+ */
+function createFakeStorage() {
+  const data = {};
+  return {
+    data,
+    get: jest.fn((keys, callback) => callback(JSON.parse(JSON.stringify(
+      keys.reduce((result, key) => (key in data ? { ...result, [key]: data[key] } : result), {})
+    )))),
+    set: jest.fn((items, callback) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+      callback();
+    })
+  };
+}
+
+const log = (id, size = 0) => ({ id, level: 3, category: 'app', message: 'x'.repeat(size) });
+
+describe('computeBackoffDelay', () => {
+  test('应该按指数增长并限制在最长等待时间内', () => {
+    const full = () => 0.999999;
+    expect(computeBackoffDelay(1, 1000, 60000, full)).toBe(1000);
+    expect(computeBackoffDelay(2, 1000, 60000, full)).toBe(2000);
+    expect(computeBackoffDelay(4, 1000, 60000, full)).toBe(8000);
+    expect(computeBackoffDelay(20, 1000, 60000, full)).toBe(60000);
+  });
+
+  test('抖动应该在上限的一半到全部之间', () => {
+    expect(computeBackoffDelay(3, 1000, 60000, () => 0)).toBe(2000);
+    expect(computeBackoffDelay(3, 1000, 60000, () => 0.5)).toBe(3000);
+  });
+});
+
+describe('isRetryableStatus', () => {
+  test('只有服务器拒绝日志内容时才丢弃，认证和地址错误应该保留日志重试', () => {
+    expect([400, 413, 422].map(isRetryableStatus)).toEqual([false, false, false]);
+    expect([401, 403, 404, 408, 429, 500, 503].map(isRetryableStatus)).toEqual([true, true, true, true, true, true, true]);
+  });
+});
+
+describe('RemoteLogQueue', () => {
+  let db;
+  let storage;
+  let now;
+  const createQueue = (options = {}) => new RemoteLogQueue(async () => db, {
+    storage,
+    now: () => now,
+    random: () => 0.5,
+    ...options
+  });
+
+  beforeEach(() => {
+    db = createFakeDatabase();
+    storage = createFakeStorage();
+    now = 1000000;
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('应该按加入顺序读取日志并在移除后发送下一批', async () => {
+    const queue = createQueue();
+    await queue.enqueue([log('a'), log('b')]);
+    await queue.enqueue([log('c')]);
+
+    const first = await queue.peek(2);
+    expect(first.map(entry => entry.log.id)).toEqual(['a', 'b']);
+    expect(first[0].bytes).toBe(JSON.stringify(log('a')).length);
+    expect(first[0].createdAt).toBe(now);
+
+    await queue.remove(first.map(entry => entry.id));
+    expect((await queue.peek(2)).map(entry => entry.log.id)).toEqual(['c']);
+  });
+
+  test('超出字节上限时应该先丢弃最旧的日志', async () => {
+    const entryBytes = JSON.stringify(log('a', 100)).length;
+    const queue = createQueue({ maxBytes: entryBytes * 3 });
+
+    expect(await queue.enqueue([log('a', 100), log('b', 100), log('c', 100)])).toBe(0);
+    expect(await queue.enqueue([log('d', 100), log('e', 100)])).toBe(2);
+
+    const stats = await queue.getStats();
+    expect((await queue.peek()).map(entry => entry.log.id)).toEqual(['c', 'd', 'e']);
+    expect(stats).toMatchObject({ count: 3, bytes: entryBytes * 3, maxBytes: entryBytes * 3, dropped: 2 });
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('已丢弃最旧的2条日志'));
+  });
+
+  test('发送失败后应该按退避等待，状态在重启后保留', async () => {
+    const queue = createQueue({ baseDelay: 1000, maxDelay: 60000 });
+    await queue.enqueue([log('a')]);
+
+    expect(await queue.recordFailure('网络错误: offline')).toBe(750);
+    expect(await queue.recordFailure('服务器响应错误: 503')).toBe(1500);
+
+    now += 1000;
+    const restarted = createQueue();
+    expect(await restarted.getRetryDelay()).toBe(500);
+    expect(await restarted.getStats()).toMatchObject({
+      count: 1,
+      attempts: 2,
+      lastError: '服务器响应错误: 503',
+      lastErrorAt: now - 1000
+    });
+
+    now += 500;
+    expect(await restarted.getRetryDelay()).toBe(0);
+
+    await restarted.recordSuccess();
+    expect(await restarted.getStats()).toMatchObject({ attempts: 0, nextAttemptAt: 0, lastSuccessAt: now, lastError: '服务器响应错误: 503' });
+  });
+
+  test('不重试的失败应该只记录错误和丢弃条数', async () => {
+    const queue = createQueue();
+
+    await queue.recordFailure('服务器响应错误: 400，已丢弃3条日志', { retry: false, dropped: 3 });
+
+    expect(await queue.getRetryDelay()).toBe(0);
+    expect(await queue.getStats()).toMatchObject({ attempts: 0, dropped: 3, lastError: '服务器响应错误: 400，已丢弃3条日志' });
+  });
+
+  test('应该忽略无效的配置并在清空时重置状态', async () => {
+    const queue = createQueue();
+    queue.configure({ maxBytes: 0, baseDelay: NaN, maxDelay: 5000 });
+    expect(queue.options).toEqual({ ...DEFAULT_REMOTE_LOG_QUEUE_OPTIONS, maxDelay: 5000 });
+
+    await queue.enqueue([log('a')]);
+    await queue.recordFailure('网络错误');
+    await queue.clear();
+
+    expect(await queue.getStats()).toMatchObject({ count: 0, bytes: 0, attempts: 0, lastError: null });
+  });
+});
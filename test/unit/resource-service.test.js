@@ -0,0 +1,186 @@
+/**
+ * @file resource-service.test.js
+ * @description 资源管理服务变体合并和规则应用单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const ResourceService = require('../../src/services/resource-service').default;
+const RuleEngineService = require('../../src/services/rule-engine-service').default;
+
+describe('ResourceService 变体', () => {
+  const tabId = '1';
+  let resourceService;
+
+  beforeEach(() => {
+    resourceService = new ResourceService();
+  });
+
+  test('带变体的资源应该指向最佳变体', () => {
+    resourceService.addResource(tabId, {
+      url: 'https://cdn.example.com/hero-400.jpg',
+      type: 'image',
+      source: 'dom',
+      variants: [
+        { url: 'https://cdn.example.com/hero-400.jpg', width: 400 },
+        { url: 'https://cdn.example.com/hero-1600.jpg', width: 1600 },
+        { url: 'https://cdn.example.com/hero-800.jpg', width: 800 }
+      ]
+    });
+
+    const [resource] = resourceService.getResources(tabId);
+
+    expect(resource.url).toBe('https://cdn.example.com/hero-1600.jpg');
+    expect(resource.width).toBe(1600);
+    expect(resource.variants.map(v => v.label)).toEqual(['1600w', '800w', '400w']);
+  });
+
+  test('已单独检测到的候选项应该合并为一个父资源', () => {
+    resourceService.addResource(tabId, { url: 'https://cdn.example.com/hero-400.jpg', type: 'image', source: 'network' });
+    resourceService.addResource(tabId, { url: 'https://cdn.example.com/hero-800.jpg', type: 'image', source: 'network' });
+    resourceService.addResource(tabId, { url: 'https://cdn.example.com/other.jpg', type: 'image', source: 'network' });
+
+    const added = resourceService.addResource(tabId, {
+      url: 'https://cdn.example.com/hero-800.jpg',
+      type: 'image',
+      source: 'dom',
+      variants: [
+        { url: 'https://cdn.example.com/hero-400.jpg', width: 400 },
+        { url: 'https://cdn.example.com/hero-800.jpg', width: 800 }
+      ]
+    });
+
+    const resources = resourceService.getResources(tabId);
+    const parent = resources.find(r => r.variants);
+
+    expect(added).toBe(false);
+    expect(resources).toHaveLength(2);
+    expect(parent.url).toBe('https://cdn.example.com/hero-800.jpg');
+    expect(parent.variants.map(v => v.width)).toEqual([800, 400]);
+    expect(parent.sources).toEqual(expect.arrayContaining(['network', 'dom']));
+  });
+
+  test('后续检测到的变体应该并入已有父资源', () => {
+    resourceService.addResource(tabId, {
+      url: 'https://cdn.example.com/a-2x.png',
+      type: 'image',
+      source: 'attribute',
+      variants: [
+        { url: 'https://cdn.example.com/a-1x.png', density: 1 },
+        { url: 'https://cdn.example.com/a-2x.png', density: 2 }
+      ]
+    });
+
+    resourceService.addResource(tabId, {
+      url: 'https://cdn.example.com/a-3x.png',
+      type: 'image',
+      source: 'dom',
+      variants: [
+        { url: 'https://cdn.example.com/a-2x.png', density: 2 },
+        { url: 'https://cdn.example.com/a-3x.png', density: 3 }
+      ]
+    });
+
+    const resources = resourceService.getResources(tabId);
+
+    expect(resources).toHaveLength(1);
+    expect(resources[0].url).toBe('https://cdn.example.com/a-3x.png');
+    expect(resources[0].variants.map(v => v.label)).toEqual(['3x', '2x', '1x']);
+  });
+
+  test('流媒体父资源应该保留清单URL并吸收变体播放列表', () => {
+    resourceService.addResource(tabId, {
+      url: 'https://media.example.com/master.m3u8',
+      type: 'video',
+      isStream: true,
+      streamType: 'hls',
+      source: 'streaming',
+      variants: [
+        { url: 'https://media.example.com/720p.m3u8', bandwidth: 3000000, height: 720, label: '720p' },
+        { url: 'https://media.example.com/480p.m3u8', bandwidth: 1000000, height: 480, label: '480p' }
+      ]
+    });
+
+    resourceService.addResource(tabId, {
+      url: 'https://media.example.com/480p.m3u8',
+      type: 'video',
+      isStream: true,
+      streamType: 'hls',
+      source: 'network'
+    });
+
+    const resources = resourceService.getResources(tabId);
+
+    expect(resources).toHaveLength(1);
+    expect(resources[0].url).toBe('https://media.example.com/master.m3u8');
+    expect(resources[0].variants.map(v => v.label)).toEqual(['720p', '480p']);
+  });
+
+  test('没有变体的同URL资源应该沿用原有更新逻辑', () => {
+    resourceService.addResource(tabId, { url: 'https://cdn.example.com/x.jpg', type: 'image', source: 'dom' });
+    resourceService.addResource(tabId, { url: 'https://cdn.example.com/x.jpg', type: 'image', source: 'css', width: 100, height: 50 });
+
+    const [resource] = resourceService.getResources(tabId);
+
+    expect(resource.variants).toBeUndefined();
+    expect(resource.width).toBe(100);
+    expect(resource.sources).toEqual(['dom', 'css']);
+  });
+});
+
+describe('ResourceService 规则', () => {
+  const tabId = '1';
+  let resourceService;
+  let ruleEngine;
+
+  beforeEach(() => {
+    ruleEngine = new RuleEngineService();
+    ruleEngine.setCustomRules([
+      {
+        id: 'gallery-exclude-thumbs',
+        match: { domain: '*.gallery.example', resourceUrl: '/thumbs/' },
+        actions: [{ type: 'exclude' }]
+      },
+      {
+        id: 'gallery-photos',
+        match: { domain: '*.gallery.example', resourceType: 'image' },
+        actions: [
+          { type: 'boostScore', value: 20 },
+          { type: 'setQualityThreshold', minWidth: 800 },
+          { type: 'renameTemplate', template: '{page_title}_{index}' },
+          { type: 'targetFolder', folder: 'gallery/photos' }
+        ]
+      }
+    ]);
+
+    resourceService = new ResourceService();
+    resourceService.setRuleEngine(ruleEngine);
+    resourceService.setPageUrl(tabId, 'https://www.gallery.example/album/7');
+  });
+
+  test('加入资源时应该应用排除、质量阈值、加分、文件名模板和下载子目录', () => {
+    expect(resourceService.addResource(tabId, { url: 'https://cdn.gallery.example/thumbs/1.jpg', type: 'image' })).toBe(false);
+    expect(resourceService.addResource(tabId, { url: 'https://cdn.gallery.example/small.jpg', type: 'image', width: 320, height: 240 })).toBe(false);
+    expect(resourceService.addResource(tabId, { url: 'https://cdn.gallery.example/full.jpg', type: 'image', width: 1920, height: 1080 })).toBe(true);
+
+    const [resource] = resourceService.getResources(tabId);
+
+    expect(resourceService.getResources(tabId)).toHaveLength(1);
+    expect(resource.score).toBe(100 + 20);
+    expect(resource.scoreDetails.rules).toEqual({ score: 20, value: '规则加分' });
+    expect(resource.filenameTemplate).toBe('{page_title}_{index}');
+    expect(resource.targetFolder).toBe('gallery/photos');
+  });
+
+  test('其他页面的资源不受站点规则影响', () => {
+    resourceService.setPageUrl(tabId, 'https://other.example/');
+    resourceService.addResource(tabId, { url: 'https://cdn.gallery.example/thumbs/1.jpg', type: 'image', width: 100, height: 100 });
+
+    const [resource] = resourceService.getResources(tabId);
+
+    expect(resource).toBeDefined();
+    expect(resource.filenameTemplate).toBeUndefined();
+    expect(resource.targetFolder).toBeUndefined();
+  });
+});
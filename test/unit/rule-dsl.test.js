@@ -0,0 +1,204 @@
+/**
+ * @file rule-dsl.test.js
+ * @description 声明式规则格式单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RuleDSL = require('../../src/utils/rule-dsl').default;
+const { RULE_PACK_FORMAT, RULE_DSL_VERSION } = require('../../src/utils/rule-dsl');
+
+const packText = fs.readFileSync(path.join(__dirname, 'fixtures/rules/photo-sites.json'), 'utf8');
+
+describe('RuleDSL', () => {
+  describe('校验', () => {
+    test('示例规则包应该通过校验', () => {
+      expect(RuleDSL.validatePack(JSON.parse(packText))).toEqual({ valid: true, errors: [] });
+    });
+
+    test('应该报告条件和动作中的错误', () => {
+      const result = RuleDSL.validateRule({
+        id: 'broken',
+        match: {
+          domain: [],
+          url: '([',
+          width: { min: 10, max: 5 },
+          dom: { img: -1 },
+          colour: 'red'
+        },
+        actions: [
+          { type: 'boostScore' },
+          { type: 'renameTemplate', template: '{nope}.{ext}' },
+          { type: 'targetFolder', folder: '../outside' },
+          { type: 'launchMissiles' }
+        ]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        'broken: match.domain必须是非空字符串或字符串数组',
+        expect.stringContaining('broken: match.url不是有效的正则'),
+        'broken: match.width.min不能大于max',
+        'broken: match.dom.img必须是非负数',
+        'broken: 未知的条件: match.colour',
+        'broken: actions[0].value必须是数字',
+        'broken: actions[1].template无效: 未知的占位符: {nope}',
+        'broken: actions[2].folder必须是不含".."的相对路径',
+        expect.stringContaining('broken: actions[3].type必须是')
+      ]);
+    });
+
+    test('规则包中的规则ID不能重复', () => {
+      const rule = { id: 'a', match: {}, actions: [{ type: 'include' }] };
+      const result = RuleDSL.validatePack({ format: RULE_PACK_FORMAT, version: RULE_DSL_VERSION, name: 'dup', rules: [rule, rule] });
+
+      expect(result.errors).toEqual(['规则ID重复: a']);
+    });
+
+    test('应该拒绝可能灾难性回溯的正则和过长的正则', () => {
+      const rule = match => ({ id: 'redos', match, actions: [{ type: 'include' }] });
+
+      ['(a+)+$', '(\\w*x)*y', '((ab)+c){2,}', '(?:[a-z]+\\.)*com'].forEach(source => {
+        expect(RuleDSL.validateRule(rule({ resourceUrl: source })).errors)
+          .toEqual(['redos: match.resourceUrl包含嵌套的重复量词，可能导致灾难性回溯']);
+      });
+      expect(RuleDSL.validateRule(rule({ meta: { 'og:type': 'a'.repeat(501) } })).errors)
+        .toEqual(['redos: match.meta.og:type超过500个字符']);
+
+      ['/photos/\\d+/(large|original)\\.jpg', '(a+)?b', '([+*])+', '\\(a+\\)+'].forEach(source => {
+        expect(RuleDSL.validateRule(rule({ url: source })).valid).toBe(true);
+      });
+    });
+  });
+
+  describe('导入导出', () => {
+    test('解析后再序列化应该保持内容不变', () => {
+      const pack = RuleDSL.parsePack(packText);
+
+      expect(pack.name).toBe('photo-sites');
+      expect(JSON.parse(RuleDSL.serializePack(pack))).toEqual(JSON.parse(packText));
+    });
+
+    test('无效的规则包应该抛出错误', () => {
+      expect(() => RuleDSL.parsePack('{not json')).toThrow('规则包不是有效的JSON');
+      expect(() => RuleDSL.parsePack({ format: 'other', version: 2, name: '', rules: [] }))
+        .toThrow('规则包无效: format必须为 resource-sniffer-rules; version为 2，当前规则格式版本为 1; 缺少name');
+    });
+  });
+
+  describe('匹配条件', () => {
+    test('"*."前缀应该匹配主域名和子域名', () => {
+      const rule = { id: 'a', match: { domain: '*.example.com' }, actions: [{ type: 'include' }] };
+
+      expect(RuleDSL.matches(rule, { url: 'https://example.com/' })).toBe(true);
+      expect(RuleDSL.matches(rule, { url: 'https://img.EXAMPLE.com/a' })).toBe(true);
+      expect(RuleDSL.matches(rule, { url: 'https://badexample.com/' })).toBe(false);
+      expect(RuleDSL.matches({ ...rule, enabled: false }, { url: 'https://example.com/' })).toBe(false);
+    });
+
+    test('资源条件只在评估资源时满足，未知尺寸视为不满足', () => {
+      const rule = { id: 'a', match: { resourceType: 'image', width: { min: 100 } }, actions: [{ type: 'include' }] };
+
+      expect(RuleDSL.matches(rule, { url: 'https://a.com' })).toBe(false);
+      expect(RuleDSL.matches(rule, { resource: { type: 'image', width: 120 } })).toBe(true);
+      expect(RuleDSL.matches(rule, { resource: { type: 'image' } })).toBe(false);
+      expect(RuleDSL.matches(rule, { resource: { type: 'video', width: 120 } })).toBe(false);
+    });
+
+    test('应该支持DOM计数、meta、内容类型和any条件', () => {
+      const rule = {
+        id: 'a',
+        match: {
+          dom: { img: 3, '.gallery': { max: 2 }, hasShadowDOM: false },
+          meta: { 'og:type': '^article$' },
+          contentType: ['image/*', 'video/mp4'],
+          any: [{ resourceUrl: '\\.png$' }, { size: { min: 1000 } }]
+        },
+        actions: [{ type: 'include' }]
+      };
+      const context = {
+        url: 'https://a.com',
+        meta: { 'og:type': 'Article' },
+        domInfo: { img: 3, '.gallery': 1 },
+        resource: { url: 'https://a.com/x.jpg', contentType: 'image/jpeg; charset=binary', size: 2048 }
+      };
+
+      expect(RuleDSL.matches(rule, context)).toBe(true);
+      expect(RuleDSL.matches(rule, { ...context, resource: { ...context.resource, size: 10 } })).toBe(false);
+      expect(RuleDSL.matches(rule, { ...context, domInfo: { img: 2 } })).toBe(false);
+      expect(RuleDSL.matches(rule, { ...context, resource: { ...context.resource, contentType: 'text/html' } })).toBe(false);
+    });
+  });
+
+  describe('求值', () => {
+    const rules = RuleDSL.parsePack(packText).rules;
+    const page = {
+      url: 'https://unsplash.com/collections/123/mountains',
+      domInfo: { img: 40 }
+    };
+
+    test('应该合并匹配规则的动作', () => {
+      const result = RuleDSL.evaluate(rules, {
+        ...page,
+        resource: { type: 'image', url: 'https://images.unsplash.com/photo-1', width: 4000 }
+      });
+
+      expect(result.matchedRules.map(rule => rule.id)).toEqual(['unsplash-originals', 'gallery-deep-scan']);
+      expect(result).toEqual(expect.objectContaining({
+        include: true,
+        scoreBoost: 30,
+        filenameTemplate: '{site}-{date:YYYYMMDD}-{index:3}.{ext}',
+        targetFolder: 'photos/unsplash',
+        options: { deepScan: true },
+        qualityThresholds: { image: { minWidth: 1200 } }
+      }));
+    });
+
+    test('排除规则和统计像素', () => {
+      expect(RuleDSL.evaluate(rules, { ...page, resource: { type: 'image', url: 'https://unsplash.com/a.jpg', width: 64 } }).include)
+        .toBe(false);
+      expect(RuleDSL.evaluate(rules, {
+        url: 'https://news.example.org/',
+        resource: { type: 'image', url: 'https://t.example.org/pixel.gif?id=1', contentType: 'image/gif' }
+      }).include).toBe(false);
+    });
+
+    test('同一项设置以优先级高的规则为准，加分累加，阈值取最大值', () => {
+      const result = RuleDSL.evaluate([
+        { id: 'low', priority: 1, match: {}, actions: [
+          { type: 'exclude' },
+          { type: 'setOption', key: 'mode', value: 'low' },
+          { type: 'boostScore', value: 5 },
+          { type: 'boostScore', resourceType: 'video', value: 7 },
+          { type: 'setQualityThreshold', minWidth: 300, minSize: 10 }
+        ] },
+        { id: 'high', priority: 9, match: {}, actions: [
+          { type: 'include' },
+          { type: 'setOption', key: 'mode', value: 'high' },
+          { type: 'boostScore', value: 10 },
+          { type: 'boostScore', resourceType: 'video', value: 3 },
+          { type: 'setQualityThreshold', minWidth: 200 }
+        ] }
+      ], { url: 'https://a.com', resource: { type: 'video' } });
+
+      expect(result.include).toBe(true);
+      expect(result.options.mode).toBe('high');
+      expect(result.scoreBoost).toBe(25);
+      expect(result.typeBoosts).toEqual({ video: 7 });
+      expect(result.qualityThresholds).toEqual({ '*': { minWidth: 300, minSize: 10 } });
+    });
+
+    test('质量阈值判断应该忽略未知的尺寸', () => {
+      const thresholds = { '*': { minSize: 100 }, image: { minWidth: 800 } };
+
+      expect(RuleDSL.meetsQualityThresholds({ type: 'image', width: 640 }, thresholds)).toBe(false);
+      expect(RuleDSL.meetsQualityThresholds({ type: 'image', size: 50 }, thresholds)).toBe(false);
+      expect(RuleDSL.meetsQualityThresholds({ type: 'image' }, thresholds)).toBe(true);
+      expect(RuleDSL.meetsQualityThresholds({ type: 'video', width: 100, size: 200 }, thresholds)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * @file rule-engine-service.test.js
+ * @description 规则引擎使用声明式规则的单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RuleEngineService = require('../../src/services/rule-engine-service').default;
+const { getRuleEngine } = require('../../src/services/rule-engine-service');
+const ruleEngine = require('../../src/services/rule-engine').default;
+const RuleDSL = require('../../src/utils/rule-dsl').default;
+
+const packText = fs.readFileSync(path.join(__dirname, 'fixtures/rules/photo-sites.json'), 'utf8');
+
+describe('规则引擎', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    ruleEngine.setCustomRules([]);
+  });
+
+  describe('RuleEngineService', () => {
+    test('默认规则都应该是有效的声明式规则', () => {
+      const service = new RuleEngineService();
+
+      service.getRules().forEach(rule => {
+        expect(RuleDSL.validateRule(rule)).toEqual({ valid: true, errors: [] });
+      });
+      expect(JSON.parse(JSON.stringify(service.getRules()))).toEqual(service.getRules());
+    });
+
+    test('站点规则优先于通用规则', () => {
+      const service = new RuleEngineService();
+      const context = service.getPageContext({
+        url: 'https://www.youtube.com/watch?v=aqz-KE-bpKQ',
+        documentInfo: { elementCount: 500, imageCount: 30, videoCount: 1 }
+      });
+
+      const config = service.evaluateRules(context);
+
+      expect(config.detectionMethods).toEqual(['streaming', 'dom']);
+      expect(config.useStreamingDetection).toBe(true);
+      expect(config.monitorDynamicContent).toBe(true);
+      expect(config.matchedRules.map(rule => rule.id)).toEqual(['youtube-rule', 'video-site-optimization']);
+    });
+
+    test('图片库规则使用图片占比', () => {
+      const service = new RuleEngineService();
+      const gallery = service.getPageContext({ url: 'https://example.com/', documentInfo: { elementCount: 100, imageCount: 30 } });
+      const busyPage = service.getPageContext({ url: 'https://example.com/', documentInfo: { elementCount: 1000, imageCount: 30 } });
+
+      expect(service.evaluateRules(gallery).usePrediction).toBe(true);
+      expect(service.evaluateRules(busyPage).usePrediction).toBe(false);
+    });
+
+    test('应该拒绝无效的规则，并把站点配置转换为声明式规则', () => {
+      const service = new RuleEngineService();
+
+      expect(service.addRule({ id: 'closure', condition: () => true, action: () => ({}) })).toBe(false);
+      expect(service.addSiteRule('Example.com', { processingPriority: 'low', usePrediction: true })).toBe(true);
+
+      const config = service.evaluateRules({ url: 'https://cdn.example.com/page' });
+      expect(config).toEqual(expect.objectContaining({ processingPriority: 'low', usePrediction: true }));
+      expect(service.customRules[0].match).toEqual({ domain: '*.example.com' });
+    });
+
+    test('导入的规则应该影响资源策略，并可以导出', () => {
+      const service = new RuleEngineService();
+      const rules = RuleDSL.parsePack(packText).rules;
+      expect(service.setCustomRules(rules)).toBe(4);
+
+      const pageContext = service.getPageContext({ url: 'https://unsplash.com/photos/abc' });
+      const large = service.getResourceStrategy({ url: 'https://images.unsplash.com/photo-1', type: 'image', width: 4000, height: 3000 }, pageContext);
+      const small = service.getResourceStrategy({ url: 'https://images.unsplash.com/photo-2', type: 'image', width: 120, height: 80 }, pageContext);
+
+      expect(large).toEqual(expect.objectContaining({
+        shouldProcess: true,
+        priority: 'high',
+        scoreBoost: 30,
+        filenameTemplate: '{site}-{date:YYYYMMDD}-{index:3}.{ext}',
+        targetFolder: 'photos/unsplash'
+      }));
+      expect(small.shouldProcess).toBe(false);
+      expect(RuleDSL.parsePack(service.exportRules('photo-sites')).rules).toEqual(rules);
+    });
+
+    test('共享的规则引擎应该从规则包服务加载已启用的规则', async () => {
+      const rules = RuleDSL.parsePack(packText).rules;
+      const rulePackService = { getRules: jest.fn().mockResolvedValue(rules) };
+
+      expect(getRuleEngine()).toBe(getRuleEngine());
+      expect(await getRuleEngine().loadRulePacks(rulePackService)).toBe(4);
+      expect(getRuleEngine().customRules).toEqual(rules);
+
+      rulePackService.getRules.mockResolvedValue([]);
+      expect(await getRuleEngine().loadRulePacks(rulePackService)).toBe(0);
+    });
+  });
+
+  describe('rule-engine', () => {
+    test('默认规则都应该是有效的声明式规则', () => {
+      ruleEngine.getRules().forEach(rule => {
+        expect(RuleDSL.validateRule(rule)).toEqual({ valid: true, errors: [] });
+      });
+    });
+
+    test('站点模式需要域名和路径、meta或DOM之一同时匹配', () => {
+      const gallery = ruleEngine.analyzePageAndApplyRules({
+        url: 'https://www.flickr.com/photos/nasa/',
+        domInfo: {}
+      });
+      const home = ruleEngine.analyzePageAndApplyRules({
+        url: 'https://www.flickr.com/',
+        domInfo: {}
+      });
+
+      expect(gallery.rules.map(rule => rule.id)).toEqual(['image-gallery', 'image-url']);
+      expect(gallery.config).toEqual(expect.objectContaining({
+        deepScan: true,
+        findHighResVersions: true,
+        prioritizedTypes: { image: 20 },
+        qualityThresholds: { image: { minWidth: 800, minHeight: 600 } }
+      }));
+      expect(home.rules).toEqual([]);
+    });
+
+    test('应该根据DOM计数和meta应用规则', () => {
+      const result = ruleEngine.analyzePageAndApplyRules({
+        url: 'https://www.bbc.co.uk/story',
+        meta: { 'og:type': 'article' },
+        domInfo: { '.gallery, .photos, .album': 1, img: 12, 'video, .video-player, [data-video-id]': 2 }
+      });
+
+      expect(result.rules.map(rule => rule.id)).toEqual(['news-site', 'image-gallery-dom', 'video-player-dom']);
+      expect(result.config).toEqual(expect.objectContaining({
+        scanLazyLoaded: true,
+        scanSrcSet: true,
+        scanVideoSources: true,
+        prioritizedTypes: { image: 15, video: 15 }
+      }));
+    });
+
+    test('逐个资源应用规则时应该排除、加分并标注下载位置', () => {
+      ruleEngine.setCustomRules(RuleDSL.parsePack(packText).rules);
+
+      const resources = ruleEngine.applyResourceRules([
+        { url: 'https://images.unsplash.com/small.jpg', type: 'image', width: 150, score: 90 },
+        { url: 'https://images.unsplash.com/photo.jpg', type: 'image', width: 5000, score: 40 },
+        { url: 'https://images.unsplash.com/mid.jpg', type: 'image', width: 1000, score: 60 },
+        { url: 'https://unsplash.com/pixel.gif', type: 'image', contentType: 'image/gif' }
+      ], { url: 'https://unsplash.com/collections/1/x', domInfo: { img: 20 } });
+
+      expect(resources.map(resource => resource.url)).toEqual(['https://images.unsplash.com/photo.jpg']);
+      expect(resources[0]).toEqual(expect.objectContaining({
+        score: 70,
+        targetFolder: 'photos/unsplash',
+        filenameTemplate: '{site}-{date:YYYYMMDD}-{index:3}.{ext}'
+      }));
+    });
+  });
+});
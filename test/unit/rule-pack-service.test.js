@@ -0,0 +1,81 @@
+/**
+ * @file rule-pack-service.test.js
+ * @description 规则包服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const RulePackService = require('../../src/services/rule-pack-service').default;
+const StorageService = require('../../src/services/storage-service').default;
+const { STORAGE_KEYS } = require('../../src/config/constants');
+
+const packText = fs.readFileSync(path.join(__dirname, 'fixtures/rules/photo-sites.json'), 'utf8');
+
+describe('RulePackService', () => {
+  let store;
+  let service;
+
+  beforeEach(() => {
+    store = {};
+    chrome.runtime.lastError = undefined;
+    chrome.storage.local.set.mockClear();
+    chrome.storage.local.get.mockImplementation((key, callback) => callback({ [key]: store[key] }));
+    chrome.storage.local.set.mockImplementation((items, callback) => {
+      Object.assign(store, JSON.parse(JSON.stringify(items)));
+      callback();
+    });
+
+    service = new RulePackService(new StorageService());
+  });
+
+  test('应该导入规则包并保存到存储', async () => {
+    const pack = await service.importPack(packText);
+
+    expect(pack).toEqual(expect.objectContaining({ name: 'photo-sites', enabled: true }));
+    expect(store[STORAGE_KEYS.RULE_PACKS]).toHaveLength(1);
+    expect(await service.listPacks()).toEqual([
+      expect.objectContaining({ name: 'photo-sites', ruleCount: 4, enabled: true })
+    ]);
+    expect((await service.getRules()).map(rule => rule.id)).toContain('unsplash-originals');
+  });
+
+  test('导入无效的规则包时不应修改存储', async () => {
+    await expect(service.importPack('{"format":"resource-sniffer-rules"}')).rejects.toThrow('规则包无效');
+    expect(chrome.storage.local.set).not.toHaveBeenCalled();
+  });
+
+  test('导出的内容应该可以重新导入', async () => {
+    await service.importPack(packText);
+
+    const exported = await service.exportPack('photo-sites');
+
+    expect(JSON.parse(exported)).toEqual(JSON.parse(packText));
+    await expect(service.exportPack('missing')).rejects.toThrow('规则包不存在: missing');
+  });
+
+  test('重新导入同名规则包应该替换规则并保留启用状态', async () => {
+    await service.importPack(packText);
+    await service.setPackEnabled('photo-sites', false);
+
+    const updated = JSON.parse(packText);
+    updated.rules = updated.rules.slice(0, 1);
+    await service.importPack(updated);
+
+    expect(await service.listPacks()).toEqual([
+      expect.objectContaining({ name: 'photo-sites', ruleCount: 1, enabled: false })
+    ]);
+    expect(await service.getRules()).toEqual([]);
+  });
+
+  test('应该删除规则包', async () => {
+    await service.importPack(packText);
+
+    expect(await service.removePack('photo-sites')).toBe(true);
+    expect(await service.removePack('photo-sites')).toBe(false);
+    expect(await service.listPacks()).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * @file session-recorder.test.js
+ * @description 会话录制测试：事件和去重的状态快照、弹出窗口重新打开后继续录制、事件上限、会话包校验和回放时间线
+ */
+
+const {
+  SessionRecorder,
+  SESSION_EVENT_TYPES,
+  SESSION_STORAGE_KEYS,
+  SESSION_BUNDLE_FORMAT
+} = require('../../src/services/session-recorder');
+
+/**
+ * 内存中的chrome.storage.local
+ */
+function createFakeStorage() {
+  const data = {};
+  return {
+    data,
+    get: jest.fn((keys, callback) => callback(JSON.parse(JSON.stringify(
+      keys.reduce((result, key) => (key in data ? { ...result, [key]: data[key] } : result), {})
+    )))),
+    set: jest.fn((items, callback) => {
+      Object.assign(data, JSON.parse(JSON.stringify(items)));
+      callback();
+    }),
+    remove: jest.fn((key, callback) => {
+      delete data[key];
+      callback();
+    })
+  };
+}
+
+describe('SessionRecorder', () => {
+  let storage;
+  let now;
+  let state;
+  const createRecorder = (options = {}) => {
+    const recorder = new SessionRecorder({ storage, now: () => now, ...options });
+    recorder.setSnapshotProvider(() => state);
+    return recorder;
+  };
+
+  beforeEach(() => {
+    storage = createFakeStorage();
+    now = 1000;
+    state = { tab: 'resources-tab', filters: {}, visibleCount: 0 };
+  });
+
+  test('没有录制时应该忽略事件', () => {
+    const recorder = createRecorder();
+
+    recorder.record(SESSION_EVENT_TYPES.INTERACTION, { action: 'refresh_resources' });
+
+    expect(recorder.isRecording()).toBe(false);
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  test('应该按时间记录事件，状态没有变化时不重复记录快照', async () => {
+    const recorder = createRecorder();
+    await recorder.start({ version: '2.0.0' });
+
+    now += 100;
+    recorder.record(SESSION_EVENT_TYPES.INTERACTION, { action: 'refresh_resources' });
+
+    now += 100;
+    state = { ...state, filters: { types: ['image'] }, visibleCount: 3 };
+    recorder.record(SESSION_EVENT_TYPES.RESOURCE_FILTERED, { beforeCount: 5, afterCount: 3 });
+
+    now += 100;
+    const bundle = await recorder.stop();
+
+    expect(bundle).toMatchObject({
+      format: SESSION_BUNDLE_FORMAT,
+      version: 1,
+      startedAt: 1000,
+      endedAt: 1300,
+      metadata: { version: '2.0.0' },
+      truncated: false
+    });
+    expect(bundle.events.map(event => [event.type, event.timestamp])).toEqual([
+      ['snapshot', 1000],
+      ['interaction', 1100],
+      ['resource_filtered', 1200],
+      ['snapshot', 1200]
+    ]);
+    expect(recorder.isRecording()).toBe(false);
+    expect(storage.data[SESSION_STORAGE_KEYS.RECORDING]).toBeUndefined();
+    expect(await recorder.getLastBundle()).toEqual(bundle);
+  });
+
+  test('弹出窗口重新打开后应该继续之前的录制', async () => {
+    const first = createRecorder();
+    await first.start();
+    first.record(SESSION_EVENT_TYPES.DETECTION_STARTED, { detectionId: 'd1' });
+
+    now += 5000;
+    const reopened = createRecorder();
+    expect(await reopened.resume()).toBe(true);
+    reopened.record(SESSION_EVENT_TYPES.DETECTION_COMPLETED, { detectionId: 'd1', resourceCount: 4 });
+
+    const bundle = await reopened.stop();
+    expect(bundle.events.map(event => event.type)).toEqual(['snapshot', 'detection_started', 'detection_completed']);
+    expect(await createRecorder().resume()).toBe(false);
+  });
+
+  test('超出事件上限后应该停止记录并标记', async () => {
+    const recorder = createRecorder({ maxEvents: 3 });
+    await recorder.start();
+
+    recorder.record(SESSION_EVENT_TYPES.ERROR, { message: 'a' });
+    recorder.record(SESSION_EVENT_TYPES.ERROR, { message: 'b' });
+    recorder.record(SESSION_EVENT_TYPES.ERROR, { message: 'c' });
+
+    const bundle = await recorder.stop();
+    expect(bundle.events).toHaveLength(3);
+    expect(bundle.truncated).toBe(true);
+  });
+
+  test('无法序列化的事件数据和快照错误不应该中断录制', async () => {
+    const recorder = createRecorder();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await recorder.start();
+
+    const circular = {};
+    circular.self = circular;
+    recorder.setSnapshotProvider(() => { throw new Error('组件未初始化'); });
+    recorder.record(SESSION_EVENT_TYPES.INTERACTION, circular);
+
+    const bundle = await recorder.stop();
+    expect(bundle.events[1].data.unserializable).toEqual(expect.any(String));
+    expect(console.warn).toHaveBeenCalledWith('获取会话状态快照失败:', expect.any(Error));
+    console.warn.mockRestore();
+  });
+
+  test('回放时间线应该附带事件之后的状态和此前出现的错误', () => {
+    const bundle = {
+      format: SESSION_BUNDLE_FORMAT,
+      version: 1,
+      startedAt: 1000,
+      events: [
+        { type: 'snapshot', timestamp: 1000, data: { visibleCount: 0 } },
+        { type: 'detection_started', timestamp: 1100, data: {} },
+        { type: 'error', timestamp: 1200, data: { message: '获取资源失败' } },
+        { type: 'detection_completed', timestamp: 1500, data: { resourceCount: 2 } },
+        { type: 'snapshot', timestamp: 1500, data: { visibleCount: 2 } }
+      ]
+    };
+
+    const timeline = SessionRecorder.buildTimeline(bundle);
+
+    expect(timeline.map(step => [step.event.type, step.offset, step.state.visibleCount, step.errors.length])).toEqual([
+      ['detection_started', 100, 0, 0],
+      ['error', 200, 0, 1],
+      ['detection_completed', 500, 2, 1]
+    ]);
+  });
+
+  test.each([
+    ['not json', '会话包不是有效的JSON'],
+    ['{"format":"other","events":[]}', '不是Resource Sniffer的会话包'],
+    [`{"format":"${SESSION_BUNDLE_FORMAT}","version":99,"events":[]}`, '不支持的会话包版本: 99'],
+    [`{"format":"${SESSION_BUNDLE_FORMAT}","version":1}`, '会话包缺少事件列表']
+  ])('无效的会话包应该被拒绝: %s', (text, message) => {
+    expect(() => SessionRecorder.parseBundle(text)).toThrow(message);
+  });
+});
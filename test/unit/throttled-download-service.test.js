@@ -0,0 +1,168 @@
+/**
+ * @file throttled-download-service.test.js
+ * @description 令牌桶和限速下载服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const TokenBucket = require('../../src/utils/token-bucket').default;
+const ThrottledDownloadService = require('../../src/services/throttled-download-service').default;
+const SegmentFetcher = require('../../src/utils/segment-fetcher').default;
+
+/**
+ * 创建分块返回数据的模拟响应
+ * @param {number} totalBytes - 总字节数
+ * @param {number} chunkSize - 每块字节数
+ * @param {Object} [headers] - 响应头
+ * @returns {Object} - 模拟的fetch响应
+ */
+function createStreamResponse(totalBytes, chunkSize, headers = {}) {
+  let sent = 0;
+  const normalizedHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+  return {
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+    headers: { get: name => normalizedHeaders[name.toLowerCase()] || null },
+    body: {
+      getReader: () => ({
+        read: async () => {
+          if (sent >= totalBytes) return { done: true };
+          const length = Math.min(chunkSize, totalBytes - sent);
+          const value = new Uint8Array(length).fill(sent % 256);
+          sent += length;
+          return { done: false, value };
+        },
+        cancel: jest.fn(() => Promise.resolve())
+      })
+    }
+  };
+}
+
+describe('令牌桶', () => {
+  test('不限速时应该立即通过', async () => {
+    const bucket = new TokenBucket(0);
+    const start = Date.now();
+
+    await bucket.consume(10 * 1024 * 1024);
+
+    expect(bucket.isUnlimited()).toBe(true);
+    expect(Date.now() - start).toBeLessThan(50);
+  });
+
+  test('令牌耗尽后应该按速率等待', async () => {
+    const bucket = new TokenBucket(20000);
+    const start = Date.now();
+
+    await bucket.consume(20000);
+    expect(Date.now() - start).toBeLessThan(50);
+
+    await bucket.consume(10000);
+    expect(Date.now() - start).toBeGreaterThanOrEqual(450);
+  });
+
+  test('应该支持在等待时取消', async () => {
+    const bucket = new TokenBucket(1000);
+    const controller = new AbortController();
+
+    await bucket.consume(1000);
+    const pending = bucket.consume(5000, controller.signal);
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(pending).rejects.toThrow('下载已取消');
+  });
+});
+
+describe('限速下载服务', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('未设置限速时不启用', () => {
+    const service = new ThrottledDownloadService();
+
+    expect(service.isEnabled()).toBe(false);
+
+    service.configure({ perDownloadLimit: 100 });
+    expect(service.isEnabled()).toBe(true);
+  });
+
+  test('应该按单个下载限速读取数据并汇报进度', async () => {
+    global.fetch = jest.fn(async () => createStreamResponse(30 * 1024, 4096, {
+      'Content-Length': String(30 * 1024),
+      'Content-Type': 'image/png; charset=binary',
+      'Content-Disposition': 'attachment; filename*=UTF-8\'\'%E5%9B%BE%E7%89%87.png'
+    }));
+
+    const service = new ThrottledDownloadService({ perDownloadLimit: 20 });
+    const progress = [];
+    const start = Date.now();
+
+    const result = await service.download('https://example.com/a.png', {
+      onProgress: value => progress.push(value)
+    });
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(450);
+    expect(result.totalBytes).toBe(30 * 1024);
+    expect(result.mimeType).toBe('image/png');
+    expect(result.filename).toBe('图片.png');
+    expect(result.blob.options.type).toBe('image/png');
+    expect(result.blob.content.reduce((sum, chunk) => sum + chunk.byteLength, 0)).toBe(30 * 1024);
+    expect(progress[progress.length - 1]).toEqual({ bytesReceived: 30 * 1024, totalBytes: 30 * 1024, progress: 100 });
+  });
+
+  test('全局限速应该由并发下载共享', async () => {
+    global.fetch = jest.fn(async () => createStreamResponse(15 * 1024, 4096));
+
+    const service = new ThrottledDownloadService({ globalLimit: 20 });
+    const start = Date.now();
+
+    await Promise.all([
+      service.download('https://example.com/1.bin'),
+      service.download('https://example.com/2.bin')
+    ]);
+
+    // 共30KB，约1KB初始令牌后按20KB/s读取
+    expect(Date.now() - start).toBeGreaterThanOrEqual(1300);
+  });
+
+  test('取消后应该停止读取', async () => {
+    const response = createStreamResponse(100 * 1024, 4096);
+    const reader = response.body.getReader();
+    response.body.getReader = () => reader;
+    global.fetch = jest.fn(async () => response);
+
+    const service = new ThrottledDownloadService({ perDownloadLimit: 4 });
+    const controller = new AbortController();
+    const pending = service.download('https://example.com/big.bin', { signal: controller.signal });
+
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(pending).rejects.toThrow('下载已取消');
+    expect(reader.cancel).toHaveBeenCalled();
+  });
+
+  test('HTTP错误应该抛出异常', async () => {
+    global.fetch = jest.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found' }));
+
+    const service = new ThrottledDownloadService({ perDownloadLimit: 10 });
+
+    await expect(service.download('https://example.com/missing')).rejects.toThrow('HTTP error 404');
+  });
+
+  test('流媒体分片下载应该经过全局限速', async () => {
+    global.fetch = jest.fn(async () => createStreamResponse(8, 3));
+
+    const limiter = new ThrottledDownloadService({ globalLimit: 1 });
+    const readBody = jest.spyOn(limiter, 'readBody');
+    const fetcher = new SegmentFetcher({ limiter, maxRetries: 0 });
+
+    const buffer = await fetcher.fetchBuffer('https://example.com/seg.ts', null);
+
+    expect(readBody).toHaveBeenCalled();
+    expect(buffer.byteLength).toBe(8);
+    expect(Array.from(new Uint8Array(buffer))).toEqual([0, 0, 0, 3, 3, 3, 6, 6]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * @file tiktok-extractor.test.js
+ * @description TikTok站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const tiktok = require('../../src/extractors/tiktok').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('TikTok站点提取器', () => {
+  test('应该从source子元素提取视频并保留封面', () => {
+    expect(ExtractorRegistry.validate(tiktok).valid).toBe(true);
+
+    const registry = new ExtractorRegistry([tiktok]);
+    const resources = registry.extractFromDocument(loadFixture('tiktok-video.html'), 'https://www.tiktok.com/@nasa/video/1');
+
+    expect(resources[0]).toEqual(expect.objectContaining({
+      type: 'video',
+      url: 'https://v16-webapp-prime.tiktok.com/video/tos/maliva/tos-maliva-ve-0068c799/clip.mp4?a=1988',
+      thumbnailUrl: 'https://p16-sign-va.tiktokcdn.com/obj/tos-maliva-p-0068/cover.jpeg',
+      extractor: 'tiktok'
+    }));
+    expect(resources[1].url).toContain('avatar~c5_100x100.jpeg');
+  });
+});
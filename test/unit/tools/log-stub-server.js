@@ -0,0 +1,117 @@
+/**
+ * @file log-stub-server.js
+ * @description 本地远程日志桩服务器：记录收到的请求，解压gzip请求体并按Content-Type解析OTLP JSON、NDJSON和syslog
+ * 测试中用startLogStubServer()启动；也可以单独运行，把远程日志服务器URL设为 http://127.0.0.1:4318/v1/logs 查看发送的内容
+ * 用法（在test/unit目录下）：node tools/log-stub-server.js [端口]
+ */
+
+const http = require('http');
+const zlib = require('zlib');
+
+/**
+ * 按Content-Type解析请求体
+ * @param {string} contentType - Content-Type
+ * @param {string} text - 请求体文本
+ * @returns {*} - JSON对象、NDJSON对象数组或syslog行数组
+ */
+function parseBody(contentType, text) {
+  const type = (contentType || '').split(';')[0].trim();
+  const lines = () => text.split('\n').filter(line => line.length > 0);
+
+  if (type === 'application/json') return JSON.parse(text);
+  if (type === 'application/x-ndjson') return lines().map(line => JSON.parse(line));
+  if (type === 'text/plain') return lines();
+  return text;
+}
+
+/**
+ * 启动桩服务器
+ * @param {Object} [options] - 选项
+ * @param {number} [options.port=0] - 端口，0表示随机端口
+ * @param {Array<number>} [options.statuses] - 依次返回的状态码，用完后返回200
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+function startLogStubServer(options = {}) {
+  const statuses = [...(options.statuses || [])];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks);
+      const record = { method: req.method, path: req.url, headers: req.headers, size: raw.length };
+
+      try {
+        const text = (req.headers['content-encoding'] === 'gzip' ? zlib.gunzipSync(raw) : raw).toString('utf8');
+        record.text = text;
+        record.body = parseBody(req.headers['content-type'], text);
+      } catch (e) {
+        record.error = e.message;
+      }
+
+      requests.push(record);
+
+      const status = statuses.length > 0 ? statuses.shift() : (record.error ? 400 : 200);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(record.error ? { error: record.error } : {}));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(options.port || 0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1/logs`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+/**
+ * 用Node的http模块发送请求，返回与fetch相同形状的响应，供没有fetch的测试环境使用
+ * @param {string} url - 请求地址
+ * @param {Object} [init] - { method, headers, body }
+ * @returns {Promise<Object>} - { ok, status, statusText, text() }
+ */
+function nodeFetch(url, init = {}) {
+  return new Promise((resolve, reject) => {
+    const body = init.body === undefined ? null :
+      (typeof init.body === 'string' ? Buffer.from(init.body) : Buffer.from(init.body.buffer, init.body.byteOffset, init.body.byteLength));
+
+    const req = http.request(url, { method: init.method || 'GET', headers: init.headers || {} }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        resolve({
+          ok: res.statusCode >= 200 && res.statusCode < 300,
+          status: res.statusCode,
+          statusText: res.statusMessage,
+          text: async () => text
+        });
+      });
+    });
+
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2], 10) || 4318;
+  startLogStubServer({ port }).then(({ url, requests }) => {
+    console.log(`日志桩服务器已启动: ${url}`);
+    let printed = 0;
+    setInterval(() => {
+      while (printed < requests.length) {
+        const { method, path, headers, body, error } = requests[printed++];
+        console.log(`${method} ${path} ${headers['content-type'] || ''} ${headers['content-encoding'] || ''}`);
+        console.log(error ? `解析失败: ${error}` : JSON.stringify(body, null, 2));
+      }
+    }, 500);
+  });
+}
+
+module.exports = { startLogStubServer, nodeFetch, parseBody };
@@ -0,0 +1,106 @@
+/**
+ * @file train-image-classifier.js
+ * @description 用fixtures/images中train划分的图片训练图像分类器，并把权重写入src/config/image-classifier-weights.js
+ * 用法（在test/unit目录下）：node tools/train-image-classifier.js
+ * 训练过程是确定的：零初始化、全批量梯度下降，相同的夹具总是得到相同的权重
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodePNG } = require('../fixtures/images/png');
+
+const FIXTURE_DIR = path.join(__dirname, '../fixtures/images');
+const OUTPUT_FILE = path.join(__dirname, '../../../src/config/image-classifier-weights.js');
+const CATEGORIES = ['photo', 'artwork', 'screenshot', 'meme', 'diagram', 'chart'];
+const ITERATIONS = 3000;
+const LEARNING_RATE = 0.5;
+const L2 = 0.001;
+
+const round = value => Math.round(value * 10000) / 10000;
+
+async function main() {
+  const { default: ImageFeatures, FEATURE_NAMES } = await import('../../../src/utils/image-features.js');
+  const { images } = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, 'labels.json'), 'utf8'));
+
+  const samples = images.filter(image => image.split === 'train').map(image => {
+    const { width, height, data } = decodePNG(fs.readFileSync(path.join(FIXTURE_DIR, image.file)));
+    return { x: ImageFeatures.extract(data, width, height).vector, y: CATEGORIES.indexOf(image.category) };
+  });
+
+  const dims = FEATURE_NAMES.length;
+  const mean = FEATURE_NAMES.map((name, j) => samples.reduce((sum, s) => sum + s.x[j], 0) / samples.length);
+  const std = FEATURE_NAMES.map((name, j) => {
+    const variance = samples.reduce((sum, s) => sum + (s.x[j] - mean[j]) ** 2, 0) / samples.length;
+    return Math.sqrt(variance) || 1;
+  });
+  const inputs = samples.map(s => s.x.map((value, j) => (value - mean[j]) / std[j]));
+
+  const weights = CATEGORIES.map(() => new Array(dims).fill(0));
+  const bias = new Array(CATEGORIES.length).fill(0);
+
+  for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+    const gradW = CATEGORIES.map(() => new Array(dims).fill(0));
+    const gradB = new Array(CATEGORIES.length).fill(0);
+
+    inputs.forEach((x, n) => {
+      const logits = weights.map((w, k) => w.reduce((sum, value, j) => sum + value * x[j], bias[k]));
+      const max = Math.max(...logits);
+      const exps = logits.map(value => Math.exp(value - max));
+      const total = exps.reduce((sum, value) => sum + value, 0);
+
+      exps.forEach((value, k) => {
+        const error = value / total - (samples[n].y === k ? 1 : 0);
+        gradB[k] += error;
+        x.forEach((feature, j) => { gradW[k][j] += error * feature; });
+      });
+    });
+
+    weights.forEach((w, k) => {
+      w.forEach((value, j) => {
+        w[j] -= LEARNING_RATE * (gradW[k][j] / inputs.length + L2 * value);
+      });
+      bias[k] -= LEARNING_RATE * gradB[k] / inputs.length;
+    });
+  }
+
+  const model = {
+    name: 'ResourceSniffer-ImageClassifier',
+    version: '1.0.0',
+    categories: CATEGORIES,
+    features: FEATURE_NAMES,
+    mean: mean.map(round),
+    std: std.map(round),
+    weights: weights.map(w => w.map(round)),
+    bias: bias.map(round)
+  };
+
+  const body = JSON.stringify(model, null, 2)
+    .replace(/\[\n\s+(-?[\d.]+(?:,\n\s+-?[\d.]+)*)\n\s+\]/g, (match, values) => `[${values.split(/,\n\s+/).join(', ')}]`)
+    .replace(/"([a-z]+)":/gi, '$1:')
+    .replace(/"/g, '\'');
+
+  fs.writeFileSync(OUTPUT_FILE, `/**
+ * @file image-classifier-weights.js
+ * @description 内置图像分类模型（softmax回归）的权重，由test/unit/tools/train-image-classifier.js生成，请勿手动修改
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+/**
+ * 图像分类模型权重
+ * mean/std用于特征标准化，weights[类别][特征]、bias[类别]为softmax回归参数
+ * @type {Object}
+ */
+const IMAGE_CLASSIFIER_WEIGHTS = ${body};
+
+export default IMAGE_CLASSIFIER_WEIGHTS;
+`);
+
+  console.log(`训练样本: ${samples.length}，权重已写入 ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+main().catch(e => {
+  console.error(e);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/**
+ * @file twitter-extractor.test.js
+ * @description Twitter/X站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const twitter = require('../../src/extractors/twitter').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('Twitter/X站点提取器', () => {
+  const pageUrl = 'https://x.com/NASA/status/1750000000000000000';
+  let registry;
+
+  beforeEach(() => {
+    registry = new ExtractorRegistry([twitter]);
+  });
+
+  test('应该同时匹配twitter.com和x.com', () => {
+    expect(ExtractorRegistry.validate(twitter).valid).toBe(true);
+    expect(registry.findExtractors(pageUrl)).toEqual([twitter]);
+    expect(registry.findExtractors('https://mobile.twitter.com/NASA')).toEqual([twitter]);
+    expect(registry.findExtractors('https://netflix.com')).toEqual([]);
+  });
+
+  test('应该把推文图片改写为原图，忽略头像和blob视频', () => {
+    const resources = registry.extractFromDocument(loadFixture('twitter-status.html'), pageUrl);
+
+    expect(resources.map(resource => resource.url)).toEqual([
+      'https://pbs.twimg.com/media/GFh3lq0WoAAyYx8?format=jpg&name=orig',
+      'https://pbs.twimg.com/media/GFh3lq1XUAEb2k9?format=png&name=orig'
+    ]);
+    expect(resources[1].alt).toBe('Second image');
+  });
+
+  test('已经是原图时不应改写', () => {
+    expect(twitter.rewriteUrl('https://pbs.twimg.com/media/GFh3lq0WoAAyYx8?format=jpg&name=orig')).toBeNull();
+    expect(twitter.rewriteUrl('https://pbs.twimg.com/profile_images/1/a_normal.jpg')).toBeNull();
+  });
+
+  test('应该从网络响应中识别视频文件和主播放列表', () => {
+    const mp4 = registry.extractFromResponse({
+      url: 'https://video.twimg.com/ext_tw_video/1750000000000000000/pu/vid/avc1/1280x720/clip.mp4?tag=12',
+      contentType: 'video/mp4'
+    }, 'https://x.com');
+    const master = registry.extractFromResponse({
+      url: 'https://video.twimg.com/ext_tw_video/1750000000000000000/pu/pl/master.m3u8?tag=12&variant_version=1'
+    }, 'https://x.com');
+    const variant = registry.extractFromResponse({
+      url: 'https://video.twimg.com/ext_tw_video/1750000000000000000/pu/pl/avc1/1280x720/variant.m3u8'
+    }, 'https://x.com');
+
+    expect(mp4).toEqual([expect.objectContaining({ type: 'video', width: 1280, height: 720, quality: 'HD', source: 'network' })]);
+    expect(master).toEqual([expect.objectContaining({ isStream: true, streamType: 'hls' })]);
+    expect(variant).toEqual([]);
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * @file vimeo-extractor.test.js
+ * @description Vimeo站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const vimeo = require('../../src/extractors/vimeo').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('Vimeo站点提取器', () => {
+  const pageUrl = 'https://vimeo.com/1084537';
+  let registry;
+
+  beforeEach(() => {
+    registry = new ExtractorRegistry([vimeo]);
+  });
+
+  test('应该实现提取器接口', () => {
+    expect(ExtractorRegistry.validate(vimeo).valid).toBe(true);
+    expect(registry.findExtractors('https://player.vimeo.com/video/1084537')).toEqual([vimeo]);
+  });
+
+  test('应该从视频页面提取视频和高清封面', () => {
+    const resources = registry.extractFromDocument(loadFixture('vimeo-video.html'), pageUrl);
+
+    expect(resources.map(resource => [resource.type, resource.url])).toEqual([
+      ['video', 'https://vod-progressive.akamaized.net/exp=1700000000~acl=%2Fvimeo-prod/sintel-720p.mp4'],
+      ['image', 'https://i.vimeocdn.com/video/452001751-8216e1f4-d_1920x1080'],
+      ['image', 'https://i.vimeocdn.com/video/1234567890-a1b2c3d4e5-d_1920x1080.jpg']
+    ]);
+    expect(resources.every(resource => resource.extractor === 'vimeo')).toBe(true);
+    expect(resources[1].quality).toBe('HD');
+  });
+
+  test('应该只改写带尺寸后缀的视频封面', () => {
+    expect(vimeo.rewriteUrl('https://i.vimeocdn.com/video/452001751-8216e1f4-d_640?f=webp'))
+      .toBe('https://i.vimeocdn.com/video/452001751-8216e1f4-d_1920x1080');
+    expect(vimeo.rewriteUrl('https://i.vimeocdn.com/video/452001751-8216e1f4-d_1920x1080.jpg')).toBeNull();
+    expect(vimeo.rewriteUrl('https://i.vimeocdn.com/portrait/12345_75x75')).toBeNull();
+  });
+
+  test('应该从网络响应中识别HLS和DASH播放列表', () => {
+    const hls = registry.extractFromResponse({
+      url: 'https://vod-adaptive-ak.vimeocdn.com/exp=1/acl=x/v2/playlist/av/primary/playlist.m3u8?omit=av1',
+      contentType: 'application/vnd.apple.mpegurl'
+    }, 'https://player.vimeo.com');
+    const dash = registry.extractFromResponse({
+      url: 'https://vod-adaptive-ak.vimeocdn.com/exp=1/acl=x/v2/range/prot/master.json?base64_init=1'
+    }, 'https://player.vimeo.com');
+
+    expect(hls).toEqual([expect.objectContaining({ isStream: true, streamType: 'hls', source: 'network', extractor: 'vimeo' })]);
+    expect(dash[0].streamType).toBe('dash');
+    expect(registry.extractFromResponse({ url: 'https://f.vimeocdn.com/p/4.30.0/js/player.js' }, 'https://player.vimeo.com')).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @file youtube-extractor.test.js
+ * @description YouTube站点提取器单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const youtube = require('../../src/extractors/youtube').default;
+const ExtractorRegistry = require('../../src/extractors/extractor-registry').default;
+
+/**
+ * 读取保存的页面HTML
+ * @param {string} name - 夹具文件名
+ * @returns {Document} - 解析后的文档
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures/extractors', name), 'utf8');
+  return new DOMParser().parseFromString(html, 'text/html');
+}
+
+describe('YouTube站点提取器', () => {
+  const pageUrl = 'https://www.youtube.com/watch?v=aqz-KE-bpKQ&t=42s';
+  let registry;
+
+  beforeEach(() => {
+    registry = new ExtractorRegistry([youtube]);
+  });
+
+  test('应该实现提取器接口', () => {
+    expect(ExtractorRegistry.validate(youtube)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('应该匹配YouTube相关域名', () => {
+    expect(registry.findExtractors(pageUrl)).toEqual([youtube]);
+    expect(registry.findExtractors('https://m.youtube.com/shorts/aqz-KE-bpKQ')).toEqual([youtube]);
+    expect(registry.findExtractors('https://youtu.be/aqz-KE-bpKQ')).toEqual([youtube]);
+    expect(registry.findExtractors('https://notyoutube.com/')).toEqual([]);
+  });
+
+  test('应该从观看页面提取高清封面，跳过MSE的blob视频地址', () => {
+    const resources = registry.extractFromDocument(loadFixture('youtube-watch.html'), pageUrl);
+
+    expect(resources.map(resource => resource.url)).toEqual([
+      'https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg',
+      'https://i.ytimg.com/vi/YE7VzlLtp-4/maxresdefault.jpg',
+      'https://i.ytimg.com/vi_webp/eRsGyueVLvQ/maxresdefault.webp'
+    ]);
+    expect(resources[0]).toEqual(expect.objectContaining({
+      type: 'image',
+      quality: 'HD',
+      width: 1280,
+      height: 720,
+      source: 'dom',
+      extractor: 'youtube'
+    }));
+  });
+
+  test('应该从短链接和Shorts页面识别视频ID', () => {
+    const document = new DOMParser().parseFromString('<html><body></body></html>', 'text/html');
+
+    expect(youtube.extractFromDocument(document, { pageUrl: 'https://youtu.be/YE7VzlLtp-4?si=abc' })[0].url)
+      .toBe('https://i.ytimg.com/vi/YE7VzlLtp-4/maxresdefault.jpg');
+    expect(youtube.extractFromDocument(document, { pageUrl: 'https://www.youtube.com/shorts/eRsGyueVLvQ' })[0].url)
+      .toBe('https://i.ytimg.com/vi/eRsGyueVLvQ/maxresdefault.jpg');
+  });
+
+  test('应该把各种尺寸的封面改写为maxresdefault', () => {
+    expect(youtube.rewriteUrl('https://i.ytimg.com/vi/aqz-KE-bpKQ/hqdefault.jpg'))
+      .toBe('https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg');
+    expect(youtube.rewriteUrl('https://i9.ytimg.com/vi/aqz-KE-bpKQ/hq720.jpg?sqp=abc'))
+      .toBe('https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg');
+    expect(youtube.rewriteUrl('https://i.ytimg.com/vi/aqz-KE-bpKQ/maxresdefault.jpg')).toBeNull();
+    expect(youtube.rewriteUrl('https://yt3.ggpht.com/avatar=s48')).toBeNull();
+  });
+
+  test('应该提供资源预测使用的URL正则', () => {
+    const html = '<script>var t="https://i.ytimg.com/vi/aqz-KE-bpKQ/sddefault.jpg"</script>';
+    const [pattern] = registry.getResourcePatterns('www.youtube.com');
+
+    expect(html.match(pattern)).toEqual(['https://i.ytimg.com/vi/aqz-KE-bpKQ/sddefault.jpg']);
+  });
+});
@@ -0,0 +1,213 @@
+/**
+ * @file zip-export-service.test.js
+ * @description ZIP导出服务单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const zlib = require('zlib');
+
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+
+const ZipExportService = require('../../src/services/zip-export-service').default;
+const { ZIP_COMPRESSION } = require('../../src/services/zip-export-service');
+const { default: MediaHeaderParser } = require('../../src/utils/media-headers/index');
+const { STRIP_MODES } = require('../../src/utils/metadata-stripper');
+const fixtures = require('./fixtures/media-headers');
+
+/**
+ * 按顺序读取ZIP中的本地文件条目
+ * @param {Object} blob - setup.js中的Blob模拟对象
+ * @returns {Object} - 以路径为键的条目 { method, data }
+ */
+function readZip(blob) {
+  const buffer = Buffer.concat(blob.content.map(part => Buffer.from(part)));
+  const entries = {};
+  let offset = 0;
+
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const stored = buffer.subarray(offset + 30 + nameLength, offset + 30 + nameLength + compressedSize);
+
+    entries[name] = { method, data: method === 8 ? zlib.inflateRawSync(stored) : stored };
+    offset += 30 + nameLength + compressedSize;
+  }
+
+  return entries;
+}
+
+/**
+ * 创建模拟的fetch，按URL返回内容
+ * @param {Object} files - URL到{ body, type, status }的映射
+ * @returns {jest.Mock} - 模拟的fetch
+ */
+function createServer(files) {
+  return jest.fn(async (url) => {
+    const file = files[url];
+
+    if (!file) {
+      return { ok: false, status: 404, statusText: 'Not Found', headers: { get: () => null } };
+    }
+
+    const body = Buffer.from(file.body);
+
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: name => (name.toLowerCase() === 'content-type' ? file.type : null) },
+      arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.length)
+    };
+  });
+}
+
+describe('ZIP导出服务', () => {
+  const deflate = async (data) => new Uint8Array(zlib.deflateRawSync(data));
+  const pageUrl = 'https://www.example.com/gallery';
+  let service;
+
+  beforeEach(() => {
+    service = new ZipExportService({ deflate });
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('应该打包所有资源并生成清单', async () => {
+    global.fetch = createServer({
+      'https://cdn.example.com/a.jpg': { body: 'jpeg-data', type: 'image/jpeg' },
+      'https://cdn.example.com/style.css': { body: 'body { color: red; } '.repeat(50), type: 'text/css; charset=utf-8' }
+    });
+
+    const resources = [
+      { url: 'https://cdn.example.com/a.jpg', type: 'image', source: 'dom', width: 800, height: 600, quality: 'high' },
+      { url: 'https://cdn.example.com/style.css', type: 'other', source: 'network' }
+    ];
+    const onProgress = jest.fn();
+
+    const result = await service.exportResources(resources, { pageUrl, pageTitle: 'Gallery', onProgress });
+    const entries = readZip(result.blob);
+
+    expect(Object.keys(entries).sort()).toEqual(['a.jpg', 'manifest.json', 'style.css']);
+    expect(entries['a.jpg'].data.toString()).toBe('jpeg-data');
+    expect(entries['a.jpg'].method).toBe(0);
+    expect(entries['style.css'].method).toBe(8);
+    expect(result.filename).toMatch(/^example-\d{8}-\d{6}\.zip$/);
+    expect(onProgress).toHaveBeenLastCalledWith(expect.objectContaining({ completed: 2, failed: 0, total: 2 }));
+
+    const manifest = JSON.parse(entries['manifest.json'].data.toString());
+    expect(manifest).toEqual(result.manifest);
+    expect(manifest.pageUrl).toBe(pageUrl);
+    expect(manifest.pageTitle).toBe('Gallery');
+    expect(manifest.entries[0]).toEqual(expect.objectContaining({
+      path: 'a.jpg',
+      url: 'https://cdn.example.com/a.jpg',
+      detector: 'dom',
+      width: 800,
+      height: 600,
+      quality: 'high',
+      mimeType: 'image/jpeg',
+      size: 9,
+      pageUrl: pageUrl
+    }));
+    expect(manifest.entries[1].mimeType).toBe('text/css');
+  });
+
+  test('应该使用文件名模板并处理重名', async () => {
+    global.fetch = createServer({
+      'https://a.example.com/img/photo.png': { body: '1', type: 'image/png' },
+      'https://b.example.com/img/photo.png': { body: '2', type: 'image/png' }
+    });
+
+    const result = await service.exportResources([
+      { url: 'https://a.example.com/img/photo.png', type: 'image' },
+      { url: 'https://b.example.com/img/photo.png', type: 'image' }
+    ], { pageUrl, template: '{type}/{original}.{ext}' });
+
+    expect(result.manifest.entries.map(entry => entry.path)).toEqual(['image/photo.png', 'image/photo_1.png']);
+    expect(readZip(result.blob)['image/photo_1.png'].data.toString()).toBe('2');
+  });
+
+  test('下载失败和流媒体资源应该记录在清单中', async () => {
+    global.fetch = createServer({
+      'https://example.com/ok.txt': { body: 'ok', type: 'text/plain' }
+    });
+
+    const result = await service.exportResources([
+      { url: 'https://example.com/ok.txt' },
+      { url: 'https://example.com/missing.png' },
+      { url: 'https://example.com/live.m3u8', isStream: true },
+      { url: 'blob:https://example.com/1234', mse: true }
+    ], { pageUrl });
+
+    expect(result.manifest.entries).toHaveLength(1);
+    expect(result.manifest.failed.map(item => item.url)).toEqual([
+      'https://example.com/missing.png',
+      'https://example.com/live.m3u8',
+      'blob:https://example.com/1234'
+    ]);
+    expect(result.manifest.failed[0].error).toContain('404');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('所有资源都失败时应该报错', async () => {
+    global.fetch = createServer({});
+
+    await expect(service.exportResources([{ url: 'https://example.com/a.png' }], { pageUrl }))
+      .rejects.toThrow('所有资源均下载失败');
+    await expect(service.exportResources([], { pageUrl })).rejects.toThrow('没有可打包的资源');
+  });
+
+  test('应该按压缩方式决定是否Deflate', async () => {
+    global.fetch = createServer({
+      'https://example.com/data.json': { body: '{"a":1}'.repeat(100), type: 'application/json' },
+      'https://example.com/clip.mp4': { body: '0'.repeat(500), type: 'video/mp4' }
+    });
+
+    const resources = [{ url: 'https://example.com/data.json' }, { url: 'https://example.com/clip.mp4' }];
+
+    const stored = readZip((await service.exportResources(resources, { compression: ZIP_COMPRESSION.STORE })).blob);
+    expect(stored['data.json'].method).toBe(0);
+    expect(stored['clip.mp4'].method).toBe(0);
+
+    const deflated = readZip((await service.exportResources(resources, { compression: ZIP_COMPRESSION.DEFLATE })).blob);
+    expect(deflated['data.json'].method).toBe(8);
+    expect(deflated['clip.mp4'].method).toBe(8);
+    expect(deflated['clip.mp4'].data.toString()).toBe('0'.repeat(500));
+  });
+
+  test('设置了移除方式时应该移除图片条目的元数据', async () => {
+    const jpeg = fixtures.jpegFile({ tiff: fixtures.exifTiff({ orientation: 6 }) });
+    global.fetch = createServer({
+      'https://example.com/photo.jpg': { body: jpeg, type: 'image/jpeg' },
+      'https://example.com/notes.txt': { body: 'GPS', type: 'text/plain' }
+    });
+
+    const resources = [{ url: 'https://example.com/photo.jpg', type: 'image' }, { url: 'https://example.com/notes.txt' }];
+    const result = await service.exportResources(resources, { stripMetadata: STRIP_MODES.GPS });
+    const entries = readZip(result.blob);
+
+    expect(MediaHeaderParser.parse(new Uint8Array(jpeg)).exif.gps).toBeTruthy();
+    expect(MediaHeaderParser.parse(new Uint8Array(entries['photo.jpg'].data)).exif.gps).toBeNull();
+    expect(entries['notes.txt'].data.toString()).toBe('GPS');
+    expect(result.manifest.entries.map(entry => entry.metadataStripped)).toEqual([STRIP_MODES.GPS, null]);
+
+    const kept = await service.exportResources(resources);
+    expect(Buffer.compare(readZip(kept.blob)['photo.jpg'].data, Buffer.from(jpeg))).toBe(0);
+  });
+
+  test('取消后应该停止打包', async () => {
+    const controller = new AbortController();
+    global.fetch = jest.fn(async () => {
+      controller.abort();
+      throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+    });
+
+    await expect(service.exportResources([{ url: 'https://example.com/a.png' }], { signal: controller.signal }))
+      .rejects.toThrow('打包已取消');
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * @file zip-writer.test.js
+ * @description ZIP归档生成工具单元测试
+ * @version 1.0.0
+ * @license MIT
+ * @copyright © 2025 Resource Sniffer
+ */
+
+const zlib = require('zlib');
+
+global.TextEncoder = global.TextEncoder || require('util').TextEncoder;
+
+const ZipWriter = require('../../src/utils/zip-writer').default;
+const { ZIP_METHODS } = require('../../src/utils/zip-writer');
+
+/**
+ * 把Blob模拟对象的内容合并为Buffer
+ * @param {Object} blob - setup.js中的Blob模拟对象
+ * @returns {Buffer} - ZIP文件内容
+ */
+function blobBuffer(blob) {
+  return Buffer.concat(blob.content.map(part => Buffer.from(part)));
+}
+
+/**
+ * 按中央目录解析ZIP文件
+ * @param {Buffer} buffer - ZIP文件内容
+ * @returns {Array} - 条目数组 { name, method, flags, crc32, data }
+ */
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  expect(buffer.readUInt32LE(end)).toBe(0x06054b50);
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(offset)).toBe(0x02014b50);
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc32 = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      name: name,
+      method: method,
+      flags: buffer.readUInt16LE(offset + 8),
+      crc32: crc32,
+      data: method === ZIP_METHODS.DEFLATE ? zlib.inflateRawSync(stored) : stored
+    });
+
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+describe('ZIP归档生成工具', () => {
+  const deflate = async (data) => new Uint8Array(zlib.deflateRawSync(data));
+
+  test('应该计算正确的CRC-32', () => {
+    expect(ZipWriter.crc32(Buffer.from('hello'))).toBe(0x3610a686);
+    expect(ZipWriter.crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  test('应该生成可解析的存储方式ZIP', async () => {
+    const writer = new ZipWriter({ deflate: null });
+
+    await writer.addFile('images/a.jpg', new Uint8Array([1, 2, 3]));
+    await writer.addFile('说明.txt', 'hello');
+
+    const blob = writer.finish();
+    const entries = readZip(blobBuffer(blob));
+
+    expect(blob.options.type).toBe('application/zip');
+    expect(writer.size).toBe(2);
+    expect(entries.map(entry => entry.name)).toEqual(['images/a.jpg', '说明.txt']);
+    expect(entries.every(entry => entry.method === ZIP_METHODS.STORE)).toBe(true);
+    expect(entries.every(entry => entry.flags & 0x0800)).toBe(true);
+    expect(Array.from(entries[0].data)).toEqual([1, 2, 3]);
+    expect(entries[1].data.toString('utf8')).toBe('hello');
+    expect(entries[1].crc32).toBe(0x3610a686);
+  });
+
+  test('可压缩的内容应该使用Deflate写入', async () => {
+    const writer = new ZipWriter({ deflate });
+    const text = 'resource sniffer '.repeat(200);
+
+    const info = await writer.addFile('manifest.json', text);
+    const [entry] = readZip(blobBuffer(writer.finish()));
+
+    expect(info.method).toBe(ZIP_METHODS.DEFLATE);
+    expect(info.compressedSize).toBeLessThan(info.size);
+    expect(entry.method).toBe(ZIP_METHODS.DEFLATE);
+    expect(entry.data.toString('utf8')).toBe(text);
+  });
+
+  test('压缩后没有变小或指定不压缩时应该直接存储', async () => {
+    const writer = new ZipWriter({ deflate });
+
+    const random = await writer.addFile('random.bin', Uint8Array.from({ length: 64 }, (_, i) => (i * 97 + 13) % 256));
+    const skipped = await writer.addFile('photo.jpg', 'a'.repeat(100), { compress: false });
+
+    expect(random.method).toBe(ZIP_METHODS.STORE);
+    expect(skipped.method).toBe(ZIP_METHODS.STORE);
+    expect(readZip(blobBuffer(writer.finish())).map(entry => entry.data.length)).toEqual([64, 100]);
+  });
+
+  test('应该规范化条目路径', async () => {
+    const writer = new ZipWriter({ deflate: null });
+
+    await writer.addFile('/folder\\file.txt', 'x');
+
+    expect(readZip(blobBuffer(writer.finish()))[0].name).toBe('folder/file.txt');
+  });
+
+  test('应该写入MS-DOS格式的修改时间', async () => {
+    const writer = new ZipWriter({ deflate: null });
+
+    await writer.addFile('a.txt', 'x', { date: new Date(2025, 2, 15, 10, 30, 20) });
+
+    const buffer = blobBuffer(writer.finish());
+    expect(buffer.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(buffer.readUInt16LE(12)).toBe(((2025 - 1980) << 9) | (3 << 5) | 15);
+  });
+});